@@ -41,10 +41,27 @@ CREATE TABLE audit.audit_log (
     event_timestamp TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     processing_time_ms INTEGER,
     
+    -- Tamper-evident hash chain (server/utils/auditChain.js); NULL for rows
+    -- written directly by database functions
+    chain_seq BIGINT UNIQUE,
+    previous_hash CHAR(64),
+    record_hash CHAR(64),
+    
     CONSTRAINT valid_severity CHECK (severity_level IN ('debug', 'info', 'warning', 'error', 'critical')),
     CONSTRAINT valid_operation CHECK (operation IN ('INSERT', 'UPDATE', 'DELETE', 'SELECT', 'LOGIN', 'LOGOUT', 'FAILED_LOGIN'))
 );
 
+-- Last link of the audit hash chain; lets verification detect deleted tail records
+CREATE TABLE audit.audit_chain_head (
+    id SMALLINT PRIMARY KEY CHECK (id = 1),
+    last_seq BIGINT NOT NULL DEFAULT 0,
+    last_hash CHAR(64) NOT NULL,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+INSERT INTO audit.audit_chain_head (id, last_seq, last_hash)
+VALUES (1, 0, '0000000000000000000000000000000000000000000000000000000000000000');
+
 -- Security events and alerts
 CREATE TABLE audit.security_events (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
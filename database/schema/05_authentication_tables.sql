@@ -15,6 +15,12 @@ CREATE TABLE IF NOT EXISTS user_sessions (
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+-- 01_core_tables.sql may already have created user_sessions without the
+-- refresh token columns used by the auth API
+ALTER TABLE user_sessions ADD COLUMN IF NOT EXISTS refresh_token VARCHAR(255) UNIQUE;
+ALTER TABLE user_sessions ADD COLUMN IF NOT EXISTS is_active BOOLEAN DEFAULT true;
+ALTER TABLE user_sessions ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW();
+
 -- Add active directory user mapping
 CREATE TABLE IF NOT EXISTS ad_user_mapping (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -49,7 +55,7 @@ CREATE TABLE IF NOT EXISTS saved_reports (
     title VARCHAR(255) NOT NULL,
     description TEXT,
     report_type VARCHAR(50) NOT NULL DEFAULT 'visit',
-    status VARCHAR(50) NOT NULL DEFAULT 'draft', -- draft, submitted, archived
+    status VARCHAR(50) NOT NULL DEFAULT 'draft', -- draft, submitted, reviewed, approved, archived
     report_data JSONB NOT NULL,
     location_data JSONB,
     submitted_at TIMESTAMP WITH TIME ZONE,
@@ -69,6 +75,32 @@ CREATE TABLE IF NOT EXISTS saved_reports (
     INDEX idx_saved_reports_created (created_at DESC)
 );
 
+-- Snapshot of every saved version of a report
+CREATE TABLE IF NOT EXISTS saved_report_versions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    report_id UUID NOT NULL REFERENCES saved_reports(id) ON DELETE CASCADE,
+    version INTEGER NOT NULL,
+    title VARCHAR(255) NOT NULL,
+    status VARCHAR(50) NOT NULL,
+    report_data JSONB NOT NULL,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    change_note VARCHAR(255), -- e.g. 'Restored version 3'
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(report_id, version)
+);
+
+-- Review workflow: every status change with the reviewer's comments
+CREATE TABLE IF NOT EXISTS report_status_history (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    report_id UUID NOT NULL REFERENCES saved_reports(id) ON DELETE CASCADE,
+    action VARCHAR(20) NOT NULL, -- submit, review, approve, return
+    from_status VARCHAR(50) NOT NULL,
+    to_status VARCHAR(50) NOT NULL,
+    comments TEXT,
+    changed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    changed_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
 -- Add report sharing/collaboration
 CREATE TABLE IF NOT EXISTS report_shares (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -95,6 +127,17 @@ CREATE TABLE IF NOT EXISTS report_exports (
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+-- Settings administrators manage for their whole organization, e.g. email
+-- recipient lists; value is JSON in the shape the settings API validates
+CREATE TABLE IF NOT EXISTS organization_settings (
+    organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+    setting_key VARCHAR(100) NOT NULL,
+    value JSONB NOT NULL,
+    updated_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    PRIMARY KEY (organization_id, setting_key)
+);
+
 -- Create indexes for performance
 CREATE INDEX IF NOT EXISTS idx_user_sessions_token ON user_sessions(session_token);
 CREATE INDEX IF NOT EXISTS idx_user_sessions_user_id ON user_sessions(user_id);
@@ -107,6 +150,15 @@ CREATE INDEX IF NOT EXISTS idx_login_attempts_email ON login_attempts(email);
 CREATE INDEX IF NOT EXISTS idx_login_attempts_ip ON login_attempts(ip_address);
 CREATE INDEX IF NOT EXISTS idx_login_attempts_time ON login_attempts(attempted_at DESC);
 
+CREATE INDEX IF NOT EXISTS idx_saved_report_versions_report ON saved_report_versions(report_id, version DESC);
+CREATE INDEX IF NOT EXISTS idx_report_status_history_report ON report_status_history(report_id, changed_at);
+
+-- Link email deliveries to saved reports (email_delivery_log is created in 04)
+ALTER TABLE email_delivery_log
+    ADD COLUMN IF NOT EXISTS saved_report_id UUID REFERENCES saved_reports(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_email_delivery_saved_report ON email_delivery_log(saved_report_id);
+
 -- Full-text search for reports
 CREATE INDEX IF NOT EXISTS idx_saved_reports_search 
     ON saved_reports USING gin(to_tsvector('english', title || ' ' || description));
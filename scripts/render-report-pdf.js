@@ -0,0 +1,123 @@
+#!/usr/bin/env node
+/**
+ * RSS Visit Report - PDF Rendering CLI
+ * Renders report PDFs in headless Chrome, for saved reports by ID or for
+ * report JSON files, using the same PDF_* settings as the API server.
+ *
+ *   npm run pdf:render -- --id <report-id> [--id ...] [--file report.json ...]
+ *                         [--profile executive-2-pager | --profile-file profile.json]
+ *                         [--archival] [--out-dir pdfs]
+ *
+ * --profile takes the id of a built-in profile or, for saved reports, of one
+ * saved on the Admin page for the report's organization; --profile-file
+ * takes a profile definition.
+ */
+
+import 'dotenv/config';
+import { mkdir, readFile, writeFile } from 'fs/promises';
+import path from 'path';
+import { parseArgs } from 'util';
+import { loadConfig } from '../server/config.js';
+import { createPool } from '../server/db.js';
+import ReportRepository from '../server/repositories/reportRepository.js';
+import SettingsRepository, { SETTING_KEYS } from '../server/repositories/settingsRepository.js';
+import PdfRenderService from '../server/services/pdfRenderService.js';
+import { normalizePdfRenderProfile } from '../server/routes/reports.js';
+import { getReportPdfFilename } from '../src/utils/pdfReportData.js';
+
+const USAGE = 'Usage: npm run pdf:render -- (--id <report-id> | --file <report.json>)... [--profile <id> | --profile-file <profile.json>] [--archival] [--out-dir <dir>]';
+
+/**
+ * Report data from a JSON file: the report itself, a saved report row or an
+ * API response from GET /api/reports/:id
+ * @param {string} file - Path to the JSON file
+ */
+async function readReportFile(file) {
+  const json = JSON.parse(await readFile(file, 'utf8'));
+  return json.report?.reportData || json.reportData || json;
+}
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      id: { type: 'string', multiple: true, default: [] },
+      file: { type: 'string', multiple: true, default: [] },
+      profile: { type: 'string' },
+      'profile-file': { type: 'string' },
+      archival: { type: 'boolean', default: false },
+      'out-dir': { type: 'string', default: '.' },
+      help: { type: 'boolean', short: 'h' }
+    }
+  });
+
+  if (values.help || (values.id.length === 0 && values.file.length === 0)) {
+    console.log(USAGE);
+    return values.help ? 0 : 1;
+  }
+
+  const profileSource = values['profile-file']
+    ? { profile: JSON.parse(await readFile(values['profile-file'], 'utf8')) }
+    : { profileId: values.profile };
+
+  const config = loadConfig();
+  const renderer = new PdfRenderService({ config });
+  renderer.ensureEnabled();
+
+  const outDir = path.resolve(values['out-dir']);
+  await mkdir(outDir, { recursive: true });
+
+  const db = values.id.length > 0 ? createPool(config.database) : null;
+  const reportRepository = db && new ReportRepository(db);
+  const settingsRepository = db && new SettingsRepository(db);
+
+  // Saved reports can use the profiles of their organization
+  const loadStoredReport = async (id) => {
+    const report = await reportRepository.findStoredReport(id);
+    const saved = report && await settingsRepository.find(report.organizationId, SETTING_KEYS.pdfProfiles);
+    return { reportData: report?.reportData, savedProfiles: saved?.value };
+  };
+
+  const jobs = [
+    ...values.id.map((id) => ({ label: id, reportNumber: id, load: () => loadStoredReport(id) })),
+    ...values.file.map((file) => ({ label: file, load: async () => ({ reportData: await readReportFile(file) }) }))
+  ];
+
+  // One report at a time; each render runs its own browser
+  let failures = 0;
+  try {
+    for (const job of jobs) {
+      try {
+        const { reportData, savedProfiles } = await job.load();
+        if (!reportData) {
+          throw new Error('Report not found');
+        }
+        const profile = normalizePdfRenderProfile(profileSource, savedProfiles);
+
+        const pdf = await renderer.render(reportData, {
+          ...profile,
+          archival: values.archival,
+          reportNumber: job.reportNumber || reportData.id
+        });
+        const target = path.join(outDir, getReportPdfFilename(reportData));
+        await writeFile(target, pdf);
+        console.log(`${job.label}: ${target}`);
+      } catch (error) {
+        failures += 1;
+        console.error(`${job.label}: ${error.message}`);
+      }
+    }
+  } finally {
+    await db?.end();
+  }
+
+  return failures > 0 ? 1 : 0;
+}
+
+main()
+  .then((code) => {
+    process.exitCode = code;
+  })
+  .catch((error) => {
+    console.error(error.message);
+    process.exitCode = 1;
+  });
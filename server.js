@@ -0,0 +1,28 @@
+/**
+ * RSS Visit Report - API Server
+ * Entry point for `npm start` and `npm run dev:server`
+ */
+
+import 'dotenv/config';
+import { createApp } from './server/app.js';
+import { loadConfig } from './server/config.js';
+import { createPool } from './server/db.js';
+
+const config = loadConfig();
+const db = createPool(config.database);
+const app = createApp({ config, db });
+
+const server = app.listen(config.port, () => {
+  console.log(`RSS Visit Report API listening on port ${config.port} (${config.environment})`);
+});
+
+const shutdown = (signal) => {
+  console.log(`${signal} received, shutting down API server`);
+  server.close(async () => {
+    await db.end();
+    process.exit(0);
+  });
+};
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
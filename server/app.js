@@ -0,0 +1,118 @@
+/**
+ * RSS Visit Report - Express Application
+ * Assembles middleware and API routes. Dependencies are injected so the
+ * app can run against a real pool or an in-memory database in tests.
+ */
+
+import express from 'express';
+import cors from 'cors';
+import helmet from 'helmet';
+import rateLimit from 'express-rate-limit';
+import { optionalAuth, requireAuth } from './middleware/authenticate.js';
+import AdUserRepository from './repositories/adUserRepository.js';
+import AuditRepository from './repositories/auditRepository.js';
+import EmailDeliveryRepository from './repositories/emailDeliveryRepository.js';
+import ReportRepository from './repositories/reportRepository.js';
+import SessionRepository from './repositories/sessionRepository.js';
+import SettingsRepository from './repositories/settingsRepository.js';
+import UserRepository from './repositories/userRepository.js';
+import { createAuditRouter } from './routes/audit.js';
+import { createAuthRouter } from './routes/auth.js';
+import { createEmailRouter } from './routes/email.js';
+import { createReportsRouter } from './routes/reports.js';
+import { createSettingsRouter } from './routes/settings.js';
+import DirectoryAuthService from './services/directoryAuthService.js';
+import EmailService from './services/emailService.js';
+import LdapDirectory from './services/ldapDirectory.js';
+import LocalAuthService from './services/localAuthService.js';
+import PdfRenderService from './services/pdfRenderService.js';
+import { asyncHandler, errorHandler, NotFoundError } from './utils/httpErrors.js';
+
+/**
+ * Create the API application
+ * @param {Object} deps - { config, db, directory, pdfRenderService }
+ */
+export function createApp({
+  config,
+  db,
+  directory = new LdapDirectory(config.ad),
+  pdfRenderService = new PdfRenderService({ config })
+}) {
+  const app = express();
+
+  app.disable('x-powered-by');
+  app.set('trust proxy', 'loopback');
+
+  app.use(helmet());
+  app.use(cors({
+    origin: config.http.corsOrigins.length > 0 ? config.http.corsOrigins : false,
+    credentials: true
+  }));
+  app.use(express.json({ limit: config.http.bodyLimit }));
+
+  const api = express.Router();
+
+  api.use(rateLimit({
+    windowMs: config.http.rateLimitWindowMs,
+    limit: config.http.rateLimitMax,
+    standardHeaders: 'draft-7',
+    legacyHeaders: false
+  }));
+
+  api.get('/health', asyncHandler(async (req, res) => {
+    await db.query('SELECT 1');
+    res.json({ status: 'ok', timestamp: new Date().toISOString() });
+  }));
+
+  const authenticate = requireAuth({ secret: config.jwt.secret });
+
+  const sessionRepository = new SessionRepository(db);
+
+  const localAuthService = new LocalAuthService({
+    config,
+    userRepository: new UserRepository(db),
+    sessionRepository
+  });
+
+  const directoryAuthService = new DirectoryAuthService({
+    config,
+    directory,
+    adUserRepository: new AdUserRepository(db),
+    sessionRepository,
+    localAuthService
+  });
+
+  api.use('/auth', createAuthRouter({ config, localAuthService, directoryAuthService, authenticate }));
+
+  api.use('/audit', createAuditRouter({
+    auditRepository: new AuditRepository(db, { chainSecret: config.audit.chainSecret }),
+    chainSecret: config.audit.chainSecret,
+    authenticate,
+    optionalAuthenticate: optionalAuth({ secret: config.jwt.secret })
+  }));
+
+  const reportRepository = new ReportRepository(db);
+  const settingsRepository = new SettingsRepository(db);
+  const emailDeliveryRepository = new EmailDeliveryRepository(db);
+
+  // Mounted ahead of /reports so /reports/email is not read as a report ID
+  api.use('/reports/email', authenticate, createEmailRouter({
+    emailService: new EmailService({ config, emailDeliveryRepository }),
+    emailDeliveryRepository,
+    reportRepository
+  }));
+
+  api.use('/reports', authenticate, createReportsRouter({ reportRepository, pdfRenderService, settingsRepository }));
+
+  api.use('/settings', authenticate, createSettingsRouter({ settingsRepository }));
+
+  api.use((req, res, next) => next(new NotFoundError(`No route for ${req.method} ${req.path}`)));
+
+  // reportDatabaseService calls /api/*, settings.getApiUrl() builds /api/v1/*
+  app.use('/api/v1', api);
+  app.use('/api', api);
+
+  app.use(errorHandler);
+
+  return app;
+}
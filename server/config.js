@@ -0,0 +1,157 @@
+/**
+ * RSS Visit Report - Server Configuration
+ * Reads and validates the environment for the API server
+ */
+
+import { DEFAULT_AD_ROLE_MAPPING } from '../src/constants/rolePermissions.js';
+
+const parseList = (value) => (value ? value.split(',').map((item) => item.trim()).filter(Boolean) : []);
+
+/**
+ * Parse a JSON object setting. The fallback is used only when the setting
+ * is empty; anything that is not a JSON object fails startup.
+ * @param {string} value - Raw JSON
+ * @param {Object} fallback - Default value
+ * @param {string} name - Variable name for error messages
+ * @throws {Error} When the value is not a JSON object
+ */
+const parseJsonObject = (value, fallback, name) => {
+  if (!value) return fallback;
+  let parsed;
+  try {
+    parsed = JSON.parse(value);
+  } catch {
+    throw new Error(`${name} must be valid JSON`);
+  }
+  if (parsed === null || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new Error(`${name} must be a JSON object`);
+  }
+  return parsed;
+};
+
+/**
+ * Build the server configuration from environment variables
+ * @param {Object} env - Environment variables (defaults to process.env)
+ */
+export function loadConfig(env = process.env) {
+  const config = {
+    environment: env.NODE_ENV || 'development',
+    port: parseInt(env.PORT) || 3001,
+
+    // PostgreSQL connection (DATABASE_URL wins over discrete settings)
+    database: {
+      connectionString: env.DATABASE_URL || null,
+      host: env.DB_HOST || 'localhost',
+      port: parseInt(env.DB_PORT) || 5432,
+      database: env.DB_NAME || 'rss_visit_reports',
+      user: env.DB_USER || 'rss_user',
+      password: env.DB_PASSWORD || '',
+      max: parseInt(env.DB_POOL_MAX) || 10
+    },
+
+    // Token verification for API requests
+    jwt: {
+      secret: env.JWT_SECRET || '',
+      refreshSecret: env.JWT_REFRESH_SECRET || '',
+      expiresIn: env.JWT_EXPIRES_IN || '30m',
+      refreshExpiresIn: env.JWT_REFRESH_EXPIRES_IN || '7d'
+    },
+
+    // Local account policy (mirrors VITE_MAX_LOGIN_ATTEMPTS / VITE_LOCKOUT_DURATION)
+    auth: {
+      maxLoginAttempts: parseInt(env.MAX_LOGIN_ATTEMPTS) || 5,
+      lockoutDurationMs: (parseInt(env.LOCKOUT_DURATION) || 900) * 1000,
+      loginRateLimitMax: parseInt(env.LOGIN_RATE_LIMIT_MAX) || 20
+    },
+
+    // Active Directory / LDAP bind authentication
+    ad: {
+      enabled: env.AD_ENABLED === 'true' || env.ENABLE_AD_AUTH === 'true',
+      url: env.AD_URL || '',
+      domain: env.AD_DOMAIN || '',
+      baseDN: env.AD_BASE_DN || '',
+      bindDN: env.AD_BIND_USER || '',
+      bindPassword: env.AD_BIND_PASSWORD || '',
+      searchFilter: env.AD_SEARCH_FILTER || '(sAMAccountName={{username}})',
+      roleMapping: parseJsonObject(env.AD_ROLE_MAPPING, DEFAULT_AD_ROLE_MAPPING, 'AD_ROLE_MAPPING'),
+      defaultOrganizationCode: env.AD_DEFAULT_ORGANIZATION || null,
+      timeoutMs: parseInt(env.AD_TIMEOUT) || 10000
+    },
+
+    // Audit log hash chain; with a secret the chain uses HMAC-SHA256
+    audit: {
+      chainSecret: env.AUDIT_CHAIN_SECRET || null
+    },
+
+    // Outgoing mail for report delivery; disabled until SMTP_HOST is set
+    email: {
+      enabled: Boolean(env.SMTP_HOST),
+      host: env.SMTP_HOST || '',
+      port: parseInt(env.SMTP_PORT) || 587,
+      secure: env.SMTP_SECURE === 'true',
+      user: env.SMTP_USER || '',
+      password: env.SMTP_PASSWORD || '',
+      from: env.SMTP_FROM || env.SMTP_USER || '',
+      maxAttempts: parseInt(env.EMAIL_MAX_ATTEMPTS) || 3,
+      retryDelayMs: parseInt(env.EMAIL_RETRY_DELAY_MS) || 2000,
+      timeoutMs: parseInt(env.SMTP_TIMEOUT) || 30000
+    },
+
+    // Headless report PDFs; disabled until PDF_APP_URL points at a running
+    // copy of the app (e.g. the built site or `npm run preview`)
+    pdf: {
+      enabled: Boolean(env.PDF_APP_URL),
+      appUrl: env.PDF_APP_URL || '',
+      browserPath: env.PDF_BROWSER_PATH || env.PUPPETEER_EXECUTABLE_PATH || '',
+      browserArgs: parseList(env.PDF_BROWSER_ARGS),
+      timeoutMs: parseInt(env.PDF_TIMEOUT) || 60000
+    },
+
+    // HTTP hardening
+    http: {
+      corsOrigins: parseList(env.CORS_ORIGIN),
+      bodyLimit: env.API_BODY_LIMIT || '10mb',
+      rateLimitWindowMs: parseInt(env.RATE_LIMIT_WINDOW || env.RATE_LIMIT_WINDOW_MS) || 900000,
+      rateLimitMax: parseInt(env.RATE_LIMIT_MAX || env.RATE_LIMIT_MAX_REQUESTS) || 100
+    }
+  };
+
+  validateConfig(config);
+  return config;
+}
+
+/**
+ * Validate critical configuration settings
+ * @param {Object} config - Server configuration
+ */
+export function validateConfig(config) {
+  const errors = [];
+
+  if (!config.jwt.secret) {
+    errors.push('JWT_SECRET is required');
+  } else if (config.environment === 'production' && config.jwt.secret.length < 32) {
+    errors.push('JWT_SECRET must be at least 32 characters in production');
+  }
+
+  if (!config.jwt.refreshSecret) {
+    errors.push('JWT_REFRESH_SECRET is required');
+  } else if (config.jwt.refreshSecret === config.jwt.secret) {
+    errors.push('JWT_REFRESH_SECRET must differ from JWT_SECRET');
+  }
+
+  if (config.ad.enabled && (!config.ad.url || !config.ad.baseDN || !config.ad.bindDN)) {
+    errors.push('AD_URL, AD_BASE_DN and AD_BIND_USER are required when AD authentication is enabled');
+  }
+
+  if (config.email.enabled && !config.email.from) {
+    errors.push('SMTP_FROM is required when SMTP_HOST is set');
+  }
+
+  if (config.pdf.enabled && !config.pdf.browserPath) {
+    errors.push('PDF_BROWSER_PATH is required when PDF_APP_URL is set');
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Server configuration validation failed: ${errors.join(', ')}`);
+  }
+}
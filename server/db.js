@@ -0,0 +1,43 @@
+/**
+ * RSS Visit Report - Database Access
+ * PostgreSQL connection pool shared by the server repositories
+ */
+
+import pg from 'pg';
+
+/**
+ * Create a connection pool from the database configuration
+ * @param {Object} databaseConfig - `database` section of the server config
+ */
+export function createPool(databaseConfig) {
+  const { connectionString, max, ...connection } = databaseConfig;
+
+  const pool = new pg.Pool(connectionString ? { connectionString, max } : { ...connection, max });
+
+  pool.on('error', (error) => {
+    console.error('Unexpected database pool error:', error);
+  });
+
+  return pool;
+}
+
+/**
+ * Run a callback inside a transaction, rolling back on failure
+ * @param {Object} db - Pool (or anything exposing connect())
+ * @param {Function} callback - Receives the transaction client
+ */
+export async function withTransaction(db, callback) {
+  const client = await db.connect();
+
+  try {
+    await client.query('BEGIN');
+    const result = await callback(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
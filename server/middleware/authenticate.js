@@ -0,0 +1,73 @@
+/**
+ * RSS Visit Report - API Authentication Middleware
+ * Verifies bearer access tokens and exposes the caller as req.user
+ */
+
+import jwt from 'jsonwebtoken';
+import { AuthenticationError, ForbiddenError } from '../utils/httpErrors.js';
+
+/**
+ * Require a valid access token on the request
+ * @param {Object} options - { secret } used to verify access tokens
+ */
+export function requireAuth({ secret }) {
+  return (req, res, next) => {
+    const header = req.get('Authorization') || '';
+    const [scheme, token] = header.split(' ');
+
+    if (scheme !== 'Bearer' || !token) {
+      return next(new AuthenticationError());
+    }
+
+    try {
+      const payload = jwt.verify(token, secret);
+
+      if (payload.type && payload.type !== 'access') {
+        return next(new AuthenticationError('Invalid token type'));
+      }
+
+      req.user = {
+        id: payload.sub,
+        email: payload.email,
+        role: payload.role,
+        organizationId: payload.org,
+        sessionId: payload.sid || null
+      };
+      req.accessToken = token;
+      return next();
+    } catch (error) {
+      return next(new AuthenticationError(
+        error.name === 'TokenExpiredError' ? 'Access token expired' : 'Invalid access token'
+      ));
+    }
+  };
+}
+
+/**
+ * Attach req.user when a bearer token is present; anonymous requests pass
+ * through. A token that is present but invalid is still rejected.
+ * @param {Object} options - { secret } used to verify access tokens
+ */
+export function optionalAuth(options) {
+  const authenticate = requireAuth(options);
+
+  return (req, res, next) => {
+    if (!req.get('Authorization')) {
+      return next();
+    }
+    return authenticate(req, res, next);
+  };
+}
+
+/**
+ * Restrict a route to the given roles
+ * @param {...string} roles - Allowed roles
+ */
+export function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!req.user || !roles.includes(req.user.role)) {
+      return next(new ForbiddenError());
+    }
+    return next();
+  };
+}
@@ -0,0 +1,104 @@
+/**
+ * RSS Visit Report - AD User Repository
+ * Keeps users and ad_user_mapping in step with the directory
+ */
+
+import { withTransaction } from '../db.js';
+
+// AD accounts authenticate by bind; this value is never a valid bcrypt hash
+const DIRECTORY_MANAGED_PASSWORD = '!directory-managed';
+
+// The users table constraint knows the viewer role as 'readonly'
+const toDatabaseRole = (role) => (role === 'viewer' ? 'readonly' : role);
+
+const USER_COLUMNS = `
+  u.id, u.email, u.first_name, u.last_name, u.role, u.organization_id, u.is_active
+`;
+
+class AdUserRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  /**
+   * Create or update the local user for a directory account
+   * @param {Object} account - { domain, user, role, organizationCode }
+   *   where user is the toDirectoryUser() shape
+   * @returns {Object} users row
+   */
+  async upsertFromDirectory({ domain, user, role, organizationCode }) {
+    const adUsername = user.sAMAccountName.toLowerCase();
+    const adDomain = domain.toLowerCase();
+    const email = (user.mail || `${adUsername}@${adDomain}`).toLowerCase();
+    const firstName = user.givenName || user.sAMAccountName;
+    const lastName = user.sn || '';
+    const dbRole = toDatabaseRole(role);
+
+    return withTransaction(this.db, async (client) => {
+      const organizationId = organizationCode
+        ? (await client.query('SELECT id FROM organizations WHERE code = $1', [organizationCode])).rows[0]?.id || null
+        : null;
+
+      const mapped = await client.query(
+        `SELECT user_id FROM ad_user_mapping WHERE ad_domain = $1 AND ad_username = $2`,
+        [adDomain, adUsername]
+      );
+
+      let userId = mapped.rows[0]?.user_id;
+
+      if (!userId) {
+        // Link to an existing local account with the same email, if any
+        const existing = await client.query('SELECT id FROM users WHERE LOWER(email) = $1', [email]);
+        userId = existing.rows[0]?.id;
+      }
+
+      if (userId) {
+        await client.query(
+          `UPDATE users
+           SET email = $2, first_name = $3, last_name = $4, role = $5,
+               organization_id = COALESCE(organization_id, $6), updated_at = NOW()
+           WHERE id = $1`,
+          [userId, email, firstName, lastName, dbRole, organizationId]
+        );
+      } else {
+        const inserted = await client.query(
+          `INSERT INTO users (email, password_hash, first_name, last_name, role, organization_id)
+           VALUES ($1, $2, $3, $4, $5, $6) RETURNING id`,
+          [email, DIRECTORY_MANAGED_PASSWORD, firstName, lastName, dbRole, organizationId]
+        );
+        userId = inserted.rows[0].id;
+      }
+
+      if (mapped.rows.length > 0) {
+        await client.query(
+          `UPDATE ad_user_mapping SET ad_guid = $3, ad_dn = $4, last_sync = NOW()
+           WHERE ad_domain = $1 AND ad_username = $2`,
+          [adDomain, adUsername, user.objectGUID, user.dn]
+        );
+      } else {
+        await client.query(
+          `INSERT INTO ad_user_mapping (user_id, ad_domain, ad_username, ad_guid, ad_dn)
+           VALUES ($1, $2, $3, $4, $5)`,
+          [userId, adDomain, adUsername, user.objectGUID, user.dn]
+        );
+      }
+
+      const result = await client.query(`SELECT ${USER_COLUMNS} FROM users u WHERE u.id = $1`, [userId]);
+      return result.rows[0];
+    });
+  }
+
+  /**
+   * Find the directory account name linked to a local user
+   * @param {string} userId - User ID
+   */
+  async findMapping(userId) {
+    const result = await this.db.query(
+      `SELECT ad_domain, ad_username, ad_guid, ad_dn, last_sync FROM ad_user_mapping WHERE user_id = $1`,
+      [userId]
+    );
+    return result.rows[0] || null;
+  }
+}
+
+export default AdUserRepository;
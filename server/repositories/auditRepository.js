@@ -0,0 +1,302 @@
+/**
+ * RSS Visit Report - Audit Log Repository
+ * SQL access for audit.audit_log (database/schema/04_audit_security.sql)
+ */
+
+import { withTransaction } from '../db.js';
+import { computeRecordHash, GENESIS_HASH } from '../utils/auditChain.js';
+
+const AUDIT_COLUMNS = `
+  a.id, a.event_id, a.event_type, a.event_category, a.severity_level,
+  a.table_name, a.record_id, a.operation, a.user_id, a.session_id,
+  a.ip_address, a.user_agent, a.old_values, a.new_values, a.changed_fields,
+  a.description, a.metadata, a.event_timestamp, a.chain_seq
+`;
+
+/**
+ * Convert a database row to the API representation
+ * @param {Object} row - audit.audit_log row joined with users.email
+ */
+export function toAuditEntry(row) {
+  const metadata = row.metadata || {};
+
+  return {
+    id: row.id,
+    eventId: row.event_id,
+    eventType: row.event_type,
+    eventCategory: row.event_category,
+    severity: row.severity_level,
+    resourceType: row.table_name,
+    resourceId: row.record_id || metadata.resourceId || null,
+    operation: row.operation,
+    userId: row.user_id,
+    username: row.user_email || metadata.username || null,
+    sessionId: row.session_id,
+    ipAddress: row.ip_address,
+    userAgent: row.user_agent,
+    oldValues: row.old_values,
+    newValues: row.new_values,
+    changedFields: row.changed_fields || [],
+    message: row.description,
+    metadata,
+    timestamp: row.event_timestamp,
+    chainSeq: row.chain_seq === null || row.chain_seq === undefined ? null : Number(row.chain_seq)
+  };
+}
+
+const toJson = (value) => (value === null || value === undefined ? null : JSON.stringify(value));
+
+class AuditRepository {
+  /**
+   * @param {Object} db - Pool or client
+   * @param {Object} options - { chainSecret } HMAC key for the hash chain
+   */
+  constructor(db, { chainSecret = null } = {}) {
+    this.db = db;
+    this.chainSecret = chainSecret;
+  }
+
+  /**
+   * Insert a batch of normalized audit entries atomically, appending each
+   * to the hash chain
+   * @param {Array} entries - Output of normalizeAuditEntry
+   */
+  async insertMany(entries) {
+    return withTransaction(this.db, async (client) => {
+      await client.query(
+        `INSERT INTO audit.audit_chain_head (id, last_seq, last_hash) VALUES (1, 0, $1)
+         ON CONFLICT (id) DO NOTHING`,
+        [GENESIS_HASH]
+      );
+
+      // The row lock serializes writers so sequence numbers stay gapless
+      const head = (await client.query(
+        'SELECT last_seq, last_hash FROM audit.audit_chain_head WHERE id = 1 FOR UPDATE'
+      )).rows[0];
+
+      let chainSeq = Number(head.last_seq);
+      let previousHash = head.last_hash;
+
+      for (const entry of entries) {
+        const row = {
+          chain_seq: ++chainSeq,
+          previous_hash: previousHash,
+          event_id: entry.eventId,
+          event_type: entry.eventType,
+          event_category: entry.eventCategory,
+          severity_level: entry.severity,
+          table_name: entry.resourceType,
+          record_id: entry.recordId,
+          operation: entry.operation,
+          user_id: entry.userId,
+          session_id: entry.sessionId,
+          ip_address: entry.ipAddress,
+          user_agent: entry.userAgent,
+          old_values: entry.oldValues ?? null,
+          new_values: entry.newValues ?? null,
+          changed_fields: entry.changedFields,
+          request_method: entry.requestMethod,
+          request_path: entry.requestPath,
+          description: entry.message,
+          metadata: entry.metadata,
+          event_timestamp: entry.timestamp
+        };
+        row.record_hash = computeRecordHash(row, this.chainSecret);
+
+        await client.query(
+          `INSERT INTO audit.audit_log (
+             event_id, event_type, event_category, severity_level,
+             table_name, record_id, operation, user_id, session_id,
+             ip_address, user_agent, old_values, new_values, changed_fields,
+             request_method, request_path, description, metadata, event_timestamp,
+             chain_seq, previous_hash, record_hash
+           ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22)`,
+          [
+            row.event_id,
+            row.event_type,
+            row.event_category,
+            row.severity_level,
+            row.table_name,
+            row.record_id,
+            row.operation,
+            row.user_id,
+            row.session_id,
+            row.ip_address,
+            row.user_agent,
+            toJson(row.old_values),
+            toJson(row.new_values),
+            row.changed_fields,
+            row.request_method,
+            row.request_path,
+            row.description,
+            JSON.stringify(row.metadata),
+            row.event_timestamp,
+            row.chain_seq,
+            row.previous_hash,
+            row.record_hash
+          ]
+        );
+
+        previousHash = row.record_hash;
+      }
+
+      await client.query(
+        'UPDATE audit.audit_chain_head SET last_seq = $1, last_hash = $2, updated_at = NOW() WHERE id = 1',
+        [chainSeq, previousHash]
+      );
+
+      return entries.length;
+    });
+  }
+
+  /**
+   * Read chained rows in sequence order for verification
+   * @param {number} afterSeq - Last sequence number already read
+   * @param {number} limit - Page size
+   */
+  async listChainPage(afterSeq, limit) {
+    const result = await this.db.query(
+      `SELECT a.id, a.event_id, a.event_type, a.event_category, a.severity_level,
+              a.table_name, a.record_id, a.operation, a.user_id, a.session_id,
+              a.ip_address, a.user_agent, a.old_values, a.new_values, a.changed_fields,
+              a.request_method, a.request_path, a.description, a.metadata, a.event_timestamp,
+              a.chain_seq, a.previous_hash, a.record_hash
+       FROM audit.audit_log a
+       WHERE a.chain_seq > $1
+       ORDER BY a.chain_seq
+       LIMIT $2`,
+      [afterSeq, limit]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Read the recorded end of the chain
+   */
+  async getChainHead() {
+    const result = await this.db.query('SELECT last_seq, last_hash FROM audit.audit_chain_head WHERE id = 1');
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Count rows written outside the chain (e.g. by database functions)
+   */
+  async countUnchained() {
+    const result = await this.db.query('SELECT COUNT(*) AS total FROM audit.audit_log WHERE chain_seq IS NULL');
+    return parseInt(result.rows[0].total);
+  }
+
+  /**
+   * Restrict results to events by users of the caller's organization.
+   * Anonymous events (failed logins) have no user and stay visible.
+   * @param {Object} user - Authenticated user
+   * @param {Array} params - Query params (mutated)
+   */
+  scopeClause(user, params) {
+    params.push(user.organizationId);
+    return `(a.user_id IS NULL OR u.organization_id = $${params.length})`;
+  }
+
+  /**
+   * Build the WHERE clause for search filters
+   * @param {Object} user - Authenticated user
+   * @param {Object} filters - Normalized search criteria
+   * @param {Array} params - Query params (mutated)
+   */
+  buildConditions(user, filters, params) {
+    const conditions = [this.scopeClause(user, params)];
+
+    const addCondition = (sql, value) => {
+      params.push(value);
+      conditions.push(sql.replace('?', `$${params.length}`));
+    };
+
+    if (filters.userId) addCondition('a.user_id = ?', filters.userId);
+    if (filters.username) addCondition('LOWER(u.email) = ?', filters.username.toLowerCase());
+    if (filters.eventCategories.length) addCondition('a.event_category = ANY(?::text[])', filters.eventCategories);
+    if (filters.eventTypes.length) addCondition('a.event_type = ANY(?::text[])', filters.eventTypes);
+    if (filters.severities.length) addCondition('a.severity_level = ANY(?::text[])', filters.severities);
+    if (filters.resourceType) addCondition('a.table_name = ?', filters.resourceType);
+    if (filters.recordId) addCondition('a.record_id = ?', filters.recordId);
+    if (filters.resourceKey) addCondition("a.metadata->>'resourceId' = ?", filters.resourceKey);
+    if (filters.startDate) addCondition('a.event_timestamp >= ?', filters.startDate);
+    if (filters.endDate) addCondition('a.event_timestamp <= ?', filters.endDate);
+
+    return conditions.join(' AND ');
+  }
+
+  /**
+   * Search audit events visible to the user
+   * @param {Object} user - Authenticated user
+   * @param {Object} filters - Normalized search criteria
+   */
+  async search(user, filters) {
+    const params = [];
+    const where = this.buildConditions(user, filters, params);
+    const from = 'audit.audit_log a LEFT JOIN users u ON u.id = a.user_id';
+    const sortOrder = filters.sortOrder === 'asc' ? 'ASC' : 'DESC';
+
+    const countResult = await this.db.query(
+      `SELECT COUNT(*) AS total FROM ${from} WHERE ${where}`,
+      params
+    );
+
+    const pageParams = [...params, filters.limit, filters.offset];
+    const result = await this.db.query(
+      `SELECT ${AUDIT_COLUMNS}, u.email AS user_email
+       FROM ${from}
+       WHERE ${where}
+       ORDER BY a.event_timestamp ${sortOrder}
+       LIMIT $${pageParams.length - 1} OFFSET $${pageParams.length}`,
+      pageParams
+    );
+
+    const total = parseInt(countResult.rows[0].total);
+
+    return {
+      logs: result.rows.map(toAuditEntry),
+      total,
+      hasMore: filters.offset + result.rows.length < total
+    };
+  }
+
+  /**
+   * Count events by category, severity and type since a point in time
+   * @param {Object} user - Authenticated user
+   * @param {Date} since - Start of the window
+   */
+  async stats(user, since) {
+    const params = [];
+    const scope = this.scopeClause(user, params);
+    params.push(since);
+    const where = `${scope} AND a.event_timestamp >= $${params.length}`;
+    const from = 'audit.audit_log a LEFT JOIN users u ON u.id = a.user_id';
+
+    const countBy = async (column, limit = null) => {
+      const result = await this.db.query(
+        `SELECT ${column} AS key, COUNT(*) AS count FROM ${from}
+         WHERE ${where}
+         GROUP BY ${column}
+         ORDER BY count DESC
+         ${limit ? `LIMIT ${limit}` : ''}`,
+        params
+      );
+      return result.rows.map((row) => ({ key: row.key, count: parseInt(row.count) }));
+    };
+
+    const toObject = (rows) => Object.fromEntries(rows.map(({ key, count }) => [key, count]));
+
+    const byCategory = await countBy('a.event_category');
+    const bySeverity = await countBy('a.severity_level');
+    const topEventTypes = await countBy('a.event_type', 10);
+
+    return {
+      total: byCategory.reduce((sum, row) => sum + row.count, 0),
+      byCategory: toObject(byCategory),
+      bySeverity: toObject(bySeverity),
+      topEventTypes: topEventTypes.map(({ key, count }) => ({ eventType: key, count }))
+    };
+  }
+}
+
+export default AuditRepository;
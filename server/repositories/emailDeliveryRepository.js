@@ -0,0 +1,141 @@
+/**
+ * RSS Visit Report - Email Delivery Repository
+ * SQL access for email_delivery_log (database/schema/04_audit_security.sql).
+ * One row is kept per recipient so bounces and rejections can be traced
+ * to an address.
+ */
+
+import { withTransaction } from '../db.js';
+
+const DELIVERY_COLUMNS = `
+  id, recipient_email, sender_email, subject, email_type, has_attachments,
+  attachment_count, email_size_bytes, saved_report_id, user_id, status,
+  delivery_attempts, last_attempt_at, delivered_at, error_message,
+  provider_message_id, provider_response, created_at
+`;
+
+/**
+ * Convert a database row to the API representation
+ * @param {Object} row - email_delivery_log row
+ */
+export function toDelivery(row) {
+  const providerResponse = row.provider_response || {};
+
+  return {
+    id: row.id,
+    recipient: row.recipient_email,
+    recipientType: providerResponse.recipientType || 'to',
+    sender: row.sender_email,
+    subject: row.subject,
+    emailType: row.email_type,
+    attachmentCount: row.attachment_count,
+    sizeBytes: row.email_size_bytes,
+    reportId: row.saved_report_id,
+    userId: row.user_id,
+    status: row.status,
+    attempts: row.delivery_attempts,
+    lastAttemptAt: row.last_attempt_at,
+    deliveredAt: row.delivered_at,
+    error: row.error_message,
+    providerMessageId: row.provider_message_id,
+    attemptHistory: providerResponse.attempts || [],
+    createdAt: row.created_at
+  };
+}
+
+class EmailDeliveryRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  /**
+   * Queue one log row per recipient
+   * @param {Object} delivery - { recipients: [{ email, type }], sender, subject,
+   *   emailType, attachmentCount, sizeBytes, reportId, userId }
+   * @returns {Array} Row IDs in recipient order
+   */
+  async createQueued(delivery) {
+    return withTransaction(this.db, async (client) => {
+      const ids = [];
+
+      for (const recipient of delivery.recipients) {
+        const result = await client.query(
+          `INSERT INTO email_delivery_log (
+             recipient_email, sender_email, subject, email_type, has_attachments,
+             attachment_count, email_size_bytes, saved_report_id, user_id, status,
+             provider_response
+           ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, 'queued', $10)
+           RETURNING id`,
+          [
+            recipient.email,
+            delivery.sender,
+            delivery.subject,
+            delivery.emailType,
+            delivery.attachmentCount > 0,
+            delivery.attachmentCount,
+            delivery.sizeBytes,
+            delivery.reportId || null,
+            delivery.userId || null,
+            JSON.stringify({ recipientType: recipient.type, attempts: [] })
+          ]
+        );
+        ids.push(result.rows[0].id);
+      }
+
+      return ids;
+    });
+  }
+
+  /**
+   * Mark rows as being sent for the given attempt number
+   * @param {Array} ids - Delivery row IDs
+   * @param {number} attempt - 1-based attempt number
+   */
+  async markSending(ids, attempt) {
+    const placeholders = ids.map((id, index) => `$${index + 2}`).join(', ');
+
+    await this.db.query(
+      `UPDATE email_delivery_log
+       SET status = 'sending', delivery_attempts = $1, last_attempt_at = NOW()
+       WHERE id IN (${placeholders})`,
+      [attempt, ...ids]
+    );
+  }
+
+  /**
+   * Record the outcome of an attempt for one recipient
+   * @param {string} id - Delivery row ID
+   * @param {Object} outcome - { status, attempts, errorMessage, providerMessageId }
+   */
+  async recordOutcome(id, { status, attempts, errorMessage = null, providerMessageId = null }) {
+    const current = await this.db.query('SELECT provider_response FROM email_delivery_log WHERE id = $1', [id]);
+    const providerResponse = { ...(current.rows[0]?.provider_response || {}), attempts };
+
+    await this.db.query(
+      `UPDATE email_delivery_log
+       SET status = $2,
+           error_message = $3,
+           provider_message_id = COALESCE($4, provider_message_id),
+           delivered_at = CASE WHEN $2 = 'delivered' THEN NOW() ELSE delivered_at END,
+           provider_response = $5
+       WHERE id = $1`,
+      [id, status, errorMessage, providerMessageId, JSON.stringify(providerResponse)]
+    );
+  }
+
+  /**
+   * List deliveries for a saved report, newest first
+   * @param {string} reportId - saved_reports ID
+   */
+  async listForReport(reportId) {
+    const result = await this.db.query(
+      `SELECT ${DELIVERY_COLUMNS} FROM email_delivery_log
+       WHERE saved_report_id = $1
+       ORDER BY created_at DESC`,
+      [reportId]
+    );
+    return result.rows.map(toDelivery);
+  }
+}
+
+export default EmailDeliveryRepository;
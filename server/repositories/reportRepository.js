@@ -0,0 +1,470 @@
+/**
+ * RSS Visit Report - Saved Report Repository
+ * SQL access for the saved_reports, saved_report_versions and
+ * report_status_history tables (database/schema/05_authentication_tables.sql).
+ * Every write that bumps a report's version stores a snapshot of it in the
+ * same transaction.
+ */
+
+import { withTransaction } from '../db.js';
+import { LOCKED_STATUSES, REPORT_LIFECYCLE, REPORT_TRANSITIONS } from '../../src/constants/reportLifecycle.js';
+
+// Roles that may read every report in their organization
+const ORGANIZATION_READ_ROLES = ['admin', 'manager', 'auditor'];
+
+// API sort keys mapped to whitelisted columns
+const SORT_COLUMNS = {
+  updatedAt: 'updated_at',
+  createdAt: 'created_at',
+  submittedAt: 'submitted_at',
+  title: 'title',
+  status: 'status'
+};
+
+const REPORT_COLUMNS = `
+  id, user_id, organization_id, title, description, report_type, status,
+  report_data, location_data, submitted_at, submitted_by, version,
+  is_template, tags, metadata, created_at, updated_at
+`;
+
+/**
+ * Convert a database row to the API representation
+ * @param {Object} row - saved_reports row
+ */
+export function toReport(row) {
+  return {
+    id: row.id,
+    userId: row.user_id,
+    organizationId: row.organization_id,
+    title: row.title,
+    description: row.description,
+    reportType: row.report_type,
+    status: row.status,
+    reportData: row.report_data,
+    locationData: row.location_data,
+    submittedAt: row.submitted_at,
+    submittedBy: row.submitted_by,
+    version: row.version,
+    isTemplate: row.is_template,
+    tags: row.tags || [],
+    metadata: row.metadata || {},
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+const authorOf = (id, row) => {
+  const name = [row.first_name, row.last_name].filter(Boolean).join(' ');
+  return id ? { id, name: name || row.email || null } : null;
+};
+
+/**
+ * Convert a saved_report_versions row (joined with its author) to the API representation
+ * @param {Object} row - Version row
+ */
+export function toReportVersion(row) {
+  return {
+    reportId: row.report_id,
+    version: row.version,
+    title: row.title,
+    status: row.status,
+    changeNote: row.change_note,
+    createdAt: row.created_at,
+    author: authorOf(row.created_by, row),
+    ...(row.report_data !== undefined && { reportData: row.report_data })
+  };
+}
+
+/**
+ * Convert a report_status_history row (joined with its user) to the API representation
+ * @param {Object} row - Status history row
+ */
+export function toStatusChange(row) {
+  return {
+    action: row.action,
+    fromStatus: row.from_status,
+    toStatus: row.to_status,
+    comments: row.comments,
+    changedAt: row.changed_at,
+    changedBy: authorOf(row.changed_by, row)
+  };
+}
+
+class ReportRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  /**
+   * Build the ownership clause for the calling user
+   * @param {Object} user - Authenticated user
+   * @param {Array} params - Query params (mutated)
+   * @param {boolean} forWrite - Whether the caller intends to modify
+   */
+  accessClause(user, params, forWrite = false) {
+    if (user.role === 'admin' || (!forWrite && ORGANIZATION_READ_ROLES.includes(user.role))) {
+      params.push(user.organizationId);
+      return `organization_id = $${params.length}`;
+    }
+
+    params.push(user.id);
+    return `user_id = $${params.length}`;
+  }
+
+  /**
+   * List reports visible to the user
+   * @param {Object} user - Authenticated user
+   * @param {Object} filters - Normalized list filters
+   */
+  async list(user, filters) {
+    const params = [];
+    const conditions = [this.accessClause(user, params)];
+
+    if (filters.status && filters.status !== 'all') {
+      params.push(filters.status);
+      conditions.push(`status = $${params.length}`);
+    }
+
+    if (filters.reportType) {
+      params.push(filters.reportType);
+      conditions.push(`report_type = $${params.length}`);
+    }
+
+    if (filters.search) {
+      params.push(`%${filters.search}%`);
+      conditions.push(`(title ILIKE $${params.length} OR description ILIKE $${params.length})`);
+    }
+
+    if (filters.tags?.length) {
+      params.push(filters.tags);
+      conditions.push(`tags && $${params.length}::text[]`);
+    }
+
+    if (filters.dateFrom) {
+      params.push(filters.dateFrom);
+      conditions.push(`updated_at >= $${params.length}`);
+    }
+
+    if (filters.dateTo) {
+      params.push(filters.dateTo);
+      conditions.push(`updated_at <= $${params.length}`);
+    }
+
+    const where = conditions.join(' AND ');
+    const sortColumn = SORT_COLUMNS[filters.sortBy] || SORT_COLUMNS.updatedAt;
+    const sortOrder = filters.sortOrder === 'asc' ? 'ASC' : 'DESC';
+
+    const countResult = await this.db.query(
+      `SELECT COUNT(*) AS total FROM saved_reports WHERE ${where}`,
+      params
+    );
+
+    const pageParams = [...params, filters.limit, filters.offset];
+    const result = await this.db.query(
+      `SELECT ${REPORT_COLUMNS} FROM saved_reports
+       WHERE ${where}
+       ORDER BY ${sortColumn} ${sortOrder}
+       LIMIT $${pageParams.length - 1} OFFSET $${pageParams.length}`,
+      pageParams
+    );
+
+    const total = parseInt(countResult.rows[0].total);
+
+    return {
+      reports: result.rows.map(toReport),
+      total,
+      hasMore: filters.offset + result.rows.length < total
+    };
+  }
+
+  /**
+   * Find a single report visible to the user
+   * @param {Object} user - Authenticated user
+   * @param {string} reportId - Report ID
+   * @param {boolean} forWrite - Require write access
+   */
+  async findById(user, reportId, forWrite = false) {
+    const params = [reportId];
+    const access = this.accessClause(user, params, forWrite);
+
+    const result = await this.db.query(
+      `SELECT ${REPORT_COLUMNS} FROM saved_reports WHERE id = $1 AND ${access}`,
+      params
+    );
+
+    return result.rows[0] ? toReport(result.rows[0]) : null;
+  }
+
+  /**
+   * Find a single report regardless of owner, for server-side jobs such as
+   * the PDF rendering CLI
+   * @param {string} reportId - Report ID
+   */
+  async findStoredReport(reportId) {
+    const result = await this.db.query(
+      `SELECT ${REPORT_COLUMNS} FROM saved_reports WHERE id = $1`,
+      [reportId]
+    );
+
+    return result.rows[0] ? toReport(result.rows[0]) : null;
+  }
+
+  /**
+   * Insert a new report owned by the user
+   * @param {Object} user - Authenticated user
+   * @param {Object} input - Normalized report input
+   */
+  async create(user, input) {
+    return withTransaction(this.db, async (client) => {
+      const result = await client.query(
+        `INSERT INTO saved_reports (
+           user_id, organization_id, title, description, report_type, status,
+           report_data, location_data, is_template, tags, metadata
+         ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+         RETURNING ${REPORT_COLUMNS}`,
+        [
+          user.id,
+          user.organizationId,
+          input.title,
+          input.description ?? '',
+          input.reportType ?? 'visit',
+          input.status ?? 'draft',
+          JSON.stringify(input.reportData),
+          input.locationData ? JSON.stringify(input.locationData) : null,
+          input.isTemplate ?? false,
+          input.tags ?? [],
+          JSON.stringify(input.metadata ?? {})
+        ]
+      );
+
+      const report = toReport(result.rows[0]);
+      await this.insertVersion(client, report, user.id);
+      return report;
+    });
+  }
+
+  /**
+   * Update a report the user may modify. Only provided fields change;
+   * every update bumps the version. With `input.baseVersion` the update
+   * only applies while the report is still at that version. Reports under
+   * review (or approved) are read-only and are never updated.
+   * @param {Object} user - Authenticated user
+   * @param {string} reportId - Report ID
+   * @param {Object} input - Normalized report input
+   * @param {string} changeNote - Stored with the version snapshot
+   */
+  async update(user, reportId, input, changeNote = null) {
+    const params = [reportId];
+    const assignments = ['version = version + 1', 'updated_at = NOW()'];
+
+    const setField = (column, value) => {
+      params.push(value);
+      assignments.push(`${column} = $${params.length}`);
+    };
+
+    if (input.title !== undefined) setField('title', input.title);
+    if (input.description !== undefined) setField('description', input.description);
+    if (input.reportType !== undefined) setField('report_type', input.reportType);
+    if (input.status !== undefined) setField('status', input.status);
+    if (input.reportData !== undefined) setField('report_data', JSON.stringify(input.reportData));
+    if (input.locationData !== undefined) setField('location_data', JSON.stringify(input.locationData));
+    if (input.isTemplate !== undefined) setField('is_template', input.isTemplate);
+    if (input.tags !== undefined) setField('tags', input.tags);
+    if (input.metadata !== undefined) setField('metadata', JSON.stringify(input.metadata));
+
+    const conditions = [
+      'id = $1',
+      this.accessClause(user, params, true),
+      `status NOT IN (${LOCKED_STATUSES.map((status) => `'${status}'`).join(', ')})`
+    ];
+    if (input.baseVersion !== undefined) {
+      params.push(input.baseVersion);
+      conditions.push(`version = $${params.length}`);
+    }
+
+    return withTransaction(this.db, async (client) => {
+      const result = await client.query(
+        `UPDATE saved_reports SET ${assignments.join(', ')}
+         WHERE ${conditions.join(' AND ')}
+         RETURNING ${REPORT_COLUMNS}`,
+        params
+      );
+
+      if (!result.rows[0]) return null;
+
+      const report = toReport(result.rows[0]);
+      await this.insertVersion(client, report, user.id, changeNote);
+      return report;
+    });
+  }
+
+  /**
+   * Delete a report the user may modify. Like updates, reports under review
+   * (or approved) are never deleted.
+   * @param {Object} user - Authenticated user
+   * @param {string} reportId - Report ID
+   */
+  async remove(user, reportId) {
+    const params = [reportId];
+    const access = this.accessClause(user, params, true);
+
+    const result = await this.db.query(
+      `DELETE FROM saved_reports
+       WHERE id = $1 AND ${access}
+         AND status NOT IN (${LOCKED_STATUSES.map((status) => `'${status}'`).join(', ')})
+       RETURNING id`,
+      params
+    );
+
+    return result.rows.length > 0;
+  }
+
+  /**
+   * Mark a draft report as submitted. Returns null when the report is no
+   * longer a draft (e.g. submitted concurrently from another device).
+   * @param {Object} user - Authenticated user
+   * @param {Object} report - Report as returned by findById
+   * @param {Object} submissionMetadata - Client submission details
+   */
+  async submit(user, report, submissionMetadata = {}) {
+    return this.transition(user, report, 'submit', { submissionMetadata });
+  }
+
+  /**
+   * Move a report along the review workflow (see REPORT_TRANSITIONS),
+   * recording a version snapshot and a status history entry. Returns null
+   * when the report changed status in the meantime.
+   * @param {Object} user - Acting user (access must be checked by the caller)
+   * @param {Object} report - Report as returned by findById
+   * @param {string} action - submit, review, approve or return
+   * @param {Object} options - { comments, submissionMetadata }
+   */
+  async transition(user, report, action, { comments = null, submissionMetadata = null } = {}) {
+    const { to, note } = REPORT_TRANSITIONS[action];
+    const params = [report.id, report.status, to];
+    const assignments = ['status = $3', 'version = version + 1', 'updated_at = NOW()'];
+
+    if (action === 'submit') {
+      params.push(user.id, JSON.stringify({ ...report.metadata, submission: submissionMetadata || {} }));
+      assignments.push('submitted_at = NOW()', `submitted_by = $${params.length - 1}`, `metadata = $${params.length}`);
+    }
+
+    return withTransaction(this.db, async (client) => {
+      const result = await client.query(
+        `UPDATE saved_reports SET ${assignments.join(', ')}
+         WHERE id = $1 AND status = $2
+         RETURNING ${REPORT_COLUMNS}`,
+        params
+      );
+
+      if (!result.rows[0]) return null;
+
+      const updated = toReport(result.rows[0]);
+      await this.insertVersion(client, updated, user.id, note);
+      await client.query(
+        `INSERT INTO report_status_history (report_id, action, from_status, to_status, comments, changed_by)
+         VALUES ($1, $2, $3, $4, $5, $6)`,
+        [report.id, action, report.status, to, comments, user.id]
+      );
+      return updated;
+    });
+  }
+
+  /**
+   * Reports in the user's organization waiting for a reviewer, oldest
+   * submission first
+   * @param {Object} user - Reviewer
+   */
+  async listForReview(user) {
+    const result = await this.db.query(
+      `SELECT r.id, r.title, r.status, r.version, r.submitted_at, r.updated_at, r.user_id,
+              u.first_name, u.last_name, u.email
+       FROM saved_reports r
+       LEFT JOIN users u ON u.id = r.user_id
+       WHERE r.organization_id = $1 AND r.status IN ($2, $3)
+       ORDER BY r.submitted_at ASC`,
+      [user.organizationId, REPORT_LIFECYCLE.SUBMITTED, REPORT_LIFECYCLE.REVIEWED]
+    );
+
+    return result.rows.map((row) => ({
+      id: row.id,
+      title: row.title,
+      status: row.status,
+      version: row.version,
+      submittedAt: row.submitted_at,
+      updatedAt: row.updated_at,
+      author: authorOf(row.user_id, row)
+    }));
+  }
+
+  /**
+   * Status changes of a report, oldest first
+   * @param {string} reportId - Report ID (access must be checked by the caller)
+   */
+  async listStatusHistory(reportId) {
+    const result = await this.db.query(
+      `SELECT h.action, h.from_status, h.to_status, h.comments, h.changed_at, h.changed_by,
+              u.first_name, u.last_name, u.email
+       FROM report_status_history h
+       LEFT JOIN users u ON u.id = h.changed_by
+       WHERE h.report_id = $1
+       ORDER BY h.changed_at ASC`,
+      [reportId]
+    );
+
+    return result.rows.map(toStatusChange);
+  }
+
+  /**
+   * Store a snapshot of a report as it is at its current version
+   * @param {Object} client - Transaction client
+   * @param {Object} report - Report as returned by toReport
+   * @param {string} userId - Author of this version
+   * @param {string} changeNote - Optional note, e.g. 'Restored version 3'
+   */
+  async insertVersion(client, report, userId, changeNote = null) {
+    await client.query(
+      `INSERT INTO saved_report_versions (report_id, version, title, status, report_data, created_by, change_note)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+      [report.id, report.version, report.title, report.status, JSON.stringify(report.reportData), userId, changeNote]
+    );
+  }
+
+  /**
+   * Saved versions of a report, newest first, without their data
+   * @param {string} reportId - Report ID (access must be checked by the caller)
+   */
+  async listVersions(reportId) {
+    const result = await this.db.query(
+      `SELECT v.report_id, v.version, v.title, v.status, v.change_note, v.created_at, v.created_by,
+              u.first_name, u.last_name, u.email
+       FROM saved_report_versions v
+       LEFT JOIN users u ON u.id = v.created_by
+       WHERE v.report_id = $1
+       ORDER BY v.version DESC`,
+      [reportId]
+    );
+
+    return result.rows.map(toReportVersion);
+  }
+
+  /**
+   * One saved version of a report, with its data
+   * @param {string} reportId - Report ID (access must be checked by the caller)
+   * @param {number} version - Version number
+   */
+  async findVersion(reportId, version) {
+    const result = await this.db.query(
+      `SELECT v.report_id, v.version, v.title, v.status, v.report_data, v.change_note, v.created_at, v.created_by,
+              u.first_name, u.last_name, u.email
+       FROM saved_report_versions v
+       LEFT JOIN users u ON u.id = v.created_by
+       WHERE v.report_id = $1 AND v.version = $2`,
+      [reportId, version]
+    );
+
+    return result.rows[0] ? toReportVersion(result.rows[0]) : null;
+  }
+}
+
+export default ReportRepository;
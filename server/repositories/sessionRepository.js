@@ -0,0 +1,96 @@
+/**
+ * RSS Visit Report - Session Repository
+ * SQL access for user_sessions and login_attempts. Tokens are stored as
+ * SHA-256 digests so a database leak does not expose usable credentials.
+ */
+
+import { createHash } from 'crypto';
+
+export const hashToken = (token) => createHash('sha256').update(token).digest('hex');
+
+class SessionRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  /**
+   * Create an active session
+   * @param {Object} session - { id, userId, accessToken, refreshToken, ipAddress, userAgent, expiresAt }
+   */
+  async create(session) {
+    await this.db.query(
+      `INSERT INTO user_sessions (
+         id, user_id, session_token, refresh_token, ip_address, user_agent, expires_at, is_active
+       ) VALUES ($1, $2, $3, $4, $5, $6, $7, true)`,
+      [
+        session.id,
+        session.userId,
+        hashToken(session.accessToken),
+        hashToken(session.refreshToken),
+        session.ipAddress || null,
+        session.userAgent || null,
+        session.expiresAt
+      ]
+    );
+  }
+
+  /**
+   * Find an active, unexpired session
+   * @param {string} sessionId - Session ID
+   */
+  async findActive(sessionId) {
+    const result = await this.db.query(
+      `SELECT id, user_id, session_token, refresh_token, expires_at
+       FROM user_sessions
+       WHERE id = $1 AND is_active = true AND expires_at > NOW()`,
+      [sessionId]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Replace the session's tokens after a refresh
+   * @param {string} sessionId - Session ID
+   * @param {Object} tokens - { accessToken, refreshToken, expiresAt }
+   */
+  async rotate(sessionId, tokens) {
+    await this.db.query(
+      `UPDATE user_sessions
+       SET session_token = $2, refresh_token = $3, expires_at = $4, updated_at = NOW()
+       WHERE id = $1`,
+      [sessionId, hashToken(tokens.accessToken), hashToken(tokens.refreshToken), tokens.expiresAt]
+    );
+  }
+
+  /**
+   * Deactivate a session (logout or detected token reuse)
+   * @param {string} sessionId - Session ID
+   */
+  async deactivate(sessionId) {
+    await this.db.query(
+      `UPDATE user_sessions SET is_active = false, updated_at = NOW() WHERE id = $1`,
+      [sessionId]
+    );
+  }
+
+  /**
+   * Record a login attempt for the audit trail
+   * @param {Object} attempt - { email, ipAddress, userAgent, success, failureReason, sessionId }
+   */
+  async recordLoginAttempt(attempt) {
+    await this.db.query(
+      `INSERT INTO login_attempts (email, ip_address, user_agent, success, failure_reason, session_id)
+       VALUES ($1, $2, $3, $4, $5, $6)`,
+      [
+        attempt.email,
+        attempt.ipAddress || null,
+        attempt.userAgent || null,
+        attempt.success,
+        attempt.failureReason || null,
+        attempt.sessionId || null
+      ]
+    );
+  }
+}
+
+export default SessionRepository;
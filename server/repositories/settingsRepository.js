@@ -0,0 +1,65 @@
+/**
+ * RSS Visit Report - Organization Settings Repository
+ * SQL access for organization_settings (database/schema/05_authentication_tables.sql).
+ * One JSON value is kept per organization and setting key.
+ */
+
+// Stored setting keys
+export const SETTING_KEYS = {
+  emailRecipients: 'email_recipients',
+  pdfProfiles: 'pdf_profiles'
+};
+
+/**
+ * Convert a database row to the API representation
+ * @param {Object} row - organization_settings row
+ */
+export function toSetting(row) {
+  return {
+    key: row.setting_key,
+    value: row.value,
+    updatedBy: row.updated_by,
+    updatedAt: row.updated_at
+  };
+}
+
+class SettingsRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  /**
+   * One setting of an organization
+   * @param {string} organizationId - Organization ID
+   * @param {string} key - Setting key
+   * @returns {Object|null} Setting, or null if it was never saved
+   */
+  async find(organizationId, key) {
+    const result = await this.db.query(
+      `SELECT setting_key, value, updated_by, updated_at FROM organization_settings
+       WHERE organization_id = $1 AND setting_key = $2`,
+      [organizationId, key]
+    );
+    return result.rows[0] ? toSetting(result.rows[0]) : null;
+  }
+
+  /**
+   * Create or replace a setting
+   * @param {Object} user - Caller ({ id, organizationId })
+   * @param {string} key - Setting key
+   * @param {*} value - JSON value
+   */
+  async save(user, key, value) {
+    const result = await this.db.query(
+      `INSERT INTO organization_settings (organization_id, setting_key, value, updated_by, updated_at)
+       VALUES ($1, $2, $3, $4, NOW())
+       ON CONFLICT (organization_id, setting_key)
+       DO UPDATE SET value = EXCLUDED.value, updated_by = EXCLUDED.updated_by, updated_at = NOW()
+       RETURNING setting_key, value, updated_by, updated_at`,
+      [user.organizationId, key, JSON.stringify(value), user.id]
+    );
+    return toSetting(result.rows[0]);
+  }
+}
+
+export default SettingsRepository;
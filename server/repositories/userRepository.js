@@ -0,0 +1,81 @@
+/**
+ * RSS Visit Report - User Repository
+ * SQL access for local accounts and their lockout state
+ */
+
+const USER_COLUMNS = `
+  id, email, password_hash, first_name, last_name, role, organization_id,
+  is_active, last_login, failed_login_attempts, locked_until
+`;
+
+class UserRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  /**
+   * Find a user by email (case-insensitive)
+   * @param {string} email - Login email
+   */
+  async findByEmail(email) {
+    const result = await this.db.query(
+      `SELECT ${USER_COLUMNS} FROM users WHERE LOWER(email) = LOWER($1)`,
+      [email]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Find a user by ID
+   * @param {string} userId - User ID
+   */
+  async findById(userId) {
+    const result = await this.db.query(
+      `SELECT ${USER_COLUMNS} FROM users WHERE id = $1`,
+      [userId]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Count a failed password and lock the account once the limit is reached.
+   * The count is incremented in SQL so parallel attempts each add one.
+   * @param {Object} user - User row
+   * @param {Object} policy - { maxLoginAttempts, lockoutDurationMs }
+   * @returns {Object} Updated { failed_login_attempts, locked_until }
+   */
+  async recordFailedLogin(user, policy) {
+    const result = await this.db.query(
+      `UPDATE users
+       SET failed_login_attempts = CASE
+             WHEN COALESCE(failed_login_attempts, 0) + 1 >= $2 THEN 0
+             ELSE COALESCE(failed_login_attempts, 0) + 1
+           END,
+           locked_until = CASE
+             WHEN COALESCE(failed_login_attempts, 0) + 1 >= $2 THEN $3::timestamptz
+             WHEN locked_until > NOW() THEN locked_until
+             ELSE NULL
+           END,
+           updated_at = NOW()
+       WHERE id = $1
+       RETURNING failed_login_attempts, locked_until`,
+      [user.id, policy.maxLoginAttempts, new Date(Date.now() + policy.lockoutDurationMs)]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Clear lockout state and stamp the login time
+   * @param {string} userId - User ID
+   */
+  async recordSuccessfulLogin(userId) {
+    await this.db.query(
+      `UPDATE users
+       SET failed_login_attempts = 0, locked_until = NULL, last_login = NOW(), updated_at = NOW()
+       WHERE id = $1`,
+      [userId]
+    );
+  }
+}
+
+export default UserRepository;
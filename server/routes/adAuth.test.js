@@ -0,0 +1,166 @@
+import { describe, test, expect, beforeAll, afterAll, beforeEach, afterEach } from 'vitest';
+import { testConfig, createTestDb, seedUser, signAccessToken, startTestServer } from '../test/testServer.js';
+import {
+  startLdapStandIn,
+  STAND_IN_BASE_DN,
+  STAND_IN_BIND_DN,
+  STAND_IN_BIND_PASSWORD
+} from '../test/ldapStandIn.js';
+
+const GROUPS = {
+  admins: 'CN=RSS-Admins,OU=Groups,DC=company,DC=local',
+  technicians: 'CN=RSS-Technicians,OU=Groups,DC=company,DC=local',
+  users: 'CN=RSS-Users,OU=Groups,DC=company,DC=local'
+};
+
+describe('Active Directory auth API', () => {
+  let directory;
+  let db;
+  let server;
+
+  beforeAll(async () => {
+    directory = await startLdapStandIn([
+      {
+        sAMAccountName: 'jsmith',
+        password: 'Dir-Pass-1',
+        mail: 'jsmith@company.local',
+        givenName: 'Jamie',
+        sn: 'Smith',
+        memberOf: [GROUPS.technicians, GROUPS.admins]
+      },
+      {
+        sAMAccountName: 'viewer1',
+        password: 'Dir-Pass-2',
+        givenName: 'Vic',
+        sn: 'Ewer',
+        memberOf: [GROUPS.users, 'CN=Unmapped,OU=Groups,DC=company,DC=local']
+      }
+    ]);
+  });
+
+  afterAll(async () => {
+    await directory.close();
+  });
+
+  beforeEach(async () => {
+    db = createTestDb();
+    server = await startTestServer(db, {
+      config: {
+        ...testConfig,
+        ad: {
+          ...testConfig.ad,
+          enabled: true,
+          url: directory.url,
+          baseDN: STAND_IN_BASE_DN,
+          bindDN: STAND_IN_BIND_DN,
+          bindPassword: STAND_IN_BIND_PASSWORD
+        }
+      }
+    });
+  });
+
+  afterEach(async () => {
+    await server.close();
+  });
+
+  const adLogin = (username, password) => server.request('/auth/ad-login', {
+    method: 'POST',
+    body: { username, password, domain: 'COMPANY' }
+  });
+
+  test('binds as the user, maps groups by precedence and links ad_user_mapping', async () => {
+    const { status, data } = await adLogin('COMPANY\\jsmith', 'Dir-Pass-1');
+
+    expect(status).toBe(200);
+    expect(data.success).toBe(true);
+    expect(data.role).toBe('admin');
+    expect(data.token).toBeTruthy();
+    expect(data.user).toMatchObject({ sAMAccountName: 'jsmith', mail: 'jsmith@company.local' });
+    expect(data.groups.map((group) => group.cn)).toEqual(['RSS-Technicians', 'RSS-Admins']);
+
+    const mapping = await db.query('SELECT * FROM ad_user_mapping WHERE user_id = $1', [data.userId]);
+    expect(mapping.rows[0]).toMatchObject({ ad_domain: 'company.local', ad_username: 'jsmith' });
+
+    const validated = await server.request('/auth/validate-session', { method: 'POST', token: data.token });
+    expect(validated.data).toMatchObject({ valid: true, user: { id: data.userId, role: 'admin' } });
+  });
+
+  test('stores the viewer role as readonly and reuses the mapping on the next login', async () => {
+    const first = await adLogin('viewer1', 'Dir-Pass-2');
+    const second = await adLogin('viewer1@company.local', 'Dir-Pass-2');
+
+    expect(first.data.role).toBe('viewer');
+    expect(second.data.userId).toBe(first.data.userId);
+
+    const user = await db.query('SELECT email, role FROM users WHERE id = $1', [first.data.userId]);
+    expect(user.rows[0]).toEqual({ email: 'viewer1@company.local', role: 'readonly' });
+  });
+
+  test('rejects wrong and empty passwords and records the attempts', async () => {
+    expect((await adLogin('jsmith', 'wrong')).status).toBe(401);
+    expect((await adLogin('nobody', 'Dir-Pass-1')).status).toBe(401);
+
+    // An empty password would otherwise be an anonymous bind, which LDAP accepts
+    const emptyPassword = await server.request('/auth/ad-login', {
+      method: 'POST',
+      body: { username: 'jsmith', password: '' }
+    });
+    expect(emptyPassword.status).toBe(400);
+
+    const attempts = await db.query('SELECT email, failure_reason FROM login_attempts WHERE success = false');
+    expect(attempts.rows).toHaveLength(2);
+    expect(attempts.rows[0]).toEqual({ email: 'jsmith@company.local', failure_reason: 'invalid_credentials' });
+  });
+
+  test('limits directory lookups to the linked account unless admin', async () => {
+    const { data } = await adLogin('viewer1', 'Dir-Pass-2');
+
+    const own = await server.request('/auth/ad-user-groups', {
+      method: 'POST',
+      token: data.token,
+      body: { username: 'viewer1' }
+    });
+    expect(own.status).toBe(200);
+    expect(own.data.groups).toHaveLength(2);
+
+    const other = await server.request('/auth/ad-refresh-user', {
+      method: 'POST',
+      token: data.token,
+      body: { username: 'jsmith' }
+    });
+    expect(other.status).toBe(403);
+
+    const admin = await seedUser(db, { role: 'admin' });
+    const asAdmin = await server.request('/auth/ad-refresh-user', {
+      method: 'POST',
+      token: signAccessToken(admin),
+      body: { username: 'jsmith' }
+    });
+    expect(asAdmin.status).toBe(200);
+    expect(asAdmin.data.role).toBe('admin');
+  });
+
+  test('ignores client-supplied ldapConfig and reports connection status to admins only', async () => {
+    const anonymous = await server.request('/auth/ad-test-connection', { method: 'POST', body: {} });
+    expect(anonymous.status).toBe(401);
+
+    const technician = await seedUser(db, { role: 'technician' });
+    const denied = await server.request('/auth/ad-test-connection', {
+      method: 'POST',
+      token: signAccessToken(technician),
+      body: {}
+    });
+    expect(denied.status).toBe(403);
+
+    const admin = await seedUser(db, { role: 'admin' });
+    const { status, data } = await server.request('/auth/ad-test-connection', {
+      method: 'POST',
+      token: signAccessToken(admin),
+      body: { ldapConfig: { url: 'ldap://attacker.invalid:389' } }
+    });
+
+    expect(status).toBe(200);
+    expect(data.success).toBe(true);
+    expect(data).not.toHaveProperty('ldapConfig');
+  });
+});
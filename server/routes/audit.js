@@ -0,0 +1,287 @@
+/**
+ * RSS Visit Report - Audit API
+ * Batch ingest for auditService.flushLogs plus search and statistics
+ * for auditors and administrators
+ */
+
+import { randomUUID } from 'crypto';
+import { Router } from 'express';
+import { requireRole } from '../middleware/authenticate.js';
+import { verifyAuditChain } from '../utils/auditChain.js';
+import { asyncHandler, ValidationError } from '../utils/httpErrors.js';
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// auditService uses low/medium/high; audit.audit_log only allows these levels
+const SEVERITY_LEVELS = {
+  debug: 'debug',
+  info: 'info',
+  low: 'info',
+  medium: 'warning',
+  warning: 'warning',
+  high: 'error',
+  error: 'error',
+  critical: 'critical'
+};
+
+// Events accepted without a session, e.g. failed logins before sign-in
+const ANONYMOUS_CATEGORIES = ['authentication', 'security'];
+
+const LOGIN_OPERATIONS = {
+  login_success: 'LOGIN',
+  logout: 'LOGOUT',
+  login_failed: 'FAILED_LOGIN'
+};
+
+const ACTION_OPERATIONS = {
+  create: 'INSERT',
+  edit: 'UPDATE',
+  update: 'UPDATE',
+  delete: 'DELETE',
+  view: 'SELECT'
+};
+
+const STATS_RANGES = {
+  '1h': 60 * 60 * 1000,
+  '24h': 24 * 60 * 60 * 1000,
+  '7d': 7 * 24 * 60 * 60 * 1000,
+  '30d': 30 * 24 * 60 * 60 * 1000,
+  '90d': 90 * 24 * 60 * 60 * 1000
+};
+
+const MAX_BATCH_SIZE = 500;
+const MAX_PAGE_SIZE = 200;
+
+// Client clocks drift; anything further ahead than this uses server time
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const isShortString = (value, max) => typeof value === 'string' && value.length > 0 && value.length <= max;
+
+/**
+ * Parse old/new values, which createAuditTrail sends as JSON strings
+ * @param {*} value - Raw value
+ */
+function parseValues(value) {
+  if (value === null || value === undefined || value === '') return null;
+
+  if (typeof value === 'string') {
+    try {
+      return JSON.parse(value);
+    } catch {
+      return { value };
+    }
+  }
+
+  return value;
+}
+
+/**
+ * List top-level fields that differ between two value snapshots
+ * @param {*} oldValues - Previous state
+ * @param {*} newValues - New state
+ */
+export function diffFields(oldValues, newValues) {
+  if (!isPlainObject(oldValues) && !isPlainObject(newValues)) return [];
+
+  const before = isPlainObject(oldValues) ? oldValues : {};
+  const after = isPlainObject(newValues) ? newValues : {};
+  const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+
+  return [...keys]
+    .filter((key) => JSON.stringify(before[key]) !== JSON.stringify(after[key]))
+    .sort();
+}
+
+/**
+ * Derive the audit_log operation from an event type
+ * @param {string} eventType - e.g. login_failed, data_edit, report_delete
+ */
+function toOperation(eventType) {
+  if (LOGIN_OPERATIONS[eventType]) return LOGIN_OPERATIONS[eventType];
+  const action = eventType.split('_').pop();
+  return ACTION_OPERATIONS[action] || null;
+}
+
+/**
+ * Resolve the event time, falling back to server time for bad or future values
+ * @param {string} timestamp - Client timestamp
+ * @param {Date} receivedAt - Server receive time
+ */
+function toEventTime(timestamp, receivedAt) {
+  const parsed = Date.parse(timestamp);
+  if (Number.isNaN(parsed) || parsed > receivedAt.getTime() + MAX_CLOCK_SKEW_MS) {
+    return receivedAt;
+  }
+  return new Date(parsed);
+}
+
+/**
+ * Validate and normalize one client audit entry. Identity, session and
+ * network fields come from the request, never from the client payload.
+ * @param {Object} entry - Entry from auditService.logEvent
+ * @param {Object} context - { user, ipAddress, userAgent, batchId, receivedAt }
+ * @returns {Object|null} Normalized entry, or null if the entry is unusable
+ */
+export function normalizeAuditEntry(entry, context) {
+  if (!isPlainObject(entry) || !isShortString(entry.eventType, 50) || !isShortString(entry.eventCategory, 50)) {
+    return null;
+  }
+
+  if (!context.user && !ANONYMOUS_CATEGORIES.includes(entry.eventCategory)) {
+    return null;
+  }
+
+  const oldValues = parseValues(entry.oldValues);
+  const newValues = parseValues(entry.newValues);
+  const resourceId = entry.resourceId === null || entry.resourceId === undefined ? null : String(entry.resourceId);
+  const metadata = isPlainObject(entry.metadata) ? entry.metadata : {};
+
+  return {
+    eventId: randomUUID(),
+    eventType: entry.eventType,
+    eventCategory: entry.eventCategory,
+    severity: SEVERITY_LEVELS[entry.severity] || 'info',
+    resourceType: isShortString(entry.resourceType, 100) ? entry.resourceType : null,
+    // record_id is a UUID column; local report IDs are kept in metadata
+    recordId: resourceId && UUID_PATTERN.test(resourceId) ? resourceId : null,
+    operation: toOperation(entry.eventType),
+    userId: context.user?.id || null,
+    sessionId: context.user?.sessionId || null,
+    ipAddress: context.ipAddress || null,
+    userAgent: context.userAgent || (typeof entry.userAgent === 'string' ? entry.userAgent : null),
+    oldValues,
+    newValues,
+    changedFields: diffFields(oldValues, newValues),
+    requestMethod: null,
+    requestPath: typeof metadata.url === 'string' ? metadata.url.slice(0, 2000) : null,
+    message: typeof entry.message === 'string' ? entry.message.slice(0, 2000) : null,
+    metadata: {
+      ...metadata,
+      details: isPlainObject(entry.details) ? entry.details : {},
+      clientSeverity: entry.severity || null,
+      clientTimestamp: entry.timestamp || null,
+      userId: context.user?.id || null,
+      username: context.user?.email || (typeof entry.username === 'string' ? entry.username : null),
+      resourceId,
+      batchId: context.batchId || null
+    },
+    timestamp: toEventTime(entry.timestamp, context.receivedAt)
+  };
+}
+
+const toList = (value) => {
+  if (value === undefined || value === null || value === '') return [];
+  return (Array.isArray(value) ? value : String(value).split(',')).map((item) => String(item).trim()).filter(Boolean);
+};
+
+/**
+ * Validate and normalize search criteria from auditService.searchAuditLogs
+ * @param {Object} criteria - Request body
+ */
+export function normalizeSearchCriteria(criteria = {}) {
+  if (!isPlainObject(criteria)) {
+    throw new ValidationError('Search criteria must be an object');
+  }
+
+  const userId = criteria.userId || null;
+  if (userId && !UUID_PATTERN.test(userId)) {
+    throw new ValidationError('userId must be a UUID', { field: 'userId' });
+  }
+
+  const severities = toList(criteria.severity).map((severity) => {
+    const level = SEVERITY_LEVELS[severity];
+    if (!level) {
+      throw new ValidationError(`Unknown severity: ${severity}`, { field: 'severity' });
+    }
+    return level;
+  });
+
+  for (const field of ['startDate', 'endDate']) {
+    if (criteria[field] && Number.isNaN(Date.parse(criteria[field]))) {
+      throw new ValidationError(`${field} must be a valid date`, { field });
+    }
+  }
+
+  const resourceId = criteria.resourceId ? String(criteria.resourceId) : null;
+  const limit = Math.min(Math.max(parseInt(criteria.limit) || 50, 1), MAX_PAGE_SIZE);
+  const page = parseInt(criteria.page);
+  const offset = page > 0 ? (page - 1) * limit : Math.max(parseInt(criteria.offset) || 0, 0);
+
+  return {
+    userId,
+    username: criteria.username ? String(criteria.username) : null,
+    eventCategories: toList(criteria.eventCategory),
+    eventTypes: toList(criteria.eventType),
+    severities: [...new Set(severities)],
+    resourceType: criteria.resourceType || null,
+    recordId: resourceId && UUID_PATTERN.test(resourceId) ? resourceId : null,
+    resourceKey: resourceId && !UUID_PATTERN.test(resourceId) ? resourceId : null,
+    startDate: criteria.startDate || null,
+    endDate: criteria.endDate || null,
+    sortOrder: criteria.sortOrder === 'asc' ? 'asc' : 'desc',
+    limit,
+    offset
+  };
+}
+
+/**
+ * Create the /audit router
+ * @param {Object} deps - { auditRepository, chainSecret, authenticate, optionalAuthenticate }
+ */
+export function createAuditRouter({ auditRepository, chainSecret = null, authenticate, optionalAuthenticate }) {
+  const router = Router();
+
+  const canReadAudit = requireRole('admin', 'auditor');
+
+  router.post('/batch-log', optionalAuthenticate, asyncHandler(async (req, res) => {
+    const logs = req.body?.logs;
+    if (!Array.isArray(logs) || logs.length > MAX_BATCH_SIZE) {
+      throw new ValidationError(`logs must be an array of at most ${MAX_BATCH_SIZE} entries`, { field: 'logs' });
+    }
+
+    const context = {
+      user: req.user || null,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent') || null,
+      batchId: typeof req.body.batchId === 'string' ? req.body.batchId.slice(0, 100) : null,
+      receivedAt: new Date()
+    };
+
+    // Unusable entries are dropped rather than failing the batch, otherwise
+    // auditService would requeue them on every flush
+    const entries = logs.map((entry) => normalizeAuditEntry(entry, context)).filter(Boolean);
+
+    const accepted = entries.length > 0 ? await auditRepository.insertMany(entries) : 0;
+
+    res.status(201).json({ success: true, accepted, rejected: logs.length - accepted });
+  }));
+
+  router.post('/search', authenticate, canReadAudit, asyncHandler(async (req, res) => {
+    const filters = normalizeSearchCriteria(req.body || {});
+    const result = await auditRepository.search(req.user, filters);
+
+    res.json({ success: true, ...result });
+  }));
+
+  router.get('/stats', authenticate, canReadAudit, asyncHandler(async (req, res) => {
+    const range = req.query.range || '24h';
+    if (!STATS_RANGES[range]) {
+      throw new ValidationError(`range must be one of: ${Object.keys(STATS_RANGES).join(', ')}`, { field: 'range' });
+    }
+
+    const since = new Date(Date.now() - STATS_RANGES[range]);
+    const stats = await auditRepository.stats(req.user, since);
+
+    res.json({ success: true, range, since: since.toISOString(), ...stats });
+  }));
+
+  router.get('/verify', authenticate, requireRole('admin'), asyncHandler(async (req, res) => {
+    const result = await verifyAuditChain(auditRepository, { secret: chainSecret });
+
+    res.json({ success: true, verifiedAt: new Date().toISOString(), ...result });
+  }));
+
+  return router;
+}
@@ -0,0 +1,205 @@
+import { describe, test, expect, beforeEach, afterEach } from 'vitest';
+import { createTestDb, seedUser, signAccessToken, startTestServer } from '../test/testServer.js';
+
+const auditEntry = (overrides = {}) => ({
+  timestamp: new Date().toISOString(),
+  eventType: 'report_edit',
+  eventCategory: 'data_access',
+  severity: 'info',
+  userId: 'spoofed-user',
+  username: 'spoofed',
+  resourceType: 'report',
+  resourceId: 'report_1700000000000',
+  message: 'Data access: report_edit report',
+  details: {},
+  metadata: { url: 'http://localhost:5173/summary' },
+  ...overrides
+});
+
+describe('audit API', () => {
+  let db;
+  let server;
+  let technician;
+  let auditor;
+
+  const ingest = (logs, token) => server.request('/audit/batch-log', {
+    method: 'POST',
+    token,
+    body: { logs, batchId: 'batch_test', clientTimestamp: new Date().toISOString() }
+  });
+
+  const search = (criteria, token = signAccessToken(auditor)) => server.request('/audit/search', {
+    method: 'POST',
+    token,
+    body: criteria
+  });
+
+  beforeEach(async () => {
+    db = createTestDb();
+    server = await startTestServer(db);
+    technician = await seedUser(db, { role: 'technician' });
+    auditor = await seedUser(db, { role: 'auditor', organization_id: technician.organizationId });
+  });
+
+  afterEach(async () => {
+    await server.close();
+  });
+
+  test('persists a batch with the caller identity, mapped severity and changed fields', async () => {
+    const { status, data } = await ingest([
+      auditEntry({
+        eventType: 'report_edit',
+        severity: 'medium',
+        oldValues: JSON.stringify({ office: 'Austin', status: 'draft', notes: 'a' }),
+        newValues: JSON.stringify({ office: 'Austin', status: 'submitted', notes: 'b' })
+      }),
+      { eventType: 'missing_category' }
+    ], signAccessToken(technician));
+
+    expect(status).toBe(201);
+    expect(data).toEqual({ success: true, accepted: 1, rejected: 1 });
+
+    const { rows } = await db.query('SELECT * FROM audit.audit_log');
+    expect(rows).toHaveLength(1);
+    expect(rows[0]).toMatchObject({
+      user_id: technician.id,
+      severity_level: 'warning',
+      operation: 'UPDATE',
+      table_name: 'report',
+      record_id: null,
+      changed_fields: ['notes', 'status']
+    });
+    expect(rows[0].new_values).toEqual({ office: 'Austin', status: 'submitted', notes: 'b' });
+    expect(rows[0].metadata.resourceId).toBe('report_1700000000000');
+  });
+
+  test('accepts only authentication and security events without a session', async () => {
+    const { data } = await ingest([
+      auditEntry({ eventType: 'login_failed', eventCategory: 'authentication', severity: 'medium' }),
+      auditEntry({ eventType: 'user_page_navigation', eventCategory: 'user_activity' })
+    ]);
+
+    expect(data).toMatchObject({ accepted: 1, rejected: 1 });
+
+    const { rows } = await db.query('SELECT user_id, operation FROM audit.audit_log');
+    expect(rows).toEqual([{ user_id: null, operation: 'FAILED_LOGIN' }]);
+  });
+
+  test('filters by user, category, severity, resource and date range with pagination', async () => {
+    const token = signAccessToken(technician);
+    const hourAgo = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+
+    await ingest([
+      auditEntry({ timestamp: hourAgo, resourceId: 'report_a' }),
+      auditEntry({ resourceId: 'report_a', severity: 'high', eventType: 'report_delete' }),
+      auditEntry({ resourceId: 'report_b' }),
+      auditEntry({ eventType: 'login_success', eventCategory: 'authentication', resourceType: 'session', resourceId: null })
+    ], token);
+
+    const byResource = await search({ resourceType: 'report', resourceId: 'report_a' });
+    expect(byResource.status).toBe(200);
+    expect(byResource.data.total).toBe(2);
+
+    const bySeverity = await search({ severity: 'high' });
+    expect(bySeverity.data.logs.map((log) => log.eventType)).toEqual(['report_delete']);
+
+    const recent = await search({ userId: technician.id, eventCategory: 'data_access', startDate: new Date(Date.now() - 60000).toISOString() });
+    expect(recent.data.total).toBe(2);
+
+    const page = await search({ limit: 3, page: 2 });
+    expect(page.data).toMatchObject({ total: 4, hasMore: false });
+    expect(page.data.logs).toHaveLength(1);
+    expect(page.data.logs[0].username).toBe(technician.email);
+  });
+
+  test('limits search and stats to auditors and admins in the same organization', async () => {
+    await ingest([auditEntry(), auditEntry({ severity: 'high', eventType: 'report_delete' })], signAccessToken(technician));
+
+    expect((await search({}, signAccessToken(technician))).status).toBe(403);
+
+    const outsider = await seedUser(db, { role: 'admin' });
+    expect((await search({}, signAccessToken(outsider))).data.total).toBe(0);
+
+    const stats = await server.request('/audit/stats?range=7d', { token: signAccessToken(auditor) });
+    expect(stats.status).toBe(200);
+    expect(stats.data).toMatchObject({
+      range: '7d',
+      total: 2,
+      byCategory: { data_access: 2 },
+      bySeverity: { info: 1, error: 1 }
+    });
+
+    const badRange = await server.request('/audit/stats?range=1y', { token: signAccessToken(auditor) });
+    expect(badRange.status).toBe(400);
+  });
+});
+
+describe('audit hash chain', () => {
+  let db;
+  let server;
+  let admin;
+
+  const verify = (token = signAccessToken(admin)) => server.request('/audit/verify', { token });
+
+  beforeEach(async () => {
+    db = createTestDb();
+    server = await startTestServer(db);
+    admin = await seedUser(db, { role: 'admin' });
+
+    const token = signAccessToken(admin);
+    for (let batch = 0; batch < 2; batch += 1) {
+      await server.request('/audit/batch-log', {
+        method: 'POST',
+        token,
+        body: { logs: [auditEntry({ resourceId: `report_${batch}a` }), auditEntry({ resourceId: `report_${batch}b` })] }
+      });
+    }
+  });
+
+  afterEach(async () => {
+    await server.close();
+  });
+
+  test('links each record to the previous one across batches', async () => {
+    const { rows } = await db.query('SELECT chain_seq, previous_hash, record_hash FROM audit.audit_log ORDER BY chain_seq');
+
+    expect(rows.map((row) => Number(row.chain_seq))).toEqual([1, 2, 3, 4]);
+    expect(rows[0].previous_hash).toBe('0'.repeat(64));
+    rows.slice(1).forEach((row, index) => expect(row.previous_hash).toBe(rows[index].record_hash));
+
+    const { status, data } = await verify();
+    expect(status).toBe(200);
+    expect(data).toMatchObject({ valid: true, checked: 4, firstBrokenLink: null });
+  });
+
+  test('reports the first edited record', async () => {
+    await db.query(`UPDATE audit.audit_log SET description = 'nothing to see' WHERE chain_seq = 3`);
+    await db.query(`UPDATE audit.audit_log SET severity_level = 'debug' WHERE chain_seq = 4`);
+
+    const { data } = await verify();
+    expect(data).toMatchObject({ valid: false, checked: 2, firstBrokenLink: { chainSeq: 3, reason: 'record_modified' } });
+  });
+
+  test('reports deleted records, including the newest ones', async () => {
+    await db.query('DELETE FROM audit.audit_log WHERE chain_seq = 2');
+    expect((await verify()).data.firstBrokenLink).toMatchObject({ chainSeq: 3, reason: 'missing_records', expectedSeq: 2 });
+
+    const fresh = createTestDb();
+    await server.close();
+    server = await startTestServer(fresh);
+    admin = await seedUser(fresh, { role: 'admin' });
+    await server.request('/audit/batch-log', {
+      method: 'POST',
+      token: signAccessToken(admin),
+      body: { logs: [auditEntry(), auditEntry()] }
+    });
+    await fresh.query('DELETE FROM audit.audit_log WHERE chain_seq = 2');
+
+    expect((await verify()).data.firstBrokenLink).toMatchObject({ chainSeq: 2, reason: 'missing_records', missingCount: 1 });
+  });
+
+  test('is only available to administrators', async () => {
+    const auditor = await seedUser(db, { role: 'auditor' });
+    expect((await verify(signAccessToken(auditor))).status).toBe(403);
+  });
+});
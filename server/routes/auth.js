@@ -0,0 +1,119 @@
+/**
+ * RSS Visit Report - Authentication API
+ * Local account endpoints called by enhancedAuthService.v2 and the
+ * Active Directory endpoints called by adAuthService
+ */
+
+import { Router } from 'express';
+import rateLimit from 'express-rate-limit';
+import { requireRole } from '../middleware/authenticate.js';
+import { asyncHandler, ValidationError } from '../utils/httpErrors.js';
+
+/**
+ * Validate login input the same way EnhancedAuthService.validateLoginInput does
+ * @param {Object} body - Request body
+ */
+function parseLoginBody(body) {
+  const { username, password, rememberMe } = body || {};
+
+  if (typeof username !== 'string' || !username.trim() || username.length > 100) {
+    throw new ValidationError('Username is required', { field: 'username' });
+  }
+
+  if (typeof password !== 'string' || password.length === 0 || password.length > 200) {
+    throw new ValidationError('Password is required', { field: 'password' });
+  }
+
+  return { username, password, rememberMe: Boolean(rememberMe) };
+}
+
+/**
+ * Read the account name for directory lookups
+ * @param {Object} body - Request body
+ */
+function parseDirectoryUsername(body) {
+  const username = body?.username;
+  if (typeof username !== 'string' || !username.trim() || username.length > 100) {
+    throw new ValidationError('Username is required', { field: 'username' });
+  }
+  return username.trim();
+}
+
+const requestContext = (req) => ({
+  ipAddress: req.ip,
+  userAgent: req.get('User-Agent') || null
+});
+
+/**
+ * Create the /auth router
+ * @param {Object} deps - { config, localAuthService, directoryAuthService, authenticate }
+ */
+export function createAuthRouter({ config, localAuthService, directoryAuthService, authenticate }) {
+  const router = Router();
+
+  const loginLimiter = rateLimit({
+    windowMs: config.http.rateLimitWindowMs,
+    limit: config.auth.loginRateLimitMax,
+    standardHeaders: 'draft-7',
+    legacyHeaders: false,
+    message: { success: false, error: 'Too many login attempts. Please try again later.' }
+  });
+
+  router.post('/login', loginLimiter, asyncHandler(async (req, res) => {
+    const credentials = parseLoginBody(req.body);
+    const result = await localAuthService.login(credentials, requestContext(req));
+
+    res.json(result);
+  }));
+
+  router.post('/refresh', asyncHandler(async (req, res) => {
+    const refreshToken = req.body?.refresh_token;
+    if (typeof refreshToken !== 'string' || !refreshToken) {
+      throw new ValidationError('refresh_token is required', { field: 'refresh_token' });
+    }
+
+    res.json(await localAuthService.refresh(refreshToken));
+  }));
+
+  router.post('/validate', authenticate, asyncHandler(async (req, res) => {
+    res.json(await localAuthService.validate(req.user, req.accessToken));
+  }));
+
+  router.post('/logout', authenticate, asyncHandler(async (req, res) => {
+    res.json(await localAuthService.logout(req.user));
+  }));
+
+  // Active Directory. Any ldapConfig sent by older clients is ignored:
+  // the server only ever uses its own directory settings.
+  router.post('/ad-login', loginLimiter, asyncHandler(async (req, res) => {
+    const credentials = parseLoginBody(req.body);
+    res.json(await directoryAuthService.login(credentials, requestContext(req)));
+  }));
+
+  // Binds with the service account, so only admins may run it
+  router.post('/ad-test-connection', authenticate, requireRole('admin'), asyncHandler(async (req, res) => {
+    res.json(await directoryAuthService.testConnection());
+  }));
+
+  router.post('/ad-refresh-user', authenticate, asyncHandler(async (req, res) => {
+    res.json(await directoryAuthService.refreshUser(req.user, parseDirectoryUsername(req.body)));
+  }));
+
+  router.post('/ad-user-groups', authenticate, asyncHandler(async (req, res) => {
+    res.json(await directoryAuthService.getUserGroups(req.user, parseDirectoryUsername(req.body)));
+  }));
+
+  router.post('/sync-ad-user', authenticate, asyncHandler(async (req, res) => {
+    res.json(await directoryAuthService.syncCurrentUser(req.user));
+  }));
+
+  router.post('/validate-session', authenticate, asyncHandler(async (req, res) => {
+    res.json(await localAuthService.validate(req.user, req.accessToken));
+  }));
+
+  router.post('/ad-logout', authenticate, asyncHandler(async (req, res) => {
+    res.json(await localAuthService.logout(req.user));
+  }));
+
+  return router;
+}
@@ -0,0 +1,117 @@
+import { describe, test, expect, beforeEach, afterEach } from 'vitest';
+import bcrypt from 'bcryptjs';
+import { createTestDb, seedUser, startTestServer } from '../test/testServer.js';
+
+const PASSWORD = 'Correct-Horse-9';
+
+describe('auth API', () => {
+  let db;
+  let server;
+  let user;
+
+  const login = (password = PASSWORD, username = user.email) => server.request('/auth/login', {
+    method: 'POST',
+    body: { username, password, rememberMe: false, clientFingerprint: 'test' }
+  });
+
+  beforeEach(async () => {
+    db = createTestDb();
+    server = await startTestServer(db);
+    user = await seedUser(db, {
+      email: 'tech@example.com',
+      password_hash: await bcrypt.hash(PASSWORD, 4),
+      role: 'technician'
+    });
+  });
+
+  afterEach(async () => {
+    await server.close();
+  });
+
+  test('issues tokens in the shape enhancedAuthService expects and records the session', async () => {
+    const { status, data } = await login(PASSWORD, 'TECH@example.com');
+
+    expect(status).toBe(200);
+    expect(data.success).toBe(true);
+    expect(data.access_token).toBeTruthy();
+    expect(data.refresh_token).toBeTruthy();
+    expect(data.user).toMatchObject({ id: user.id, role: 'technician', roles: ['technician'] });
+    expect(data.user.permissions).toContain('reports:create');
+
+    const sessions = await db.query('SELECT * FROM user_sessions WHERE id = $1', [data.session_id]);
+    expect(sessions.rows[0].is_active).toBe(true);
+    expect(sessions.rows[0].session_token).not.toBe(data.access_token);
+
+    const attempts = await db.query('SELECT success, session_id FROM login_attempts');
+    expect(attempts.rows).toEqual([{ success: true, session_id: data.session_id }]);
+
+    const reports = await server.request('/reports', { token: data.access_token });
+    expect(reports.status).toBe(200);
+  });
+
+  test('rejects bad passwords and locks the account after the configured attempts', async () => {
+    expect((await login('wrong-1')).status).toBe(401);
+    expect((await login('wrong-2')).status).toBe(401);
+
+    const locked = await login('wrong-3');
+    expect(locked.status).toBe(423);
+    expect(locked.data.error).toMatch(/locked/i);
+
+    // Correct password is refused while locked
+    expect((await login()).status).toBe(423);
+
+    const attempts = await db.query('SELECT failure_reason FROM login_attempts WHERE success = false');
+    expect(attempts.rows.map((row) => row.failure_reason)).toEqual([
+      'invalid_password', 'invalid_password', 'invalid_password', 'account_locked'
+    ]);
+  });
+
+  test('counts bad passwords sent in parallel', async () => {
+    const responses = await Promise.all(['wrong-1', 'wrong-2', 'wrong-3'].map((password) => login(password)));
+    expect(responses.map((response) => response.status).sort()).toEqual([401, 401, 423]);
+
+    expect((await login()).status).toBe(423);
+  });
+
+  test('does not reveal whether an account exists', async () => {
+    const { status, data } = await login(PASSWORD, 'nobody@example.com');
+    expect(status).toBe(401);
+    expect(data.error).toBe('Invalid username or password');
+  });
+
+  test('rotates refresh tokens and revokes the session on reuse', async () => {
+    const { data: session } = await login();
+
+    const refreshed = await server.request('/auth/refresh', {
+      method: 'POST',
+      body: { refresh_token: session.refresh_token }
+    });
+    expect(refreshed.status).toBe(200);
+    expect(refreshed.data.refresh_token).not.toBe(session.refresh_token);
+
+    const reused = await server.request('/auth/refresh', {
+      method: 'POST',
+      body: { refresh_token: session.refresh_token }
+    });
+    expect(reused.status).toBe(401);
+
+    const afterReuse = await server.request('/auth/refresh', {
+      method: 'POST',
+      body: { refresh_token: refreshed.data.refresh_token }
+    });
+    expect(afterReuse.status).toBe(401);
+  });
+
+  test('validate reports active sessions and logout ends them', async () => {
+    const { data: session } = await login();
+
+    const valid = await server.request('/auth/validate', { method: 'POST', token: session.access_token, body: {} });
+    expect(valid.data.valid).toBe(true);
+
+    const loggedOut = await server.request('/auth/logout', { method: 'POST', token: session.access_token });
+    expect(loggedOut.data.success).toBe(true);
+
+    const invalid = await server.request('/auth/validate', { method: 'POST', token: session.access_token, body: {} });
+    expect(invalid.data.valid).toBe(false);
+  });
+});
@@ -0,0 +1,204 @@
+/**
+ * RSS Visit Report - Report Email API
+ * Sends report emails with PDF or CSV attachments (pdfReportService.emailPDF,
+ * emailComposerService.send) and exposes the delivery log for a saved report
+ */
+
+import { Router } from 'express';
+import { asyncHandler, NotFoundError, ValidationError } from '../utils/httpErrors.js';
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Deliberately loose; the SMTP server has the final say on addresses
+const EMAIL_PATTERN = /^[^\s@<>(),;:"]+@[^\s@<>(),;:"]+\.[^\s@<>(),;:"]+$/;
+
+const BASE64_PATTERN = /^[A-Za-z0-9+/]+={0,2}$/;
+
+// Attachments the report composer produces; signature is the expected
+// leading bytes where the format has one
+const ALLOWED_ATTACHMENT_TYPES = {
+  'application/pdf': { extension: '.pdf', signature: '%PDF-' },
+  'text/csv': { extension: '.csv', signature: null }
+};
+
+const MAX_RECIPIENTS = 50;
+const MAX_ATTACHMENTS = 5;
+const MAX_SUBJECT_LENGTH = 500;
+const MAX_MESSAGE_LENGTH = 100000;
+const MAX_HTML_LENGTH = 500000;
+const MAX_FILENAME_LENGTH = 200;
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Validate a recipient list, accepting an array or a comma-separated string
+ * @param {*} value - Raw field value
+ * @param {string} field - Field name for error details
+ */
+function parseRecipients(value, field) {
+  if (value === undefined || value === null || value === '') return [];
+
+  const list = Array.isArray(value) ? value : String(value).split(/[,;]/);
+  const addresses = list.map((address) => String(address).trim()).filter(Boolean);
+
+  const invalid = addresses.filter((address) => address.length > 255 || !EMAIL_PATTERN.test(address));
+  if (invalid.length > 0) {
+    throw new ValidationError(`Invalid email address in ${field}`, { field, invalid });
+  }
+
+  return [...new Set(addresses)];
+}
+
+/**
+ * Reduce a client filename to a safe attachment name
+ * @param {*} filename - Raw filename
+ * @param {string} extension - Required extension
+ */
+function sanitizeFilename(filename, extension) {
+  const base = String(filename || 'report')
+    .split(/[/\\]/).pop()
+    .replace(/[^\w.\- ]+/g, '_')
+    .replace(/^\.+/, '')
+    .trim()
+    .slice(0, MAX_FILENAME_LENGTH - extension.length) || 'report';
+
+  return base.toLowerCase().endsWith(extension) ? base : `${base}${extension}`;
+}
+
+/**
+ * Decode and check one attachment
+ * @param {Object} attachment - { filename, content (base64), contentType }
+ * @param {number} index - Position for error details
+ */
+function parseAttachment(attachment, index) {
+  const field = `attachments[${index}]`;
+
+  if (!isPlainObject(attachment) || typeof attachment.content !== 'string') {
+    throw new ValidationError('Attachments need base64 content', { field });
+  }
+
+  const contentType = attachment.contentType || 'application/pdf';
+  const type = ALLOWED_ATTACHMENT_TYPES[contentType];
+  if (!type) {
+    throw new ValidationError(`Unsupported attachment type: ${contentType}`, { field });
+  }
+
+  // jsPDF's datauristring output may be passed through unchanged
+  const encoded = attachment.content.replace(/^data:[^,]*,/, '').replace(/\s+/g, '');
+  if (!encoded || !BASE64_PATTERN.test(encoded)) {
+    throw new ValidationError('Attachment content must be base64 encoded', { field });
+  }
+
+  const content = Buffer.from(encoded, 'base64');
+  if (type.signature && !content.subarray(0, type.signature.length).equals(Buffer.from(type.signature))) {
+    throw new ValidationError(`Attachment is not a valid ${contentType} file`, { field });
+  }
+
+  return {
+    filename: sanitizeFilename(attachment.filename, type.extension),
+    content,
+    contentType
+  };
+}
+
+/**
+ * Validate and normalize a send request
+ * @param {Object} body - Request body
+ */
+export function normalizeEmailRequest(body) {
+  if (!isPlainObject(body)) {
+    throw new ValidationError('Request body must be an object');
+  }
+
+  const to = parseRecipients(body.recipients ?? body.to, 'recipients');
+  const cc = parseRecipients(body.cc, 'cc');
+  const bcc = parseRecipients(body.bcc, 'bcc');
+
+  if (to.length === 0) {
+    throw new ValidationError('At least one recipient is required', { field: 'recipients' });
+  }
+  if (to.length + cc.length + bcc.length > MAX_RECIPIENTS) {
+    throw new ValidationError(`At most ${MAX_RECIPIENTS} recipients are allowed`, { field: 'recipients' });
+  }
+
+  // Line breaks in the subject would allow header injection
+  const subject = typeof body.subject === 'string' ? body.subject.replace(/[\r\n]+/g, ' ').trim() : '';
+  if (!subject || subject.length > MAX_SUBJECT_LENGTH) {
+    throw new ValidationError(`subject is required and must be at most ${MAX_SUBJECT_LENGTH} characters`, { field: 'subject' });
+  }
+
+  const text = body.message === undefined || body.message === null ? '' : String(body.message);
+  if (text.length > MAX_MESSAGE_LENGTH) {
+    throw new ValidationError(`message must be at most ${MAX_MESSAGE_LENGTH} characters`, { field: 'message' });
+  }
+
+  const html = body.html === undefined || body.html === null || body.html === '' ? null : body.html;
+  if (html !== null && (typeof html !== 'string' || html.length > MAX_HTML_LENGTH)) {
+    throw new ValidationError(`html must be a string of at most ${MAX_HTML_LENGTH} characters`, { field: 'html' });
+  }
+
+  const attachments = body.attachments ?? [];
+  if (!Array.isArray(attachments) || attachments.length > MAX_ATTACHMENTS) {
+    throw new ValidationError(`attachments must be an array of at most ${MAX_ATTACHMENTS} files`, { field: 'attachments' });
+  }
+
+  return {
+    to,
+    cc,
+    bcc,
+    subject,
+    text,
+    html,
+    attachments: attachments.map(parseAttachment),
+    // Local reports use non-UUID IDs and are not linked in the log
+    reportId: typeof body.reportId === 'string' && UUID_PATTERN.test(body.reportId) ? body.reportId : null
+  };
+}
+
+/**
+ * Create the /reports/email router
+ * @param {Object} deps - { emailService, emailDeliveryRepository, reportRepository }
+ */
+export function createEmailRouter({ emailService, emailDeliveryRepository, reportRepository }) {
+  const router = Router();
+
+  /**
+   * Ensure the caller can see the report before linking or listing it
+   * @param {Object} user - Authenticated user
+   * @param {string} reportId - saved_reports ID
+   */
+  const requireReport = async (user, reportId) => {
+    const report = await reportRepository.findById(user, reportId);
+    if (!report) {
+      throw new NotFoundError('Report not found');
+    }
+    return report;
+  };
+
+  router.post('/', asyncHandler(async (req, res) => {
+    emailService.ensureEnabled();
+
+    const message = normalizeEmailRequest(req.body);
+    if (message.reportId) {
+      await requireReport(req.user, message.reportId);
+    }
+
+    const result = await emailService.send(message, req.user);
+
+    res.json({ success: true, ...result });
+  }));
+
+  router.get('/', asyncHandler(async (req, res) => {
+    const { reportId } = req.query;
+    if (typeof reportId !== 'string' || !UUID_PATTERN.test(reportId)) {
+      throw new ValidationError('reportId must be a UUID', { field: 'reportId' });
+    }
+
+    await requireReport(req.user, reportId);
+    const deliveries = await emailDeliveryRepository.listForReport(reportId);
+
+    res.json({ success: true, deliveries });
+  }));
+
+  return router;
+}
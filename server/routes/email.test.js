@@ -0,0 +1,189 @@
+import { describe, test, expect, afterEach } from 'vitest';
+import { testConfig, createTestDb, seedUser, signAccessToken, startTestServer } from '../test/testServer.js';
+import { startSmtpStandIn } from '../test/smtpStandIn.js';
+
+const PDF_BASE64 = Buffer.from('%PDF-1.3\n% test report\n%%EOF\n').toString('base64');
+
+const emailRequest = (overrides = {}) => ({
+  recipients: ['manager@example.com'],
+  cc: ['team@example.com'],
+  subject: 'RSS Visit Report - Austin - 2024-05-01',
+  message: 'Please find the visit report attached.',
+  attachments: [{
+    filename: 'RSS_Visit_Report_Austin.pdf',
+    content: `data:application/pdf;filename=generated.pdf;base64,${PDF_BASE64}`,
+    contentType: 'application/pdf'
+  }],
+  ...overrides
+});
+
+describe('report email API', () => {
+  let db;
+  let server;
+  let relay;
+  let user;
+
+  const start = async (relayOptions = {}, emailOverrides = {}) => {
+    relay = await startSmtpStandIn(relayOptions);
+    db = createTestDb();
+    server = await startTestServer(db, {
+      config: {
+        ...testConfig,
+        email: { ...testConfig.email, enabled: true, port: relay.port, ...emailOverrides }
+      }
+    });
+    user = await seedUser(db, { role: 'technician' });
+  };
+
+  const send = (body, token = signAccessToken(user)) => server.request('/reports/email', { method: 'POST', token, body });
+
+  const deliveryRows = async () => (await db.query(
+    'SELECT recipient_email, status, delivery_attempts, error_message, provider_response, saved_report_id FROM email_delivery_log ORDER BY recipient_email'
+  )).rows;
+
+  afterEach(async () => {
+    await server?.close();
+    await relay?.close();
+    server = null;
+    relay = null;
+  });
+
+  test('sends the PDF attachment and logs a delivered row per recipient', async () => {
+    await start();
+
+    const { rows } = await db.query(
+      `INSERT INTO saved_reports (user_id, organization_id, title, report_data)
+       VALUES ($1, $2, 'Austin visit', '{}') RETURNING id`,
+      [user.id, user.organizationId]
+    );
+    const reportId = rows[0].id;
+
+    const { status, data } = await send(emailRequest({ reportId }));
+
+    expect(status).toBe(200);
+    expect(data).toMatchObject({
+      success: true,
+      accepted: ['manager@example.com', 'team@example.com'],
+      rejected: [],
+      attempts: 1
+    });
+
+    expect(relay.messages).toHaveLength(1);
+    const [message] = relay.messages;
+    expect(message.from).toBe('reports@example.com');
+    expect(message.recipients).toEqual(['manager@example.com', 'team@example.com']);
+    expect(message.raw).toContain('Content-Type: application/pdf; name=RSS_Visit_Report_Austin.pdf');
+    expect(message.raw).toContain(`Reply-To: ${user.email}`);
+
+    const logged = await deliveryRows();
+    expect(logged).toHaveLength(2);
+    logged.forEach((row) => expect(row).toMatchObject({ status: 'delivered', delivery_attempts: 1, saved_report_id: reportId }));
+    expect(logged.map((row) => row.provider_response.recipientType)).toEqual(['to', 'cc']);
+
+    const history = await server.request(`/reports/email?reportId=${reportId}`, { token: signAccessToken(user) });
+    expect(history.data.deliveries).toHaveLength(2);
+  });
+
+  test('sends composed HTML with a text alternative and a CSV attachment', async () => {
+    await start();
+
+    const { status } = await send(emailRequest({
+      message: 'ISSUES & PROBLEMS REPORT',
+      html: '<h1>Issues &amp; Problems Report</h1>',
+      attachments: [{
+        filename: 'Issues_Report.csv',
+        content: Buffer.from('"Item","Severity"\n"Printer offline","high"').toString('base64'),
+        contentType: 'text/csv'
+      }]
+    }));
+
+    expect(status).toBe(200);
+    const { raw } = relay.messages[0];
+    expect(raw).toContain('Content-Type: multipart/alternative');
+    expect(raw).toContain('Content-Type: text/html');
+    expect(raw).toContain('Content-Type: text/csv; name=Issues_Report.csv');
+  });
+
+  test('retries temporary failures with backoff and records each attempt', async () => {
+    await start({ failFirst: 2 });
+
+    const { status, data } = await send(emailRequest({ cc: [] }));
+
+    expect(status).toBe(200);
+    expect(data.attempts).toBe(3);
+    expect(relay.transactions).toBe(3);
+
+    const [row] = await deliveryRows();
+    expect(row).toMatchObject({ status: 'delivered', delivery_attempts: 3 });
+    expect(row.provider_response.attempts.map((attempt) => attempt.outcome)).toEqual(['error', 'error', 'sent']);
+    expect(row.provider_response.attempts[0].responseCode).toBe(451);
+  });
+
+  test('gives up on permanent failures and after the last attempt', async () => {
+    await start({ failFirst: 10, failCode: 554 });
+
+    const permanent = await send(emailRequest({ cc: [] }));
+    expect(permanent.status).toBe(502);
+    expect(permanent.data).toMatchObject({ error: 'Email delivery failed', details: { attempts: 1, retryable: false } });
+    expect(relay.transactions).toBe(1);
+
+    await server.close();
+    await relay.close();
+    await start({ failFirst: 10 }, { maxAttempts: 2 });
+
+    const exhausted = await send(emailRequest({ cc: [] }));
+    expect(exhausted.data.details).toMatchObject({ attempts: 2, retryable: true });
+
+    const [row] = await deliveryRows();
+    expect(row).toMatchObject({ status: 'failed', delivery_attempts: 2 });
+    expect(row.error_message).toContain('Try again later');
+  });
+
+  test('marks recipients refused by the server as failed', async () => {
+    await start({ rejectRecipients: ['gone@example.com'] });
+
+    const { data } = await send(emailRequest({ cc: ['gone@example.com'] }));
+    expect(data).toMatchObject({ accepted: ['manager@example.com'], rejected: ['gone@example.com'] });
+
+    const rows = await deliveryRows();
+    expect(rows.map((row) => [row.recipient_email, row.status])).toEqual([
+      ['gone@example.com', 'failed'],
+      ['manager@example.com', 'delivered']
+    ]);
+  });
+
+  test('validates recipients and attachments before sending', async () => {
+    await start();
+
+    expect((await send(emailRequest({ recipients: [] }))).status).toBe(400);
+    expect((await send(emailRequest({ cc: ['not-an-address'] }))).data.details).toEqual({ field: 'cc', invalid: ['not-an-address'] });
+    expect((await send(emailRequest({ subject: '' }))).status).toBe(400);
+    expect((await send(emailRequest({
+      attachments: [{ filename: 'x.exe', content: PDF_BASE64, contentType: 'application/x-msdownload' }]
+    }))).status).toBe(400);
+    expect((await send(emailRequest({
+      attachments: [{ filename: 'fake.pdf', content: Buffer.from('MZ').toString('base64') }]
+    }))).status).toBe(400);
+
+    const outsider = await seedUser(db, { role: 'technician' });
+    const { rows } = await db.query(
+      `INSERT INTO saved_reports (user_id, organization_id, title, report_data)
+       VALUES ($1, $2, 'Private', '{}') RETURNING id`,
+      [outsider.id, outsider.organizationId]
+    );
+    expect((await send(emailRequest({ reportId: rows[0].id }))).status).toBe(404);
+
+    expect(relay.messages).toHaveLength(0);
+    expect(await deliveryRows()).toHaveLength(0);
+  });
+
+  test('responds 503 when SMTP is not configured', async () => {
+    db = createTestDb();
+    server = await startTestServer(db);
+    user = await seedUser(db);
+
+    const { status, data } = await send(emailRequest());
+    expect(status).toBe(503);
+    expect(data.error).toBe('Email delivery is not configured');
+  });
+});
@@ -0,0 +1,474 @@
+/**
+ * RSS Visit Report - Reports API
+ * CRUD, submission, review workflow and version history endpoints used by
+ * reportPersistenceService and reportDatabaseService. Accepts both camelCase
+ * and snake_case payloads since the two clients send different shapes.
+ */
+
+import { Router } from 'express';
+import { SETTING_KEYS } from '../repositories/settingsRepository.js';
+import {
+  asyncHandler,
+  ConflictError,
+  NotFoundError,
+  ForbiddenError,
+  ValidationError
+} from '../utils/httpErrors.js';
+import {
+  canReview,
+  isLockedStatus,
+  REPORT_LIFECYCLE,
+  REPORT_TRANSITIONS
+} from '../../src/constants/reportLifecycle.js';
+import { getReportPdfFilename } from '../../src/utils/pdfReportData.js';
+import { normalizePdfProfile, normalizePdfProfileConfig } from '../../src/utils/pdfProfiles.js';
+import { DEFAULT_PDF_PROFILES } from '../../src/constants/pdfProfiles.js';
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Statuses a client may set directly; the review workflow has its own endpoints
+const EDITABLE_STATUSES = [REPORT_LIFECYCLE.DRAFT, REPORT_LIFECYCLE.ARCHIVED];
+const LIST_STATUSES = ['all', ...Object.values(REPORT_LIFECYCLE)];
+
+const MAX_COMMENTS_LENGTH = 5000;
+
+const MAX_PAGE_SIZE = 100;
+
+// Profiles saved on the Admin page live in the admin's browser, so the print
+// view the server renders in only knows the built-in ones
+const BUILT_IN_PDF_PROFILE_IDS = DEFAULT_PDF_PROFILES.map(({ id }) => id);
+
+const pick = (body, camel, snake) => (body[camel] !== undefined ? body[camel] : body[snake]);
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Parse an object field that may arrive as a JSON string
+ * @param {*} value - Raw field value
+ * @param {string} field - Field name for error messages
+ */
+function parseObjectField(value, field) {
+  let parsed = value;
+
+  if (typeof value === 'string') {
+    try {
+      parsed = JSON.parse(value);
+    } catch {
+      throw new ValidationError(`${field} must be valid JSON`, { field });
+    }
+  }
+
+  if (!isPlainObject(parsed)) {
+    throw new ValidationError(`${field} must be an object`, { field });
+  }
+
+  return parsed;
+}
+
+/**
+ * Validate and normalize a create/update request body
+ * @param {Object} body - Request body
+ * @param {boolean} partial - Allow missing required fields (updates)
+ */
+export function normalizeReportInput(body, partial = false) {
+  if (!isPlainObject(body)) {
+    throw new ValidationError('Request body must be an object');
+  }
+
+  const input = {};
+
+  const title = body.title;
+  if (title !== undefined) {
+    if (typeof title !== 'string' || !title.trim() || title.length > 255) {
+      throw new ValidationError('title must be a non-empty string of at most 255 characters', { field: 'title' });
+    }
+    input.title = title.trim();
+  } else if (!partial) {
+    throw new ValidationError('title is required', { field: 'title' });
+  }
+
+  if (body.description !== undefined) {
+    input.description = body.description === null ? '' : String(body.description);
+  }
+
+  const reportType = pick(body, 'reportType', 'report_type');
+  if (reportType !== undefined) {
+    if (typeof reportType !== 'string' || !reportType || reportType.length > 50) {
+      throw new ValidationError('reportType is invalid', { field: 'reportType' });
+    }
+    input.reportType = reportType;
+  }
+
+  if (body.status !== undefined) {
+    if (!EDITABLE_STATUSES.includes(body.status)) {
+      throw new ValidationError(`status must be one of: ${EDITABLE_STATUSES.join(', ')}`, { field: 'status' });
+    }
+    input.status = body.status;
+  }
+
+  const reportData = pick(body, 'reportData', 'report_data');
+  if (reportData !== undefined) {
+    input.reportData = parseObjectField(reportData, 'reportData');
+  } else if (!partial) {
+    throw new ValidationError('reportData is required', { field: 'reportData' });
+  }
+
+  const locationData = pick(body, 'locationData', 'location_data');
+  if (locationData !== undefined && locationData !== null) {
+    input.locationData = parseObjectField(locationData, 'locationData');
+  }
+
+  const isTemplate = pick(body, 'isTemplate', 'is_template');
+  if (isTemplate !== undefined) {
+    input.isTemplate = Boolean(isTemplate);
+  }
+
+  if (body.tags !== undefined) {
+    if (!Array.isArray(body.tags) || body.tags.some((tag) => typeof tag !== 'string')) {
+      throw new ValidationError('tags must be an array of strings', { field: 'tags' });
+    }
+    input.tags = body.tags;
+  }
+
+  if (body.metadata !== undefined) {
+    input.metadata = parseObjectField(body.metadata, 'metadata');
+  }
+
+  // Version the client last saw; updates against a newer version are refused
+  const baseVersion = pick(body, 'baseVersion', 'base_version');
+  if (baseVersion !== undefined && baseVersion !== null) {
+    if (!Number.isInteger(baseVersion) || baseVersion < 1) {
+      throw new ValidationError('baseVersion must be a positive integer', { field: 'baseVersion' });
+    }
+    input.baseVersion = baseVersion;
+  }
+
+  return input;
+}
+
+/**
+ * Validate the PDF profile of a server-side render: the id of a profile
+ * (?profile=) or a full profile definition sent in the request body. Ids of
+ * the organization's saved profiles resolve to their definition, since the
+ * print view only knows the built-in ones.
+ * @param {Object} source - { profileId } or { profile }
+ * @param {Object|null} savedProfiles - The organization's saved { defaultId, profiles }
+ * @returns {Object} { profileId } for a built-in profile, or { profile }
+ */
+export function normalizePdfRenderProfile({ profileId, profile }, savedProfiles = null) {
+  if (profile !== undefined) {
+    const normalized = isPlainObject(profile) ? normalizePdfProfile(profile) : null;
+    if (!normalized || normalized.sections.length === 0) {
+      throw new ValidationError('profile must have a name and at least one known section', { field: 'profile' });
+    }
+    return { profile: normalized };
+  }
+
+  const saved = savedProfiles ? normalizePdfProfileConfig(savedProfiles) : null;
+  const wanted = profileId === undefined ? saved?.defaultId : profileId;
+  const savedProfile = saved?.profiles.find((entry) => entry.id === wanted);
+  if (savedProfile) {
+    return { profile: savedProfile };
+  }
+
+  if (profileId === undefined) {
+    return {};
+  }
+  if (!BUILT_IN_PDF_PROFILE_IDS.includes(profileId)) {
+    const known = [...new Set([...(saved?.profiles.map(({ id }) => id) || []), ...BUILT_IN_PDF_PROFILE_IDS])];
+    throw new ValidationError(
+      `Unknown PDF profile "${profileId}"; use one of ${known.join(', ')} or send the profile definition`,
+      { field: 'profile' }
+    );
+  }
+  return { profileId };
+}
+
+/**
+ * Validate and normalize list query parameters
+ * @param {Object} query - Request query
+ */
+export function normalizeListFilters(query) {
+  const status = query.status || 'all';
+  if (!LIST_STATUSES.includes(status)) {
+    throw new ValidationError(`status must be one of: ${LIST_STATUSES.join(', ')}`, { field: 'status' });
+  }
+
+  const limit = Math.min(Math.max(parseInt(query.limit) || 50, 1), MAX_PAGE_SIZE);
+  const offset = Math.max(parseInt(query.offset) || 0, 0);
+
+  for (const field of ['dateFrom', 'dateTo']) {
+    if (query[field] && Number.isNaN(Date.parse(query[field]))) {
+      throw new ValidationError(`${field} must be a valid date`, { field });
+    }
+  }
+
+  return {
+    status,
+    reportType: query.reportType || query.report_type || null,
+    search: query.search ? String(query.search).slice(0, 200) : null,
+    tags: query.tags ? String(query.tags).split(',').map((tag) => tag.trim()).filter(Boolean) : [],
+    dateFrom: query.dateFrom || null,
+    dateTo: query.dateTo || null,
+    sortBy: query.sortBy || 'updatedAt',
+    sortOrder: query.sortOrder === 'asc' ? 'asc' : 'desc',
+    limit,
+    offset
+  };
+}
+
+/**
+ * Create the /reports router
+ * @param {Object} deps - { reportRepository, pdfRenderService }
+ */
+export function createReportsRouter({ reportRepository, pdfRenderService, settingsRepository }) {
+  const router = Router();
+
+  router.param('reportId', (req, res, next, reportId) => {
+    if (!UUID_PATTERN.test(reportId)) {
+      return next(new NotFoundError('Report not found'));
+    }
+    return next();
+  });
+
+  router.param('version', (req, res, next, version) => {
+    if (!/^[1-9]\d{0,8}$/.test(version)) {
+      return next(new NotFoundError('Version not found'));
+    }
+    return next();
+  });
+
+  const requireOrganization = (req) => {
+    if (!req.user.organizationId) {
+      throw new ValidationError('User is not assigned to an organization');
+    }
+  };
+
+  const requireReviewer = (req) => {
+    if (!canReview(req.user.role)) {
+      throw new ForbiddenError('Only reviewers can review reports');
+    }
+  };
+
+  const assertEditable = (report) => {
+    if (isLockedStatus(report.status)) {
+      throw new ConflictError(`Report is ${report.status} and can no longer be edited`, { status: report.status });
+    }
+  };
+
+  router.get('/', asyncHandler(async (req, res) => {
+    const filters = normalizeListFilters(req.query);
+    const result = await reportRepository.list(req.user, filters);
+
+    res.json({ success: true, ...result });
+  }));
+
+  // Declared before /:reportId so the path is not taken for a report ID
+  router.get('/review-queue', asyncHandler(async (req, res) => {
+    requireReviewer(req);
+    const reports = await reportRepository.listForReview(req.user);
+
+    res.json({ success: true, reports });
+  }));
+
+  router.post('/', asyncHandler(async (req, res) => {
+    requireOrganization(req);
+    const input = normalizeReportInput(req.body);
+    const report = await reportRepository.create(req.user, input);
+
+    res.status(201).json({
+      success: true,
+      reportId: report.id,
+      createdAt: report.createdAt,
+      report
+    });
+  }));
+
+  router.get('/:reportId', asyncHandler(async (req, res) => {
+    const report = await reportRepository.findById(req.user, req.params.reportId);
+    if (!report) {
+      throw new NotFoundError('Report not found');
+    }
+
+    res.json({ success: true, report });
+  }));
+
+  router.put('/:reportId', asyncHandler(async (req, res) => {
+    const input = normalizeReportInput(req.body, true);
+    const report = await reportRepository.update(req.user, req.params.reportId, input);
+    if (!report) {
+      const existing = await reportRepository.findById(req.user, req.params.reportId, true);
+      if (existing) {
+        assertEditable(existing);
+      }
+      if (existing && input.baseVersion !== undefined) {
+        throw new ConflictError('Report was changed since it was loaded', {
+          currentVersion: existing.version,
+          baseVersion: input.baseVersion
+        });
+      }
+      throw new NotFoundError('Report not found');
+    }
+
+    res.json({ success: true, reportId: report.id, report });
+  }));
+
+  router.delete('/:reportId', asyncHandler(async (req, res) => {
+    const removed = await reportRepository.remove(req.user, req.params.reportId);
+    if (!removed) {
+      const existing = await reportRepository.findById(req.user, req.params.reportId, true);
+      if (existing) {
+        assertEditable(existing);
+      }
+      throw new NotFoundError('Report not found');
+    }
+
+    res.json({ success: true });
+  }));
+
+  router.get('/:reportId/versions', asyncHandler(async (req, res) => {
+    const report = await reportRepository.findById(req.user, req.params.reportId);
+    if (!report) {
+      throw new NotFoundError('Report not found');
+    }
+
+    const versions = await reportRepository.listVersions(report.id);
+    res.json({ success: true, currentVersion: report.version, versions });
+  }));
+
+  router.get('/:reportId/versions/:version', asyncHandler(async (req, res) => {
+    const report = await reportRepository.findById(req.user, req.params.reportId);
+    const version = report && await reportRepository.findVersion(report.id, Number(req.params.version));
+    if (!version) {
+      throw new NotFoundError(report ? 'Version not found' : 'Report not found');
+    }
+
+    res.json({ success: true, version });
+  }));
+
+  const sendReportPdf = async (req, res, options) => {
+    pdfRenderService.ensureEnabled();
+
+    const report = await reportRepository.findById(req.user, req.params.reportId);
+    if (!report) {
+      throw new NotFoundError('Report not found');
+    }
+
+    const pdf = await pdfRenderService.render(report.reportData, { ...options, reportNumber: report.id });
+
+    res.attachment(getReportPdfFilename(report.reportData));
+    res.type('application/pdf').send(pdf);
+  };
+
+  // Rendered in headless Chrome from the stored data, e.g. to regenerate the
+  // PDF of an archived visit. ?profile= picks a PDF profile saved for the
+  // organization or a built-in one (default: the organization's default) and
+  // ?archival=true makes a PDF/A file with the report data attached.
+  router.get('/:reportId/pdf', asyncHandler(async (req, res) => {
+    const saved = await settingsRepository.find(req.user.organizationId, SETTING_KEYS.pdfProfiles);
+    const profile = normalizePdfRenderProfile({
+      profileId: typeof req.query.profile === 'string' ? req.query.profile : undefined
+    }, saved?.value);
+    await sendReportPdf(req, res, { ...profile, archival: req.query.archival === 'true' });
+  }));
+
+  // Same, with a profile definition in the body ({ profile, archival }), for
+  // profiles that were not saved on the Admin page
+  router.post('/:reportId/pdf', asyncHandler(async (req, res) => {
+    const profile = normalizePdfRenderProfile({ profile: req.body?.profile });
+    await sendReportPdf(req, res, { ...profile, archival: req.body?.archival === true });
+  }));
+
+  // Restoring saves the old data as a new version, so nothing is lost
+  router.post('/:reportId/versions/:version/restore', asyncHandler(async (req, res) => {
+    const existing = await reportRepository.findById(req.user, req.params.reportId, true);
+    const version = existing && await reportRepository.findVersion(existing.id, Number(req.params.version));
+    if (!version) {
+      throw new NotFoundError(existing ? 'Version not found' : 'Report not found');
+    }
+    assertEditable(existing);
+
+    const report = await reportRepository.update(
+      req.user,
+      existing.id,
+      { title: version.title, reportData: version.reportData, baseVersion: existing.version },
+      `Restored version ${version.version}`
+    );
+    if (!report) {
+      throw new ConflictError('Report was modified by another request');
+    }
+
+    res.json({ success: true, reportId: report.id, restoredVersion: version.version, report });
+  }));
+
+  router.post('/:reportId/submit', asyncHandler(async (req, res) => {
+    const existing = await reportRepository.findById(req.user, req.params.reportId, true);
+    if (!existing) {
+      throw new NotFoundError('Report not found');
+    }
+
+    if (!REPORT_TRANSITIONS.submit.from.includes(existing.status)) {
+      throw new ConflictError(`Report is already ${existing.status}`);
+    }
+
+    const submissionMetadata = isPlainObject(req.body?.submission_metadata)
+      ? req.body.submission_metadata
+      : {};
+
+    const report = await reportRepository.submit(req.user, existing, submissionMetadata);
+    if (!report) {
+      throw new ConflictError('Report was modified by another request');
+    }
+
+    res.json({ success: true, reportId: report.id, report });
+  }));
+
+  // Reviewer actions: POST /:reportId/review, /approve and /return
+  ['review', 'approve', 'return'].forEach((action) => {
+    const transition = REPORT_TRANSITIONS[action];
+
+    router.post(`/:reportId/${action}`, asyncHandler(async (req, res) => {
+      requireReviewer(req);
+
+      const comments = typeof req.body?.comments === 'string' ? req.body.comments.trim() : '';
+      if (transition.requiresComments && !comments) {
+        throw new ValidationError('comments are required when returning a report', { field: 'comments' });
+      }
+      if (comments.length > MAX_COMMENTS_LENGTH) {
+        throw new ValidationError(`comments must be at most ${MAX_COMMENTS_LENGTH} characters`, { field: 'comments' });
+      }
+
+      const existing = await reportRepository.findById(req.user, req.params.reportId);
+      if (!existing) {
+        throw new NotFoundError('Report not found');
+      }
+      if (existing.userId === req.user.id && req.user.role !== 'admin') {
+        throw new ForbiddenError('Reports cannot be reviewed by their author');
+      }
+      if (!transition.from.includes(existing.status)) {
+        throw new ConflictError(`A ${existing.status} report cannot be ${transition.note.toLowerCase()}`, {
+          status: existing.status
+        });
+      }
+
+      const report = await reportRepository.transition(req.user, existing, action, { comments: comments || null });
+      if (!report) {
+        throw new ConflictError('Report was modified by another request');
+      }
+
+      res.json({ success: true, reportId: report.id, previousStatus: existing.status, report });
+    }));
+  });
+
+  router.get('/:reportId/status-history', asyncHandler(async (req, res) => {
+    const report = await reportRepository.findById(req.user, req.params.reportId);
+    if (!report) {
+      throw new NotFoundError('Report not found');
+    }
+
+    const history = await reportRepository.listStatusHistory(report.id);
+    res.json({ success: true, status: report.status, history });
+  }));
+
+  return router;
+}
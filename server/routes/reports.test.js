@@ -0,0 +1,389 @@
+import { describe, test, expect, beforeEach, afterEach } from 'vitest';
+import { testConfig, createTestDb, seedUser, signAccessToken, startTestServer } from '../test/testServer.js';
+import { createBrowserStandIn } from '../test/browserStandIn.js';
+import PdfRenderService from '../services/pdfRenderService.js';
+
+const sampleReport = {
+  office: 'Denver',
+  date: '2025-08-01',
+  summary: { summaryText: 'Quarterly visit' },
+  dataCloset: { locations: [] }
+};
+
+describe('reports API', () => {
+  let db;
+  let server;
+  let technician;
+  let token;
+
+  beforeEach(async () => {
+    db = createTestDb();
+    server = await startTestServer(db);
+    technician = await seedUser(db);
+    token = signAccessToken(technician);
+  });
+
+  afterEach(async () => {
+    await server.close();
+  });
+
+  test('rejects requests without a bearer token', async () => {
+    const { status, data } = await server.request('/reports');
+    expect(status).toBe(401);
+    expect(data.success).toBe(false);
+  });
+
+  test('creates a report from reportPersistenceService payload and loads it back', async () => {
+    const created = await server.request('/v1/reports', {
+      token,
+      method: 'POST',
+      body: {
+        title: 'Denver - Visit Report - 2025-08-01',
+        reportType: 'visit',
+        status: 'draft',
+        reportData: JSON.stringify(sampleReport),
+        locationData: { office: 'Denver' },
+        tags: ['q3'],
+        metadata: { version: 1 }
+      }
+    });
+
+    expect(created.status).toBe(201);
+    expect(created.data.reportId).toBe(created.data.report.id);
+
+    const loaded = await server.request(`/v1/reports/${created.data.reportId}`, { token });
+    expect(loaded.status).toBe(200);
+    expect(loaded.data.report.reportData).toEqual(sampleReport);
+    expect(loaded.data.report.tags).toEqual(['q3']);
+    expect(loaded.data.report.version).toBe(1);
+  });
+
+  test('accepts reportDatabaseService snake_case payloads', async () => {
+    const { status, data } = await server.request('/reports', {
+      token,
+      method: 'POST',
+      body: { title: 'Untitled Report', report_type: 'visit', report_data: sampleReport, is_template: true }
+    });
+
+    expect(status).toBe(201);
+    expect(data.report.isTemplate).toBe(true);
+    expect(data.report.reportData.office).toBe('Denver');
+  });
+
+  test('validates required fields', async () => {
+    const { status, data } = await server.request('/reports', {
+      token,
+      method: 'POST',
+      body: { reportData: sampleReport }
+    });
+
+    expect(status).toBe(400);
+    expect(data.error).toMatch(/title/);
+  });
+
+  test('updates bump the version and submit moves a draft to submitted once', async () => {
+    const created = await server.request('/reports', {
+      token,
+      method: 'POST',
+      body: { title: 'Draft', reportData: sampleReport }
+    });
+    const reportId = created.data.reportId;
+
+    const updated = await server.request(`/reports/${reportId}`, {
+      token,
+      method: 'PUT',
+      body: { report_data: { ...sampleReport, office: 'Boulder' } }
+    });
+    expect(updated.data.report.version).toBe(2);
+    expect(updated.data.report.reportData.office).toBe('Boulder');
+    expect(updated.data.report.title).toBe('Draft');
+
+    const submitted = await server.request(`/reports/${reportId}/submit`, {
+      token,
+      method: 'POST',
+      body: { status: 'submitted', submission_metadata: { submitted_from: 'web_app' } }
+    });
+    expect(submitted.status).toBe(200);
+    expect(submitted.data.report.status).toBe('submitted');
+    expect(submitted.data.report.submittedBy).toBe(technician.id);
+
+    const again = await server.request(`/reports/${reportId}/submit`, { token, method: 'POST', body: {} });
+    expect(again.status).toBe(409);
+  });
+
+  test('refuses updates made against an older version', async () => {
+    const created = await server.request('/reports', {
+      token,
+      method: 'POST',
+      body: { title: 'Draft', reportData: sampleReport }
+    });
+    const reportId = created.data.reportId;
+
+    const first = await server.request(`/reports/${reportId}`, {
+      token,
+      method: 'PUT',
+      body: { base_version: 1, report_data: { ...sampleReport, office: 'Boulder' } }
+    });
+    expect(first.data.report.version).toBe(2);
+
+    const stale = await server.request(`/reports/${reportId}`, {
+      token,
+      method: 'PUT',
+      body: { base_version: 1, report_data: { ...sampleReport, office: 'Aurora' } }
+    });
+    expect(stale.status).toBe(409);
+    expect(stale.data.details).toEqual({ currentVersion: 2, baseVersion: 1 });
+
+    const loaded = await server.request(`/reports/${reportId}`, { token });
+    expect(loaded.data.report.reportData.office).toBe('Boulder');
+
+    const invalid = await server.request(`/reports/${reportId}`, { token, method: 'PUT', body: { baseVersion: 'latest' } });
+    expect(invalid.status).toBe(400);
+  });
+
+  test('keeps a snapshot of every version and restores an older one', async () => {
+    const created = await server.request('/reports', {
+      token,
+      method: 'POST',
+      body: { title: 'Draft', reportData: sampleReport }
+    });
+    const reportId = created.data.reportId;
+
+    await server.request(`/reports/${reportId}`, {
+      token,
+      method: 'PUT',
+      body: { title: 'Boulder visit', reportData: { ...sampleReport, office: 'Boulder' } }
+    });
+
+    const history = await server.request(`/reports/${reportId}/versions`, { token });
+    expect(history.status).toBe(200);
+    expect(history.data.currentVersion).toBe(2);
+    expect(history.data.versions.map((version) => version.version)).toEqual([2, 1]);
+    expect(history.data.versions[0]).toMatchObject({ title: 'Boulder visit', author: { id: technician.id, name: 'Test User' } });
+    expect(history.data.versions[0].reportData).toBeUndefined();
+
+    const first = await server.request(`/reports/${reportId}/versions/1`, { token });
+    expect(first.data.version.reportData).toEqual(sampleReport);
+
+    const restored = await server.request(`/reports/${reportId}/versions/1/restore`, { token, method: 'POST' });
+    expect(restored.status).toBe(200);
+    expect(restored.data.report).toMatchObject({ version: 3, title: 'Draft', reportData: sampleReport });
+
+    const after = await server.request(`/reports/${reportId}/versions`, { token });
+    expect(after.data.versions[0]).toMatchObject({ version: 3, changeNote: 'Restored version 1' });
+
+    const missing = await server.request(`/reports/${reportId}/versions/9`, { token });
+    expect(missing.status).toBe(404);
+
+    const stranger = await seedUser(db);
+    const denied = await server.request(`/reports/${reportId}/versions`, { token: signAccessToken(stranger) });
+    expect(denied.status).toBe(404);
+  });
+
+  test('reviewers review, return and approve submitted reports, which stay read-only for the author', async () => {
+    const manager = await seedUser(db, { organization_id: technician.organizationId, role: 'manager' });
+    const managerToken = signAccessToken(manager);
+
+    const created = await server.request('/reports', {
+      token,
+      method: 'POST',
+      body: { title: 'Denver visit', reportData: sampleReport }
+    });
+    const reportId = created.data.reportId;
+    await server.request(`/reports/${reportId}/submit`, { token, method: 'POST', body: {} });
+
+    const locked = await server.request(`/reports/${reportId}`, { token, method: 'PUT', body: { title: 'Edited' } });
+    expect(locked.status).toBe(409);
+    expect(locked.data.details).toEqual({ status: 'submitted' });
+
+    const ownQueue = await server.request('/reports/review-queue', { token });
+    expect(ownQueue.status).toBe(403);
+    const selfReview = await server.request(`/reports/${reportId}/review`, { token, method: 'POST' });
+    expect(selfReview.status).toBe(403);
+
+    const queue = await server.request('/reports/review-queue', { token: managerToken });
+    expect(queue.data.reports).toEqual([
+      expect.objectContaining({ id: reportId, status: 'submitted', author: { id: technician.id, name: 'Test User' } })
+    ]);
+
+    const early = await server.request(`/reports/${reportId}/approve`, { token: managerToken, method: 'POST' });
+    expect(early.status).toBe(409);
+
+    const noComments = await server.request(`/reports/${reportId}/return`, { token: managerToken, method: 'POST', body: {} });
+    expect(noComments.status).toBe(400);
+
+    const returned = await server.request(`/reports/${reportId}/return`, {
+      token: managerToken,
+      method: 'POST',
+      body: { comments: 'Add photos of rack 2' }
+    });
+    expect(returned.data.report.status).toBe('draft');
+
+    const edited = await server.request(`/reports/${reportId}`, { token, method: 'PUT', body: { title: 'Denver visit (photos)' } });
+    expect(edited.status).toBe(200);
+    await server.request(`/reports/${reportId}/submit`, { token, method: 'POST', body: {} });
+
+    const reviewed = await server.request(`/reports/${reportId}/review`, { token: managerToken, method: 'POST' });
+    expect(reviewed.data).toMatchObject({ previousStatus: 'submitted', report: { status: 'reviewed' } });
+    const approved = await server.request(`/reports/${reportId}/approve`, { token: managerToken, method: 'POST' });
+    expect(approved.data.report.status).toBe('approved');
+
+    const history = await server.request(`/reports/${reportId}/status-history`, { token });
+    expect(history.data.status).toBe('approved');
+    expect(history.data.history.map((change) => change.action)).toEqual(['submit', 'return', 'submit', 'review', 'approve']);
+    expect(history.data.history[1]).toMatchObject({
+      fromStatus: 'submitted',
+      toStatus: 'draft',
+      comments: 'Add photos of rack 2',
+      changedBy: { id: manager.id }
+    });
+
+    const emptyQueue = await server.request('/reports/review-queue', { token: managerToken });
+    expect(emptyQueue.data.reports).toEqual([]);
+  });
+
+  test('lists only the caller\'s reports for technicians and the organization for managers', async () => {
+    const colleague = await seedUser(db, { organization_id: technician.organizationId });
+    const manager = await seedUser(db, { organization_id: technician.organizationId, role: 'manager' });
+
+    await server.request('/reports', { token, method: 'POST', body: { title: 'Mine', reportData: sampleReport } });
+    await server.request('/reports', {
+      token: signAccessToken(colleague),
+      method: 'POST',
+      body: { title: 'Theirs', reportData: sampleReport }
+    });
+
+    const own = await server.request('/reports?status=all&limit=1', { token });
+    expect(own.data.reports.map((report) => report.title)).toEqual(['Mine']);
+    expect(own.data.total).toBe(1);
+    expect(own.data.hasMore).toBe(false);
+
+    const all = await server.request('/reports?limit=1&sortBy=title&sortOrder=asc', { token: signAccessToken(manager) });
+    expect(all.data.total).toBe(2);
+    expect(all.data.reports[0].title).toBe('Mine');
+    expect(all.data.hasMore).toBe(true);
+  });
+
+  test('deletes only reports the caller may modify', async () => {
+    const created = await server.request('/reports', {
+      token,
+      method: 'POST',
+      body: { title: 'Delete me', reportData: sampleReport }
+    });
+    const reportId = created.data.reportId;
+
+    const stranger = await seedUser(db);
+    const denied = await server.request(`/reports/${reportId}`, { token: signAccessToken(stranger), method: 'DELETE' });
+    expect(denied.status).toBe(404);
+
+    const removed = await server.request(`/reports/${reportId}`, { token, method: 'DELETE' });
+    expect(removed.status).toBe(200);
+
+    const missing = await server.request(`/reports/${reportId}`, { token });
+    expect(missing.status).toBe(404);
+  });
+
+  test('refuses to delete a report once it is submitted', async () => {
+    const created = await server.request('/reports', {
+      token,
+      method: 'POST',
+      body: { title: 'Submitted', reportData: sampleReport }
+    });
+    const reportId = created.data.reportId;
+    await server.request(`/reports/${reportId}/submit`, { token, method: 'POST', body: {} });
+
+    const locked = await server.request(`/reports/${reportId}`, { token, method: 'DELETE' });
+    expect(locked.status).toBe(409);
+    expect(locked.data.details).toEqual({ status: 'submitted' });
+
+    const kept = await server.request(`/reports/${reportId}`, { token });
+    expect(kept.data.report.status).toBe('submitted');
+  });
+
+  test('renders the PDF of a stored report through the print view', async () => {
+    const created = await server.request('/reports', {
+      token,
+      method: 'POST',
+      body: { title: 'Denver visit', reportData: sampleReport }
+    });
+    const reportId = created.data.reportId;
+
+    const disabled = await server.request(`/reports/${reportId}/pdf`, { token });
+    expect(disabled.status).toBe(503);
+
+    let failPage = false;
+    const browser = createBrowserStandIn({
+      renderReportPdf: () => {
+        if (failPage) throw new Error('Page crashed');
+        return Buffer.from('%PDF-1.3\n% Denver\n%%EOF\n').toString('base64');
+      }
+    });
+    await server.close();
+    server = await startTestServer(db, {
+      pdfRenderService: new PdfRenderService({
+        config: { pdf: { ...testConfig.pdf, enabled: true } },
+        launch: browser.launch
+      })
+    });
+
+    const response = await fetch(`${server.baseUrl}/reports/${reportId}/pdf?profile=executive-2-pager&archival=true`, {
+      headers: { Authorization: `Bearer ${token}` }
+    });
+    expect(response.status).toBe(200);
+    expect(response.headers.get('content-type')).toBe('application/pdf');
+    expect(response.headers.get('content-disposition')).toBe('attachment; filename="RSS_Visit_Report_Denver_2025-08-01.pdf"');
+    expect(await response.text()).toContain('% Denver');
+
+    expect(browser.launches[0]).toMatchObject({ executablePath: testConfig.pdf.browserPath, headless: true });
+    expect(browser.visits).toEqual(['http://127.0.0.1:4173/?view=print']);
+    expect(browser.renders[0]).toEqual({
+      reportData: sampleReport,
+      options: { profileId: 'executive-2-pager', archival: true, reportNumber: reportId }
+    });
+
+    // Ids that are neither built in nor saved are refused instead of
+    // falling back to the default profile
+    const unknown = await server.request(`/reports/${reportId}/pdf?profile=briefing`, { token });
+    expect(unknown.status).toBe(400);
+    expect(unknown.data.error).toMatch(/Unknown PDF profile "briefing"/);
+
+    const briefing = await server.request(`/reports/${reportId}/pdf`, {
+      token,
+      method: 'POST',
+      body: { profile: { id: 'briefing', name: 'Briefing', sections: ['summary', 'coverLetter'] } }
+    });
+    expect(briefing.status).toBe(200);
+    expect(browser.renders[1].options).toEqual({
+      profile: { id: 'briefing', name: 'Briefing', tableOfContents: true, sections: [{ id: 'summary', pageBreak: 'auto', options: {} }] },
+      archival: false,
+      reportNumber: reportId
+    });
+
+    const empty = await server.request(`/reports/${reportId}/pdf`, { token, method: 'POST', body: { profile: { name: 'Empty' } } });
+    expect(empty.status).toBe(400);
+    expect(browser.renders).toHaveLength(2);
+
+    // Once saved for the organization, the id resolves to the definition
+    const admin = await seedUser(db, { role: 'admin', organization_id: technician.organizationId });
+    await server.request('/settings/pdf-profiles', {
+      token: signAccessToken(admin),
+      method: 'PUT',
+      body: { value: { defaultId: 'briefing', profiles: [{ id: 'briefing', name: 'Briefing', sections: ['summary'] }] } }
+    });
+    const saved = await server.request(`/reports/${reportId}/pdf?profile=briefing`, { token });
+    const byDefault = await server.request(`/reports/${reportId}/pdf`, { token });
+    expect([saved.status, byDefault.status]).toEqual([200, 200]);
+    expect(browser.renders[2].options.profile).toEqual(browser.renders[1].options.profile);
+    expect(browser.renders[3].options.profile).toEqual(browser.renders[1].options.profile);
+
+    const stranger = await seedUser(db);
+    const hidden = await server.request(`/reports/${reportId}/pdf`, { token: signAccessToken(stranger) });
+    expect(hidden.status).toBe(404);
+
+    failPage = true;
+    const failed = await server.request(`/reports/${reportId}/pdf`, { token });
+    expect(failed.status).toBe(502);
+    expect(failed.data.error).toBe('PDF rendering failed: Page crashed');
+    expect(browser.openBrowsers).toBe(0);
+  });
+});
@@ -0,0 +1,105 @@
+/**
+ * RSS Visit Report - Organization Settings API
+ * Settings administrators manage for their whole organization, read by every
+ * signed-in user of it: report email recipients (utils/emailRecipients) and
+ * PDF profiles (utils/pdfProfiles), which server-side rendering also reads.
+ * Clients keep a copy for offline use, but the server copy is the one that counts.
+ */
+
+import { Router } from 'express';
+import { requireRole } from '../middleware/authenticate.js';
+import { SETTING_KEYS } from '../repositories/settingsRepository.js';
+import { asyncHandler, NotFoundError, ValidationError } from '../utils/httpErrors.js';
+import {
+  createRecipientConfig,
+  findInvalidRecipients,
+  normalizeRecipientConfig
+} from '../../src/utils/emailRecipients.js';
+import { createPdfProfileConfig, normalizePdfProfileConfig } from '../../src/utils/pdfProfiles.js';
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Check a recipient configuration from the Admin page
+ * @param {*} value - Raw value
+ * @returns {Object} Normalized { defaults, regions, offices }
+ */
+function parseRecipientConfig(value) {
+  if (!isPlainObject(value)) {
+    throw new ValidationError('value must be an object', { field: 'value' });
+  }
+
+  const config = normalizeRecipientConfig(value);
+  const lists = [config.defaults, ...Object.values(config.regions), ...Object.values(config.offices)];
+  const invalid = findInvalidRecipients(lists.flatMap((scope) => Object.values(scope).flat()));
+  if (invalid.length > 0) {
+    throw new ValidationError('Invalid email address in recipient lists', { field: 'value', invalid: [...new Set(invalid)] });
+  }
+
+  return config;
+}
+
+/**
+ * Check PDF profiles from the Admin page
+ * @param {*} value - Raw value
+ * @returns {Object} Normalized { defaultId, profiles }
+ */
+function parsePdfProfileConfig(value) {
+  if (!isPlainObject(value) || !Array.isArray(value.profiles)) {
+    throw new ValidationError('value must be an object with a profiles list', { field: 'value' });
+  }
+
+  const config = normalizePdfProfileConfig(value);
+  const empty = config.profiles.filter((profile) => profile.sections.length === 0);
+  if (empty.length > 0) {
+    throw new ValidationError('Every PDF profile needs at least one known section', {
+      field: 'value',
+      profiles: empty.map((profile) => profile.id)
+    });
+  }
+
+  return config;
+}
+
+// URL name -> stored key, value for an organization that never saved one,
+// and the check applied before saving
+const SETTINGS = {
+  'email-recipients': { key: SETTING_KEYS.emailRecipients, empty: createRecipientConfig, parse: parseRecipientConfig },
+  'pdf-profiles': { key: SETTING_KEYS.pdfProfiles, empty: createPdfProfileConfig, parse: parsePdfProfileConfig }
+};
+
+/**
+ * Create the /settings router
+ * @param {Object} deps - { settingsRepository }
+ */
+export function createSettingsRouter({ settingsRepository }) {
+  const router = Router();
+
+  const findSetting = (name) => {
+    if (!Object.prototype.hasOwnProperty.call(SETTINGS, name)) {
+      throw new NotFoundError('Setting not found');
+    }
+    return SETTINGS[name];
+  };
+
+  router.get('/:name', asyncHandler(async (req, res) => {
+    const setting = findSetting(req.params.name);
+    const saved = await settingsRepository.find(req.user.organizationId, setting.key);
+
+    res.json({
+      success: true,
+      value: saved ? saved.value : setting.empty(),
+      updatedAt: saved?.updatedAt || null
+    });
+  }));
+
+  router.put('/:name', requireRole('admin'), asyncHandler(async (req, res) => {
+    const setting = findSetting(req.params.name);
+    const value = setting.parse(req.body?.value);
+    const saved = await settingsRepository.save(req.user, setting.key, value);
+
+    res.json({ success: true, value: saved.value, updatedAt: saved.updatedAt });
+  }));
+
+  return router;
+}
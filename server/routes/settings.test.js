@@ -0,0 +1,88 @@
+import { describe, test, expect, beforeEach, afterEach } from 'vitest';
+import { createTestDb, seedUser, signAccessToken, startTestServer } from '../test/testServer.js';
+
+describe('organization settings API', () => {
+  let db;
+  let server;
+  let admin;
+  let technician;
+
+  const saveRecipients = (value, user = admin) => server.request('/settings/email-recipients', {
+    method: 'PUT',
+    token: signAccessToken(user),
+    body: { value }
+  });
+
+  beforeEach(async () => {
+    db = createTestDb();
+    server = await startTestServer(db);
+    admin = await seedUser(db, { role: 'admin' });
+    technician = await seedUser(db, { role: 'technician', organization_id: admin.organizationId });
+  });
+
+  afterEach(async () => {
+    await server.close();
+  });
+
+  test('lets admins save email recipients that everyone in the organization reads', async () => {
+    const empty = await server.request('/settings/email-recipients', { token: signAccessToken(technician) });
+    expect(empty.data).toEqual({ success: true, value: { defaults: {}, regions: {}, offices: {} }, updatedAt: null });
+
+    const saved = await saveRecipients({
+      defaults: { fullReport: 'it@example.com; IT@example.com', issues: '' },
+      offices: { Denver: { default: ['denver@example.com'] } }
+    });
+    expect(saved.status).toBe(200);
+
+    const { status, data } = await server.request('/settings/email-recipients', { token: signAccessToken(technician) });
+    expect(status).toBe(200);
+    expect(data.value).toEqual({
+      defaults: { fullReport: ['it@example.com'] },
+      regions: {},
+      offices: { Denver: { default: ['denver@example.com'] } }
+    });
+    expect(data.updatedAt).toBeTruthy();
+
+    const otherOrganization = await seedUser(db, { role: 'technician' });
+    const other = await server.request('/settings/email-recipients', { token: signAccessToken(otherOrganization) });
+    expect(other.data.value).toEqual({ defaults: {}, regions: {}, offices: {} });
+  });
+
+  test('saves PDF profiles and returns the built-in ones until then', async () => {
+    const token = signAccessToken(technician);
+    const builtIn = await server.request('/settings/pdf-profiles', { token });
+    expect(builtIn.data.value.profiles.length).toBeGreaterThan(0);
+
+    const saved = await server.request('/settings/pdf-profiles', {
+      method: 'PUT',
+      token: signAccessToken(admin),
+      body: { value: { defaultId: 'briefing', profiles: [{ name: 'Briefing', sections: ['summary', 'unknown'] }] } }
+    });
+    expect(saved.status).toBe(200);
+
+    const { data } = await server.request('/settings/pdf-profiles', { token });
+    expect(data.value).toEqual({
+      defaultId: 'briefing',
+      profiles: [{ id: 'briefing', name: 'Briefing', tableOfContents: true, sections: [{ id: 'summary', pageBreak: 'auto', options: {} }] }]
+    });
+
+    const empty = await server.request('/settings/pdf-profiles', {
+      method: 'PUT',
+      token: signAccessToken(admin),
+      body: { value: { profiles: [{ id: 'blank', name: 'Blank', sections: [] }] } }
+    });
+    expect(empty.status).toBe(400);
+    expect(empty.data.details).toEqual({ field: 'value', profiles: ['blank'] });
+  });
+
+  test('rejects non-admins, invalid addresses and unknown settings', async () => {
+    expect((await saveRecipients({ defaults: { default: 'a@example.com' } }, technician)).status).toBe(403);
+
+    const invalid = await saveRecipients({ defaults: { default: 'a@example.com, not-an-address' } });
+    expect(invalid.status).toBe(400);
+    expect(invalid.data.details).toEqual({ field: 'value', invalid: ['not-an-address'] });
+
+    expect((await saveRecipients(['a@example.com'])).status).toBe(400);
+    expect((await server.request('/settings/theme', { token: signAccessToken(admin) })).status).toBe(404);
+  });
+});
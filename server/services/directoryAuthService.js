@@ -0,0 +1,178 @@
+/**
+ * RSS Visit Report - Directory (Active Directory) Authentication
+ * Binds against LDAP, maps groups to roles with the shared rules from
+ * src/constants/rolePermissions.js and keeps ad_user_mapping current
+ */
+
+import { getRolePermissions, mapGroupsToRole } from '../../src/constants/rolePermissions.js';
+import { normalizeUsername } from './ldapDirectory.js';
+import { AuthenticationError, ForbiddenError, NotFoundError } from '../utils/httpErrors.js';
+
+class DirectoryAuthService {
+  constructor({ config, directory, adUserRepository, sessionRepository, localAuthService }) {
+    this.adConfig = config.ad;
+    this.directory = directory;
+    this.adUsers = adUserRepository;
+    this.sessions = sessionRepository;
+    this.localAuth = localAuthService;
+  }
+
+  isEnabled() {
+    return this.adConfig.enabled;
+  }
+
+  ensureEnabled() {
+    if (!this.isEnabled()) {
+      throw new NotFoundError('Active Directory authentication is not enabled');
+    }
+  }
+
+  /**
+   * Map groups and upsert the local user for a directory lookup
+   * @param {Object} lookup - { user, groups } from LdapDirectory
+   */
+  async syncAccount(lookup) {
+    const role = mapGroupsToRole(lookup.groups, this.adConfig.roleMapping);
+
+    const user = await this.adUsers.upsertFromDirectory({
+      domain: this.adConfig.domain,
+      user: lookup.user,
+      role,
+      organizationCode: this.adConfig.defaultOrganizationCode
+    });
+
+    return { user, role };
+  }
+
+  /**
+   * Authenticate with directory credentials and open a session
+   * @param {Object} credentials - { username, password, rememberMe }
+   * @param {Object} context - { ipAddress, userAgent }
+   */
+  async login({ username, password, rememberMe = false }, context = {}) {
+    this.ensureEnabled();
+
+    const loginName = `${normalizeUsername(username)}@${this.adConfig.domain}`.toLowerCase();
+    const recordAttempt = (attempt) => this.sessions.recordLoginAttempt({ email: loginName, ...context, ...attempt });
+
+    let lookup;
+    try {
+      lookup = await this.directory.authenticate(username, password);
+    } catch (error) {
+      if (error instanceof AuthenticationError) {
+        await recordAttempt({ success: false, failureReason: 'invalid_credentials' });
+      }
+      throw error;
+    }
+
+    const { user, role } = await this.syncAccount(lookup);
+
+    // Local deactivation overrides a valid directory account
+    if (!user.is_active) {
+      await recordAttempt({ success: false, failureReason: 'account_disabled' });
+      throw new AuthenticationError('Invalid username or password');
+    }
+
+    const { sessionId, tokens } = await this.localAuth.startSession(user, Boolean(rememberMe), context);
+    await recordAttempt({ success: true, sessionId });
+
+    return {
+      success: true,
+      user: lookup.user,
+      groups: lookup.groups,
+      userId: user.id,
+      role,
+      permissions: getRolePermissions(role),
+      token: tokens.accessToken,
+      refreshToken: tokens.refreshToken,
+      sessionId,
+      expires_in: tokens.expiresIn
+    };
+  }
+
+  /**
+   * Only admins may look up other directory accounts
+   * @param {Object} authUser - req.user
+   * @param {string} username - Requested account name
+   */
+  async ensureSelfOrAdmin(authUser, username) {
+    if (authUser.role === 'admin') {
+      return;
+    }
+
+    const mapping = await this.adUsers.findMapping(authUser.id);
+    if (!mapping || mapping.ad_username !== normalizeUsername(username).toLowerCase()) {
+      throw new ForbiddenError();
+    }
+  }
+
+  /**
+   * Re-read a directory account and update the local user
+   * @param {Object} authUser - req.user
+   * @param {string} username - Account name
+   */
+  async refreshUser(authUser, username) {
+    this.ensureEnabled();
+    await this.ensureSelfOrAdmin(authUser, username);
+
+    const lookup = await this.directory.lookupUser(username);
+    if (!lookup) {
+      throw new NotFoundError('Directory user not found');
+    }
+
+    const { user, role } = await this.syncAccount(lookup);
+
+    return {
+      success: true,
+      user: lookup.user,
+      groups: lookup.groups,
+      userId: user.id,
+      role,
+      permissions: getRolePermissions(role)
+    };
+  }
+
+  /**
+   * Re-sync the calling user from the directory
+   * @param {Object} authUser - req.user
+   */
+  async syncCurrentUser(authUser) {
+    this.ensureEnabled();
+
+    const mapping = await this.adUsers.findMapping(authUser.id);
+    if (!mapping) {
+      throw new NotFoundError('User is not linked to a directory account');
+    }
+
+    return this.refreshUser(authUser, mapping.ad_username);
+  }
+
+  /**
+   * List a directory account's groups
+   * @param {Object} authUser - req.user
+   * @param {string} username - Account name
+   */
+  async getUserGroups(authUser, username) {
+    this.ensureEnabled();
+    await this.ensureSelfOrAdmin(authUser, username);
+
+    const lookup = await this.directory.lookupUser(username);
+    if (!lookup) {
+      throw new NotFoundError('Directory user not found');
+    }
+
+    return { success: true, groups: lookup.groups };
+  }
+
+  /**
+   * Check directory connectivity with the service account
+   */
+  async testConnection() {
+    if (!this.isEnabled()) {
+      return { success: false, message: 'Active Directory authentication is not enabled' };
+    }
+    return this.directory.testConnection();
+  }
+}
+
+export default DirectoryAuthService;
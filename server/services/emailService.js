@@ -0,0 +1,183 @@
+/**
+ * RSS Visit Report - Email Delivery
+ * Sends report emails over SMTP with nodemailer, retrying transient
+ * failures with exponential backoff and logging every attempt to
+ * email_delivery_log
+ */
+
+import nodemailer from 'nodemailer';
+import { HttpError, ServiceUnavailableError } from '../utils/httpErrors.js';
+
+// nodemailer error codes for connection-level problems worth retrying
+const TRANSIENT_ERROR_CODES = ['ECONNECTION', 'ETIMEDOUT', 'ESOCKET', 'EDNS', 'ECONNREFUSED', 'ECONNRESET'];
+
+const MAX_ERROR_LENGTH = 1000;
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Whether a send failure may succeed on a later attempt. SMTP 4xx replies
+ * are temporary by definition; 5xx replies, authentication and envelope
+ * errors are not.
+ * @param {Error} error - nodemailer error
+ */
+export function isTransientError(error) {
+  if (error.responseCode) {
+    return error.responseCode >= 400 && error.responseCode < 500;
+  }
+  return TRANSIENT_ERROR_CODES.includes(error.code);
+}
+
+const describeError = (error) => (error.response || error.message || String(error)).slice(0, MAX_ERROR_LENGTH);
+
+const toAddressList = (addresses = []) => addresses.map((address) => String(address).toLowerCase());
+
+class EmailService {
+  /**
+   * @param {Object} deps - { config, emailDeliveryRepository, createTransport, sleep }
+   */
+  constructor({ config, emailDeliveryRepository, createTransport = nodemailer.createTransport, sleep = wait }) {
+    this.settings = config.email;
+    this.deliveries = emailDeliveryRepository;
+    this.createTransport = createTransport;
+    this.sleep = sleep;
+    this.transporter = null;
+  }
+
+  get isEnabled() {
+    return Boolean(this.settings?.enabled);
+  }
+
+  ensureEnabled() {
+    if (!this.isEnabled) {
+      throw new ServiceUnavailableError('Email delivery is not configured');
+    }
+  }
+
+  getTransporter() {
+    if (!this.transporter) {
+      const { host, port, secure, user, password, timeoutMs } = this.settings;
+
+      this.transporter = this.createTransport({
+        host,
+        port,
+        secure,
+        ...(user && { auth: { user, pass: password } }),
+        connectionTimeout: timeoutMs,
+        greetingTimeout: timeoutMs,
+        socketTimeout: timeoutMs
+      });
+    }
+    return this.transporter;
+  }
+
+  /**
+   * Send one message, logging a row per recipient and retrying transient
+   * failures up to config.email.maxAttempts
+   * @param {Object} message - { to, cc, bcc, subject, text, html, attachments, reportId, emailType }
+   * @param {Object} user - Authenticated sender
+   */
+  async send(message, user) {
+    this.ensureEnabled();
+
+    const recipients = [
+      ...message.to.map((email) => ({ email, type: 'to' })),
+      ...message.cc.map((email) => ({ email, type: 'cc' })),
+      ...message.bcc.map((email) => ({ email, type: 'bcc' }))
+    ];
+
+    const sizeBytes = Buffer.byteLength(message.text || '') + Buffer.byteLength(message.html || '')
+      + message.attachments.reduce((sum, attachment) => sum + attachment.content.length, 0);
+
+    const ids = await this.deliveries.createQueued({
+      recipients,
+      sender: this.settings.from,
+      subject: message.subject,
+      emailType: message.emailType || 'report_notification',
+      attachmentCount: message.attachments.length,
+      sizeBytes,
+      reportId: message.reportId,
+      userId: user.id
+    });
+
+    const mail = {
+      from: this.settings.from,
+      to: message.to,
+      cc: message.cc,
+      bcc: message.bcc,
+      replyTo: user.email,
+      subject: message.subject,
+      text: message.text,
+      ...(message.html && { html: message.html }),
+      attachments: message.attachments
+    };
+
+    const { maxAttempts, retryDelayMs } = this.settings;
+    const history = [];
+
+    for (let attempt = 1; ; attempt += 1) {
+      await this.deliveries.markSending(ids, attempt);
+      const startedAt = new Date().toISOString();
+
+      let info;
+      try {
+        info = await this.getTransporter().sendMail(mail);
+      } catch (error) {
+        const transient = isTransientError(error);
+        const final = !transient || attempt >= maxAttempts;
+
+        history.push({
+          attempt,
+          startedAt,
+          outcome: 'error',
+          code: error.code || null,
+          responseCode: error.responseCode || null,
+          error: describeError(error)
+        });
+
+        await Promise.all(ids.map((id) => this.deliveries.recordOutcome(id, {
+          status: final ? 'failed' : 'queued',
+          attempts: history,
+          errorMessage: describeError(error)
+        })));
+
+        if (final) {
+          throw new HttpError(502, 'Email delivery failed', {
+            deliveryIds: ids,
+            attempts: attempt,
+            retryable: transient,
+            lastError: describeError(error)
+          });
+        }
+
+        await this.sleep(retryDelayMs * 2 ** (attempt - 1));
+        continue;
+      }
+
+      // The server may accept the message for some recipients only
+      const rejected = toAddressList(info.rejected);
+      const isRejected = (email) => rejected.includes(email.toLowerCase());
+
+      history.push({ attempt, startedAt, outcome: 'sent', response: info.response || null });
+
+      await Promise.all(recipients.map((recipient, index) => this.deliveries.recordOutcome(ids[index], {
+        status: isRejected(recipient.email) ? 'failed' : 'delivered',
+        attempts: history,
+        errorMessage: isRejected(recipient.email) ? 'Recipient rejected by SMTP server' : null,
+        providerMessageId: info.messageId || null
+      })));
+
+      const addresses = recipients.map((recipient) => recipient.email);
+
+      return {
+        messageId: info.messageId || null,
+        deliveryIds: ids,
+        accepted: addresses.filter((email) => !isRejected(email)),
+        rejected: addresses.filter(isRejected),
+        attempts: attempt
+      };
+    }
+  }
+}
+
+export default EmailService;
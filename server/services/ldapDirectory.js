@@ -0,0 +1,207 @@
+/**
+ * RSS Visit Report - LDAP Directory Client
+ * Service-account search plus user bind against Active Directory
+ */
+
+import { Client, InvalidCredentialsError } from 'ldapts';
+import { AuthenticationError, ServiceUnavailableError } from '../utils/httpErrors.js';
+
+const INVALID_CREDENTIALS = 'Invalid username or password';
+
+const USER_ATTRIBUTES = ['sAMAccountName', 'mail', 'displayName', 'givenName', 'sn', 'memberOf', 'objectGUID'];
+
+/**
+ * Escape a value for use inside an LDAP filter (RFC 4515)
+ * @param {string} value - Raw value
+ */
+export function escapeFilterValue(value) {
+  return String(value).replace(/[\\*()\0]/g, (char) => `\\${char.charCodeAt(0).toString(16).padStart(2, '0')}`);
+}
+
+/**
+ * Strip DOMAIN\user and user@domain forms down to the account name
+ * @param {string} username - Username as typed
+ */
+export function normalizeUsername(username) {
+  const trimmed = String(username || '').trim();
+  const withoutDomain = trimmed.includes('\\') ? trimmed.split('\\').pop() : trimmed;
+  return withoutDomain.split('@')[0];
+}
+
+/**
+ * Format AD's binary objectGUID as the usual string form
+ * @param {Buffer|string} value - Raw attribute value
+ */
+export function formatObjectGuid(value) {
+  if (!Buffer.isBuffer(value) || value.length !== 16) {
+    return value ? String(value) : null;
+  }
+
+  const hex = (start, end, reverse) => {
+    const bytes = [...value.subarray(start, end)];
+    return (reverse ? bytes.reverse() : bytes).map((byte) => byte.toString(16).padStart(2, '0')).join('');
+  };
+
+  return [hex(0, 4, true), hex(4, 6, true), hex(6, 8, true), hex(8, 10), hex(10, 16)].join('-');
+}
+
+const firstValue = (value) => (Array.isArray(value) ? value[0] : value);
+
+const asList = (value) => {
+  if (value === undefined || value === null || value === '') return [];
+  return Array.isArray(value) ? value : [value];
+};
+
+/**
+ * Convert a search entry into the attribute set adAuthService.processADUser reads
+ * @param {Object} entry - ldapts search entry
+ */
+export function toDirectoryUser(entry) {
+  return {
+    dn: entry.dn,
+    sAMAccountName: firstValue(entry.sAMAccountName),
+    mail: firstValue(entry.mail) || null,
+    displayName: firstValue(entry.displayName) || null,
+    givenName: firstValue(entry.givenName) || null,
+    sn: firstValue(entry.sn) || null,
+    objectGUID: formatObjectGuid(firstValue(entry.objectGUID))
+  };
+}
+
+/**
+ * Extract group memberships from memberOf
+ * @param {Object} entry - ldapts search entry
+ */
+export function toDirectoryGroups(entry) {
+  return asList(entry.memberOf).map((dn) => {
+    const match = /^CN=([^,]+)/i.exec(String(dn));
+    return { dn: String(dn), cn: match ? match[1] : String(dn) };
+  });
+}
+
+class LdapDirectory {
+  /**
+   * @param {Object} adConfig - `ad` section of the server config
+   * @param {Function} createClient - Client factory (tests may override)
+   */
+  constructor(adConfig, createClient = (options) => new Client(options)) {
+    this.config = adConfig;
+    this.createClient = createClient;
+  }
+
+  newClient() {
+    return this.createClient({
+      url: this.config.url,
+      timeout: this.config.timeoutMs,
+      connectTimeout: this.config.timeoutMs
+    });
+  }
+
+  /**
+   * Run a callback with a client bound as the service account
+   * @param {Function} callback - Receives the bound client
+   */
+  async withServiceBind(callback) {
+    const client = this.newClient();
+
+    try {
+      await client.bind(this.config.bindDN, this.config.bindPassword);
+      return await callback(client);
+    } catch (error) {
+      if (error instanceof AuthenticationError) {
+        throw error;
+      }
+      console.error('LDAP directory error:', error.message);
+      throw new ServiceUnavailableError('Directory service unavailable');
+    } finally {
+      await client.unbind().catch(() => {});
+    }
+  }
+
+  /**
+   * Look up a single user entry by account name
+   * @param {Object} client - Bound client
+   * @param {string} username - Account name
+   */
+  async findUserEntry(client, username) {
+    const filter = this.config.searchFilter.replace(/\{\{username\}\}/g, escapeFilterValue(username));
+
+    const { searchEntries } = await client.search(this.config.baseDN, {
+      scope: 'sub',
+      filter,
+      attributes: USER_ATTRIBUTES,
+      explicitBufferAttributes: ['objectGUID']
+    });
+
+    // An ambiguous match is treated as no match rather than guessing
+    return searchEntries.length === 1 ? searchEntries[0] : null;
+  }
+
+  /**
+   * Verify credentials by binding as the user
+   * @param {string} username - Account name (any of user, DOMAIN\user, user@domain)
+   * @param {string} password - Password
+   * @returns {Object} { user, groups }
+   */
+  async authenticate(username, password) {
+    // An empty password would be an unauthenticated bind, which succeeds
+    if (typeof password !== 'string' || password.length === 0) {
+      throw new AuthenticationError(INVALID_CREDENTIALS);
+    }
+
+    const entry = await this.withServiceBind((client) => this.findUserEntry(client, normalizeUsername(username)));
+    if (!entry) {
+      throw new AuthenticationError(INVALID_CREDENTIALS);
+    }
+
+    const userClient = this.newClient();
+    try {
+      await userClient.bind(entry.dn, password);
+    } catch (error) {
+      if (error instanceof InvalidCredentialsError) {
+        throw new AuthenticationError(INVALID_CREDENTIALS);
+      }
+      console.error('LDAP user bind error:', error.message);
+      throw new ServiceUnavailableError('Directory service unavailable');
+    } finally {
+      await userClient.unbind().catch(() => {});
+    }
+
+    return { user: toDirectoryUser(entry), groups: toDirectoryGroups(entry) };
+  }
+
+  /**
+   * Fetch a user's current attributes and groups without their password
+   * @param {string} username - Account name
+   * @returns {Object|null} { user, groups }
+   */
+  async lookupUser(username) {
+    const entry = await this.withServiceBind((client) => this.findUserEntry(client, normalizeUsername(username)));
+    return entry ? { user: toDirectoryUser(entry), groups: toDirectoryGroups(entry) } : null;
+  }
+
+  /**
+   * Check that the service account can bind and read the base DN
+   */
+  async testConnection() {
+    const startedAt = Date.now();
+
+    try {
+      await this.withServiceBind((client) => client.search(this.config.baseDN, {
+        scope: 'base',
+        filter: '(objectClass=*)',
+        attributes: ['dn']
+      }));
+
+      return {
+        success: true,
+        message: 'Directory connection successful',
+        serverInfo: { responseTimeMs: Date.now() - startedAt }
+      };
+    } catch (error) {
+      return { success: false, message: error.message };
+    }
+  }
+}
+
+export default LdapDirectory;
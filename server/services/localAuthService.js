@@ -0,0 +1,261 @@
+/**
+ * RSS Visit Report - Local Account Authentication
+ * Password login, JWT issuing, refresh token rotation and server-side
+ * lockout for enhancedAuthService.v2
+ */
+
+import { randomUUID } from 'crypto';
+import bcrypt from 'bcryptjs';
+import jwt from 'jsonwebtoken';
+import { getRolePermissions } from '../../src/constants/rolePermissions.js';
+import { hashToken } from '../repositories/sessionRepository.js';
+import { AccountLockedError, AuthenticationError } from '../utils/httpErrors.js';
+
+const INVALID_CREDENTIALS = 'Invalid username or password';
+
+// Refresh lifetime for sessions started without "remember me"
+const SESSION_REFRESH_EXPIRES_IN = '12h';
+
+// Compared against when the account does not exist so response timing
+// does not reveal which emails are registered
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync('rss-visit-report-dummy-password', 10);
+
+/**
+ * Shape a user row the way the client stores currentUser
+ * @param {Object} user - users row
+ */
+export function toAuthUser(user) {
+  return {
+    id: user.id,
+    username: user.email,
+    email: user.email,
+    name: `${user.first_name || ''} ${user.last_name || ''}`.trim(),
+    first_name: user.first_name,
+    last_name: user.last_name,
+    role: user.role,
+    roles: [user.role],
+    permissions: getRolePermissions(user.role),
+    organization_id: user.organization_id,
+    authMethod: 'local'
+  };
+}
+
+const comparePassword = async (password, hash) => {
+  try {
+    return await bcrypt.compare(password, hash || DUMMY_PASSWORD_HASH);
+  } catch {
+    return false;
+  }
+};
+
+class LocalAuthService {
+  constructor({ config, userRepository, sessionRepository }) {
+    this.jwtConfig = config.jwt;
+    this.policy = config.auth;
+    this.users = userRepository;
+    this.sessions = sessionRepository;
+  }
+
+  /**
+   * Sign an access/refresh token pair for a session
+   * @param {Object} user - users row
+   * @param {string} sessionId - Session ID
+   * @param {boolean} rememberMe - Use the long refresh lifetime
+   */
+  issueTokens(user, sessionId, rememberMe) {
+    const accessToken = jwt.sign(
+      {
+        sub: user.id,
+        email: user.email,
+        role: user.role,
+        org: user.organization_id,
+        sid: sessionId,
+        type: 'access'
+      },
+      this.jwtConfig.secret,
+      { expiresIn: this.jwtConfig.expiresIn }
+    );
+
+    const refreshToken = jwt.sign(
+      { sub: user.id, sid: sessionId, rem: rememberMe, type: 'refresh' },
+      this.jwtConfig.refreshSecret,
+      {
+        expiresIn: rememberMe ? this.jwtConfig.refreshExpiresIn : SESSION_REFRESH_EXPIRES_IN,
+        jwtid: randomUUID()
+      }
+    );
+
+    const accessExp = jwt.decode(accessToken).exp;
+    const refreshExp = jwt.decode(refreshToken).exp;
+
+    return {
+      accessToken,
+      refreshToken,
+      expiresIn: accessExp - Math.floor(Date.now() / 1000),
+      expiresAt: new Date(refreshExp * 1000)
+    };
+  }
+
+  /**
+   * Authenticate a local account
+   * @param {Object} credentials - { username, password, rememberMe }
+   * @param {Object} context - { ipAddress, userAgent }
+   */
+  async login({ username, password, rememberMe = false }, context = {}) {
+    const email = username.trim();
+    const user = await this.users.findByEmail(email);
+
+    const recordFailure = (failureReason) => this.sessions.recordLoginAttempt({
+      email,
+      ...context,
+      success: false,
+      failureReason
+    });
+
+    if (!user) {
+      await comparePassword(password, null);
+      await recordFailure('unknown_user');
+      throw new AuthenticationError(INVALID_CREDENTIALS);
+    }
+
+    if (!user.is_active) {
+      await recordFailure('account_disabled');
+      throw new AuthenticationError(INVALID_CREDENTIALS);
+    }
+
+    if (user.locked_until && new Date(user.locked_until) > new Date()) {
+      await recordFailure('account_locked');
+      throw new AccountLockedError(user.locked_until);
+    }
+
+    if (!(await comparePassword(password, user.password_hash))) {
+      const lockState = await this.users.recordFailedLogin(user, this.policy);
+      await recordFailure('invalid_password');
+
+      if (lockState.locked_until) {
+        throw new AccountLockedError(lockState.locked_until);
+      }
+      throw new AuthenticationError(INVALID_CREDENTIALS);
+    }
+
+    const { sessionId, tokens } = await this.startSession(user, Boolean(rememberMe), context);
+
+    await this.sessions.recordLoginAttempt({
+      email,
+      ...context,
+      success: true,
+      sessionId
+    });
+
+    return {
+      success: true,
+      user: toAuthUser(user),
+      access_token: tokens.accessToken,
+      refresh_token: tokens.refreshToken,
+      expires_in: tokens.expiresIn,
+      session_id: sessionId
+    };
+  }
+
+  /**
+   * Open a session for an already-authenticated user. Shared with
+   * directory (AD) logins so both issue the same tokens.
+   * @param {Object} user - users row
+   * @param {boolean} rememberMe - Use the long refresh lifetime
+   * @param {Object} context - { ipAddress, userAgent }
+   */
+  async startSession(user, rememberMe, context = {}) {
+    await this.users.recordSuccessfulLogin(user.id);
+
+    const sessionId = randomUUID();
+    const tokens = this.issueTokens(user, sessionId, rememberMe);
+
+    await this.sessions.create({
+      id: sessionId,
+      userId: user.id,
+      accessToken: tokens.accessToken,
+      refreshToken: tokens.refreshToken,
+      expiresAt: tokens.expiresAt,
+      ...context
+    });
+
+    return { sessionId, tokens };
+  }
+
+  /**
+   * Exchange a refresh token for a new token pair. Refresh tokens are
+   * single-use: presenting a superseded one revokes the session.
+   * @param {string} refreshToken - Refresh token from the client
+   */
+  async refresh(refreshToken) {
+    let payload;
+    try {
+      payload = jwt.verify(refreshToken, this.jwtConfig.refreshSecret);
+    } catch {
+      throw new AuthenticationError('Invalid refresh token');
+    }
+
+    if (payload.type !== 'refresh') {
+      throw new AuthenticationError('Invalid refresh token');
+    }
+
+    const session = await this.sessions.findActive(payload.sid);
+    if (!session) {
+      throw new AuthenticationError('Session expired');
+    }
+
+    if (session.refresh_token !== hashToken(refreshToken)) {
+      await this.sessions.deactivate(session.id);
+      throw new AuthenticationError('Refresh token reuse detected');
+    }
+
+    const user = await this.users.findById(session.user_id);
+    const locked = user?.locked_until && new Date(user.locked_until) > new Date();
+    if (!user || !user.is_active || locked) {
+      await this.sessions.deactivate(session.id);
+      throw new AuthenticationError('Account is not available');
+    }
+
+    const tokens = this.issueTokens(user, session.id, Boolean(payload.rem));
+    await this.sessions.rotate(session.id, tokens);
+
+    return {
+      success: true,
+      access_token: tokens.accessToken,
+      refresh_token: tokens.refreshToken,
+      expires_in: tokens.expiresIn
+    };
+  }
+
+  /**
+   * Check that an access token still belongs to an active session
+   * @param {Object} authUser - req.user from requireAuth
+   * @param {string} accessToken - The presented access token
+   */
+  async validate(authUser, accessToken) {
+    const session = authUser.sessionId ? await this.sessions.findActive(authUser.sessionId) : null;
+    if (!session || session.session_token !== hashToken(accessToken)) {
+      return { success: true, valid: false };
+    }
+
+    const user = await this.users.findById(authUser.id);
+    if (!user || !user.is_active) {
+      return { success: true, valid: false };
+    }
+
+    return { success: true, valid: true, user: toAuthUser(user) };
+  }
+
+  /**
+   * End the caller's session
+   * @param {Object} authUser - req.user from requireAuth
+   */
+  async logout(authUser) {
+    if (authUser.sessionId) {
+      await this.sessions.deactivate(authUser.sessionId);
+    }
+    return { success: true };
+  }
+}
+
+export default LocalAuthService;
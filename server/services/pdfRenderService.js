@@ -0,0 +1,83 @@
+/**
+ * RSS Visit Report - Headless PDF Rendering
+ * Renders report PDFs on the server by opening the app's print view
+ * (src/pages/Print/PrintReport.jsx) in headless Chrome through
+ * puppeteer-core, so the PDF is the same one pdfReportService builds in
+ * the technician's browser
+ */
+
+import puppeteer from 'puppeteer-core';
+import { HttpError, ServiceUnavailableError } from '../utils/httpErrors.js';
+
+class PdfRenderService {
+  /**
+   * @param {Object} deps - { config, launch }
+   */
+  constructor({ config, launch = (options) => puppeteer.launch(options) }) {
+    this.settings = config.pdf;
+    this.launch = launch;
+  }
+
+  get isEnabled() {
+    return Boolean(this.settings?.enabled);
+  }
+
+  ensureEnabled() {
+    if (!this.isEnabled) {
+      throw new ServiceUnavailableError('Server-side PDF rendering is not configured');
+    }
+  }
+
+  /**
+   * URL of the print view of the configured app
+   */
+  get printUrl() {
+    const url = new URL(this.settings.appUrl);
+    url.searchParams.set('view', 'print');
+    return url.toString();
+  }
+
+  /**
+   * Render the PDF of one report. A browser is started per call and always
+   * closed again, so a crashed page cannot leak into the next render.
+   * @param {Object} reportData - Stored report data, as saved by the app
+   * @param {Object} options - { title, profileId or profile, includePhotos, includeRackDiagrams, archival, reportNumber }
+   * @returns {Promise<Buffer>} The PDF
+   */
+  async render(reportData, options = {}) {
+    this.ensureEnabled();
+
+    const { browserPath, browserArgs, timeoutMs } = this.settings;
+    let browser;
+
+    try {
+      browser = await this.launch({
+        executablePath: browserPath,
+        args: browserArgs,
+        headless: true,
+        timeout: timeoutMs
+      });
+
+      const page = await browser.newPage();
+      page.setDefaultTimeout(timeoutMs);
+
+      await page.goto(this.printUrl, { waitUntil: 'networkidle0' });
+      await page.waitForFunction(() => typeof window.renderReportPdf === 'function');
+
+      const base64 = await page.evaluate(
+        (data, renderOptions) => window.renderReportPdf(data, renderOptions),
+        reportData,
+        options
+      );
+
+      return Buffer.from(base64, 'base64');
+    } catch (error) {
+      if (error instanceof HttpError) throw error;
+      throw new HttpError(502, `PDF rendering failed: ${error.message}`);
+    } finally {
+      await browser?.close();
+    }
+  }
+}
+
+export default PdfRenderService;
@@ -0,0 +1,50 @@
+/**
+ * RSS Visit Report - Headless Browser Stand-in
+ * Takes the place of puppeteer's launch() in tests: records the pages that
+ * were opened and answers the print view's window.renderReportPdf call, so
+ * server-side PDF rendering can be tested without Chrome.
+ */
+
+/**
+ * Create the stand-in
+ * @param {Object} options - { renderReportPdf: (reportData, options) => base64
+ *   PDF, or throws to simulate a failing page }
+ */
+export function createBrowserStandIn({ renderReportPdf }) {
+  const launches = [];
+  const visits = [];
+  const renders = [];
+  let openBrowsers = 0;
+
+  const launch = async (options) => {
+    launches.push(options);
+    openBrowsers += 1;
+
+    return {
+      newPage: async () => ({
+        setDefaultTimeout: () => {},
+        goto: async (url) => {
+          visits.push(url);
+        },
+        waitForFunction: async () => {},
+        evaluate: async (pageFunction, reportData, options) => {
+          renders.push({ reportData, options });
+          return renderReportPdf(reportData, options);
+        }
+      }),
+      close: async () => {
+        openBrowsers -= 1;
+      }
+    };
+  };
+
+  return {
+    launch,
+    launches,
+    visits,
+    renders,
+    get openBrowsers() {
+      return openBrowsers;
+    }
+  };
+}
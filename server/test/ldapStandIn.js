@@ -0,0 +1,76 @@
+/**
+ * RSS Visit Report - In-process LDAP Stand-in
+ * A tiny ldapjs server that answers binds and subtree searches from a
+ * fixed directory, so AD logins and role mapping can be tested without a
+ * domain controller.
+ */
+
+import ldap from 'ldapjs';
+
+export const STAND_IN_BASE_DN = 'DC=company,DC=local';
+export const STAND_IN_BIND_DN = 'CN=rss-service,OU=ServiceAccounts,DC=company,DC=local';
+export const STAND_IN_BIND_PASSWORD = 'service-secret';
+
+const normalizeDN = (dn) => String(dn).replace(/\s*,\s*/g, ',').toLowerCase();
+
+/**
+ * Start the stand-in directory
+ * @param {Array} accounts - [{ sAMAccountName, password, mail, givenName, sn, memberOf: [] }]
+ */
+export async function startLdapStandIn(accounts) {
+  const entries = accounts.map((account) => ({
+    dn: `CN=${account.sAMAccountName},OU=Users,${STAND_IN_BASE_DN}`,
+    password: account.password,
+    attributes: {
+      objectClass: ['top', 'person', 'user'],
+      sAMAccountName: account.sAMAccountName,
+      ...(account.mail && { mail: account.mail }),
+      displayName: `${account.givenName || ''} ${account.sn || ''}`.trim(),
+      ...(account.givenName && { givenName: account.givenName }),
+      ...(account.sn && { sn: account.sn }),
+      memberOf: account.memberOf || [],
+      objectGUID: account.objectGUID || `guid-${account.sAMAccountName}`
+    }
+  }));
+
+  const server = ldap.createServer();
+
+  server.bind(STAND_IN_BASE_DN, (req, res, next) => {
+    const dn = normalizeDN(req.dn.toString());
+    const password = req.credentials;
+
+    if (dn === normalizeDN(STAND_IN_BIND_DN) && password === STAND_IN_BIND_PASSWORD) {
+      res.end();
+      return next();
+    }
+
+    const entry = entries.find((candidate) => normalizeDN(candidate.dn) === dn);
+    if (entry && password && entry.password === password) {
+      res.end();
+      return next();
+    }
+
+    return next(new ldap.InvalidCredentialsError());
+  });
+
+  server.search(STAND_IN_BASE_DN, (req, res, next) => {
+    // ldapjs compares requested attribute names lowercased but keeps the
+    // request's casing, which would drop camelCase attributes like memberOf
+    res.attributes = res.attributes.map((name) => name.toLowerCase());
+
+    for (const entry of entries) {
+      if (req.filter.matches(entry.attributes)) {
+        res.send({ dn: entry.dn, attributes: entry.attributes });
+      }
+    }
+    res.end();
+    return next();
+  });
+
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    url: `ldap://127.0.0.1:${server.address().port}`,
+    close: () => new Promise((resolve) => server.close(resolve))
+  };
+}
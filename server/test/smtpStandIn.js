@@ -0,0 +1,70 @@
+/**
+ * RSS Visit Report - In-process SMTP Stand-in
+ * A local smtp-server that records the messages it receives and can be
+ * told to refuse delivery, so report emails and retries can be tested
+ * without a mail relay.
+ */
+
+import { SMTPServer } from 'smtp-server';
+
+/**
+ * Build an SMTP error with a reply code
+ * @param {number} responseCode - SMTP reply code
+ * @param {string} message - Reply text
+ */
+const smtpError = (responseCode, message) => Object.assign(new Error(message), { responseCode });
+
+/**
+ * Start the stand-in relay
+ * @param {Object} options - { failFirst: number of transactions to refuse with
+ *   failCode (default 451), rejectRecipients: addresses refused at RCPT TO }
+ */
+export async function startSmtpStandIn({ failFirst = 0, failCode = 451, rejectRecipients = [] } = {}) {
+  const messages = [];
+  let transactions = 0;
+
+  const server = new SMTPServer({
+    authOptional: true,
+    disabledCommands: ['STARTTLS'],
+    logger: false,
+
+    onMailFrom(address, session, callback) {
+      transactions += 1;
+      if (transactions <= failFirst) {
+        return callback(smtpError(failCode, 'Try again later'));
+      }
+      return callback();
+    },
+
+    onRcptTo(address, session, callback) {
+      if (rejectRecipients.includes(address.address)) {
+        return callback(smtpError(550, 'Mailbox unavailable'));
+      }
+      return callback();
+    },
+
+    onData(stream, session, callback) {
+      const chunks = [];
+      stream.on('data', (chunk) => chunks.push(chunk));
+      stream.on('end', () => {
+        messages.push({
+          from: session.envelope.mailFrom.address,
+          recipients: session.envelope.rcptTo.map((recipient) => recipient.address),
+          raw: Buffer.concat(chunks).toString('utf8')
+        });
+        callback();
+      });
+    }
+  });
+
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    port: server.server.address().port,
+    messages,
+    get transactions() {
+      return transactions;
+    },
+    close: () => new Promise((resolve) => server.close(resolve))
+  };
+}
@@ -0,0 +1,350 @@
+/**
+ * RSS Visit Report - Server Test Helpers
+ * In-memory PostgreSQL (pg-mem) and a throwaway HTTP listener for route tests
+ */
+
+import { randomUUID } from 'crypto';
+import jwt from 'jsonwebtoken';
+import { newDb } from 'pg-mem';
+import { DEFAULT_AD_ROLE_MAPPING } from '../../src/constants/rolePermissions.js';
+import { createApp } from '../app.js';
+
+export const TEST_JWT_SECRET = 'test-access-secret-at-least-32-characters';
+
+export const testConfig = {
+  environment: 'test',
+  port: 0,
+  jwt: {
+    secret: TEST_JWT_SECRET,
+    refreshSecret: 'test-refresh-secret-at-least-32-characters',
+    expiresIn: '30m',
+    refreshExpiresIn: '7d'
+  },
+  auth: {
+    maxLoginAttempts: 3,
+    lockoutDurationMs: 15 * 60 * 1000,
+    loginRateLimitMax: 10000
+  },
+  ad: {
+    enabled: false,
+    url: '',
+    domain: 'company.local',
+    baseDN: '',
+    bindDN: '',
+    bindPassword: '',
+    searchFilter: '(sAMAccountName={{username}})',
+    roleMapping: DEFAULT_AD_ROLE_MAPPING,
+    defaultOrganizationCode: null,
+    timeoutMs: 2000
+  },
+  audit: {
+    chainSecret: 'test-audit-chain-secret'
+  },
+  // Tests point host/port at the SMTP stand-in when they need delivery
+  email: {
+    enabled: false,
+    host: '127.0.0.1',
+    port: 0,
+    secure: false,
+    user: '',
+    password: '',
+    from: 'RSS Reports <reports@example.com>',
+    maxAttempts: 3,
+    retryDelayMs: 10,
+    timeoutMs: 2000
+  },
+  // Tests inject a browser stand-in for headless rendering
+  pdf: {
+    enabled: false,
+    appUrl: 'http://127.0.0.1:4173/',
+    browserPath: '/usr/bin/chromium',
+    browserArgs: [],
+    timeoutMs: 2000
+  },
+  http: {
+    corsOrigins: [],
+    bodyLimit: '10mb',
+    rateLimitWindowMs: 60000,
+    rateLimitMax: 10000
+  }
+};
+
+// Subset of database/schema that pg-mem can parse
+const TEST_SCHEMA = `
+  CREATE TABLE organizations (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    name VARCHAR(255) NOT NULL,
+    code VARCHAR(50) UNIQUE NOT NULL,
+    region VARCHAR(100),
+    is_active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+  );
+
+  CREATE TABLE users (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    email VARCHAR(255) UNIQUE NOT NULL,
+    password_hash VARCHAR(255) NOT NULL,
+    first_name VARCHAR(100) NOT NULL,
+    last_name VARCHAR(100) NOT NULL,
+    role VARCHAR(50) NOT NULL DEFAULT 'technician',
+    organization_id UUID REFERENCES organizations(id) ON DELETE CASCADE,
+    is_active BOOLEAN DEFAULT true,
+    last_login TIMESTAMP WITH TIME ZONE,
+    failed_login_attempts INTEGER DEFAULT 0,
+    locked_until TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+  );
+
+  CREATE TABLE user_sessions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    session_token VARCHAR(255) UNIQUE NOT NULL,
+    refresh_token VARCHAR(255) UNIQUE NOT NULL,
+    ip_address INET,
+    user_agent TEXT,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    is_active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+  );
+
+  CREATE TABLE login_attempts (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    email VARCHAR(255),
+    ip_address INET,
+    user_agent TEXT,
+    success BOOLEAN NOT NULL,
+    failure_reason VARCHAR(255),
+    session_id UUID REFERENCES user_sessions(id) ON DELETE SET NULL,
+    attempted_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+  );
+
+  CREATE TABLE ad_user_mapping (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    ad_domain VARCHAR(255) NOT NULL,
+    ad_username VARCHAR(255) NOT NULL,
+    ad_guid VARCHAR(255) UNIQUE,
+    ad_dn TEXT,
+    last_sync TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(ad_domain, ad_username)
+  );
+
+  CREATE SCHEMA audit;
+
+  CREATE TABLE audit.audit_log (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    event_id VARCHAR(100) NOT NULL,
+    event_type VARCHAR(50) NOT NULL,
+    event_category VARCHAR(50) NOT NULL,
+    severity_level VARCHAR(20) NOT NULL DEFAULT 'info',
+    table_name VARCHAR(100),
+    record_id UUID,
+    operation VARCHAR(20),
+    user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    session_id UUID,
+    ip_address INET,
+    user_agent TEXT,
+    old_values JSONB,
+    new_values JSONB,
+    changed_fields TEXT[],
+    request_method VARCHAR(10),
+    request_path TEXT,
+    request_query TEXT,
+    response_status INTEGER,
+    description TEXT,
+    metadata JSONB DEFAULT '{}',
+    event_timestamp TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    processing_time_ms INTEGER,
+    chain_seq BIGINT UNIQUE,
+    previous_hash CHAR(64),
+    record_hash CHAR(64),
+    CONSTRAINT valid_severity CHECK (severity_level IN ('debug', 'info', 'warning', 'error', 'critical')),
+    CONSTRAINT valid_operation CHECK (operation IN ('INSERT', 'UPDATE', 'DELETE', 'SELECT', 'LOGIN', 'LOGOUT', 'FAILED_LOGIN'))
+  );
+
+  CREATE TABLE audit.audit_chain_head (
+    id SMALLINT PRIMARY KEY CHECK (id = 1),
+    last_seq BIGINT NOT NULL DEFAULT 0,
+    last_hash CHAR(64) NOT NULL,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+  );
+
+  CREATE TABLE saved_reports (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+    title VARCHAR(255) NOT NULL,
+    description TEXT,
+    report_type VARCHAR(50) NOT NULL DEFAULT 'visit',
+    status VARCHAR(50) NOT NULL DEFAULT 'draft',
+    report_data JSONB NOT NULL,
+    location_data JSONB,
+    submitted_at TIMESTAMP WITH TIME ZONE,
+    submitted_by UUID REFERENCES users(id),
+    version INTEGER DEFAULT 1,
+    is_template BOOLEAN DEFAULT false,
+    tags TEXT[],
+    metadata JSONB DEFAULT '{}',
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+  );
+
+  CREATE TABLE saved_report_versions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    report_id UUID NOT NULL REFERENCES saved_reports(id) ON DELETE CASCADE,
+    version INTEGER NOT NULL,
+    title VARCHAR(255) NOT NULL,
+    status VARCHAR(50) NOT NULL,
+    report_data JSONB NOT NULL,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    change_note VARCHAR(255),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(report_id, version)
+  );
+
+  CREATE TABLE report_status_history (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    report_id UUID NOT NULL REFERENCES saved_reports(id) ON DELETE CASCADE,
+    action VARCHAR(20) NOT NULL,
+    from_status VARCHAR(50) NOT NULL,
+    to_status VARCHAR(50) NOT NULL,
+    comments TEXT,
+    changed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    changed_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+  );
+
+  CREATE TABLE email_delivery_log (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    recipient_email VARCHAR(255) NOT NULL,
+    sender_email VARCHAR(255) NOT NULL,
+    subject VARCHAR(500) NOT NULL,
+    email_type VARCHAR(50) NOT NULL,
+    has_attachments BOOLEAN DEFAULT false,
+    attachment_count INTEGER DEFAULT 0,
+    email_size_bytes INTEGER,
+    saved_report_id UUID REFERENCES saved_reports(id) ON DELETE SET NULL,
+    user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    status VARCHAR(50) DEFAULT 'queued',
+    delivery_attempts INTEGER DEFAULT 0,
+    last_attempt_at TIMESTAMP WITH TIME ZONE,
+    delivered_at TIMESTAMP WITH TIME ZONE,
+    error_message TEXT,
+    provider_message_id VARCHAR(255),
+    provider_response JSONB DEFAULT '{}',
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CONSTRAINT valid_status CHECK (status IN ('queued', 'sending', 'delivered', 'failed', 'bounced', 'spam')),
+    CONSTRAINT valid_email_type CHECK (email_type IN ('report_notification', 'security_alert', 'system_notification', 'password_reset', 'welcome', 'digest'))
+  );
+
+  CREATE TABLE organization_settings (
+    organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+    setting_key VARCHAR(100) NOT NULL,
+    value JSONB NOT NULL,
+    updated_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    PRIMARY KEY (organization_id, setting_key)
+  );
+`;
+
+/**
+ * Create an in-memory database with the test schema
+ */
+export function createTestDb() {
+  const mem = newDb();
+
+  mem.public.registerFunction({
+    name: 'uuid_generate_v4',
+    returns: 'uuid',
+    implementation: randomUUID,
+    impure: true
+  });
+
+  mem.public.none(TEST_SCHEMA);
+
+  const { Pool } = mem.adapters.createPg();
+  return new Pool();
+}
+
+/**
+ * Insert an organization and a user, returning the user as req.user sees it
+ * @param {Object} db - Test pool
+ * @param {Object} overrides - Column overrides for the user
+ */
+export async function seedUser(db, overrides = {}) {
+  let organizationId = overrides.organization_id;
+
+  if (!organizationId) {
+    const org = await db.query(
+      `INSERT INTO organizations (name, code) VALUES ($1, $2) RETURNING id`,
+      ['Test Office', `ORG_${randomUUID().slice(0, 8)}`]
+    );
+    organizationId = org.rows[0].id;
+  }
+
+  const result = await db.query(
+    `INSERT INTO users (email, password_hash, first_name, last_name, role, organization_id)
+     VALUES ($1, $2, $3, $4, $5, $6) RETURNING *`,
+    [
+      overrides.email || `${randomUUID().slice(0, 8)}@example.com`,
+      overrides.password_hash || 'not-a-real-hash',
+      overrides.first_name || 'Test',
+      overrides.last_name || 'User',
+      overrides.role || 'technician',
+      organizationId
+    ]
+  );
+
+  const row = result.rows[0];
+  return { id: row.id, email: row.email, role: row.role, organizationId: row.organization_id };
+}
+
+/**
+ * Sign an access token for a seeded user
+ * @param {Object} user - User returned by seedUser
+ */
+export function signAccessToken(user) {
+  return jwt.sign(
+    { sub: user.id, email: user.email, role: user.role, org: user.organizationId, type: 'access' },
+    TEST_JWT_SECRET,
+    { expiresIn: '5m' }
+  );
+}
+
+/**
+ * Start the app on an ephemeral port
+ * @param {Object} db - Test pool
+ * @param {Object} deps - Extra dependencies passed to createApp
+ */
+export async function startTestServer(db, deps = {}) {
+  const app = createApp({ config: testConfig, db, ...deps });
+
+  const server = await new Promise((resolve) => {
+    const listener = app.listen(0, '127.0.0.1', () => resolve(listener));
+  });
+
+  const baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+
+  const request = async (path, { token, method = 'GET', body } = {}) => {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(token && { Authorization: `Bearer ${token}` })
+      },
+      ...(body !== undefined && { body: JSON.stringify(body) })
+    });
+
+    const contentType = response.headers.get('content-type') || '';
+    const data = contentType.includes('application/json') ? await response.json() : await response.text();
+    return { status: response.status, data };
+  };
+
+  return {
+    baseUrl,
+    request,
+    close: () => new Promise((resolve) => server.close(resolve))
+  };
+}
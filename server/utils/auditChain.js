@@ -0,0 +1,133 @@
+/**
+ * RSS Visit Report - Audit Hash Chain
+ * Each audit.audit_log row stores the hash of the previous row and a hash
+ * over its own content, so editing, deleting or reordering rows breaks
+ * the chain. With AUDIT_CHAIN_SECRET set the hashes are HMACs, which also
+ * stops someone with database access from recomputing the chain.
+ */
+
+import { createHash, createHmac } from 'crypto';
+
+export const GENESIS_HASH = '0'.repeat(64);
+
+// Columns covered by the record hash, in hashing order. user_id is left
+// out because deleting a user sets it to NULL; the acting user is hashed
+// through metadata.userId instead.
+const HASHED_COLUMNS = [
+  'chain_seq', 'previous_hash', 'event_id', 'event_type', 'event_category',
+  'severity_level', 'table_name', 'record_id', 'operation', 'session_id',
+  'ip_address', 'user_agent', 'old_values', 'new_values', 'changed_fields',
+  'request_method', 'request_path', 'description', 'metadata', 'event_timestamp'
+];
+
+// PostgreSQL returns UUIDs lowercased regardless of how they were written
+const UUID_COLUMNS = ['record_id', 'session_id'];
+
+/**
+ * Serialize JSON with sorted keys; JSONB does not preserve key order
+ * @param {*} value - Any JSON value
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value !== null && typeof value === 'object') {
+    const keys = Object.keys(value).filter((key) => value[key] !== undefined).sort();
+    return `{${keys.map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+/**
+ * Reduce a row to the values that are hashed, in the form they read back
+ * from the database
+ * @param {Object} row - audit.audit_log row (snake_case columns)
+ */
+function canonicalRecord(row) {
+  const values = HASHED_COLUMNS.map((column) => {
+    const value = row[column];
+    if (value === null || value === undefined) return null;
+    if (column === 'chain_seq') return String(value);
+    if (column === 'event_timestamp') return new Date(value).toISOString();
+    if (UUID_COLUMNS.includes(column)) return String(value).toLowerCase();
+    return value;
+  });
+  return canonicalJson(values);
+}
+
+/**
+ * Hash a chained audit row
+ * @param {Object} row - Row including chain_seq and previous_hash
+ * @param {string|null} secret - HMAC key, or null for plain SHA-256
+ */
+export function computeRecordHash(row, secret = null) {
+  const hash = secret ? createHmac('sha256', secret) : createHash('sha256');
+  return hash.update(canonicalRecord(row)).digest('hex');
+}
+
+/**
+ * Walk the chain from the genesis record and report the first broken link
+ * @param {Object} auditRepository - AuditRepository
+ * @param {Object} options - { secret, pageSize }
+ */
+export async function verifyAuditChain(auditRepository, { secret = null, pageSize = 500 } = {}) {
+  let expectedSeq = 1;
+  let previousHash = GENESIS_HASH;
+  let checked = 0;
+
+  const broken = (row, reason, extra = {}) => ({
+    valid: false,
+    checked,
+    firstBrokenLink: {
+      chainSeq: row ? Number(row.chain_seq) : expectedSeq,
+      id: row?.id || null,
+      eventId: row?.event_id || null,
+      eventTimestamp: row?.event_timestamp || null,
+      reason,
+      ...extra
+    }
+  });
+
+  for (;;) {
+    const rows = await auditRepository.listChainPage(expectedSeq - 1, pageSize);
+
+    for (const row of rows) {
+      const seq = Number(row.chain_seq);
+
+      if (seq !== expectedSeq) {
+        return broken(row, 'missing_records', { expectedSeq, missingCount: seq - expectedSeq });
+      }
+      if (row.previous_hash !== previousHash) {
+        return broken(row, 'previous_hash_mismatch');
+      }
+      if (computeRecordHash(row, secret) !== row.record_hash) {
+        return broken(row, 'record_modified');
+      }
+
+      previousHash = row.record_hash;
+      expectedSeq += 1;
+      checked += 1;
+    }
+
+    if (rows.length < pageSize) break;
+  }
+
+  // Deleting the newest records leaves an intact but shorter chain
+  const head = await auditRepository.getChainHead();
+  if (head && Number(head.last_seq) > checked) {
+    return broken(null, 'missing_records', {
+      expectedSeq: checked + 1,
+      missingCount: Number(head.last_seq) - checked
+    });
+  }
+  if (head && (Number(head.last_seq) !== checked || head.last_hash !== previousHash)) {
+    return broken(null, 'chain_head_mismatch');
+  }
+
+  return {
+    valid: true,
+    checked,
+    firstBrokenLink: null,
+    unchainedRecords: await auditRepository.countUnchained()
+  };
+}
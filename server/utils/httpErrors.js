@@ -0,0 +1,90 @@
+/**
+ * RSS Visit Report - HTTP Error Helpers
+ * Error types and Express glue for consistent JSON error responses
+ */
+
+export class HttpError extends Error {
+  constructor(statusCode, message, details = null) {
+    super(message);
+    this.name = 'HttpError';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+export class NotFoundError extends HttpError {
+  constructor(message = 'Resource not found') {
+    super(404, message);
+    this.name = 'NotFoundError';
+  }
+}
+
+export class ValidationError extends HttpError {
+  constructor(message, details = null) {
+    super(400, message, details);
+    this.name = 'ValidationError';
+  }
+}
+
+export class AuthenticationError extends HttpError {
+  constructor(message = 'Authentication required') {
+    super(401, message);
+    this.name = 'AuthenticationError';
+  }
+}
+
+export class ForbiddenError extends HttpError {
+  constructor(message = 'Insufficient permissions') {
+    super(403, message);
+    this.name = 'ForbiddenError';
+  }
+}
+
+export class ConflictError extends HttpError {
+  constructor(message, details = null) {
+    super(409, message, details);
+    this.name = 'ConflictError';
+  }
+}
+
+export class ServiceUnavailableError extends HttpError {
+  constructor(message = 'Service temporarily unavailable') {
+    super(503, message);
+    this.name = 'ServiceUnavailableError';
+  }
+}
+
+export class AccountLockedError extends HttpError {
+  constructor(lockedUntil) {
+    const minutes = Math.max(1, Math.ceil((new Date(lockedUntil) - Date.now()) / (1000 * 60)));
+    super(423, `Account temporarily locked. Try again in ${minutes} minutes.`, { lockedUntil });
+    this.name = 'AccountLockedError';
+  }
+}
+
+/**
+ * Wrap an async route handler so rejections reach the error middleware
+ * @param {Function} handler - Async Express handler
+ */
+export const asyncHandler = (handler) => (req, res, next) => {
+  Promise.resolve(handler(req, res, next)).catch(next);
+};
+
+/**
+ * Express error middleware. Responds with `{ success: false, error }`,
+ * which is the shape apiClient.parseErrorResponse reads. Messages of
+ * unexpected errors are not sent to the client.
+ */
+export function errorHandler(error, req, res, next) {
+  const statusCode = error.statusCode || (error.type === 'entity.parse.failed' ? 400 : 500);
+
+  if (statusCode >= 500) {
+    console.error(`API error on ${req.method} ${req.originalUrl}:`, error);
+  }
+
+  res.status(statusCode).json({
+    success: false,
+    error: statusCode >= 500 && !(error instanceof HttpError) ? 'Internal server error' : error.message,
+    ...(error.details && { details: error.details })
+  });
+}
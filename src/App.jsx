@@ -5,6 +5,8 @@ import Navigation from './components/layout/Navigation';
 import NotificationContainer from './components/ui/Notification';
 import PageRouter from './components/PageRouter';
 import AuthGuard from './components/auth/AuthGuard';
+import StorageGuard from './components/auth/StorageGuard';
+import { CarryForwardBanner, ReportStatusBanner, SyncConflictModal } from './components/reports';
 import { BUILD_ID } from './build';
 
 // Error Boundary for debugging
@@ -56,20 +58,25 @@ const App = () => {
 const AppContent = () => {
   return (
     <AuthGuard requireAuth={true}>
-      <div className="bg-gray-100 dark:bg-gray-900 min-h-screen font-sans">
-        <Header />
-        <Navigation />
+      <StorageGuard>
+        <div className="bg-gray-100 dark:bg-gray-900 min-h-screen font-sans">
+          <Header />
+          <Navigation />
         
-        <main className="container mx-auto p-4 sm:p-6 lg:p-8">
-          <PageRouter />
-        </main>
+          <main className="container mx-auto p-4 sm:p-6 lg:p-8">
+            <ReportStatusBanner />
+            <CarryForwardBanner />
+            <PageRouter />
+          </main>
         
-        <footer className="text-xs opacity-60 text-center py-2">
-          Build: {BUILD_ID}
-        </footer>
+          <footer className="text-xs opacity-60 text-center py-2">
+            Build: {BUILD_ID}
+          </footer>
         
-        <NotificationContainer />
-      </div>
+          <SyncConflictModal />
+          <NotificationContainer />
+        </div>
+      </StorageGuard>
     </AuthGuard>
   );
 };
@@ -14,9 +14,10 @@ import Alert from '../ui/Alert';
 import ProgressBar from '../ui/ProgressBar';
 import { useApp } from '../../context/AppContext';
 import DataTemplatesModal from './DataTemplatesModal';
+import { loadReportData } from '../../schemas/reportSchema';
 
 const ImportExport = () => {
-  const { reportData, updateReportData, addNotification } = useApp();
+  const { reportData, updateReportData, setReportData, addNotification } = useApp();
   const [activeMode, setActiveMode] = useState('import');
   const [selectedDataType, setSelectedDataType] = useState('complete');
   const [showImportModal, setShowImportModal] = useState(false);
@@ -124,7 +125,6 @@ const ImportExport = () => {
           dataType: 'hardware',
           data: {
             hardware: reportData.hardware || {},
-            officeHardware: reportData.officeHardware || [],
             lastUpdated: reportData.hardware?.lastUpdated || timestamp
           }
         };
@@ -429,6 +429,18 @@ const ImportExport = () => {
     if (results.stats.sections === 0) {
       results.warnings.push('No recognizable data sections found');
     }
+
+    // Exports from older versions of the app are migrated to the current schema
+    try {
+      const { fromVersion } = loadReportData(data.data, { strict: true });
+      results.stats.schemaVersion = fromVersion;
+    } catch (error) {
+      results.isValid = false;
+      results.errors.push(error.message);
+      (error.issues || []).slice(0, 5).forEach((issue) => {
+        results.errors.push(`${issue.path || 'report'}: ${issue.message}`);
+      });
+    }
   };
 
   const validateHardwareData = (data, results) => {
@@ -600,7 +612,8 @@ const ImportExport = () => {
       switch (selectedDataType) {
         case 'complete':
           if (previewData.data) {
-            updateReportData('reportData', previewData.data);
+            const { exportInfo: _exportInfo, ...imported } = loadReportData(previewData.data, { strict: true }).data;
+            setReportData(reportData.id ? { ...imported, id: reportData.id } : imported, 'Imported report data');
             addNotification({
               type: 'success',
               message: 'Complete report data imported successfully',
@@ -611,7 +624,7 @@ const ImportExport = () => {
 
         case 'hardware':
           if (previewData.data && previewData.data.hardware) {
-            updateReportData('hardware', previewData.data.hardware);
+            updateReportData('hardware', previewData.data.hardware, 'Imported hardware');
             addNotification({
               type: 'success',
               message: `Hardware data imported: ${validationResults.stats.totalItems} items in ${validationResults.stats.categories} categories`,
@@ -630,7 +643,7 @@ const ImportExport = () => {
               environmental: previewData.data.environmental || dataClosetData.environmental || {},
               photos: previewData.data.photos || dataClosetData.photos || []
             };
-            updateReportData('dataCloset', updatedDataCloset);
+            updateReportData('dataCloset', updatedDataCloset, 'Imported data closet');
             addNotification({
               type: 'success',
               message: `Data closet imported: ${validationResults.stats.locations} locations, ${validationResults.stats.racks} racks, ${validationResults.stats.devices} devices`,
@@ -641,7 +654,7 @@ const ImportExport = () => {
 
         case 'inventory':
           if (previewData.data && previewData.data.inventory) {
-            updateReportData('inventory', previewData.data.inventory);
+            updateReportData('inventory', previewData.data.inventory, 'Imported inventory');
             addNotification({
               type: 'success',
               message: `Inventory imported: ${validationResults.stats.items} items, ${validationResults.stats.totalCount} total count`,
@@ -652,7 +665,7 @@ const ImportExport = () => {
 
         case 'recycling':
           if (previewData.data && previewData.data.recycling) {
-            updateReportData('recycling', previewData.data.recycling);
+            updateReportData('recycling', previewData.data.recycling, 'Imported recycling');
             addNotification({
               type: 'success',
               message: 'Recycling data imported successfully',
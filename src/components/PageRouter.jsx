@@ -16,6 +16,13 @@ const Inventory = React.lazy(() => import('../pages/Inventory/Inventory'));
 const Storage = React.lazy(() => import('../pages/Storage/Storage'));
 const ImportExport = React.lazy(() => import('../components/ImportExport/ImportExport'));
 
+// Pages that edit the current report; report undo and redo shortcuts only
+// apply while one of them is shown (AppContext)
+const REPORT_PAGES = new Set([
+  'Summary', 'Infrastructure', 'Inventory', 'Storage', 'IssuesActions',
+  'Checklists', 'Recycling', 'Recommendations'
+]);
+
 // Loading component for suspense
 const LoadingSpinner = () => (
   <div className="flex items-center justify-center py-12">
@@ -130,7 +137,7 @@ const PageRouter = () => {
 
   return (
     <PageErrorBoundary>
-      <div className="animate-fade-in">
+      <div className="animate-fade-in" data-report-fields={REPORT_PAGES.has(activePage) || undefined}>
         {renderPage()}
       </div>
     </PageErrorBoundary>
@@ -0,0 +1,110 @@
+/**
+ * Change Passphrase Modal
+ * Changes the passphrase of reports saved on this device. The encryption key
+ * is rotated at the same time, so every saved report is re-encrypted.
+ */
+
+import React, { useState } from 'react';
+import { useApp } from '../../context/AppContext';
+import Modal from '../ui/Modal';
+import Button from '../ui/Button';
+import Input from '../ui/Input';
+import { MIN_PASSPHRASE_LENGTH } from './StorageGuard';
+
+const EMPTY_FORM = { current: '', next: '', confirmation: '' };
+
+const ChangePassphraseModal = ({ isOpen, onClose }) => {
+  const { changeStoragePassphrase, addNotification } = useApp();
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [error, setError] = useState('');
+  const [working, setWorking] = useState(false);
+
+  const setField = (field) => (event) => setForm({ ...form, [field]: event.target.value });
+
+  const handleClose = () => {
+    if (working) return;
+    setForm(EMPTY_FORM);
+    setError('');
+    onClose();
+  };
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    if (form.next.length < MIN_PASSPHRASE_LENGTH) {
+      setError(`Use at least ${MIN_PASSPHRASE_LENGTH} characters.`);
+      return;
+    }
+    if (form.next !== form.confirmation) {
+      setError('The new passphrases do not match.');
+      return;
+    }
+
+    setWorking(true);
+    setError('');
+    try {
+      await changeStoragePassphrase(form.current, form.next);
+      addNotification({
+        type: 'success',
+        message: 'Passphrase changed',
+        description: 'Saved reports were re-encrypted with a new key.',
+        duration: 5000
+      });
+      setForm(EMPTY_FORM);
+      onClose();
+    } catch (changeError) {
+      setError(changeError.name === 'PassphraseError' ? 'The current passphrase is wrong.' : changeError.message);
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  return (
+    <Modal isOpen={isOpen} onClose={handleClose} title="Change Passphrase" size="sm">
+      <form onSubmit={handleSubmit} className="space-y-4">
+        <p className="text-sm text-gray-600 dark:text-gray-300">
+          Saved reports are re-encrypted with a new key. You can keep the same passphrase to only rotate the key.
+        </p>
+        <Input
+          id="passphrase-current"
+          type="password"
+          label="Current passphrase"
+          autoComplete="current-password"
+          value={form.current}
+          onChange={setField('current')}
+          disabled={working}
+        />
+        <Input
+          id="passphrase-next"
+          type="password"
+          label="New passphrase"
+          autoComplete="new-password"
+          value={form.next}
+          onChange={setField('next')}
+          disabled={working}
+        />
+        <Input
+          id="passphrase-confirm"
+          type="password"
+          label="Confirm new passphrase"
+          autoComplete="new-password"
+          value={form.confirmation}
+          onChange={setField('confirmation')}
+          disabled={working}
+        />
+
+        {error && <p className="text-sm text-red-600 dark:text-red-400">{error}</p>}
+
+        <div className="flex justify-end gap-3">
+          <Button type="button" variant="outline" onClick={handleClose} disabled={working}>
+            Cancel
+          </Button>
+          <Button type="submit" loading={working} disabled={!form.current || !form.next}>
+            {working ? 'Re-encrypting...' : 'Change Passphrase'}
+          </Button>
+        </div>
+      </form>
+    </Modal>
+  );
+};
+
+export default ChangePassphraseModal;
@@ -0,0 +1,152 @@
+/**
+ * Storage Guard Component
+ * Asks for the passphrase that encrypts reports saved on this device: to set
+ * one on first use, or to unlock them at startup and after the auto-lock
+ */
+
+import React, { useState } from 'react';
+import { Lock, ShieldCheck } from 'lucide-react';
+import { useApp } from '../../context/AppContext';
+import Button from '../ui/Button';
+import Input from '../ui/Input';
+import Alert from '../ui/Alert';
+import ConfirmDialog from '../ui/ConfirmDialog';
+import { settings } from '../../utils/settings';
+
+export const MIN_PASSPHRASE_LENGTH = 10;
+
+const StorageGuard = ({ children }) => {
+  const { storageLock, setStoragePassphrase, unlockStorage, eraseStoredReports } = useApp();
+  const [passphrase, setPassphrase] = useState('');
+  const [confirmation, setConfirmation] = useState('');
+  const [error, setError] = useState('');
+  const [working, setWorking] = useState(false);
+  const [showErase, setShowErase] = useState(false);
+
+  if (storageLock === 'unlocked') return children;
+
+  if (storageLock === 'checking') {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
+      </div>
+    );
+  }
+
+  const isSetup = storageLock === 'setup';
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    if (isSetup && passphrase.length < MIN_PASSPHRASE_LENGTH) {
+      setError(`Use at least ${MIN_PASSPHRASE_LENGTH} characters.`);
+      return;
+    }
+    if (isSetup && passphrase !== confirmation) {
+      setError('The passphrases do not match.');
+      return;
+    }
+
+    setWorking(true);
+    setError('');
+    try {
+      await (isSetup ? setStoragePassphrase(passphrase) : unlockStorage(passphrase));
+      setPassphrase('');
+      setConfirmation('');
+    } catch (unlockError) {
+      setError(unlockError.name === 'PassphraseError' ? 'Wrong passphrase.' : unlockError.message);
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleErase = async () => {
+    setWorking(true);
+    try {
+      await eraseStoredReports();
+      setShowErase(false);
+      setError('');
+    } catch (eraseError) {
+      setError(eraseError.message);
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const Icon = isSetup ? ShieldCheck : Lock;
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-100 dark:bg-gray-900 p-4">
+      <form onSubmit={handleSubmit} className="w-full max-w-md bg-white dark:bg-gray-800 rounded-lg shadow-xl p-6 space-y-4">
+        <div className="flex items-center gap-3">
+          <Icon size={28} className="text-blue-600 dark:text-blue-400" />
+          <h1 className="text-xl font-semibold text-gray-800 dark:text-gray-100">
+            {isSetup ? 'Protect reports on this device' : 'Reports are locked'}
+          </h1>
+        </div>
+
+        {isSetup ? (
+          <Alert variant="warning">
+            Reports saved on this device are encrypted with a passphrase. It can't be recovered:
+            if you forget it, reports that were not synced to the server are lost.
+          </Alert>
+        ) : (
+          <p className="text-sm text-gray-600 dark:text-gray-300">
+            Enter your passphrase to open saved reports. They lock again after{' '}
+            {settings.get('security.autoLockMinutes', 15)} minutes without activity.
+          </p>
+        )}
+
+        <Input
+          id="storage-passphrase"
+          type="password"
+          label="Passphrase"
+          autoComplete={isSetup ? 'new-password' : 'current-password'}
+          autoFocus
+          value={passphrase}
+          onChange={(event) => setPassphrase(event.target.value)}
+          disabled={working}
+        />
+        {isSetup && (
+          <Input
+            id="storage-passphrase-confirm"
+            type="password"
+            label="Confirm passphrase"
+            autoComplete="new-password"
+            value={confirmation}
+            onChange={(event) => setConfirmation(event.target.value)}
+            disabled={working}
+          />
+        )}
+
+        {error && <p className="text-sm text-red-600 dark:text-red-400">{error}</p>}
+
+        <div className="flex items-center justify-between">
+          {isSetup ? <span /> : (
+            <button
+              type="button"
+              onClick={() => setShowErase(true)}
+              className="text-sm text-gray-500 dark:text-gray-400 hover:underline"
+            >
+              Forgot passphrase?
+            </button>
+          )}
+          <Button type="submit" loading={working} disabled={!passphrase}>
+            {isSetup ? 'Encrypt and continue' : 'Unlock'}
+          </Button>
+        </div>
+      </form>
+
+      <ConfirmDialog
+        isOpen={showErase}
+        onClose={() => setShowErase(false)}
+        onConfirm={handleErase}
+        title="Erase reports on this device?"
+        message="Without the passphrase, saved reports can't be opened. Erasing them lets you set a new passphrase; reports that were not synced to the server are lost."
+        confirmText="Erase reports"
+        loading={working}
+      />
+    </div>
+  );
+};
+
+export default StorageGuard;
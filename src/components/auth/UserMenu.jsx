@@ -6,10 +6,12 @@
 import React, { useState, useContext } from 'react';
 import { AppContext } from '../../context/AppContext';
 import enhancedAuthService from '../../services/enhancedAuthService.v2.js';
+import ChangePassphraseModal from './ChangePassphraseModal';
 
 const UserMenu = () => {
-  const { state, dispatch, setActivePage } = useContext(AppContext);
+  const { state, dispatch, setActivePage, lockStorage } = useContext(AppContext);
   const [isOpen, setIsOpen] = useState(false);
+  const [showChangePassphrase, setShowChangePassphrase] = useState(false);
   const [loggingOut, setLoggingOut] = useState(false);
 
   const user = state.user || enhancedAuthService.getCurrentUser();
@@ -29,8 +31,9 @@ const UserMenu = () => {
         }
       });
 
-      // Clear any app data
+      // Clear any app data, and the key to saved reports
       dispatch({ type: 'CLEAR_DATA' });
+      lockStorage();
       
     } catch (error) {
       console.error('Logout error:', error);
@@ -149,6 +152,36 @@ const UserMenu = () => {
                   </div>
                 </button>
 
+                <button
+                  onClick={() => {
+                    setIsOpen(false);
+                    lockStorage();
+                  }}
+                  className="block w-full text-left px-4 py-2 text-sm text-gray-700 hover:bg-gray-100"
+                >
+                  <div className="flex items-center">
+                    <svg className="mr-3 h-4 w-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 15v2m-6 4h12a2 2 0 002-2v-6a2 2 0 00-2-2H6a2 2 0 00-2 2v6a2 2 0 002 2zm10-10V7a4 4 0 00-8 0v4h8z" />
+                    </svg>
+                    Lock Reports
+                  </div>
+                </button>
+
+                <button
+                  onClick={() => {
+                    setIsOpen(false);
+                    setShowChangePassphrase(true);
+                  }}
+                  className="block w-full text-left px-4 py-2 text-sm text-gray-700 hover:bg-gray-100"
+                >
+                  <div className="flex items-center">
+                    <svg className="mr-3 h-4 w-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 7a2 2 0 012 2m4 0a6 6 0 01-7.743 5.743L11 17H9v2H7v2H4a1 1 0 01-1-1v-2.586a1 1 0 01.293-.707l5.964-5.964A6 6 0 1121 9z" />
+                    </svg>
+                    Change Passphrase
+                  </div>
+                </button>
+
                 {user.role === 'admin' && (
                   <button
                     onClick={() => {
@@ -192,6 +225,8 @@ const UserMenu = () => {
           </div>
         </>
       )}
+
+      <ChangePassphraseModal isOpen={showChangePassphrase} onClose={() => setShowChangePassphrase(false)} />
     </div>
   );
 };
@@ -2,3 +2,5 @@
 export { default as LoginForm } from './LoginForm';
 export { default as AuthGuard } from './AuthGuard';
 export { default as UserMenu } from './UserMenu';
+export { default as StorageGuard } from './StorageGuard';
+export { default as ChangePassphraseModal } from './ChangePassphraseModal';
@@ -0,0 +1,193 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { Mail, Eye, FileText } from 'lucide-react';
+import Modal from '../ui/Modal';
+import Button from '../ui/Button';
+import Input from '../ui/Input';
+import Alert from '../ui/Alert';
+import { useApp } from '../../context/AppContext';
+import emailComposerService, { ATTACHMENT_TYPES } from '../../services/emailComposerService';
+
+const splitAddresses = (value) => value.split(/[,;]/).map((address) => address.trim()).filter(Boolean);
+
+/**
+ * Preview and send a section report email. Pages pass the section key and
+ * the data the template needs; recipients, subject, a personal note and
+ * attachments can be adjusted before sending through the API.
+ */
+const EmailComposerModal = ({ isOpen, onClose, section, sectionData, title = 'Email Report' }) => {
+  const { reportData, addNotification } = useApp();
+  const [note, setNote] = useState('');
+  const [recipients, setRecipients] = useState('');
+  const [cc, setCc] = useState('');
+  const [subject, setSubject] = useState('');
+  const [attachmentTypes, setAttachmentTypes] = useState([]);
+  const [view, setView] = useState('html');
+  const [sending, setSending] = useState(false);
+
+  const composition = useMemo(() => {
+    if (!isOpen) return null;
+    return emailComposerService.compose(section, sectionData, reportData, { note });
+  }, [isOpen, section, sectionData, reportData, note]);
+
+  // Reset the editable fields each time the composer opens, but not when
+  // the report changes while it is open
+  const openedSection = useRef(null);
+  useEffect(() => {
+    if (!isOpen) {
+      openedSection.current = null;
+      return;
+    }
+    if (openedSection.current === section) return;
+    openedSection.current = section;
+
+    const initial = emailComposerService.compose(section, sectionData, reportData);
+    setRecipients(initial.recipients.join(', '));
+    setSubject(initial.subject);
+    setCc('');
+    setNote('');
+    setAttachmentTypes([]);
+    setView('html');
+  }, [isOpen, section, sectionData, reportData]);
+
+  if (!isOpen || !composition) return null;
+
+  const toggleAttachment = (type) => {
+    setAttachmentTypes((current) => (
+      current.includes(type) ? current.filter((entry) => entry !== type) : [...current, type]
+    ));
+  };
+
+  const handleSend = async () => {
+    const to = splitAddresses(recipients);
+    if (to.length === 0) {
+      addNotification({
+        type: 'error',
+        message: 'Add at least one recipient',
+        duration: 4000
+      });
+      return;
+    }
+
+    setSending(true);
+    try {
+      const attachments = attachmentTypes.map((type) => emailComposerService.buildAttachment(composition, type));
+      const result = await emailComposerService.send(composition, {
+        recipients: to,
+        cc: splitAddresses(cc),
+        subject: subject.trim() || composition.subject,
+        attachments
+      });
+
+      addNotification({
+        type: result.rejected?.length > 0 ? 'warning' : 'success',
+        message: `Report emailed to ${result.accepted.length} recipient(s)`,
+        description: result.rejected?.length > 0 ? `Not delivered to: ${result.rejected.join(', ')}` : undefined,
+        duration: 5000
+      });
+      onClose();
+    } catch (error) {
+      console.error('Email send error:', error);
+      addNotification({
+        type: 'error',
+        message: 'Failed to send email',
+        description: error.message || 'Please try again later.',
+        duration: 6000
+      });
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} title={title} size="xl">
+      <div className="space-y-4">
+        <Input
+          label="To"
+          value={recipients}
+          onChange={(e) => setRecipients(e.target.value)}
+          placeholder="name@company.com, other@company.com"
+        />
+        <Input
+          label="Cc"
+          value={cc}
+          onChange={(e) => setCc(e.target.value)}
+          placeholder="Optional"
+        />
+        <Input
+          label="Subject"
+          value={subject}
+          onChange={(e) => setSubject(e.target.value)}
+        />
+        <Input
+          label="Personal note"
+          multiline
+          value={note}
+          onChange={(e) => setNote(e.target.value)}
+          placeholder="Optional message shown above the report"
+        />
+
+        <div>
+          <span className="block text-sm font-medium text-gray-600 dark:text-gray-300 mb-1">Attachments</span>
+          <div className="flex flex-wrap gap-4">
+            {Object.entries(ATTACHMENT_TYPES).map(([type, { label, extension }]) => (
+              <label key={type} className="flex items-center space-x-2 text-sm text-gray-700 dark:text-gray-300">
+                <input
+                  type="checkbox"
+                  checked={attachmentTypes.includes(type)}
+                  onChange={() => toggleAttachment(type)}
+                  className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                />
+                <span>{label}</span>
+                <span className="text-xs text-gray-500">{emailComposerService.getFilename(composition, extension)}</span>
+              </label>
+            ))}
+          </div>
+        </div>
+
+        <div>
+          <div className="flex items-center justify-between mb-2">
+            <span className="text-sm font-medium text-gray-600 dark:text-gray-300">Preview</span>
+            <div className="flex space-x-2">
+              <Button size="sm" variant={view === 'html' ? 'primary' : 'outline'} onClick={() => setView('html')}>
+                <Eye size={14} />
+                <span>HTML</span>
+              </Button>
+              <Button size="sm" variant={view === 'text' ? 'primary' : 'outline'} onClick={() => setView('text')}>
+                <FileText size={14} />
+                <span>Plain text</span>
+              </Button>
+            </div>
+          </div>
+          {view === 'html' ? (
+            <iframe
+              title="Email preview"
+              sandbox=""
+              srcDoc={composition.html}
+              className="w-full h-96 bg-white border border-gray-300 dark:border-gray-600 rounded-lg"
+            />
+          ) : (
+            <pre className="w-full h-96 overflow-auto p-4 text-xs whitespace-pre-wrap bg-gray-50 dark:bg-gray-900 text-gray-800 dark:text-gray-200 border border-gray-300 dark:border-gray-600 rounded-lg">
+              {composition.text}
+            </pre>
+          )}
+        </div>
+
+        <Alert variant="info">
+          The email is sent by the report server. Recipients receive the HTML version, with the plain text as a fallback.
+        </Alert>
+
+        <div className="flex justify-end space-x-3">
+          <Button variant="outline" onClick={onClose} disabled={sending}>
+            Cancel
+          </Button>
+          <Button onClick={handleSend} loading={sending}>
+            <Mail size={16} />
+            <span>Send Email</span>
+          </Button>
+        </div>
+      </div>
+    </Modal>
+  );
+};
+
+export default EmailComposerModal;
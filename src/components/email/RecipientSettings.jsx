@@ -0,0 +1,201 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { Mail, Save, RotateCcw } from 'lucide-react';
+import Button from '../ui/Button';
+import Input from '../ui/Input';
+import Select from '../ui/Select';
+import { useApp } from '../../context/AppContext';
+import { EMAIL_SECTIONS } from '../../constants/emailConfig';
+import organizationSettingsService from '../../services/organizationSettingsService';
+import {
+  parseRecipientList,
+  findInvalidRecipients,
+  getRecipientChain
+} from '../../utils/emailRecipients';
+
+const SCOPE_LABELS = { office: 'Office', region: 'Region', global: 'Defaults' };
+
+const toFormValues = (lists = {}) => Object.fromEntries(
+  EMAIL_SECTIONS.map(({ key }) => [key, (lists[key] || []).join(', ')])
+);
+
+const listsForScope = (config, scope) => {
+  const [type, name] = scope === 'global' ? ['global', ''] : scope.split(/:(.*)/s);
+  return type === 'office' ? config.offices[name] : type === 'region' ? config.regions[name] : config.defaults;
+};
+
+/**
+ * Admin editor for report email recipients. Lists can be set globally, per
+ * region and per office; empty fields inherit from the next scope out. They
+ * are saved on the server for the whole organization.
+ * @param {Object[]} offices - Offices from the Admin page ({ name, region })
+ */
+const RecipientSettings = ({ offices = [] }) => {
+  const { addNotification } = useApp();
+  const [config, setConfig] = useState(() => organizationSettingsService.getCached('emailRecipients'));
+  const [scope, setScope] = useState('global');
+  const [values, setValues] = useState(() => toFormValues(config.defaults));
+  const [saving, setSaving] = useState(false);
+
+  // The cached copy shows at once; the server's replaces it when it arrives
+  useEffect(() => {
+    let active = true;
+    organizationSettingsService.load('emailRecipients').then((loaded) => {
+      if (!active) return;
+      setConfig(loaded);
+      setValues(toFormValues(loaded.defaults));
+      setScope('global');
+    });
+    return () => { active = false; };
+  }, []);
+
+  const regions = useMemo(() => (
+    [...new Set(offices.map((office) => office.region?.trim()).filter(Boolean))].sort()
+  ), [offices]);
+
+  const [scopeType, scopeName] = scope === 'global' ? ['global', ''] : scope.split(/:(.*)/s);
+
+  // What an empty field would fall back to for the selected scope
+  const inheritedContext = scopeType === 'office'
+    ? { region: offices.find((office) => office.name === scopeName)?.region }
+    : {};
+  const inherited = (section) => {
+    if (scopeType === 'global') return null;
+    const fallbackConfig = scopeType === 'office'
+      ? { ...config, offices: {} }
+      : { ...config, offices: {}, regions: {} };
+    const [match] = getRecipientChain(fallbackConfig, inheritedContext, section);
+    return match || null;
+  };
+  const sameScopeDefault = (section) => section !== 'default' && parseRecipientList(values.default).length > 0;
+
+  const selectScope = (nextScope) => {
+    setScope(nextScope);
+    setValues(toFormValues(listsForScope(config, nextScope)));
+  };
+
+  const handleSave = async () => {
+    const lists = {};
+    for (const { key, label } of EMAIL_SECTIONS) {
+      const recipients = parseRecipientList(values[key]);
+      const invalid = findInvalidRecipients(recipients);
+      if (invalid.length > 0) {
+        addNotification({
+          type: 'error',
+          message: `Invalid address in ${label}`,
+          description: invalid.join(', '),
+          duration: 5000
+        });
+        return;
+      }
+      if (recipients.length > 0) lists[key] = recipients;
+    }
+
+    const next = scopeType === 'office'
+      ? { ...config, offices: { ...config.offices, [scopeName]: lists } }
+      : scopeType === 'region'
+        ? { ...config, regions: { ...config.regions, [scopeName]: lists } }
+        : { ...config, defaults: lists };
+
+    setSaving(true);
+    try {
+      const saved = await organizationSettingsService.save('emailRecipients', next);
+      setConfig(saved);
+      setValues(toFormValues(listsForScope(saved, scope)));
+      addNotification({
+        type: 'success',
+        message: 'Email recipients saved',
+        duration: 3000
+      });
+    } catch (error) {
+      addNotification({
+        type: 'error',
+        message: 'Failed to save email recipients',
+        description: error.message,
+        duration: 5000
+      });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const isConfigured = (lists) => lists && Object.keys(lists).length > 0;
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-lg p-6 border border-gray-200 dark:border-gray-600 lg:col-span-2 xl:col-span-3">
+      <div className="flex justify-between items-center mb-4">
+        <h3 className="text-lg font-semibold text-gray-900 dark:text-gray-100 flex items-center">
+          <Mail size={20} className="mr-2 text-indigo-500" />
+          Email Recipients
+        </h3>
+      </div>
+
+      <p className="text-sm text-gray-600 dark:text-gray-400 mb-4">
+        Reports go to the office list for a section, then the office default, then the region and
+        finally the global defaults. Leave a field empty to inherit it. Regions are set on each office.
+      </p>
+
+      <div className="max-w-md mb-4">
+        <Select label="Configure recipients for" value={scope} onChange={(e) => selectScope(e.target.value)}>
+          <option value="global">
+            All offices (defaults){isConfigured(config.defaults) ? ' ✓' : ''}
+          </option>
+          {regions.length > 0 && (
+            <optgroup label="Regions">
+              {regions.map((region) => (
+                <option key={region} value={`region:${region}`}>
+                  {region}{isConfigured(config.regions[region]) ? ' ✓' : ''}
+                </option>
+              ))}
+            </optgroup>
+          )}
+          {offices.length > 0 && (
+            <optgroup label="Offices">
+              {offices.filter((office) => office.name?.trim()).map((office) => (
+                <option key={office.id} value={`office:${office.name}`}>
+                  {office.name}{office.region ? ` (${office.region})` : ''}{isConfigured(config.offices[office.name]) ? ' ✓' : ''}
+                </option>
+              ))}
+            </optgroup>
+          )}
+        </Select>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        {EMAIL_SECTIONS.map(({ key, label }) => {
+          const fallback = inherited(key);
+          let placeholder = 'No recipients';
+          if (sameScopeDefault(key)) {
+            placeholder = `Uses this ${SCOPE_LABELS[scopeType].toLowerCase()}'s default list`;
+          } else if (key !== 'default' && scopeType === 'global') {
+            placeholder = 'Uses the default list';
+          } else if (fallback) {
+            placeholder = `Inherits ${fallback.recipients.join(', ')} (${SCOPE_LABELS[fallback.scope]}${fallback.scope === 'region' ? ` ${fallback.name}` : ''})`;
+          }
+
+          return (
+            <Input
+              key={key}
+              label={label}
+              value={values[key]}
+              onChange={(e) => setValues({ ...values, [key]: e.target.value })}
+              placeholder={placeholder}
+            />
+          );
+        })}
+      </div>
+
+      <div className="flex justify-end space-x-3 pt-4">
+        <Button variant="outline" onClick={() => selectScope(scope)}>
+          <RotateCcw size={16} />
+          Reset
+        </Button>
+        <Button onClick={handleSave} disabled={saving}>
+          <Save size={16} />
+          {saving ? 'Saving...' : 'Save Recipients'}
+        </Button>
+      </div>
+    </div>
+  );
+};
+
+export default RecipientSettings;
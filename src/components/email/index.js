@@ -0,0 +1,3 @@
+// Email components exports
+export { default as EmailComposerModal } from './EmailComposerModal';
+export { default as RecipientSettings } from './RecipientSettings';
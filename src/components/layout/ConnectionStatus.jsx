@@ -0,0 +1,90 @@
+import React, { useState } from 'react';
+import { RefreshCw, Wifi, WifiOff } from 'lucide-react';
+import Button from '../ui/Button';
+import { useConnectionStatus } from '../../hooks/useConnectionStatus';
+import { getReportTitle } from '../../utils/reportWorkspace';
+
+const ACTION_LABELS = {
+  create: 'New report',
+  update: 'Changes to',
+  delete: 'Deletion of'
+};
+
+const describeChange = (change) => {
+  const title = change.action === 'delete'
+    ? `report ${change.reportId}`
+    : getReportTitle({ ...change.data, title: change.options?.title });
+  return `${ACTION_LABELS[change.action] || change.action} ${title}`;
+};
+
+/**
+ * Online/offline indicator for the header. The count is what
+ * reportDatabaseService has queued for upload; the list opens on click.
+ */
+const ConnectionStatus = () => {
+  const { online, pending, syncing, syncNow } = useConnectionStatus();
+  const [isOpen, setIsOpen] = useState(false);
+
+  const Icon = online ? Wifi : WifiOff;
+  const label = online ? 'Online' : 'Offline';
+
+  return (
+    <div className="relative">
+      <button
+        type="button"
+        onClick={() => setIsOpen(!isOpen)}
+        className={`flex items-center gap-1.5 px-2 py-1 rounded-full text-xs font-medium ${
+          online
+            ? 'bg-green-100 text-green-800 dark:bg-green-900/30 dark:text-green-300'
+            : 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900/30 dark:text-yellow-300'
+        }`}
+        title={pending.length > 0 ? `${label}, ${pending.length} change(s) waiting to upload` : label}
+      >
+        <Icon size={14} />
+        {label}
+        {pending.length > 0 && (
+          <span className="ml-1 px-1.5 rounded-full bg-white/70 dark:bg-gray-900/40">
+            {pending.length}
+          </span>
+        )}
+      </button>
+
+      {isOpen && (
+        <>
+          <div className="fixed inset-0 z-10" onClick={() => setIsOpen(false)} />
+          <div className="absolute right-0 mt-2 w-72 p-4 rounded-md shadow-lg bg-white dark:bg-gray-800 ring-1 ring-black ring-opacity-5 z-20 space-y-3">
+            <p className="text-sm text-gray-700 dark:text-gray-300">
+              {online
+                ? 'Connected. Queued changes upload automatically.'
+                : 'No connection. Reports are saved on this device and queued changes upload when you are back online.'}
+            </p>
+
+            {pending.length === 0 ? (
+              <p className="text-sm text-gray-500 dark:text-gray-400">Nothing waiting to upload.</p>
+            ) : (
+              <ul className="max-h-48 overflow-y-auto divide-y divide-gray-200 dark:divide-gray-700">
+                {pending.map((change) => (
+                  <li key={`${change.action}-${change.reportId || ''}-${change.timestamp}`} className="py-1.5 text-sm">
+                    <span className="block text-gray-800 dark:text-gray-200">{describeChange(change)}</span>
+                    <span className="text-xs text-gray-500 dark:text-gray-400">
+                      Queued {new Date(change.timestamp).toLocaleString()}
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            )}
+
+            {pending.length > 0 && (
+              <Button size="sm" onClick={syncNow} disabled={!online || syncing} className="w-full">
+                <RefreshCw size={14} className={syncing ? 'animate-spin' : ''} />
+                <span>{syncing ? 'Uploading...' : 'Upload now'}</span>
+              </Button>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ConnectionStatus;
@@ -1,111 +1,48 @@
-import React, { useState } from 'react';
-import { Sun, Moon, Send, User, Settings, Save, Download, Upload, FileText } from 'lucide-react';
+import React, { useEffect, useState } from 'react';
+import { Sun, Moon, Send, User, Settings, Save, Download, Upload, FileText, FolderOpen, History, ClipboardCheck, Undo2, Redo2 } from 'lucide-react';
 import Button from '../ui/Button';
 import Modal from '../ui/Modal';
 import Input from '../ui/Input';
 import Select from '../ui/Select';
 import UserMenu from '../auth/UserMenu';
+import ConnectionStatus from './ConnectionStatus';
+import { ReportLibraryModal, ReportStatusBadge, ReviewQueueModal, ValidationProblems, VersionHistoryModal } from '../reports';
 import { useApp } from '../../context/AppContext';
+import { useReportValidation } from '../../hooks/useReportValidation';
 import { getEmailRecipients } from '../../utils/security';
+import organizationSettingsService from '../../services/organizationSettingsService';
 import pdfReportService from '../../services/pdfReportService';
-
-// Helper function to consolidate photos from different sources
-const consolidatePhotos = (reportData) => {
-  const allPhotos = [];
-  
-  // Add photos from main photos field
-  if (reportData.photos && Array.isArray(reportData.photos)) {
-    allPhotos.push(...reportData.photos);
-  }
-  
-  // Add photos from pictures.dataCloset
-  if (reportData.pictures?.dataCloset && Array.isArray(reportData.pictures.dataCloset)) {
-    allPhotos.push(...reportData.pictures.dataCloset.map(photo => {
-      const title = photo.title || photo.name || '';
-      const lower = title.toLowerCase();
-      const isLayout = lower.includes('layout') || lower.includes('diagram') || lower.includes('schematic');
-      return {
-        ...photo,
-        title,
-        // Prefer rack_layout for diagram-like names so the PDF picks them up
-        category: isLayout ? 'rack_layout' : 'rack',
-        location: photo.location || 'data closet'
-      };
-    }));
-  }
-  
-  // Add photos from pictures.trainingRoom
-  if (reportData.pictures?.trainingRoom && Array.isArray(reportData.pictures.trainingRoom)) {
-    allPhotos.push(...reportData.pictures.trainingRoom.map(photo => ({
-      ...photo,
-      title: photo.title || photo.name,
-      // Normalize to categories the PDF service recognizes for training images
-      category: 'training',
-      location: photo.location || 'training room'
-    })));
-  }
-  
-  // Add photos from dataCloset.photos
-  if (reportData.dataCloset?.photos && Array.isArray(reportData.dataCloset.photos)) {
-    allPhotos.push(...reportData.dataCloset.photos.map(photo => {
-      const title = photo.title || photo.name || '';
-      const lower = title.toLowerCase();
-      const isLayout = lower.includes('layout') || lower.includes('diagram') || lower.includes('schematic');
-      return {
-        ...photo,
-        title,
-        category: isLayout ? 'rack_layout' : 'rack',
-        location: photo.location || 'data closet'
-      };
-    }));
-  }
-  
-  return allPhotos;
-};
-
-// Helper function to extract racks from data closet locations
-const extractRacksFromDataCloset = (dataCloset) => {
-  if (!dataCloset || !dataCloset.locations) return [];
-  
-  const racks = [];
-  
-  // If locations is an array
-  if (Array.isArray(dataCloset.locations)) {
-    dataCloset.locations.forEach((location, index) => {
-      if (location.racks && Array.isArray(location.racks)) {
-        location.racks.forEach(rack => {
-          racks.push({
-            ...rack,
-            // Normalize property name to what the PDF expects
-            locationName: location.name || `Location ${index + 1}`,
-            id: rack.id || `${location.name || 'location'}-rack-${rack.name || index}`
-          });
-        });
-      }
-    });
-  }
-  // If locations is an object
-  else if (typeof dataCloset.locations === 'object') {
-    Object.entries(dataCloset.locations).forEach(([locationName, locationData]) => {
-      if (locationData.racks && Array.isArray(locationData.racks)) {
-        locationData.racks.forEach(rack => {
-          racks.push({
-            ...rack,
-            locationName,
-            id: rack.id || `${locationName}-rack-${rack.name || 'unnamed'}`
-          });
-        });
-      }
-    });
-  }
-  
-  return racks;
-};
+import reportPersistenceService from '../../services/reportPersistenceService';
+import { REPORT_STATUS, getReportTitle } from '../../utils/reportWorkspace';
+import { extractPhotos } from '../../utils/reportPhotos';
+import { toPdfReportData, getReportPdfFilename } from '../../utils/pdfReportData';
+import { getPdfProfile } from '../../utils/pdfProfiles';
+import { STATUS_LABELS, canReview, isLockedStatus } from '../../constants/reportLifecycle';
 
 const Header = () => {
-  const { theme, toggleTheme, isLoading, reportData, addNotification, setLoading } = useApp();
+  const {
+    theme,
+    toggleTheme,
+    isLoading,
+    reportData,
+    updateReportData,
+    addNotification,
+    setLoading,
+    reports,
+    activeReportId,
+    openReport,
+    setReportStatus,
+    history,
+    undo,
+    redo,
+    user
+  } = useApp();
   const [showSettingsModal, setShowSettingsModal] = useState(false);
+  const [showReportLibrary, setShowReportLibrary] = useState(false);
+  const [showVersionHistory, setShowVersionHistory] = useState(false);
+  const [showReviewQueue, setShowReviewQueue] = useState(false);
   const [showSubmitModal, setShowSubmitModal] = useState(false);
+  const [showProblemsModal, setShowProblemsModal] = useState(false);
   const [settingsData, setSettingsData] = useState({
     exportFormat: 'json',
     autoSave: 'enabled',
@@ -116,39 +53,60 @@ const Header = () => {
     emailReport: true,
     downloadCopy: true,
     includePhotos: true,
-    includeRackDiagrams: true
+    includeRackDiagrams: true,
+    pdfProfileId: '',
+    archivalPdf: true,
+    submitForReview: true
   });
+  // Fetched again on open so profiles saved on the Admin page show up
+  const [pdfProfiles, setPdfProfiles] = useState(() => organizationSettingsService.getCached('pdfProfiles'));
+  useEffect(() => {
+    if (!showSubmitModal) return undefined;
+    let active = true;
+    organizationSettingsService.load('pdfProfiles').then((loaded) => {
+      if (active) setPdfProfiles(loaded);
+    });
+    return () => { active = false; };
+  }, [showSubmitModal]);
+
+  const validation = useReportValidation();
+  const undoStep = history.past[history.past.length - 1];
+  const redoStep = history.future[0];
+
+  const activeReport = reports.find((entry) => entry.id === activeReportId);
+  const isLocked = isLockedStatus(activeReport?.status);
 
   const handleSubmitReport = () => {
-    // Basic validation - be more flexible with field checking
-    const hasOffice = reportData.office?.trim();
-    const hasDate = reportData.date?.trim();
-    const hasSummary = reportData.summary?.summaryText?.trim();
-    
-    console.log('Submit Report validation:', {
-      hasOffice: !!hasOffice,
-      hasDate: !!hasDate,
-      hasSummary: !!hasSummary,
-      office: reportData.office,
-      date: reportData.date,
-      summaryText: reportData.summary?.summaryText?.substring(0, 50) + '...'
-    });
-    
-    if (!hasOffice || !hasDate || !hasSummary) {
+    if (isLocked) {
       addNotification({
-        type: 'error',
-        message: 'Please fill in all required fields before submitting',
-        description: 'Office location, date, and summary are required.',
-        duration: 5000
+        type: 'info',
+        message: `This report is already ${STATUS_LABELS[activeReport.status].toLowerCase()}`,
+        duration: 3000
       });
       return;
     }
 
-    // Open submission modal for export options
-    console.log('Validation passed, opening submission modal...');
+    // Errors block submitting; list them with links to their fields
+    if (!validation.canSubmit) {
+      setShowProblemsModal(true);
+      return;
+    }
+
     setShowSubmitModal(true);
   };
 
+  // Save the report to the server and hand it to reviewers; it is read-only
+  // for the technician from then on
+  const submitForReview = async () => {
+    const { data } = extractPhotos(reportData);
+    const saved = await reportPersistenceService.saveReport(data, { reportId: reportData.id || null });
+    if (!reportData.id) {
+      updateReportData('id', saved.reportId);
+    }
+    const report = await reportPersistenceService.submitReport(saved.reportId);
+    await setReportStatus(activeReportId, report.status);
+  };
+
   const handleFinalSubmit = async () => {
     setLoading(true);
     
@@ -162,24 +120,33 @@ const Header = () => {
         handleJSONExport();
       }
 
-      // If email option is selected, also prepare email
+      let emailResult = null;
       if (submitOptions.emailReport) {
-        const emailRecipients = await getEmailRecipients();
-        console.log('Email recipients:', emailRecipients.fullReport);
-        
-        // TODO: Integrate with email service
-        addNotification({
-          type: 'info',
-          message: 'Email functionality will be implemented',
-          description: 'Report exported successfully. Email integration coming soon.',
-          duration: 4000
-        });
+        emailResult = await handleEmailReport();
+      }
+
+      const delivered = `Report exported as ${submitOptions.exportFormat.toUpperCase()}${emailResult ? ` and emailed to ${emailResult.accepted.length} recipient(s)` : ''}`;
+
+      if (submitOptions.submitForReview) {
+        try {
+          await submitForReview();
+        } catch (error) {
+          // The export already went out; only the review hand-off failed, so
+          // the dialog stays open to try again
+          addNotification({
+            type: 'warning',
+            message: 'Report exported but not submitted for review',
+            description: `${delivered}. Submitting for review failed: ${error.message}`,
+            duration: 8000
+          });
+          return;
+        }
       }
 
       addNotification({
         type: 'success',
-        message: 'Report submitted and exported successfully!',
-        description: `Report exported as ${submitOptions.exportFormat.toUpperCase()}${submitOptions.emailReport ? ' and prepared for email' : ''}`,
+        message: submitOptions.submitForReview ? 'Report submitted and exported successfully!' : 'Report exported successfully!',
+        description: delivered,
         duration: 5000
       });
 
@@ -272,115 +239,83 @@ const Header = () => {
     URL.revokeObjectURL(url);
   };
 
-  const handlePDFExport = async () => {
-    // Map our actual report data structure to what the PDF service expects
-    const mappedReportData = {
-      // Basic information
-      organization: { 
-        name: reportData.office || reportData.organization?.name || 'Unknown Organization' 
-      },
-      location: { 
-        name: reportData.office || reportData.location?.name || 'Unknown Location' 
-      },
-      visitDate: reportData.date || new Date().toISOString(),
-      
-      // Handle summary data properly - summary is an object with multiple text fields
-      summary: reportData.summary?.summaryText || 
-               (typeof reportData.summary === 'string' ? reportData.summary : '') || 
-               'Visit completed successfully.',
-      
-      // Additional summary details
-      summaryDetails: {
-        pcRepairs: reportData.summary?.pcRepairsText || '',
-        trainingRoom: reportData.summary?.trainingRoomText || '',
-        issues: reportData.summary?.issuesText || '',
-        recommendations: reportData.summary?.recommendationsText || '',
-        followUp: reportData.summary?.followUpText || ''
-      },
-      
-      // Technician information
-      technician: {
-        name: reportData.technician?.name || reportData.technician || reportData.rss || 'Unknown Technician'
-      },
-      
-      // Visit details
-      visitPurpose: reportData.visitPurpose || 'Routine maintenance',
-      nextVisit: reportData.nextVisit || '',
-      
-      // Office grading
-      officeGrading: reportData.officeGrading || [],
-      officeGrade: reportData.officeGrade || 'N/A',
-      
-      // Infrastructure data - include SCCM PCs and hardware
-      infrastructure: {
-        sccmPCs: reportData.sccmPCs?.computers || [],
-        hardware: reportData.hardware || {},
-        officeHardware: reportData.officeHardware || [],
-        ...reportData.infrastructure
-      },
-      // Flatten SCCM data to what PDF expects as a primary source
-      sccmData: (reportData.sccmPCs?.computers || reportData.sccmPCs || []),
-      
-      // Data closet information
-      dataCloset: reportData.dataCloset || {},
-      
-      // Inventory management
-      inventory: reportData.inventory || {},
-      // Special stations convenience (some sections read from here)
-      specialStations: reportData.inventory?.specialStations || reportData.specialStations || {},
-      
-      // Recycling information
-      recycling: reportData.recycling || {},
-      
-      // Environmental data from data closet
-      environmental: reportData.dataCloset?.environmental || reportData.environmental || {},
-      // Also provide alias used by PDF service
-      environmentData: reportData.dataCloset?.environmental || reportData.environmental || {},
-      
-      // Power systems and network infrastructure
-      powerSystems: reportData.powerSystems || {},
-      networkInfrastructure: reportData.networkInfrastructure || {},
-      
-      // Rack information from data closet locations
-      racks: extractRacksFromDataCloset(reportData.dataCloset) || reportData.racks || [],
-      
-      // Issues and recommendations
-      recommendations: reportData.recommendations || [],
-      issues: reportData.issues || [],
-      
-      // Photos - handle both pictures and photos fields
-      photos: consolidatePhotos(reportData),
-      
-      // Checklists
-      checklists: reportData.checklists || []
-    };
-    
-    // Convert checklists to recommendations if no recommendations exist
-    if (mappedReportData.recommendations.length === 0 && mappedReportData.checklists.length > 0) {
-      mappedReportData.recommendations = mappedReportData.checklists.flatMap(checklist => 
-        checklist.items
-          .filter(item => !item.checked && item.text)
-          .map(item => ({
-            title: item.text,
-            description: `Checklist item from: ${checklist.title}`,
-            priority: 'Medium'
-          }))
-      );
-    }
-    
-    const filename = `RSS_Visit_Report_${reportData.office || 'Unknown'}_${reportData.date || new Date().toISOString().split('T')[0]}.pdf`;
+  /**
+   * Build the PDF service input, filename and options from the current report
+   */
+  const buildPDFExport = () => {
+    const mappedReportData = toPdfReportData(reportData);
+
+    const filename = getReportPdfFilename(reportData);
     
     const pdfOptions = {
       title: 'RSS Visit Report',
+      profile: getPdfProfile(pdfProfiles, submitOptions.pdfProfileId),
       includePhotos: submitOptions.includePhotos,
       includeRackDiagrams: submitOptions.includeRackDiagrams,
+      archival: submitOptions.archivalPdf ? { report: reportData, reportNumber: reportData.id } : null,
       format: 'a4',
       orientation: 'portrait'
     };
 
+    return { mappedReportData, filename, pdfOptions };
+  };
+
+  const handlePDFExport = async () => {
+    const { mappedReportData, filename, pdfOptions } = buildPDFExport();
     await pdfReportService.downloadPDF(mappedReportData, filename, pdfOptions);
   };
 
+  /**
+   * Email the report PDF to the full-report recipients. Failures are
+   * reported separately so a completed export is not shown as failed.
+   * @returns {Object|null} Delivery result, or null if nothing was sent
+   */
+  const handleEmailReport = async () => {
+    await organizationSettingsService.load('emailRecipients');
+    const recipients = getEmailRecipients('fullReport', reportData);
+    if (recipients.length === 0) {
+      addNotification({
+        type: 'warning',
+        message: 'Report was not emailed',
+        description: 'No report recipients are configured for this office. Add them under Admin > Email Recipients.',
+        duration: 5000
+      });
+      return null;
+    }
+
+    const { mappedReportData, filename, pdfOptions } = buildPDFExport();
+
+    try {
+      const result = await pdfReportService.emailPDF(mappedReportData, {
+        recipients,
+        subject: `RSS Visit Report - ${reportData.office || 'Unknown Office'} - ${reportData.date || new Date().toISOString().split('T')[0]}`,
+        message: `Please find attached the RSS visit report for ${reportData.office || 'the office'}.`,
+        filename,
+        reportId: reportData.id
+      }, pdfOptions);
+
+      if (result.rejected?.length > 0) {
+        addNotification({
+          type: 'warning',
+          message: 'Some recipients did not receive the report',
+          description: result.rejected.join(', '),
+          duration: 6000
+        });
+      }
+
+      return result;
+    } catch (error) {
+      console.error('Email delivery error:', error);
+      addNotification({
+        type: 'error',
+        message: 'Report exported, but the email could not be sent',
+        description: error.message || 'Please try again later.',
+        duration: 6000
+      });
+      return null;
+    }
+  };
+
   const convertToCSV = (data) => {
     const rows = [];
     
@@ -457,10 +392,32 @@ const Header = () => {
               <h1 className="text-2xl font-bold text-gray-800 dark:text-gray-100">
                 Visit Report System
               </h1>
+
+              {/* Active Report */}
+              <div className="hidden lg:flex items-center space-x-2">
+                <select
+                  value={activeReportId || ''}
+                  onChange={(e) => openReport(e.target.value)}
+                  className="max-w-xs text-sm border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 rounded-lg px-3 py-2"
+                  aria-label="Active report"
+                >
+                  {reports
+                    .filter((entry) => entry.status !== REPORT_STATUS.ARCHIVED || entry.id === activeReportId)
+                    .map((entry) => (
+                      <option key={entry.id} value={entry.id}>
+                        {getReportTitle(entry)}
+                      </option>
+                    ))}
+                </select>
+                <ReportStatusBadge status={activeReport?.status} />
+              </div>
             </div>
 
             {/* User Info and Actions */}
             <div className="flex items-center space-x-4">
+              {/* Online/offline and uploads still queued */}
+              <ConnectionStatus />
+
               {/* User Menu */}
               <UserMenu />
 
@@ -475,6 +432,68 @@ const Header = () => {
                 {theme === 'light' ? <Moon size={18} /> : <Sun size={18} />}
               </Button>
 
+              {/* Undo / Redo Buttons */}
+              <Button
+                variant="outline"
+                size="sm"
+                className="p-2"
+                aria-label="Undo"
+                title={undoStep ? `Undo: ${undoStep.label} (Ctrl+Z)` : 'Nothing to undo'}
+                disabled={!undoStep}
+                onClick={undo}
+              >
+                <Undo2 size={18} />
+              </Button>
+              <Button
+                variant="outline"
+                size="sm"
+                className="p-2"
+                aria-label="Redo"
+                title={redoStep ? `Redo: ${redoStep.label} (Ctrl+Shift+Z)` : 'Nothing to redo'}
+                disabled={!redoStep}
+                onClick={redo}
+              >
+                <Redo2 size={18} />
+              </Button>
+
+              {/* Report Library Button */}
+              <Button
+                variant="outline"
+                size="sm"
+                className="p-2"
+                aria-label="Reports"
+                title="Reports"
+                onClick={() => setShowReportLibrary(true)}
+              >
+                <FolderOpen size={18} />
+              </Button>
+
+              {/* Version History Button */}
+              <Button
+                variant="outline"
+                size="sm"
+                className="p-2"
+                aria-label="Version history"
+                title="Version history"
+                onClick={() => setShowVersionHistory(true)}
+              >
+                <History size={18} />
+              </Button>
+
+              {/* Review Queue Button */}
+              {canReview(user?.role) && (
+                <Button
+                  variant="outline"
+                  size="sm"
+                  className="p-2"
+                  aria-label="Review queue"
+                  title="Review queue"
+                  onClick={() => setShowReviewQueue(true)}
+                >
+                  <ClipboardCheck size={18} />
+                </Button>
+              )}
+
               {/* Settings Button */}
               <Button
                 variant="outline"
@@ -489,7 +508,8 @@ const Header = () => {
               {/* Submit Report Button */}
               <Button
                 onClick={handleSubmitReport}
-                disabled={isLoading}
+                disabled={isLoading || isLocked}
+                title={isLocked ? `Report is ${STATUS_LABELS[activeReport.status].toLowerCase()}` : undefined}
                 loading={isLoading}
                 className="flex items-center space-x-2"
               >
@@ -501,6 +521,10 @@ const Header = () => {
         </div>
       </header>
 
+      <ReportLibraryModal isOpen={showReportLibrary} onClose={() => setShowReportLibrary(false)} />
+      <VersionHistoryModal isOpen={showVersionHistory} onClose={() => setShowVersionHistory(false)} />
+      <ReviewQueueModal isOpen={showReviewQueue} onClose={() => setShowReviewQueue(false)} />
+
       {/* Settings Modal */}
       <Modal
         isOpen={showSettingsModal}
@@ -645,6 +669,18 @@ const Header = () => {
                 <option value="csv">CSV</option>
               </Select>
 
+              {(submitOptions.exportFormat === 'pdf' || submitOptions.emailReport) && (
+                <Select
+                  label="PDF Profile"
+                  value={getPdfProfile(pdfProfiles, submitOptions.pdfProfileId).id}
+                  onChange={(e) => setSubmitOptions({ ...submitOptions, pdfProfileId: e.target.value })}
+                >
+                  {pdfProfiles.profiles.map((profile) => (
+                    <option key={profile.id} value={profile.id}>{profile.name}</option>
+                  ))}
+                </Select>
+              )}
+
               <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
                 <label className="flex items-center space-x-3">
                   <input
@@ -685,10 +721,39 @@ const Header = () => {
                   />
                   <span className="text-sm text-gray-700 dark:text-gray-300">Include Rack Diagrams</span>
                 </label>
+
+                <label className="flex items-center space-x-3">
+                  <input
+                    type="checkbox"
+                    checked={submitOptions.archivalPdf}
+                    onChange={(e) => setSubmitOptions({ ...submitOptions, archivalPdf: e.target.checked })}
+                    className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                  />
+                  <span className="text-sm text-gray-700 dark:text-gray-300">PDF/A Archive Copy</span>
+                </label>
+
+                <label className="flex items-center space-x-3">
+                  <input
+                    type="checkbox"
+                    checked={submitOptions.submitForReview}
+                    onChange={(e) => setSubmitOptions({ ...submitOptions, submitForReview: e.target.checked })}
+                    className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                  />
+                  <span className="text-sm text-gray-700 dark:text-gray-300">Submit for Review</span>
+                </label>
               </div>
             </div>
           </div>
 
+          {validation.warnings.length > 0 && (
+            <div>
+              <h4 className="font-medium text-gray-900 dark:text-gray-100 mb-2">
+                Warnings ({validation.warnings.length})
+              </h4>
+              <ValidationProblems problems={validation.warnings} onJump={() => setShowSubmitModal(false)} />
+            </div>
+          )}
+
           <div className="bg-gray-50 dark:bg-gray-700 rounded-lg p-4">
             <h4 className="font-medium text-gray-900 dark:text-gray-100 mb-2">Report Summary:</h4>
             <div className="text-sm text-gray-600 dark:text-gray-400 space-y-1">
@@ -710,6 +775,26 @@ const Header = () => {
           </div>
         </div>
       </Modal>
+
+      {/* Problems blocking submission */}
+      <Modal
+        isOpen={showProblemsModal}
+        onClose={() => setShowProblemsModal(false)}
+        title="Report Not Ready"
+        size="lg"
+      >
+        <div className="space-y-4">
+          <p className="text-sm text-gray-600 dark:text-gray-400">
+            Fix {validation.errors.length === 1 ? 'this error' : `these ${validation.errors.length} errors`} before submitting the report.
+          </p>
+          <ValidationProblems problems={validation.problems} onJump={() => setShowProblemsModal(false)} />
+          <div className="flex justify-end pt-4 border-t border-gray-200 dark:border-gray-700">
+            <Button variant="outline" onClick={() => setShowProblemsModal(false)}>
+              Close
+            </Button>
+          </div>
+        </div>
+      </Modal>
     </>
   );
 };
@@ -16,9 +16,12 @@ import {
   CheckSquare
 } from 'lucide-react';
 import { useApp } from '../../context/AppContext';
+import { useReportValidation } from '../../hooks/useReportValidation';
+import { getPageProblems } from '../../utils/reportValidation';
 
 const Navigation = () => {
   const { activePage, setActivePage, user, isAuthenticated, hasPermission, hasRole } = useApp();
+  const validation = useReportValidation();
   
   // Debug: Log user info when component renders
   console.log('🔍 Navigation - Current user:', user);
@@ -218,22 +221,41 @@ const Navigation = () => {
     <nav className="bg-white dark:bg-gray-800 border-b border-gray-200 dark:border-gray-700">
       <div className="container mx-auto px-4 sm:px-6 lg:px-8">
         <div className="flex space-x-1 overflow-x-auto">
-          {accessiblePages.map(page => (
-            <button
-              key={page.id}
-              onClick={() => setActivePage(page.id)}
-              className={`px-4 py-3 font-medium text-sm flex items-center space-x-2 border-b-2 transition-colors duration-200 whitespace-nowrap min-w-max ${
-                activePage === page.id 
-                  ? 'border-blue-600 text-blue-600 dark:text-blue-400 bg-blue-50 dark:bg-blue-900/20' 
-                  : 'border-transparent text-gray-500 dark:text-gray-400 hover:text-gray-700 dark:hover:text-gray-200 hover:border-gray-300 dark:hover:border-gray-600 hover:bg-gray-50 dark:hover:bg-gray-700/50'
-              }`}
-              title={page.description}
-              aria-label={`Navigate to ${page.label}`}
-            >
-              {page.icon}
-              <span>{page.label}</span>
-            </button>
-          ))}
+          {accessiblePages.map(page => {
+            const { errors, warnings } = getPageProblems(validation, page.id);
+            return (
+              <button
+                key={page.id}
+                onClick={() => setActivePage(page.id)}
+                className={`px-4 py-3 font-medium text-sm flex items-center space-x-2 border-b-2 transition-colors duration-200 whitespace-nowrap min-w-max ${
+                  activePage === page.id 
+                    ? 'border-blue-600 text-blue-600 dark:text-blue-400 bg-blue-50 dark:bg-blue-900/20' 
+                    : 'border-transparent text-gray-500 dark:text-gray-400 hover:text-gray-700 dark:hover:text-gray-200 hover:border-gray-300 dark:hover:border-gray-600 hover:bg-gray-50 dark:hover:bg-gray-700/50'
+                }`}
+                title={page.description}
+                aria-label={`Navigate to ${page.label}`}
+              >
+                {page.icon}
+                <span>{page.label}</span>
+                {errors.length > 0 && (
+                  <span
+                    className="px-1.5 rounded-full text-xs bg-red-100 text-red-700 dark:bg-red-900/40 dark:text-red-300"
+                    title={`${errors.length} ${errors.length === 1 ? 'error' : 'errors'}`}
+                  >
+                    {errors.length}
+                  </span>
+                )}
+                {warnings.length > 0 && (
+                  <span
+                    className="px-1.5 rounded-full text-xs bg-yellow-100 text-yellow-800 dark:bg-yellow-900/40 dark:text-yellow-300"
+                    title={`${warnings.length} ${warnings.length === 1 ? 'warning' : 'warnings'}`}
+                  >
+                    {warnings.length}
+                  </span>
+                )}
+              </button>
+            );
+          })}
         </div>
       </div>
     </nav>
@@ -1,65 +1,7 @@
 import React from 'react';
 import '../../styles/rack.css';
-
-/**
- * Device type color mapping with WCAG-compliant contrast
- */
-const DEVICE_TYPE_COLORS = {
-  // Infrastructure & Power
-  'ups': { bg: '#dc2626', fg: '#ffffff' }, // Red - Critical power
-  'pdu': { bg: '#ea580c', fg: '#ffffff' }, // Orange - Power distribution
-  
-  // Network Equipment  
-  'switch': { bg: '#2563eb', fg: '#ffffff' }, // Blue - Network switching
-  'router': { bg: '#1d4ed8', fg: '#ffffff' }, // Dark Blue - Network routing
-  'isp-equipment': { bg: '#3730a3', fg: '#ffffff' }, // Indigo - ISP gear
-  
-  // Servers & Compute
-  'server': { bg: '#059669', fg: '#ffffff' }, // Green - Servers
-  'top-level': { bg: '#047857', fg: '#ffffff' }, // Dark Green - Top level servers
-  
-  // Network & WAN
-  'sd-wan': { bg: '#7c3aed', fg: '#ffffff' }, // Purple - SD-WAN
-  
-  // Monitoring & Security
-  'camera-server': { bg: '#be185d', fg: '#ffffff' }, // Pink - Security/cameras
-  'test-pc': { bg: '#0891b2', fg: '#ffffff' }, // Cyan - Test equipment
-  
-  // Connectivity
-  'patch-panel': { bg: '#65a30d', fg: '#ffffff' }, // Lime - Patch panels
-  
-  // Default fallback
-  'default': { bg: '#6b7280', fg: '#ffffff' }, // Gray - Unknown devices
-};
-
-/**
- * Generate consistent color for device based on its type
- * Falls back to device-specific color if type is not recognized
- */
-function colorForDevice(device) {
-  const deviceType = device.type?.toLowerCase() || 'default';
-  
-  // Check if we have a predefined color for this device type
-  if (DEVICE_TYPE_COLORS[deviceType]) {
-    return DEVICE_TYPE_COLORS[deviceType];
-  }
-  
-  // Fallback to device-specific color generation for unknown types
-  const deviceKey = device.id || device.name || 'unknown';
-  let h = 0;
-  for (let i = 0; i < deviceKey.length; i++) {
-    h = (h * 31 + deviceKey.charCodeAt(i)) >>> 0;
-  }
-  
-  const hue = h % 360;
-  const sat = 55;
-  const light = 45; // Darker for better contrast
-  
-  const bg = `hsl(${hue} ${sat}% ${light}%)`;
-  const fg = '#ffffff'; // Always white text for better contrast
-  
-  return { bg, fg };
-}
+import { DEVICE_TYPE_COLORS } from '../../constants/rackConfig.js';
+import { colorForDevice } from '../../utils/rackUtils.js';
 
 /**
  * DeviceBlock component - represents a single device in the rack
@@ -0,0 +1,33 @@
+import React from 'react';
+import { Check } from 'lucide-react';
+import { isCarriedForward } from '../../utils/visitCarryForward';
+
+/**
+ * "From last visit" pill for a record copied by utils/visitCarryForward, with
+ * a button to confirm it is still accurate. Nothing is shown once confirmed.
+ */
+const CarriedForwardBadge = ({ record, onConfirm }) => {
+  if (!isCarriedForward(record)) return null;
+
+  return (
+    <span className="inline-flex items-center px-2 py-1 text-xs rounded-full bg-amber-100 text-amber-800 dark:bg-amber-900/30 dark:text-amber-200">
+      From last visit
+      {onConfirm && (
+        <button
+          type="button"
+          onClick={(e) => {
+            e.stopPropagation();
+            onConfirm();
+          }}
+          className="ml-1 p-0.5 rounded-full hover:bg-amber-200 dark:hover:bg-amber-800"
+          title="Confirm this is still accurate"
+          aria-label="Confirm record from last visit"
+        >
+          <Check size={12} />
+        </button>
+      )}
+    </span>
+  );
+};
+
+export default CarriedForwardBadge;
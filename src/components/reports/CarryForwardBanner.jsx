@@ -0,0 +1,57 @@
+import React from 'react';
+import { Repeat } from 'lucide-react';
+import Alert from '../ui/Alert';
+import Button from '../ui/Button';
+import { useApp } from '../../context/AppContext';
+import { confirmCarriedForward, countCarriedForward } from '../../utils/visitCarryForward';
+
+const SECTIONS = [
+  { key: 'locations', label: 'closet locations' },
+  { key: 'racks', label: 'racks' },
+  { key: 'devices', label: 'devices' },
+  { key: 'inventory', label: 'inventory items' },
+  { key: 'sccmPCs', label: 'SCCM PCs' },
+  { key: 'issues', label: 'open issues' },
+  { key: 'followUpItems', label: 'follow-up items' }
+];
+
+/**
+ * Reminder that the open visit was started from the previous one, listing
+ * how many copied records are still to be confirmed
+ */
+const CarryForwardBanner = () => {
+  const { reportData, setReportData } = useApp();
+  const source = reportData.carriedForwardFrom;
+  if (!source) return null;
+
+  const counts = countCarriedForward(reportData);
+  if (counts.total === 0) return null;
+
+  const pending = SECTIONS
+    .filter(({ key }) => counts[key] > 0)
+    .map(({ key, label }) => `${counts[key]} ${label}`)
+    .join(', ');
+
+  return (
+    <Alert variant="info">
+      <div className="flex flex-wrap justify-between items-center gap-3">
+        <div className="flex items-start space-x-3">
+          <Repeat size={20} />
+          <div>
+            <p className="font-medium">
+              Carried forward from the {source.date ? `${source.date} ` : ''}visit to {source.office}
+            </p>
+            <p className="text-sm">
+              Still to confirm: {pending}. Records marked &quot;From last visit&quot; are confirmed when you check or edit them.
+            </p>
+          </div>
+        </div>
+        <Button size="sm" variant="outline" onClick={() => setReportData(confirmCarriedForward(reportData), 'Confirmed carried-forward records')}>
+          Confirm all
+        </Button>
+      </div>
+    </Alert>
+  );
+};
+
+export default CarryForwardBanner;
@@ -0,0 +1,293 @@
+import React, { useEffect, useState } from 'react';
+import { FileText, Plus, Copy, Trash2, Save, RotateCcw, ChevronUp, ChevronDown, X, Download } from 'lucide-react';
+import Button from '../ui/Button';
+import Input from '../ui/Input';
+import Select from '../ui/Select';
+import ConfirmDialog from '../ui/ConfirmDialog';
+import { useApp } from '../../context/AppContext';
+import { PDF_SECTIONS, PDF_PAGE_BREAKS, PDF_SECTION_OPTION_LABELS } from '../../constants/pdfProfiles';
+import organizationSettingsService from '../../services/organizationSettingsService';
+import { normalizePdfProfile, createPdfProfileId } from '../../utils/pdfProfiles';
+
+const SECTIONS_BY_ID = Object.fromEntries(PDF_SECTIONS.map((section) => [section.id, section]));
+
+/**
+ * Admin editor for PDF profiles: which report sections a PDF contains, in
+ * what order, where pages break and the options of each section. The
+ * default profile is preselected when a report is submitted. Profiles are
+ * saved on the server for the whole organization.
+ */
+const PdfProfileSettings = () => {
+  const { addNotification } = useApp();
+  const [config, setConfig] = useState(() => organizationSettingsService.getCached('pdfProfiles'));
+  const [draft, setDraft] = useState(() => config.profiles.find((profile) => profile.id === config.defaultId));
+  const [isDefault, setIsDefault] = useState(true);
+  const [showDelete, setShowDelete] = useState(false);
+  const [saving, setSaving] = useState(false);
+
+  const isSaved = config.profiles.some((profile) => profile.id === draft.id);
+  const missingSections = PDF_SECTIONS.filter(({ id }) => !draft.sections.some((section) => section.id === id));
+
+  const selectProfile = (id, source = config) => {
+    const profile = source.profiles.find((entry) => entry.id === id);
+    setDraft(profile);
+    setIsDefault(source.defaultId === profile.id);
+  };
+
+  // The cached copy shows at once; the server's replaces it when it arrives
+  useEffect(() => {
+    let active = true;
+    organizationSettingsService.load('pdfProfiles').then((loaded) => {
+      if (!active) return;
+      setConfig(loaded);
+      selectProfile(loaded.defaultId, loaded);
+    });
+    return () => { active = false; };
+  }, []);
+
+  const saveProfiles = async (next) => {
+    setSaving(true);
+    try {
+      const saved = await organizationSettingsService.save('pdfProfiles', next);
+      setConfig(saved);
+      return saved;
+    } catch (error) {
+      addNotification({ type: 'error', message: 'Failed to save PDF profiles', description: error.message, duration: 5000 });
+      return null;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const startProfile = (name, sections, tableOfContents) => {
+    setDraft({ id: createPdfProfileId(name, config.profiles), name, tableOfContents, sections });
+    setIsDefault(false);
+  };
+
+  const updateSection = (index, changes) => {
+    setDraft({
+      ...draft,
+      sections: draft.sections.map((section, position) => (position === index ? { ...section, ...changes } : section))
+    });
+  };
+
+  const moveSection = (index, offset) => {
+    const sections = [...draft.sections];
+    [sections[index], sections[index + offset]] = [sections[index + offset], sections[index]];
+    setDraft({ ...draft, sections });
+  };
+
+  const addSection = (id) => {
+    if (!id) return;
+    setDraft(normalizePdfProfile({ ...draft, sections: [...draft.sections, { id }] }));
+  };
+
+  const handleSave = async () => {
+    if (!draft.name.trim()) {
+      addNotification({ type: 'error', message: 'Profile name is required', duration: 4000 });
+      return;
+    }
+    if (draft.sections.length === 0) {
+      addNotification({ type: 'error', message: 'Add at least one section to the profile', duration: 4000 });
+      return;
+    }
+
+    const profiles = isSaved
+      ? config.profiles.map((profile) => (profile.id === draft.id ? draft : profile))
+      : [...config.profiles, draft];
+    const saved = await saveProfiles({ defaultId: isDefault ? draft.id : config.defaultId, profiles });
+    if (!saved) return;
+    selectProfile(draft.id, saved);
+    addNotification({ type: 'success', message: `PDF profile "${draft.name.trim()}" saved`, duration: 3000 });
+  };
+
+  // For the rendering CLI's --profile-file, e.g. with report JSON files
+  const handleDownload = () => {
+    const blob = new Blob([JSON.stringify(draft, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `pdf-profile-${draft.id}.json`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  };
+
+  const handleDelete = async () => {
+    setShowDelete(false);
+    const saved = await saveProfiles({
+      defaultId: config.defaultId,
+      profiles: config.profiles.filter((profile) => profile.id !== draft.id)
+    });
+    if (saved) selectProfile(saved.defaultId, saved);
+  };
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-lg p-6 border border-gray-200 dark:border-gray-600 lg:col-span-2 xl:col-span-3">
+      <div className="flex justify-between items-center mb-4">
+        <h3 className="text-lg font-semibold text-gray-900 dark:text-gray-100 flex items-center">
+          <FileText size={20} className="mr-2 text-teal-500" />
+          PDF Profiles
+        </h3>
+        <div className="flex space-x-2">
+          <Button size="sm" variant="outline" onClick={() => startProfile(`${draft.name} copy`, draft.sections, draft.tableOfContents)} title="Duplicate profile">
+            <Copy size={14} />
+          </Button>
+          <Button size="sm" onClick={() => startProfile('New profile', [{ id: 'summary', pageBreak: 'auto', options: {} }], true)}>
+            <Plus size={16} />
+            Add Profile
+          </Button>
+        </div>
+      </div>
+
+      <p className="text-sm text-gray-600 dark:text-gray-400 mb-4">
+        A profile sets which sections a report PDF contains and in what order. The default profile is
+        preselected when a report is submitted; the photo and rack diagram switches there still apply.
+      </p>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+        <Select label="Profile" value={isSaved ? draft.id : ''} onChange={(e) => selectProfile(e.target.value)}>
+          {!isSaved && <option value="">{draft.name} (unsaved)</option>}
+          {config.profiles.map((profile) => (
+            <option key={profile.id} value={profile.id}>
+              {profile.name}{profile.id === config.defaultId ? ' (default)' : ''}
+            </option>
+          ))}
+        </Select>
+        <Input
+          label="Name"
+          value={draft.name}
+          onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+        />
+      </div>
+
+      <label className="flex items-center space-x-3 mb-4">
+        <input
+          type="checkbox"
+          checked={isDefault}
+          onChange={(e) => setIsDefault(e.target.checked)}
+          disabled={config.defaultId === draft.id}
+          className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+        />
+        <span className="text-sm text-gray-700 dark:text-gray-300">Default profile when submitting reports</span>
+      </label>
+
+      <label className="flex items-center space-x-3 mb-4">
+        <input
+          type="checkbox"
+          checked={draft.tableOfContents}
+          onChange={(e) => setDraft({ ...draft, tableOfContents: e.target.checked })}
+          className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+        />
+        <span className="text-sm text-gray-700 dark:text-gray-300">Table of contents on the first page</span>
+      </label>
+
+      <ol className="space-y-2 mb-4">
+        {draft.sections.map((section, index) => {
+          const definition = SECTIONS_BY_ID[section.id];
+          return (
+            <li key={section.id} className="p-3 rounded-lg bg-gray-50 dark:bg-gray-700">
+              <div className="flex flex-wrap items-center gap-3">
+                <span className="text-sm text-gray-500 dark:text-gray-400 w-5">{index + 1}.</span>
+                <div className="flex-1 min-w-[12rem]">
+                  <p className="font-medium text-gray-900 dark:text-gray-100">{definition.label}</p>
+                  <p className="text-xs text-gray-500 dark:text-gray-400">{definition.description}</p>
+                </div>
+                <div className="w-44">
+                  <Select
+                    value={section.pageBreak}
+                    onChange={(e) => updateSection(index, { pageBreak: e.target.value })}
+                    aria-label={`Page break for ${definition.label}`}
+                  >
+                    {PDF_PAGE_BREAKS.map(({ value, label }) => (
+                      <option key={value} value={value}>{label}</option>
+                    ))}
+                  </Select>
+                </div>
+                <div className="flex space-x-1">
+                  <Button size="sm" variant="outline" onClick={() => moveSection(index, -1)} disabled={index === 0} title="Move up">
+                    <ChevronUp size={14} />
+                  </Button>
+                  <Button size="sm" variant="outline" onClick={() => moveSection(index, 1)} disabled={index === draft.sections.length - 1} title="Move down">
+                    <ChevronDown size={14} />
+                  </Button>
+                  <Button
+                    size="sm"
+                    variant="outline"
+                    onClick={() => setDraft({ ...draft, sections: draft.sections.filter((_, position) => position !== index) })}
+                    title="Remove section"
+                  >
+                    <X size={14} />
+                  </Button>
+                </div>
+              </div>
+
+              {Object.keys(section.options).length > 0 && (
+                <div className="flex flex-wrap gap-x-6 gap-y-2 mt-3 ml-8">
+                  {Object.entries(section.options).map(([option, enabled]) => (
+                    <label key={option} className="flex items-center space-x-2">
+                      <input
+                        type="checkbox"
+                        checked={enabled}
+                        onChange={(e) => updateSection(index, { options: { ...section.options, [option]: e.target.checked } })}
+                        className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                      />
+                      <span className="text-sm text-gray-700 dark:text-gray-300">{PDF_SECTION_OPTION_LABELS[option] || option}</span>
+                    </label>
+                  ))}
+                </div>
+              )}
+            </li>
+          );
+        })}
+      </ol>
+
+      {missingSections.length > 0 && (
+        <div className="max-w-md">
+          <Select label="Add section" value="" onChange={(e) => addSection(e.target.value)}>
+            <option value="">Choose a section...</option>
+            {missingSections.map(({ id, label }) => (
+              <option key={id} value={id}>{label}</option>
+            ))}
+          </Select>
+        </div>
+      )}
+
+      <div className="flex justify-end space-x-3 pt-4">
+        <Button
+          variant="danger"
+          onClick={() => setShowDelete(true)}
+          disabled={!isSaved || config.profiles.length === 1}
+          title={config.profiles.length === 1 ? 'At least one profile is needed' : 'Delete profile'}
+        >
+          <Trash2 size={16} />
+          Delete
+        </Button>
+        <Button variant="outline" onClick={() => selectProfile(isSaved ? draft.id : config.defaultId)}>
+          <RotateCcw size={16} />
+          Reset
+        </Button>
+        <Button variant="outline" onClick={handleDownload} title="Download the profile as JSON">
+          <Download size={16} />
+          Download
+        </Button>
+        <Button onClick={handleSave} disabled={saving}>
+          <Save size={16} />
+          {saving ? 'Saving...' : 'Save Profile'}
+        </Button>
+      </div>
+
+      <ConfirmDialog
+        isOpen={showDelete}
+        onClose={() => setShowDelete(false)}
+        onConfirm={handleDelete}
+        title="Delete PDF profile?"
+        message={`"${draft.name}" will no longer be offered when submitting reports.`}
+        confirmText="Delete profile"
+      />
+    </div>
+  );
+};
+
+export default PdfProfileSettings;
@@ -0,0 +1,245 @@
+import React, { useState } from 'react';
+import { Plus, FolderOpen, Copy, Edit, Archive, ArchiveRestore, Trash2, Save, X, Repeat, GitCompare } from 'lucide-react';
+import Modal from '../ui/Modal';
+import Button from '../ui/Button';
+import Input from '../ui/Input';
+import ConfirmDialog from '../ui/ConfirmDialog';
+import ReportStatusBadge from './ReportStatusBadge';
+import VisitComparisonModal from './VisitComparisonModal';
+import { useApp } from '../../context/AppContext';
+import { REPORT_STATUS, getReportTitle } from '../../utils/reportWorkspace';
+import { listVisitedOffices } from '../../utils/visitCarryForward';
+
+const formatUpdated = (value) => {
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? '' : date.toLocaleString();
+};
+
+/**
+ * Library of locally saved visit reports: start, open, rename, duplicate,
+ * archive and delete them. The open report is the one the pages edit.
+ */
+const ReportLibraryModal = ({ isOpen, onClose }) => {
+  const {
+    reports,
+    activeReportId,
+    createReport,
+    createReportFromLastVisit,
+    openReport,
+    duplicateReport,
+    renameReport,
+    archiveReport,
+    deleteReport,
+    addNotification
+  } = useApp();
+  const [showArchived, setShowArchived] = useState(false);
+  const [renaming, setRenaming] = useState(null);
+  const [deleting, setDeleting] = useState(null);
+  const [carryOffice, setCarryOffice] = useState('');
+  const [comparing, setComparing] = useState(false);
+
+  const visible = reports
+    .filter((entry) => showArchived || entry.status !== REPORT_STATUS.ARCHIVED)
+    .sort((a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt)));
+  const archivedCount = reports.filter((entry) => entry.status === REPORT_STATUS.ARCHIVED).length;
+  const visitedOffices = listVisitedOffices(reports);
+
+  const handleCreate = async () => {
+    if (await createReport()) {
+      addNotification({ type: 'success', message: 'New report started', duration: 3000 });
+      onClose();
+    }
+  };
+
+  const handleCarryForward = async () => {
+    const office = carryOffice || visitedOffices[0];
+    if (await createReportFromLastVisit(office)) {
+      addNotification({
+        type: 'success',
+        message: `New visit to ${office} started from the last visit`,
+        description: 'Confirm or update each record marked "From last visit".',
+        duration: 5000
+      });
+      onClose();
+    }
+  };
+
+  const handleOpen = async (entry) => {
+    if (await openReport(entry.id)) {
+      onClose();
+    }
+  };
+
+  const handleDuplicate = async (entry) => {
+    if (await duplicateReport(entry.id)) {
+      addNotification({ type: 'success', message: `Duplicated "${getReportTitle(entry)}"`, duration: 3000 });
+    }
+  };
+
+  const handleRename = async () => {
+    if (await renameReport(renaming.id, renaming.title)) {
+      setRenaming(null);
+    }
+  };
+
+  const handleDelete = async () => {
+    const target = deleting;
+    setDeleting(null);
+    if (await deleteReport(target.id)) {
+      addNotification({ type: 'info', message: 'Report deleted', duration: 3000 });
+    }
+  };
+
+  return (
+    <>
+      <Modal isOpen={isOpen} onClose={onClose} title="Reports" size="xl">
+        <div className="space-y-4">
+          <div className="flex justify-between items-center">
+            <label className="flex items-center space-x-2 text-sm text-gray-700 dark:text-gray-300">
+              <input
+                type="checkbox"
+                checked={showArchived}
+                onChange={(e) => setShowArchived(e.target.checked)}
+                className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+              />
+              <span>Show archived ({archivedCount})</span>
+            </label>
+            <Button size="sm" onClick={handleCreate}>
+              <Plus size={16} />
+              New Report
+            </Button>
+          </div>
+
+          {visitedOffices.length > 0 && (
+            <div className="flex items-center justify-end space-x-2">
+              <select
+                value={carryOffice || visitedOffices[0]}
+                onChange={(e) => setCarryOffice(e.target.value)}
+                className="text-sm border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 rounded-lg px-3 py-2"
+                aria-label="Office to carry forward"
+              >
+                {visitedOffices.map((office) => (
+                  <option key={office} value={office}>{office}</option>
+                ))}
+              </select>
+              <Button size="sm" variant="outline" onClick={handleCarryForward}>
+                <Repeat size={16} />
+                New Visit from Last Visit
+              </Button>
+              <Button size="sm" variant="outline" onClick={() => setComparing(true)}>
+                <GitCompare size={16} />
+                Compare Visits
+              </Button>
+            </div>
+          )}
+
+          <div className="space-y-2">
+            {visible.length === 0 ? (
+              <p className="text-center py-8 text-gray-500 dark:text-gray-400">
+                No reports yet. Start a new report for your next visit.
+              </p>
+            ) : (
+              visible.map((entry) => {
+                const isActive = entry.id === activeReportId;
+                const isArchived = entry.status === REPORT_STATUS.ARCHIVED;
+
+                return (
+                  <div
+                    key={entry.id}
+                    className={`flex justify-between items-center p-3 rounded-lg ${
+                      isActive ? 'bg-blue-50 dark:bg-blue-900/20 border border-blue-200 dark:border-blue-800' : 'bg-gray-50 dark:bg-gray-700'
+                    }`}
+                  >
+                    {renaming?.id === entry.id ? (
+                      <div className="flex flex-1 items-center space-x-2 mr-2">
+                        <div className="flex-1">
+                          <Input
+                            value={renaming.title}
+                            onChange={(e) => setRenaming({ ...renaming, title: e.target.value })}
+                            placeholder={getReportTitle({ ...entry, title: '' })}
+                            aria-label="Report title"
+                            autoFocus
+                          />
+                        </div>
+                        <Button size="sm" onClick={handleRename} title="Save title">
+                          <Save size={14} />
+                        </Button>
+                        <Button size="sm" variant="outline" onClick={() => setRenaming(null)} title="Cancel">
+                          <X size={14} />
+                        </Button>
+                      </div>
+                    ) : (
+                      <div className="flex-1 min-w-0">
+                        <div className="flex items-center space-x-2">
+                          <h4 className="font-medium text-gray-900 dark:text-gray-100 truncate">
+                            {getReportTitle(entry)}
+                          </h4>
+                          {isActive && (
+                            <span className="px-2 py-1 text-xs rounded-full bg-blue-100 text-blue-800 dark:bg-blue-900/30 dark:text-blue-200">
+                              Open
+                            </span>
+                          )}
+                          <ReportStatusBadge status={entry.status} />
+                        </div>
+                        <p className="text-xs text-gray-500 dark:text-gray-400">
+                          {[entry.office, entry.date].filter(Boolean).join(' · ') || 'No office or date yet'}
+                          {entry.updatedAt && ` · Updated ${formatUpdated(entry.updatedAt)}`}
+                        </p>
+                      </div>
+                    )}
+
+                    {renaming?.id !== entry.id && (
+                      <div className="flex space-x-2">
+                        {!isActive && !isArchived && (
+                          <Button size="sm" onClick={() => handleOpen(entry)} title="Open report">
+                            <FolderOpen size={14} />
+                          </Button>
+                        )}
+                        <Button size="sm" variant="outline" onClick={() => setRenaming({ id: entry.id, title: entry.title || '' })} title="Rename report">
+                          <Edit size={14} />
+                        </Button>
+                        <Button size="sm" variant="outline" onClick={() => handleDuplicate(entry)} title="Duplicate report">
+                          <Copy size={14} />
+                        </Button>
+                        <Button
+                          size="sm"
+                          variant="outline"
+                          onClick={() => archiveReport(entry.id, !isArchived)}
+                          title={isArchived ? 'Restore report' : 'Archive report'}
+                        >
+                          {isArchived ? <ArchiveRestore size={14} /> : <Archive size={14} />}
+                        </Button>
+                        <Button size="sm" variant="danger" onClick={() => setDeleting(entry)} title="Delete report">
+                          <Trash2 size={14} />
+                        </Button>
+                      </div>
+                    )}
+                  </div>
+                );
+              })
+            )}
+          </div>
+        </div>
+      </Modal>
+
+      <VisitComparisonModal
+        isOpen={comparing}
+        onClose={() => setComparing(false)}
+        office={carryOffice}
+      />
+
+      <ConfirmDialog
+        isOpen={!!deleting}
+        onClose={() => setDeleting(null)}
+        onConfirm={handleDelete}
+        title="Delete Report"
+        message={`Are you sure you want to delete "${deleting ? getReportTitle(deleting) : ''}"? This action cannot be undone.`}
+        confirmText="Delete"
+        cancelText="Cancel"
+        variant="danger"
+      />
+    </>
+  );
+};
+
+export default ReportLibraryModal;
@@ -0,0 +1,24 @@
+import React from 'react';
+import { STATUS_LABELS } from '../../constants/reportLifecycle';
+
+const STATUS_STYLES = {
+  submitted: 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900/30 dark:text-yellow-200',
+  reviewed: 'bg-indigo-100 text-indigo-800 dark:bg-indigo-900/30 dark:text-indigo-200',
+  approved: 'bg-green-100 text-green-800 dark:bg-green-900/30 dark:text-green-200',
+  archived: 'bg-gray-100 text-gray-600 dark:bg-gray-800 dark:text-gray-400'
+};
+
+/**
+ * Review status pill; drafts show no badge
+ */
+const ReportStatusBadge = ({ status }) => {
+  if (!STATUS_STYLES[status]) return null;
+
+  return (
+    <span className={`px-2 py-1 text-xs rounded-full ${STATUS_STYLES[status]}`}>
+      {STATUS_LABELS[status]}
+    </span>
+  );
+};
+
+export default ReportStatusBadge;
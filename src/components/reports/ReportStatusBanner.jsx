@@ -0,0 +1,141 @@
+import React, { useEffect, useState } from 'react';
+import { Lock, MessageSquare, CheckCircle } from 'lucide-react';
+import Alert from '../ui/Alert';
+import Button from '../ui/Button';
+import Modal from '../ui/Modal';
+import Textarea from '../ui/Textarea';
+import { useApp } from '../../context/AppContext';
+import reportPersistenceService from '../../services/reportPersistenceService';
+import {
+  REPORT_LIFECYCLE,
+  REPORT_TRANSITIONS,
+  STATUS_LABELS,
+  getReviewActions,
+  isLockedStatus
+} from '../../constants/reportLifecycle';
+
+const formatDate = (value) => {
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? '' : date.toLocaleString();
+};
+
+/**
+ * Review status of the open report: read-only notice while it is under
+ * review, the reviewer's comments when it was returned, and the review
+ * actions for reviewers. Follows the server status when the report has been
+ * saved there.
+ */
+const ReportStatusBanner = () => {
+  const { reports, activeReportId, user, setReportStatus, addNotification } = useApp();
+  const entry = reports.find((report) => report.id === activeReportId);
+  const serverId = entry?.serverId;
+  const [history, setHistory] = useState([]);
+  const [busy, setBusy] = useState(false);
+  const [returning, setReturning] = useState(false);
+  const [comments, setComments] = useState('');
+
+  const refresh = async () => {
+    const result = await reportPersistenceService.getStatusHistory(serverId);
+    setHistory(result.history);
+    // Local archiving is not a server status, so archived copies keep theirs
+    if (entry.status !== REPORT_LIFECYCLE.ARCHIVED && result.status !== entry.status) {
+      await setReportStatus(entry.id, result.status);
+    }
+  };
+
+  useEffect(() => {
+    setHistory([]);
+    if (!serverId) return;
+    refresh().catch((error) => {
+      // Offline or signed out: keep the status stored with the report
+      console.warn('Could not refresh report status:', error.message);
+    });
+  }, [activeReportId, serverId]);
+
+  if (!entry) return null;
+
+  const lastChange = history[history.length - 1];
+  const wasReturned = entry.status === REPORT_LIFECYCLE.DRAFT && lastChange?.action === 'return';
+  const actions = serverId ? getReviewActions(entry.status, user?.role) : [];
+  if (!isLockedStatus(entry.status) && !wasReturned) return null;
+
+  const handleAction = async (action, actionComments = '') => {
+    setBusy(true);
+    try {
+      const report = await reportPersistenceService.transitionReport(serverId, action, actionComments);
+      await setReportStatus(entry.id, report.status);
+      await refresh();
+      setReturning(false);
+      setComments('');
+      addNotification({ type: 'success', message: `Report ${REPORT_TRANSITIONS[action].note.toLowerCase()}`, duration: 3000 });
+    } catch (error) {
+      addNotification({ type: 'error', message: 'Failed to update report status', description: error.message, duration: 5000 });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <>
+      <Alert variant={wasReturned ? 'warning' : entry.status === REPORT_LIFECYCLE.APPROVED ? 'success' : 'info'}>
+        <div className="flex flex-wrap justify-between items-center gap-3">
+          <div className="flex items-start space-x-3">
+            {wasReturned ? <MessageSquare size={20} /> : entry.status === REPORT_LIFECYCLE.APPROVED ? <CheckCircle size={20} /> : <Lock size={20} />}
+            {wasReturned ? (
+              <div>
+                <p className="font-medium">
+                  Returned for changes by {lastChange.changedBy?.name || 'a reviewer'} · {formatDate(lastChange.changedAt)}
+                </p>
+                <p className="text-sm whitespace-pre-wrap">{lastChange.comments}</p>
+              </div>
+            ) : (
+              <div>
+                <p className="font-medium">{STATUS_LABELS[entry.status]} · read-only</p>
+                <p className="text-sm">
+                  {entry.status === REPORT_LIFECYCLE.APPROVED
+                    ? 'This report has been approved.'
+                    : 'This report is waiting for review and cannot be edited unless it is returned.'}
+                </p>
+              </div>
+            )}
+          </div>
+
+          {actions.length > 0 && (
+            <div className="flex space-x-2">
+              {actions.map((action) => (
+                <Button
+                  key={action}
+                  size="sm"
+                  variant={action === 'return' ? 'outline' : 'primary'}
+                  disabled={busy}
+                  onClick={() => (REPORT_TRANSITIONS[action].requiresComments ? setReturning(true) : handleAction(action))}
+                >
+                  {REPORT_TRANSITIONS[action].label}
+                </Button>
+              ))}
+            </div>
+          )}
+        </div>
+      </Alert>
+
+      <Modal isOpen={returning} onClose={() => setReturning(false)} title="Return Report" size="md">
+        <div className="space-y-4">
+          <Textarea
+            label="What needs to change?"
+            value={comments}
+            onChange={(e) => setComments(e.target.value)}
+            maxLength={5000}
+          />
+          <div className="flex justify-end space-x-3">
+            <Button variant="outline" onClick={() => setReturning(false)}>Cancel</Button>
+            <Button onClick={() => handleAction('return', comments.trim())} disabled={busy || !comments.trim()}>
+              Return to technician
+            </Button>
+          </div>
+        </div>
+      </Modal>
+    </>
+  );
+};
+
+export default ReportStatusBanner;
@@ -0,0 +1,80 @@
+import React, { useEffect, useState } from 'react';
+import { FolderOpen } from 'lucide-react';
+import Modal from '../ui/Modal';
+import Button from '../ui/Button';
+import ReportStatusBadge from './ReportStatusBadge';
+import { useApp } from '../../context/AppContext';
+import reportPersistenceService from '../../services/reportPersistenceService';
+
+const formatDate = (value) => {
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? '' : date.toLocaleString();
+};
+
+/**
+ * Reports in the organization waiting for a reviewer, oldest submission
+ * first. Opening one loads it read-only with the review actions above it.
+ */
+const ReviewQueueModal = ({ isOpen, onClose }) => {
+  const { openServerReport, addNotification } = useApp();
+  const [queue, setQueue] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [opening, setOpening] = useState(null);
+
+  useEffect(() => {
+    if (!isOpen) return;
+    setLoading(true);
+    reportPersistenceService.getReviewQueue()
+      .then(setQueue)
+      .catch((error) => {
+        addNotification({ type: 'error', message: 'Failed to load review queue', description: error.message, duration: 5000 });
+      })
+      .finally(() => setLoading(false));
+  }, [isOpen]);
+
+  const handleOpen = async (item) => {
+    setOpening(item.id);
+    try {
+      const { report } = await reportPersistenceService.loadReport(item.id);
+      if (await openServerReport(report)) {
+        onClose();
+      }
+    } catch (error) {
+      addNotification({ type: 'error', message: 'Failed to open report', description: error.message, duration: 5000 });
+    } finally {
+      setOpening(null);
+    }
+  };
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} title="Review Queue" size="lg">
+      <div className="space-y-2">
+        {loading && queue.length === 0 && (
+          <p className="text-center py-6 text-gray-500 dark:text-gray-400">Loading review queue...</p>
+        )}
+        {!loading && queue.length === 0 && (
+          <p className="text-center py-6 text-gray-500 dark:text-gray-400">No reports are waiting for review.</p>
+        )}
+        {queue.map((item) => (
+          <div key={item.id} className="flex justify-between items-center p-3 rounded-lg bg-gray-50 dark:bg-gray-700">
+            <div className="min-w-0">
+              <div className="flex items-center space-x-2">
+                <h4 className="font-medium text-gray-900 dark:text-gray-100 truncate">{item.title}</h4>
+                <ReportStatusBadge status={item.status} />
+              </div>
+              <p className="text-xs text-gray-500 dark:text-gray-400">
+                {item.author?.name || 'Unknown author'} · Submitted {formatDate(item.submittedAt)}
+              </p>
+            </div>
+            <Button size="sm" variant="outline" onClick={() => handleOpen(item)} disabled={opening === item.id}>
+              <FolderOpen size={14} />
+              {opening === item.id ? 'Opening...' : 'Open'}
+            </Button>
+          </div>
+        ))}
+      </div>
+    </Modal>
+  );
+};
+
+export default ReviewQueueModal;
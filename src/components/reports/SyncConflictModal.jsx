@@ -0,0 +1,202 @@
+import React, { useEffect, useState } from 'react';
+import { GitMerge, Lock, Download } from 'lucide-react';
+import Modal from '../ui/Modal';
+import Button from '../ui/Button';
+import { useApp } from '../../context/AppContext';
+import reportDatabaseService from '../../services/reportDatabaseService';
+import { getValueAtPath, pathKey } from '../../utils/reportMerge';
+
+const recordLabel = (record, id) => record?.name || record?.title || record?.description || `#${id}`;
+
+// ['summary', 'summaryText'] -> 'Summary › Summary Text'; records are named
+// from whichever copy of the report still has them
+const formatPath = (conflict, data) => conflict.path
+  .map((segment, index) => {
+    if (typeof segment === 'object') {
+      const recordPath = conflict.path.slice(0, index + 1);
+      const record = getValueAtPath(data, recordPath)
+        || (index === conflict.path.length - 1 ? conflict.local || conflict.remote : null);
+      return recordLabel(record, segment.id);
+    }
+    return segment.replace(/([a-z])([A-Z])/g, '$1 $2').replace(/^./, (char) => char.toUpperCase());
+  })
+  .join(' › ');
+
+const formatValue = (value) => {
+  if (value === undefined || value === null || value === '') return '(empty)';
+  return typeof value === 'object' ? JSON.stringify(value, null, 2) : String(value);
+};
+
+const ValueChoice = ({ label, value, selected, onSelect }) => (
+  <button
+    type="button"
+    onClick={onSelect}
+    className={`flex-1 min-w-0 text-left p-3 rounded-lg border ${
+      selected
+        ? 'border-blue-500 bg-blue-50 dark:bg-blue-900/20'
+        : 'border-gray-200 dark:border-gray-700 hover:border-gray-400'
+    }`}
+  >
+    <span className="block text-xs font-medium text-gray-500 dark:text-gray-400 mb-1">{label}</span>
+    <pre className="text-sm text-gray-900 dark:text-gray-100 whitespace-pre-wrap break-words font-sans max-h-40 overflow-y-auto">
+      {formatValue(value)}
+    </pre>
+  </button>
+);
+
+const downloadChanges = (conflict) => {
+  const blob = new Blob([JSON.stringify(conflict.localData, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = `unsaved-changes-${conflict.reportId}.json`;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * Shown when an offline edit could not be merged into a report that changed
+ * on the server: lists the fields both sides changed side by side and saves
+ * the version picked for each. Changes to a report that was submitted or
+ * approved meanwhile cannot be saved; those are only reported, with the
+ * edits available for download.
+ */
+const SyncConflictModal = () => {
+  const { addNotification } = useApp();
+  const [conflicts, setConflicts] = useState(() => reportDatabaseService.getConflicts());
+  const [dismissed, setDismissed] = useState([]);
+  const [choices, setChoices] = useState({});
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => reportDatabaseService.onConflictsChange((next) => {
+    setConflicts(next);
+    setChoices({});
+  }), []);
+
+  const current = conflicts.find((entry) => !dismissed.includes(entry.id));
+  if (!current) return null;
+
+  const chooseAll = (side) => {
+    setChoices(Object.fromEntries(current.conflicts.map((conflict) => [pathKey(conflict.path), side])));
+  };
+
+  const handleResolve = async () => {
+    setSaving(true);
+    try {
+      const saved = await reportDatabaseService.resolveConflict(current.id, choices);
+      addNotification(saved
+        ? { type: 'success', message: `Saved "${current.title}"`, duration: 3000 }
+        : {
+          type: 'warning',
+          message: 'Report changed again',
+          description: 'The report was updated on the server while you were choosing. Please review the new changes.',
+          duration: 5000
+        });
+    } catch (error) {
+      addNotification({ type: 'error', message: 'Failed to save merged report', description: error.message, duration: 5000 });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDiscard = () => {
+    reportDatabaseService.discardConflict(current.id);
+    addNotification({ type: 'info', message: 'Kept the server version', duration: 3000 });
+  };
+
+  if (current.lockedStatus) {
+    return (
+      <Modal
+        isOpen
+        onClose={() => setDismissed([...dismissed, current.id])}
+        title={`Changes not saved: ${current.title || 'Untitled report'}`}
+        size="lg"
+      >
+        <div className="space-y-4">
+          <div className="flex items-start space-x-3 text-sm text-gray-700 dark:text-gray-300">
+            <Lock size={20} className="flex-shrink-0 text-amber-600" />
+            <p>
+              This report was {current.lockedStatus} on the server while you were offline and can no longer
+              be {current.action === 'delete' ? 'deleted' : 'edited'}, so your offline {current.action === 'delete' ? 'deletion was' : 'changes were'} not saved.
+            </p>
+          </div>
+
+          <div className="flex justify-end space-x-2 pt-2 border-t border-gray-200 dark:border-gray-700">
+            {current.localData && (
+              <Button variant="outline" onClick={() => downloadChanges(current)}>
+                <Download size={16} />
+                Download my changes
+              </Button>
+            )}
+            <Button onClick={() => reportDatabaseService.discardConflict(current.id)}>
+              OK
+            </Button>
+          </div>
+        </div>
+      </Modal>
+    );
+  }
+
+  return (
+    <Modal
+      isOpen
+      onClose={() => setDismissed([...dismissed, current.id])}
+      title={`Sync conflict: ${current.title || 'Untitled report'}`}
+      size="xl"
+    >
+      <div className="space-y-4">
+        <div className="flex items-start space-x-3 text-sm text-gray-700 dark:text-gray-300">
+          <GitMerge size={20} className="flex-shrink-0 text-blue-600" />
+          <p>
+            This report was changed on the server while you were offline. Changes to other fields
+            were merged; pick which version to keep for the {current.conflicts.length === 1 ? 'field' : `${current.conflicts.length} fields`} below.
+          </p>
+        </div>
+
+        <div className="flex justify-end space-x-2">
+          <Button size="sm" variant="outline" onClick={() => chooseAll('local')}>Use all mine</Button>
+          <Button size="sm" variant="outline" onClick={() => chooseAll('remote')}>Use all server</Button>
+        </div>
+
+        <div className="space-y-3">
+          {current.conflicts.map((conflict) => {
+            const key = pathKey(conflict.path);
+            const choice = choices[key] || 'remote';
+            return (
+              <div key={key}>
+                <h4 className="text-sm font-medium text-gray-900 dark:text-gray-100 mb-2">{formatPath(conflict, current.merged)}</h4>
+                <div className="flex space-x-3">
+                  <ValueChoice
+                    label="Your offline version"
+                    value={conflict.local}
+                    selected={choice === 'local'}
+                    onSelect={() => setChoices({ ...choices, [key]: 'local' })}
+                  />
+                  <ValueChoice
+                    label="Server version"
+                    value={conflict.remote}
+                    selected={choice === 'remote'}
+                    onSelect={() => setChoices({ ...choices, [key]: 'remote' })}
+                  />
+                </div>
+              </div>
+            );
+          })}
+        </div>
+
+        <div className="flex justify-end space-x-2 pt-2 border-t border-gray-200 dark:border-gray-700">
+          <Button variant="outline" onClick={handleDiscard} disabled={saving}>
+            Discard my changes
+          </Button>
+          <Button onClick={handleResolve} disabled={saving}>
+            {saving ? 'Saving...' : 'Save merged report'}
+          </Button>
+        </div>
+      </div>
+    </Modal>
+  );
+};
+
+export default SyncConflictModal;
@@ -0,0 +1,52 @@
+import React from 'react';
+import { AlertCircle, AlertTriangle, ArrowRight } from 'lucide-react';
+import { useApp } from '../../context/AppContext';
+
+const SEVERITY_STYLES = {
+  error: { icon: AlertCircle, className: 'text-red-600 dark:text-red-400' },
+  warning: { icon: AlertTriangle, className: 'text-yellow-600 dark:text-yellow-400' }
+};
+
+/**
+ * Report validation problems, each with a link to the field it is about.
+ * onJump runs before jumping, e.g. to close the modal the list is in; an
+ * empty emptyMessage renders nothing when there are no problems.
+ */
+const ValidationProblems = ({ problems, onJump, emptyMessage = 'No problems found.' }) => {
+  const { jumpToField } = useApp();
+
+  if (problems.length === 0) {
+    return emptyMessage ? <p className="text-sm text-gray-500 dark:text-gray-400">{emptyMessage}</p> : null;
+  }
+
+  const handleJump = (problem) => {
+    onJump?.(problem);
+    jumpToField(problem.field);
+  };
+
+  return (
+    <ul className="divide-y divide-gray-200 dark:divide-gray-700">
+      {problems.map((problem) => {
+        const { icon: Icon, className } = SEVERITY_STYLES[problem.severity];
+        return (
+          <li key={problem.id} className="flex items-center justify-between py-2 gap-3">
+            <span className="flex items-center gap-2 text-sm text-gray-800 dark:text-gray-200">
+              <Icon size={16} className={`flex-shrink-0 ${className}`} />
+              {problem.message}
+            </span>
+            <button
+              type="button"
+              onClick={() => handleJump(problem)}
+              className="flex items-center gap-1 text-xs font-medium text-blue-600 dark:text-blue-400 hover:underline whitespace-nowrap"
+            >
+              Go to field
+              <ArrowRight size={14} />
+            </button>
+          </li>
+        );
+      })}
+    </ul>
+  );
+};
+
+export default ValidationProblems;
@@ -0,0 +1,274 @@
+import React, { useEffect, useState } from 'react';
+import { History, RotateCcw, Save, ArrowRight } from 'lucide-react';
+import Modal from '../ui/Modal';
+import Button from '../ui/Button';
+import ConfirmDialog from '../ui/ConfirmDialog';
+import { useApp } from '../../context/AppContext';
+import reportPersistenceService from '../../services/reportPersistenceService';
+import { diffReportVersions } from '../../utils/reportDiff';
+import { extractPhotos } from '../../utils/reportPhotos';
+
+const formatDate = (value) => {
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? '' : date.toLocaleString();
+};
+
+const formatDelta = (delta) => (delta > 0 ? `+${delta}` : String(delta));
+
+const DiffSection = ({ title, items, children }) => (
+  <div>
+    <h4 className="text-sm font-semibold text-gray-900 dark:text-gray-100 mb-2">{title}</h4>
+    {items.length === 0 ? (
+      <p className="text-sm text-gray-500 dark:text-gray-400">No changes</p>
+    ) : (
+      <ul className="space-y-1 text-sm text-gray-700 dark:text-gray-300">{items.map(children)}</ul>
+    )}
+  </div>
+);
+
+const VersionDiff = ({ diff }) => (
+  <div className="space-y-4">
+    <DiffSection title="Racks" items={diff.racks}>
+      {(change) => (
+        <li key={`${change.location}/${change.rack}`}>
+          <span className="font-medium">{change.location} › {change.rack}</span>
+          {change.status !== 'changed' && <span className="text-gray-500"> (rack {change.status})</span>}
+          {change.added.length > 0 && <span className="text-green-700 dark:text-green-400"> + {change.added.join(', ')}</span>}
+          {change.removed.length > 0 && <span className="text-red-700 dark:text-red-400"> − {change.removed.join(', ')}</span>}
+        </li>
+      )}
+    </DiffSection>
+
+    <DiffSection title="Inventory" items={diff.inventory}>
+      {(change) => (
+        <li key={`${change.item}/${change.field}`}>
+          {change.item} · {change.field}: {change.from} → {change.to}{' '}
+          <span className={change.delta > 0 ? 'text-green-700 dark:text-green-400' : 'text-red-700 dark:text-red-400'}>
+            ({formatDelta(change.delta)})
+          </span>
+        </li>
+      )}
+    </DiffSection>
+
+    <DiffSection title="Grading" items={diff.grading}>
+      {(change) => (
+        <li key={`${change.section}/${change.category}`}>
+          {change.section} · {change.category}: {change.from || '—'} → {change.to || '—'}
+        </li>
+      )}
+    </DiffSection>
+
+    <DiffSection title="Issues" items={diff.issues}>
+      {(change) => (
+        <li key={change.id}>
+          <span className="font-medium">{change.title}</span>
+          {change.change === 'added' && ` added (${change.to})`}
+          {change.change === 'removed' && ' removed'}
+          {change.change === 'status' && `: ${change.from} → ${change.to}`}
+        </li>
+      )}
+    </DiffSection>
+  </div>
+);
+
+/**
+ * Saved server versions of the open report: save a new version, compare
+ * two versions, or restore an older one.
+ */
+const VersionHistoryModal = ({ isOpen, onClose }) => {
+  const { reportData, setReportData, updateReportData, addNotification } = useApp();
+  const serverId = reportData.id;
+  const [history, setHistory] = useState({ currentVersion: null, versions: [] });
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [selected, setSelected] = useState([]);
+  const [diff, setDiff] = useState(null);
+  const [restoring, setRestoring] = useState(null);
+
+  const loadHistory = async () => {
+    if (!serverId) return;
+    setLoading(true);
+    try {
+      setHistory(await reportPersistenceService.listVersions(serverId));
+    } catch (error) {
+      addNotification({ type: 'error', message: 'Failed to load version history', description: error.message, duration: 5000 });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Reload when opened, and once a first save gives the report a server ID
+  useEffect(() => {
+    if (isOpen) {
+      setSelected([]);
+      setDiff(null);
+      loadHistory();
+    }
+  }, [isOpen, serverId]);
+
+  // Compare the two picked versions, older to newer
+  useEffect(() => {
+    if (selected.length !== 2) {
+      setDiff(null);
+      return undefined;
+    }
+
+    let cancelled = false;
+    const [older, newer] = [...selected].sort((a, b) => a - b);
+    Promise.all([
+      reportPersistenceService.getVersion(serverId, older),
+      reportPersistenceService.getVersion(serverId, newer)
+    ]).then(([from, to]) => {
+      if (!cancelled) {
+        setDiff({ older, newer, changes: diffReportVersions(from.reportData, to.reportData) });
+      }
+    }).catch((error) => {
+      addNotification({ type: 'error', message: 'Failed to compare versions', description: error.message, duration: 5000 });
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [selected, serverId]);
+
+  const toggleSelected = (version) => {
+    setSelected((current) => (
+      current.includes(version)
+        ? current.filter((entry) => entry !== version)
+        : [...current, version].slice(-2)
+    ));
+  };
+
+  const handleSaveVersion = async () => {
+    setSaving(true);
+    try {
+      // Photo blobs stay on this device; the server keeps the rest of the report
+      const { data } = extractPhotos(reportData);
+      const result = await reportPersistenceService.saveReport(data, { reportId: serverId || null });
+      if (!serverId) {
+        updateReportData('id', result.reportId);
+      }
+      addNotification({ type: 'success', message: `Saved version ${result.version || ''}`.trim(), duration: 3000 });
+      if (serverId) {
+        await loadHistory();
+      }
+    } catch (error) {
+      addNotification({ type: 'error', message: 'Failed to save version', description: error.message, duration: 5000 });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRestore = async () => {
+    const version = restoring;
+    setRestoring(null);
+    try {
+      const report = await reportPersistenceService.restoreVersion(serverId, version.version);
+      setReportData({ ...report.reportData, id: serverId }, `Restored version ${version.version}`);
+      addNotification({ type: 'success', message: `Restored version ${version.version}`, duration: 3000 });
+      setSelected([]);
+      await loadHistory();
+    } catch (error) {
+      addNotification({ type: 'error', message: 'Failed to restore version', description: error.message, duration: 5000 });
+    }
+  };
+
+  return (
+    <>
+      <Modal isOpen={isOpen} onClose={onClose} title="Version History" size="xl">
+        <div className="space-y-4">
+          <div className="flex justify-between items-center">
+            <p className="text-sm text-gray-600 dark:text-gray-400">
+              {serverId
+                ? 'Select two versions to compare them.'
+                : 'This report has not been saved to the server yet. Save a version to start its history.'}
+            </p>
+            <Button size="sm" onClick={handleSaveVersion} disabled={saving}>
+              <Save size={16} />
+              {saving ? 'Saving...' : 'Save Version'}
+            </Button>
+          </div>
+
+          {serverId && (
+            <div className="space-y-2">
+              {loading && history.versions.length === 0 && (
+                <p className="text-center py-6 text-gray-500 dark:text-gray-400">Loading history...</p>
+              )}
+              {history.versions.map((version) => (
+                <div
+                  key={version.version}
+                  className={`flex justify-between items-center p-3 rounded-lg ${
+                    selected.includes(version.version)
+                      ? 'bg-blue-50 dark:bg-blue-900/20 border border-blue-200 dark:border-blue-800'
+                      : 'bg-gray-50 dark:bg-gray-700'
+                  }`}
+                >
+                  <label className="flex flex-1 items-center space-x-3 min-w-0 cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={selected.includes(version.version)}
+                      onChange={() => toggleSelected(version.version)}
+                      className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                      aria-label={`Compare version ${version.version}`}
+                    />
+                    <div className="min-w-0">
+                      <div className="flex items-center space-x-2">
+                        <span className="font-medium text-gray-900 dark:text-gray-100">Version {version.version}</span>
+                        {version.version === history.currentVersion && (
+                          <span className="px-2 py-1 text-xs rounded-full bg-blue-100 text-blue-800 dark:bg-blue-900/30 dark:text-blue-200">
+                            Current
+                          </span>
+                        )}
+                        {version.changeNote && (
+                          <span className="text-xs text-gray-500 dark:text-gray-400">{version.changeNote}</span>
+                        )}
+                      </div>
+                      <p className="text-xs text-gray-500 dark:text-gray-400 truncate">
+                        {version.author?.name || 'Unknown author'} · {formatDate(version.createdAt)}
+                      </p>
+                    </div>
+                  </label>
+                  {version.version !== history.currentVersion && (
+                    <Button size="sm" variant="outline" onClick={() => setRestoring(version)} title="Restore this version">
+                      <RotateCcw size={14} />
+                    </Button>
+                  )}
+                </div>
+              ))}
+            </div>
+          )}
+
+          {diff && (
+            <div className="border-t border-gray-200 dark:border-gray-700 pt-4">
+              <h3 className="flex items-center space-x-2 text-lg font-medium text-gray-900 dark:text-gray-100 mb-3">
+                <History size={18} />
+                <span>Version {diff.older}</span>
+                <ArrowRight size={16} />
+                <span>Version {diff.newer}</span>
+              </h3>
+              {diff.changes.hasChanges ? (
+                <VersionDiff diff={diff.changes} />
+              ) : (
+                <p className="text-sm text-gray-500 dark:text-gray-400">
+                  No rack, inventory, grading or issue changes between these versions.
+                </p>
+              )}
+            </div>
+          )}
+        </div>
+      </Modal>
+
+      <ConfirmDialog
+        isOpen={!!restoring}
+        onClose={() => setRestoring(null)}
+        onConfirm={handleRestore}
+        title="Restore Version"
+        message={`Replace the open report with version ${restoring?.version}? It is saved as a new version, so the current one stays in the history.`}
+        confirmText="Restore"
+        cancelText="Cancel"
+      />
+    </>
+  );
+};
+
+export default VersionHistoryModal;
@@ -0,0 +1,217 @@
+import React, { useEffect, useState } from 'react';
+import { Download } from 'lucide-react';
+import Modal from '../ui/Modal';
+import Button from '../ui/Button';
+import { useApp } from '../../context/AppContext';
+import pdfReportService from '../../services/pdfReportService';
+import { getReportTitle } from '../../utils/reportWorkspace';
+import { findLastVisit, listVisitedOffices } from '../../utils/visitCarryForward';
+import { compareVisits, isSameOffice } from '../../utils/visitComparison';
+
+const formatDelta = (delta) => (delta > 0 ? `+${delta}` : String(delta));
+
+const selectClassName = 'text-sm border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 rounded-lg px-3 py-2';
+
+const ComparisonSection = ({ title, items, children }) => (
+  <div>
+    <h4 className="text-sm font-semibold text-gray-900 dark:text-gray-100 mb-2">{title}</h4>
+    {items.length === 0 ? (
+      <p className="text-sm text-gray-500 dark:text-gray-400">No changes</p>
+    ) : (
+      <ul className="space-y-1 text-sm text-gray-700 dark:text-gray-300">{items.map(children)}</ul>
+    )}
+  </div>
+);
+
+const VisitComparison = ({ comparison }) => {
+  const { devices, issues } = comparison;
+  const deviceChanges = [
+    ...devices.added.map((entry) => ({ ...entry, change: 'added' })),
+    ...devices.removed.map((entry) => ({ ...entry, change: 'removed' })),
+    ...devices.moved.map((entry) => ({ ...entry, change: 'moved' }))
+  ];
+  const issueChanges = [
+    ...issues.opened.map((issue) => ({ ...issue, change: 'opened' })),
+    ...issues.closed.map((issue) => ({ ...issue, change: 'closed' }))
+  ];
+
+  return (
+    <div className="space-y-4">
+      <ComparisonSection title="Inventory" items={comparison.inventory}>
+        {(entry) => (
+          <li key={entry.item}>
+            <span className="font-medium">{entry.item}</span>
+            {': '}
+            {entry.changes.map((change) => `${change.field} ${change.from} → ${change.to}`).join(', ')}{' '}
+            <span className={entry.delta >= 0 ? 'text-green-700 dark:text-green-400' : 'text-red-700 dark:text-red-400'}>
+              ({formatDelta(entry.delta)})
+            </span>
+          </li>
+        )}
+      </ComparisonSection>
+
+      <ComparisonSection title="Grades" items={comparison.grading}>
+        {(change) => (
+          <li key={`${change.section}/${change.category}`}>
+            {change.section} · {change.category}: {change.from || '—'} → {change.to || '—'}
+          </li>
+        )}
+      </ComparisonSection>
+
+      <ComparisonSection title="Rack Devices" items={deviceChanges}>
+        {(entry) => (
+          <li key={`${entry.change}/${entry.device}/${entry.from || entry.location}`}>
+            <span className="font-medium">{entry.device}</span>
+            {entry.change === 'added' && <span className="text-green-700 dark:text-green-400"> added in {entry.location} › {entry.rack}</span>}
+            {entry.change === 'removed' && <span className="text-red-700 dark:text-red-400"> removed from {entry.location} › {entry.rack}</span>}
+            {entry.change === 'moved' && ` moved from ${entry.from} to ${entry.to}`}
+          </li>
+        )}
+      </ComparisonSection>
+
+      <ComparisonSection title={`Issues (${issues.stillOpen} still open)`} items={issueChanges}>
+        {(issue) => (
+          <li key={`${issue.change}/${issue.id}`}>
+            <span className="font-medium">{issue.title}</span>
+            {issue.change === 'opened'
+              ? <span className="text-red-700 dark:text-red-400"> opened{issue.severity ? ` (${issue.severity})` : ''}</span>
+              : <span className="text-green-700 dark:text-green-400"> closed ({issue.status})</span>}
+          </li>
+        )}
+      </ComparisonSection>
+    </div>
+  );
+};
+
+/**
+ * What changed at an office between two of its visits in the workspace.
+ * Defaults to the open report against the visit before it, and downloads
+ * the comparison as a PDF.
+ */
+const VisitComparisonModal = ({ isOpen, onClose, office: initialOffice = '' }) => {
+  const { reports, activeReportId, getReportData, addNotification } = useApp();
+  const [office, setOffice] = useState('');
+  const [selected, setSelected] = useState({ from: '', to: '' });
+  const [visits, setVisits] = useState(null);
+
+  const offices = listVisitedOffices(reports);
+  const officeVisits = reports
+    .filter((entry) => isSameOffice(entry, { office }))
+    .sort((a, b) => String(b.date).localeCompare(String(a.date)));
+
+  // Start from the open report's office, or the one picked in the library
+  useEffect(() => {
+    if (!isOpen) return;
+    const active = reports.find((entry) => entry.id === activeReportId);
+    setOffice(initialOffice || active?.office?.trim() || offices[0] || '');
+  }, [isOpen, initialOffice]);
+
+  // The newest visit (or the open report) against the visit before it
+  useEffect(() => {
+    const to = officeVisits.find((entry) => entry.id === activeReportId) || officeVisits[0];
+    const from = to && findLastVisit(officeVisits.filter((entry) => entry.date <= to.date), office, to.id);
+    setSelected({ from: from?.id || '', to: to?.id || '' });
+  }, [office]);
+
+  useEffect(() => {
+    if (!isOpen || !selected.from || !selected.to) {
+      setVisits(null);
+      return undefined;
+    }
+
+    let cancelled = false;
+    Promise.all([getReportData(selected.from), getReportData(selected.to)])
+      .then(([from, to]) => {
+        if (!cancelled) {
+          setVisits(from && to ? { from, to, comparison: compareVisits(from, to) } : null);
+        }
+      })
+      .catch((error) => {
+        addNotification({ type: 'error', message: 'Failed to compare visits', description: error.message, duration: 5000 });
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [isOpen, selected.from, selected.to]);
+
+  const handleDownload = () => {
+    try {
+      pdfReportService.downloadComparisonPDF(visits.from, visits.to);
+    } catch (error) {
+      addNotification({ type: 'error', message: 'Failed to generate comparison PDF', description: error.message, duration: 5000 });
+    }
+  };
+
+  const visitSelect = (key, label) => (
+    <label className="flex flex-col text-sm text-gray-700 dark:text-gray-300">
+      <span className="mb-1">{label}</span>
+      <select
+        value={selected[key]}
+        onChange={(e) => setSelected({ ...selected, [key]: e.target.value })}
+        className={selectClassName}
+      >
+        <option value="">Select a visit</option>
+        {officeVisits.map((entry) => (
+          <option key={entry.id} value={entry.id}>
+            {[entry.date, getReportTitle(entry)].filter(Boolean).join(' · ')}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} title="Compare Visits" size="xl">
+      <div className="space-y-4">
+        {offices.length === 0 ? (
+          <p className="text-center py-6 text-gray-500 dark:text-gray-400">
+            Add an office to your reports to compare its visits.
+          </p>
+        ) : (
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+            <label className="flex flex-col text-sm text-gray-700 dark:text-gray-300">
+              <span className="mb-1">Office</span>
+              <select value={office} onChange={(e) => setOffice(e.target.value)} className={selectClassName}>
+                {offices.map((name) => (
+                  <option key={name} value={name}>{name}</option>
+                ))}
+              </select>
+            </label>
+            {visitSelect('from', 'Earlier visit')}
+            {visitSelect('to', 'Later visit')}
+          </div>
+        )}
+
+        {offices.length > 0 && officeVisits.length < 2 && (
+          <p className="text-sm text-gray-500 dark:text-gray-400">
+            {office} has only one visit in your reports, so there is nothing to compare yet.
+          </p>
+        )}
+
+        {selected.from && selected.from === selected.to && (
+          <p className="text-sm text-gray-500 dark:text-gray-400">Pick two different visits to compare.</p>
+        )}
+
+        {visits && selected.from !== selected.to && (
+          <>
+            <div className="flex justify-between items-center">
+              <p className="text-sm text-gray-600 dark:text-gray-400">
+                {visits.comparison.hasChanges
+                  ? `Changes from ${visits.comparison.from || 'the earlier visit'} to ${visits.comparison.to || 'the later visit'}`
+                  : 'No changes between these visits.'}
+              </p>
+              <Button size="sm" variant="outline" onClick={handleDownload}>
+                <Download size={16} />
+                Download PDF
+              </Button>
+            </div>
+            {visits.comparison.hasChanges && <VisitComparison comparison={visits.comparison} />}
+          </>
+        )}
+      </div>
+    </Modal>
+  );
+};
+
+export default VisitComparisonModal;
@@ -0,0 +1,12 @@
+// Report workspace components exports
+export { default as CarriedForwardBadge } from './CarriedForwardBadge';
+export { default as CarryForwardBanner } from './CarryForwardBanner';
+export { default as PdfProfileSettings } from './PdfProfileSettings';
+export { default as ReportLibraryModal } from './ReportLibraryModal';
+export { default as ReportStatusBadge } from './ReportStatusBadge';
+export { default as ReportStatusBanner } from './ReportStatusBanner';
+export { default as ReviewQueueModal } from './ReviewQueueModal';
+export { default as SyncConflictModal } from './SyncConflictModal';
+export { default as ValidationProblems } from './ValidationProblems';
+export { default as VersionHistoryModal } from './VersionHistoryModal';
+export { default as VisitComparisonModal } from './VisitComparisonModal';
@@ -32,7 +32,7 @@ const ConfirmDialog = ({
   const IconComponent = currentVariant.icon;
 
   return (
-    <div className="fixed inset-0 bg-black bg-opacity-60 z-50 flex justify-center items-center p-4">
+    <div className="fixed inset-0 bg-black bg-opacity-60 z-50 flex justify-center items-center p-4" role="dialog" aria-modal="true">
       <div className="bg-white dark:bg-gray-800 rounded-lg shadow-xl w-full max-w-md animate-fade-in-up">
         <div className="p-6">
           <div className="flex items-center space-x-4 mb-4">
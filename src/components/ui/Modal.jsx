@@ -10,7 +10,7 @@ const Modal = ({ isOpen, onClose, title, children, size = 'lg' }) => {
     xl: 'max-w-4xl'
   };
   return (
-    <div className="fixed inset-0 bg-black bg-opacity-60 z-50 flex justify-center items-center p-4">
+    <div className="fixed inset-0 bg-black bg-opacity-60 z-50 flex justify-center items-center p-4" role="dialog" aria-modal="true">
       <div className={`bg-white dark:bg-gray-800 rounded-lg shadow-xl w-full ${sizes[size]} animate-fade-in-up max-h-[90vh] overflow-hidden flex flex-col`}>
         <div className="p-4 border-b border-gray-200 dark:border-gray-700 flex justify-between items-center">
           <h3 className="text-xl font-bold text-gray-800 dark:text-gray-100">{title}</h3>
@@ -219,7 +219,7 @@ const PhotoUpload = ({
 
       {/* Photo viewer modal */}
       {viewingPhoto && (
-        <div className="fixed inset-0 bg-black bg-opacity-80 z-50 flex items-center justify-center p-4">
+        <div className="fixed inset-0 bg-black bg-opacity-80 z-50 flex items-center justify-center p-4" role="dialog" aria-modal="true">
           <div className="relative max-w-4xl max-h-full">
             <button
               onClick={() => setViewingPhoto(null)}
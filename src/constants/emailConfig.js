@@ -1,11 +1,16 @@
-// Email Recipients Configuration
-export const EMAIL_RECIPIENTS = {
-  inventory: ['purchasing@company.com', 'inventory@company.com'],
-  fullReport: ['management@company.com', 'it-director@company.com', 'regional-manager@company.com'],
-  issues: ['it-support@company.com', 'helpdesk@company.com', 'regional-manager@company.com'],
-  recommendations: ['management@company.com', 'it-director@company.com'],
-  recycling: ['facilities@company.com', 'purchasing@company.com'],
-  pcRepairs: ['it-support@company.com', 'helpdesk@company.com'],
-  followUp: ['management@company.com', 'regional-manager@company.com'],
-  default: ['it-support@company.com', 'management@company.com']
-};
\ No newline at end of file
+// Email recipient sections. Recipient addresses are managed per office,
+// region and section on the Admin page (utils/emailRecipients); `default`
+// is used for any section without its own list.
+export const EMAIL_SECTIONS = [
+  { key: 'fullReport', label: 'Full Report & Dashboard' },
+  { key: 'storage', label: 'Data Closet & Storage' },
+  { key: 'inventory', label: 'Inventory' },
+  { key: 'issues', label: 'Issues' },
+  { key: 'followUp', label: 'Follow-up Items' },
+  { key: 'recommendations', label: 'Recommendations' },
+  { key: 'recycling', label: 'Recycling' },
+  { key: 'pcRepairs', label: 'PC Repairs' },
+  { key: 'default', label: 'Default (all other sections)' }
+];
+
+export const EMAIL_RECIPIENTS_STORAGE_KEY = 'rss_email_recipients';
@@ -1,21 +1,65 @@
 // Initial data structure for RSS Visit Report
-export const initialData = {
-  rss: '', 
-  office: '', 
-  date: new Date().toISOString().split('T')[0], 
+
+// Version of the report data shape below. Bump it together with a migration
+// in schemas/reportSchema.js whenever the shape changes.
+export const REPORT_SCHEMA_VERSION = 3;
+
+// The date on this device as YYYY-MM-DD. toISOString() would give the UTC
+// date, which is already tomorrow on a US evening.
+export const localToday = (date = new Date()) => [
+  date.getFullYear(),
+  String(date.getMonth() + 1).padStart(2, '0'),
+  String(date.getDate()).padStart(2, '0')
+].join('-');
+
+const inventoryItem = (description) => ({
+  description,
+  inUse: 0,
+  otherUse: { training: 0, conf: 0, gsm: 0, prospecting: 0, applicant: 0, visitor: 0, other: 0 },
+  spares: { onFloor: 0, inStorage: 0 },
+  broken: 0
+});
+
+const recyclingItem = (item, fields) => ({ item, quantity: 0, notes: '', ...fields });
+
+export const INVENTORY_ITEMS = [
+  'PCs', 'Laptops', 'Monitors', 'Webcams', 'Phones', 'Headsets', 'Direct Connect',
+  'Workstations', 'Desk Chairs', 'Wireless Headsets', 'VPN Phone'
+];
+
+export const HARDWARE_CATEGORIES = ['computers', 'monitors', 'printers', 'phones', 'tablets', 'networking'];
+
+/**
+ * Data of a new, empty report in the current schema version
+ * @returns {Object} Report data
+ */
+export const createInitialReportData = () => ({
+  schemaVersion: REPORT_SCHEMA_VERSION,
+
+  // Basic report information
+  rss: '',
+  office: '',
+  date: localToday(),
   nextVisit: '',
-  summary: { 
-    summaryText: '', 
-    pcRepairsText: '', 
-    trainingRoomText: '', 
-    issuesText: '', 
-    recommendationsText: '', 
-    followUpText: '' 
+  visitPurpose: '',
+
+  // Summary section with detailed breakdown
+  summary: {
+    summaryText: '',
+    pcRepairsText: '',
+    trainingRoomText: '',
+    issuesText: '',
+    recommendationsText: '',
+    followUpText: ''
   },
-  pictures: { 
-    dataCloset: [], 
-    trainingRoom: [] 
+
+  // Photo uploads
+  pictures: {
+    dataCloset: [],
+    trainingRoom: []
   },
+
+  // Office grading system
   officeGrading: [
     { category: 'IT Relationship', score: '', comments: '' },
     { category: 'Inventory', score: '', comments: '' },
@@ -23,7 +67,20 @@ export const initialData = {
     { category: 'Data Closet', score: '', comments: '' },
   ],
   officeGrade: 'N/A',
-  officeHardware: [],
+
+  // Hardware infrastructure
+  hardware: {
+    ...Object.fromEntries(HARDWARE_CATEGORIES.map((category) => [category, []])),
+    lastUpdated: localToday()
+  },
+
+  // SCCM PC management
+  sccmPCs: {
+    computers: [],
+    lastUpdated: localToday()
+  },
+
+  // Data closet management: locations hold racks, racks hold devices
   dataCloset: {
     grading: [
       { category: 'Data Closet Appearance', score: '', comments: '' },
@@ -34,59 +91,66 @@ export const initialData = {
       { category: 'Device Health', score: '', comments: '' },
     ],
     score: 'N/A',
-    deviceLocations: [],
-    rackLocations: [],
+    locations: []
   },
+
+  // Comprehensive inventory management
   inventory: {
-    items: [
-      { description: 'PCs', inUse: 0, otherUse: { training: 0, conf: 0, gsm: 0, prospecting: 0, applicant: 0, visitor: 0, other: 0 }, spares: { onFloor: 0, inStorage: 0 }, broken: 0 },
-      { description: 'Laptops', inUse: 0, otherUse: { training: 0, conf: 0, gsm: 0, prospecting: 0, applicant: 0, visitor: 0, other: 0 }, spares: { onFloor: 0, inStorage: 0 }, broken: 0 },
-      { description: 'Monitors', inUse: 0, otherUse: { training: 0, conf: 0, gsm: 0, prospecting: 0, applicant: 0, visitor: 0, other: 0 }, spares: { onFloor: 0, inStorage: 0 }, broken: 0 },
-      { description: 'Webcams', inUse: 0, otherUse: { training: 0, conf: 0, gsm: 0, prospecting: 0, applicant: 0, visitor: 0, other: 0 }, spares: { onFloor: 0, inStorage: 0 }, broken: 0 },
-      { description: 'Phones', inUse: 0, otherUse: { training: 0, conf: 0, gsm: 0, prospecting: 0, applicant: 0, visitor: 0, other: 0 }, spares: { onFloor: 0, inStorage: 0 }, broken: 0 },
-      { description: 'Headsets', inUse: 0, otherUse: { training: 0, conf: 0, gsm: 0, prospecting: 0, applicant: 0, visitor: 0, other: 0 }, spares: { onFloor: 0, inStorage: 0 }, broken: 0 },
-      { description: 'Direct Connect', inUse: 0, otherUse: { training: 0, conf: 0, gsm: 0, prospecting: 0, applicant: 0, visitor: 0, other: 0 }, spares: { onFloor: 0, inStorage: 0 }, broken: 0 },
-      { description: 'Workstations', inUse: 0, otherUse: { training: 0, conf: 0, gsm: 0, prospecting: 0, applicant: 0, visitor: 0, other: 0 }, spares: { onFloor: 0, inStorage: 0 }, broken: 0 },
-      { description: 'Desk Chairs', inUse: 0, otherUse: { training: 0, conf: 0, gsm: 0, prospecting: 0, applicant: 0, visitor: 0, other: 0 }, spares: { onFloor: 0, inStorage: 0 }, broken: 0 },
-      { description: 'Wireless Headsets', inUse: 0, otherUse: { training: 0, conf: 0, gsm: 0, prospecting: 0, applicant: 0, visitor: 0, other: 0 }, spares: { onFloor: 0, inStorage: 0 }, broken: 0 },
-      { description: 'VPN Phone', inUse: 0, otherUse: { training: 0, conf: 0, gsm: 0, prospecting: 0, applicant: 0, visitor: 0, other: 0 }, spares: { onFloor: 0, inStorage: 0 }, broken: 0 },
-    ],
+    items: INVENTORY_ITEMS.map(inventoryItem),
     specialStations: {
       threeMonitorSetups: 0,
       prospectingStations: 0,
       visitorStations: 0,
       applicantStations: 0,
       eolComputers: 0
-    }
+    },
+    lastUpdated: localToday(),
+    notes: ''
   },
+
+  // Comprehensive recycling management
   recycling: {
-    broughtBack: [ 
-      { item: '17" Monitors', quantity: 0 }, 
-      { item: '24" Monitors', quantity: 0 }, 
-      { item: 'Hard drives', quantity: 0 }, 
-      { item: 'Computers', quantity: 0 }, 
-      { item: 'Network devices', quantity: 0 }, 
-      { item: 'Printer', quantity: 0 }, 
-      { item: 'UPS batteries', quantity: 0 }, 
-      { item: 'Other', quantity: 0 } 
+    broughtBack: [
+      recyclingItem('17" Monitors', { status: 'completed' }),
+      recyclingItem('24" Monitors', { status: 'completed' }),
+      recyclingItem('Hard drives', { status: 'completed' }),
+      recyclingItem('Computers', { status: 'completed' }),
+      recyclingItem('Network devices', { status: 'completed' }),
+      recyclingItem('Printer', { status: 'completed' }),
+      recyclingItem('UPS batteries', { status: 'completed' }),
+      recyclingItem('Other', { status: 'completed' })
     ],
-    pickupRequired: [ 
-      { item: '17" Monitors', quantity: 0 }, 
-      { item: '24" Monitors', quantity: 0 }, 
-      { item: 'Hard drives', quantity: 0 }, 
-      { item: 'Computers', quantity: 0 }, 
-      { item: 'Network devices', quantity: 0 }, 
-      { item: 'Printer', quantity: 0 }, 
-      { item: 'UPS batteries', quantity: 0 }, 
-      { item: 'Other', quantity: 0 } 
+    pickupRequired: [
+      recyclingItem('17" Monitors', { status: 'pending', priority: 'normal' }),
+      recyclingItem('24" Monitors', { status: 'pending', priority: 'normal' }),
+      recyclingItem('Hard drives', { status: 'pending', priority: 'high' }),
+      recyclingItem('Computers', { status: 'pending', priority: 'normal' }),
+      recyclingItem('Network devices', { status: 'pending', priority: 'normal' }),
+      recyclingItem('Printer', { status: 'pending', priority: 'low' }),
+      recyclingItem('UPS batteries', { status: 'pending', priority: 'high' }),
+      recyclingItem('Other', { status: 'pending', priority: 'normal' })
     ],
-    sentToHq: [ 
-      { item: 'Headsets', quantity: 0 }, 
-      { item: 'Direct Connects', quantity: 0 }, 
-      { item: 'Webcams', quantity: 0 }, 
-      { item: 'Phones', quantity: 0 } 
+    sentToHq: [
+      recyclingItem('Headsets', { status: 'completed' }),
+      recyclingItem('Direct Connects', { status: 'completed' }),
+      recyclingItem('Webcams', { status: 'completed' }),
+      recyclingItem('Phones', { status: 'completed' })
     ],
-    scheduled: 'No', 
-    scheduleDate: ''
-  }
-};
\ No newline at end of file
+    scheduled: 'No',
+    scheduleDate: '',
+    scheduledBy: '',
+    pickupContact: '',
+    lastUpdated: localToday(),
+    generalNotes: ''
+  },
+
+  // Issues, recommendations and follow-up tracking
+  issues: [],
+  recommendations: [],
+  followUpItems: [],
+
+  // Checklists (pushed from templates)
+  checklists: []
+});
+
+export const initialData = createInitialReportData();
@@ -0,0 +1,69 @@
+// PDF report sections, in the order of the full report. A PDF profile picks
+// sections from this list, orders them and sets their page breaks and
+// options (utils/pdfProfiles). Profiles are managed on the Admin page.
+export const PDF_SECTIONS = [
+  { id: 'summary', label: 'Summary', description: 'Visit summary text' },
+  { id: 'officeGrades', label: 'Office Assessment Grades', description: 'Grading table and overall grade' },
+  {
+    id: 'infrastructure',
+    label: 'Infrastructure Assessment',
+    description: 'Data closet assessment and management',
+    defaultOptions: {
+      rackDiagrams: true,
+      powerMapping: true,
+      deviceTables: true,
+      environment: true,
+      rackPhotos: true
+    }
+  },
+  { id: 'inventory', label: 'Inventory', description: 'Inventory table' },
+  { id: 'specialStations', label: 'Special Stations', description: 'Special station counts' },
+  { id: 'actionItems', label: 'Repairs, Issues & Follow-up', description: 'PC repairs, issues, recommendations and follow-up items' },
+  { id: 'trainingRoomPhotos', label: 'Training Room Pictures', description: 'Training room photos' },
+  { id: 'sccmPCs', label: 'SCCM PC Management', description: 'SCCM PC table' },
+  { id: 'recycling', label: 'Recycling', description: 'Only when items were brought back or need pickup' },
+  { id: 'powerSystems', label: 'Power Systems', description: 'Only when power systems were recorded' },
+  { id: 'networkInfrastructure', label: 'Network Infrastructure', description: 'Only when network details were recorded' },
+  { id: 'appendices', label: 'Appendices', description: 'Checklists, detailed inventory and notes' }
+];
+
+export const PDF_SECTION_OPTION_LABELS = {
+  rackDiagrams: 'Rack layout diagrams',
+  powerMapping: 'Power outlet mapping',
+  deviceTables: 'Device tables per rack',
+  environment: 'Environment readings',
+  rackPhotos: 'Rack pictures'
+};
+
+// auto: break only when the section does not fit; before: start the section
+// on a new page; after: start whatever follows on a new page
+export const PDF_PAGE_BREAKS = [
+  { value: 'auto', label: 'Automatic' },
+  { value: 'before', label: 'New page before' },
+  { value: 'after', label: 'New page after' }
+];
+
+export const DEFAULT_PDF_PROFILE_ID = 'full-technical';
+
+export const DEFAULT_PDF_PROFILES = [
+  {
+    id: DEFAULT_PDF_PROFILE_ID,
+    name: 'Full technical',
+    tableOfContents: true,
+    sections: PDF_SECTIONS
+      .filter(({ id }) => id !== 'appendices')
+      .map(({ id }) => ({ id, pageBreak: 'auto' }))
+  },
+  {
+    id: 'executive-2-pager',
+    name: 'Executive 2-pager',
+    tableOfContents: false,
+    sections: [
+      { id: 'summary', pageBreak: 'auto' },
+      { id: 'officeGrades', pageBreak: 'auto' },
+      { id: 'actionItems', pageBreak: 'auto' }
+    ]
+  }
+];
+
+export const PDF_PROFILES_STORAGE_KEY = 'rss_pdf_profiles';
@@ -110,6 +110,46 @@ export const DEVICE_TYPES = {
   }
 };
 
+/**
+ * Device type color mapping with WCAG-compliant contrast, used by the rack
+ * diagram on the Storage page and the rack elevations in the PDF report
+ */
+export const DEVICE_TYPE_COLORS = {
+  // Infrastructure & Power
+  'ups': { bg: '#dc2626', fg: '#ffffff' }, // Red - Critical power
+  'pdu': { bg: '#ea580c', fg: '#ffffff' }, // Orange - Power distribution
+  
+  // Network Equipment  
+  'switch': { bg: '#2563eb', fg: '#ffffff' }, // Blue - Network switching
+  'router': { bg: '#1d4ed8', fg: '#ffffff' }, // Dark Blue - Network routing
+  'isp-equipment': { bg: '#3730a3', fg: '#ffffff' }, // Indigo - ISP gear
+  
+  // Servers & Compute
+  'server': { bg: '#059669', fg: '#ffffff' }, // Green - Servers
+  'top-level': { bg: '#047857', fg: '#ffffff' }, // Dark Green - Top level servers
+  
+  // Network & WAN
+  'sd-wan': { bg: '#7c3aed', fg: '#ffffff' }, // Purple - SD-WAN
+  
+  // Monitoring & Security
+  'camera-server': { bg: '#be185d', fg: '#ffffff' }, // Pink - Security/cameras
+  'test-pc': { bg: '#0891b2', fg: '#ffffff' }, // Cyan - Test equipment
+  
+  // Connectivity
+  'patch-panel': { bg: '#65a30d', fg: '#ffffff' }, // Lime - Patch panels
+  
+  // Default fallback
+  'default': { bg: '#6b7280', fg: '#ffffff' }, // Gray - Unknown devices
+};
+
+// Hex equivalents of the utilization colors in RackHeader
+export const UTILIZATION_COLORS = {
+  critical: '#ef4444',
+  warning: '#eab308',
+  moderate: '#3b82f6',
+  low: '#22c55e'
+};
+
 export const POWER_STATUS = {
   ON: { status: 'on', color: 'text-green-500', icon: 'CheckCircle' },
   OFF: { status: 'off', color: 'text-red-500', icon: 'AlertTriangle' },
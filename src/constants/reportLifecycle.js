@@ -0,0 +1,82 @@
+/**
+ * Report lifecycle rules shared by the client and the API server:
+ * draft -> submitted -> reviewed -> approved, with reviewers able to return
+ * a submitted or reviewed report to draft with comments.
+ */
+
+export const REPORT_LIFECYCLE = {
+  DRAFT: 'draft',
+  SUBMITTED: 'submitted',
+  REVIEWED: 'reviewed',
+  APPROVED: 'approved',
+  ARCHIVED: 'archived'
+};
+
+// Statuses in which the report content can no longer be edited
+export const LOCKED_STATUSES = [
+  REPORT_LIFECYCLE.SUBMITTED,
+  REPORT_LIFECYCLE.REVIEWED,
+  REPORT_LIFECYCLE.APPROVED
+];
+
+export const REVIEWER_ROLES = ['admin', 'manager'];
+
+/**
+ * Status transitions. `reviewer` actions need a reviewer role; the others are
+ * taken by the report's owner.
+ */
+export const REPORT_TRANSITIONS = {
+  submit: {
+    from: [REPORT_LIFECYCLE.DRAFT],
+    to: REPORT_LIFECYCLE.SUBMITTED,
+    label: 'Submit for review',
+    note: 'Submitted'
+  },
+  review: {
+    from: [REPORT_LIFECYCLE.SUBMITTED],
+    to: REPORT_LIFECYCLE.REVIEWED,
+    label: 'Mark reviewed',
+    note: 'Reviewed',
+    reviewer: true
+  },
+  approve: {
+    from: [REPORT_LIFECYCLE.REVIEWED],
+    to: REPORT_LIFECYCLE.APPROVED,
+    label: 'Approve',
+    note: 'Approved',
+    reviewer: true
+  },
+  return: {
+    from: [REPORT_LIFECYCLE.SUBMITTED, REPORT_LIFECYCLE.REVIEWED],
+    to: REPORT_LIFECYCLE.DRAFT,
+    label: 'Return with comments',
+    note: 'Returned for changes',
+    reviewer: true,
+    requiresComments: true
+  }
+};
+
+export const STATUS_LABELS = {
+  draft: 'Draft',
+  submitted: 'Submitted',
+  reviewed: 'Reviewed',
+  approved: 'Approved',
+  archived: 'Archived'
+};
+
+export const isLockedStatus = (status) => LOCKED_STATUSES.includes(status);
+
+export const canReview = (role) => REVIEWER_ROLES.includes(role);
+
+/**
+ * Reviewer actions available for a report in the given status
+ * @param {string} status - Current report status
+ * @param {string} role - Application role of the acting user
+ */
+export const getReviewActions = (status, role) => (
+  canReview(role)
+    ? Object.keys(REPORT_TRANSITIONS).filter((action) => (
+      REPORT_TRANSITIONS[action].reviewer && REPORT_TRANSITIONS[action].from.includes(status)
+    ))
+    : []
+);
@@ -0,0 +1,84 @@
+/**
+ * Role and Active Directory group mapping rules shared by the client and
+ * the API server
+ */
+
+export const ROLE_PERMISSIONS = {
+  admin: [
+    'admin:*',
+    'reports:create',
+    'reports:edit:all',
+    'reports:view:all',
+    'reports:delete:all',
+    'reports:export:all',
+    'reports:review',
+    'users:manage',
+    'system:settings'
+  ],
+  manager: [
+    'reports:create',
+    'reports:edit:own',
+    'reports:edit:team',
+    'reports:view:all',
+    'reports:export:own',
+    'reports:export:team',
+    'reports:review',
+    'users:view:team'
+  ],
+  technician: [
+    'reports:create',
+    'reports:edit:own',
+    'reports:view:assigned',
+    'reports:export:own',
+    'hardware:manage'
+  ],
+  auditor: [
+    'reports:view:all',
+    'reports:export:all',
+    'audit:view'
+  ],
+  viewer: [
+    'reports:view:assigned',
+    'reports:export:own'
+  ]
+};
+
+// The PostgreSQL users table calls the viewer role 'readonly'
+ROLE_PERMISSIONS.readonly = ROLE_PERMISSIONS.viewer;
+
+/**
+ * Get the permissions granted to a role
+ * @param {string} role - Application role
+ */
+export const getRolePermissions = (role) => ROLE_PERMISSIONS[role] || ROLE_PERMISSIONS.viewer;
+
+// Default AD group DN -> application role mapping
+export const DEFAULT_AD_ROLE_MAPPING = {
+  'CN=RSS-Admins,OU=Groups,DC=company,DC=local': 'admin',
+  'CN=RSS-Managers,OU=Groups,DC=company,DC=local': 'manager',
+  'CN=RSS-Technicians,OU=Groups,DC=company,DC=local': 'technician',
+  'CN=RSS-Users,OU=Groups,DC=company,DC=local': 'viewer'
+};
+
+// Highest precedence first
+const AD_ROLE_PRECEDENCE = ['admin', 'manager', 'technician'];
+
+/**
+ * Map AD group memberships to an application role. DNs compare
+ * case-insensitively, as LDAP does.
+ * @param {Array} adGroups - Group DNs or { dn } objects
+ * @param {Object} roleMapping - Group DN -> role
+ */
+export function mapGroupsToRole(adGroups, roleMapping = DEFAULT_AD_ROLE_MAPPING) {
+  if (!Array.isArray(adGroups)) return 'viewer';
+
+  const mapping = new Map(
+    Object.entries(roleMapping).map(([dn, role]) => [dn.toLowerCase(), role])
+  );
+  const roles = new Set(adGroups.map((group) => {
+    const groupDN = typeof group === 'object' ? group?.dn : group;
+    return typeof groupDN === 'string' ? mapping.get(groupDN.toLowerCase()) : undefined;
+  }));
+
+  return AD_ROLE_PRECEDENCE.find((role) => roles.has(role)) || 'viewer';
+}
@@ -1,141 +1,42 @@
-import React, { createContext, useContext, useReducer, useEffect, useState, useMemo, useCallback } from 'react';
+import React, { createContext, useContext, useReducer, useEffect, useState, useCallback, useRef } from 'react';
 import { InputSanitizer, AUDIT_LEVELS, SECURITY_EVENTS } from '../utils/security';
 import authMiddleware from '../middleware/authMiddleware.js';
+import memoryManager from '../utils/memoryManager.js';
+import reportStore from '../services/reportStore.js';
+import organizationSettingsService from '../services/organizationSettingsService.js';
+import {
+  REPORT_STATUS,
+  createWorkspace,
+  createReportEntry,
+  describeReport,
+  updateReportEntry,
+  findNextDraft,
+  getReportTitle,
+  loadWorkspace,
+  saveWorkspace
+} from '../utils/reportWorkspace';
+import { extractPhotos, hydratePhotos } from '../utils/reportPhotos';
+import { isLockedStatus } from '../constants/reportLifecycle';
+import { carryForwardVisit, findLastVisit } from '../utils/visitCarryForward';
+import { createInitialReportData } from '../constants/initialData';
+import { loadReportData } from '../schemas/reportSchema';
+import { focusField } from '../utils/fieldFocus';
+import { createHistory, describeEdit, recordEdit, redoEdit, undoEdit } from '../utils/reportHistory';
+import { settings } from '../utils/settings';
+
+// How often the idle auto-lock checks for activity
+const AUTO_LOCK_CHECK_MS = 15000;
 
 // Initial state
 const initialState = {
   theme: 'light',
   activePage: 'Dashboard',
+  // Field a validation problem link asked for: { page, tab, id, requestedAt }
+  focusRequest: null,
   isLoading: false,
-  reportData: {
-    // Basic report information
-    rss: '', 
-    office: '', 
-    date: new Date().toISOString().split('T')[0], 
-    nextVisit: '',
-    visitPurpose: '',
-    
-    // Summary section with detailed breakdown
-    summary: { 
-      summaryText: '', 
-      pcRepairsText: '', 
-      trainingRoomText: '', 
-      issuesText: '', 
-      recommendationsText: '', 
-      followUpText: '' 
-    },
-    
-    // Photo uploads
-    pictures: { 
-      dataCloset: [], 
-      trainingRoom: [] 
-    },
-    
-    // Office grading system
-    officeGrading: [
-      { category: 'IT Relationship', score: '', comments: '' },
-      { category: 'Inventory', score: '', comments: '' },
-      { category: 'Sales Floor - IT Experience', score: '', comments: '' },
-      { category: 'Data Closet', score: '', comments: '' },
-    ],
-    officeGrade: 'N/A',
-    
-    // Hardware infrastructure
-    hardware: {
-      computers: [],
-      monitors: [],
-      printers: [],
-      phones: [],
-      tablets: [],
-      networking: [],
-      lastUpdated: new Date().toISOString().split('T')[0]
-    },
-    officeHardware: [], // Legacy field for compatibility
-    
-    // Data closet management
-    dataCloset: {
-      grading: [
-        { category: 'Data Closet Appearance', score: '', comments: '' },
-        { category: 'Cable Management', score: '', comments: '' },
-        { category: 'Labeling', score: '', comments: '' },
-        { category: 'Temperature', score: '', comments: '' },
-        { category: 'Physical Security', score: '', comments: '' },
-        { category: 'Device Health', score: '', comments: '' },
-      ],
-      score: 'N/A',
-      deviceLocations: [],
-      rackLocations: [],
-    },
-    
-    // Comprehensive inventory management
-    inventory: {
-      items: [
-        { description: 'PCs', inUse: 0, otherUse: { training: 0, conf: 0, gsm: 0, prospecting: 0, applicant: 0, visitor: 0, other: 0 }, spares: { onFloor: 0, inStorage: 0 }, broken: 0 },
-        { description: 'Laptops', inUse: 0, otherUse: { training: 0, conf: 0, gsm: 0, prospecting: 0, applicant: 0, visitor: 0, other: 0 }, spares: { onFloor: 0, inStorage: 0 }, broken: 0 },
-        { description: 'Monitors', inUse: 0, otherUse: { training: 0, conf: 0, gsm: 0, prospecting: 0, applicant: 0, visitor: 0, other: 0 }, spares: { onFloor: 0, inStorage: 0 }, broken: 0 },
-        { description: 'Webcams', inUse: 0, otherUse: { training: 0, conf: 0, gsm: 0, prospecting: 0, applicant: 0, visitor: 0, other: 0 }, spares: { onFloor: 0, inStorage: 0 }, broken: 0 },
-        { description: 'Phones', inUse: 0, otherUse: { training: 0, conf: 0, gsm: 0, prospecting: 0, applicant: 0, visitor: 0, other: 0 }, spares: { onFloor: 0, inStorage: 0 }, broken: 0 },
-        { description: 'Headsets', inUse: 0, otherUse: { training: 0, conf: 0, gsm: 0, prospecting: 0, applicant: 0, visitor: 0, other: 0 }, spares: { onFloor: 0, inStorage: 0 }, broken: 0 },
-        { description: 'Direct Connect', inUse: 0, otherUse: { training: 0, conf: 0, gsm: 0, prospecting: 0, applicant: 0, visitor: 0, other: 0 }, spares: { onFloor: 0, inStorage: 0 }, broken: 0 },
-        { description: 'Workstations', inUse: 0, otherUse: { training: 0, conf: 0, gsm: 0, prospecting: 0, applicant: 0, visitor: 0, other: 0 }, spares: { onFloor: 0, inStorage: 0 }, broken: 0 },
-        { description: 'Desk Chairs', inUse: 0, otherUse: { training: 0, conf: 0, gsm: 0, prospecting: 0, applicant: 0, visitor: 0, other: 0 }, spares: { onFloor: 0, inStorage: 0 }, broken: 0 },
-        { description: 'Wireless Headsets', inUse: 0, otherUse: { training: 0, conf: 0, gsm: 0, prospecting: 0, applicant: 0, visitor: 0, other: 0 }, spares: { onFloor: 0, inStorage: 0 }, broken: 0 },
-        { description: 'VPN Phone', inUse: 0, otherUse: { training: 0, conf: 0, gsm: 0, prospecting: 0, applicant: 0, visitor: 0, other: 0 }, spares: { onFloor: 0, inStorage: 0 }, broken: 0 },
-      ],
-      specialStations: {
-        threeMonitorSetups: 0,
-        prospectingStations: 0,
-        visitorStations: 0,
-        applicantStations: 0,
-        eolComputers: 0
-      },
-      lastUpdated: new Date().toISOString().split('T')[0],
-      notes: ''
-    },
-    
-    // Comprehensive recycling management
-    recycling: {
-      broughtBack: [ 
-        { item: '17" Monitors', quantity: 0, notes: '', status: 'completed' }, 
-        { item: '24" Monitors', quantity: 0, notes: '', status: 'completed' }, 
-        { item: 'Hard drives', quantity: 0, notes: '', status: 'completed' }, 
-        { item: 'Computers', quantity: 0, notes: '', status: 'completed' }, 
-        { item: 'Network devices', quantity: 0, notes: '', status: 'completed' }, 
-        { item: 'Printer', quantity: 0, notes: '', status: 'completed' }, 
-        { item: 'UPS batteries', quantity: 0, notes: '', status: 'completed' }, 
-        { item: 'Other', quantity: 0, notes: '', status: 'completed' } 
-      ],
-      pickupRequired: [ 
-        { item: '17" Monitors', quantity: 0, notes: '', status: 'pending', priority: 'normal' }, 
-        { item: '24" Monitors', quantity: 0, notes: '', status: 'pending', priority: 'normal' }, 
-        { item: 'Hard drives', quantity: 0, notes: '', status: 'pending', priority: 'high' }, 
-        { item: 'Computers', quantity: 0, notes: '', status: 'pending', priority: 'normal' }, 
-        { item: 'Network devices', quantity: 0, notes: '', status: 'pending', priority: 'normal' }, 
-        { item: 'Printer', quantity: 0, notes: '', status: 'pending', priority: 'low' }, 
-        { item: 'UPS batteries', quantity: 0, notes: '', status: 'pending', priority: 'high' }, 
-        { item: 'Other', quantity: 0, notes: '', status: 'pending', priority: 'normal' } 
-      ],
-      sentToHq: [ 
-        { item: 'Headsets', quantity: 0, notes: '', status: 'completed' }, 
-        { item: 'Direct Connects', quantity: 0, notes: '', status: 'completed' }, 
-        { item: 'Webcams', quantity: 0, notes: '', status: 'completed' }, 
-        { item: 'Phones', quantity: 0, notes: '', status: 'completed' } 
-      ],
-      scheduled: 'No', 
-      scheduleDate: '',
-      scheduledBy: '',
-      pickupContact: '',
-      lastUpdated: new Date().toISOString().split('T')[0],
-      generalNotes: ''
-    },
-    
-    // Issues and recommendations tracking
-    issues: [],
-    recommendations: [],
-    
-    // Checklists (pushed from templates)
-    checklists: []
-  },
+  reportData: createInitialReportData(),
+  // Undo/redo steps of the open report (utils/reportHistory)
+  history: createHistory(),
   user: {
     id: null,
     email: '', // Will be populated from authentication
@@ -152,6 +53,12 @@ const initialState = {
     adEnabled: false,
     allowLocalAuth: true
   },
+  // Report workspace index (utils/reportWorkspace); reportData is the active report
+  reports: [],
+  activeReportId: null,
+  // Encryption of saved reports (services/reportStore): 'checking', 'setup',
+  // 'locked' or 'unlocked'
+  storageLock: 'checking',
   notifications: [],
   errors: []
 };
@@ -160,17 +67,22 @@ const initialState = {
 const actionTypes = {
   SET_THEME: 'SET_THEME',
   SET_ACTIVE_PAGE: 'SET_ACTIVE_PAGE',
+  REQUEST_FIELD_FOCUS: 'REQUEST_FIELD_FOCUS',
   SET_LOADING: 'SET_LOADING',
   UPDATE_REPORT_DATA: 'UPDATE_REPORT_DATA',
   SET_REPORT_DATA: 'SET_REPORT_DATA',
+  UNDO: 'UNDO',
+  REDO: 'REDO',
   ADD_NOTIFICATION: 'ADD_NOTIFICATION',
   REMOVE_NOTIFICATION: 'REMOVE_NOTIFICATION',
   ADD_ERROR: 'ADD_ERROR',
   CLEAR_ERRORS: 'CLEAR_ERRORS',
-  RESET_REPORT: 'RESET_REPORT',
+  SET_WORKSPACE: 'SET_WORKSPACE',
+  CLOSE_REPORT: 'CLOSE_REPORT',
   SET_USER: 'SET_USER',
   SET_AUTH_STATE: 'SET_AUTH_STATE',
   SET_AUTH_CONFIG: 'SET_AUTH_CONFIG',
+  SET_STORAGE_LOCK: 'SET_STORAGE_LOCK',
   CLEAR_DATA: 'CLEAR_DATA'
 };
 
@@ -183,12 +95,15 @@ const appReducer = (state, action) => {
     
     case actionTypes.SET_ACTIVE_PAGE:
       return { ...state, activePage: action.payload };
+
+    case actionTypes.REQUEST_FIELD_FOCUS:
+      return { ...state, activePage: action.payload.page, focusRequest: action.payload };
     
     case actionTypes.SET_LOADING:
       return { ...state, isLoading: action.payload };
     
     case actionTypes.UPDATE_REPORT_DATA:
-      const { field, value } = action.payload;
+      const { field, value, label, at } = action.payload;
       const sanitizedValue = typeof value === 'string' ? InputSanitizer.sanitizeString(value) : value;
       
       return {
@@ -196,7 +111,12 @@ const appReducer = (state, action) => {
         reportData: {
           ...state.reportData,
           [field]: sanitizedValue
-        }
+        },
+        // Unlabelled edits are typing and the like, grouped per field; the
+        // server ID is bookkeeping, not an edit
+        history: field === 'id' ? state.history : recordEdit(state.history, state.reportData, label
+          ? { label, at }
+          : { label: describeEdit(field), group: field, at })
       };
     
     case actionTypes.SET_REPORT_DATA:
@@ -206,12 +126,26 @@ const appReducer = (state, action) => {
       console.log('🔧 DEBUG: SET_REPORT_DATA payload checklists[0]:', action.payload?.checklists?.[0]);
       const newState = {
         ...state,
-        reportData: action.payload
+        reportData: action.payload,
+        // Edits are undoable; opening a report starts its history afresh
+        history: action.edit
+          ? recordEdit(state.history, state.reportData, action.edit)
+          : createHistory()
       };
       console.log('🔧 DEBUG: SET_REPORT_DATA new state checklists:', newState.reportData.checklists);
       console.log('🔧 DEBUG: SET_REPORT_DATA new state checklists length:', newState.reportData.checklists?.length);
       return newState;
     
+    case actionTypes.UNDO:
+    case actionTypes.REDO: {
+      const step = (action.type === actionTypes.UNDO ? undoEdit : redoEdit)(state.history, state.reportData);
+      if (!step) return state;
+      // A copy, so going back to the data a report opened with still
+      // autosaves; the server ID stays whatever it is now
+      const { id } = state.reportData;
+      return { ...state, reportData: { ...step.reportData, ...(id && { id }) }, history: step.history };
+    }
+    
     case actionTypes.ADD_NOTIFICATION:
       return {
         ...state,
@@ -240,10 +174,20 @@ const appReducer = (state, action) => {
     case actionTypes.CLEAR_ERRORS:
       return { ...state, errors: [] };
     
-    case actionTypes.RESET_REPORT:
+    case actionTypes.SET_WORKSPACE:
       return {
         ...state,
-        reportData: initialState.reportData
+        reports: action.payload.reports,
+        activeReportId: action.payload.activeId
+      };
+    
+    case actionTypes.CLOSE_REPORT:
+      return {
+        ...state,
+        reportData: initialState.reportData,
+        history: createHistory(),
+        reports: [],
+        activeReportId: null
       };
     
     case actionTypes.SET_USER:
@@ -271,12 +215,18 @@ const appReducer = (state, action) => {
       return {
         ...state,
         reportData: initialState.reportData,
+        history: createHistory(),
+        reports: [],
+        activeReportId: null,
         user: initialState.user,
         isAuthenticated: false,
         sessionId: null,
         notifications: [],
         errors: []
       };
+
+    case actionTypes.SET_STORAGE_LOCK:
+      return { ...state, storageLock: action.payload };
     
     default:
       return state;
@@ -291,6 +241,243 @@ export const AppProvider = ({ children }) => {
   const [state, dispatch] = useReducer(appReducer, initialState);
   const [isInitialLoad, setIsInitialLoad] = useState(true);
 
+  // Workspace index and save bookkeeping live in refs so that the debounced
+  // save and the auth listeners never act on a stale copy
+  const workspaceRef = useRef(createWorkspace());
+  const pendingSaveRef = useRef(null);
+  const loadedDataRef = useRef(null);
+  // Saves, switches and other workspace changes run one at a time, in order
+  const workspaceQueueRef = useRef(Promise.resolve());
+  // Photo blobs already in the store, and object URLs made for loaded photos
+  const storedBlobsRef = useRef(new WeakSet());
+  const photoUrlsRef = useRef([]);
+  const quotaWarnedRef = useRef(false);
+  const lockWarnedRef = useRef(null);
+  const actionsRef = useRef(null);
+
+  const enqueueWorkspaceTask = useCallback((task) => {
+    const run = workspaceQueueRef.current.then(task);
+    workspaceQueueRef.current = run.catch(() => {});
+    return run;
+  }, []);
+
+  const commitWorkspace = useCallback((workspace) => {
+    workspaceRef.current = workspace;
+    dispatch({ type: actionTypes.SET_WORKSPACE, payload: workspace });
+    return saveWorkspace(reportStore, workspace);
+  }, []);
+
+  // Warn once per session when saved reports approach the browser quota
+  const checkStorageQuota = useCallback(async () => {
+    await memoryManager.updateStorageStats();
+    if (quotaWarnedRef.current || !memoryManager.isStorageNearlyFull()) return;
+
+    quotaWarnedRef.current = true;
+    const { used, quota } = memoryManager.getStats().storage;
+    dispatch({
+      type: actionTypes.ADD_NOTIFICATION,
+      payload: {
+        type: 'warning',
+        message: 'Device storage is almost full',
+        description: `${Math.round(used / 1048576)} MB of ${Math.round(quota / 1048576)} MB used. Archive or delete reports you no longer need.`,
+        duration: 8000
+      }
+    });
+  }, []);
+
+  const persistReport = useCallback(async (id, data) => {
+    try {
+      const { data: saved, photos } = extractPhotos(data, {
+        isStored: (blob) => storedBlobsRef.current.has(blob)
+      });
+      await reportStore.putReport(id, saved, photos);
+      photos.forEach(({ blob }) => storedBlobsRef.current.add(blob));
+
+      await commitWorkspace(updateReportEntry(workspaceRef.current, id, {
+        ...describeReport(data),
+        updatedAt: new Date().toISOString()
+      }));
+      await checkStorageQuota();
+    } catch (error) {
+      console.error('Error saving data:', error);
+      dispatch({
+        type: actionTypes.ADD_ERROR,
+        payload: {
+          message: 'Failed to save data',
+          level: AUDIT_LEVELS.MEDIUM,
+          event: SECURITY_EVENTS.DATA_EXPORT
+        }
+      });
+      if (error?.name === 'QuotaExceededError') {
+        dispatch({
+          type: actionTypes.ADD_NOTIFICATION,
+          payload: {
+            type: 'error',
+            message: 'Report could not be saved',
+            description: 'Device storage is full. Archive or delete reports, or remove photos, and try again.',
+            duration: 8000
+          }
+        });
+      }
+    }
+  }, [commitWorkspace, checkStorageQuota]);
+
+  // Queue a pending debounced save now, e.g. before switching reports
+  const flushPendingSave = useCallback(() => {
+    const pending = pendingSaveRef.current;
+    if (!pending) return workspaceQueueRef.current;
+    clearTimeout(pending.timeout);
+    pendingSaveRef.current = null;
+    return enqueueWorkspaceTask(() => persistReport(pending.id, pending.data));
+  }, [enqueueWorkspaceTask, persistReport]);
+
+  /**
+   * Make a workspace report the active one, reattaching its stored photos
+   * @param {Object} workspace - { activeId, reports }
+   * @param {string} id - Report to open
+   */
+  const openWorkspaceReport = async (workspace, id) => {
+    // Reports saved by older versions of the app are migrated as they open
+    const { data: saved } = loadReportData((await reportStore.getReport(id)) || {});
+    const storedPhotos = await reportStore.getPhotos(id);
+    const { data, urls } = hydratePhotos(saved, storedPhotos);
+    storedPhotos.forEach(({ blob }) => storedBlobsRef.current.add(blob));
+    photoUrlsRef.current.forEach((url) => URL.revokeObjectURL(url));
+    photoUrlsRef.current = urls;
+
+    loadedDataRef.current = data;
+    dispatch({ type: actionTypes.SET_REPORT_DATA, payload: data });
+    await commitWorkspace({ ...workspace, activeId: id });
+  };
+
+  /**
+   * Add a report to the workspace and open it
+   * @param {Object} workspace - { activeId, reports }
+   * @param {Object} reportData - Data for the new report
+   * @param {Object} fields - Index fields, e.g. { title }
+   * @param {string} photoSourceId - Report whose stored photos the new one shares
+   * @returns {Promise<string>} New report ID
+   */
+  const startWorkspaceReport = async (workspace, reportData, fields = {}, photoSourceId = null) => {
+    const entry = createReportEntry(reportData, fields);
+    const { data, photos } = extractPhotos(reportData);
+    await reportStore.putReport(entry.id, data, photos);
+    if (photoSourceId) {
+      await reportStore.copyPhotos(photoSourceId, entry.id);
+    }
+    await openWorkspaceReport({ ...workspace, reports: [...workspace.reports, entry] }, entry.id);
+    return entry.id;
+  };
+
+  const createBlankReportData = () => createInitialReportData();
+
+  // Open the next draft after the active report was archived or deleted
+  const leaveWorkspaceReport = async (workspace, id) => {
+    const next = findNextDraft(workspace, id);
+    if (next) {
+      await openWorkspaceReport(workspace, next.id);
+    } else {
+      await startWorkspaceReport(workspace, createBlankReportData());
+    }
+  };
+
+  // Load the saved workspace and open its active report, or start a first one;
+  // does nothing while the report store is locked, as unlocking restores it
+  const restoreWorkspace = () => enqueueWorkspaceTask(async () => {
+    if (workspaceRef.current.activeId || !reportStore.isUnlocked()) return;
+
+    const workspace = await loadWorkspace(reportStore);
+    const activeId = workspace.activeId || findNextDraft(workspace)?.id;
+    if (activeId) {
+      await openWorkspaceReport(workspace, activeId);
+    } else {
+      await startWorkspaceReport(workspace, createBlankReportData());
+    }
+
+    // Keep offline reports from being evicted when the device runs low on space
+    await memoryManager.requestPersistentStorage();
+    await checkStorageQuota();
+  });
+
+  // Clear the open report from memory without touching what is saved
+  const closeWorkspace = () => {
+    flushPendingSave();
+    return enqueueWorkspaceTask(() => {
+      workspaceRef.current = createWorkspace();
+      loadedDataRef.current = null;
+      photoUrlsRef.current.forEach((url) => URL.revokeObjectURL(url));
+      photoUrlsRef.current = [];
+      dispatch({ type: actionTypes.CLOSE_REPORT });
+    });
+  };
+
+  // Close the open report and forget the encryption key, so saved reports
+  // need the passphrase again
+  const lockWorkspace = () => {
+    closeWorkspace();
+    return enqueueWorkspaceTask(async () => {
+      reportStore.lock();
+      dispatch({ type: actionTypes.SET_STORAGE_LOCK, payload: await reportStore.getLockState() });
+    });
+  };
+
+  // Unlocking, or setting the first passphrase, then opens the workspace
+  const unlockWorkspace = async (unlock) => {
+    await enqueueWorkspaceTask(unlock);
+    dispatch({ type: actionTypes.SET_STORAGE_LOCK, payload: 'unlocked' });
+    await restoreWorkspace();
+  };
+
+  // Submitted, reviewed and approved reports are read-only; edits to them are
+  // dropped with a warning (once per report)
+  const isActiveReportLocked = () => {
+    const { activeId, reports } = workspaceRef.current;
+    const active = reports.find((entry) => entry.id === activeId);
+    if (!isLockedStatus(active?.status)) return false;
+
+    if (lockWarnedRef.current !== active.id) {
+      lockWarnedRef.current = active.id;
+      dispatch({
+        type: actionTypes.ADD_NOTIFICATION,
+        payload: {
+          type: 'warning',
+          message: 'This report is read-only',
+          description: `It is ${active.status}. Changes are not saved unless a reviewer returns it to you.`,
+          duration: 5000
+        }
+      });
+    }
+    return true;
+  };
+
+  // Undo or redo a history step, saying which edit it was
+  const historyAction = (type, step, verb) => {
+    if (!step || isActiveReportLocked()) return;
+    dispatch({ type, payload: null });
+    dispatch({
+      type: actionTypes.ADD_NOTIFICATION,
+      payload: { type: 'info', message: `${verb}: ${step.label}`, duration: 2000 }
+    });
+  };
+
+  /**
+   * Run a workspace change after any pending save, reporting failures
+   * instead of rejecting
+   * @param {string} failureMessage - Notification shown on failure
+   * @param {Function} change - Async workspace change
+   */
+  const runWorkspaceAction = (failureMessage, change) => {
+    flushPendingSave();
+    return enqueueWorkspaceTask(change).catch((error) => {
+      console.error(`${failureMessage}:`, error);
+      dispatch({
+        type: actionTypes.ADD_NOTIFICATION,
+        payload: { type: 'error', message: failureMessage, description: error.message, duration: 5000 }
+      });
+      return null;
+    });
+  };
+
   // Initialize authentication system
   const initializeAuthentication = async () => {
     try {
@@ -315,6 +502,7 @@ export const AppProvider = ({ children }) => {
             authConfig
           } 
         });
+        organizationSettingsService.loadAll();
       }
       
       // Setup authentication event listeners
@@ -329,6 +517,8 @@ export const AppProvider = ({ children }) => {
                 sessionId: data.sessionId 
               } 
             });
+            restoreWorkspace();
+            organizationSettingsService.loadAll();
             break;
             
           case 'logout':
@@ -341,8 +531,8 @@ export const AppProvider = ({ children }) => {
                 sessionId: null 
               } 
             });
-            // Clear report data on logout for security
-            dispatch({ type: actionTypes.RESET_REPORT });
+            // Clear report data and the encryption key from memory on logout
+            lockWorkspace();
             break;
             
           case 'update':
@@ -382,26 +572,8 @@ export const AppProvider = ({ children }) => {
           dispatch({ type: actionTypes.SET_THEME, payload: savedTheme });
         }
 
-        // Load saved report data (SECURITY WARNING: localStorage is not secure)
-        const saved = localStorage.getItem('officeVisitReport');
-        console.log('🔧 DEBUG: Loading from localStorage:', saved);
-        if (saved) {
-          const parsedData = JSON.parse(saved);
-          console.log('🔧 DEBUG: Parsed data:', parsedData);
-          console.log('🔧 DEBUG: Loaded checklists:', parsedData.checklists);
-          // Ensure checklists array exists for backward compatibility
-          if (!parsedData.checklists) {
-            parsedData.checklists = [];
-          }
-          console.log('🔧 DEBUG: InitialState checklists:', initialState.reportData.checklists);
-          console.log('🔧 DEBUG: ParsedData checklists before merge:', parsedData.checklists);
-          
-          // Merge with initial state to ensure all properties exist
-          const fullData = { ...initialState.reportData, ...parsedData };
-          console.log('🔧 DEBUG: Full data after merge:', fullData);
-          console.log('🔧 DEBUG: Final checklists after merge:', fullData.checklists);
-          dispatch({ type: actionTypes.SET_REPORT_DATA, payload: fullData });
-        }
+        // Saved reports are encrypted; they load once the user unlocks them
+        dispatch({ type: actionTypes.SET_STORAGE_LOCK, payload: await reportStore.getLockState() });
         
         // Initialize authentication system
         await initializeAuthentication();
@@ -448,54 +620,73 @@ export const AppProvider = ({ children }) => {
     }
   }, [state.theme]);
 
-  // Debounced save to localStorage to prevent excessive saves
-  const debouncedSave = useMemo(() => {
-    let timeout;
-    return (data) => {
-      clearTimeout(timeout);
-      timeout = setTimeout(() => {
-        try {
-          if (import.meta.env.DEV) {
-            console.log('Saving to localStorage (debounced)');
-          }
-          localStorage.setItem('officeVisitReport', JSON.stringify(data));
-        } catch (error) {
-          console.error('Error saving data:', error);
-          dispatch({
-            type: actionTypes.ADD_ERROR,
-            payload: {
-              message: 'Failed to save data',
-              level: AUDIT_LEVELS.MEDIUM,
-              event: SECURITY_EVENTS.DATA_EXPORT
-            }
-          });
-        }
-      }, 1000); // 1 second debounce
-    };
-  }, []);
+  // Debounced save of the active report to prevent excessive saves
+  const debouncedSave = useCallback((id, data) => {
+    if (pendingSaveRef.current?.id !== id) {
+      flushPendingSave();
+    } else {
+      clearTimeout(pendingSaveRef.current.timeout);
+    }
+
+    const timeout = setTimeout(() => {
+      pendingSaveRef.current = null;
+      if (import.meta.env.DEV) {
+        console.log('Saving report (debounced)');
+      }
+      enqueueWorkspaceTask(() => persistReport(id, data));
+    }, 1000); // 1 second debounce
+
+    pendingSaveRef.current = { id, data, timeout };
+  }, [enqueueWorkspaceTask, flushPendingSave, persistReport]);
 
-  // Save data to localStorage when reportData changes (but not during initial load)
+  // Save the active report when reportData changes (but not during initial
+  // load, and not for data that was just loaded from storage)
   useEffect(() => {
-    // Skip saving during initial load to prevent overwriting manually set localStorage data
-    if (isInitialLoad) {
+    if (isInitialLoad || !state.activeReportId || state.reportData === loadedDataRef.current) {
       return;
     }
     
-    debouncedSave(state.reportData);
-  }, [state.reportData, isInitialLoad, debouncedSave]);
+    debouncedSave(state.activeReportId, state.reportData);
+  }, [state.reportData, state.activeReportId, isInitialLoad, debouncedSave]);
+
+  // Don't lose the last second of typing when the tab closes
+  useEffect(() => {
+    window.addEventListener('beforeunload', flushPendingSave);
+    return () => window.removeEventListener('beforeunload', flushPendingSave);
+  }, [flushPendingSave]);
 
   // Action creators
   const actions = {
     setTheme: (theme) => dispatch({ type: actionTypes.SET_THEME, payload: theme }),
     
     setActivePage: (page) => dispatch({ type: actionTypes.SET_ACTIVE_PAGE, payload: page }),
+
+    // Open the page (and tab) a field is on and focus it; field comes from a
+    // report validation problem
+    jumpToField: (field) => {
+      dispatch({ type: actionTypes.REQUEST_FIELD_FOCUS, payload: { ...field, requestedAt: Date.now() } });
+      return focusField(field.id);
+    },
     
     setLoading: (loading) => dispatch({ type: actionTypes.SET_LOADING, payload: loading }),
     
-    updateReportData: (field, value) => 
-      dispatch({ type: actionTypes.UPDATE_REPORT_DATA, payload: { field, value } }),
+    // label names the undo step, e.g. "Deleted device Switch-Core"; without
+    // one, quick edits to the same field share a step
+    updateReportData: (field, value, label = null) => {
+      if (!isActiveReportLocked()) {
+        dispatch({ type: actionTypes.UPDATE_REPORT_DATA, payload: { field, value, label, at: Date.now() } });
+      }
+    },
     
-    setReportData: (data) => dispatch({ type: actionTypes.SET_REPORT_DATA, payload: data }),
+    setReportData: (data, label = 'Replaced report data') => {
+      if (!isActiveReportLocked()) {
+        dispatch({ type: actionTypes.SET_REPORT_DATA, payload: data, edit: { label, at: Date.now() } });
+      }
+    },
+
+    undo: () => historyAction(actionTypes.UNDO, state.history.past[state.history.past.length - 1], 'Undid'),
+
+    redo: () => historyAction(actionTypes.REDO, state.history.future[0], 'Redid'),
     
     addNotification: (notification) => 
       dispatch({ type: actionTypes.ADD_NOTIFICATION, payload: notification }),
@@ -507,7 +698,113 @@ export const AppProvider = ({ children }) => {
     
     clearErrors: () => dispatch({ type: actionTypes.CLEAR_ERRORS }),
     
-    resetReport: () => dispatch({ type: actionTypes.RESET_REPORT }),
+    // Report workspace actions; each resolves with the report ID once the
+    // change is saved, or with null if it failed
+    createReport: ({ title = '', reportData } = {}) => runWorkspaceAction('Failed to create report', () => (
+      startWorkspaceReport(
+        workspaceRef.current,
+        reportData ? loadReportData(reportData).data : createBlankReportData(),
+        { title: title.trim() }
+      )
+    )),
+
+    // New visit to an office pre-filled from its latest visit in the workspace;
+    // resolves with null when the office has no earlier visit
+    createReportFromLastVisit: (office) => runWorkspaceAction('Failed to start visit from last visit', async () => {
+      const previous = findLastVisit(workspaceRef.current.reports, office);
+      if (!previous) return null;
+      const { data } = loadReportData((await reportStore.getReport(previous.id)) || {});
+      return startWorkspaceReport(
+        workspaceRef.current,
+        carryForwardVisit(data, createBlankReportData(), { reportId: previous.id })
+      );
+    }),
+
+    openReport: (id) => runWorkspaceAction('Failed to open report', async () => {
+      if (id !== workspaceRef.current.activeId) {
+        await openWorkspaceReport(workspaceRef.current, id);
+      }
+      return id;
+    }),
+
+    // Saved data of a workspace report without opening it, e.g. to compare visits
+    getReportData: async (id) => {
+      await flushPendingSave();
+      const saved = await reportStore.getReport(id);
+      return saved ? loadReportData(saved).data : null;
+    },
+
+    duplicateReport: (id) => runWorkspaceAction('Failed to duplicate report', async () => {
+      const source = workspaceRef.current.reports.find((entry) => entry.id === id);
+      if (!source) return null;
+      // The copy is a new local draft, not the server report the source was saved as
+      const { id: _serverId, ...data } = (await reportStore.getReport(id)) || {};
+      return startWorkspaceReport(workspaceRef.current, data, { title: `Copy of ${getReportTitle(source)}` }, id);
+    }),
+
+    renameReport: (id, title) => runWorkspaceAction('Failed to rename report', async () => {
+      await commitWorkspace(updateReportEntry(workspaceRef.current, id, { title: String(title || '').trim() }));
+      return id;
+    }),
+
+    // Unarchiving puts a report back in the status it was archived from
+    archiveReport: (id, archived = true) => runWorkspaceAction('Failed to archive report', async () => {
+      const entry = workspaceRef.current.reports.find((report) => report.id === id);
+      const workspace = updateReportEntry(workspaceRef.current, id, archived
+        ? { status: REPORT_STATUS.ARCHIVED, archivedFrom: entry?.status }
+        : { status: entry?.archivedFrom || REPORT_STATUS.DRAFT, archivedFrom: undefined });
+      await (archived && id === workspace.activeId
+        ? leaveWorkspaceReport(workspace, id)
+        : commitWorkspace(workspace));
+      return id;
+    }),
+
+    // Follow the server's review status, e.g. after submitting or a refresh
+    setReportStatus: (id, status) => runWorkspaceAction('Failed to update report status', async () => {
+      await commitWorkspace(updateReportEntry(workspaceRef.current, id, { status }));
+      return id;
+    }),
+
+    /**
+     * Open a report loaded from the server, e.g. from the review queue. A
+     * workspace copy of the same server report is replaced by the server data.
+     * @param {Object} report - { id, title, status, reportData } from the API
+     */
+    openServerReport: ({ id: serverId, title = '', status, reportData }) => runWorkspaceAction('Failed to open report', async () => {
+      const data = { ...loadReportData(reportData || {}).data, id: serverId };
+      const existing = workspaceRef.current.reports.find((entry) => entry.serverId === serverId);
+      if (!existing) {
+        return startWorkspaceReport(workspaceRef.current, data, { title, status });
+      }
+
+      await reportStore.putReport(existing.id, extractPhotos(data).data);
+      const workspace = updateReportEntry(workspaceRef.current, existing.id, {
+        ...describeReport(data),
+        status,
+        updatedAt: new Date().toISOString()
+      });
+      await openWorkspaceReport(workspace, existing.id);
+      return existing.id;
+    }),
+
+    deleteReport: (id) => {
+      // Unsaved edits to the deleted report are dropped rather than written back
+      if (pendingSaveRef.current?.id === id) {
+        clearTimeout(pendingSaveRef.current.timeout);
+        pendingSaveRef.current = null;
+      }
+      return runWorkspaceAction('Failed to delete report', async () => {
+        await reportStore.deleteReport(id);
+        const workspace = {
+          ...workspaceRef.current,
+          reports: workspaceRef.current.reports.filter((entry) => entry.id !== id)
+        };
+        await (id === workspace.activeId
+          ? leaveWorkspaceReport(workspace, id)
+          : commitWorkspace(workspace));
+        return id;
+      });
+    },
 
     // Authentication actions
     setUser: (user) => dispatch({ type: actionTypes.SET_USER, payload: user }),
@@ -518,6 +815,26 @@ export const AppProvider = ({ children }) => {
     
     clearData: () => dispatch({ type: actionTypes.CLEAR_DATA }),
 
+    // Encryption of saved reports. Setting the first passphrase encrypts what
+    // is already saved; a wrong passphrase rejects with PassphraseError.
+    setStoragePassphrase: (passphrase) => unlockWorkspace(() => reportStore.setPassphrase(passphrase)),
+
+    unlockStorage: (passphrase) => unlockWorkspace(() => reportStore.unlock(passphrase)),
+
+    lockStorage: () => lockWorkspace(),
+
+    // Re-encrypts every saved report with a new key wrapped by nextPassphrase
+    changeStoragePassphrase: (currentPassphrase, nextPassphrase) => {
+      flushPendingSave();
+      return enqueueWorkspaceTask(() => reportStore.changePassphrase(currentPassphrase, nextPassphrase));
+    },
+
+    // For a forgotten passphrase: reports not synced to the server are lost
+    eraseStoredReports: () => enqueueWorkspaceTask(async () => {
+      await reportStore.erase();
+      dispatch({ type: actionTypes.SET_STORAGE_LOCK, payload: 'setup' });
+    }),
+
     // Enterprise authentication methods
     login: async (username, password, rememberMe = false, authType = 'auto') => {
       try {
@@ -533,6 +850,7 @@ export const AppProvider = ({ children }) => {
               sessionId: result.sessionId 
             } 
           });
+          restoreWorkspace();
           
           dispatch({
             type: actionTypes.ADD_NOTIFICATION,
@@ -573,8 +891,9 @@ export const AppProvider = ({ children }) => {
           } 
         });
         
-        // Clear sensitive data
-        dispatch({ type: actionTypes.RESET_REPORT });
+        // Clear sensitive data and the encryption key from memory; saved
+        // reports stay in the workspace
+        lockWorkspace();
         
         dispatch({
           type: actionTypes.ADD_NOTIFICATION,
@@ -737,6 +1056,59 @@ export const AppProvider = ({ children }) => {
     }
   };
 
+  // The shortcut handler below is registered once; it calls the latest actions
+  actionsRef.current = actions;
+
+  // Ctrl+Z undoes report edits and Ctrl+Shift+Z or Ctrl+Y redoes them, also
+  // while typing in a report field. Dialogs, other pages and fields outside
+  // the report (login, Admin settings) keep the browser's own text undo.
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (!(event.ctrlKey || event.metaKey) || event.altKey) return;
+      const key = event.key.toLowerCase();
+      if (key !== 'z' && key !== 'y') return;
+
+      const reportFields = document.querySelector('[data-report-fields]');
+      const target = event.target instanceof Element ? event.target : null;
+      if (!reportFields || target?.closest('[role="dialog"]')) return;
+      const isTextEntry = target?.matches('input, textarea, select, [contenteditable="true"]');
+      if (isTextEntry && !reportFields.contains(target)) return;
+
+      event.preventDefault();
+      if (key === 'y' || event.shiftKey) {
+        actionsRef.current.redo();
+      } else {
+        actionsRef.current.undo();
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, []);
+
+  // Lock saved reports after a while without keyboard, mouse or touch input;
+  // checked on an interval so time asleep counts too
+  useEffect(() => {
+    if (state.storageLock !== 'unlocked') return undefined;
+
+    const autoLockMs = settings.get('security.autoLockMinutes', 15) * 60000;
+    let lastActivity = Date.now();
+    const markActive = () => { lastActivity = Date.now(); };
+    const activityEvents = ['pointerdown', 'pointermove', 'keydown', 'wheel', 'touchstart'];
+    activityEvents.forEach((type) => window.addEventListener(type, markActive, { passive: true }));
+
+    const interval = setInterval(() => {
+      if (Date.now() - lastActivity >= autoLockMs) {
+        actionsRef.current.lockStorage();
+      }
+    }, AUTO_LOCK_CHECK_MS);
+
+    return () => {
+      clearInterval(interval);
+      activityEvents.forEach((type) => window.removeEventListener(type, markActive));
+    };
+  }, [state.storageLock]);
+
   const value = {
     // Expose state properties directly
     ...state,
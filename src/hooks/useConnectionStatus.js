@@ -0,0 +1,30 @@
+import { useEffect, useState } from 'react';
+import reportDatabaseService from '../services/reportDatabaseService';
+
+/**
+ * Whether the browser is online, and what reportDatabaseService still has
+ * queued for upload
+ * @returns {Object} { online, pending, syncing, syncNow }
+ */
+export const useConnectionStatus = () => {
+  const [online, setOnline] = useState(() => navigator.onLine);
+  const [syncStatus, setSyncStatus] = useState(() => reportDatabaseService.getSyncStatus());
+
+  useEffect(() => {
+    const updateOnline = () => setOnline(navigator.onLine);
+    window.addEventListener('online', updateOnline);
+    window.addEventListener('offline', updateOnline);
+    return () => {
+      window.removeEventListener('online', updateOnline);
+      window.removeEventListener('offline', updateOnline);
+    };
+  }, []);
+
+  useEffect(() => reportDatabaseService.onSyncStatusChange(setSyncStatus), []);
+
+  return {
+    online,
+    ...syncStatus,
+    syncNow: () => reportDatabaseService.syncPendingChanges()
+  };
+};
@@ -1,58 +1,27 @@
 import { useApp } from '../context/AppContext';
-import { validateEmail, VALIDATION_PATTERNS } from '../utils/security';
+import { validateEmail } from '../utils/security';
+import { validateReport } from '../utils/reportValidation';
+import { createInitialReportData } from '../constants/initialData';
+import { loadReportData } from '../schemas/reportSchema';
 
 export const useReport = () => {
-  const { reportData, updateReportData, addNotification, setLoading } = useApp();
+  const { reportData, updateReportData, setReportData, addNotification, setLoading } = useApp();
 
-  const validateReportData = () => {
-    const errors = [];
-
-    // Required fields validation
-    if (!reportData.office?.trim()) {
-      errors.push('Office location is required');
-    }
-
-    if (!reportData.date) {
-      errors.push('Visit date is required');
-    }
-
-    if (!reportData.summary?.trim()) {
-      errors.push('Visit summary is required');
-    }
-
-    // Office location format validation
-    if (reportData.office && !VALIDATION_PATTERNS.office.test(reportData.office)) {
-      errors.push('Office location contains invalid characters');
-    }
-
-    // Date validation
-    if (reportData.date) {
-      const visitDate = new Date(reportData.date);
-      const today = new Date();
-      const maxPastDate = new Date();
-      maxPastDate.setFullYear(today.getFullYear() - 1);
-
-      if (visitDate > today) {
-        errors.push('Visit date cannot be in the future');
-      }
-
-      if (visitDate < maxPastDate) {
-        errors.push('Visit date cannot be more than one year ago');
-      }
-    }
-
-    return errors;
-  };
+  // Messages of the errors that keep the report from being submitted
+  const validateReportData = () => validateReport(reportData).errors.map((problem) => problem.message);
 
   const getReportSummary = () => {
-    const infrastructureCount = Object.values(reportData.itInfrastructure || {})
-      .reduce((total, items) => total + (items?.length || 0), 0);
+    const infrastructureCount = Object.values(reportData.hardware || {})
+      .reduce((total, items) => total + (Array.isArray(items) ? items.length : 0), 0);
+    const recyclingCount = ['broughtBack', 'pickupRequired', 'sentToHq']
+      .flatMap((list) => reportData.recycling?.[list] || [])
+      .filter((item) => item.quantity > 0).length;
 
     return {
       isComplete: validateReportData().length === 0,
       infrastructureItems: infrastructureCount,
-      inventoryItems: reportData.inventory?.length || 0,
-      recyclingItems: reportData.recycling?.length || 0,
+      inventoryItems: reportData.inventory?.items?.length || 0,
+      recyclingItems: recyclingCount,
       issuesCount: reportData.issues?.length || 0,
       recommendationsCount: reportData.recommendations?.length || 0
     };
@@ -94,27 +63,12 @@ export const useReport = () => {
       
       reader.onload = (e) => {
         try {
-          const importedData = JSON.parse(e.target.result);
-          
-          // Basic validation of imported data structure
-          if (!importedData || typeof importedData !== 'object') {
-            throw new Error('Invalid file format');
-          }
+          // Files exported by older versions of the app are migrated first;
+          // anything that still does not fit the schema is rejected
+          const { data } = loadReportData(JSON.parse(e.target.result), { strict: true });
+          const importedData = reportData.id ? { ...data, id: reportData.id } : data;
 
-          // Merge with current data, preserving structure
-          const mergedData = {
-            ...reportData,
-            ...importedData,
-            // Ensure required fields exist
-            itInfrastructure: {
-              servers: [],
-              workstations: [],
-              networkEquipment: [],
-              ...importedData.itInfrastructure
-            }
-          };
-
-          updateReportData('', mergedData);
+          setReportData(importedData, 'Imported report data');
           
           addNotification({
             type: 'success',
@@ -122,12 +76,15 @@ export const useReport = () => {
             duration: 3000
           });
           
-          resolve(mergedData);
+          resolve(importedData);
         } catch (error) {
           console.error('Import error:', error);
           addNotification({
             type: 'error',
-            message: 'Failed to import report: Invalid file format',
+            message: 'Failed to import report',
+            description: error.issues?.length
+              ? error.issues.slice(0, 3).map((issue) => `${issue.path || 'report'}: ${issue.message}`).join('; ')
+              : error.message,
             duration: 5000
           });
           reject(error);
@@ -148,25 +105,8 @@ export const useReport = () => {
   };
 
   const clearReportData = () => {
-    const emptyData = {
-      office: '',
-      date: new Date().toISOString().split('T')[0],
-      visitPurpose: '',
-      summary: '',
-      itInfrastructure: {
-        servers: [],
-        workstations: [],
-        networkEquipment: []
-      },
-      inventory: [],
-      recycling: [],
-      issues: [],
-      recommendations: []
-    };
-
-    Object.keys(emptyData).forEach(key => {
-      updateReportData(key, emptyData[key]);
-    });
+    const emptyData = createInitialReportData();
+    setReportData(reportData.id ? { ...emptyData, id: reportData.id } : emptyData, 'Cleared report data');
 
     addNotification({
       type: 'info',
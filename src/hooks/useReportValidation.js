@@ -0,0 +1,27 @@
+import { useEffect, useMemo } from 'react';
+import { useApp } from '../context/AppContext';
+import { validateReport } from '../utils/reportValidation';
+
+/**
+ * Validation of the open report, recomputed when it changes
+ * @returns {Object} Result of validateReport
+ */
+export const useReportValidation = () => {
+  const { reportData } = useApp();
+  return useMemo(() => validateReport(reportData), [reportData]);
+};
+
+/**
+ * Switch a tabbed page to the tab of a field someone jumped to
+ * @param {string} page - Page ID the component renders
+ * @param {Function} setActiveTab - The page's tab setter
+ */
+export const useFocusRequestTab = (page, setActiveTab) => {
+  const { focusRequest } = useApp();
+
+  useEffect(() => {
+    if (focusRequest?.page === page && focusRequest.tab) {
+      setActiveTab(focusRequest.tab);
+    }
+  }, [focusRequest]);
+};
@@ -1,14 +1,24 @@
 import React from 'react';
 import ReactDOM from 'react-dom/client';
 import App from './App.jsx';
+import PrintReport from './pages/Print/PrintReport.jsx';
 import './index.css';
 import './styles/print.css';
+import { registerServiceWorker } from './utils/serviceWorker';
 
 // Security headers should be set by the server/build process
 // See vite.config.js for security header configuration
 
+// Headless PDF rendering opens the app as /?view=print
+const isPrintView = new URLSearchParams(window.location.search).get('view') === 'print';
+
 ReactDOM.createRoot(document.getElementById('root')).render(
   <React.StrictMode>
-    <App />
+    {isPrintView ? <PrintReport /> : <App />}
   </React.StrictMode>,
-);
\ No newline at end of file
+);
+
+// Precache the app so it can be installed and opened offline
+if (!isPrintView) {
+  registerServiceWorker();
+}
\ No newline at end of file
@@ -27,10 +27,8 @@ class AuthMiddleware {
       // Setup authentication event listeners
       this.setupEventListeners();
       
-      // Test AD connection if enabled
-      if (adAuthService.isADEnabled()) {
-        await this.testADConnection();
-      }
+      // The AD connection test needs an admin session, so it is not run
+      // here; AD problems surface when an AD login fails
       
       this.isInitialized = true;
       console.log(`Authentication middleware initialized with strategy: ${this.currentStrategy}`);
@@ -130,7 +128,7 @@ class AuthMiddleware {
       throw new Error('Active Directory authentication is not enabled');
     }
 
-    const result = await adAuthService.authenticateUser(username, password);
+    const result = await adAuthService.authenticateUser(username, password, null, rememberMe);
     
     if (result.success) {
       // Store session information
@@ -297,6 +295,20 @@ class AuthMiddleware {
     return authContext?.user || null;
   }
 
+  /**
+   * Get the current access token
+   */
+  getToken() {
+    return this.getAuthContext()?.token || null;
+  }
+
+  /**
+   * Get the current server session ID
+   */
+  getSessionId() {
+    return this.getAuthContext()?.sessionId || null;
+  }
+
   /**
    * Check if user is authenticated
    */
@@ -6,6 +6,8 @@ import Button from '../../components/ui/Button';
 import Modal from '../../components/ui/Modal';
 import ConfirmDialog from '../../components/ui/ConfirmDialog';
 import { useApp } from '../../context/AppContext';
+import { RecipientSettings } from '../../components/email';
+import { PdfProfileSettings } from '../../components/reports';
 
 const Admin = () => {
   const { addNotification, reportData, setReportData } = useApp();
@@ -74,7 +76,7 @@ const Admin = () => {
 
   // Office Management
   const handleAddOffice = () => {
-    setEditingOffice({ id: Date.now(), name: '', location: '', code: '' });
+    setEditingOffice({ id: Date.now(), name: '', location: '', code: '', region: '' });
   };
 
   const handleEditOffice = (office) => {
@@ -431,7 +433,7 @@ const Admin = () => {
       
       console.log('🔧 DEBUG: Updated report data (existing):', updatedReportData.checklists);
       
-      setReportData(updatedReportData);
+      setReportData(updatedReportData, `Pushed checklist ${template.name}`);
       
       addNotification({
         type: 'success',
@@ -467,7 +469,7 @@ const Admin = () => {
       
       console.log('🔧 DEBUG: Updated report data checklists:', updatedReportData.checklists);
       
-      setReportData(updatedReportData);
+      setReportData(updatedReportData, `Pushed checklist ${template.name}`);
       
       addNotification({
         type: 'success',
@@ -632,7 +634,7 @@ const Admin = () => {
       <Section 
         title="System Administration" 
         icon={<Settings className="text-purple-500" />}
-        helpText="Manage office locations, technicians, and other system settings."
+        helpText="Manage office locations, technicians, email recipients, and other system settings."
       >
         <div className="grid grid-cols-1 lg:grid-cols-2 xl:grid-cols-3 gap-6">
           {/* User Management */}
@@ -769,9 +771,9 @@ const Admin = () => {
                           {office.location}
                         </p>
                       )}
-                      {office.code && (
+                      {(office.code || office.region) && (
                         <p className="text-xs text-gray-500 dark:text-gray-500">
-                          Code: {office.code}
+                          {[office.code && `Code: ${office.code}`, office.region && `Region: ${office.region}`].filter(Boolean).join(' · ')}
                         </p>
                       )}
                     </div>
@@ -953,6 +955,12 @@ const Admin = () => {
               )}
             </div>
           </div>
+
+          {/* Email Recipients */}
+          <RecipientSettings offices={offices} />
+
+          {/* PDF Profiles */}
+          <PdfProfileSettings />
         </div>
       </Section>
 
@@ -984,6 +992,12 @@ const Admin = () => {
               onChange={(e) => setEditingOffice({ ...editingOffice, code: e.target.value })}
               placeholder="NYC-01"
             />
+            <Input
+              label="Region"
+              value={editingOffice.region || ''}
+              onChange={(e) => setEditingOffice({ ...editingOffice, region: e.target.value })}
+              placeholder="Northeast"
+            />
             <div className="flex justify-end space-x-3 pt-4">
               <Button variant="outline" onClick={() => setEditingOffice(null)}>
                 <X size={16} />
@@ -17,7 +17,7 @@ import {
 const Checklists = () => {
   const { 
     reportData, 
-    setReportData, 
+    updateReportData, 
     addNotification,
     isLoading 
   } = useApp();
@@ -36,10 +36,7 @@ const Checklists = () => {
 
   // Save checklists to report data
   const saveChecklists = (updatedChecklists) => {
-    setReportData({
-      ...reportData,
-      checklists: updatedChecklists
-    });
+    updateReportData('checklists', updatedChecklists);
   };
 
   // Update checklist title
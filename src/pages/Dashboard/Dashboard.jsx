@@ -4,9 +4,21 @@ import Section from '../../components/ui/Section';
 import ProgressBar from '../../components/ui/ProgressBar';
 import Button from '../../components/ui/Button';
 import Modal from '../../components/ui/Modal';
-import Alert from '../../components/ui/Alert';
 import { useApp } from '../../context/AppContext';
-import { EMAIL_RECIPIENTS } from '../../constants/emailConfig';
+import { EmailComposerModal } from '../../components/email';
+import { ValidationProblems } from '../../components/reports';
+import { useReportValidation } from '../../hooks/useReportValidation';
+
+const SECTION_ICONS = {
+  summary: <FileText size={16} />,
+  infrastructure: <HardDrive size={16} />,
+  inventory: <Archive size={16} />,
+  dataCloset: <Package size={16} />,
+  recycling: <Recycle size={16} />,
+  issues: <AlertTriangle size={16} />,
+  recommendations: <ThumbsUp size={16} />,
+  followUp: <CheckCircle size={16} />
+};
 
 const Dashboard = () => {
   const { reportData, theme, setActivePage } = useApp();
@@ -18,166 +30,14 @@ const Dashboard = () => {
     return () => clearInterval(timer);
   }, []);
 
-  // Helper functions to calculate progress for each section
-  const calculateInfrastructureProgress = () => {
-    const hardware = reportData.hardware || {};
-    const totalCategories = ['computers', 'monitors', 'printers', 'phones', 'tablets', 'networking'];
-    const filledCategories = totalCategories.filter(cat => 
-      hardware[cat] && Array.isArray(hardware[cat]) && hardware[cat].length > 0
-    ).length;
-    return Math.round((filledCategories / totalCategories.length) * 100);
-  };
-
-  const calculateInventoryProgress = () => {
-    const inventory = reportData.inventory || {};
-    if (!inventory.items || !Array.isArray(inventory.items)) return 0;
-    const itemsWithData = inventory.items.filter(item => {
-      const total = item.inUse + 
-        Object.values(item.otherUse || {}).reduce((sum, val) => sum + val, 0) + 
-        Object.values(item.spares || {}).reduce((sum, val) => sum + val, 0) + 
-        (item.broken || 0);
-      return total > 0;
-    }).length;
-    return inventory.items.length > 0 ? Math.round((itemsWithData / inventory.items.length) * 100) : 0;
-  };
-
-  const calculateStorageProgress = () => {
-    const dataCloset = reportData.dataCloset || {};
-    let totalComponents = 0;
-    let completedComponents = 0;
-    
-    // Check grading completion
-    if (dataCloset.grading && Array.isArray(dataCloset.grading) && dataCloset.grading.length > 0) {
-      totalComponents++;
-      const gradedItems = dataCloset.grading.filter(item => item.score && item.score !== '').length;
-      const gradingCompletion = gradedItems / dataCloset.grading.length;
-      completedComponents += gradingCompletion;
-    }
-    
-    // Check racks completion
-    if (dataCloset.racks !== undefined) {
-      totalComponents++;
-      if (Array.isArray(dataCloset.racks) && dataCloset.racks.length > 0) {
-        completedComponents += 1;
-      }
-    }
-    
-    // Check devices completion
-    if (dataCloset.devices !== undefined) {
-      totalComponents++;
-      if (Array.isArray(dataCloset.devices) && dataCloset.devices.length > 0) {
-        completedComponents += 1;
-      }
-    }
-    
-    return totalComponents > 0 ? Math.round((completedComponents / totalComponents) * 100) : 0;
-  };
+  const validation = useReportValidation();
 
-  const calculateRecyclingProgress = () => {
-    const recycling = reportData.recycling || {};
-    if (!recycling.items || !Array.isArray(recycling.items) || recycling.items.length === 0) return 0;
-    
-    // Check how many items have complete information
-    const completeItems = recycling.items.filter(item => 
-      item.itemType && 
-      item.quantity > 0 && 
-      item.description
-    ).length;
-    
-    return Math.round((completeItems / recycling.items.length) * 100);
+  // Section progress and problems come from the report validation rules
+  const progressData = {
+    sections: validation.sections.map((section) => ({ ...section, icon: SECTION_ICONS[section.id] })),
+    overall: validation.progress
   };
 
-  const calculateIssuesProgress = () => {
-    const issues = reportData.issues || [];
-    if (!Array.isArray(issues) || issues.length === 0) return 100; // No issues is good
-    const resolvedIssues = issues.filter(issue => 
-      issue.status === 'resolved' || issue.status === 'closed'
-    ).length;
-    return Math.round((resolvedIssues / issues.length) * 100);
-  };
-
-  const calculateRecommendationsProgress = () => {
-    const recommendations = reportData.recommendations || [];
-    if (!Array.isArray(recommendations) || recommendations.length === 0) return 0;
-    const implementedRecs = recommendations.filter(rec => 
-      rec.status === 'implemented' || rec.status === 'completed'
-    ).length;
-    return recommendations.length > 0 ? Math.round((implementedRecs / recommendations.length) * 100) : 0;
-  };
-
-  // Calculate summary progress based on filled fields (updated to handle object structure)
-  const calculateSummaryProgress = () => {
-    let filledFields = 0;
-    const totalFields = 4; // office, date, technician, summary
-    
-    if (reportData.office && reportData.office.trim()) filledFields++;
-    if (reportData.date) filledFields++;
-    if (reportData.technician && reportData.technician.trim()) filledFields++;
-    if (reportData.summary && reportData.summary.summaryText && reportData.summary.summaryText.trim()) filledFields++;
-    
-    return Math.round((filledFields / totalFields) * 100);
-  };
-
-  // Calculate completion percentages for each section
-  const calculateSectionProgress = () => {
-    const sections = {
-      summary: {
-        name: 'Summary',
-        icon: <FileText size={16} />,
-        route: 'Summary',
-        progress: calculateSummaryProgress()
-      },
-      infrastructure: {
-        name: 'Infrastructure',
-        icon: <HardDrive size={16} />,
-        route: 'Infrastructure', 
-        progress: calculateInfrastructureProgress()
-      },
-      inventory: {
-        name: 'Inventory',
-        icon: <Archive size={16} />,
-        route: 'Inventory',
-        progress: calculateInventoryProgress()
-      },
-      storage: {
-        name: 'Data Closet',
-        icon: <Package size={16} />,
-        route: 'Storage',
-        progress: calculateStorageProgress()
-      },
-      recycling: {
-        name: 'Recycling',
-        icon: <Recycle size={16} />,
-        route: 'Recycling',
-        progress: calculateRecyclingProgress()
-      },
-      issues: {
-        name: 'Issues',
-        icon: <AlertTriangle size={16} />,
-        route: 'IssuesActions',
-        progress: calculateIssuesProgress()
-      },
-      recommendations: {
-        name: 'Recommendations',
-        icon: <ThumbsUp size={16} />,
-        route: 'Recommendations',
-        progress: calculateRecommendationsProgress()
-      }
-    };
-
-    let totalProgress = 0;
-
-    Object.keys(sections).forEach(key => {
-      totalProgress += sections[key].progress;
-    });
-
-    const overallProgress = Math.round(totalProgress / Object.keys(sections).length);
-    
-    return { sections, overall: overallProgress };
-  };
-
-  const progressData = calculateSectionProgress();
-
   // Quick stats
   const quickStats = [
     {
@@ -260,59 +120,6 @@ const Dashboard = () => {
 
   const recentActivity = generateRecentActivity();
 
-  // Email functionality
-  const generateEmailReport = () => {
-    const office = reportData.office || 'Office Visit';
-    const date = reportData.date || new Date().toISOString().split('T')[0];
-    
-    const subject = `Complete Visit Report - ${office} - ${date}`;
-    
-    let body = `RSS Visit Report - Complete Summary\n`;
-    body += `Office: ${office}\n`;
-    body += `Date: ${date}\n`;
-    body += `Report Generated: ${new Date().toLocaleString()}\n\n`;
-    
-    body += `OVERALL PROGRESS: ${progressData.overall}%\n\n`;
-    
-    body += `SECTION PROGRESS:\n`;
-    Object.values(progressData.sections).forEach(section => {
-      body += `• ${section.name}: ${section.progress}%\n`;
-    });
-    body += `\n`;
-    
-    // Include critical information
-    const openIssues = (reportData.issues || []).filter(issue => issue.status === 'open');
-    if (openIssues.length > 0) {
-      body += `CRITICAL ISSUES (${openIssues.length} open):\n`;
-      openIssues.forEach(issue => {
-        body += `• ${issue.title} (${issue.severity})\n`;
-      });
-      body += `\n`;
-    }
-    
-    const pendingRecs = (reportData.recommendations || []).filter(rec => rec.status === 'pending');
-    if (pendingRecs.length > 0) {
-      body += `PENDING RECOMMENDATIONS (${pendingRecs.length}):\n`;
-      pendingRecs.forEach(rec => {
-        body += `• ${rec.title} (${rec.priority})\n`;
-      });
-      body += `\n`;
-    }
-    
-    body += `This is a summary report. Please access the system for detailed information.\n`;
-    
-    const recipients = EMAIL_RECIPIENTS.fullReport || EMAIL_RECIPIENTS.default;
-    const mailtoLink = `mailto:${recipients.join(',')}?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(body)}`;
-    
-    return { mailtoLink, subject, body, recipients };
-  };
-
-  const sendEmailReport = () => {
-    const { mailtoLink } = generateEmailReport();
-    window.location.href = mailtoLink;
-    setShowEmailModal(false);
-  };
-
   const getProgressColor = (progress) => {
     if (progress >= 80) return 'green';
     if (progress >= 60) return 'blue';
@@ -388,11 +195,11 @@ const Dashboard = () => {
 
           {/* Section Progress Grid */}
           <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
-            {Object.values(progressData.sections).map((section, index) => (
+            {progressData.sections.map((section) => (
               <div 
-                key={index}
+                key={section.id}
                 className="bg-white dark:bg-gray-800 rounded-lg p-6 border border-gray-200 dark:border-gray-600 shadow-sm hover:shadow-md transition-shadow cursor-pointer"
-                onClick={() => setActivePage(section.route)}
+                onClick={() => setActivePage(section.page)}
               >
                 <div className="flex items-center justify-between mb-4">
                   <div className="flex items-center space-x-2">
@@ -418,14 +225,42 @@ const Dashboard = () => {
                   showPercentage={true}
                 />
                 
-                <p className="text-xs text-gray-500 dark:text-gray-400 mt-2">
-                  {section.progress === 100 ? 'Complete' : 
-                   section.progress > 0 ? 'In Progress' : 'Not Started'}
-                </p>
+                <div className="flex items-center justify-between mt-2 text-xs">
+                  <span className="text-gray-500 dark:text-gray-400">
+                    {section.progress === 100 ? 'Complete' : 
+                     section.progress > 0 ? 'In Progress' : 'Not Started'}
+                  </span>
+                  <span className="space-x-2">
+                    {section.errors.length > 0 && (
+                      <span className="text-red-600 dark:text-red-400">
+                        {section.errors.length} {section.errors.length === 1 ? 'error' : 'errors'}
+                      </span>
+                    )}
+                    {section.warnings.length > 0 && (
+                      <span className="text-yellow-600 dark:text-yellow-400">
+                        {section.warnings.length} {section.warnings.length === 1 ? 'warning' : 'warnings'}
+                      </span>
+                    )}
+                  </span>
+                </div>
               </div>
             ))}
           </div>
 
+          {/* Validation problems */}
+          <div className="bg-white dark:bg-gray-800 rounded-lg p-6 border border-gray-200 dark:border-gray-600">
+            <h4 className="text-lg font-semibold text-gray-800 dark:text-gray-200 mb-1 flex items-center">
+              <AlertTriangle className="mr-2" size={20} />
+              Report Problems
+            </h4>
+            <p className="text-sm text-gray-500 dark:text-gray-400 mb-3">
+              {validation.canSubmit
+                ? 'Nothing blocks submitting this report.'
+                : `${validation.errors.length} ${validation.errors.length === 1 ? 'error blocks' : 'errors block'} submitting this report.`}
+            </p>
+            <ValidationProblems problems={validation.problems} emptyMessage="Every section is complete." />
+          </div>
+
           {/* Recent Activity & Quick Actions */}
           <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
             {/* Recent Activity */}
@@ -520,39 +355,13 @@ const Dashboard = () => {
       </Section>
 
       {/* Email Modal */}
-      <Modal
+      <EmailComposerModal
         isOpen={showEmailModal}
         onClose={() => setShowEmailModal(false)}
         title="Email Complete Report"
-        size="lg"
-      >
-        <div className="space-y-4">
-          <Alert variant="info">
-            <strong>Email Recipients:</strong><br />
-            {(EMAIL_RECIPIENTS.fullReport || EMAIL_RECIPIENTS.default).join(', ')}
-          </Alert>
-          
-          <div className="bg-gray-50 dark:bg-gray-700 rounded-lg p-4">
-            <h4 className="font-medium text-gray-900 dark:text-gray-100 mb-2">Report Summary:</h4>
-            <div className="text-sm text-gray-600 dark:text-gray-400 space-y-1">
-              <div>Overall Progress: {progressData.overall}%</div>
-              <div>Active Issues: {(reportData.issues || []).filter(issue => issue.status === 'open').length}</div>
-              <div>Pending Recommendations: {(reportData.recommendations || []).filter(rec => rec.status === 'pending').length}</div>
-              <div>Office: {reportData.office || 'Not specified'}</div>
-            </div>
-          </div>
-          
-          <div className="flex justify-end space-x-3">
-            <Button variant="outline" onClick={() => setShowEmailModal(false)}>
-              Cancel
-            </Button>
-            <Button onClick={sendEmailReport}>
-              <Mail size={16} />
-              Send Email
-            </Button>
-          </div>
-        </div>
-      </Modal>
+        section="dashboard"
+        sectionData={{ progress: progressData, issues: reportData.issues || [], recommendations: reportData.recommendations || [] }}
+      />
     </div>
   );
 };
@@ -10,7 +10,10 @@ import Alert from '../../components/ui/Alert';
 import ConfirmDialog from '../../components/ui/ConfirmDialog';
 import Textarea from '../../components/ui/Textarea';
 import { useApp } from '../../context/AppContext';
-import { EMAIL_RECIPIENTS } from '../../constants/emailConfig';
+import { EmailComposerModal } from '../../components/email';
+import { CarriedForwardBadge } from '../../components/reports';
+import { confirmCarriedForward } from '../../utils/visitCarryForward';
+import { fieldId } from '../../utils/reportValidation';
 
 const FollowUpItems = () => {
   const { reportData, updateReportData, addNotification } = useApp();
@@ -24,8 +27,8 @@ const FollowUpItems = () => {
   // Initialize follow-up items data
   const followUpData = reportData.followUpItems || [];
 
-  const updateFollowUpData = (items) => {
-    updateReportData('followUpItems', items);
+  const updateFollowUpData = (items, label) => {
+    updateReportData('followUpItems', items, label);
   };
 
   const categoryOptions = [
@@ -99,7 +102,7 @@ const FollowUpItems = () => {
     let updatedItems;
     if (editingItem.id && followUpData.find(item => item.id === editingItem.id)) {
       updatedItems = followUpData.map(item => 
-        item.id === editingItem.id ? editingItem : item
+        item.id === editingItem.id ? confirmCarriedForward(editingItem) : item
       );
     } else {
       updatedItems = [...followUpData, { ...editingItem, id: Date.now() }];
@@ -116,8 +119,9 @@ const FollowUpItems = () => {
   };
 
   const handleDeleteItem = (id) => {
+    const deleted = followUpData.find(item => item.id === id);
     const updatedItems = followUpData.filter(item => item.id !== id);
-    updateFollowUpData(updatedItems);
+    updateFollowUpData(updatedItems, `Deleted follow-up item ${deleted?.title || ''}`.trim());
     setShowDeleteDialog(null);
     
     addNotification({
@@ -191,83 +195,6 @@ const FollowUpItems = () => {
     return assignees.sort();
   };
 
-  // Email functionality
-  const generateEmailReport = () => {
-    const office = reportData.office || 'Office Visit';
-    const date = reportData.date || new Date().toISOString().split('T')[0];
-    
-    const subject = `Follow-up Items Report - ${office} - ${date}`;
-    
-    let body = `Follow-up Items & Tasks Report\n`;
-    body += `Office: ${office}\n`;
-    body += `Date: ${date}\n`;
-    body += `Report Generated: ${new Date().toLocaleString()}\n\n`;
-    
-    const pendingItems = followUpData.filter(item => item.status === 'pending' || item.status === 'in-progress');
-    const overdueItems = getOverdueItems();
-    const criticalItems = followUpData.filter(item => item.priority === 'critical');
-    
-    body += `SUMMARY:\n`;
-    body += `Total Follow-up Items: ${followUpData.length}\n`;
-    body += `Pending/In Progress: ${pendingItems.length}\n`;
-    body += `Overdue Items: ${overdueItems.length}\n`;
-    body += `Critical Priority: ${criticalItems.length}\n`;
-    body += `Completion Rate: ${calculateProgress()}%\n\n`;
-    
-    if (overdueItems.length > 0) {
-      body += `OVERDUE ITEMS:\n`;
-      overdueItems.forEach(item => {
-        body += `\n• ${item.title}\n`;
-        body += `  Priority: ${item.priority}\n`;
-        body += `  Assigned To: ${item.assignedTo || 'Unassigned'}\n`;
-        body += `  Due Date: ${item.dueDate}\n`;
-        body += `  Category: ${item.category}\n`;
-      });
-      body += `\n`;
-    }
-    
-    if (criticalItems.length > 0) {
-      body += `CRITICAL PRIORITY ITEMS:\n`;
-      criticalItems.forEach(item => {
-        body += `\n• ${item.title}\n`;
-        body += `  Status: ${item.status}\n`;
-        body += `  Assigned To: ${item.assignedTo || 'Unassigned'}\n`;
-        body += `  Due Date: ${item.dueDate || 'Not set'}\n`;
-        body += `  Category: ${item.category}\n`;
-      });
-      body += `\n`;
-    }
-    
-    if (pendingItems.length > 0) {
-      body += `PENDING/IN PROGRESS ITEMS:\n`;
-      pendingItems.forEach(item => {
-        body += `\n• ${item.title}\n`;
-        body += `  Status: ${item.status}\n`;
-        body += `  Priority: ${item.priority}\n`;
-        body += `  Assigned To: ${item.assignedTo || 'Unassigned'}\n`;
-        body += `  Due Date: ${item.dueDate || 'Not set'}\n`;
-        if (item.estimatedHours) body += `  Estimated Hours: ${item.estimatedHours}\n`;
-      });
-    }
-    
-    const recipients = EMAIL_RECIPIENTS.followUp || EMAIL_RECIPIENTS.default;
-    const mailtoLink = `mailto:${recipients.join(',')}?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(body)}`;
-    
-    return { mailtoLink, subject, body, recipients };
-  };
-
-  const sendEmailReport = () => {
-    const { mailtoLink } = generateEmailReport();
-    window.location.href = mailtoLink;
-    setShowEmailModal(false);
-    
-    addNotification({
-      type: 'success',
-      message: 'Email client opened with follow-up items report',
-      duration: 3000
-    });
-  };
-
   const filteredItems = getFilteredItems();
   const progress = calculateProgress();
   const overdueItems = getOverdueItems();
@@ -388,6 +315,8 @@ const FollowUpItems = () => {
               {filteredItems.map(item => (
                 <div 
                   key={item.id}
+                  id={fieldId('followUp', item.id)}
+                  tabIndex={-1}
                   className={`bg-white dark:bg-gray-800 rounded-lg p-6 border shadow-sm ${
                     overdueItems.some(overdue => overdue.id === item.id) 
                       ? 'border-red-300 dark:border-red-700 bg-red-50 dark:bg-red-900/10' 
@@ -407,6 +336,10 @@ const FollowUpItems = () => {
                           {getStatusIcon(item.status)}
                           {item.status.replace('-', ' ').toUpperCase()}
                         </span>
+                        <CarriedForwardBadge
+                          record={item}
+                          onConfirm={() => updateFollowUpData(followUpData.map(i => (i.id === item.id ? confirmCarriedForward(i) : i)))}
+                        />
                         {overdueItems.some(overdue => overdue.id === item.id) && (
                           <span className="px-2 py-1 rounded-full text-xs font-medium bg-red-100 text-red-800 dark:bg-red-900/30 dark:text-red-300">
                             OVERDUE
@@ -660,39 +593,13 @@ const FollowUpItems = () => {
       </Modal>
 
       {/* Email Modal */}
-      <Modal
+      <EmailComposerModal
         isOpen={showEmailModal}
         onClose={() => setShowEmailModal(false)}
         title="Email Follow-up Items Report"
-        size="lg"
-      >
-        <div className="space-y-4">
-          <Alert variant="info">
-            <strong>Email Recipients:</strong><br />
-            {(EMAIL_RECIPIENTS.followUp || EMAIL_RECIPIENTS.default).join(', ')}
-          </Alert>
-          
-          <div className="bg-gray-50 dark:bg-gray-700 rounded-lg p-4">
-            <h4 className="font-medium text-gray-900 dark:text-gray-100 mb-2">Report Summary:</h4>
-            <div className="text-sm text-gray-600 dark:text-gray-400 space-y-1">
-              <div>Total Follow-up Items: {followUpData.length}</div>
-              <div>Pending/In Progress: {followUpData.filter(i => i.status === 'pending' || i.status === 'in-progress').length}</div>
-              <div>Overdue Items: {overdueItems.length}</div>
-              <div>Completion Rate: {progress}%</div>
-            </div>
-          </div>
-          
-          <div className="flex justify-end space-x-3">
-            <Button variant="outline" onClick={() => setShowEmailModal(false)}>
-              Cancel
-            </Button>
-            <Button onClick={sendEmailReport}>
-              <Mail size={16} />
-              Send Email
-            </Button>
-          </div>
-        </div>
-      </Modal>
+        section="followUp"
+        sectionData={{ items: followUpData, overdue: getOverdueItems(), progress: calculateProgress() }}
+      />
 
       {/* Delete Confirmation Dialog */}
       <ConfirmDialog
@@ -700,7 +607,7 @@ const FollowUpItems = () => {
         onClose={() => setShowDeleteDialog(null)}
         onConfirm={() => handleDeleteItem(showDeleteDialog?.id)}
         title="Delete Follow-up Item"
-        message={`Are you sure you want to delete "${showDeleteDialog?.title}"? This action cannot be undone.`}
+        message={`Are you sure you want to delete "${showDeleteDialog?.title}"? You can undo this with Ctrl+Z.`}
         confirmText="Delete Task"
         cancelText="Cancel"
         variant="danger"
@@ -10,6 +10,9 @@ import ProgressBar from '../../components/ui/ProgressBar';
 import Alert from '../../components/ui/Alert';
 import ConfirmDialog from '../../components/ui/ConfirmDialog';
 import { useApp } from '../../context/AppContext';
+import { CarriedForwardBadge } from '../../components/reports';
+import { confirmCarriedForward } from '../../utils/visitCarryForward';
+import { fieldId } from '../../utils/reportValidation';
 
 const Infrastructure = () => {
   const { reportData, updateReportData, addNotification } = useApp();
@@ -27,12 +30,13 @@ const Infrastructure = () => {
     lastUpdated: new Date().toISOString().split('T')[0]
   };
 
-  const updateSccmData = (computers) => {
+  // label names the undo step of edits that are more than typing
+  const updateSccmData = (computers, label) => {
     const updatedData = { 
       computers, 
       lastUpdated: new Date().toISOString().split('T')[0] 
     };
-    updateReportData('sccmPCs', updatedData);
+    updateReportData('sccmPCs', updatedData, label);
   };
 
   const pcFields = ['name', 'model', 'serialNumber', 'os', 'processor', 'memory', 'storage', 'lastLoginUsername', 'sccmStatus', 'lastSeen', 'status'];
@@ -77,7 +81,7 @@ const Infrastructure = () => {
 
     if (editingItem.id && currentItems.find(item => item.id === editingItem.id)) {
       updatedItems = currentItems.map(item => 
-        item.id === editingItem.id ? editingItem : item
+        item.id === editingItem.id ? confirmCarriedForward(editingItem) : item
       );
     } else {
       updatedItems = [...currentItems, { ...editingItem, id: Date.now() }];
@@ -95,8 +99,9 @@ const Infrastructure = () => {
 
   const handleDeleteItem = (id) => {
     const currentItems = sccmData.computers || [];
+    const deleted = currentItems.find(item => item.id === id);
     const updatedItems = currentItems.filter(item => item.id !== id);
-    updateSccmData(updatedItems);
+    updateSccmData(updatedItems, `Deleted PC ${deleted?.name || ''}`.trim());
     setShowDeleteDialog(null);
     
     addNotification({
@@ -188,7 +193,7 @@ const Infrastructure = () => {
       const currentItems = sccmData.computers || [];
       const updatedItems = [...currentItems, ...newItems];
       
-      updateSccmData(updatedItems);
+      updateSccmData(updatedItems, `Imported ${newItems.length} PCs`);
       setShowImportModal(false);
       setImportData('');
       
@@ -366,7 +371,7 @@ const Infrastructure = () => {
       const currentItems = sccmData.computers || [];
       const updatedItems = [...currentItems, ...newItems];
       
-      updateSccmData(updatedItems);
+      updateSccmData(updatedItems, `Pasted ${newItems.length} PCs from SCCM`);
       setShowPasteModal(false);
       setPasteData('');
       
@@ -502,6 +507,8 @@ const Infrastructure = () => {
               {currentItems.map(item => (
                 <div 
                   key={item.id}
+                  id={fieldId('sccm', item.id)}
+                  tabIndex={-1}
                   className="bg-white dark:bg-gray-800 rounded-lg p-4 border border-gray-200 dark:border-gray-600 shadow-sm"
                 >
                   <div className="flex justify-between items-start">
@@ -518,6 +525,10 @@ const Infrastructure = () => {
                         }`}>
                           {item.sccmStatus}
                         </span>
+                        <CarriedForwardBadge
+                          record={item}
+                          onConfirm={() => updateSccmData(currentItems.map(pc => (pc.id === item.id ? confirmCarriedForward(pc) : pc)))}
+                        />
                         {item.status && item.status !== 'active' && (
                           <span className={`px-2 py-1 rounded-full text-xs font-medium ${
                             item.status === 'maintenance' ? 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900/30 dark:text-yellow-300' :
@@ -599,7 +610,7 @@ const Infrastructure = () => {
               ))}
             </div>
           ) : (
-            <div className="text-center py-12 text-gray-500 dark:text-gray-400">
+            <div id={fieldId('sccm', 'computers')} tabIndex={-1} className="text-center py-12 text-gray-500 dark:text-gray-400">
               <Server size={48} className="mx-auto mb-4 opacity-50" />
               <p className="text-lg font-medium mb-2">No SCCM PCs added yet</p>
               <p className="text-sm mb-4">Start documenting your managed computers</p>
@@ -870,7 +881,7 @@ AKRON-D2TGT1N3    16484120    CL4-3D256-Q11 NVMe SSSTC 256GB    OptiPlex 3090
         onClose={() => setShowDeleteDialog(null)}
         onConfirm={() => handleDeleteItem(showDeleteDialog?.id)}
         title="Delete PC"
-        message={`Are you sure you want to delete "${showDeleteDialog?.name}"? This action cannot be undone.`}
+        message={`Are you sure you want to delete "${showDeleteDialog?.name}"? You can undo this with Ctrl+Z.`}
         confirmText="Delete PC"
         cancelText="Cancel"
         variant="danger"
@@ -1,7 +1,7 @@
 import React, { useState, useRef } from 'react';
 import { 
   Package, Plus, Edit, Trash2, BarChart3, Download, Upload, 
-  FileSpreadsheet, Mail, Calculator, Monitor, Phone, Users,
+  FileSpreadsheet, Calculator, Monitor, Phone, Users,
   Headphones, HardDrive, Printer, Recycle
 } from 'lucide-react';
 import Section from '../../components/ui/Section';
@@ -10,16 +10,18 @@ import Select from '../../components/ui/Select';
 import Button from '../../components/ui/Button';
 import Modal from '../../components/ui/Modal';
 import ProgressBar from '../../components/ui/ProgressBar';
-import Alert from '../../components/ui/Alert';
 import ConfirmDialog from '../../components/ui/ConfirmDialog';
 import { useApp } from '../../context/AppContext';
-import { EMAIL_RECIPIENTS } from '../../constants/emailConfig';
+import { EmailComposerModal } from '../../components/email';
 import Recycling from '../Recycling/Recycling';
+import { fieldId } from '../../utils/reportValidation';
+import { useFocusRequestTab, useReportValidation } from '../../hooks/useReportValidation';
 import OfficeInventoryTable from '../../features/inventory/OfficeInventoryTable.tsx';
 
 const Inventory = () => {
   const { reportData, updateReportData, addNotification } = useApp();
   const [activeTab, setActiveTab] = useState('general');
+  useFocusRequestTab('Inventory', setActiveTab);
   const [editingItem, setEditingItem] = useState(null);
   const [showImportModal, setShowImportModal] = useState(false);
   const [showDeleteDialog, setShowDeleteDialog] = useState(null);
@@ -88,6 +90,8 @@ const Inventory = () => {
     } else {
       newItems[index][field] = parseInt(value) || 0;
     }
+    // Updating a count confirms an item carried forward from the last visit
+    delete newItems[index].carriedForward;
     updateInventoryData('items', newItems);
   };
 
@@ -179,45 +183,6 @@ const Inventory = () => {
     }, { total: 0, inUse: 0, spare: 0, broken: 0 });
   };
 
-  const calculateProgress = () => {
-    if (!inventoryData?.items || !Array.isArray(inventoryData.items)) {
-      return 0;
-    }
-    
-    const totalItems = inventoryData.items.length;
-    const completedItems = inventoryData.items.filter(item => {
-      // Safely handle both old and new data formats
-      const inUse = item.inUse || item.inUseByEmployees || 0;
-      const broken = item.broken || 0;
-      
-      // Handle otherUse - could be an object or individual fields
-      let otherUseTotal = 0;
-      if (item.otherUse && typeof item.otherUse === 'object') {
-        otherUseTotal = Object.values(item.otherUse).reduce((sum, val) => sum + (val || 0), 0);
-      } else {
-        // New format with individual fields
-        otherUseTotal = (item.training || 0) + (item.conference || 0) + 
-                       (item.gsm || 0) + (item.prospecting || 0) + 
-                       (item.applicant || 0) + (item.visitor || 0) + 
-                       (item.otherUse || 0);
-      }
-      
-      // Handle spares - could be an object or individual fields
-      let sparesTotal = 0;
-      if (item.spares && typeof item.spares === 'object') {
-        sparesTotal = Object.values(item.spares).reduce((sum, val) => sum + (val || 0), 0);
-      } else {
-        // New format with individual fields
-        sparesTotal = (item.sparesOnFloor || 0) + (item.sparesInStorage || 0);
-      }
-      
-      const itemTotal = inUse + otherUseTotal + sparesTotal + broken;
-      return itemTotal > 0;
-    }).length;
-    
-    return totalItems > 0 ? Math.round((completedItems / totalItems) * 100) : 0;
-  };
-
   // CSV Export functionality
   const exportToCSV = () => {
     if (!inventoryData?.items || !Array.isArray(inventoryData.items)) {
@@ -312,119 +277,21 @@ const Inventory = () => {
     }
   };
 
-  // Email functionality
-  const generateEmailReport = () => {
-    const totals = calculateTotals();
-    const office = reportData.office || 'Office Visit';
-    const date = reportData.date || new Date().toISOString().split('T')[0];
-    
-    const subject = `Hardware Inventory Report - ${office} - ${date}`;
-    
-    let body = `Hardware Inventory Report\n`;
-    body += `Office: ${office}\n`;
-    body += `Date: ${date}\n`;
-    body += `Report Generated: ${new Date().toLocaleString()}\n\n`;
-    
-    body += `INVENTORY SUMMARY:\n`;
-    body += `Total Items Tracked: ${totals.total}\n`;
-    body += `Items in Use: ${totals.inUse}\n`;
-    body += `Spare Items: ${totals.spare}\n`;
-    body += `Broken Items: ${totals.broken}\n\n`;
-    
-    body += `DETAILED INVENTORY:\n`;
-    inventoryData.items.forEach(item => {
-      // Safely handle both old and new data formats
-      const inUse = item.inUse || item.inUseByEmployees || 0;
-      const broken = item.broken || 0;
-      const description = item.description || item.name || '';
-      
-      // Handle otherUse safely
-      let otherUseTotal = 0;
-      let training = 0, conf = 0, gsm = 0;
-      if (item.otherUse && typeof item.otherUse === 'object') {
-        otherUseTotal = Object.values(item.otherUse).reduce((sum, val) => sum + (val || 0), 0);
-        training = item.otherUse.training || 0;
-        conf = item.otherUse.conf || 0;
-        gsm = item.otherUse.gsm || 0;
-      } else {
-        // New format
-        training = item.training || 0;
-        conf = item.conference || 0;
-        gsm = item.gsm || 0;
-        otherUseTotal = training + conf + gsm + (item.prospecting || 0) + 
-                       (item.applicant || 0) + (item.visitor || 0) + (item.other || 0);
-      }
-      
-      // Handle spares safely
-      let sparesTotal = 0;
-      if (item.spares && typeof item.spares === 'object') {
-        sparesTotal = Object.values(item.spares).reduce((sum, val) => sum + (val || 0), 0);
-      } else {
-        sparesTotal = (item.sparesOnFloor || 0) + (item.sparesInStorage || 0);
-      }
-      
-      const itemTotal = inUse + otherUseTotal + sparesTotal + broken;
-      
-      if (itemTotal > 0) {
-        body += `\n${description}:\n`;
-        body += `  In Use: ${inUse}\n`;
-        body += `  Training: ${training}\n`;
-        body += `  Conference: ${conf}\n`;
-        body += `  GSM: ${gsm}\n`;
-        // Handle remaining fields safely
-        const prospecting = item.otherUse?.prospecting || item.prospecting || 0;
-        const applicant = item.otherUse?.applicant || item.applicant || 0;
-        const visitor = item.otherUse?.visitor || item.visitor || 0;
-        const other = item.otherUse?.other || item.other || 0;
-        const onFloor = item.spares?.onFloor || item.sparesOnFloor || 0;
-        const inStorage = item.spares?.inStorage || item.sparesInStorage || 0;
-        
-        body += `  Prospecting: ${prospecting}\n`;
-        body += `  Applicant: ${applicant}\n`;
-        body += `  Visitor: ${visitor}\n`;
-        body += `  Other: ${other}\n`;
-        body += `  Spares (Floor): ${onFloor}\n`;
-        body += `  Spares (Storage): ${inStorage}\n`;
-        body += `  Broken: ${broken}\n`;
-        body += `  Total: ${itemTotal}\n`;
-      }
-    });
-    
-    
-    if (inventoryData.notes) {
-      body += `\nNOTES:\n${inventoryData.notes}\n`;
-    }
-    
-    const recipients = EMAIL_RECIPIENTS.inventory || EMAIL_RECIPIENTS.default;
-    const mailtoLink = `mailto:${recipients.join(',')}?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(body)}`;
-    
-    return { mailtoLink, subject, body, recipients };
-  };
-
-  const sendEmailReport = () => {
-    const { mailtoLink } = generateEmailReport();
-    window.location.href = mailtoLink;
-    setShowEmailModal(false);
-    
-    addNotification({
-      type: 'success',
-      message: 'Email client opened with inventory report',
-      duration: 3000
-    });
-  };
-
   const totals = calculateTotals();
-  const progress = calculateProgress();
+  const validation = useReportValidation();
+  const progress = validation.sections.find((section) => section.id === 'inventory').progress;
 
   const renderGeneralInventory = () => (
     <div className="space-y-6">
       {/* Use the new OfficeInventoryTable component */}
-      <OfficeInventoryTable 
-        data={inventoryData}
-        onUpdate={(updatedData) => {
-          updateReportData('inventory', updatedData);
-        }}
-      />
+      <div id={fieldId('inventory', 'items')} tabIndex={-1}>
+        <OfficeInventoryTable 
+          data={inventoryData}
+          onUpdate={(updatedData) => {
+            updateReportData('inventory', updatedData);
+          }}
+        />
+      </div>
       
       {/* Notes Section */}
       <div>
@@ -551,39 +418,13 @@ const Inventory = () => {
       </Modal>
 
       {/* Email Modal */}
-      <Modal
+      <EmailComposerModal
         isOpen={showEmailModal}
         onClose={() => setShowEmailModal(false)}
         title="Email Inventory Report"
-        size="lg"
-      >
-        <div className="space-y-4">
-          <Alert variant="info">
-            <strong>Email Recipients:</strong><br />
-            {(EMAIL_RECIPIENTS.inventory || EMAIL_RECIPIENTS.default).join(', ')}
-          </Alert>
-          
-          <div className="bg-gray-50 dark:bg-gray-700 rounded-lg p-4">
-            <h4 className="font-medium text-gray-900 dark:text-gray-100 mb-2">Report Summary:</h4>
-            <div className="text-sm text-gray-600 dark:text-gray-400 space-y-1">
-              <div>Total Items: {totals.total}</div>
-              <div>Items in Use: {totals.inUse}</div>
-              <div>Spare Items: {totals.spare}</div>
-              <div>Broken Items: {totals.broken}</div>
-            </div>
-          </div>
-          
-          <div className="flex justify-end space-x-3">
-            <Button variant="outline" onClick={() => setShowEmailModal(false)}>
-              Cancel
-            </Button>
-            <Button onClick={sendEmailReport}>
-              <Mail size={16} />
-              Send Email
-            </Button>
-          </div>
-        </div>
-      </Modal>
+        section="inventory"
+        sectionData={{ items: inventoryData.items, totals: calculateTotals(), notes: inventoryData.notes }}
+      />
 
       {/* Delete Confirmation Dialog */}
       <ConfirmDialog
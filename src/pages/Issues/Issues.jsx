@@ -6,11 +6,13 @@ import Select from '../../components/ui/Select';
 import Button from '../../components/ui/Button';
 import Modal from '../../components/ui/Modal';
 import ProgressBar from '../../components/ui/ProgressBar';
-import Alert from '../../components/ui/Alert';
 import ConfirmDialog from '../../components/ui/ConfirmDialog';
 import Textarea from '../../components/ui/Textarea';
 import { useApp } from '../../context/AppContext';
-import { EMAIL_RECIPIENTS } from '../../constants/emailConfig';
+import { EmailComposerModal } from '../../components/email';
+import { CarriedForwardBadge } from '../../components/reports';
+import { confirmCarriedForward } from '../../utils/visitCarryForward';
+import { fieldId } from '../../utils/reportValidation';
 
 const Issues = () => {
   const { reportData, updateReportData, addNotification } = useApp();
@@ -23,8 +25,8 @@ const Issues = () => {
   // Initialize issues data
   const issuesData = reportData.issues || [];
 
-  const updateIssuesData = (issues) => {
-    updateReportData('issues', issues);
+  const updateIssuesData = (issues, label) => {
+    updateReportData('issues', issues, label);
   };
 
   const severityOptions = [
@@ -96,7 +98,7 @@ const Issues = () => {
     let updatedIssues;
     if (editingIssue.id && issuesData.find(issue => issue.id === editingIssue.id)) {
       updatedIssues = issuesData.map(issue => 
-        issue.id === editingIssue.id ? editingIssue : issue
+        issue.id === editingIssue.id ? confirmCarriedForward(editingIssue) : issue
       );
     } else {
       updatedIssues = [...issuesData, { ...editingIssue, id: Date.now() }];
@@ -113,8 +115,9 @@ const Issues = () => {
   };
 
   const handleDeleteIssue = (id) => {
+    const deleted = issuesData.find(issue => issue.id === id);
     const updatedIssues = issuesData.filter(issue => issue.id !== id);
-    updateIssuesData(updatedIssues);
+    updateIssuesData(updatedIssues, `Deleted issue ${deleted?.title || ''}`.trim());
     setShowDeleteDialog(null);
     
     addNotification({
@@ -170,70 +173,6 @@ const Issues = () => {
     return icons[status] || icons.open;
   };
 
-  // Email functionality
-  const generateEmailReport = () => {
-    const office = reportData.office || 'Office Visit';
-    const date = reportData.date || new Date().toISOString().split('T')[0];
-    
-    const subject = `Issues Report - ${office} - ${date}`;
-    
-    let body = `Issues & Problems Report\n`;
-    body += `Office: ${office}\n`;
-    body += `Date: ${date}\n`;
-    body += `Report Generated: ${new Date().toLocaleString()}\n\n`;
-    
-    const openIssues = issuesData.filter(issue => issue.status === 'open');
-    const criticalIssues = issuesData.filter(issue => issue.severity === 'critical');
-    
-    body += `SUMMARY:\n`;
-    body += `Total Issues: ${issuesData.length}\n`;
-    body += `Open Issues: ${openIssues.length}\n`;
-    body += `Critical Issues: ${criticalIssues.length}\n`;
-    body += `Resolution Progress: ${calculateProgress()}%\n\n`;
-    
-    if (criticalIssues.length > 0) {
-      body += `CRITICAL ISSUES:\n`;
-      criticalIssues.forEach(issue => {
-        body += `\n• ${issue.title}\n`;
-        body += `  Category: ${issue.category}\n`;
-        body += `  Status: ${issue.status}\n`;
-        body += `  Location: ${issue.location}\n`;
-        if (issue.description) body += `  Description: ${issue.description}\n`;
-      });
-      body += `\n`;
-    }
-    
-    if (openIssues.length > 0) {
-      body += `ALL OPEN ISSUES:\n`;
-      openIssues.forEach(issue => {
-        body += `\n• ${issue.title}\n`;
-        body += `  Severity: ${issue.severity}\n`;
-        body += `  Category: ${issue.category}\n`;
-        body += `  Location: ${issue.location}\n`;
-        if (issue.affectedUsers) body += `  Affected Users: ${issue.affectedUsers}\n`;
-        if (issue.ticketNumber) body += `  Ticket Number: ${issue.ticketNumber}\n`;
-        if (issue.ticketLink) body += `  Ticket Link: ${issue.ticketLink}\n`;
-      });
-    }
-    
-    const recipients = EMAIL_RECIPIENTS.issues || EMAIL_RECIPIENTS.default;
-    const mailtoLink = `mailto:${recipients.join(',')}?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(body)}`;
-    
-    return { mailtoLink, subject, body, recipients };
-  };
-
-  const sendEmailReport = () => {
-    const { mailtoLink } = generateEmailReport();
-    window.location.href = mailtoLink;
-    setShowEmailModal(false);
-    
-    addNotification({
-      type: 'success',
-      message: 'Email client opened with issues report',
-      duration: 3000
-    });
-  };
-
   const filteredIssues = getFilteredIssues();
   const progress = calculateProgress();
 
@@ -328,6 +267,8 @@ const Issues = () => {
               {filteredIssues.map(issue => (
                 <div 
                   key={issue.id}
+                  id={fieldId('issue', issue.id)}
+                  tabIndex={-1}
                   className="bg-white dark:bg-gray-800 rounded-lg p-6 border border-gray-200 dark:border-gray-600 shadow-sm"
                 >
                   <div className="flex justify-between items-start mb-4">
@@ -343,6 +284,10 @@ const Issues = () => {
                           {getStatusIcon(issue.status)}
                           {issue.status.replace('-', ' ').toUpperCase()}
                         </span>
+                        <CarriedForwardBadge
+                          record={issue}
+                          onConfirm={() => updateIssuesData(issuesData.map(i => (i.id === issue.id ? confirmCarriedForward(i) : i)))}
+                        />
                       </div>
                       
                       <div className="grid grid-cols-2 md:grid-cols-4 gap-4 text-sm mb-3">
@@ -597,39 +542,13 @@ const Issues = () => {
       </Modal>
 
       {/* Email Modal */}
-      <Modal
+      <EmailComposerModal
         isOpen={showEmailModal}
         onClose={() => setShowEmailModal(false)}
         title="Email Issues Report"
-        size="lg"
-      >
-        <div className="space-y-4">
-          <Alert variant="info">
-            <strong>Email Recipients:</strong><br />
-            {(EMAIL_RECIPIENTS.issues || EMAIL_RECIPIENTS.default).join(', ')}
-          </Alert>
-          
-          <div className="bg-gray-50 dark:bg-gray-700 rounded-lg p-4">
-            <h4 className="font-medium text-gray-900 dark:text-gray-100 mb-2">Report Summary:</h4>
-            <div className="text-sm text-gray-600 dark:text-gray-400 space-y-1">
-              <div>Total Issues: {issuesData.length}</div>
-              <div>Open Issues: {issuesData.filter(i => i.status === 'open').length}</div>
-              <div>Critical Issues: {issuesData.filter(i => i.severity === 'critical').length}</div>
-              <div>Resolution Progress: {progress}%</div>
-            </div>
-          </div>
-          
-          <div className="flex justify-end space-x-3">
-            <Button variant="outline" onClick={() => setShowEmailModal(false)}>
-              Cancel
-            </Button>
-            <Button onClick={sendEmailReport}>
-              <Mail size={16} />
-              Send Email
-            </Button>
-          </div>
-        </div>
-      </Modal>
+        section="issues"
+        sectionData={{ issues: issuesData, progress: calculateProgress() }}
+      />
 
       {/* Delete Confirmation Dialog */}
       <ConfirmDialog
@@ -637,7 +556,7 @@ const Issues = () => {
         onClose={() => setShowDeleteDialog(null)}
         onConfirm={() => handleDeleteIssue(showDeleteDialog?.id)}
         title="Delete Issue"
-        message={`Are you sure you want to delete "${showDeleteDialog?.title}"? This action cannot be undone.`}
+        message={`Are you sure you want to delete "${showDeleteDialog?.title}"? You can undo this with Ctrl+Z.`}
         confirmText="Delete Issue"
         cancelText="Cancel"
         variant="danger"
@@ -8,9 +8,11 @@ import PCRepairs from '../PCRepairs/PCRepairs';
 import Issues from '../Issues/Issues';
 import Recommendations from '../Recommendations/Recommendations';
 import FollowUpItems from '../FollowUpItems/FollowUpItems';
+import { useFocusRequestTab } from '../../hooks/useReportValidation';
 
 const IssuesActions = () => {
   const [activeTab, setActiveTab] = useState('pcrepairs');
+  useFocusRequestTab('IssuesActions', setActiveTab);
 
   const tabs = [
     {
@@ -6,11 +6,10 @@ import Select from '../../components/ui/Select';
 import Button from '../../components/ui/Button';
 import Modal from '../../components/ui/Modal';
 import ProgressBar from '../../components/ui/ProgressBar';
-import Alert from '../../components/ui/Alert';
 import ConfirmDialog from '../../components/ui/ConfirmDialog';
 import Textarea from '../../components/ui/Textarea';
 import { useApp } from '../../context/AppContext';
-import { EMAIL_RECIPIENTS } from '../../constants/emailConfig';
+import { EmailComposerModal } from '../../components/email';
 
 const PCRepairs = () => {
   const { reportData, updateReportData, addNotification } = useApp();
@@ -198,70 +197,6 @@ const PCRepairs = () => {
     return icons[status] || icons.pending;
   };
 
-  // Email functionality
-  const generateEmailReport = () => {
-    const office = reportData.office || 'Office Visit';
-    const date = reportData.date || new Date().toISOString().split('T')[0];
-    
-    const subject = `PC Repairs Report - ${office} - ${date}`;
-    
-    let body = `PC Repairs & Services Report\n`;
-    body += `Office: ${office}\n`;
-    body += `Date: ${date}\n`;
-    body += `Report Generated: ${new Date().toLocaleString()}\n\n`;
-    
-    const completedRepairs = repairsData.filter(repair => repair.status === 'completed');
-    const pendingRepairs = repairsData.filter(repair => repair.status === 'pending' || repair.status === 'in-progress');
-    
-    body += `SUMMARY:\n`;
-    body += `Total PC Repairs: ${repairsData.length}\n`;
-    body += `Completed Repairs: ${completedRepairs.length}\n`;
-    body += `Pending/In Progress: ${pendingRepairs.length}\n`;
-    body += `Completion Rate: ${calculateProgress()}%\n\n`;
-    
-    if (completedRepairs.length > 0) {
-      body += `COMPLETED REPAIRS:\n`;
-      completedRepairs.forEach(repair => {
-        body += `\n• PC: ${repair.pcName} (${repair.pcModel})\n`;
-        body += `  User: ${repair.userName}\n`;
-        body += `  Repair Type: ${repair.repairType}\n`;
-        body += `  Date Completed: ${repair.dateCompleted}\n`;
-        if (repair.workPerformed) body += `  Work Performed: ${repair.workPerformed}\n`;
-        if (repair.timeSpent) body += `  Time Spent: ${repair.timeSpent}\n`;
-      });
-      body += `\n`;
-    }
-    
-    if (pendingRepairs.length > 0) {
-      body += `PENDING/IN PROGRESS REPAIRS:\n`;
-      pendingRepairs.forEach(repair => {
-        body += `\n• PC: ${repair.pcName} (${repair.pcModel})\n`;
-        body += `  Status: ${repair.status}\n`;
-        body += `  Priority: ${repair.priority}\n`;
-        body += `  Repair Type: ${repair.repairType}\n`;
-        body += `  Date Requested: ${repair.dateRequested}\n`;
-        if (repair.issueDescription) body += `  Issue: ${repair.issueDescription}\n`;
-      });
-    }
-    
-    const recipients = EMAIL_RECIPIENTS.pcRepairs || EMAIL_RECIPIENTS.default;
-    const mailtoLink = `mailto:${recipients.join(',')}?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(body)}`;
-    
-    return { mailtoLink, subject, body, recipients };
-  };
-
-  const sendEmailReport = () => {
-    const { mailtoLink } = generateEmailReport();
-    window.location.href = mailtoLink;
-    setShowEmailModal(false);
-    
-    addNotification({
-      type: 'success',
-      message: 'Email client opened with PC repairs report',
-      duration: 3000
-    });
-  };
-
   const filteredRepairs = getFilteredRepairs();
   const progress = calculateProgress();
 
@@ -651,39 +586,13 @@ const PCRepairs = () => {
       </Modal>
 
       {/* Email Modal */}
-      <Modal
+      <EmailComposerModal
         isOpen={showEmailModal}
         onClose={() => setShowEmailModal(false)}
         title="Email PC Repairs Report"
-        size="lg"
-      >
-        <div className="space-y-4">
-          <Alert variant="info">
-            <strong>Email Recipients:</strong><br />
-            {(EMAIL_RECIPIENTS.pcRepairs || EMAIL_RECIPIENTS.default).join(', ')}
-          </Alert>
-          
-          <div className="bg-gray-50 dark:bg-gray-700 rounded-lg p-4">
-            <h4 className="font-medium text-gray-900 dark:text-gray-100 mb-2">Report Summary:</h4>
-            <div className="text-sm text-gray-600 dark:text-gray-400 space-y-1">
-              <div>Total PC Repairs: {repairsData.length}</div>
-              <div>Completed: {repairsData.filter(r => r.status === 'completed').length}</div>
-              <div>In Progress: {repairsData.filter(r => r.status === 'in-progress' || r.status === 'pending').length}</div>
-              <div>Completion Rate: {progress}%</div>
-            </div>
-          </div>
-          
-          <div className="flex justify-end space-x-3">
-            <Button variant="outline" onClick={() => setShowEmailModal(false)}>
-              Cancel
-            </Button>
-            <Button onClick={sendEmailReport}>
-              <Mail size={16} />
-              Send Email
-            </Button>
-          </div>
-        </div>
-      </Modal>
+        section="pcRepairs"
+        sectionData={{ repairs: repairsData, progress: calculateProgress() }}
+      />
 
       {/* Delete Confirmation Dialog */}
       <ConfirmDialog
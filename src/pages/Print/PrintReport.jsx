@@ -0,0 +1,66 @@
+import React, { useEffect, useState } from 'react';
+import pdfReportService from '../../services/pdfReportService';
+import { toPdfReportData } from '../../utils/pdfReportData';
+import { loadReportData } from '../../schemas/reportSchema';
+import { loadPdfProfiles, getPdfProfile, normalizePdfProfile } from '../../utils/pdfProfiles';
+
+const resolveProfile = ({ profileId, profile }) => {
+  if (profile) {
+    const normalized = normalizePdfProfile(profile);
+    if (!normalized) throw new Error('Invalid PDF profile');
+    return normalized;
+  }
+
+  const config = loadPdfProfiles();
+  if (profileId && !config.profiles.some((entry) => entry.id === profileId)) {
+    throw new Error(`Unknown PDF profile "${profileId}"`);
+  }
+  return getPdfProfile(config, profileId);
+};
+
+/**
+ * Print view for headless PDF rendering, opened as /?view=print by
+ * server/services/pdfRenderService.js. The renderer hands a stored report
+ * to window.renderReportPdf, which resolves with the report PDF as base64.
+ * Stored data can be in an older schema, so it is migrated first.
+ * The renderer passes a profile definition, which is how profiles saved for
+ * the organization arrive, or the id of a built-in profile; unknown ids fail
+ * instead of quietly falling back to the default profile.
+ */
+const PrintReport = () => {
+  const [status, setStatus] = useState('Waiting for a report...');
+
+  useEffect(() => {
+    window.renderReportPdf = async (reportData, options = {}) => {
+      setStatus('Rendering report PDF...');
+      try {
+        const pdf = await pdfReportService.generatePDF(toPdfReportData(loadReportData(reportData).data), {
+          title: options.title || 'RSS Visit Report',
+          profile: resolveProfile(options),
+          includePhotos: options.includePhotos !== false,
+          includeRackDiagrams: options.includeRackDiagrams !== false,
+          archival: options.archival ? { report: reportData, reportNumber: options.reportNumber } : null,
+          format: 'a4',
+          orientation: 'portrait'
+        });
+        setStatus('Report PDF rendered');
+        return pdf.output('datauristring').split(',')[1];
+      } catch (error) {
+        setStatus(`Rendering failed: ${error.message}`);
+        throw error;
+      }
+    };
+
+    return () => {
+      delete window.renderReportPdf;
+    };
+  }, []);
+
+  return (
+    <main className="p-8 font-sans text-gray-700" data-print-status={status}>
+      {status}
+    </main>
+  );
+};
+
+export default PrintReport;
@@ -6,11 +6,11 @@ import Select from '../../components/ui/Select';
 import Button from '../../components/ui/Button';
 import Modal from '../../components/ui/Modal';
 import ProgressBar from '../../components/ui/ProgressBar';
-import Alert from '../../components/ui/Alert';
 import ConfirmDialog from '../../components/ui/ConfirmDialog';
 import Textarea from '../../components/ui/Textarea';
 import { useApp } from '../../context/AppContext';
-import { EMAIL_RECIPIENTS } from '../../constants/emailConfig';
+import { EmailComposerModal } from '../../components/email';
+import { fieldId } from '../../utils/reportValidation';
 
 const Recommendations = () => {
   const { reportData, updateReportData, addNotification } = useApp();
@@ -23,8 +23,8 @@ const Recommendations = () => {
   // Initialize recommendations data
   const recommendationsData = reportData.recommendations || [];
 
-  const updateRecommendationsData = (recommendations) => {
-    updateReportData('recommendations', recommendations);
+  const updateRecommendationsData = (recommendations, label) => {
+    updateReportData('recommendations', recommendations, label);
   };
 
   const priorityOptions = [
@@ -111,8 +111,9 @@ const Recommendations = () => {
   };
 
   const handleDeleteRecommendation = (id) => {
+    const deleted = recommendationsData.find(rec => rec.id === id);
     const updatedRecommendations = recommendationsData.filter(rec => rec.id !== id);
-    updateRecommendationsData(updatedRecommendations);
+    updateRecommendationsData(updatedRecommendations, `Deleted recommendation ${deleted?.title || ''}`.trim());
     setShowDeleteDialog(null);
     
     addNotification({
@@ -172,68 +173,6 @@ const Recommendations = () => {
     return icons[status] || icons.proposed;
   };
 
-  // Email functionality
-  const generateEmailReport = () => {
-    const office = reportData.office || 'Office Visit';
-    const date = reportData.date || new Date().toISOString().split('T')[0];
-    
-    const subject = `Recommendations Report - ${office} - ${date}`;
-    
-    let body = `Recommendations & Improvements Report\n`;
-    body += `Office: ${office}\n`;
-    body += `Date: ${date}\n`;
-    body += `Report Generated: ${new Date().toLocaleString()}\n\n`;
-    
-    const criticalRecs = recommendationsData.filter(rec => rec.priority === 'critical');
-    const approvedRecs = recommendationsData.filter(rec => rec.status === 'approved');
-    
-    body += `SUMMARY:\n`;
-    body += `Total Recommendations: ${recommendationsData.length}\n`;
-    body += `Critical Priority: ${criticalRecs.length}\n`;
-    body += `Approved Recommendations: ${approvedRecs.length}\n`;
-    body += `Implementation Progress: ${calculateProgress()}%\n\n`;
-    
-    if (criticalRecs.length > 0) {
-      body += `CRITICAL PRIORITY RECOMMENDATIONS:\n`;
-      criticalRecs.forEach(rec => {
-        body += `\n• ${rec.title}\n`;
-        body += `  Category: ${rec.category}\n`;
-        body += `  Status: ${rec.status}\n`;
-        if (rec.timeframe) body += `  Timeframe: ${rec.timeframe}\n`;
-        if (rec.description) body += `  Description: ${rec.description}\n`;
-      });
-      body += `\n`;
-    }
-    
-    if (approvedRecs.length > 0) {
-      body += `APPROVED RECOMMENDATIONS:\n`;
-      approvedRecs.forEach(rec => {
-        body += `\n• ${rec.title}\n`;
-        body += `  Priority: ${rec.priority}\n`;
-        body += `  Category: ${rec.category}\n`;
-        if (rec.timeframe) body += `  Timeframe: ${rec.timeframe}\n`;
-        if (rec.description) body += `  Description: ${rec.description}\n`;
-      });
-    }
-    
-    const recipients = EMAIL_RECIPIENTS.recommendations || EMAIL_RECIPIENTS.default;
-    const mailtoLink = `mailto:${recipients.join(',')}?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(body)}`;
-    
-    return { mailtoLink, subject, body, recipients };
-  };
-
-  const sendEmailReport = () => {
-    const { mailtoLink } = generateEmailReport();
-    window.location.href = mailtoLink;
-    setShowEmailModal(false);
-    
-    addNotification({
-      type: 'success',
-      message: 'Email client opened with recommendations report',
-      duration: 3000
-    });
-  };
-
   const filteredRecommendations = getFilteredRecommendations();
   const progress = calculateProgress();
 
@@ -328,6 +267,8 @@ const Recommendations = () => {
               {filteredRecommendations.map(recommendation => (
                 <div 
                   key={recommendation.id}
+                  id={fieldId('recommendation', recommendation.id)}
+                  tabIndex={-1}
                   className="bg-white dark:bg-gray-800 rounded-lg p-6 border border-gray-200 dark:border-gray-600 shadow-sm"
                 >
                   <div className="flex justify-between items-start mb-4">
@@ -537,39 +478,13 @@ const Recommendations = () => {
       </Modal>
 
       {/* Email Modal */}
-      <Modal
+      <EmailComposerModal
         isOpen={showEmailModal}
         onClose={() => setShowEmailModal(false)}
         title="Email Recommendations Report"
-        size="lg"
-      >
-        <div className="space-y-4">
-          <Alert variant="info">
-            <strong>Email Recipients:</strong><br />
-            {(EMAIL_RECIPIENTS.recommendations || EMAIL_RECIPIENTS.default).join(', ')}
-          </Alert>
-          
-          <div className="bg-gray-50 dark:bg-gray-700 rounded-lg p-4">
-            <h4 className="font-medium text-gray-900 dark:text-gray-100 mb-2">Report Summary:</h4>
-            <div className="text-sm text-gray-600 dark:text-gray-400 space-y-1">
-              <div>Total Recommendations: {recommendationsData.length}</div>
-              <div>Critical Priority: {recommendationsData.filter(r => r.priority === 'critical').length}</div>
-              <div>Approved: {recommendationsData.filter(r => r.status === 'approved').length}</div>
-              <div>Implementation Progress: {progress}%</div>
-            </div>
-          </div>
-          
-          <div className="flex justify-end space-x-3">
-            <Button variant="outline" onClick={() => setShowEmailModal(false)}>
-              Cancel
-            </Button>
-            <Button onClick={sendEmailReport}>
-              <Mail size={16} />
-              Send Email
-            </Button>
-          </div>
-        </div>
-      </Modal>
+        section="recommendations"
+        sectionData={{ recommendations: recommendationsData, progress: calculateProgress() }}
+      />
 
       {/* Delete Confirmation Dialog */}
       <ConfirmDialog
@@ -577,7 +492,7 @@ const Recommendations = () => {
         onClose={() => setShowDeleteDialog(null)}
         onConfirm={() => handleDeleteRecommendation(showDeleteDialog?.id)}
         title="Delete Recommendation"
-        message={`Are you sure you want to delete "${showDeleteDialog?.title}"? This action cannot be undone.`}
+        message={`Are you sure you want to delete "${showDeleteDialog?.title}"? You can undo this with Ctrl+Z.`}
         confirmText="Delete Recommendation"
         cancelText="Cancel"
         variant="danger"
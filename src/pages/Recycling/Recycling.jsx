@@ -13,7 +13,8 @@ import ProgressBar from '../../components/ui/ProgressBar';
 import Alert from '../../components/ui/Alert';
 import ConfirmDialog from '../../components/ui/ConfirmDialog';
 import { useApp } from '../../context/AppContext';
-import { EMAIL_RECIPIENTS } from '../../constants/emailConfig';
+import { EmailComposerModal } from '../../components/email';
+import { fieldId } from '../../utils/reportValidation';
 
 const Recycling = () => {
   const { reportData, updateReportData, addNotification } = useApp();
@@ -270,92 +271,6 @@ const Recycling = () => {
     }
   };
 
-  // Email functionality
-  const generateEmailReport = () => {
-    const office = reportData.office || 'Office Visit';
-    const date = reportData.date || new Date().toISOString().split('T')[0];
-    
-    const subject = `Recycling Report - ${office} - ${date}`;
-    
-    let body = `E-Waste & Recycling Report\\n`;
-    body += `Office: ${office}\\n`;
-    body += `Date: ${date}\\n`;
-    body += `Report Generated: ${new Date().toLocaleString()}\\n\\n`;
-    
-    body += `SUMMARY:\\n`;
-    body += `Items Brought Back: ${totals.broughtBack}\\n`;
-    body += `Items Requiring Pickup: ${totals.pickupRequired}\\n`;
-    body += `Items Sent to HQ: ${totals.sentToHq}\\n`;
-    body += `Total Items Processed: ${totals.total}\\n\\n`;
-    
-    // High priority items
-    const highPriorityItems = recyclingData.pickupRequired.filter(item => item.priority === 'high' && item.quantity > 0);
-    if (highPriorityItems.length > 0) {
-      body += `HIGH PRIORITY PICKUP REQUIRED:\\n`;
-      highPriorityItems.forEach(item => {
-        body += `• ${item.item}: ${item.quantity} items`;
-        if (item.notes) body += ` - ${item.notes}`;
-        body += `\\n`;
-      });
-      body += `\\n`;
-    }
-    
-    // Pickup scheduling info
-    if (recyclingData.scheduled === 'Yes') {
-      body += `PICKUP SCHEDULING:\\n`;
-      body += `Status: Scheduled\\n`;
-      if (recyclingData.scheduleDate) body += `Date: ${new Date(recyclingData.scheduleDate).toLocaleDateString()}\\n`;
-      if (recyclingData.scheduledBy) body += `Scheduled By: ${recyclingData.scheduledBy}\\n`;
-      if (recyclingData.pickupContact) body += `Contact: ${recyclingData.pickupContact}\\n`;
-      body += `\\n`;
-    }
-    
-    // Items brought back
-    const broughtBackItems = recyclingData.broughtBack.filter(item => item.quantity > 0);
-    if (broughtBackItems.length > 0) {
-      body += `ITEMS BROUGHT BACK TO HQ:\\n`;
-      broughtBackItems.forEach(item => {
-        body += `• ${item.item}: ${item.quantity} items`;
-        if (item.notes) body += ` - ${item.notes}`;
-        body += `\\n`;
-      });
-      body += `\\n`;
-    }
-    
-    // Items sent to HQ
-    const sentToHqItems = recyclingData.sentToHq.filter(item => item.quantity > 0);
-    if (sentToHqItems.length > 0) {
-      body += `ITEMS SENT TO HQ:\\n`;
-      sentToHqItems.forEach(item => {
-        body += `• ${item.item}: ${item.quantity} items`;
-        if (item.notes) body += ` - ${item.notes}`;
-        body += `\\n`;
-      });
-      body += `\\n`;
-    }
-    
-    if (recyclingData.generalNotes) {
-      body += `GENERAL NOTES:\\n${recyclingData.generalNotes}\\n`;
-    }
-    
-    const recipients = EMAIL_RECIPIENTS.recycling || EMAIL_RECIPIENTS.default;
-    const mailtoLink = `mailto:${recipients.join(',')}?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(body)}`;
-    
-    return { mailtoLink, subject, body, recipients };
-  };
-
-  const sendEmailReport = () => {
-    const { mailtoLink } = generateEmailReport();
-    window.location.href = mailtoLink;
-    setShowEmailModal(false);
-    
-    addNotification({
-      type: 'success',
-      message: 'Email client opened with recycling report',
-      duration: 3000
-    });
-  };
-
   const totals = calculateTotals();
   const progress = calculateProgress();
 
@@ -478,7 +393,7 @@ const Recycling = () => {
 
   const renderScheduleTab = () => (
     <div className="space-y-6">
-      <div className="bg-white dark:bg-gray-800 rounded-lg p-6 border border-gray-200 dark:border-gray-600">
+      <div id={fieldId('recycling', 'schedule')} tabIndex={-1} className="bg-white dark:bg-gray-800 rounded-lg p-6 border border-gray-200 dark:border-gray-600">
         <h3 className="text-lg font-medium text-gray-900 dark:text-gray-100 mb-6">Pickup Schedule Information</h3>
         
         <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
@@ -815,52 +730,13 @@ const Recycling = () => {
       </Modal>
 
       {/* Email Modal */}
-      <Modal
+      <EmailComposerModal
         isOpen={showEmailModal}
         onClose={() => setShowEmailModal(false)}
         title="Email Recycling Report"
-        size="lg"
-      >
-        <div className="space-y-4">
-          <Alert variant="info">
-            <strong>Email Recipients:</strong><br />
-            {(EMAIL_RECIPIENTS.recycling || EMAIL_RECIPIENTS.default).join(', ')}
-          </Alert>
-          
-          <div className="bg-gray-50 dark:bg-gray-700 rounded-lg p-4">
-            <h4 className="font-medium text-gray-900 dark:text-gray-100 mb-2">Report Summary:</h4>
-            <div className="text-sm text-gray-600 dark:text-gray-400 space-y-1">
-              <div>Items Brought Back: {totals.broughtBack}</div>
-              <div>Items Requiring Pickup: {totals.pickupRequired}</div>
-              <div>Items Sent to HQ: {totals.sentToHq}</div>
-              <div>Total Items Processed: {totals.total}</div>
-              <div>Pickup Status: {recyclingData.scheduled === 'Yes' ? 'Scheduled' : 'Not Scheduled'}</div>
-            </div>
-          </div>
-          
-          {recyclingData.pickupRequired.some(item => item.priority === 'high' && item.quantity > 0) && (
-            <Alert variant="warning">
-              <strong>High Priority Items:</strong>
-              <div className="mt-1 text-sm">
-                {recyclingData.pickupRequired
-                  .filter(item => item.priority === 'high' && item.quantity > 0)
-                  .map(item => `${item.item}: ${item.quantity}`)
-                  .join(', ')}
-              </div>
-            </Alert>
-          )}
-          
-          <div className="flex justify-end space-x-3">
-            <Button variant="outline" onClick={() => setShowEmailModal(false)}>
-              Cancel
-            </Button>
-            <Button onClick={sendEmailReport}>
-              <Mail size={16} />
-              Send Email
-            </Button>
-          </div>
-        </div>
-      </Modal>
+        section="recycling"
+        sectionData={{ recycling: recyclingData, totals }}
+      />
 
       {/* Delete Confirmation Dialog */}
       <ConfirmDialog
@@ -11,7 +11,11 @@ import ConfirmDialog from '../../components/ui/ConfirmDialog';
 import PhotoUpload from '../../components/ui/PhotoUpload';
 import { RACK_COLORS } from '../../constants/colors';
 import { useApp } from '../../context/AppContext';
-import { EMAIL_RECIPIENTS } from '../../constants/emailConfig';
+import { EmailComposerModal } from '../../components/email';
+import { CarriedForwardBadge } from '../../components/reports';
+import { confirmCarriedForward } from '../../utils/visitCarryForward';
+import { fieldId } from '../../utils/reportValidation';
+import { useFocusRequestTab, useReportValidation } from '../../hooks/useReportValidation';
 import RackVisualizer from '../../components/rack/RackVisualizer.jsx';
 import RackDiagram from '../../components/rack/RackDiagram.jsx';
 import RackPage from '../../components/rack/RackPage.tsx';
@@ -20,6 +24,7 @@ import '../../styles/rack.css';
 const Storage = () => {
   const { reportData, updateReportData, addNotification } = useApp();
   const [activeTab, setActiveTab] = useState('grading');
+  useFocusRequestTab('Storage', setActiveTab);
   const [editingLocation, setEditingLocation] = useState(null);
   const [editingRack, setEditingRack] = useState(null);
   const [editingDevice, setEditingDevice] = useState(null);
@@ -58,9 +63,10 @@ const Storage = () => {
     lastUpdated: new Date().toISOString().split('T')[0]
   };
 
-  const updateDataClosetData = (field, value) => {
+  // label names the undo step of edits that are more than typing
+  const updateDataClosetData = (field, value, label) => {
     const updatedDataCloset = { ...dataClosetData, [field]: value, lastUpdated: new Date().toISOString().split('T')[0] };
-    updateReportData('dataCloset', updatedDataCloset);
+    updateReportData('dataCloset', updatedDataCloset, label);
   };
 
   const tabs = [
@@ -81,16 +87,32 @@ const Storage = () => {
     });
   };
 
-  const updateLocation = (locationId, updates) => {
+  const updateLocation = (locationId, updates, label) => {
     const updatedLocations = (dataClosetData.locations || []).map(location => 
       location.id === locationId ? { ...location, ...updates, lastUpdated: new Date().toISOString().split('T')[0] } : location
     );
+    updateDataClosetData('locations', updatedLocations, label);
+  };
+
+  // Mark a location (or one of its racks) from the last visit as checked,
+  // together with everything in it
+  const confirmLocation = (locationId) => {
+    const updatedLocations = (dataClosetData.locations || []).map(location =>
+      location.id === locationId ? confirmCarriedForward(location) : location
+    );
     updateDataClosetData('locations', updatedLocations);
   };
 
+  const confirmRack = (location, rackId) => {
+    updateLocation(location.id, {
+      racks: (location.racks || []).map(rack => (rack.id === rackId ? confirmCarriedForward(rack) : rack))
+    });
+  };
+
   const deleteLocation = (locationId) => {
+    const location = (dataClosetData.locations || []).find(loc => loc.id === locationId);
     const updatedLocations = (dataClosetData.locations || []).filter(location => location.id !== locationId);
-    updateDataClosetData('locations', updatedLocations);
+    updateDataClosetData('locations', updatedLocations, `Deleted location ${location?.name || ''}`.trim());
     setShowDeleteDialog(null);
     
     addNotification({
@@ -126,22 +148,23 @@ const Storage = () => {
     });
   };
 
-  const updateRack = (locationId, rackId, updates) => {
+  const updateRack = (locationId, rackId, updates, label) => {
     const location = (dataClosetData.locations || []).find(loc => loc.id === locationId);
     if (!location) return;
 
     const updatedRacks = (location.racks || []).map(rack => 
       rack.id === rackId ? { ...rack, ...updates, lastUpdated: new Date().toISOString().split('T')[0] } : rack
     );
-    updateLocation(locationId, { racks: updatedRacks });
+    updateLocation(locationId, { racks: updatedRacks }, label);
   };
 
   const deleteRack = (locationId, rackId) => {
     const location = (dataClosetData.locations || []).find(loc => loc.id === locationId);
     if (!location) return;
 
+    const rack = (location.racks || []).find(r => r.id === rackId);
     const updatedRacks = (location.racks || []).filter(rack => rack.id !== rackId);
-    updateLocation(locationId, { racks: updatedRacks });
+    updateLocation(locationId, { racks: updatedRacks }, `Deleted rack ${rack?.name || ''}`.trim());
     setShowDeleteDialog(null);
     
     addNotification({
@@ -302,8 +325,9 @@ const Storage = () => {
     const rack = location.racks.find(r => r.id === rackId);
     if (!rack) return;
 
+    const device = (rack.devices || []).find(d => d.id === deviceId);
     const updatedDevices = (rack.devices || []).filter(device => device.id !== deviceId);
-    updateRack(locationId, rackId, { devices: updatedDevices });
+    updateRack(locationId, rackId, { devices: updatedDevices }, `Deleted device ${device?.name || ''}`.trim());
     setShowDeleteDialog(null);
     
     addNotification({
@@ -380,104 +404,8 @@ const Storage = () => {
     updateReportData('dataCloset', updatedDataCloset);
   };
 
-  // Email functionality
-  const generateEmailReport = () => {
-    const office = reportData.office || 'Office Visit';
-    const date = reportData.date || new Date().toISOString().split('T')[0];
-    
-    const subject = `Data Closet Report - ${office} - ${date}`;
-    
-    let body = `Data Closet & Storage Report\\n`;
-    body += `Office: ${office}\\n`;
-    body += `Date: ${date}\\n`;
-    body += `Report Generated: ${new Date().toLocaleString()}\\n\\n`;
-    
-    body += `OVERALL SCORE: ${dataClosetData.overallScore}%\\n\\n`;
-    
-    body += `QUALITY ASSESSMENT (1-5 Scale):\\n`;
-    (dataClosetData.grading || []).forEach(item => {
-      const scoreText = item.score ? `${item.score}/5 (${Math.round((item.score / 5) * 100)}%)` : 'Not graded';
-      body += `• ${item.category}: ${scoreText}\\n`;
-      if (item.comments) body += `  Notes: ${item.comments}\\n`;
-    });
-    body += `\\n`;
-    
-    // Calculate totals from locations
-    const totalRacks = (dataClosetData.locations || []).reduce((sum, loc) => sum + (loc.racks || []).length, 0);
-    const totalDevices = (dataClosetData.locations || []).reduce((sum, loc) => 
-      sum + (loc.racks || []).reduce((rackSum, rack) => rackSum + (rack.devices || []).length, 0), 0
-    );
-    
-    body += `INFRASTRUCTURE SUMMARY:\\n`;
-    body += `Locations: ${(dataClosetData.locations || []).length}\\n`;
-    body += `Racks: ${totalRacks}\\n`;
-    body += `Devices: ${totalDevices}\\n`;
-    body += `Environmental Monitoring: ${dataClosetData.environmental?.temperature ? 'Active' : 'Not configured'}\\n`;
-    body += `Photos: ${(dataClosetData.photos || []).length}\\n\\n`;
-    
-    // Location details
-    if ((dataClosetData.locations || []).length > 0) {
-      body += `LOCATION DETAILS:\\n`;
-      (dataClosetData.locations || []).forEach(location => {
-        body += `• ${location.name}: ${(location.racks || []).length} rack(s)\\n`;
-        if (location.description) body += `  ${location.description}\\n`;
-      });
-      body += `\\n`;
-    }
-    
-    if (dataClosetData.environmental?.temperature) {
-      body += `ENVIRONMENTAL CONDITIONS:\\n`;
-      body += `Temperature: ${dataClosetData.environmental.temperature}°F\\n`;
-      body += `Humidity: ${dataClosetData.environmental.humidity}%\\n`;
-      body += `Airflow: ${dataClosetData.environmental.airflow || 'Not assessed'}\\n`;
-      body += `Power Status: ${dataClosetData.environmental.powerStatus || 'Not assessed'}\\n\\n`;
-    }
-    
-    if (dataClosetData.notes) {
-      body += `ADDITIONAL NOTES:\\n${dataClosetData.notes}\\n`;
-    }
-    
-    const recipients = EMAIL_RECIPIENTS.default;
-    const mailtoLink = `mailto:${recipients.join(',')}?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(body)}`;
-    
-    return { mailtoLink, subject, body, recipients };
-  };
-
-  const sendEmailReport = () => {
-    const { mailtoLink } = generateEmailReport();
-    window.location.href = mailtoLink;
-    setShowEmailModal(false);
-    
-    addNotification({
-      type: 'success',
-      message: 'Email client opened with data closet report',
-      duration: 3000
-    });
-  };
-
-  // Calculate progress
-  const calculateProgress = () => {
-    const locationCount = (dataClosetData.locations || []).length;
-    const totalRacks = (dataClosetData.locations || []).reduce((sum, loc) => sum + (loc.racks || []).length, 0);
-    const totalDevices = (dataClosetData.locations || []).reduce((sum, loc) => 
-      sum + (loc.racks || []).reduce((rackSum, rack) => rackSum + (rack.devices || []).length, 0), 0
-    );
-    const envData = dataClosetData.environmental || {};
-    const photoCount = (dataClosetData.photos || []).length;
-    const gradingComplete = (dataClosetData.grading || []).filter(item => item.score).length;
-    
-    let score = 0;
-    if (locationCount > 0) score += 15;
-    if (totalRacks > 0) score += 15;
-    if (totalDevices > 0) score += 20;
-    if (envData.temperature && envData.humidity) score += 20;
-    if (photoCount > 0) score += 15;
-    if (gradingComplete >= 3) score += 15; // At least half of grading categories
-    
-    return score;
-  };
-
-  const progress = calculateProgress();
+  const validation = useReportValidation();
+  const progress = validation.sections.find((section) => section.id === 'dataCloset').progress;
 
   // Bulk Import/Paste functionality
   const processImportData = () => {
@@ -1164,6 +1092,7 @@ const Storage = () => {
                       </div>
                       <div>
                         <Select
+                          id={fieldId('dataClosetGrading', item.category)}
                           value={typeof item.score === 'string' ? item.score : (item.score ? String(item.score) : '')}
                           onChange={(e) => updateGrading(index, 'score', e.target.value)}
                           aria-label={`Set score for ${item.category}`}
@@ -1215,7 +1144,7 @@ const Storage = () => {
             </div>
           )}
           {activeTab === 'locations' && (
-            <div className="space-y-6">
+            <div id={fieldId('dataCloset', 'locations')} tabIndex={-1} className="space-y-6">
               <div className="flex justify-between items-center">
                 <h3 className="text-lg font-medium text-gray-900 dark:text-gray-100">
                   Data Closet Locations ({(dataClosetData.locations || []).length})
@@ -1278,6 +1207,7 @@ const Storage = () => {
                             <h4 className="text-xl font-semibold text-gray-900 dark:text-gray-100">
                               {location.name}
                             </h4>
+                            <CarriedForwardBadge record={location} onConfirm={() => confirmLocation(location.id)} />
                           </div>
                           {location.description && (
                             <p className="text-sm text-gray-600 dark:text-gray-400 ml-8">
@@ -1332,6 +1262,7 @@ const Storage = () => {
                                   <h5 className="font-semibold text-gray-900 dark:text-gray-100">
                                     {rack.name}
                                   </h5>
+                                  <CarriedForwardBadge record={rack} onConfirm={() => confirmRack(location, rack.id)} />
                                   <p className="text-sm text-gray-500 dark:text-gray-400">
                                     {rack.height}U • {(rack.devices || []).length} devices
                                   </p>
@@ -1563,6 +1494,7 @@ const Storage = () => {
               
               <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
                 <Input
+                  id={fieldId('dataCloset', 'environmental')}
                   label="Temperature (°F)"
                   type="number"
                   value={dataClosetData.environmental?.temperature || ''}
@@ -1616,7 +1548,7 @@ const Storage = () => {
           )}
 
           {activeTab === 'photos' && (
-            <div className="space-y-6">
+            <div id={fieldId('dataCloset', 'photos')} tabIndex={-1} className="space-y-6">
               <div className="flex justify-between items-center">
                 <h3 className="text-lg font-medium text-gray-900 dark:text-gray-100">
                   Data Closet Photos
@@ -2309,43 +2241,13 @@ const Storage = () => {
       </Modal>
 
       {/* Email Modal */}
-      <Modal
+      <EmailComposerModal
         isOpen={showEmailModal}
         onClose={() => setShowEmailModal(false)}
         title="Email Data Closet Report"
-        size="lg"
-      >
-        <div className="space-y-4">
-          <Alert variant="info">
-            <strong>Email Recipients:</strong><br />
-            {EMAIL_RECIPIENTS.default.join(', ')}
-          </Alert>
-          
-          <div className="bg-gray-50 dark:bg-gray-700 rounded-lg p-4">
-            <h4 className="font-medium text-gray-900 dark:text-gray-100 mb-2">Report Summary:</h4>
-            <div className="text-sm text-gray-600 dark:text-gray-400 space-y-1">
-              <div>Overall Score: {dataClosetData.overallScore}%</div>
-              <div>Locations: {(dataClosetData.locations || []).length}</div>
-              <div>Racks: {(dataClosetData.locations || []).reduce((sum, loc) => sum + (loc.racks || []).length, 0)}</div>
-              <div>Devices: {(dataClosetData.locations || []).reduce((sum, loc) => 
-                sum + (loc.racks || []).reduce((rackSum, rack) => rackSum + (rack.devices || []).length, 0), 0
-              )}</div>
-              <div>Environmental Monitoring: {dataClosetData.environmental?.temperature ? 'Active' : 'Not configured'}</div>
-              <div>Photos: {(dataClosetData.photos || []).length}</div>
-            </div>
-          </div>
-          
-          <div className="flex justify-end space-x-3">
-            <Button variant="outline" onClick={() => setShowEmailModal(false)}>
-              Cancel
-            </Button>
-            <Button onClick={sendEmailReport}>
-              <Mail size={16} />
-              Send Email
-            </Button>
-          </div>
-        </div>
-      </Modal>
+        section="storage"
+        sectionData={{ dataCloset: dataClosetData }}
+      />
 
       {/* Import/Paste Data Modal */}
       <Modal
@@ -2821,7 +2723,7 @@ Rack-003,Storage Room,18,2kW,Storage array rack`);
           }
         }}
         title={`Delete ${showDeleteDialog?.type || 'Item'}`}
-        message={`Are you sure you want to delete "${showDeleteDialog?.item?.name}"? This action cannot be undone.${
+        message={`Are you sure you want to delete "${showDeleteDialog?.item?.name}"? You can undo this with Ctrl+Z.${
           showDeleteDialog?.type === 'location' ? ' All racks and devices in this location will also be deleted.' :
           showDeleteDialog?.type === 'rack' ? ' All devices in this rack will also be deleted.' : ''
         }`}
@@ -11,13 +11,18 @@ import ProgressBar from '../../components/ui/ProgressBar';
 import Alert from '../../components/ui/Alert';
 import ConfirmDialog from '../../components/ui/ConfirmDialog';
 import { useApp } from '../../context/AppContext';
-import { EMAIL_RECIPIENTS } from '../../constants/emailConfig';
+import { EmailComposerModal } from '../../components/email';
+import { ValidationProblems } from '../../components/reports';
+import { useFocusRequestTab, useReportValidation } from '../../hooks/useReportValidation';
+import { fieldId } from '../../utils/reportValidation';
 
 const Summary = () => {
   const { reportData, updateReportData, addNotification, isLoading, setActivePage } = useApp();
   const [showResetDialog, setShowResetDialog] = useState(false);
   const [showEmailModal, setShowEmailModal] = useState(false);
   const [activeTab, setActiveTab] = useState('basic');
+  const validation = useReportValidation();
+  useFocusRequestTab('Summary', setActiveTab);
   // Normalize grading data to context schema (array of {category, score, comments})
   const gradingArray = Array.isArray(reportData.officeGrading) ? reportData.officeGrading : [
     { category: 'IT Relationship', score: '', comments: '' },
@@ -164,30 +169,8 @@ const Summary = () => {
     updateSummaryData(type, photos);
   };
 
-  const calculateProgress = () => {
-    const basicInfoFields = ['office', 'visitDate', 'technician'];
-    const basicInfoComplete = basicInfoFields.every(field => String(summaryData[field] || '').trim());
-    const photosComplete = (summaryData.dataClosetPhotos?.length > 0) || (summaryData.trainingRoomPhotos?.length > 0);
-    const notesComplete = String(summaryData.overallNotes || '').trim();
-
-    // Grading: compute a 0-100% based on average of selected scores across categories present
-   const numericScores = (gradingArray || [])
-      .map(item => parseInt(item.score, 10))
-      .filter(v => !isNaN(v) && v >= 1 && v <= 5);
-    const gradingPercent = numericScores.length === 0 ? 0 : Math.round(((numericScores.reduce((a,b)=>a+b,0) / numericScores.length) / 5) * 100);
-
-    // Compose overall progress equally across 4 sections (basic, photos, grading, notes)
-    const sections = [
-      basicInfoComplete ? 100 : 0,
-      photosComplete ? 100 : 0,
-      gradingPercent, // 0-100
-      notesComplete ? 100 : 0
-    ];
-    const overall = Math.round(sections.reduce((a,b)=>a+b,0) / sections.length);
-    return overall;
-  };
-
-  const progress = calculateProgress();
+  const summaryValidation = validation.sections.find((section) => section.id === 'summary');
+  const progress = summaryValidation.progress;
 
   const handleSave = () => {
     addNotification({
@@ -242,55 +225,6 @@ const Summary = () => {
     });
   };
 
-  // Email functionality
-  const generateEmailReport = () => {
-    const office = reportData.office || 'Office Visit';
-    const date = reportData.date || new Date().toISOString().split('T')[0];
-    
-    const subject = `Visit Summary Report - ${office} - ${date}`;
-    
-    let body = `Office Visit Summary Report\n`;
-    body += `Office: ${office}\n`;
-    body += `Date: ${date}\n`;
-    body += `Technician: ${reportData.technician || 'Not specified'}\n`;
-    body += `Purpose: ${reportData.visitPurpose || 'Not specified'}\n`;
-    body += `Report Generated: ${new Date().toLocaleString()}\n\n`;
-    
-    const dcPhotos = reportData.pictures?.dataCloset || [];
-    const trPhotos = reportData.pictures?.trainingRoom || [];
-    if (dcPhotos.length > 0) {
-      body += `Data Closet Photos: ${dcPhotos.length} photos attached\n`;
-    }
-    
-    if (trPhotos.length > 0) {
-      body += `Training Room Photos: ${trPhotos.length} photos attached\n`;
-    }
-    
-    const notes = reportData.summary?.summaryText || '';
-    if (notes) {
-      body += `\nOVERALL NOTES:\n${notes}\n`;
-    }
-    
-    body += `\nSummary Progress: ${progress}% complete\n`;
-    
-    const recipients = EMAIL_RECIPIENTS.fullReport || EMAIL_RECIPIENTS.default;
-    const mailtoLink = `mailto:${recipients.join(',')}?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(body)}`;
-    
-    return { mailtoLink, subject, body, recipients };
-  };
-
-  const sendEmailReport = () => {
-    const { mailtoLink } = generateEmailReport();
-    window.location.href = mailtoLink;
-    setShowEmailModal(false);
-    
-    addNotification({
-      type: 'success',
-      message: 'Email client opened with summary report',
-      duration: 3000
-    });
-  };
-
   const tabs = [
     { id: 'basic', label: 'Basic Info', icon: <Building size={16} /> },
     { id: 'photos', label: 'Photos', icon: <Camera size={16} /> },
@@ -314,6 +248,7 @@ const Summary = () => {
               Complete all sections (Basic Info, Photos, Grading, Notes) to finish the summary.
             </Alert>
           )}
+          <ValidationProblems problems={[...summaryValidation.errors, ...summaryValidation.warnings]} emptyMessage="" />
         </div>
       </Section>
 
@@ -347,6 +282,7 @@ const Summary = () => {
           <div className="space-y-6">
             <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
               <Select
+                id={fieldId('summary', 'office')}
                 label="Office Location"
                 value={summaryData.office || ''}
                 onChange={(e) => updateSummaryData('office', e.target.value)}
@@ -360,6 +296,7 @@ const Summary = () => {
                 ))}
               </Select>
               <Input
+                id={fieldId('summary', 'date')}
                 label="Visit Date"
                 type="date"
                 value={summaryData.visitDate || ''}
@@ -370,6 +307,7 @@ const Summary = () => {
 
             <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
               <Select
+                id={fieldId('summary', 'technician')}
                 label="Technician Name"
                 value={summaryData.technician || ''}
                 onChange={(e) => updateSummaryData('technician', e.target.value)}
@@ -396,6 +334,7 @@ const Summary = () => {
             {/* Visit Summary Text Area */}
             <div>
               <Textarea
+                id={fieldId('summary', 'summaryText')}
                 label="Visit Summary"
                 value={summaryData.overallNotes || ''}
                 onChange={(e) => updateSummaryData('overallNotes', e.target.value)}
@@ -415,7 +354,7 @@ const Summary = () => {
           icon={<Camera className="text-green-500" />}
           helpText="Upload photos of data closets and training rooms for documentation."
         >
-          <div className="space-y-8">
+          <div id={fieldId('summary', 'photos')} tabIndex={-1} className="space-y-8">
             <div>
               <h4 className="text-lg font-semibold text-gray-800 dark:text-gray-200 mb-4">
                 Data Closet Photos
@@ -503,6 +442,7 @@ const Summary = () => {
                     <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-4">
                       <div className="md:col-span-1">
                         <Select
+                          id={fieldId('officeGrading', categoryIdToLabel[category.id])}
                           label="Score (1-5)"
                           value={gradingData[category.id]?.score || ''}
                           onChange={(e) => updateGradingData(category.id, 'score', e.target.value)}
@@ -633,40 +573,13 @@ const Summary = () => {
       </Section>
 
       {/* Email Modal */}
-      <Modal
+      <EmailComposerModal
         isOpen={showEmailModal}
         onClose={() => setShowEmailModal(false)}
         title="Email Summary Report"
-        size="lg"
-      >
-        <div className="space-y-4">
-          <Alert variant="info">
-            <strong>Email Recipients:</strong><br />
-            {(EMAIL_RECIPIENTS.fullReport || EMAIL_RECIPIENTS.default).join(', ')}
-          </Alert>
-          
-          <div className="bg-gray-50 dark:bg-gray-700 rounded-lg p-4">
-            <h4 className="font-medium text-gray-900 dark:text-gray-100 mb-2">Report Summary:</h4>
-            <div className="text-sm text-gray-600 dark:text-gray-400 space-y-1">
-              <div>Office: {summaryData.office || 'Not specified'}</div>
-              <div>Visit Date: {summaryData.visitDate || 'Not set'}</div>
-              <div>Technician: {summaryData.technician || 'Not specified'}</div>
-              <div>Progress: {progress}% complete</div>
-              <div>Photos: {(summaryData.dataClosetPhotos.length + summaryData.trainingRoomPhotos.length)} attached</div>
-            </div>
-          </div>
-          
-          <div className="flex justify-end space-x-3">
-            <Button variant="outline" onClick={() => setShowEmailModal(false)}>
-              Cancel
-            </Button>
-            <Button onClick={sendEmailReport}>
-              <Mail size={16} />
-              Send Email
-            </Button>
-          </div>
-        </div>
-      </Modal>
+        section="summary"
+        sectionData={{ progress }}
+      />
 
       {/* Reset Confirmation Dialog */}
       <ConfirmDialog
@@ -0,0 +1,267 @@
+/**
+ * RSS Visit Report - Report Data Schema
+ * The canonical shape of reportData, validated with zod, and the chain of
+ * migrations that brings data saved by older versions of the app up to it.
+ * Reports pass through loadReportData whenever they come from storage, an
+ * imported file or the server.
+ */
+
+import { z } from 'zod';
+import {
+  HARDWARE_CATEGORIES,
+  REPORT_SCHEMA_VERSION,
+  createInitialReportData
+} from '../constants/initialData';
+
+export { REPORT_SCHEMA_VERSION };
+
+export class ReportSchemaError extends Error {
+  constructor(message, issues = []) {
+    super(message);
+    this.name = 'ReportSchemaError';
+    this.issues = issues;
+  }
+}
+
+const isPlainObject = (value) => (
+  value !== null && typeof value === 'object' && !Array.isArray(value)
+);
+
+const text = z.string().default('');
+
+// Whole numbers; imported files may have them as strings
+const count = z.union([
+  z.number().nonnegative(),
+  z.string().trim().regex(/^\d*$/, 'Expected a whole number').transform((value) => Number(value || 0))
+]).default(0);
+
+const record = z.object({}).passthrough();
+const records = z.array(record).default([]);
+
+const gradeSchema = z.object({
+  category: z.string(),
+  score: z.union([z.string(), z.number()]).default(''),
+  comments: text
+}).passthrough();
+
+const inventoryItemSchema = z.object({
+  description: z.string(),
+  inUse: count,
+  otherUse: z.record(count).default({}),
+  spares: z.record(count).default({}),
+  broken: count
+}).passthrough();
+
+const rackSchema = z.object({
+  name: z.string().optional(),
+  devices: records
+}).passthrough();
+
+const locationSchema = z.object({
+  name: z.string().optional(),
+  racks: z.array(rackSchema).default([])
+}).passthrough();
+
+export const reportDataSchema = z.object({
+  schemaVersion: z.literal(REPORT_SCHEMA_VERSION),
+  rss: text,
+  office: text,
+  date: text,
+  nextVisit: text,
+  summary: z.object({
+    summaryText: text,
+    pcRepairsText: text,
+    trainingRoomText: text,
+    issuesText: text,
+    recommendationsText: text,
+    followUpText: text
+  }).passthrough(),
+  pictures: z.record(z.array(z.any())),
+  officeGrading: z.array(gradeSchema),
+  officeGrade: z.string().default('N/A'),
+  hardware: z.object(
+    Object.fromEntries(HARDWARE_CATEGORIES.map((category) => [category, records]))
+  ).passthrough(),
+  sccmPCs: z.object({ computers: records }).passthrough(),
+  dataCloset: z.object({
+    grading: z.array(gradeSchema).default([]),
+    score: z.string().default('N/A'),
+    locations: z.array(locationSchema).default([])
+  }).passthrough(),
+  inventory: z.object({
+    items: z.array(inventoryItemSchema).default([]),
+    specialStations: z.record(count).default({})
+  }).passthrough(),
+  recycling: z.object({
+    broughtBack: records,
+    pickupRequired: records,
+    sentToHq: records
+  }).passthrough(),
+  issues: records,
+  recommendations: records,
+  followUpItems: records,
+  checklists: records
+}).passthrough();
+
+/**
+ * Migrations in order. Each takes report data saved in the version before it
+ * and returns it in its own version; unversioned data counts as version 0.
+ */
+export const REPORT_MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Summary, inventory and recycling are objects; itInfrastructure moves to hardware',
+    migrate: (data) => {
+      const blank = createInitialReportData();
+      const { itInfrastructure, ...rest } = data;
+      const migrated = { ...rest };
+
+      if (typeof data.summary === 'string') {
+        migrated.summary = { ...blank.summary, summaryText: data.summary };
+      } else if (!isPlainObject(data.summary)) {
+        migrated.summary = blank.summary;
+      }
+
+      if (Array.isArray(data.inventory)) {
+        migrated.inventory = {
+          ...blank.inventory,
+          items: data.inventory.length > 0 ? data.inventory : blank.inventory.items
+        };
+      }
+
+      if (Array.isArray(data.recycling)) {
+        migrated.recycling = blank.recycling;
+      }
+
+      if (isPlainObject(itInfrastructure)) {
+        const hardware = isPlainObject(data.hardware) ? data.hardware : {};
+        migrated.hardware = {
+          ...hardware,
+          computers: [
+            ...(hardware.computers || []),
+            ...(itInfrastructure.servers || []),
+            ...(itInfrastructure.workstations || [])
+          ],
+          networking: [...(hardware.networking || []), ...(itInfrastructure.networkEquipment || [])]
+        };
+      }
+
+      return migrated;
+    }
+  },
+  {
+    version: 2,
+    description: 'Data closet racks live in a locations list; rackLocations and deviceLocations are dropped',
+    migrate: (data) => {
+      if (!isPlainObject(data.dataCloset)) return data;
+      const { rackLocations = [], deviceLocations: _deviceLocations, ...dataCloset } = data.dataCloset;
+
+      // Some exports keyed locations by name
+      let locations = isPlainObject(dataCloset.locations)
+        ? Object.entries(dataCloset.locations).map(([name, location]) => ({ name, ...location }))
+        : dataCloset.locations || [];
+
+      if (locations.length === 0 && Array.isArray(rackLocations) && rackLocations.length > 0) {
+        const byName = new Map();
+        rackLocations.forEach((rack) => {
+          const name = rack.locationName || rack.location || 'Data Closet';
+          if (!byName.has(name)) byName.set(name, { name, racks: [] });
+          byName.get(name).racks.push(rack);
+        });
+        locations = [...byName.values()];
+      }
+
+      return { ...data, dataCloset: { ...dataCloset, locations } };
+    }
+  },
+  {
+    version: 3,
+    description: 'officeHardware moves into hardware; sccmPCs is { computers, lastUpdated }',
+    migrate: (data) => {
+      const { officeHardware, ...migrated } = data;
+
+      if (Array.isArray(officeHardware) && officeHardware.length > 0) {
+        const hardware = { ...(isPlainObject(data.hardware) ? data.hardware : {}) };
+        officeHardware.forEach((item) => {
+          const category = HARDWARE_CATEGORIES.includes(item?.category) ? item.category : 'computers';
+          hardware[category] = [...(hardware[category] || []), item];
+        });
+        migrated.hardware = hardware;
+      }
+
+      if (Array.isArray(data.sccmPCs)) {
+        migrated.sccmPCs = { computers: data.sccmPCs, lastUpdated: data.date || '' };
+      }
+
+      return migrated;
+    }
+  }
+];
+
+/**
+ * Schema version report data was saved in
+ * @param {Object} data - Report data
+ * @returns {number} 0 for data saved before versioning
+ */
+export const getSchemaVersion = (data) => {
+  const version = Number(data?.schemaVersion);
+  return Number.isInteger(version) && version > 0 ? version : 0;
+};
+
+/**
+ * Run the migrations report data still needs
+ * @param {Object} data - Report data in any schema version
+ * @returns {Object} Report data in the current schema version
+ * @throws {ReportSchemaError} When the data is newer than this app
+ */
+export function migrateReportData(data) {
+  const version = getSchemaVersion(data);
+  if (version > REPORT_SCHEMA_VERSION) {
+    throw new ReportSchemaError(
+      `This report was saved by a newer version of the app (schema ${version}). Update the app to open it.`
+    );
+  }
+
+  const migrated = REPORT_MIGRATIONS
+    .filter((migration) => migration.version > version)
+    .reduce((current, migration) => migration.migrate(current), data);
+
+  return { ...migrated, schemaVersion: REPORT_SCHEMA_VERSION };
+}
+
+const formatIssues = (error) => error.issues.map((issue) => ({
+  path: issue.path.join('.'),
+  message: issue.message
+}));
+
+/**
+ * Bring report data from storage, an imported file or the server into the
+ * current schema: migrate it, fill in missing sections and validate it
+ * @param {Object} data - Report data in any schema version
+ * @param {Object} options - { strict } rejects data that fails validation
+ *   instead of keeping it as migrated
+ * @returns {Object} { data, fromVersion, issues: [{ path, message }] }
+ * @throws {ReportSchemaError} When the data is not a report, is newer than
+ *   this app, or fails validation in strict mode
+ */
+export function loadReportData(data, { strict = false } = {}) {
+  if (!isPlainObject(data)) {
+    throw new ReportSchemaError('Report data must be an object');
+  }
+
+  const fromVersion = getSchemaVersion(data);
+  const migrated = { ...createInitialReportData(), ...migrateReportData(data) };
+  const result = reportDataSchema.safeParse(migrated);
+
+  if (result.success) {
+    return { data: result.data, fromVersion, issues: [] };
+  }
+
+  const issues = formatIssues(result.error);
+  if (strict) {
+    throw new ReportSchemaError('Report data does not match the report schema', issues);
+  }
+
+  console.warn('Report data does not match the report schema:', issues);
+  return { data: migrated, fromVersion, issues };
+}
@@ -0,0 +1,93 @@
+import { describe, test, expect } from 'vitest';
+import {
+  REPORT_SCHEMA_VERSION,
+  ReportSchemaError,
+  loadReportData,
+  migrateReportData
+} from './reportSchema';
+
+// Report as saved before the schema was versioned
+const legacyReport = {
+  office: 'Denver',
+  date: '2024-03-01',
+  summary: 'Routine visit',
+  inventory: [{ description: 'PCs', inUse: '12', otherUse: {}, spares: { onFloor: 1 }, broken: 0 }],
+  recycling: [],
+  itInfrastructure: { servers: [{ name: 'DEN-FS01' }], workstations: [], networkEquipment: [{ name: 'Core switch' }] },
+  officeHardware: [{ name: 'HP LaserJet', category: 'printers' }, { name: 'Dock' }],
+  sccmPCs: [{ id: 1, name: 'DEN-PC-01' }],
+  dataCloset: {
+    score: 'B',
+    grading: [],
+    rackLocations: [{ name: 'Rack A', location: 'MDF', devices: [{ id: 1, name: 'UPS' }] }],
+    deviceLocations: []
+  },
+  issues: [{ id: 1, title: 'Slow Wi-Fi', status: 'open' }]
+};
+
+describe('migrateReportData', () => {
+  test('brings unversioned data to the current shape', () => {
+    const migrated = migrateReportData(legacyReport);
+
+    expect(migrated.schemaVersion).toBe(REPORT_SCHEMA_VERSION);
+    expect(migrated.summary).toMatchObject({ summaryText: 'Routine visit', pcRepairsText: '' });
+    expect(migrated.inventory.items).toEqual([legacyReport.inventory[0]]);
+    expect(migrated.recycling.broughtBack.length).toBeGreaterThan(0);
+    expect(migrated.hardware).toMatchObject({
+      computers: [{ name: 'DEN-FS01' }, { name: 'Dock' }],
+      networking: [{ name: 'Core switch' }],
+      printers: [{ name: 'HP LaserJet', category: 'printers' }]
+    });
+    expect(migrated.sccmPCs).toEqual({ computers: [{ id: 1, name: 'DEN-PC-01' }], lastUpdated: '2024-03-01' });
+    expect(migrated.dataCloset.locations).toEqual([{ name: 'MDF', racks: [legacyReport.dataCloset.rackLocations[0]] }]);
+    expect(migrated).not.toHaveProperty('itInfrastructure');
+    expect(migrated).not.toHaveProperty('officeHardware');
+    expect(migrated.dataCloset).not.toHaveProperty('rackLocations');
+    expect(migrated.dataCloset).not.toHaveProperty('deviceLocations');
+  });
+
+  test('turns data closet locations keyed by name into a list', () => {
+    const migrated = migrateReportData({
+      schemaVersion: 1,
+      dataCloset: { locations: { IDF: { racks: [{ name: 'Rack B', devices: [] }] } } }
+    });
+    expect(migrated.dataCloset.locations).toEqual([{ name: 'IDF', racks: [{ name: 'Rack B', devices: [] }] }]);
+  });
+
+  test('leaves current data alone and refuses data from a newer app', () => {
+    const current = { schemaVersion: REPORT_SCHEMA_VERSION, summary: 'kept as is' };
+    expect(migrateReportData(current)).toEqual(current);
+    expect(() => migrateReportData({ schemaVersion: REPORT_SCHEMA_VERSION + 1 })).toThrow(ReportSchemaError);
+  });
+});
+
+describe('loadReportData', () => {
+  test('fills in missing sections and validates the result', () => {
+    const { data, fromVersion, issues } = loadReportData(legacyReport);
+
+    expect(fromVersion).toBe(0);
+    expect(issues).toEqual([]);
+    expect(data.inventory.items[0].inUse).toBe(12);
+    expect(data.officeGrading.length).toBeGreaterThan(0);
+    expect(data.followUpItems).toEqual([]);
+    expect(data.issues).toEqual(legacyReport.issues);
+  });
+
+  test('rejects invalid data in strict mode and keeps it otherwise', () => {
+    const invalid = { schemaVersion: REPORT_SCHEMA_VERSION, issues: 'none' };
+
+    let error = null;
+    try {
+      loadReportData(invalid, { strict: true });
+    } catch (caught) {
+      error = caught;
+    }
+    expect(error).toBeInstanceOf(ReportSchemaError);
+    expect(error.issues).toEqual([expect.objectContaining({ path: 'issues' })]);
+
+    const { data, issues } = loadReportData(invalid);
+    expect(data.issues).toBe('none');
+    expect(issues).toHaveLength(1);
+    expect(() => loadReportData('not a report')).toThrow(ReportSchemaError);
+  });
+});
@@ -4,6 +4,7 @@
  */
 
 import { settings } from '../utils/settings.js';
+import { DEFAULT_AD_ROLE_MAPPING, getRolePermissions, mapGroupsToRole } from '../constants/rolePermissions.js';
 
 class ADAuthService {
   constructor() {
@@ -15,12 +16,7 @@ class ADAuthService {
       searchFilter: settings.get('auth.ldap.searchFilter', '(sAMAccountName={{username}})'),
       groupFilter: settings.get('auth.ldap.groupFilter', '(member={{userDN}})'),
       attributes: ['sAMAccountName', 'mail', 'displayName', 'givenName', 'sn', 'memberOf', 'objectGUID'],
-      roleMapping: {
-        'CN=RSS-Admins,OU=Groups,DC=company,DC=local': 'admin',
-        'CN=RSS-Managers,OU=Groups,DC=company,DC=local': 'manager',
-        'CN=RSS-Technicians,OU=Groups,DC=company,DC=local': 'technician',
-        'CN=RSS-Users,OU=Groups,DC=company,DC=local': 'viewer'
-      }
+      roleMapping: { ...DEFAULT_AD_ROLE_MAPPING }
     };
     
     this.apiUrl = settings.getApiUrl('auth');
@@ -39,8 +35,9 @@ class ADAuthService {
    * @param {string} username - Username (without domain)
    * @param {string} password - User password
    * @param {string} domain - Optional domain override
+   * @param {boolean} rememberMe - Request the long refresh token lifetime
    */
-  async authenticateUser(username, password, domain = null) {
+  async authenticateUser(username, password, domain = null, rememberMe = false) {
     if (!this.isEnabled) {
       throw new Error('Active Directory authentication is not enabled');
     }
@@ -56,20 +53,20 @@ class ADAuthService {
           username: this.sanitizeInput(username),
           password, // Don't sanitize password
           domain: domain || settings.get('auth.adDomain', 'COMPANY'),
-          ldapConfig: this.ldapConfig
+          rememberMe
         })
       });
 
       if (!response.ok) {
         const errorData = await response.json().catch(() => ({}));
-        throw new Error(errorData.message || `AD authentication failed: ${response.status}`);
+        throw new Error(errorData.error || errorData.message || `AD authentication failed: ${response.status}`);
       }
 
       const result = await response.json();
       
       if (result.success) {
-        // Process AD user data
-        const userData = await this.processADUser(result.user, result.groups);
+        // Process AD user data; the server has already synced the account
+        const userData = await this.processADUser(result.user, result.groups, result.userId);
         
         return {
           success: true,
@@ -92,11 +89,12 @@ class ADAuthService {
    * Process Active Directory user data
    * @param {Object} adUser - AD user object
    * @param {Array} adGroups - AD group memberships
+   * @param {string} userId - Local user ID when the server already synced the account
    */
-  async processADUser(adUser, adGroups = []) {
+  async processADUser(adUser, adGroups = [], userId = null) {
     // Map AD attributes to application user model
     const userData = {
-      id: adUser.objectGUID || null,
+      id: userId || adUser.objectGUID || null,
       username: adUser.sAMAccountName,
       email: adUser.mail || `${adUser.sAMAccountName}@${settings.get('auth.adDomain', 'company.local').toLowerCase()}`,
       displayName: adUser.displayName || `${adUser.givenName || ''} ${adUser.sn || ''}`.trim(),
@@ -111,7 +109,9 @@ class ADAuthService {
     };
 
     // Sync user to local database
-    await this.syncUserToDatabase(userData);
+    if (!userId) {
+      await this.syncUserToDatabase(userData);
+    }
 
     return userData;
   }
@@ -121,34 +121,7 @@ class ADAuthService {
    * @param {Array} adGroups - AD group memberships
    */
   mapADGroupsToRole(adGroups) {
-    if (!Array.isArray(adGroups)) return 'viewer';
-
-    // Check for admin role first (highest precedence)
-    for (const group of adGroups) {
-      const groupDN = typeof group === 'object' ? group.dn : group;
-      if (this.ldapConfig.roleMapping[groupDN] === 'admin') {
-        return 'admin';
-      }
-    }
-
-    // Check for manager role
-    for (const group of adGroups) {
-      const groupDN = typeof group === 'object' ? group.dn : group;
-      if (this.ldapConfig.roleMapping[groupDN] === 'manager') {
-        return 'manager';
-      }
-    }
-
-    // Check for technician role
-    for (const group of adGroups) {
-      const groupDN = typeof group === 'object' ? group.dn : group;
-      if (this.ldapConfig.roleMapping[groupDN] === 'technician') {
-        return 'technician';
-      }
-    }
-
-    // Default to viewer role
-    return 'viewer';
+    return mapGroupsToRole(adGroups, this.ldapConfig.roleMapping);
   }
 
   /**
@@ -156,42 +129,7 @@ class ADAuthService {
    * @param {Array} adGroups - AD group memberships
    */
   mapADGroupsToPermissions(adGroups) {
-    const role = this.mapADGroupsToRole(adGroups);
-    
-    const rolePermissions = {
-      'admin': [
-        'admin:*',
-        'reports:create',
-        'reports:edit:all',
-        'reports:view:all',
-        'reports:delete:all',
-        'reports:export:all',
-        'users:manage',
-        'system:settings'
-      ],
-      'manager': [
-        'reports:create',
-        'reports:edit:own',
-        'reports:edit:team',
-        'reports:view:all',
-        'reports:export:own',
-        'reports:export:team',
-        'users:view:team'
-      ],
-      'technician': [
-        'reports:create',
-        'reports:edit:own',
-        'reports:view:assigned',
-        'reports:export:own',
-        'hardware:manage'
-      ],
-      'viewer': [
-        'reports:view:assigned',
-        'reports:export:own'
-      ]
-    };
-
-    return rolePermissions[role] || rolePermissions['viewer'];
+    return getRolePermissions(this.mapADGroupsToRole(adGroups));
   }
 
   /**
@@ -202,10 +140,7 @@ class ADAuthService {
     try {
       const response = await fetch(`${this.apiUrl}/sync-ad-user`, {
         method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'X-Requested-With': 'XMLHttpRequest'
-        },
+        headers: this.getRequestHeaders(),
         body: JSON.stringify({
           userData,
           syncTimestamp: new Date().toISOString()
@@ -262,20 +197,16 @@ class ADAuthService {
     try {
       const response = await fetch(`${this.apiUrl}/ad-refresh-user`, {
         method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'X-Requested-With': 'XMLHttpRequest'
-        },
+        headers: this.getRequestHeaders(),
         body: JSON.stringify({
-          username: this.sanitizeInput(username),
-          ldapConfig: this.ldapConfig
+          username: this.sanitizeInput(username)
         })
       });
 
       if (response.ok) {
         const result = await response.json();
         if (result.success) {
-          return await this.processADUser(result.user, result.groups);
+          return await this.processADUser(result.user, result.groups, result.userId);
         }
       }
 
@@ -295,13 +226,9 @@ class ADAuthService {
     try {
       const response = await fetch(`${this.apiUrl}/ad-user-groups`, {
         method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'X-Requested-With': 'XMLHttpRequest'
-        },
+        headers: this.getRequestHeaders(),
         body: JSON.stringify({
-          username: this.sanitizeInput(username),
-          ldapConfig: this.ldapConfig
+          username: this.sanitizeInput(username)
         })
       });
 
@@ -319,19 +246,15 @@ class ADAuthService {
   }
 
   /**
-   * Test LDAP connection
+   * Test LDAP connection (admins only)
    */
   async testConnection() {
     try {
       const response = await fetch(`${this.apiUrl}/ad-test-connection`, {
         method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'X-Requested-With': 'XMLHttpRequest'
-        },
-        body: JSON.stringify({
-          ldapConfig: this.ldapConfig
-        })
+        headers: this.getRequestHeaders(),
+        // The server uses its own directory settings; never send bind credentials
+        body: JSON.stringify({})
       });
 
       if (response.ok) {
@@ -395,6 +318,29 @@ class ADAuthService {
     }
   }
 
+  /**
+   * Build JSON request headers, including the stored session token if present
+   */
+  getRequestHeaders() {
+    const headers = {
+      'Content-Type': 'application/json',
+      'X-Requested-With': 'XMLHttpRequest'
+    };
+
+    try {
+      const stored = sessionStorage.getItem('rss_auth_context') ||
+                     localStorage.getItem('rss_auth_context');
+      const token = stored ? JSON.parse(stored).token : null;
+      if (token) {
+        headers.Authorization = `Bearer ${token}`;
+      }
+    } catch (error) {
+      console.warn('Failed to read auth context:', error);
+    }
+
+    return headers;
+  }
+
   /**
    * Sanitize user input
    * @param {string} input - Input to sanitize
@@ -162,39 +162,53 @@ class ApiClient {
 
   /**
    * Parse error response
+   * @returns {Promise<{message: string, details: Object|null}>} details is
+   *   whatever extra information the API sent with the error
    */
   async parseErrorResponse(response) {
+    const fallback = `HTTP ${response.status}: ${response.statusText}`;
     try {
       const contentType = response.headers.get('content-type');
       
       if (contentType && contentType.includes('application/json')) {
         const data = await response.json();
-        return data.error || data.message || `HTTP ${response.status}: ${response.statusText}`;
+        return { message: data.error || data.message || fallback, details: data.details || null };
       } else {
         // Try to get some text from HTML response
         const text = await response.text();
         const htmlMatch = text.match(/<title>(.*?)<\/title>/i);
         if (htmlMatch) {
-          return `Server error: ${htmlMatch[1]}`;
+          return { message: `Server error: ${htmlMatch[1]}`, details: null };
         }
-        return `HTTP ${response.status}: ${response.statusText}`;
+        return { message: fallback, details: null };
       }
     } catch {
-      return `HTTP ${response.status}: ${response.statusText}`;
+      return { message: fallback, details: null };
     }
   }
 
   /**
-   * Create appropriate error based on response
+   * Create appropriate error based on response. The API's error details, such
+   * as why a request conflicted, are kept on the error as `details`.
    */
   async createError(response, originalError = null) {
-    const errorMessage = await this.parseErrorResponse(response);
-    
+    const { message, details } = await this.parseErrorResponse(response);
+    const error = this.errorForStatus(response, message);
+    if (details) {
+      error.details = details;
+    }
+    return error;
+  }
+
+  errorForStatus(response, errorMessage) {
     switch (response.status) {
       case 401:
         return new AuthenticationError(errorMessage, response.status);
       case 400:
         return new ValidationError(errorMessage);
+      case 423:
+        // Account locked by the server-side login policy
+        return new AuthenticationError(errorMessage, response.status);
       case 500:
       case 502:
       case 503:
@@ -207,16 +221,24 @@ class ApiClient {
 
   /**
    * Make HTTP request with retry logic
+   * @param {string} endpoint - Path relative to baseURL
+   * @param {Object} options - fetch options, plus optional per-request
+   *   `retryAttempts` and `timeout` overrides
    */
   async request(endpoint, options = {}) {
     const url = `${this.baseURL}${endpoint.startsWith('/') ? endpoint : `/${endpoint}`}`;
+    const {
+      retryAttempts = this.retryAttempts,
+      timeout = this.timeout,
+      ...fetchOptions
+    } = options;
     
     // Prepare request configuration
     let config = {
       method: 'GET',
       headers: { ...this.defaultHeaders },
-      ...options,
-      headers: { ...this.defaultHeaders, ...options.headers }
+      ...fetchOptions,
+      headers: { ...this.defaultHeaders, ...fetchOptions.headers }
     };
 
     // Apply request interceptors
@@ -225,8 +247,8 @@ class ApiClient {
     // Attempt request with retries
     let lastError = null;
     
-    for (let attempt = 1; attempt <= this.retryAttempts; attempt++) {
-      const { controller, cleanup } = this.createTimeoutController();
+    for (let attempt = 1; attempt <= retryAttempts; attempt++) {
+      const { controller, cleanup } = this.createTimeoutController(timeout);
       
       try {
         config.signal = controller.signal;
@@ -241,8 +263,8 @@ class ApiClient {
           const error = await this.createError(processedResponse);
           
           // Check if we should retry
-          if (attempt < this.retryAttempts && this.isRetryableError(error, processedResponse)) {
-            console.warn(`Request failed (attempt ${attempt}/${this.retryAttempts}):`, error.message);
+          if (attempt < retryAttempts && this.isRetryableError(error, processedResponse)) {
+            console.warn(`Request failed (attempt ${attempt}/${retryAttempts}):`, error.message);
             await this.sleep(this.retryDelay * attempt); // Exponential backoff
             continue;
           }
@@ -270,8 +292,8 @@ class ApiClient {
         }
 
         // Check if we should retry
-        if (attempt < this.retryAttempts && this.isRetryableError(lastError)) {
-          console.warn(`Request failed (attempt ${attempt}/${this.retryAttempts}):`, lastError.message);
+        if (attempt < retryAttempts && this.isRetryableError(lastError)) {
+          console.warn(`Request failed (attempt ${attempt}/${retryAttempts}):`, lastError.message);
           await this.sleep(this.retryDelay * attempt);
           continue;
         }
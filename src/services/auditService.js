@@ -206,6 +206,12 @@ class AuditService {
         })
       });
 
+      // A rejected batch will never be accepted, so don't requeue it
+      if (response.status === 400) {
+        console.warn('Audit log batch rejected by server');
+        return;
+      }
+
       if (!response.ok) {
         throw new Error(`Audit log flush failed: ${response.status}`);
       }
@@ -375,11 +381,14 @@ class AuditService {
       'create': 'info',
       'edit': 'info',
       'submit': 'medium',
+      'review': 'medium',
       'approve': 'medium',
+      'return': 'medium',
       'reject': 'medium',
       'export': 'medium',
       'delete': 'high',
-      'share': 'medium'
+      'share': 'medium',
+      'restore_version': 'medium'
     };
     
     return severityMap[action] || 'info';
@@ -0,0 +1,214 @@
+/**
+ * Email Composer Service
+ * Composes section report emails from utils/emailTemplates, builds PDF
+ * and CSV attachments for them and sends them through the API
+ */
+
+import jsPDF from 'jspdf';
+import enhancedAuthService from './enhancedAuthService.v2.js';
+import { getEmailRecipients } from '../utils/security';
+import { composeSectionEmail, renderEmailCsv } from '../utils/emailTemplates';
+
+export const ATTACHMENT_TYPES = {
+  pdf: { label: 'Section PDF', contentType: 'application/pdf', extension: 'pdf' },
+  csv: { label: 'CSV data', contentType: 'text/csv', extension: 'csv' }
+};
+
+/**
+ * Base64-encode a UTF-8 string
+ * @param {string} value - Text content
+ */
+const textToBase64 = (value) => {
+  const bytes = new TextEncoder().encode(value);
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+};
+
+const toFilenamePart = (value) => String(value || '').replace(/[^\w-]+/g, '_').replace(/^_+|_+$/g, '');
+
+class EmailComposerService {
+  constructor() {
+    this.pageMargin = 20;
+    this.primaryColor = [41, 98, 165];
+    this.textColor = [33, 37, 41];
+  }
+
+  /**
+   * Compose a section email and resolve its default recipients
+   * @param {string} section - Template key (dashboard, issues, ...)
+   * @param {Object} data - Section data from the page
+   * @param {Object} reportData - Full report
+   * @param {Object} options - { note }
+   */
+  compose(section, data, reportData, options = {}) {
+    const composition = composeSectionEmail(section, data, reportData, options);
+    return {
+      ...composition,
+      reportId: reportData?.id || null,
+      recipients: this.getRecipients(composition.recipientKey, reportData)
+    };
+  }
+
+  /**
+   * Recipients configured for a section and the report's office
+   * @param {string} recipientKey - Section key in the recipient configuration
+   * @param {Object} reportData - Report whose office selects the lists
+   */
+  getRecipients(recipientKey, reportData) {
+    return getEmailRecipients(recipientKey, reportData);
+  }
+
+  /**
+   * Attachment filename for a composition
+   * @param {Object} composition - Result of compose()
+   * @param {string} extension - File extension
+   */
+  getFilename(composition, extension) {
+    const parts = [composition.name, composition.meta.office, composition.meta.date];
+    return `${parts.map(toFilenamePart).filter(Boolean).join('_')}.${extension}`;
+  }
+
+  /**
+   * Build an attachment in the shape POST /reports/email accepts
+   * @param {Object} composition - Result of compose()
+   * @param {string} type - Key of ATTACHMENT_TYPES
+   */
+  buildAttachment(composition, type) {
+    const attachmentType = ATTACHMENT_TYPES[type];
+    if (!attachmentType) {
+      throw new Error(`Unsupported attachment type: ${type}`);
+    }
+
+    const content = type === 'pdf'
+      ? this.renderPDF(composition).output('datauristring').split(',')[1]
+      // Byte order mark so Excel opens the file as UTF-8
+      : textToBase64(`\uFEFF${renderEmailCsv(composition.title, composition.meta, composition.blocks)}`);
+
+    return {
+      filename: this.getFilename(composition, attachmentType.extension),
+      content,
+      contentType: attachmentType.contentType
+    };
+  }
+
+  /**
+   * Lay out the composition blocks as a simple A4 document
+   * @param {Object} composition - Result of compose()
+   * @returns {jsPDF} PDF document
+   */
+  renderPDF(composition) {
+    const pdf = new jsPDF({ unit: 'mm', format: 'a4', orientation: 'portrait' });
+    const pageWidth = pdf.internal.pageSize.getWidth();
+    const pageHeight = pdf.internal.pageSize.getHeight();
+    const contentWidth = pageWidth - this.pageMargin * 2;
+    let y = this.pageMargin;
+
+    const ensureSpace = (height) => {
+      if (y + height > pageHeight - this.pageMargin) {
+        pdf.addPage();
+        y = this.pageMargin;
+      }
+    };
+
+    const write = (value, { size = 10, bold = false, indent = 0, color = this.textColor } = {}) => {
+      pdf.setFont('helvetica', bold ? 'bold' : 'normal');
+      pdf.setFontSize(size);
+      pdf.setTextColor(...color);
+      const lines = pdf.splitTextToSize(String(value ?? ''), contentWidth - indent);
+      const lineHeight = size * 0.45;
+      lines.forEach((line) => {
+        ensureSpace(lineHeight);
+        pdf.text(line, this.pageMargin + indent, y);
+        y += lineHeight;
+      });
+    };
+
+    const writeFields = (entries, indent = 0) => {
+      entries.forEach(([label, value]) => write(`${label}: ${value}`, { indent }));
+    };
+
+    write(composition.title, { size: 16, bold: true, color: this.primaryColor });
+    y += 2;
+    writeFields([
+      ['Office', composition.meta.office],
+      ['Date', composition.meta.date],
+      ['Report Generated', composition.meta.generatedAt]
+    ]);
+    y += 4;
+
+    for (const block of composition.blocks) {
+      switch (block.type) {
+        case 'heading':
+          ensureSpace(12);
+          y += 3;
+          write(block.text, { size: 12, bold: true, color: this.primaryColor });
+          pdf.setDrawColor(...this.primaryColor);
+          pdf.line(this.pageMargin, y - 3, pageWidth - this.pageMargin, y - 3);
+          y += 1;
+          break;
+        case 'fields':
+          writeFields(block.fields);
+          y += 2;
+          break;
+        case 'items':
+          block.items.forEach((item) => {
+            write(`• ${item.title}`, { bold: true });
+            writeFields(item.fields, 5);
+            y += 1;
+          });
+          y += 1;
+          break;
+        case 'table':
+          block.rows.forEach((row) => {
+            write(`• ${row[0]}`, { bold: true });
+            const details = block.columns.slice(1)
+              .map((column, index) => [column, row[index + 1]])
+              .filter(([, value]) => value !== '' && value !== null && value !== undefined)
+              .map(([column, value]) => `${column}: ${value}`);
+            if (details.length > 0) write(details.join('   '), { indent: 5 });
+          });
+          y += 2;
+          break;
+        case 'text':
+          write(block.text);
+          y += 2;
+          break;
+        default:
+          break;
+      }
+    }
+
+    return pdf;
+  }
+
+  /**
+   * Send a composed email through the server's SMTP relay
+   * @param {Object} composition - Result of compose(), possibly edited
+   * @param {Object} options - { recipients, cc, subject, attachments }
+   * @returns {Object} { messageId, deliveryIds, accepted, rejected, attempts }
+   */
+  async send(composition, { recipients = composition.recipients, cc = [], subject = composition.subject, attachments = [] } = {}) {
+    // The server retries SMTP failures itself; a client retry would only
+    // send duplicates
+    return enhancedAuthService.apiRequest('/reports/email', {
+      method: 'POST',
+      body: JSON.stringify({
+        recipients,
+        cc,
+        subject,
+        message: composition.text,
+        html: composition.html,
+        attachments,
+        reportId: composition.reportId
+      }),
+      retryAttempts: 1,
+      timeout: 120000
+    });
+  }
+}
+
+const emailComposerService = new EmailComposerService();
+export default emailComposerService;
@@ -37,7 +37,7 @@ class EnhancedAuthService {
       warningTime: 5 * 60 * 1000, // 5 minutes before expiry
       maxRetries: 3,
       retryDelay: 1000,
-      demoMode: true // Enable demo mode for development
+      demoMode: import.meta.env.VITE_DEMO_MODE !== 'false' // Set VITE_DEMO_MODE=false to use the auth API
     };
 
     // Demo credentials removed for security - use environment configuration
@@ -485,6 +485,10 @@ class EnhancedAuthService {
     }
     
     if (error instanceof AuthenticationError) {
+      // Server-side lockout message already tells the user how long to wait
+      if (error.statusCode === 423) {
+        return error;
+      }
       return new AuthenticationError('Invalid username or password. Please try again.');
     }
     
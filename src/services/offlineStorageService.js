@@ -0,0 +1,283 @@
+/**
+ * RSS Visit Report - Offline Storage Service
+ * IndexedDB storage for workspace reports and their photo blobs. Report data
+ * is stored as JSON-safe objects; photos are stored as Blobs keyed by report.
+ */
+
+const DB_NAME = 'rss-visit-report';
+const DB_VERSION = 1;
+
+export const STORES = {
+  REPORTS: 'reports',
+  PHOTOS: 'photos',
+  META: 'meta'
+};
+
+/**
+ * Wrap an IDBRequest in a promise
+ * @param {IDBRequest} request - Pending request
+ */
+const promisify = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const isRequest = (value) => Boolean(value) && typeof value === 'object' && 'readyState' in value && 'onsuccess' in value;
+
+/**
+ * Key of a stored photo; photo IDs are only unique within a report
+ * @param {string} reportId - Workspace report ID
+ * @param {string|number} photoId - Photo ID from the report data
+ */
+export const photoKey = (reportId, photoId) => `${reportId}/${photoId}`;
+
+class OfflineStorageService {
+  /**
+   * @param {Object} options - { indexedDB, dbName }
+   */
+  constructor({ indexedDB = globalThis.indexedDB, dbName = DB_NAME } = {}) {
+    this.indexedDB = indexedDB;
+    this.dbName = dbName;
+    this.dbPromise = null;
+  }
+
+  /**
+   * Whether IndexedDB can be used in this browser
+   */
+  isAvailable() {
+    return Boolean(this.indexedDB);
+  }
+
+  /**
+   * Open (and on first use create) the database
+   * @returns {Promise<IDBDatabase>}
+   */
+  open() {
+    if (!this.isAvailable()) {
+      return Promise.reject(new Error('IndexedDB is not available'));
+    }
+
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = this.indexedDB.open(this.dbName, DB_VERSION);
+
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          if (!db.objectStoreNames.contains(STORES.REPORTS)) {
+            db.createObjectStore(STORES.REPORTS, { keyPath: 'id' });
+          }
+          if (!db.objectStoreNames.contains(STORES.PHOTOS)) {
+            const photos = db.createObjectStore(STORES.PHOTOS, { keyPath: 'key' });
+            photos.createIndex('reportId', 'reportId', { unique: false });
+          }
+          if (!db.objectStoreNames.contains(STORES.META)) {
+            db.createObjectStore(STORES.META, { keyPath: 'key' });
+          }
+        };
+        request.onsuccess = () => {
+          const db = request.result;
+          // Let a newer version in another tab upgrade the schema
+          db.onversionchange = () => {
+            db.close();
+            this.dbPromise = null;
+          };
+          resolve(db);
+        };
+        request.onerror = () => {
+          this.dbPromise = null;
+          reject(request.error);
+        };
+        request.onblocked = () => console.warn('IndexedDB upgrade blocked by another open tab');
+      });
+    }
+
+    return this.dbPromise;
+  }
+
+  /**
+   * Run work inside one transaction and resolve once it has committed
+   * @param {string[]} storeNames - Stores used
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @param {Function} work - Receives the stores by name; may return a request
+   */
+  async transaction(storeNames, mode, work) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(storeNames, mode);
+      const stores = Object.fromEntries(storeNames.map((name) => [name, tx.objectStore(name)]));
+      let result;
+
+      tx.oncomplete = () => resolve(result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+
+      const fail = (error) => {
+        try {
+          tx.abort();
+        } catch (_) { /* already finished */ }
+        reject(error);
+      };
+
+      try {
+        const outcome = work(stores);
+        if (isRequest(outcome)) {
+          outcome.addEventListener('success', () => { result = outcome.result; });
+        } else {
+          Promise.resolve(outcome).then((value) => { result = value; }, fail);
+        }
+      } catch (error) {
+        fail(error);
+      }
+    });
+  }
+
+  // Reports
+
+  /**
+   * Load one report's data
+   * @param {string} id - Workspace report ID
+   */
+  async getReport(id) {
+    const record = await this.transaction([STORES.REPORTS], 'readonly', (stores) => stores.reports.get(id));
+    return record ? record.data : null;
+  }
+
+  /**
+   * Save one report's data together with newly added photos, in a single
+   * transaction so a cleanup never sees the photos without the report
+   * @param {string} id - Workspace report ID
+   * @param {Object} data - JSON-safe report data
+   * @param {Object[]} photos - [{ id, blob, name, type }] not stored yet
+   */
+  async putReport(id, data, photos = []) {
+    await this.transaction([STORES.REPORTS, STORES.PHOTOS], 'readwrite', (stores) => {
+      stores.reports.put({ id, data, updatedAt: new Date().toISOString() });
+      this.addPhotos(stores.photos, id, photos);
+    });
+  }
+
+  /**
+   * Delete a report and all of its photos
+   * @param {string} id - Workspace report ID
+   */
+  async deleteReport(id) {
+    await this.transaction([STORES.REPORTS, STORES.PHOTOS], 'readwrite', async (stores) => {
+      stores.reports.delete(id);
+      const keys = await promisify(stores.photos.index('reportId').getAllKeys(id));
+      keys.forEach((key) => stores.photos.delete(key));
+    });
+  }
+
+  /**
+   * IDs of all stored reports
+   */
+  async listReportIds() {
+    return this.transaction([STORES.REPORTS], 'readonly', (stores) => stores.reports.getAllKeys());
+  }
+
+  /**
+   * IDs and save times of all stored reports
+   * @returns {Promise<Object[]>} [{ id, updatedAt }]
+   */
+  async listReports() {
+    const records = await this.transaction([STORES.REPORTS], 'readonly', (stores) => stores.reports.getAll());
+    return records.map(({ id, updatedAt }) => ({ id, updatedAt }));
+  }
+
+  // Metadata (workspace index, flags)
+
+  async getMeta(key) {
+    const record = await this.transaction([STORES.META], 'readonly', (stores) => stores.meta.get(key));
+    return record ? record.value : null;
+  }
+
+  async putMeta(key, value) {
+    await this.transaction([STORES.META], 'readwrite', (stores) => stores.meta.put({ key, value }));
+  }
+
+  // Photos
+
+  /**
+   * Queue photo writes on an open photos store
+   * @param {IDBObjectStore} store - Photos store in a readwrite transaction
+   * @param {string} reportId - Workspace report ID
+   * @param {Object[]} photos - [{ id, blob, name, type }]
+   */
+  addPhotos(store, reportId, photos) {
+    photos.forEach(({ id, blob, name, type }) => {
+      store.put({
+        key: photoKey(reportId, id),
+        reportId,
+        photoId: String(id),
+        blob,
+        name: name || '',
+        type: type || blob.type || '',
+        size: blob.size,
+        storedAt: new Date().toISOString()
+      });
+    });
+  }
+
+  /**
+   * All stored photos of a report
+   * @param {string} reportId - Workspace report ID
+   * @returns {Promise<Object[]>} [{ key, reportId, photoId, blob, name, type, size }]
+   */
+  async getPhotos(reportId) {
+    return this.transaction([STORES.PHOTOS], 'readonly', (stores) => (
+      stores.photos.index('reportId').getAll(reportId)
+    ));
+  }
+
+  /**
+   * Copy every photo of one report to another, e.g. when duplicating
+   * @param {string} fromReportId - Source report
+   * @param {string} toReportId - Target report
+   */
+  async copyPhotos(fromReportId, toReportId) {
+    const photos = await this.getPhotos(fromReportId);
+    if (photos.length === 0) return;
+    await this.transaction([STORES.PHOTOS], 'readwrite', (stores) => {
+      this.addPhotos(stores.photos, toReportId, photos.map((photo) => ({ ...photo, id: photo.photoId })));
+    });
+  }
+
+  /**
+   * Keys and owners of every stored photo, without loading the blobs
+   * @returns {Promise<Object[]>} [{ key, reportId, photoId, size, storedAt }]
+   */
+  async listPhotos() {
+    return this.transaction([STORES.PHOTOS], 'readonly', (stores) => new Promise((resolve, reject) => {
+      const entries = [];
+      const request = stores.photos.openCursor();
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) {
+          resolve(entries);
+          return;
+        }
+        const { key, reportId, photoId, size, storedAt } = cursor.value;
+        entries.push({ key, reportId, photoId, size, storedAt });
+        cursor.continue();
+      };
+      request.onerror = () => reject(request.error);
+    }));
+  }
+
+  /**
+   * Delete stored photos by key
+   * @param {string[]} keys - Photo keys
+   */
+  async deletePhotos(keys) {
+    if (keys.length === 0) return;
+    await this.transaction([STORES.PHOTOS], 'readwrite', (stores) => {
+      keys.forEach((key) => stores.photos.delete(key));
+    });
+  }
+}
+
+// Create singleton instance
+const offlineStorageService = new OfflineStorageService();
+
+export { OfflineStorageService };
+export default offlineStorageService;
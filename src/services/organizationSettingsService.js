@@ -0,0 +1,80 @@
+/**
+ * RSS Visit Report - Organization Settings Service
+ * Settings administrators manage for the whole organization (email
+ * recipients, PDF profiles), stored on the server through /settings. The
+ * copy kept in localStorage is only a cache, used while offline and by code
+ * that cannot wait for the server.
+ */
+
+import enhancedAuthService from './enhancedAuthService.v2.js';
+import { loadRecipientConfig, saveRecipientConfig } from '../utils/emailRecipients.js';
+import { loadPdfProfiles, savePdfProfiles } from '../utils/pdfProfiles.js';
+
+// Setting name -> API path and its localStorage cache
+const SETTINGS = {
+  emailRecipients: {
+    path: '/settings/email-recipients',
+    readCache: () => loadRecipientConfig(),
+    writeCache: (value) => saveRecipientConfig(value)
+  },
+  pdfProfiles: {
+    path: '/settings/pdf-profiles',
+    readCache: () => loadPdfProfiles(),
+    writeCache: (value) => savePdfProfiles(value)
+  }
+};
+
+class OrganizationSettingsService {
+  /**
+   * Last copy of a setting seen on this device
+   * @param {string} name - Setting name, e.g. 'emailRecipients'
+   */
+  getCached(name) {
+    return SETTINGS[name].readCache();
+  }
+
+  /**
+   * Fetch a setting from the server and refresh the cache. Falls back to
+   * the cached copy when the server cannot be reached.
+   * @param {string} name - Setting name
+   * @returns {Promise<Object>} Setting value
+   */
+  async load(name) {
+    const setting = SETTINGS[name];
+    try {
+      const response = await enhancedAuthService.apiRequest(setting.path, { retryAttempts: 1 });
+      return setting.writeCache(response.value);
+    } catch (error) {
+      console.warn(`Using cached ${name} settings:`, error.message);
+      return setting.readCache();
+    }
+  }
+
+  /**
+   * Refresh every setting, e.g. after signing in
+   */
+  async loadAll() {
+    await Promise.all(Object.keys(SETTINGS).map((name) => this.load(name)));
+  }
+
+  /**
+   * Save a setting for the whole organization (administrators only)
+   * @param {string} name - Setting name
+   * @param {Object} value - New value
+   * @returns {Promise<Object>} Value as the server stored it
+   */
+  async save(name, value) {
+    const setting = SETTINGS[name];
+    const response = await enhancedAuthService.apiRequest(setting.path, {
+      method: 'PUT',
+      body: JSON.stringify({ value }),
+      retryAttempts: 1
+    });
+    return setting.writeCache(response.value);
+  }
+}
+
+// Create singleton instance
+const organizationSettingsService = new OrganizationSettingsService();
+
+export default organizationSettingsService;
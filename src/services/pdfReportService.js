@@ -4,8 +4,44 @@
  */
 
 import jsPDF from 'jspdf';
-import html2canvas from 'html2canvas';
 import enhancedAuthService from './enhancedAuthService.v2.js';
+import { compareVisits, isSameOffice } from '../utils/visitComparison';
+import { layoutRackDevices, colorForDevice } from '../utils/rackUtils';
+import { RACK_CONFIG, DEVICE_TYPE_COLORS, UTILIZATION_COLORS } from '../constants/rackConfig';
+import { resolvePdfSections } from '../utils/pdfProfiles';
+import { DEFAULT_PDF_PROFILES } from '../constants/pdfProfiles';
+import { buildArchiveXmp, createSrgbIccProfile, toBinaryString, toDocumentInfoText, toPdfDate } from '../utils/pdfArchive';
+import liberationSansUrl from 'pdfjs-dist/standard_fonts/LiberationSans-Regular.ttf?url';
+import liberationSansBoldUrl from 'pdfjs-dist/standard_fonts/LiberationSans-Bold.ttf?url';
+import liberationSansItalicUrl from 'pdfjs-dist/standard_fonts/LiberationSans-Italic.ttf?url';
+import liberationSansBoldItalicUrl from 'pdfjs-dist/standard_fonts/LiberationSans-BoldItalic.ttf?url';
+
+/**
+ * Visit date for display. Date-only values (YYYY-MM-DD) parse as UTC
+ * midnight, so they are formatted in UTC to keep the same calendar day in
+ * time zones west of UTC.
+ * @param {string} value - Visit date
+ * @param {Object} options - Intl date format options
+ * @returns {string} The formatted date, or '' when there is none
+ */
+const formatVisitDate = (value, options) => {
+  const date = value ? new Date(value) : null;
+  if (!date || Number.isNaN(date.getTime())) return '';
+  const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(String(value));
+  return date.toLocaleDateString('en-US', dateOnly ? { ...options, timeZone: 'UTC' } : options);
+};
+
+// Section headings per document, for the table of contents and outline
+const documentSections = new WeakMap();
+
+// Liberation Sans has Helvetica's metrics, so archival PDFs embed it in
+// place of the standard font without changing the layout
+const ARCHIVAL_FONTS = [
+  { style: 'normal', file: 'LiberationSans-Regular.ttf', url: liberationSansUrl },
+  { style: 'bold', file: 'LiberationSans-Bold.ttf', url: liberationSansBoldUrl },
+  { style: 'italic', file: 'LiberationSans-Italic.ttf', url: liberationSansItalicUrl },
+  { style: 'bolditalic', file: 'LiberationSans-BoldItalic.ttf', url: liberationSansBoldItalicUrl }
+];
 
 class PDFReportService {
   constructor() {
@@ -259,6 +295,7 @@ class PDFReportService {
     }
     
     pdf.text(title, textX, yPos);
+    this.addBookmark(pdf, title, yPos, style === 'minor' ? 1 : 0);
     yPos += style === 'minor' ? 12 : 15;
     
     // Subtitle if provided
@@ -398,85 +435,327 @@ class PDFReportService {
   }
 
   /**
-   * Generate PDF from report data - Complete restructure per requirements
+   * Generate PDF from report data
+   * @param {Object} reportData - Report data (utils/pdfReportData)
+   * @param {Object} options - { title, profile, includePhotos, includeRackDiagrams, format, orientation, archival }.
+   *   The profile (utils/pdfProfiles) sets the sections, their order, page
+   *   breaks and options; without one the full technical report is rendered.
+   *   archival ({ report, reportNumber }) makes a PDF/A-3b file with
+   *   embedded fonts, XMP metadata and the report JSON attached.
    */
   async generatePDF(reportData, options = {}) {
     try {
       const {
         title = 'RSS Visit Report',
+        profile = DEFAULT_PDF_PROFILES[0],
         includePhotos = true,
         includeRackDiagrams = true,
         format = 'letter',
-        orientation = 'portrait'
+        orientation = 'portrait',
+        archival = null
       } = options;
 
       // Create new PDF document
       const pdf = new jsPDF({
         orientation,
         unit: 'mm',
-        format
+        format,
+        // PDF/A allows no fonts that are not embedded, even unused ones
+        putOnlyUsedFonts: Boolean(archival)
       });
 
+      if (archival) {
+        await this.embedArchivalFonts(pdf);
+      }
+
       // Sync layout metrics with actual page size
       const { width, height } = pdf.internal.pageSize;
       this.pageWidth = width;
       this.pageHeight = height;
 
-      let currentPage = 1;
-      let yPosition = this.pageMargin;
+      // Header: Title + Location, Date, Technician (clean title)
+      let yPosition = this.addCleanHeader(pdf, title, reportData);
 
-      // 1. Header: Title + Location, Date, Technician (clean title)
-      yPosition = this.addCleanHeader(pdf, title, reportData);
+      // The table of contents goes under the header once page numbers are
+      // known, so the sections start on the next page
+      const contentsPosition = yPosition;
+      const withContents = profile.tableOfContents !== false;
+      if (withContents) {
+        yPosition = this.startNewPage(pdf, yPosition);
+      }
 
-      // 2. Summary: Renamed from "Executive Summary" to just "Summary"
-      yPosition = this.addSummarySection(pdf, reportData, yPosition);
+      let breakBeforeNext = false;
+      for (const section of resolvePdfSections(profile, { includePhotos, includeRackDiagrams })) {
+        if (breakBeforeNext || section.pageBreak === 'before') {
+          yPosition = this.startNewPage(pdf, yPosition);
+        }
+        yPosition = await this.addProfileSection(pdf, reportData, yPosition, section);
+        breakBeforeNext = section.pageBreak === 'after';
+      }
 
-      // 3. Office Assessment Grades: Show office grading information
-      yPosition = this.addOfficeAssessmentGrades(pdf, reportData, yPosition);
+      // jsPDF link annotations lack the print flag PDF/A requires, so the
+      // archival contents rely on the bookmarks for navigation
+      if (withContents) {
+        this.addTableOfContents(pdf, contentsPosition, { links: !archival });
+      }
+      this.addOutline(pdf);
 
-      // 4. Infrastructure Assessment: Fixed title + specific order
-      yPosition = await this.addInfrastructureAssessmentRestructured(pdf, reportData, yPosition, includeRackDiagrams);
+      // Add footer to all pages
+      this.addFooters(pdf, reportData);
+
+      if (archival) {
+        this.addArchivalParts(pdf, reportData, title, archival);
+      }
+
+      return pdf;
+
+    } catch (error) {
+      console.error('PDF generation error:', error);
+      throw new Error(`Failed to generate PDF: ${error.message}`);
+    }
+  }
 
-      // 5. Inventory Table: Professional table format
-      yPosition = await this.addInventoryTable(pdf, reportData, yPosition);
+  /**
+   * Render one section of a PDF profile (constants/pdfProfiles)
+   * @param {Object} section - { id, options }
+   * @returns {number} Y position after the section
+   */
+  async addProfileSection(pdf, reportData, yPosition, { id, options }) {
+    switch (id) {
+      case 'summary':
+        return this.addSummarySection(pdf, reportData, yPosition);
+      case 'officeGrades':
+        return this.addOfficeAssessmentGrades(pdf, reportData, yPosition);
+      case 'infrastructure':
+        return this.addInfrastructureAssessmentRestructured(pdf, reportData, yPosition, options);
+      case 'inventory':
+        return this.addInventoryTable(pdf, reportData, yPosition);
+      case 'specialStations':
+        return this.addSpecialStations(pdf, reportData, yPosition);
+      case 'actionItems':
+        // PC repairs, Issues & Problems, Recommendations, Follow-up items
+        return this.addCombinedTable(pdf, reportData, yPosition);
+      case 'trainingRoomPhotos':
+        return this.addTrainingRoomPictures(pdf, reportData, yPosition);
+      case 'sccmPCs':
+        return this.addSCCMPCManagementTable(pdf, reportData, yPosition);
+      case 'recycling':
+        return reportData.recycling && (reportData.recycling.broughtBack?.length || reportData.recycling.pickupRequired?.length)
+          ? this.addRecyclingSection(pdf, reportData, yPosition)
+          : yPosition;
+      case 'powerSystems':
+        return reportData.powerSystems && Object.keys(reportData.powerSystems).length > 0
+          ? this.addEnhancedPowerSystemsSection(pdf, reportData.powerSystems, yPosition)
+          : yPosition;
+      case 'networkInfrastructure':
+        return reportData.networkInfrastructure && Object.keys(reportData.networkInfrastructure).length > 0
+          ? this.addEnhancedNetworkInfrastructureSection(pdf, reportData.networkInfrastructure, yPosition)
+          : yPosition;
+      case 'appendices':
+        return this.addAppendices(pdf, reportData, yPosition);
+      default:
+        return yPosition;
+    }
+  }
 
-      // 6. Special Stations: Listed in a row
-      yPosition = this.addSpecialStations(pdf, reportData, yPosition);
+  /**
+   * Continue on a new page unless the current one is still empty
+   */
+  startNewPage(pdf, yPosition) {
+    const top = this.pageMargin + 15;
+    if (yPosition <= top) return yPosition;
+    pdf.addPage();
+    return top;
+  }
 
-      // 7. Combined Table: PC repairs, Issues & Problems, Recommendations, Follow-up items
-      yPosition = this.addCombinedTable(pdf, reportData, yPosition);
+  /**
+   * Record a section heading on the current page for the table of contents
+   * and the PDF outline
+   * @param {string} title - Heading text
+   * @param {number} yPosition - Baseline of the heading
+   * @param {number} level - 0 for sections, 1 for subsections
+   */
+  addBookmark(pdf, title, yPosition, level = 0) {
+    if (!documentSections.has(pdf)) documentSections.set(pdf, []);
+    documentSections.get(pdf).push({
+      title: this.sanitizeText(title).trim(),
+      level,
+      pageNumber: pdf.internal.getCurrentPageInfo().pageNumber,
+      yPosition
+    });
+  }
 
-      // 8. Training Room Pictures
-      if (includePhotos) {
-        yPosition = await this.addTrainingRoomPictures(pdf, reportData, yPosition);
-      }
+  /**
+   * Add a clickable table of contents on the first page, starting at
+   * yPosition. Pages are inserted after it when the entries do not fit,
+   * and the recorded headings move down accordingly.
+   * @param {Object} options - { links: false to leave out the page links }
+   */
+  addTableOfContents(pdf, yPosition, { links = true } = {}) {
+    const entries = documentSections.get(pdf) || [];
+    if (entries.length === 0) return;
+
+    const lineHeight = 7;
+    const top = this.pageMargin + 15;
+    const bottom = this.pageHeight - this.layout.footerHeight - 10;
+    const firstPageLines = Math.max(0, Math.floor((bottom - yPosition - 25) / lineHeight));
+    const otherPageLines = Math.floor((bottom - top) / lineHeight);
+    const extraPages = Math.ceil(Math.max(0, entries.length - firstPageLines) / otherPageLines);
+
+    for (let page = 2; page < 2 + extraPages; page++) {
+      pdf.insertPage(page);
+    }
+    entries.forEach((entry) => {
+      entry.pageNumber += extraPages;
+    });
 
-      // 9. SCCM PC Management Table
-      yPosition = this.addSCCMPCManagementTable(pdf, reportData, yPosition);
+    pdf.setPage(1);
+    let yPos = yPosition;
+    this.applyStyle(pdf, 'sectionHeader', 'primary');
+    pdf.text('Contents', this.pageMargin, yPos);
+    yPos += 12;
+    yPos = this.drawSectionDivider(pdf, yPos);
 
-      // 10. Recycling (if present)
-      if (reportData.recycling && (reportData.recycling.broughtBack?.length || reportData.recycling.pickupRequired?.length)) {
-        yPosition = this.addRecyclingSection(pdf, reportData, yPosition);
+    const right = this.pageWidth - this.pageMargin;
+    let page = 1;
+    entries.forEach((entry) => {
+      if (yPos + lineHeight > bottom) {
+        page += 1;
+        pdf.setPage(page);
+        yPos = top;
       }
 
-      // 11. Power Systems (if present)
-      if (reportData.powerSystems && Object.keys(reportData.powerSystems).length > 0) {
-        yPosition = this.addEnhancedPowerSystemsSection(pdf, reportData.powerSystems, yPosition);
+      const x = this.pageMargin + entry.level * 8;
+      const pageLabel = String(entry.pageNumber);
+      this.applyStyle(pdf, entry.level === 0 ? 'bodyLarge' : 'body', entry.level === 0 ? 'text' : 'secondary');
+      const [title] = pdf.splitTextToSize(entry.title, right - x - 20);
+      pdf.text(title, x, yPos);
+      pdf.text(pageLabel, right, yPos, { align: 'right' });
+
+      // Dotted leader between the title and the page number
+      pdf.setDrawColor(...this.colors.border);
+      pdf.setLineWidth(0.2);
+      pdf.setLineDashPattern([0.5, 1], 0);
+      pdf.line(x + pdf.getTextWidth(title) + 2, yPos, right - pdf.getTextWidth(pageLabel) - 2, yPos);
+      pdf.setLineDashPattern([], 0);
+
+      if (links) {
+        pdf.link(x, yPos - lineHeight + 2, right - x, lineHeight, {
+          pageNumber: entry.pageNumber,
+          top: Math.max(0, entry.yPosition - 10)
+        });
       }
+      yPos += lineHeight;
+    });
+  }
 
-      // 12. Network Infrastructure (if present)
-      if (reportData.networkInfrastructure && Object.keys(reportData.networkInfrastructure).length > 0) {
-        yPosition = this.addEnhancedNetworkInfrastructureSection(pdf, reportData.networkInfrastructure, yPosition);
+  /**
+   * Embed Liberation Sans as the helvetica family the report is drawn in
+   */
+  async embedArchivalFonts(pdf) {
+    const fonts = await Promise.all(ARCHIVAL_FONTS.map(async (font) => {
+      const response = await fetch(font.url);
+      if (!response.ok) {
+        throw new Error(`Could not load the ${font.file} font for PDF/A output`);
       }
+      return { ...font, data: toBinaryString(new Uint8Array(await response.arrayBuffer())) };
+    }));
 
-      // Add footer to all pages
-      this.addFooters(pdf, reportData);
+    fonts.forEach(({ style, file, data }) => {
+      pdf.addFileToVFS(file, btoa(data));
+      pdf.addFont(file, 'helvetica', style);
+    });
+    pdf.setFont('helvetica', 'normal');
+  }
 
-      return pdf;
+  /**
+   * Write the PDF/A-3b parts: document information with matching XMP
+   * metadata, the sRGB output intent and the raw report JSON as an
+   * associated file, so the data can be recovered from the archived PDF
+   * @param {Object} archival - { report, reportNumber }
+   */
+  addArchivalParts(pdf, reportData, title, { report, reportNumber } = {}) {
+    const createdAt = new Date();
+    const office = toDocumentInfoText(reportData.location?.name || reportData.organization?.name);
+    const technician = toDocumentInfoText(reportData.technician?.name);
+    const visitDate = toDocumentInfoText(reportData.visitDate);
+    const properties = {
+      title: toDocumentInfoText(title),
+      author: technician,
+      subject: toDocumentInfoText(`Visit report for ${office}, ${visitDate}`),
+      keywords: toDocumentInfoText(['RSS visit report', office, reportNumber].filter(Boolean).join(', ')),
+      creator: 'RSS Visit Report'
+    };
 
-    } catch (error) {
-      console.error('PDF generation error:', error);
-      throw new Error(`Failed to generate PDF: ${error.message}`);
+    pdf.setDocumentProperties(properties);
+    pdf.setCreationDate(toPdfDate(createdAt));
+
+    const encoder = new TextEncoder();
+    const xmp = toBinaryString(encoder.encode(buildArchiveXmp({
+      ...properties,
+      producer: `jsPDF ${jsPDF.version}`,
+      createdAt,
+      office,
+      technician,
+      visitDate,
+      reportNumber: toDocumentInfoText(reportNumber)
+    })));
+    const iccProfile = toBinaryString(createSrgbIccProfile());
+    const reportJson = toBinaryString(encoder.encode(JSON.stringify(report ?? reportData, null, 2)));
+    const attachmentName = 'visit-report.json';
+
+    const objects = {};
+    pdf.internal.events.subscribe('postPutResources', () => {
+      const { newObject, write } = pdf.internal;
+
+      objects.metadata = newObject();
+      write(`<< /Type /Metadata /Subtype /XML /Length ${xmp.length} >>`);
+      write('stream');
+      write(xmp);
+      write('endstream');
+      write('endobj');
+
+      objects.iccProfile = newObject();
+      write(`<< /N 3 /Length ${iccProfile.length} >>`);
+      write('stream');
+      write(iccProfile);
+      write('endstream');
+      write('endobj');
+
+      objects.reportJson = newObject();
+      write(`<< /Type /EmbeddedFile /Subtype /application#2Fjson /Params << /Size ${reportJson.length} /ModDate (${toPdfDate(createdAt)}) >> /Length ${reportJson.length} >>`);
+      write('stream');
+      write(reportJson);
+      write('endstream');
+      write('endobj');
+
+      objects.fileSpec = newObject();
+      write(`<< /Type /Filespec /F (${attachmentName}) /UF (${attachmentName}) /Desc (Report data) /AFRelationship /Source /EF << /F ${objects.reportJson} 0 R /UF ${objects.reportJson} 0 R >> >>`);
+      write('endobj');
+    });
+
+    pdf.internal.events.subscribe('putCatalog', () => {
+      const { write } = pdf.internal;
+      write(`/Metadata ${objects.metadata} 0 R`);
+      write(`/OutputIntents [<< /Type /OutputIntent /S /GTS_PDFA1 /OutputConditionIdentifier (sRGB IEC61966-2.1) /Info (sRGB IEC61966-2.1) /DestOutputProfile ${objects.iccProfile} 0 R >>]`);
+      write(`/Names << /EmbeddedFiles << /Names [(${attachmentName}) ${objects.fileSpec} 0 R] >> >>`);
+      write(`/AF [${objects.fileSpec} 0 R]`);
+    });
+  }
+
+  /**
+   * Add the recorded headings as PDF outline bookmarks, subsections nested
+   * under their section
+   */
+  addOutline(pdf) {
+    const entries = documentSections.get(pdf) || [];
+    let parent = null;
+    entries.forEach((entry) => {
+      const item = pdf.outline.add(entry.level > 0 ? parent : null, entry.title, { pageNumber: entry.pageNumber });
+      if (entry.level === 0) parent = item;
+    });
+    if (entries.length > 0) {
+      pdf.setDisplayMode(undefined, undefined, 'UseOutlines');
     }
   }
 
@@ -505,52 +784,185 @@ class PDFReportService {
   }
 
   /**
-   * Generate PDF and email it
+   * Generate a visit comparison PDF for two reports of the same office
+   * @param {Object} first - Report data of one visit
+   * @param {Object} second - Report data of the other visit; order does not matter
+   * @param {Object} options - { title, format, orientation }
+   * @returns {jsPDF} The generated document
+   */
+  generateComparisonPDF(first, second, options = {}) {
+    if (!isSameOffice(first, second)) {
+      throw new Error('Visits can only be compared for the same office');
+    }
+
+    const {
+      title = 'Visit Comparison',
+      format = 'a4',
+      orientation = 'portrait'
+    } = options;
+
+    const pdf = new jsPDF({ orientation, unit: 'mm', format });
+    const { width, height } = pdf.internal.pageSize;
+    this.pageWidth = width;
+    this.pageHeight = height;
+
+    const comparison = compareVisits(first, second);
+    const newer = comparison.to === second.date ? second : first;
+    const headerData = {
+      location: { name: comparison.office },
+      visitDate: comparison.to,
+      technician: newer.rss || undefined
+    };
+
+    let yPosition = this.addCleanHeader(pdf, title, headerData);
+    yPosition = this.addVisitComparison(pdf, comparison, yPosition);
+    this.addOutline(pdf);
+    this.addFooters(pdf, headerData);
+
+    return pdf;
+  }
+
+  /**
+   * Generate and download a visit comparison PDF
+   */
+  downloadComparisonPDF(first, second, filename = null, options = {}) {
+    const pdf = this.generateComparisonPDF(first, second, options);
+    const { office, from, to } = compareVisits(first, second);
+    const finalFilename = filename || `RSS_Visit_Comparison_${office || 'Unknown'}_${from || 'unknown'}_to_${to || 'unknown'}.pdf`;
+
+    pdf.save(finalFilename);
+
+    return {
+      success: true,
+      filename: finalFilename,
+      size: pdf.internal.pages.length
+    };
+  }
+
+  /**
+   * Add the Changes Since Last Visit section
+   * @param {Object} comparison - Result of compareVisits
+   */
+  addVisitComparison(pdf, comparison, yPosition) {
+    let yPos = this.checkSectionPageBreak(pdf, yPosition, 40, 80);
+
+    this.applyStyle(pdf, 'sectionHeader', 'primary');
+    pdf.text('Changes Since Last Visit', this.pageMargin, yPos);
+    this.addBookmark(pdf, 'Changes Since Last Visit', yPos);
+    yPos += 12;
+    yPos = this.drawSectionDivider(pdf, yPos);
+
+    this.applyStyle(pdf, 'body', 'secondary');
+    pdf.text(`Visit of ${comparison.to || 'N/A'} compared with visit of ${comparison.from || 'N/A'}`, this.pageMargin, yPos);
+    yPos += 12;
+
+    if (!comparison.hasChanges) {
+      this.applyStyle(pdf, 'body', 'text');
+      pdf.text('No changes since the last visit', this.pageMargin, yPos);
+      return yPos + 15;
+    }
+
+    const signed = (value) => (value > 0 ? `+${value}` : String(value));
+    const subsection = (heading, rows, headers) => {
+      yPos = this.checkPageBreak(pdf, yPos, 30);
+      this.applyStyle(pdf, 'subHeaderLight', 'secondary');
+      pdf.text(heading, this.pageMargin, yPos);
+      yPos += 8;
+
+      if (rows.length > 0) {
+        yPos = this.addTable(pdf, rows, yPos, headers);
+      } else {
+        this.applyStyle(pdf, 'body', 'textMuted');
+        pdf.text('No changes', this.pageMargin, yPos);
+        yPos += 12;
+      }
+    };
+
+    subsection(
+      'Inventory',
+      comparison.inventory.flatMap(({ item, changes }) => changes.map((change) => [
+        item, change.field, String(change.from), String(change.to), signed(change.delta)
+      ])),
+      ['Item', 'Count', 'Before', 'After', 'Change']
+    );
+
+    subsection(
+      'Grades',
+      comparison.grading.map((grade) => [grade.section, grade.category, grade.from || 'N/A', grade.to || 'N/A']),
+      ['Area', 'Category', 'Before', 'After']
+    );
+
+    const { added, removed, moved } = comparison.devices;
+    const position = (value) => this.sanitizeText(String(value).replace(/›/g, '/'));
+    subsection(
+      'Rack Devices',
+      [
+        ...added.map((entry) => ['Added', this.sanitizeText(entry.device), '', `${entry.location} / ${entry.rack}`]),
+        ...removed.map((entry) => ['Removed', this.sanitizeText(entry.device), `${entry.location} / ${entry.rack}`, '']),
+        ...moved.map((entry) => ['Moved', this.sanitizeText(entry.device), position(entry.from), position(entry.to)])
+      ],
+      ['Change', 'Device', 'Before', 'After']
+    );
+
+    const { opened, closed, stillOpen } = comparison.issues;
+    subsection(
+      `Issues (${stillOpen} still open)`,
+      [
+        ...opened.map((issue) => ['Opened', this.sanitizeText(issue.title), issue.severity || 'N/A', issue.status]),
+        ...closed.map((issue) => ['Closed', this.sanitizeText(issue.title), issue.severity || 'N/A', issue.status])
+      ],
+      ['Change', 'Issue', 'Severity', 'Status']
+    );
+
+    return yPos + 10;
+  }
+
+  /**
+   * Generate PDF and email it through the server's SMTP relay
+   * @param {Object} reportData - Report data in the shape generatePDF expects
+   * @param {Object} emailOptions - { recipients, cc, bcc, subject, message, filename, reportId }
+   * @param {Object} pdfOptions - Options passed to generatePDF
+   * @returns {Object} { messageId, deliveryIds, accepted, rejected, attempts }
    */
-  async emailPDF(reportData, emailOptions = {}) {
+  async emailPDF(reportData, emailOptions = {}, pdfOptions = {}) {
     try {
       const {
         recipients = [],
         subject = 'RSS Visit Report',
         message = 'Please find the attached visit report.',
         cc = [],
-        bcc = []
+        bcc = [],
+        filename = `RSS_Visit_Report_${new Date().toISOString().split('T')[0]}.pdf`,
+        reportId = reportData.id
       } = emailOptions;
 
       // Generate PDF blob
-      const pdf = await this.generatePDF(reportData);
+      const pdf = await this.generatePDF(reportData, pdfOptions);
       const pdfBlob = pdf.output('blob');
 
       // Convert to base64 for email
       const base64PDF = await this.blobToBase64(pdfBlob);
 
-      // Send email via API
-      const response = await enhancedAuthService.apiRequest(
-        `${this.apiUrl}/reports/email`,
-        {
-          method: 'POST',
-          body: JSON.stringify({
-            recipients,
-            cc,
-            bcc,
-            subject,
-            message,
-            attachments: [{
-              filename: `RSS_Visit_Report_${new Date().toISOString().split('T')[0]}.pdf`,
-              content: base64PDF,
-              contentType: 'application/pdf'
-            }],
-            reportId: reportData.id
-          })
-        }
-      );
-
-      if (!response.ok) {
-        throw new Error('Failed to send email');
-      }
-
-      const result = await response.json();
-      return result;
+      // The server retries SMTP failures itself and records every attempt,
+      // so a client retry would only send duplicates
+      return await enhancedAuthService.apiRequest('/reports/email', {
+        method: 'POST',
+        body: JSON.stringify({
+          recipients,
+          cc,
+          bcc,
+          subject,
+          message,
+          attachments: [{
+            filename,
+            content: base64PDF,
+            contentType: 'application/pdf'
+          }],
+          reportId
+        }),
+        retryAttempts: 1,
+        timeout: 120000
+      });
 
     } catch (error) {
       console.error('Email PDF error:', error);
@@ -712,6 +1124,7 @@ class PDFReportService {
     // Section title - clean without symbols, with proper spacing
     this.applyStyle(pdf, 'sectionHeader', 'primary');
     pdf.text('Summary', this.pageMargin, yPos);
+    this.addBookmark(pdf, 'Summary', yPos);
     yPos += 15; // Increased spacing between title and divider to prevent overlapping
     
     // Section divider
@@ -740,6 +1153,7 @@ class PDFReportService {
     // Section title
     this.applyStyle(pdf, 'sectionHeader', 'primary');
     pdf.text('Office Assessment Grades', this.pageMargin, yPos);
+    this.addBookmark(pdf, 'Office Assessment Grades', yPos);
     yPos += 12;
     
     // Section divider
@@ -765,13 +1179,15 @@ class PDFReportService {
 
   /**
    * Add Infrastructure Assessment - Restructured with fixed title and specific order
+   * @param {Object} options - Data Closet Management parts, see addDataClosetManagement
    */
-  async addInfrastructureAssessmentRestructured(pdf, reportData, yPosition, includeRackDiagrams = true) {
+  async addInfrastructureAssessmentRestructured(pdf, reportData, yPosition, options = {}) {
     let yPos = this.checkPageBreak(pdf, yPosition, 60);
 
     // Section title - clean without symbols
     this.applyStyle(pdf, 'sectionHeader', 'primary');
     pdf.text('Infrastructure Assessment', this.pageMargin, yPos);
+    this.addBookmark(pdf, 'Infrastructure Assessment', yPos);
     yPos += 12;
     
     // Section divider
@@ -782,7 +1198,7 @@ class PDFReportService {
     yPos = this.addDataClosetAssessment(pdf, reportData, yPos);
     
     // Data Closet Management with specific order
-    yPos = await this.addDataClosetManagement(pdf, reportData, yPos, includeRackDiagrams);
+    yPos = await this.addDataClosetManagement(pdf, reportData, yPos, options);
 
     return yPos;
   }
@@ -796,6 +1212,7 @@ class PDFReportService {
     // Subsection title
     this.applyStyle(pdf, 'subHeader', 'primary');
     pdf.text('Data Closet Assessment', this.pageMargin, yPos);
+    this.addBookmark(pdf, 'Data Closet Assessment', yPos, 1);
     yPos += 10;
 
     // Assessment content
@@ -842,31 +1259,43 @@ class PDFReportService {
 
   /**
    * Add Data Closet Management with specific order
+   * @param {Object} options - { rackDiagrams, powerMapping, deviceTables, environment, rackPhotos };
+   *   parts are included unless set to false
    */
-  async addDataClosetManagement(pdf, reportData, yPosition, includeRackDiagrams = true) {
+  async addDataClosetManagement(pdf, reportData, yPosition, options = {}) {
+    const include = (part) => options[part] !== false;
     let yPos = this.checkPageBreak(pdf, yPosition, 30);
 
     // Subsection title
     this.applyStyle(pdf, 'subHeader', 'primary');
     pdf.text('Data Closet Management', this.pageMargin, yPos);
+    this.addBookmark(pdf, 'Data Closet Management', yPos, 1);
     yPos += 10;
 
     // 1. Picture of rack layout
-    if (includeRackDiagrams) {
+    if (include('rackDiagrams')) {
       yPos = await this.addRackLayoutPictures(pdf, reportData, yPos);
     }
 
     // 2. Picture of power outlet mapping
-    yPos = await this.addPowerOutletMapping(pdf, reportData, yPos);
+    if (include('powerMapping')) {
+      yPos = await this.addPowerOutletMapping(pdf, reportData, yPos);
+    }
 
     // 3. Table showing all device information for each rack
-    yPos = this.addDeviceInformationTables(pdf, reportData, yPos);
+    if (include('deviceTables')) {
+      yPos = this.addDeviceInformationTables(pdf, reportData, yPos);
+    }
 
     // 4. Environment information
-    yPos = this.addEnvironmentInformation(pdf, reportData, yPos);
+    if (include('environment')) {
+      yPos = this.addEnvironmentInformation(pdf, reportData, yPos);
+    }
 
     // 5. Pictures from the rack
-    yPos = await this.addRackPictures(pdf, reportData, yPos);
+    if (include('rackPhotos')) {
+      yPos = await this.addRackPictures(pdf, reportData, yPos);
+    }
 
     return yPos;
   }
@@ -880,6 +1309,7 @@ class PDFReportService {
     // Section title
     this.applyStyle(pdf, 'sectionHeader', 'primary');
     pdf.text('Office Inventory', this.pageMargin, yPos);
+    this.addBookmark(pdf, 'Office Inventory', yPos);
     yPos += 8;
     
     // Section divider
@@ -1021,6 +1451,7 @@ class PDFReportService {
     // Section title
     this.applyStyle(pdf, 'sectionHeader', 'primary');
     pdf.text('Special Stations', this.pageMargin, yPos);
+    this.addBookmark(pdf, 'Special Stations', yPos);
     yPos += 8;
     
     // Section divider
@@ -1111,6 +1542,7 @@ class PDFReportService {
     // Section title
     this.applyStyle(pdf, 'sectionHeader', 'primary');
     pdf.text('Issues, Recommendations & Actions', this.pageMargin, yPos);
+    this.addBookmark(pdf, 'Issues, Recommendations & Actions', yPos);
     yPos += 8;
     
     // Section divider
@@ -1231,6 +1663,7 @@ class PDFReportService {
     // Section title
     this.applyStyle(pdf, 'sectionHeader', 'primary');
     pdf.text('Training Room Pictures', this.pageMargin, yPos);
+    this.addBookmark(pdf, 'Training Room Pictures', yPos);
     yPos += 8;
     
     // Section divider
@@ -1295,6 +1728,7 @@ class PDFReportService {
     // Section title
     this.applyStyle(pdf, 'sectionHeader', 'primary');
     pdf.text('SCCM PC Management Table', this.pageMargin, yPos);
+    this.addBookmark(pdf, 'SCCM PC Management', yPos);
     yPos += 8;
     
     // Section divider
@@ -1365,21 +1799,7 @@ class PDFReportService {
     pdf.text('Rack Layout Diagrams:', this.pageMargin, yPos);
     yPos += 10;
 
-    // Try to capture live rack visualizer diagrams first
-    const rackDiagrams = await this.captureRackVisualizers(reportData);
-    
-    if (rackDiagrams.length > 0) {
-      this.applyStyle(pdf, 'body', 'textMuted');
-      pdf.text(`Generated ${rackDiagrams.length} rack ${rackDiagrams.length === 1 ? 'diagram' : 'diagrams'}:`, this.pageMargin, yPos);
-      yPos += 8;
-      
-      for (const diagram of rackDiagrams) {
-        yPos = await this.addCapturedImage(pdf, diagram, yPos);
-      }
-      return yPos + 5;
-    }
-
-    // Programmatic fallback: grid of rack diagrams grouped by location
+    // Rack elevations drawn from the rack data, grouped by location
     if (reportData.racks && reportData.racks.length > 0) {
       yPos = this.addRackDiagramsGrid(pdf, reportData, yPos);
       return yPos + 5;
@@ -1418,7 +1838,7 @@ class PDFReportService {
       yPos = await this.addPhotoGrid(pdf, rackLayoutPhotos, yPos, { cols: 2, imageHeight: 70 });
     } else {
       this.applyStyle(pdf, 'body', 'secondary');
-      pdf.text('No rack layout diagrams found. Please ensure rack visualizers are visible when generating the report.', this.pageMargin, yPos);
+      pdf.text('No racks or rack layout diagrams recorded', this.pageMargin, yPos);
       yPos += 15;
     }
 
@@ -1817,7 +2237,7 @@ class PDFReportService {
    * Legacy method - kept for compatibility (now redirected to new Infrastructure Assessment)
    */
   addInfrastructureAssessment(pdf, reportData, yPosition) {
-    return this.addInfrastructureAssessmentRestructured(pdf, reportData, yPosition, true);
+    return this.addInfrastructureAssessmentRestructured(pdf, reportData, yPosition);
   }
 
 
@@ -2148,37 +2568,10 @@ class PDFReportService {
     pdf.text(this.sanitizeText(`${rackTitle}`), this.pageMargin, yPos);
     yPos += 15;
 
-    // Try to capture rack visualization from DOM
-    try {
-      const rackElement = document.querySelector(`[data-rack-id="${rack.id}"]`);
-      if (rackElement) {
-        const canvas = await html2canvas(rackElement, {
-          scale: 2,
-          useCORS: true,
-          backgroundColor: '#ffffff',
-          logging: false,
-          allowTaint: true
-        });
-
-        const imgData = canvas.toDataURL('image/png');
-        const imgWidth = 120; // mm - larger for better visibility
-        const imgHeight = (canvas.height * imgWidth) / canvas.width;
-
-        yPos = this.checkPageBreak(pdf, yPos, imgHeight + 20);
-        
-        // Add border around rack diagram
-        pdf.setDrawColor(...this.colors.border);
-        pdf.setLineWidth(0.5);
-        pdf.rect(this.pageMargin - 2, yPos - 2, imgWidth + 4, imgHeight + 4);
-        
-        pdf.addImage(imgData, 'PNG', this.pageMargin, yPos, imgWidth, imgHeight);
-        yPos += imgHeight + 15;
-      }
-    } catch (error) {
-      console.warn('Failed to capture rack diagram:', error);
-      // Draw from structured data instead of DOM capture
-      yPos = this.drawRackDiagramFromData(pdf, rack, yPos);
-    }
+    // Rack elevation drawn from the rack data
+    const elevationWidth = Math.min(120, this.pageWidth - (this.pageMargin * 2));
+    yPos = this.checkPageBreak(pdf, yPos, this.measureRackElevation(rack).height);
+    yPos = this.drawRackElevation(pdf, rack, this.pageMargin, yPos, elevationWidth) + 8;
 
     // Add professional rack details table
     const rackData = [
@@ -2210,92 +2603,7 @@ class PDFReportService {
   }
 
   /**
-   * Programmatically draw a rack diagram from rack/devices data (no DOM required)
-   */
-  drawRackDiagramFromData(pdf, rack, yPosition) {
-    let yPos = this.checkPageBreak(pdf, yPosition, 120);
-    const rackHeightU = parseInt(rack.height || 42, 10);
-    const header = rack.locationName ? `${rack.name || 'Rack'} (${rack.locationName})` : (rack.name || 'Rack');
-
-    this.applyStyle(pdf, 'subHeader', 'primary');
-    pdf.text(this.sanitizeText(`${header}`), this.pageMargin, yPos);
-    yPos += 6;
-
-    // Diagram sizing
-    const maxWidth = this.pageWidth - (this.pageMargin * 2);
-    const diagramWidth = Math.min(120, maxWidth);
-    const maxDiagramHeight = 150; // mm allowed for diagram
-    let unitHeight = 3.5; // mm per U baseline (slightly taller for readability)
-    let totalHeight = rackHeightU * unitHeight;
-    if (totalHeight > maxDiagramHeight) {
-      const scale = maxDiagramHeight / totalHeight;
-      unitHeight *= scale;
-      totalHeight = rackHeightU * unitHeight;
-    }
-
-    // Outer rack frame
-    const x = this.pageMargin;
-    yPos = this.checkPageBreak(pdf, yPos, totalHeight + 24);
-    pdf.setDrawColor(...this.colors.border);
-    pdf.setLineWidth(0.6);
-    pdf.rect(x, yPos, diagramWidth, totalHeight);
-
-    // U grid (top is highest U)
-    pdf.setLineWidth(0.2);
-    pdf.setDrawColor(...this.colors.borderLight);
-    pdf.setGState(pdf.GState({ opacity: 0.6 }));
-    for (let i = 1; i < rackHeightU; i++) {
-      const gy = yPos + (i * unitHeight);
-      pdf.line(x, gy, x + diagramWidth, gy);
-    }
-    pdf.setGState(pdf.GState({ opacity: 1 }));
-
-    // Devices blocks
-    const devices = Array.isArray(rack.devices) ? rack.devices : [];
-    devices.forEach(device => {
-      const start = this.parsePosition(device.startUnit || device.position || device.uPosition || 0);
-      const span = parseInt(device.unitSpan || device.heightU || 1, 10) || 1;
-      if (start <= 0) return;
-      const topFromBottom = (rackHeightU - (start + span - 1)) * unitHeight;
-      const dy = yPos + topFromBottom;
-      const dh = span * unitHeight;
-      const margin = 2;
-      const dx = x + margin;
-      const dw = diagramWidth - (margin * 2);
-
-      // Device block background
-      pdf.setFillColor(...this.colors.lightAlt);
-      pdf.rect(dx, dy, dw, dh, 'F');
-      pdf.setDrawColor(...this.colors.secondary);
-      pdf.setLineWidth(0.3);
-      pdf.rect(dx, dy, dw, dh);
-
-      // Label
-      this.applyStyle(pdf, 'caption', 'text');
-      const label = this.sanitizeText((device.name || device.deviceName || device.hostname || device.type || 'Device').toString());
-      // Center label vertically inside the block, with a small left padding
-      const textY = dy + (dh / 2) + 1.5;
-      const clipped = label.length > 40 ? label.slice(0, 37) + '…' : label;
-      pdf.text(clipped, dx + 2, textY);
-    });
-
-    yPos += totalHeight + 6;
-
-    // Specs table
-    const rackData = [
-      ['Rack Height', `${rackHeightU}U`],
-      ['Installed Devices', `${devices.length}`],
-    ];
-    if (rack.utilization != null) rackData.push(['Space Utilization', `${rack.utilization}%`]);
-    if (rack.powerDraw) rackData.push(['Power Consumption', `${rack.powerDraw}W`]);
-
-    yPos = this.addProfessionalTable(pdf, rackData, yPos, ['Specification', 'Value'], [0.6, 0.4], { headerBackground: false });
-
-    return yPos + 4;
-  }
-
-  /**
-   * Arrange racks in a responsive grid by location: 2 per row where possible
+   * Arrange rack elevations in a grid by location, 2 per row
    */
   addRackDiagramsGrid(pdf, reportData, yPosition) {
     let yPos = yPosition;
@@ -2306,121 +2614,166 @@ class PDFReportService {
       return acc;
     }, {});
 
+    const gap = 8;
+    const colWidth = (this.pageWidth - (this.pageMargin * 2) - gap) / 2;
+
     Object.entries(byLocation).forEach(([locationName, locationRacks]) => {
       // Location header on one line
-      this.applyStyle(pdf, 'subHeader', 'secondary');
       yPos = this.checkSectionPageBreak(pdf, yPos, 18, 60);
+      this.applyStyle(pdf, 'subHeader', 'secondary');
       pdf.text(this.sanitizeText(locationName), this.pageMargin, yPos);
       yPos += 6;
 
-      // Layout: 2 columns per row
-      const gap = 8;
-      const availableWidth = this.pageWidth - (this.pageMargin * 2);
-      const colWidth = (availableWidth - gap) / 2;
-      let colIndex = 0;
-      let rowStartY = yPos;
-      let rowMaxHeight = 0;
-
-      const drawAt = (rack, x, y) => {
-        const beforePage = pdf.internal.getNumberOfPages();
-        const yAfter = this.drawRackDiagramFromDataAt(pdf, rack, x, y, colWidth);
-        const afterPage = pdf.internal.getNumberOfPages();
-        // If a page break happened, reset row tracking
-        if (afterPage !== beforePage) {
-          rowStartY = this.pageMargin + 15;
-          return rowStartY;
-        }
-        rowMaxHeight = Math.max(rowMaxHeight, yAfter - y);
-        return yAfter;
-      };
-
-      locationRacks.forEach((rack, idx) => {
-        const x = this.pageMargin + (colIndex === 0 ? 0 : (colWidth + gap));
-        const y = colIndex === 0 ? rowStartY : rowStartY;
-        const yAfter = drawAt(rack, x, y);
-        colIndex = (colIndex + 1) % 2;
-        if (colIndex === 0) {
-          // move to next row baseline
-          rowStartY = y + rowMaxHeight + 10;
-          yPos = rowStartY;
-          rowMaxHeight = 0;
-        }
-      });
-
-      if (colIndex === 1) {
-        // finalize dangling row
-        yPos = rowStartY + rowMaxHeight + 10;
+      for (let index = 0; index < locationRacks.length; index += 2) {
+        const row = locationRacks.slice(index, index + 2);
+        const rowHeight = Math.max(...row.map((rack) => this.measureRackElevation(rack).height));
+        yPos = this.checkPageBreak(pdf, yPos, rowHeight);
+        row.forEach((rack, column) => {
+          this.drawRackElevation(pdf, rack, this.pageMargin + column * (colWidth + gap), yPos, colWidth);
+        });
+        yPos += rowHeight + 6;
       }
-      yPos += 6;
     });
 
-    return yPos;
+    return this.addRackLegend(pdf, racks, yPos);
   }
 
   /**
-   * Draw the rack diagram at a fixed x, and a constrained width
+   * Size of a rack elevation: the unit height fits the tallest racks within
+   * a page, and the total includes the name and utilization lines above it
    */
-  drawRackDiagramFromDataAt(pdf, rack, x, yPosition, maxWidth) {
-    let yPos = this.checkPageBreak(pdf, yPosition, 120);
-    const rackHeightU = parseInt(rack.height || 42, 10);
-    const header = rack.locationName ? `${rack.name || 'Rack'} (${rack.locationName})` : (rack.name || 'Rack');
+  measureRackElevation(rack) {
+    const rackHeightU = parseInt(rack.height, 10) || RACK_CONFIG.DEFAULT_HEIGHT;
+    const unitHeight = Math.min(3.2, 140 / rackHeightU);
+    const headerHeight = 12;
+    return { rackHeightU, unitHeight, headerHeight, height: headerHeight + rackHeightU * unitHeight + 2 };
+  }
 
+  /**
+   * Draw a rack elevation with vector shapes: U numbers, device blocks in
+   * their type colors with labels, and utilization. Devices are placed and
+   * colored as in the rack diagram on the Storage page, so no rendered DOM
+   * is needed.
+   * @returns {number} Y position below the drawing
+   */
+  drawRackElevation(pdf, rack, x, yPosition, width) {
+    const { rackHeightU, unitHeight, headerHeight, height } = this.measureRackElevation(rack);
+    const { devices, utilization } = layoutRackDevices({ ...rack, height: rackHeightU });
+
+    // Name, then a utilization bar as in the rack header on screen
     this.applyStyle(pdf, 'captionBold', 'primary');
-    pdf.text(this.sanitizeText(`${header}`), x, yPos);
-    yPos += 4;
-
-    // Compute diagram sizes
-    const diagramWidth = Math.min(110, maxWidth);
-    const maxDiagramHeight = 145;
-    let unitHeight = 3.2;
-    let totalHeight = rackHeightU * unitHeight;
-    if (totalHeight > maxDiagramHeight) {
-      const scale = maxDiagramHeight / totalHeight;
-      unitHeight *= scale;
-      totalHeight = rackHeightU * unitHeight;
+    pdf.text(this.fitText(pdf, this.sanitizeText(rack.name || 'Rack'), width), x, yPosition + 3);
+
+    const barY = yPosition + 6;
+    const barWidth = Math.max(20, width - 38);
+    pdf.setFillColor(...this.colors.borderLight);
+    pdf.roundedRect(x, barY, barWidth, 2, 1, 1, 'F');
+    if (utilization.percentage > 0) {
+      pdf.setFillColor(UTILIZATION_COLORS[utilization.status]);
+      pdf.roundedRect(x, barY, Math.max(2, barWidth * Math.min(utilization.percentage, 100) / 100), 2, 1, 1, 'F');
     }
+    this.applyStyle(pdf, 'caption', 'textMuted');
+    pdf.setFontSize(7);
+    pdf.text(`${utilization.percentage}% (${utilization.occupied}/${utilization.total}U)`, x + barWidth + 2, barY + 1.8);
+
+    // Frame with a U number column on the left
+    const numberWidth = 7;
+    const frameX = x + numberWidth;
+    const frameWidth = width - numberWidth;
+    const frameTop = yPosition + headerHeight;
+    const frameHeight = rackHeightU * unitHeight;
+    pdf.setFillColor(...this.colors.light);
+    pdf.setDrawColor(...this.colors.secondary);
+    pdf.setLineWidth(0.5);
+    pdf.rect(frameX, frameTop, frameWidth, frameHeight, 'FD');
 
-    // Frame
-    yPos = this.checkPageBreak(pdf, yPos, totalHeight + 20);
-    pdf.setDrawColor(...this.colors.border);
-    pdf.setLineWidth(0.6);
-    pdf.rect(x, yPos, diagramWidth, totalHeight);
-
-    // Grid
-    pdf.setLineWidth(0.2);
     pdf.setDrawColor(...this.colors.borderLight);
-    pdf.setGState(pdf.GState({ opacity: 0.6 }));
+    pdf.setLineWidth(0.15);
     for (let i = 1; i < rackHeightU; i++) {
-      const gy = yPos + (i * unitHeight);
-      pdf.line(x, gy, x + diagramWidth, gy);
+      pdf.line(frameX, frameTop + i * unitHeight, frameX + frameWidth, frameTop + i * unitHeight);
+    }
+
+    // U numbers, top is the highest unit; every other one when units are small
+    const numberSize = Math.min(6, unitHeight * 2);
+    const numberStep = unitHeight >= 2.4 ? 1 : 2;
+    pdf.setFont('helvetica', 'normal');
+    pdf.setFontSize(numberSize);
+    pdf.setTextColor(...this.colors.textMuted);
+    for (let unit = rackHeightU; unit >= 1; unit--) {
+      if (unit % numberStep !== 0 && unit !== rackHeightU && unit !== 1) continue;
+      const unitY = frameTop + (rackHeightU - unit) * unitHeight;
+      pdf.text(String(unit), frameX - 1, unitY + unitHeight / 2 + numberSize * 0.12, { align: 'right' });
     }
-    pdf.setGState(pdf.GState({ opacity: 1 }));
 
-    // Devices
-    const devices = Array.isArray(rack.devices) ? rack.devices : [];
-    devices.forEach(device => {
-      const start = this.parsePosition(device.startUnit || device.position || device.uPosition || 0);
-      const span = parseInt(device.unitSpan || device.heightU || 1, 10) || 1;
-      if (start <= 0) return;
-      const topFromBottom = (rackHeightU - (start + span - 1)) * unitHeight;
-      const dy = yPos + topFromBottom;
-      const dh = span * unitHeight;
-      const margin = 1.5;
-      const dx = x + margin;
-      const dw = diagramWidth - (margin * 2);
-      pdf.setFillColor(...this.colors.lightAlt);
-      pdf.rect(dx, dy, dw, dh, 'F');
-      pdf.setDrawColor(...this.colors.secondary);
-      pdf.setLineWidth(0.25);
-      pdf.rect(dx, dy, dw, dh);
+    // Device blocks from their start unit down: name, then type and size
+    devices.forEach(({ device, startUnit, span }) => {
+      const blockY = frameTop + (rackHeightU - startUnit) * unitHeight + 0.3;
+      const blockHeight = span * unitHeight - 0.6;
+      const blockX = frameX + 1;
+      const blockWidth = frameWidth - 2;
+      const colors = colorForDevice(device);
+
+      pdf.setFillColor(colors.bg);
+      pdf.roundedRect(blockX, blockY, blockWidth, blockHeight, 0.6, 0.6, 'F');
+
+      const labelSize = Math.max(4, Math.min(7, unitHeight * 2.2));
+      const details = this.sanitizeText([device.type, span > 1 ? `${span}U` : ''].filter(Boolean).join(' '));
+      pdf.setTextColor(colors.fg);
+      pdf.setFontSize(labelSize);
+      pdf.setFont('helvetica', 'normal');
+      const detailsWidth = details ? pdf.getTextWidth(details) + 2 : 0;
+      const textY = blockY + blockHeight / 2 + labelSize * 0.12;
+
+      pdf.setFont('helvetica', 'bold');
+      const name = this.sanitizeText(device.name || 'Device');
+      pdf.text(this.fitText(pdf, name, blockWidth - detailsWidth - 2), blockX + 1.5, textY);
+      if (details && detailsWidth < blockWidth / 2) {
+        pdf.setFont('helvetica', 'normal');
+        pdf.text(details, blockX + blockWidth - 1.5, textY, { align: 'right' });
+      }
+    });
+
+    return yPosition + height;
+  }
+
+  /**
+   * Legend of the device types shown in the rack elevations, labelled as in
+   * the rack diagram legend
+   */
+  addRackLegend(pdf, racks, yPosition) {
+    const types = [...new Set(racks.flatMap((rack) => (rack.devices || []).map((device) => device.type?.toLowerCase()).filter(Boolean)))].sort();
+    if (types.length === 0) return yPosition;
+
+    let yPos = this.checkPageBreak(pdf, yPosition, 10);
+    let x = this.pageMargin;
+    types.forEach((type) => {
+      const colors = DEVICE_TYPE_COLORS[type] || DEVICE_TYPE_COLORS.default;
+      const label = this.sanitizeText(type.replace('-', ' ').toUpperCase());
       this.applyStyle(pdf, 'caption', 'text');
-      const label = this.sanitizeText((device.name || device.deviceName || device.hostname || device.type || 'Device').toString());
-      const clipped = label.length > 36 ? label.slice(0, 33) + '…' : label;
-      const textY = dy + (dh / 2) + 1.2;
-      pdf.text(clipped, dx + 1.5, textY);
+      const itemWidth = 6 + pdf.getTextWidth(label) + 6;
+      if (x + itemWidth > this.pageWidth - this.pageMargin) {
+        x = this.pageMargin;
+        yPos += 6;
+      }
+      pdf.setFillColor(colors.bg);
+      pdf.roundedRect(x, yPos - 3, 4, 4, 0.6, 0.6, 'F');
+      pdf.text(label, x + 6, yPos);
+      x += itemWidth;
     });
 
-    return yPos + totalHeight + 8;
+    return yPos + 8;
+  }
+
+  /**
+   * Shorten text with "..." to fit a width in the current font
+   */
+  fitText(pdf, text, maxWidth) {
+    if (pdf.getTextWidth(text) <= maxWidth) return text;
+    let fitted = text;
+    while (fitted.length > 1 && pdf.getTextWidth(`${fitted}...`) > maxWidth) {
+      fitted = fitted.slice(0, -1);
+    }
+    return `${fitted.trimEnd()}...`;
   }
 
   /**
@@ -2435,6 +2788,7 @@ class PDFReportService {
     pdf.setFontSize(16);
     pdf.setFont('helvetica', 'bold');
     pdf.text('Recycling & Asset Management', this.pageMargin, yPos);
+    this.addBookmark(pdf, 'Recycling & Asset Management', yPos);
     yPos += 15;
 
     // Items brought back
@@ -2796,6 +3150,7 @@ class PDFReportService {
     pdf.setFontSize(16);
     pdf.setFont('helvetica', 'bold');
     pdf.text('Appendices', this.pageMargin, yPos);
+    this.addBookmark(pdf, 'Appendices', yPos);
     yPos += 15;
 
     // Add checklist data if available
@@ -2826,6 +3181,7 @@ class PDFReportService {
     pdf.setFontSize(14);
     pdf.setFont('helvetica', 'bold');
     pdf.text('Appendix A: Detailed Inventory Breakdown', this.pageMargin, yPos);
+    this.addBookmark(pdf, 'Appendix A: Detailed Inventory Breakdown', yPos, 1);
     yPos += 10;
 
     const itemsWithData = inventory.items.filter(item => this.hasInventoryData(item));
@@ -2875,6 +3231,7 @@ class PDFReportService {
     pdf.setFontSize(14);
     pdf.setFont('helvetica', 'bold');
     pdf.text('Appendix B: Additional Notes', this.pageMargin, yPos);
+    this.addBookmark(pdf, 'Appendix B: Additional Notes', yPos, 1);
     yPos += 10;
 
     pdf.setFontSize(10);
@@ -2950,6 +3307,7 @@ class PDFReportService {
     pdf.setFontSize(14);
     pdf.setFont('helvetica', 'bold');
     pdf.text('Appendix A: Checklists', this.pageMargin, yPos);
+    this.addBookmark(pdf, 'Appendix A: Checklists', yPos, 1);
     yPos += 10;
 
     checklists.forEach((checklist, index) => {
@@ -2990,6 +3348,7 @@ class PDFReportService {
     pdf.setFontSize(14);
     pdf.setFont('helvetica', 'bold');
     pdf.text('Appendix B: Infrastructure Details', this.pageMargin, yPos);
+    this.addBookmark(pdf, 'Appendix B: Infrastructure Details', yPos, 1);
     yPos += 10;
 
     // Infrastructure data
@@ -3171,6 +3530,7 @@ class PDFReportService {
     pdf.setFontSize(14);
     pdf.setFont(this.font, 'bold');
     pdf.text('⚡ Power Systems & Infrastructure', this.pageMargin, yPos);
+    this.addBookmark(pdf, 'Power Systems & Infrastructure', yPos);
     yPos += 15;
     
     // Add visual separator
@@ -3310,6 +3670,7 @@ class PDFReportService {
       pdf.setFontSize(14);
       pdf.setFont('helvetica', 'bold');
     pdf.text('🌐 Network Infrastructure', this.pageMargin, yPos);
+    this.addBookmark(pdf, 'Network Infrastructure', yPos);
     yPos += 15;
     
     // Add visual separator
@@ -3721,10 +4082,12 @@ class PDFReportService {
   }
 
   /**
-   * Add professional footers to all pages with enhanced styling
+   * Add professional footers to all pages: office, visit date and page X of Y
    */
   addFooters(pdf, reportData) {
     const pageCount = pdf.internal.getNumberOfPages();
+    const officeText = this.sanitizeText(reportData.location?.name || reportData.organization?.name || 'Infrastructure Assessment');
+    const visitDateText = formatVisitDate(reportData.visitDate, { year: 'numeric', month: 'short', day: 'numeric' });
     
     for (let i = 1; i <= pageCount; i++) {
       pdf.setPage(i);
@@ -3754,10 +4117,9 @@ class PDFReportService {
       this.applyStyle(pdf, 'captionBold', 'primary');
       pdf.text('Regional Sales Support Teams', this.pageMargin, footerContentY);
       
-      // Organization info
+      // Office and visit date
       this.applyStyle(pdf, 'caption', 'textMuted');
-      const orgText = reportData.organization?.name || reportData.location?.name || 'Infrastructure Assessment';
-      pdf.text(`• ${orgText}`, this.pageMargin + 50, footerContentY);
+      pdf.text(`• ${officeText}${visitDateText ? ` • Visit ${visitDateText}` : ''}`, this.pageMargin + 50, footerContentY);
       
       // Generation timestamp
       const dateInfo = `Generated: ${new Date().toLocaleDateString('en-US', { 
@@ -4130,109 +4492,6 @@ class PDFReportService {
     // Reset colors
     pdf.setTextColor(...this.colors.text);
   }
-
-  /**
-   * Capture rack visualizer diagrams from the DOM using optimized export utilities
-   */
-  async captureRackVisualizers(reportData) {
-    const rackDiagrams = [];
-    
-    try {
-      // Import export utilities
-      const { captureRackDiagram, calculateRackLayout } = await import('../utils/pdfExportUtils.js');
-      
-      // Try to find rack visualizer elements in the DOM
-      const rackElements = document.querySelectorAll('[data-rack-id]');
-      
-      if (rackElements.length === 0) {
-        console.log('No rack visualizer elements found in DOM');
-        return rackDiagrams;
-      }
-
-      console.log(`Found ${rackElements.length} rack elements to capture`);
-      
-      // Calculate optimal layout
-      const layout = calculateRackLayout(Array.from(rackElements));
-      
-      // Capture each rack element with optimized settings
-      for (const element of rackElements) {
-        try {
-          const rackId = element.getAttribute('data-rack-id');
-          console.log(`Capturing rack diagram for: ${rackId}`);
-          
-          const capturedDiagram = await captureRackDiagram(element, rackId);
-          rackDiagrams.push({
-            ...capturedDiagram,
-            layout
-          });
-          
-        } catch (error) {
-          console.warn(`Failed to capture rack diagram for element:`, error);
-          // Continue with other racks even if one fails
-        }
-      }
-      
-      console.log(`Successfully captured ${rackDiagrams.length} rack diagrams`);
-    } catch (error) {
-      console.warn('Failed to capture rack visualizers:', error);
-    }
-    
-    return rackDiagrams;
-  }
-
-  /**
-   * Add a captured image to the PDF
-   */
-  async addCapturedImage(pdf, diagram, yPosition) {
-    let yPos = yPosition;
-    
-    try {
-      const maxWidth = this.pageWidth - (this.pageMargin * 2);
-      const maxHeight = 150;
-      
-      // Calculate scaling to fit within constraints
-      let width = diagram.width;
-      let height = diagram.height;
-      
-      // Scale down if too wide
-      if (width > maxWidth) {
-        const scale = maxWidth / width;
-        width = maxWidth;
-        height = height * scale;
-      }
-      
-      // Scale down if too tall
-      if (height > maxHeight) {
-        const scale = maxHeight / height;
-        height = maxHeight;
-        width = width * scale;
-      }
-
-      // Check if we need a page break
-      yPos = this.checkPageBreak(pdf, yPos, height + 20);
-
-      // Add the image
-      pdf.addImage(diagram.dataUrl, 'PNG', this.pageMargin, yPos, width, height);
-      yPos += height + 5;
-
-      // Add caption
-      if (diagram.title) {
-        this.applyStyle(pdf, 'caption', 'textMuted');
-        pdf.text(diagram.title, this.pageMargin, yPos);
-        yPos += 8;
-      }
-      
-    } catch (error) {
-      console.warn('Failed to add captured diagram to PDF:', error);
-      
-      // Add error placeholder
-      this.applyStyle(pdf, 'body', 'warning');
-      pdf.text(`Failed to add rack diagram: ${diagram.title || 'Unknown'}`, this.pageMargin, yPos);
-      yPos += 15;
-    }
-
-    return yPos + 10;
-  }
 }
 
 // Create singleton instance
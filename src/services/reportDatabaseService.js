@@ -1,20 +1,87 @@
 /**
  * Database Service for Report Persistence
- * Handles saving, loading, and syncing reports across browsers/devices
+ * Handles saving, loading, and syncing reports across browsers/devices.
+ * The upload queue and sync conflicts hold full report data, so they are
+ * saved in the encrypted report store and are only available while it is
+ * unlocked; cached reports and auto-saves are only kept in memory.
  */
 
 import enhancedAuthService from './enhancedAuthService.v2.js';
+import reportStore from './reportStore.js';
+import auditService from './auditService.js';
+import { mergeReportData, resolveConflicts } from '../utils/reportMerge.js';
+import { loadReportData } from '../schemas/reportSchema.js';
+
+// Report data saved by older versions of the app is migrated as it arrives
+const withCurrentSchema = (report) => (
+  report?.reportData ? { ...report, reportData: loadReportData(report.reportData).data } : report
+);
+
+const PENDING_SYNC_KEY = 'pending_sync';
+const SYNC_CONFLICTS_KEY = 'sync_conflicts';
+
+// The server answers 409 both for a stale base version and for a report that
+// was submitted or approved meanwhile; only the latter carries its status
+const isLockedReport = (error) => error?.statusCode === 409 && Boolean(error.details?.status);
+const isVersionConflict = (error) => error?.statusCode === 409 && !isLockedReport(error);
+
+// Older versions kept these in localStorage in the clear
+const PLAINTEXT_CACHE_PREFIXES = ['autosave_', 'report_'];
+
+const asList = (value) => (Array.isArray(value) ? value : []);
+
+const readPlaintextList = (key) => {
+  try {
+    return asList(JSON.parse(localStorage.getItem(key) || '[]'));
+  } catch (error) {
+    console.warn(`Failed to read ${key}:`, error);
+    return [];
+  }
+};
+
+const removePlaintextCaches = () => {
+  try {
+    Object.keys(localStorage)
+      .filter((key) => PLAINTEXT_CACHE_PREFIXES.some((prefix) => key.startsWith(prefix)))
+      .forEach((key) => localStorage.removeItem(key));
+  } catch (error) {
+    console.warn('Failed to remove cached reports:', error);
+  }
+};
 
 class ReportDatabaseService {
   constructor() {
-    this.apiUrl = import.meta.env.VITE_API_URL || 'http://localhost:3001/api';
+    // Relative to apiClient's base URL, which already points at /api
+    this.reportsPath = '/reports';
     this.syncInterval = null;
+    this.syncing = null;
     this.pendingChanges = new Map();
+    this.pendingSync = [];
+    this.syncConflicts = [];
+    this.reportCache = new Map();
+    this.autoSaves = new Map();
+    this.localDataWrites = Promise.resolve();
+    this.conflictListeners = new Set();
+    this.syncStatusListeners = new Set();
     
     this.init();
   }
 
   async init() {
+    removePlaintextCaches();
+
+    // Queued changes can only be read while saved reports are unlocked
+    reportStore.onLockChange((state) => {
+      if (state === 'unlocked') {
+        this.openLocalData();
+      } else {
+        this.closeLocalData();
+      }
+    });
+    if (reportStore.isUnlocked()) {
+      this.openLocalData();
+    }
+
     // Setup auto-sync every 30 seconds
     this.setupAutoSync();
     
@@ -24,6 +91,57 @@ class ReportDatabaseService {
     });
   }
 
+  /**
+   * Load the upload queue and sync conflicts from the encrypted store. A
+   * queue or conflicts left in localStorage by older versions are moved in.
+   */
+  async openLocalData() {
+    try {
+      const plaintextPending = readPlaintextList(PENDING_SYNC_KEY);
+      const plaintextConflicts = readPlaintextList(SYNC_CONFLICTS_KEY);
+
+      this.pendingSync = [...asList(await reportStore.getMeta(PENDING_SYNC_KEY)), ...plaintextPending];
+      this.syncConflicts = [...asList(await reportStore.getMeta(SYNC_CONFLICTS_KEY)), ...plaintextConflicts];
+
+      if (plaintextPending.length > 0) {
+        await this.saveLocalData(PENDING_SYNC_KEY, this.pendingSync);
+      }
+      if (plaintextConflicts.length > 0) {
+        await this.saveLocalData(SYNC_CONFLICTS_KEY, this.syncConflicts);
+      }
+      localStorage.removeItem(PENDING_SYNC_KEY);
+      localStorage.removeItem(SYNC_CONFLICTS_KEY);
+    } catch (error) {
+      console.warn('Failed to load queued report changes:', error);
+    }
+
+    this.conflictListeners.forEach((listener) => listener(this.syncConflicts));
+    this.notifySyncStatus();
+  }
+
+  /**
+   * Drop everything decrypted from memory when saved reports are locked or
+   * erased. What is queued stays in the encrypted store for the next unlock.
+   */
+  closeLocalData() {
+    this.pendingSync = [];
+    this.syncConflicts = [];
+    this.reportCache.clear();
+    this.autoSaves.clear();
+    removePlaintextCaches();
+
+    this.conflictListeners.forEach((listener) => listener(this.syncConflicts));
+    this.notifySyncStatus();
+  }
+
+  saveLocalData(key, list) {
+    // One write at a time, so an older list never lands after a newer one
+    this.localDataWrites = this.localDataWrites
+      .catch(() => {})
+      .then(() => reportStore.putMeta(key, list.length > 0 ? list : null));
+    return this.localDataWrites;
+  }
+
   /**
    * Save report to database
    */
@@ -54,18 +172,14 @@ class ReportDatabaseService {
       };
 
       const response = await enhancedAuthService.apiRequest(
-        `${this.apiUrl}/reports`,
+        this.reportsPath,
         {
           method: 'POST',
           body: JSON.stringify(payload)
         }
       );
 
-      if (!response.ok) {
-        throw new Error('Failed to save report');
-      }
-
-      const savedReport = await response.json();
+      const savedReport = response.report;
       
       // Update local cache
       this.updateLocalCache(savedReport);
@@ -85,44 +199,12 @@ class ReportDatabaseService {
   }
 
   /**
-   * Update existing report
+   * Update existing report. Pass `options.baseVersion` (the version the
+   * edit started from) to have the server refuse it if the report changed.
    */
   async updateReport(reportId, reportData, options = {}) {
     try {
-      const payload = {
-        report_data: reportData,
-        metadata: {
-          ...options.metadata,
-          updated_at: new Date().toISOString(),
-          browser: navigator.userAgent
-        }
-      };
-
-      // Include optional fields if provided
-      if (options.title) payload.title = options.title;
-      if (options.description) payload.description = options.description;
-      if (options.status) payload.status = options.status;
-      if (options.tags) payload.tags = options.tags;
-
-      const response = await enhancedAuthService.apiRequest(
-        `${this.apiUrl}/reports/${reportId}`,
-        {
-          method: 'PUT',
-          body: JSON.stringify(payload)
-        }
-      );
-
-      if (!response.ok) {
-        throw new Error('Failed to update report');
-      }
-
-      const updatedReport = await response.json();
-      
-      // Update local cache
-      this.updateLocalCache(updatedReport);
-      
-      return updatedReport;
-
+      return await this.sendUpdate(reportId, reportData, options);
     } catch (error) {
       console.error('Update report error:', error);
       
@@ -135,6 +217,43 @@ class ReportDatabaseService {
     }
   }
 
+  /**
+   * PUT a report update and cache the result, without offline queueing
+   */
+  async sendUpdate(reportId, reportData, options = {}) {
+    const payload = {
+      report_data: reportData,
+      metadata: {
+        ...options.metadata,
+        updated_at: new Date().toISOString(),
+        browser: navigator.userAgent
+      }
+    };
+
+    // Include optional fields if provided
+    if (options.title) payload.title = options.title;
+    if (options.description) payload.description = options.description;
+    if (options.status) payload.status = options.status;
+    if (options.tags) payload.tags = options.tags;
+    if (options.baseVersion) payload.base_version = options.baseVersion;
+
+    const response = await enhancedAuthService.apiRequest(
+      `${this.reportsPath}/${reportId}`,
+      {
+        method: 'PUT',
+        body: JSON.stringify(payload),
+        retryAttempts: 1
+      }
+    );
+
+    const updatedReport = response.report;
+    
+    // Update local cache
+    this.updateLocalCache(updatedReport);
+    
+    return updatedReport;
+  }
+
   /**
    * Load report from database
    */
@@ -148,18 +267,17 @@ class ReportDatabaseService {
         return cachedReport;
       }
 
-      const response = await enhancedAuthService.apiRequest(
-        `${this.apiUrl}/reports/${reportId}`
-      );
-
-      if (!response.ok) {
-        if (response.status === 404) {
+      let response;
+      try {
+        response = await enhancedAuthService.apiRequest(`${this.reportsPath}/${reportId}`);
+      } catch (error) {
+        if (error.statusCode === 404) {
           throw new Error('Report not found');
         }
-        throw new Error('Failed to load report');
+        throw error;
       }
 
-      const report = await response.json();
+      const report = withCurrentSchema(response.report);
       
       // Update local cache
       this.updateLocalCache(report);
@@ -201,15 +319,9 @@ class ReportDatabaseService {
       params.append('limit', limit);
       params.append('offset', offset);
 
-      const response = await enhancedAuthService.apiRequest(
-        `${this.apiUrl}/reports?${params.toString()}`
+      const reportsData = await enhancedAuthService.apiRequest(
+        `${this.reportsPath}?${params.toString()}`
       );
-
-      if (!response.ok) {
-        throw new Error('Failed to fetch reports');
-      }
-
-      const reportsData = await response.json();
       
       // Update local cache for each report
       reportsData.reports.forEach(report => {
@@ -235,15 +347,11 @@ class ReportDatabaseService {
    */
   async deleteReport(reportId) {
     try {
-      const response = await enhancedAuthService.apiRequest(
-        `${this.apiUrl}/reports/${reportId}`,
+      await enhancedAuthService.apiRequest(
+        `${this.reportsPath}/${reportId}`,
         { method: 'DELETE' }
       );
 
-      if (!response.ok) {
-        throw new Error('Failed to delete report');
-      }
-
       // Remove from local cache
       this.removeFromLocalCache(reportId);
       
@@ -279,21 +387,19 @@ class ReportDatabaseService {
       };
 
       const response = await enhancedAuthService.apiRequest(
-        `${this.apiUrl}/reports/${reportId}/submit`,
+        `${this.reportsPath}/${reportId}/submit`,
         {
           method: 'POST',
           body: JSON.stringify(payload)
         }
       );
 
-      if (!response.ok) {
-        throw new Error('Failed to submit report');
-      }
-
-      const submittedReport = await response.json();
+      const submittedReport = response.report;
       
       // Update local cache
       this.updateLocalCache(submittedReport);
+
+      await auditService.logReportOperation('submit', reportId, { from: 'draft', to: submittedReport.status });
       
       return submittedReport;
 
@@ -304,18 +410,19 @@ class ReportDatabaseService {
   }
 
   /**
-   * Auto-save functionality for drafts
+   * Auto-save functionality for drafts. The local copy is only kept in
+   * memory; drafts on the device are saved encrypted by the workspace.
    */
   async autoSave(reportData, reportId = null) {
     try {
       const autoSaveKey = `autosave_${reportId || 'new'}`;
       
-      // Save to localStorage immediately
-      localStorage.setItem(autoSaveKey, JSON.stringify({
+      // Keep a copy immediately
+      this.autoSaves.set(autoSaveKey, {
         data: reportData,
         timestamp: Date.now(),
         reportId
-      }));
+      });
 
       // Debounced save to server
       if (!this.autoSaveTimeout) {
@@ -329,12 +436,12 @@ class ReportDatabaseService {
                 status: 'draft'
               });
               // Update the auto-save with the new report ID
-              localStorage.setItem(`autosave_${saved.id}`, JSON.stringify({
+              this.autoSaves.set(`autosave_${saved.id}`, {
                 data: reportData,
                 timestamp: Date.now(),
                 reportId: saved.id
-              }));
-              localStorage.removeItem('autosave_new');
+              });
+              this.autoSaves.delete('autosave_new');
             }
           } catch (error) {
             console.warn('Auto-save failed:', error);
@@ -354,16 +461,15 @@ class ReportDatabaseService {
   getAutoSavedData(reportId = null) {
     try {
       const autoSaveKey = `autosave_${reportId || 'new'}`;
-      const autoSaved = localStorage.getItem(autoSaveKey);
+      const autoSaved = this.autoSaves.get(autoSaveKey);
       
       if (autoSaved) {
-        const parsed = JSON.parse(autoSaved);
         // Only return if less than 1 hour old
-        if (Date.now() - parsed.timestamp < 60 * 60 * 1000) {
-          return parsed;
+        if (Date.now() - autoSaved.timestamp < 60 * 60 * 1000) {
+          return autoSaved;
         } else {
           // Clean up old auto-save data
-          localStorage.removeItem(autoSaveKey);
+          this.autoSaves.delete(autoSaveKey);
         }
       }
     } catch (error) {
@@ -373,46 +479,29 @@ class ReportDatabaseService {
   }
 
   /**
-   * Local cache management
+   * Local cache management, in memory and only while saved reports are
+   * unlocked
    */
   updateLocalCache(report) {
-    try {
-      const cacheKey = `report_${report.id}`;
-      const cacheData = {
-        ...report,
-        cached_at: Date.now()
-      };
-      localStorage.setItem(cacheKey, JSON.stringify(cacheData));
-    } catch (error) {
-      console.warn('Failed to update local cache:', error);
-    }
+    if (!report?.id || !reportStore.isUnlocked()) return;
+    this.reportCache.set(report.id, {
+      ...report,
+      cached_at: Date.now()
+    });
   }
 
-  getFromLocalCache(reportId) {
-    try {
-      const cacheKey = `report_${reportId}`;
-      const cached = localStorage.getItem(cacheKey);
-      
-      if (cached) {
-        const parsed = JSON.parse(cached);
-        // Return cached data if less than 5 minutes old
-        if (Date.now() - parsed.cached_at < 5 * 60 * 1000) {
-          return parsed;
-        }
-      }
-    } catch (error) {
-      console.warn('Failed to get from local cache:', error);
-    }
-    return null;
+  /**
+   * Cached copy of a report
+   * @param {string} reportId - Server report ID
+   * @param {number} maxAge - Oldest cache entry to accept, in ms (default 5 minutes)
+   */
+  getFromLocalCache(reportId, maxAge = 5 * 60 * 1000) {
+    const cached = this.reportCache.get(reportId);
+    return cached && Date.now() - cached.cached_at < maxAge ? cached : null;
   }
 
   removeFromLocalCache(reportId) {
-    try {
-      const cacheKey = `report_${reportId}`;
-      localStorage.removeItem(cacheKey);
-    } catch (error) {
-      console.warn('Failed to remove from local cache:', error);
-    }
+    this.reportCache.delete(reportId);
   }
 
   /**
@@ -432,11 +521,48 @@ class ReportDatabaseService {
   }
 
   /**
-   * Sync pending changes when coming back online
+   * Sync pending changes when coming back online. Changes that fail are kept
+   * for the next run; updates that meet a newer server version are merged.
+   */
+  syncPendingChanges() {
+    // Runs from the timer and the online event; never replay the queue twice at once
+    if (!this.syncing) {
+      this.syncing = this.replayPendingChanges().finally(() => {
+        this.syncing = null;
+        this.notifySyncStatus();
+      });
+      this.notifySyncStatus();
+    }
+    return this.syncing;
+  }
+
+  /**
+   * Changes waiting to be uploaded, and whether an upload is running
+   * @returns {Object} { pending: [{ action, reportId, data, timestamp }], syncing }
    */
-  async syncPendingChanges() {
+  getSyncStatus() {
+    return { pending: this.pendingSync, syncing: Boolean(this.syncing) };
+  }
+
+  /**
+   * Listen for changes to the upload queue and for uploads starting or ending
+   * @param {Function} listener - Receives getSyncStatus()
+   * @returns {Function} Unsubscribe
+   */
+  onSyncStatusChange(listener) {
+    this.syncStatusListeners.add(listener);
+    return () => this.syncStatusListeners.delete(listener);
+  }
+
+  notifySyncStatus() {
+    const status = this.getSyncStatus();
+    this.syncStatusListeners.forEach((listener) => listener(status));
+  }
+
+  async replayPendingChanges() {
     try {
-      const pendingSync = JSON.parse(localStorage.getItem('pending_sync') || '[]');
+      const pendingSync = this.pendingSync;
+      const synced = [];
       
       for (const change of pendingSync) {
         try {
@@ -445,26 +571,194 @@ class ReportDatabaseService {
               await this.saveReport(change.data, change.options);
               break;
             case 'update':
-              await this.updateReport(change.reportId, change.data, change.options);
+              await this.syncUpdate(change);
               break;
             case 'delete':
               await this.deleteReport(change.reportId);
               break;
           }
+          synced.push(change);
         } catch (error) {
-          console.warn('Failed to sync change:', change, error);
-          continue; // Continue with other changes
+          if (change.action === 'delete' && isLockedReport(error)) {
+            // Retrying can never succeed, so the user is told instead
+            this.addLockedConflict(change, error.details.status);
+            synced.push(change);
+          } else {
+            console.warn('Failed to sync change:', change, error);
+          }
         }
       }
 
-      // Clear synced changes
-      localStorage.removeItem('pending_sync');
+      // Remove exactly the entries that were synced; changes queued or edited
+      // meanwhile are new entries (see queueUpdateForSync) and stay queued
+      const remaining = this.pendingSync
+        .filter((item) => !synced.includes(item))
+        .map((item) => {
+          if (item.action !== 'update' || !synced.some((change) => change.reportId === item.reportId)) {
+            return item;
+          }
+          // An edit made during the sync now starts from the version just saved
+          const cached = this.getFromLocalCache(item.reportId, Infinity);
+          return {
+            ...item,
+            baseVersion: cached?.version || item.baseVersion,
+            baseData: cached?.reportData || item.baseData
+          };
+        });
+      this.writePendingSync(remaining);
 
     } catch (error) {
       console.error('Sync pending changes error:', error);
     }
   }
 
+  /**
+   * Push one queued update. When the server copy changed since the edit
+   * started, the edit is merged into it field by field; fields both sides
+   * changed are kept as a conflict for the user to resolve. An edit to a
+   * report that can no longer be edited is moved to the conflicts as well.
+   * @param {Object} change - Queued update
+   */
+  async syncUpdate(change) {
+    try {
+      await this.sendUpdate(change.reportId, change.data, { ...change.options, baseVersion: change.baseVersion });
+      return;
+    } catch (error) {
+      if (isLockedReport(error)) {
+        this.addLockedConflict(change, error.details.status);
+        return;
+      }
+      if (!isVersionConflict(error)) throw error;
+    }
+
+    const server = withCurrentSchema(
+      (await enhancedAuthService.apiRequest(`${this.reportsPath}/${change.reportId}`)).report
+    );
+    this.updateLocalCache(server);
+
+    const { merged, conflicts } = mergeReportData(change.baseData, change.data, server.reportData);
+    if (conflicts.length === 0) {
+      await this.sendUpdate(change.reportId, merged, { ...change.options, baseVersion: server.version });
+      return;
+    }
+
+    this.addConflict({
+      id: `conflict_${change.reportId}_${Date.now()}`,
+      reportId: change.reportId,
+      title: server.title,
+      options: change.options,
+      baseVersion: server.version,
+      remoteData: server.reportData,
+      merged,
+      conflicts,
+      detectedAt: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Sync conflicts waiting for the user. Changes refused because the report
+   * was locked have a lockedStatus and no conflicting fields.
+   * @returns {Object[]} [{ id, reportId, title, conflicts: [{ path, base, local, remote }], lockedStatus?, ... }]
+   */
+  getConflicts() {
+    return this.syncConflicts;
+  }
+
+  /**
+   * Listen for changes to the conflict list
+   * @param {Function} listener - Receives the current conflicts
+   * @returns {Function} Unsubscribe
+   */
+  onConflictsChange(listener) {
+    this.conflictListeners.add(listener);
+    return () => this.conflictListeners.delete(listener);
+  }
+
+  writeConflicts(conflicts) {
+    // A sync that ends after the store was locked has nowhere to keep them
+    if (!reportStore.isUnlocked()) return;
+
+    this.syncConflicts = conflicts;
+    this.saveLocalData(SYNC_CONFLICTS_KEY, conflicts).catch((error) => {
+      console.warn('Failed to save sync conflicts:', error);
+    });
+    this.conflictListeners.forEach((listener) => listener(conflicts));
+  }
+
+  addConflict(conflict) {
+    // A newer conflict for the same report replaces the older one
+    this.writeConflicts([
+      ...this.getConflicts().filter((entry) => entry.reportId !== conflict.reportId),
+      conflict
+    ]);
+  }
+
+  /**
+   * Keep a queued change the server refused because the report was
+   * submitted or approved meanwhile, so the user can see what was not saved
+   * @param {Object} change - Queued update or deletion
+   * @param {string} status - The report's status on the server
+   */
+  addLockedConflict(change, status) {
+    this.addConflict({
+      id: `conflict_${change.reportId}_${Date.now()}`,
+      reportId: change.reportId,
+      action: change.action,
+      title: change.options?.title,
+      lockedStatus: status,
+      localData: change.data || null,
+      conflicts: [],
+      detectedAt: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Save the user's choices for a conflict. If the server copy moved on again
+   * meanwhile, the resolved data is merged once more and may conflict anew.
+   * @param {string} conflictId - Conflict ID
+   * @param {Object} choices - pathKey(path) -> 'local' | 'remote'
+   * @returns {Promise<Object|null>} Saved report, or null if it conflicted again
+   */
+  async resolveConflict(conflictId, choices) {
+    const conflict = this.getConflicts().find((entry) => entry.id === conflictId);
+    if (!conflict) {
+      throw new Error('Conflict not found');
+    }
+    if (conflict.lockedStatus) {
+      throw new Error(`Report is ${conflict.lockedStatus} and can no longer be edited`);
+    }
+
+    this.writeConflicts(this.getConflicts().filter((entry) => entry.id !== conflictId));
+
+    const change = {
+      reportId: conflict.reportId,
+      data: resolveConflicts(conflict.merged, conflict.conflicts, choices),
+      baseData: conflict.remoteData,
+      baseVersion: conflict.baseVersion,
+      options: conflict.options
+    };
+
+    try {
+      await this.syncUpdate(change);
+    } catch (error) {
+      // Put it back so the choices can be made again
+      this.addConflict(conflict);
+      throw error;
+    }
+
+    return this.getConflicts().some((entry) => entry.reportId === conflict.reportId)
+      ? null
+      : this.getFromLocalCache(conflict.reportId, Infinity);
+  }
+
+  /**
+   * Drop a conflict and keep the server's version of the report
+   * @param {string} conflictId - Conflict ID
+   */
+  discardConflict(conflictId) {
+    this.writeConflicts(this.getConflicts().filter((entry) => entry.id !== conflictId));
+  }
+
   /**
    * Queue operations for offline sync
    */
@@ -488,12 +782,34 @@ class ReportDatabaseService {
     };
   }
 
-  queueUpdateForSync(reportId, reportData, options) {
+  queueUpdateForSync(reportId, reportData, options = {}) {
+    const pending = [...this.pendingSync];
+    const index = pending.findIndex((item) => item.action === 'update' && item.reportId === reportId);
+
+    // Later offline edits replace the queued data but keep the original base.
+    // The entry is replaced, not changed, so a sync already sending the old
+    // one does not take the new edit off the queue with it.
+    if (index !== -1) {
+      const queued = pending[index];
+      pending[index] = {
+        ...queued,
+        data: reportData,
+        options: { ...queued.options, ...options },
+        timestamp: Date.now()
+      };
+      this.writePendingSync(pending);
+      return;
+    }
+
+    const cached = this.getFromLocalCache(reportId, Infinity);
     const queueItem = {
       action: 'update',
       reportId,
       data: reportData,
       options,
+      // Server state the edit started from, for merging at sync time
+      baseVersion: options.baseVersion || cached?.version || null,
+      baseData: cached?.reportData || null,
       timestamp: Date.now()
     };
     
@@ -511,13 +827,17 @@ class ReportDatabaseService {
   }
 
   addToPendingSync(item) {
-    try {
-      const pending = JSON.parse(localStorage.getItem('pending_sync') || '[]');
-      pending.push(item);
-      localStorage.setItem('pending_sync', JSON.stringify(pending));
-    } catch (error) {
-      console.warn('Failed to add to pending sync:', error);
-    }
+    this.writePendingSync([...this.pendingSync, item]);
+  }
+
+  writePendingSync(pending) {
+    if (!reportStore.isUnlocked()) return;
+
+    this.pendingSync = pending;
+    this.saveLocalData(PENDING_SYNC_KEY, pending).catch((error) => {
+      console.warn('Failed to update pending sync:', error);
+    });
+    this.notifySyncStatus();
   }
 }
 
@@ -0,0 +1,69 @@
+// @vitest-environment jsdom
+import { describe, test, expect, vi, beforeEach, afterEach } from 'vitest';
+import enhancedAuthService from './enhancedAuthService.v2.js';
+import { NetworkError } from './apiClient.js';
+import reportStore from './reportStore.js';
+import reportDatabaseService from './reportDatabaseService.js';
+
+const deferred = () => {
+  let resolve;
+  const promise = new Promise((done) => { resolve = done; });
+  return { promise, resolve };
+};
+
+describe('report sync queue', () => {
+  beforeEach(() => {
+    vi.spyOn(reportStore, 'isUnlocked').mockReturnValue(true);
+    vi.spyOn(reportStore, 'putMeta').mockResolvedValue(undefined);
+    reportDatabaseService.pendingSync = [];
+    reportDatabaseService.syncConflicts = [];
+    reportDatabaseService.reportCache.clear();
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  test('keeps an edit made while the earlier one is being uploaded', async () => {
+    const upload = deferred();
+    const apiRequest = vi.spyOn(enhancedAuthService, 'apiRequest').mockReturnValue(upload.promise);
+
+    reportDatabaseService.queueUpdateForSync('r1', { office: 'Denver' }, { baseVersion: 1 });
+    const sync = reportDatabaseService.syncPendingChanges();
+    reportDatabaseService.queueUpdateForSync('r1', { office: 'Boulder' });
+
+    upload.resolve({ report: { id: 'r1', version: 2, reportData: { office: 'Denver' } } });
+    await sync;
+
+    expect(apiRequest).toHaveBeenCalledTimes(1);
+    expect(reportDatabaseService.getSyncStatus().pending).toEqual([
+      expect.objectContaining({
+        action: 'update',
+        reportId: 'r1',
+        data: { office: 'Boulder' },
+        baseVersion: 2,
+        baseData: { office: 'Denver' }
+      })
+    ]);
+  });
+
+  test('moves an edit to a submitted report out of the queue and into the conflicts', async () => {
+    const locked = new NetworkError('Report is submitted and can no longer be edited', null, 409);
+    locked.details = { status: 'submitted' };
+    vi.spyOn(enhancedAuthService, 'apiRequest').mockRejectedValue(locked);
+
+    reportDatabaseService.queueUpdateForSync('r1', { office: 'Denver' }, { baseVersion: 1, title: 'Denver visit' });
+    await reportDatabaseService.syncPendingChanges();
+
+    expect(reportDatabaseService.getSyncStatus().pending).toEqual([]);
+    expect(reportDatabaseService.getConflicts()).toEqual([
+      expect.objectContaining({
+        reportId: 'r1',
+        title: 'Denver visit',
+        lockedStatus: 'submitted',
+        localData: { office: 'Denver' },
+        conflicts: []
+      })
+    ]);
+  });
+});
@@ -6,6 +6,12 @@
 import { settings } from '../utils/settings.js';
 import authMiddleware from '../middleware/authMiddleware.js';
 import auditService from './auditService.js';
+import { loadReportData } from '../schemas/reportSchema.js';
+
+// Report data saved by older versions of the app is migrated as it arrives
+const withCurrentSchema = (report) => (
+  report?.reportData ? { ...report, reportData: loadReportData(report.reportData).data } : report
+);
 
 class ReportPersistenceService {
   constructor() {
@@ -57,9 +63,9 @@ class ReportPersistenceService {
         locationData: this.extractLocationData(reportData),
         isTemplate,
         tags,
+        // The server numbers versions and keeps a snapshot of each
         metadata: {
           lastModified: new Date().toISOString(),
-          version: reportId ? await this.getNextVersion(reportId) : 1,
           autoSaved: options.autoSave || false
         }
       };
@@ -101,6 +107,7 @@ class ReportPersistenceService {
         return {
           success: true,
           reportId: response.reportId,
+          version: response.report?.version,
           message: reportId ? 'Report updated successfully' : 'Report saved successfully'
         };
       }
@@ -156,10 +163,10 @@ class ReportPersistenceService {
           ? JSON.parse(result.report.reportData)
           : result.report.reportData;
 
-        const fullReport = {
+        const fullReport = withCurrentSchema({
           ...result.report,
           reportData
-        };
+        });
 
         // Update cache
         this.updateCache(reportId, fullReport);
@@ -378,6 +385,139 @@ class ReportPersistenceService {
     }
   }
 
+  /**
+   * List the saved versions of a report, newest first
+   * @param {string} reportId - Report ID
+   * @returns {Promise<Object>} { currentVersion, versions: [{ version, title, status, author, createdAt, changeNote }] }
+   */
+  async listVersions(reportId) {
+    const result = await this.requestJSON(`${this.apiUrl}/${reportId}/versions`, {}, 'Failed to load version history');
+    return { currentVersion: result.currentVersion, versions: result.versions || [] };
+  }
+
+  /**
+   * Load one saved version of a report, including its data
+   * @param {string} reportId - Report ID
+   * @param {number} version - Version number
+   */
+  async getVersion(reportId, version) {
+    const result = await this.requestJSON(`${this.apiUrl}/${reportId}/versions/${version}`, {}, 'Failed to load version');
+
+    await auditService.logReportOperation('view_version', reportId, { version });
+
+    return withCurrentSchema(result.version);
+  }
+
+  /**
+   * Restore an older version. The server saves it as a new version, so the
+   * versions after it stay in the history.
+   * @param {string} reportId - Report ID
+   * @param {number} version - Version to restore
+   * @returns {Promise<Object>} The report as saved
+   */
+  async restoreVersion(reportId, version) {
+    const result = await this.requestJSON(
+      `${this.apiUrl}/${reportId}/versions/${version}/restore`,
+      { method: 'POST' },
+      'Failed to restore version'
+    );
+
+    this.reportCache.delete(reportId);
+
+    await auditService.logReportOperation('restore_version', reportId, {
+      restoredVersion: version,
+      newVersion: result.report?.version
+    });
+
+    return withCurrentSchema(result.report);
+  }
+
+  /**
+   * Submit a saved draft for review. The report is read-only until a
+   * reviewer returns it.
+   * @param {string} reportId - Report ID
+   * @returns {Promise<Object>} The submitted report
+   */
+  async submitReport(reportId) {
+    const result = await this.requestJSON(
+      `${this.apiUrl}/${reportId}/submit`,
+      { method: 'POST', body: JSON.stringify({ submission_metadata: { submitted_from: 'web_app' } }) },
+      'Failed to submit report'
+    );
+
+    this.reportCache.delete(reportId);
+    await auditService.logReportOperation('submit', reportId, { from: 'draft', to: result.report.status });
+
+    return result.report;
+  }
+
+  /**
+   * Reviewer action on a submitted report
+   * @param {string} reportId - Report ID
+   * @param {string} action - review, approve or return (see REPORT_TRANSITIONS)
+   * @param {string} comments - Reviewer comments; required to return a report
+   * @returns {Promise<Object>} The report in its new status
+   */
+  async transitionReport(reportId, action, comments = '') {
+    const result = await this.requestJSON(
+      `${this.apiUrl}/${reportId}/${action}`,
+      { method: 'POST', body: JSON.stringify({ comments }) },
+      'Failed to update report status'
+    );
+
+    this.reportCache.delete(reportId);
+    await auditService.logReportOperation(action, reportId, {
+      from: result.previousStatus,
+      to: result.report.status,
+      comments: comments || null
+    });
+
+    return result.report;
+  }
+
+  /**
+   * Submitted and reviewed reports waiting for a reviewer, oldest first
+   * @returns {Promise<Object[]>} [{ id, title, status, submittedAt, author }]
+   */
+  async getReviewQueue() {
+    const result = await this.requestJSON(`${this.apiUrl}/review-queue`, {}, 'Failed to load review queue');
+    return result.reports || [];
+  }
+
+  /**
+   * Current status of a report and every status change, oldest first
+   * @param {string} reportId - Report ID
+   * @returns {Promise<Object>} { status, history: [{ action, fromStatus, toStatus, comments, changedAt, changedBy }] }
+   */
+  async getStatusHistory(reportId) {
+    const result = await this.requestJSON(`${this.apiUrl}/${reportId}/status-history`, {}, 'Failed to load status history');
+    return { status: result.status, history: result.history || [] };
+  }
+
+  /**
+   * Authenticated JSON request; throws with the server's error message
+   * @param {string} url - Request URL
+   * @param {Object} options - fetch options
+   * @param {string} failureMessage - Fallback error message
+   */
+  async requestJSON(url, options, failureMessage) {
+    const token = authMiddleware.getToken();
+    const response = await fetch(url, {
+      ...options,
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json'
+      }
+    });
+
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok || !result.success) {
+      throw new Error(result.error || `${failureMessage}: ${response.status}`);
+    }
+
+    return result;
+  }
+
   /**
    * Create new report
    * @param {Object} payload - Report payload
@@ -423,19 +563,6 @@ class ReportPersistenceService {
     return await response.json();
   }
 
-  /**
-   * Get next version number for report
-   * @param {string} reportId - Report ID
-   */
-  async getNextVersion(reportId) {
-    try {
-      const report = await this.loadReport(reportId);
-      return (report.report?.metadata?.version || 1) + 1;
-    } catch (error) {
-      return 1;
-    }
-  }
-
   /**
    * Generate report title from data
    * @param {Object} reportData - Report data
@@ -454,8 +581,9 @@ class ReportPersistenceService {
     return {
       office: reportData.office,
       dataCloset: reportData.dataCloset,
-      rackLocations: reportData.dataCloset?.rackLocations || [],
-      deviceLocations: reportData.dataCloset?.deviceLocations || []
+      rackLocations: (reportData.dataCloset?.locations || []).flatMap((location) => (
+        (location.racks || []).map((rack) => ({ location: location.name, rack: rack.name }))
+      ))
     };
   }
 
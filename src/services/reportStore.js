@@ -0,0 +1,16 @@
+/**
+ * RSS Visit Report - Report Store
+ * Where workspace reports and photos are saved on this device: IndexedDB, or
+ * localStorage in browsers without it. Everything is encrypted under the
+ * user's passphrase and can only be read while the store is unlocked.
+ */
+
+import offlineStorageService from './offlineStorageService.js';
+import { createLocalStorageStore } from '../utils/reportWorkspace.js';
+import { createEncryptedStore } from '../utils/reportEncryption.js';
+
+const reportStore = createEncryptedStore(
+  offlineStorageService.isAvailable() ? offlineStorageService : createLocalStorageStore()
+);
+
+export default reportStore;
@@ -0,0 +1,46 @@
+/**
+ * RSS Visit Report - Service Worker
+ * Precaches the built app so it can be installed and started without a
+ * connection. The build emits this file as sw.js with PRECACHE_URLS and
+ * CACHE_VERSION defined above it (precacheServiceWorker in vite.config.js);
+ * a new deploy gets a new version, which takes over once every window of the
+ * old one is closed.
+ */
+/* global PRECACHE_URLS, CACHE_VERSION */
+
+const CACHE_PREFIX = 'rss-visit-report-';
+const CACHE_NAME = `${CACHE_PREFIX}${CACHE_VERSION}`;
+
+// Every page of the app is served by the one index.html
+const APP_SHELL = new URL('index.html', self.registration.scope).href;
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(caches.open(CACHE_NAME).then((cache) => cache.addAll(PRECACHE_URLS)));
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const names = await caches.keys();
+    await Promise.all(names
+      .filter((name) => name.startsWith(CACHE_PREFIX) && name !== CACHE_NAME)
+      .map((name) => caches.delete(name)));
+    await self.clients.claim();
+  })());
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+
+  // API calls always go to the network; reportDatabaseService queues
+  // changes that fail while offline
+  if (request.method !== 'GET' || url.origin !== self.location.origin || url.pathname.includes('/api/')) {
+    return;
+  }
+
+  const cached = request.mode === 'navigate'
+    ? caches.match(APP_SHELL, { cacheName: CACHE_NAME })
+    : caches.match(request, { cacheName: CACHE_NAME });
+
+  event.respondWith(cached.then((response) => response || fetch(request)));
+});
@@ -0,0 +1,155 @@
+/**
+ * RSS Visit Report - Email Recipient Configuration
+ * Recipient lists per office, region and section, as managed on the Admin page.
+ * Lists resolve from the most specific scope that has one:
+ * office section → office default → region section → region default →
+ * global section → global default.
+ */
+
+import { EMAIL_RECIPIENTS_STORAGE_KEY } from '../constants/emailConfig.js';
+
+const EMAIL_PATTERN = /^[^\s@<>(),;:"]+@[^\s@<>(),;:"]+\.[^\s@<>(),;:"]+$/;
+
+export const createRecipientConfig = () => ({ defaults: {}, regions: {}, offices: {} });
+
+/**
+ * Split a comma, semicolon or newline separated list of addresses
+ * @param {string|string[]} value - Raw list
+ * @returns {string[]} Trimmed, de-duplicated addresses
+ */
+export function parseRecipientList(value) {
+  const list = Array.isArray(value) ? value : String(value || '').split(/[,;\n]/);
+  const seen = new Set();
+
+  return list
+    .map((address) => String(address).trim())
+    .filter((address) => {
+      const key = address.toLowerCase();
+      if (!address || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+}
+
+/**
+ * Addresses in a list that do not look like email addresses
+ * @param {string[]} recipients - Parsed list
+ */
+export function findInvalidRecipients(recipients) {
+  return recipients.filter((address) => !EMAIL_PATTERN.test(address));
+}
+
+const normalizeScope = (scope) => {
+  const lists = {};
+  Object.entries(scope && typeof scope === 'object' ? scope : {}).forEach(([section, recipients]) => {
+    const parsed = parseRecipientList(recipients);
+    if (parsed.length > 0) lists[section] = parsed;
+  });
+  return lists;
+};
+
+const normalizeScopes = (scopes) => {
+  const result = {};
+  Object.entries(scopes && typeof scopes === 'object' ? scopes : {}).forEach(([name, scope]) => {
+    const lists = normalizeScope(scope);
+    if (name.trim() && Object.keys(lists).length > 0) result[name.trim()] = lists;
+  });
+  return result;
+};
+
+/**
+ * Bring stored configuration into the { defaults, regions, offices } shape,
+ * dropping empty lists so they fall through to the next scope
+ * @param {Object} config - Stored configuration
+ */
+export function normalizeRecipientConfig(config) {
+  const source = config && typeof config === 'object' ? config : {};
+  return {
+    defaults: normalizeScope(source.defaults),
+    regions: normalizeScopes(source.regions),
+    offices: normalizeScopes(source.offices)
+  };
+}
+
+/**
+ * Load the recipient configuration saved from the Admin page
+ * @param {Storage} storage - Defaults to localStorage
+ */
+export function loadRecipientConfig(storage = globalThis.localStorage) {
+  try {
+    const saved = storage?.getItem(EMAIL_RECIPIENTS_STORAGE_KEY);
+    return saved ? normalizeRecipientConfig(JSON.parse(saved)) : createRecipientConfig();
+  } catch (error) {
+    console.error('Error loading email recipients:', error);
+    return createRecipientConfig();
+  }
+}
+
+/**
+ * Save the recipient configuration
+ * @param {Object} config - Configuration to store
+ * @param {Storage} storage - Defaults to localStorage
+ * @returns {Object} The normalized configuration that was stored
+ */
+export function saveRecipientConfig(config, storage = globalThis.localStorage) {
+  const normalized = normalizeRecipientConfig(config);
+  storage?.setItem(EMAIL_RECIPIENTS_STORAGE_KEY, JSON.stringify(normalized));
+  return normalized;
+}
+
+// Office and region names are typed by hand, so match them case-insensitively
+const findScope = (scopes, name) => {
+  if (!name) return null;
+  const wanted = String(name).trim().toLowerCase();
+  const match = Object.keys(scopes).find((key) => key.toLowerCase() === wanted);
+  return match ? { name: match, lists: scopes[match] } : null;
+};
+
+/**
+ * Region of an office as set on the Admin page
+ * @param {string} officeName - Report office name
+ * @param {Object[]} offices - Offices from the Admin page
+ */
+export function findOfficeRegion(officeName, offices = []) {
+  if (!officeName) return '';
+  const wanted = String(officeName).trim().toLowerCase();
+  const office = offices.find((entry) => entry?.name?.trim().toLowerCase() === wanted);
+  return office?.region?.trim() || '';
+}
+
+/**
+ * Scopes consulted for a section, most specific first
+ * @param {Object} config - Normalized configuration
+ * @param {Object} context - { office, region }
+ * @param {string} section - Section key, e.g. 'issues'
+ * @returns {Object[]} [{ scope, name, section, recipients }]
+ */
+export function getRecipientChain(config, { office, region } = {}, section) {
+  const { defaults, regions, offices } = normalizeRecipientConfig(config);
+  const scopes = [
+    { scope: 'office', found: findScope(offices, office) },
+    { scope: 'region', found: findScope(regions, region) },
+    { scope: 'global', found: { name: 'Defaults', lists: defaults } }
+  ];
+  const sections = section && section !== 'default' ? [section, 'default'] : ['default'];
+
+  return scopes.flatMap(({ scope, found }) => (
+    found
+      ? sections
+        .filter((key) => found.lists[key]?.length > 0)
+        .map((key) => ({ scope, name: found.name, section: key, recipients: found.lists[key] }))
+      : []
+  ));
+}
+
+/**
+ * Recipients for a section of a report
+ * @param {Object} config - Recipient configuration
+ * @param {Object} context - { office, region }
+ * @param {string} section - Section key
+ * @returns {string[]} Addresses from the most specific configured scope
+ */
+export function resolveRecipients(config, context, section) {
+  const [match] = getRecipientChain(config, context, section);
+  return match ? [...match.recipients] : [];
+}
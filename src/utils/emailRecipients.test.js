@@ -0,0 +1,73 @@
+import { describe, test, expect } from 'vitest';
+import {
+  resolveRecipients,
+  getRecipientChain,
+  normalizeRecipientConfig,
+  parseRecipientList,
+  findOfficeRegion,
+  loadRecipientConfig,
+  saveRecipientConfig
+} from './emailRecipients';
+
+const config = {
+  defaults: {
+    default: ['it-support@example.com'],
+    issues: ['helpdesk@example.com']
+  },
+  regions: {
+    West: { default: ['west-manager@example.com'] }
+  },
+  offices: {
+    Austin: { inventory: ['austin-purchasing@example.com'] },
+    Denver: { default: ['denver@example.com'] }
+  }
+};
+
+describe('resolveRecipients', () => {
+  test('prefers the most specific scope that has a list', () => {
+    expect(resolveRecipients(config, { office: 'Austin', region: 'West' }, 'inventory')).toEqual(['austin-purchasing@example.com']);
+    expect(resolveRecipients(config, { office: 'Austin', region: 'West' }, 'issues')).toEqual(['west-manager@example.com']);
+    expect(resolveRecipients(config, { office: 'Denver', region: 'West' }, 'issues')).toEqual(['denver@example.com']);
+  });
+
+  test('falls back to the global section list, then the global default', () => {
+    expect(resolveRecipients(config, { office: 'Boston' }, 'issues')).toEqual(['helpdesk@example.com']);
+    expect(resolveRecipients(config, { office: 'Boston' }, 'recycling')).toEqual(['it-support@example.com']);
+    expect(resolveRecipients(config, {}, 'default')).toEqual(['it-support@example.com']);
+    expect(resolveRecipients({}, { office: 'Austin' }, 'issues')).toEqual([]);
+  });
+
+  test('matches office and region names case-insensitively', () => {
+    expect(resolveRecipients(config, { office: ' austin ', region: 'west' }, 'inventory')).toEqual(['austin-purchasing@example.com']);
+    expect(getRecipientChain(config, { office: 'AUSTIN', region: 'WEST' }, 'inventory').map((step) => `${step.scope}:${step.section}`))
+      .toEqual(['office:inventory', 'region:default', 'global:default']);
+  });
+});
+
+describe('recipient configuration', () => {
+  test('drops empty lists so they inherit', () => {
+    expect(normalizeRecipientConfig({
+      defaults: { issues: '' },
+      offices: { Austin: { issues: [] }, Dallas: { issues: 'a@example.com; b@example.com\nA@example.com' } }
+    })).toEqual({
+      defaults: {},
+      regions: {},
+      offices: { Dallas: { issues: ['a@example.com', 'b@example.com'] } }
+    });
+  });
+
+  test('round-trips through storage', () => {
+    const values = new Map();
+    const storage = { getItem: (key) => values.get(key) ?? null, setItem: (key, value) => values.set(key, value) };
+
+    expect(loadRecipientConfig(storage)).toEqual({ defaults: {}, regions: {}, offices: {} });
+    saveRecipientConfig(config, storage);
+    expect(loadRecipientConfig(storage)).toEqual(config);
+  });
+
+  test('parses lists and looks up office regions', () => {
+    expect(parseRecipientList(' a@example.com, ,b@example.com ')).toEqual(['a@example.com', 'b@example.com']);
+    expect(findOfficeRegion('austin', [{ name: 'Austin', region: ' West ' }])).toBe('West');
+    expect(findOfficeRegion('Boston', [{ name: 'Austin', region: 'West' }])).toBe('');
+  });
+});
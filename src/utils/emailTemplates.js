@@ -0,0 +1,590 @@
+/**
+ * Email Templates
+ * Section report emails described once as a list of content blocks and
+ * rendered to HTML, plain text and CSV from that description
+ *
+ * Block types:
+ *   { type: 'heading', text }
+ *   { type: 'fields', fields: [[label, value], ...] }
+ *   { type: 'items', items: [{ title, fields: [[label, value], ...] }] }
+ *   { type: 'table', columns: [...], rows: [[...], ...] }
+ *   { type: 'text', text }
+ */
+
+const hasValue = (value) => value !== undefined && value !== null && value !== '';
+
+const heading = (text) => ({ type: 'heading', text });
+
+const fields = (entries) => ({ type: 'fields', fields: entries.filter(([, value]) => hasValue(value)) });
+
+const items = (list, toItem) => ({
+  type: 'items',
+  items: list.map(toItem).map((item) => ({ ...item, fields: item.fields.filter(([, value]) => hasValue(value)) }))
+});
+
+const table = (columns, rows) => ({ type: 'table', columns, rows });
+
+const text = (value) => ({ type: 'text', text: value });
+
+/**
+ * Add a heading and its content only when the content has entries
+ * @param {Array} blocks - Block list (mutated)
+ * @param {string} title - Heading text
+ * @param {Object} block - Content block
+ */
+const addSection = (blocks, title, block) => {
+  const size = block.fields?.length ?? block.items?.length ?? block.rows?.length ?? (block.text ? 1 : 0);
+  if (size > 0) {
+    blocks.push(heading(title), block);
+  }
+};
+
+const sumValues = (value) => Object.values(value || {}).reduce((sum, count) => sum + (Number(count) || 0), 0);
+
+/**
+ * Normalize an inventory item across the old (otherUse/spares objects) and
+ * new (flat counts) data formats
+ * @param {Object} item - Inventory item
+ */
+export function toInventoryCounts(item) {
+  const nested = item.otherUse && typeof item.otherUse === 'object';
+  const counts = {
+    inUse: item.inUse || item.inUseByEmployees || 0,
+    training: (nested ? item.otherUse.training : item.training) || 0,
+    conference: (nested ? item.otherUse.conf : item.conference) || 0,
+    gsm: (nested ? item.otherUse.gsm : item.gsm) || 0,
+    prospecting: item.otherUse?.prospecting || item.prospecting || 0,
+    applicant: item.otherUse?.applicant || item.applicant || 0,
+    visitor: item.otherUse?.visitor || item.visitor || 0,
+    other: item.otherUse?.other || item.other || 0,
+    sparesOnFloor: item.spares?.onFloor || item.sparesOnFloor || 0,
+    sparesInStorage: item.spares?.inStorage || item.sparesInStorage || 0,
+    broken: item.broken || 0
+  };
+
+  const otherUseTotal = nested
+    ? sumValues(item.otherUse)
+    : counts.training + counts.conference + counts.gsm + counts.prospecting
+      + counts.applicant + counts.visitor + counts.other;
+  const sparesTotal = item.spares && typeof item.spares === 'object'
+    ? sumValues(item.spares)
+    : counts.sparesOnFloor + counts.sparesInStorage;
+
+  return { ...counts, total: counts.inUse + otherUseTotal + sparesTotal + counts.broken };
+}
+
+/**
+ * Section templates. Each receives the section data the page already
+ * holds plus the full report, and returns the email title and blocks.
+ * recipientKey selects the section list in utils/emailRecipients.
+ */
+export const SECTION_TEMPLATES = {
+  dashboard: {
+    title: 'RSS Visit Report - Complete Summary',
+    subject: 'Complete Visit Report',
+    recipientKey: 'fullReport',
+    build: ({ progress, issues = [], recommendations = [] }) => {
+      const openIssues = issues.filter((issue) => issue.status === 'open');
+      const pendingRecs = recommendations.filter((rec) => rec.status === 'pending');
+      const blocks = [fields([['Overall Progress', `${progress.overall}%`]])];
+
+      addSection(blocks, 'Section Progress', fields(
+        Object.values(progress.sections || {}).map((section) => [section.name, `${section.progress}%`])
+      ));
+      addSection(blocks, `Critical Issues (${openIssues.length} open)`, items(openIssues, (issue) => ({
+        title: issue.title,
+        fields: [['Severity', issue.severity]]
+      })));
+      addSection(blocks, `Pending Recommendations (${pendingRecs.length})`, items(pendingRecs, (rec) => ({
+        title: rec.title,
+        fields: [['Priority', rec.priority]]
+      })));
+      blocks.push(text('This is a summary report. Please access the system for detailed information.'));
+
+      return blocks;
+    }
+  },
+
+  summary: {
+    title: 'Office Visit Summary Report',
+    subject: 'Visit Summary Report',
+    recipientKey: 'fullReport',
+    build: ({ progress }, report) => {
+      const dataClosetPhotos = report.pictures?.dataCloset?.length || 0;
+      const trainingRoomPhotos = report.pictures?.trainingRoom?.length || 0;
+      const blocks = [fields([
+        ['Technician', report.technician || 'Not specified'],
+        ['Purpose', report.visitPurpose || 'Not specified'],
+        ['Data Closet Photos', dataClosetPhotos || null],
+        ['Training Room Photos', trainingRoomPhotos || null],
+        ['Summary Progress', `${progress}% complete`]
+      ])];
+
+      addSection(blocks, 'Overall Notes', text(report.summary?.summaryText || ''));
+
+      return blocks;
+    }
+  },
+
+  storage: {
+    title: 'Data Closet & Storage Report',
+    subject: 'Data Closet Report',
+    recipientKey: 'storage',
+    build: ({ dataCloset }) => {
+      const locations = dataCloset.locations || [];
+      const environmental = dataCloset.environmental || {};
+      const totalRacks = locations.reduce((sum, location) => sum + (location.racks || []).length, 0);
+      const totalDevices = locations.reduce((sum, location) =>
+        sum + (location.racks || []).reduce((rackSum, rack) => rackSum + (rack.devices || []).length, 0), 0);
+
+      const blocks = [fields([['Overall Score', `${dataCloset.overallScore}%`]])];
+
+      addSection(blocks, 'Quality Assessment (1-5 Scale)', items(dataCloset.grading || [], (item) => ({
+        title: item.category,
+        fields: [
+          ['Score', item.score ? `${item.score}/5 (${Math.round((item.score / 5) * 100)}%)` : 'Not graded'],
+          ['Notes', item.comments]
+        ]
+      })));
+      addSection(blocks, 'Infrastructure Summary', fields([
+        ['Locations', locations.length],
+        ['Racks', totalRacks],
+        ['Devices', totalDevices],
+        ['Environmental Monitoring', environmental.temperature ? 'Active' : 'Not configured'],
+        ['Photos', (dataCloset.photos || []).length]
+      ]));
+      addSection(blocks, 'Location Details', items(locations, (location) => ({
+        title: location.name,
+        fields: [['Racks', (location.racks || []).length], ['Description', location.description]]
+      })));
+      if (environmental.temperature) {
+        addSection(blocks, 'Environmental Conditions', fields([
+          ['Temperature', `${environmental.temperature}°F`],
+          ['Humidity', hasValue(environmental.humidity) ? `${environmental.humidity}%` : null],
+          ['Airflow', environmental.airflow || 'Not assessed'],
+          ['Power Status', environmental.powerStatus || 'Not assessed']
+        ]));
+      }
+      addSection(blocks, 'Additional Notes', text(dataCloset.notes || ''));
+
+      return blocks;
+    }
+  },
+
+  issues: {
+    title: 'Issues & Problems Report',
+    subject: 'Issues Report',
+    recipientKey: 'issues',
+    build: ({ issues = [], progress }) => {
+      const openIssues = issues.filter((issue) => issue.status === 'open');
+      const criticalIssues = issues.filter((issue) => issue.severity === 'critical');
+      const blocks = [heading('Summary'), fields([
+        ['Total Issues', issues.length],
+        ['Open Issues', openIssues.length],
+        ['Critical Issues', criticalIssues.length],
+        ['Resolution Progress', `${progress}%`]
+      ])];
+
+      addSection(blocks, 'Critical Issues', items(criticalIssues, (issue) => ({
+        title: issue.title,
+        fields: [
+          ['Category', issue.category],
+          ['Status', issue.status],
+          ['Location', issue.location],
+          ['Description', issue.description]
+        ]
+      })));
+      addSection(blocks, 'All Open Issues', items(openIssues, (issue) => ({
+        title: issue.title,
+        fields: [
+          ['Severity', issue.severity],
+          ['Category', issue.category],
+          ['Location', issue.location],
+          ['Affected Users', issue.affectedUsers],
+          ['Ticket Number', issue.ticketNumber],
+          ['Ticket Link', issue.ticketLink]
+        ]
+      })));
+
+      return blocks;
+    }
+  },
+
+  followUp: {
+    title: 'Follow-up Items & Tasks Report',
+    subject: 'Follow-up Items Report',
+    recipientKey: 'followUp',
+    build: ({ items: followUps = [], overdue = [], progress }) => {
+      const pendingItems = followUps.filter((item) => item.status === 'pending' || item.status === 'in-progress');
+      const criticalItems = followUps.filter((item) => item.priority === 'critical');
+      const blocks = [heading('Summary'), fields([
+        ['Total Follow-up Items', followUps.length],
+        ['Pending/In Progress', pendingItems.length],
+        ['Overdue Items', overdue.length],
+        ['Critical Priority', criticalItems.length],
+        ['Completion Rate', `${progress}%`]
+      ])];
+
+      addSection(blocks, 'Overdue Items', items(overdue, (item) => ({
+        title: item.title,
+        fields: [
+          ['Priority', item.priority],
+          ['Assigned To', item.assignedTo || 'Unassigned'],
+          ['Due Date', item.dueDate],
+          ['Category', item.category]
+        ]
+      })));
+      addSection(blocks, 'Critical Priority Items', items(criticalItems, (item) => ({
+        title: item.title,
+        fields: [
+          ['Status', item.status],
+          ['Assigned To', item.assignedTo || 'Unassigned'],
+          ['Due Date', item.dueDate || 'Not set'],
+          ['Category', item.category]
+        ]
+      })));
+      addSection(blocks, 'Pending/In Progress Items', items(pendingItems, (item) => ({
+        title: item.title,
+        fields: [
+          ['Status', item.status],
+          ['Priority', item.priority],
+          ['Assigned To', item.assignedTo || 'Unassigned'],
+          ['Due Date', item.dueDate || 'Not set'],
+          ['Estimated Hours', item.estimatedHours]
+        ]
+      })));
+
+      return blocks;
+    }
+  },
+
+  recycling: {
+    title: 'E-Waste & Recycling Report',
+    subject: 'Recycling Report',
+    recipientKey: 'recycling',
+    build: ({ recycling, totals }) => {
+      const withQuantity = (list = []) => list.filter((item) => item.quantity > 0);
+      const itemRows = (list) => list.map((item) => [item.item, item.quantity, item.notes || '']);
+      const highPriority = withQuantity(recycling.pickupRequired).filter((item) => item.priority === 'high');
+
+      const blocks = [heading('Summary'), fields([
+        ['Items Brought Back', totals.broughtBack],
+        ['Items Requiring Pickup', totals.pickupRequired],
+        ['Items Sent to HQ', totals.sentToHq],
+        ['Total Items Processed', totals.total]
+      ])];
+
+      addSection(blocks, 'High Priority Pickup Required', table(['Item', 'Quantity', 'Notes'], itemRows(highPriority)));
+      if (recycling.scheduled === 'Yes') {
+        addSection(blocks, 'Pickup Scheduling', fields([
+          ['Status', 'Scheduled'],
+          ['Date', recycling.scheduleDate ? new Date(recycling.scheduleDate).toLocaleDateString() : null],
+          ['Scheduled By', recycling.scheduledBy],
+          ['Contact', recycling.pickupContact]
+        ]));
+      }
+      addSection(blocks, 'Items Brought Back to HQ', table(['Item', 'Quantity', 'Notes'], itemRows(withQuantity(recycling.broughtBack))));
+      addSection(blocks, 'Items Sent to HQ', table(['Item', 'Quantity', 'Notes'], itemRows(withQuantity(recycling.sentToHq))));
+      addSection(blocks, 'General Notes', text(recycling.generalNotes || ''));
+
+      return blocks;
+    }
+  },
+
+  pcRepairs: {
+    title: 'PC Repairs & Services Report',
+    subject: 'PC Repairs Report',
+    recipientKey: 'pcRepairs',
+    build: ({ repairs = [], progress }) => {
+      const completed = repairs.filter((repair) => repair.status === 'completed');
+      const pending = repairs.filter((repair) => repair.status === 'pending' || repair.status === 'in-progress');
+      const blocks = [heading('Summary'), fields([
+        ['Total PC Repairs', repairs.length],
+        ['Completed Repairs', completed.length],
+        ['Pending/In Progress', pending.length],
+        ['Completion Rate', `${progress}%`]
+      ])];
+
+      addSection(blocks, 'Completed Repairs', items(completed, (repair) => ({
+        title: `PC: ${repair.pcName} (${repair.pcModel})`,
+        fields: [
+          ['User', repair.userName],
+          ['Repair Type', repair.repairType],
+          ['Date Completed', repair.dateCompleted],
+          ['Work Performed', repair.workPerformed],
+          ['Time Spent', repair.timeSpent]
+        ]
+      })));
+      addSection(blocks, 'Pending/In Progress Repairs', items(pending, (repair) => ({
+        title: `PC: ${repair.pcName} (${repair.pcModel})`,
+        fields: [
+          ['Status', repair.status],
+          ['Priority', repair.priority],
+          ['Repair Type', repair.repairType],
+          ['Date Requested', repair.dateRequested],
+          ['Issue', repair.issueDescription]
+        ]
+      })));
+
+      return blocks;
+    }
+  },
+
+  inventory: {
+    title: 'Hardware Inventory Report',
+    subject: 'Hardware Inventory Report',
+    recipientKey: 'inventory',
+    build: ({ items: inventoryItems = [], totals, notes }) => {
+      const rows = inventoryItems
+        .map((item) => ({ description: item.description || item.name || '', counts: toInventoryCounts(item) }))
+        .filter(({ counts }) => counts.total > 0)
+        .map(({ description, counts }) => [
+          description, counts.inUse, counts.training, counts.conference, counts.gsm, counts.prospecting,
+          counts.applicant, counts.visitor, counts.other, counts.sparesOnFloor, counts.sparesInStorage,
+          counts.broken, counts.total
+        ]);
+
+      const blocks = [heading('Inventory Summary'), fields([
+        ['Total Items Tracked', totals.total],
+        ['Items in Use', totals.inUse],
+        ['Spare Items', totals.spare],
+        ['Broken Items', totals.broken]
+      ])];
+
+      addSection(blocks, 'Detailed Inventory', table([
+        'Description', 'In Use', 'Training', 'Conference', 'GSM', 'Prospecting', 'Applicant',
+        'Visitor', 'Other', 'Spares (Floor)', 'Spares (Storage)', 'Broken', 'Total'
+      ], rows));
+      addSection(blocks, 'Notes', text(notes || ''));
+
+      return blocks;
+    }
+  },
+
+  recommendations: {
+    title: 'Recommendations & Improvements Report',
+    subject: 'Recommendations Report',
+    recipientKey: 'recommendations',
+    build: ({ recommendations = [], progress }) => {
+      const critical = recommendations.filter((rec) => rec.priority === 'critical');
+      const approved = recommendations.filter((rec) => rec.status === 'approved');
+      const blocks = [heading('Summary'), fields([
+        ['Total Recommendations', recommendations.length],
+        ['Critical Priority', critical.length],
+        ['Approved Recommendations', approved.length],
+        ['Implementation Progress', `${progress}%`]
+      ])];
+
+      addSection(blocks, 'Critical Priority Recommendations', items(critical, (rec) => ({
+        title: rec.title,
+        fields: [
+          ['Category', rec.category],
+          ['Status', rec.status],
+          ['Timeframe', rec.timeframe],
+          ['Description', rec.description]
+        ]
+      })));
+      addSection(blocks, 'Approved Recommendations', items(approved, (rec) => ({
+        title: rec.title,
+        fields: [
+          ['Priority', rec.priority],
+          ['Category', rec.category],
+          ['Timeframe', rec.timeframe],
+          ['Description', rec.description]
+        ]
+      })));
+
+      return blocks;
+    }
+  }
+};
+
+export const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const headerFields = (meta) => [
+  ['Office', meta.office],
+  ['Date', meta.date],
+  ['Report Generated', meta.generatedAt]
+];
+
+/**
+ * Render blocks as plain text in the layout the old mailto: bodies used
+ * @param {string} title - Email title
+ * @param {Object} meta - { office, date, generatedAt, note }
+ * @param {Array} blocks - Content blocks
+ */
+export function renderEmailText(title, meta, blocks) {
+  const lines = [title, ...headerFields(meta).map(([label, value]) => `${label}: ${value}`), ''];
+
+  if (meta.note) {
+    lines.push(meta.note, '');
+  }
+
+  for (const block of blocks) {
+    switch (block.type) {
+      case 'heading':
+        lines.push(`${block.text.toUpperCase()}:`);
+        break;
+      case 'fields':
+        block.fields.forEach(([label, value]) => lines.push(`${label}: ${value}`));
+        lines.push('');
+        break;
+      case 'items':
+        block.items.forEach((item) => {
+          lines.push(`• ${item.title}`);
+          item.fields.forEach(([label, value]) => lines.push(`  ${label}: ${value}`));
+        });
+        lines.push('');
+        break;
+      case 'table':
+        block.rows.forEach((row) => {
+          lines.push(`• ${row[0]}`);
+          block.columns.slice(1).forEach((column, index) => {
+            if (hasValue(row[index + 1])) lines.push(`  ${column}: ${row[index + 1]}`);
+          });
+        });
+        lines.push('');
+        break;
+      case 'text':
+        lines.push(block.text, '');
+        break;
+      default:
+        break;
+    }
+  }
+
+  return `${lines.join('\n').trim()}\n`;
+}
+
+const CELL_STYLE = 'padding:4px 8px;border:1px solid #dee2e6;text-align:left;vertical-align:top;';
+
+/**
+ * Render blocks as a self-contained HTML document with inline styles,
+ * since most mail clients ignore <style> blocks
+ * @param {string} title - Email title
+ * @param {Object} meta - { office, date, generatedAt, note }
+ * @param {Array} blocks - Content blocks
+ */
+export function renderEmailHtml(title, meta, blocks) {
+  const fieldRows = (entries) => entries.map(([label, value]) =>
+    `<tr><th style="${CELL_STYLE}background:#f8f9fa;width:40%;">${escapeHtml(label)}</th><td style="${CELL_STYLE}">${escapeHtml(value)}</td></tr>`
+  ).join('');
+  const fieldTable = (entries) => `<table style="border-collapse:collapse;width:100%;margin:0 0 16px;">${fieldRows(entries)}</table>`;
+  const paragraph = (value) => `<p style="margin:0 0 16px;white-space:pre-wrap;">${escapeHtml(value)}</p>`;
+
+  const body = blocks.map((block) => {
+    switch (block.type) {
+      case 'heading':
+        return `<h2 style="font-size:16px;color:#2962a5;border-bottom:2px solid #2962a5;padding-bottom:4px;margin:24px 0 8px;">${escapeHtml(block.text)}</h2>`;
+      case 'fields':
+        return fieldTable(block.fields);
+      case 'items':
+        return block.items.map((item) =>
+          `<h3 style="font-size:14px;margin:12px 0 4px;">${escapeHtml(item.title)}</h3>${item.fields.length ? fieldTable(item.fields) : ''}`
+        ).join('');
+      case 'table':
+        return `<table style="border-collapse:collapse;width:100%;margin:0 0 16px;font-size:13px;">`
+          + `<tr>${block.columns.map((column) => `<th style="${CELL_STYLE}background:#343a40;color:#fff;">${escapeHtml(column)}</th>`).join('')}</tr>`
+          + block.rows.map((row) => `<tr>${row.map((cell) => `<td style="${CELL_STYLE}">${escapeHtml(cell)}</td>`).join('')}</tr>`).join('')
+          + '</table>';
+      case 'text':
+        return paragraph(block.text);
+      default:
+        return '';
+    }
+  }).join('\n');
+
+  return [
+    '<!DOCTYPE html>',
+    `<html><head><meta charset="utf-8"><title>${escapeHtml(title)}</title></head>`,
+    '<body style="font-family:Helvetica,Arial,sans-serif;font-size:14px;color:#212529;margin:0;padding:24px;">',
+    `<h1 style="font-size:20px;color:#2962a5;margin:0 0 12px;">${escapeHtml(title)}</h1>`,
+    fieldTable(headerFields(meta)),
+    meta.note ? paragraph(meta.note) : '',
+    body,
+    '</body></html>'
+  ].join('\n');
+}
+
+const csvCell = (value) => `"${String(value ?? '').replace(/"/g, '""')}"`;
+
+/**
+ * Render blocks as CSV, one table per block
+ * @param {string} title - Email title
+ * @param {Object} meta - { office, date, generatedAt }
+ * @param {Array} blocks - Content blocks
+ */
+export function renderEmailCsv(title, meta, blocks) {
+  const rows = [['Report', title], ...headerFields(meta), []];
+
+  for (const block of blocks) {
+    switch (block.type) {
+      case 'heading':
+        rows.push([block.text]);
+        break;
+      case 'fields':
+        rows.push(...block.fields, []);
+        break;
+      case 'items': {
+        const labels = [...new Set(block.items.flatMap((item) => item.fields.map(([label]) => label)))];
+        rows.push(['Item', ...labels]);
+        block.items.forEach((item) => {
+          const values = Object.fromEntries(item.fields);
+          rows.push([item.title, ...labels.map((label) => values[label] ?? '')]);
+        });
+        rows.push([]);
+        break;
+      }
+      case 'table':
+        rows.push(block.columns, ...block.rows, []);
+        break;
+      case 'text':
+        rows.push(['Notes', block.text], []);
+        break;
+      default:
+        break;
+    }
+  }
+
+  return rows.map((row) => row.map(csvCell).join(',')).join('\n');
+}
+
+/**
+ * Compose a section email
+ * @param {string} section - Key of SECTION_TEMPLATES
+ * @param {Object} data - Section data from the page
+ * @param {Object} report - Full report data
+ * @param {Object} options - { note } optional personal message
+ * @returns {Object} { section, name, title, subject, recipientKey, meta, blocks, html, text }
+ */
+export function composeSectionEmail(section, data, report = {}, { note = '' } = {}) {
+  const template = SECTION_TEMPLATES[section];
+  if (!template) {
+    throw new Error(`Unknown email section: ${section}`);
+  }
+
+  const meta = {
+    office: report.office || 'Office Visit',
+    date: report.date || new Date().toISOString().split('T')[0],
+    generatedAt: new Date().toLocaleString(),
+    note: note.trim()
+  };
+  const blocks = template.build(data, report);
+
+  return {
+    section,
+    name: template.subject,
+    title: template.title,
+    subject: `${template.subject} - ${meta.office} - ${meta.date}`,
+    recipientKey: template.recipientKey,
+    meta,
+    blocks,
+    html: renderEmailHtml(template.title, meta, blocks),
+    text: renderEmailText(template.title, meta, blocks)
+  };
+}
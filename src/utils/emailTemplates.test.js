@@ -0,0 +1,81 @@
+import { describe, test, expect } from 'vitest';
+import { composeSectionEmail, renderEmailCsv, toInventoryCounts } from './emailTemplates';
+
+const report = { office: 'Austin', date: '2024-05-01' };
+
+describe('composeSectionEmail', () => {
+  const issues = [
+    { title: 'Printer offline', severity: 'critical', status: 'open', category: 'Hardware', location: 'Lobby' },
+    { title: 'Slow Wi-Fi <5GHz>', severity: 'low', status: 'open', category: 'Network', ticketNumber: 'INC-42' },
+    { title: 'Old issue', severity: 'low', status: 'resolved', category: 'Other' }
+  ];
+
+  test('builds subject, recipients key and text in the old mailto layout', () => {
+    const email = composeSectionEmail('issues', { issues, progress: 33 }, report);
+
+    expect(email.subject).toBe('Issues Report - Austin - 2024-05-01');
+    expect(email.recipientKey).toBe('issues');
+    expect(email.text).toContain('Issues & Problems Report\nOffice: Austin\nDate: 2024-05-01\n');
+    expect(email.text).toContain('SUMMARY:\nTotal Issues: 3\nOpen Issues: 2\nCritical Issues: 1\nResolution Progress: 33%');
+    expect(email.text).toContain('• Slow Wi-Fi <5GHz>\n  Severity: low\n  Category: Network\n  Ticket Number: INC-42');
+    expect(email.text).not.toContain('undefined');
+    expect(email.text).not.toContain('Old issue');
+  });
+
+  test('escapes report content in the HTML body', () => {
+    const email = composeSectionEmail('issues', { issues, progress: 33 }, report, { note: 'See <b>below</b>' });
+
+    expect(email.html).toContain('Slow Wi-Fi &lt;5GHz&gt;');
+    expect(email.html).toContain('See &lt;b&gt;below&lt;/b&gt;');
+    expect(email.html).not.toContain('<b>');
+  });
+
+  test('uses real line breaks in storage notes', () => {
+    const email = composeSectionEmail('storage', {
+      dataCloset: { overallScore: 80, notes: 'Rack A\nRack B', locations: [{ name: 'Closet 1', racks: [{ devices: [{}, {}] }] }] }
+    }, report);
+
+    expect(email.text).toContain('Racks: 1\nDevices: 2');
+    expect(email.text).toContain('ADDITIONAL NOTES:\nRack A\nRack B');
+    expect(email.text).not.toContain('\\n');
+  });
+
+  test('rejects unknown sections', () => {
+    expect(() => composeSectionEmail('unknown', {}, report)).toThrow('Unknown email section');
+  });
+});
+
+describe('renderEmailCsv', () => {
+  test('writes tables and item lists with quoted cells', () => {
+    const email = composeSectionEmail('recycling', {
+      recycling: {
+        broughtBack: [{ item: 'Monitors, 24"', quantity: 2, notes: '' }, { item: 'Mice', quantity: 0 }],
+        pickupRequired: [],
+        sentToHq: []
+      },
+      totals: { broughtBack: 2, pickupRequired: 0, sentToHq: 0, total: 2 }
+    }, report);
+
+    const csv = renderEmailCsv(email.title, email.meta, email.blocks).split('\n');
+
+    expect(csv).toContain('"Items Brought Back to HQ"');
+    expect(csv).toContain('"Item","Quantity","Notes"');
+    expect(csv).toContain('"Monitors, 24""","2",""');
+    expect(csv.join('\n')).not.toContain('Mice');
+  });
+});
+
+describe('toInventoryCounts', () => {
+  test('totals old and new inventory formats alike', () => {
+    const flat = toInventoryCounts({ inUse: 5, training: 1, conference: 2, sparesOnFloor: 1, sparesInStorage: 3, broken: 1 });
+    const nested = toInventoryCounts({
+      inUse: 5,
+      otherUse: { training: 1, conf: 2 },
+      spares: { onFloor: 1, inStorage: 3 },
+      broken: 1
+    });
+
+    expect(flat.total).toBe(13);
+    expect(nested).toMatchObject({ training: 1, conference: 2, sparesOnFloor: 1, sparesInStorage: 3, total: 13 });
+  });
+});
@@ -0,0 +1,44 @@
+/**
+ * RSS Visit Report - Field Focus
+ * Scrolls to and focuses a report field once the page and tab it is on have
+ * rendered, for the "go to field" links of report validation problems.
+ */
+
+const HIGHLIGHT_CLASSES = ['ring-2', 'ring-red-500', 'ring-offset-2'];
+const HIGHLIGHT_MS = 2000;
+
+// Pages load lazily and switch tabs in an effect, so give them a moment
+const WAIT_MS = 1500;
+
+/**
+ * Focus the element with the given id as soon as it is in the document
+ * @param {string} id - Element id, see fieldId in reportValidation
+ * @returns {Promise<boolean>} Whether the element turned up in time
+ */
+export function focusField(id) {
+  if (!id || typeof document === 'undefined') return Promise.resolve(false);
+
+  const startedAt = Date.now();
+
+  return new Promise((resolve) => {
+    const attempt = () => {
+      const element = document.getElementById(id);
+      if (!element) {
+        if (Date.now() - startedAt < WAIT_MS) {
+          requestAnimationFrame(attempt);
+        } else {
+          resolve(false);
+        }
+        return;
+      }
+
+      element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+      element.focus({ preventScroll: true });
+      element.classList.add(...HIGHLIGHT_CLASSES);
+      setTimeout(() => element.classList.remove(...HIGHLIGHT_CLASSES), HIGHLIGHT_MS);
+      resolve(true);
+    };
+
+    requestAnimationFrame(attempt);
+  });
+}
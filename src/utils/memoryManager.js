@@ -4,6 +4,8 @@
  */
 
 import { settings } from './settings.js';
+import reportStore from '../services/reportStore.js';
+import { collectPhotoIds } from './reportPhotos.js';
 
 class MemoryManager {
   constructor() {
@@ -57,6 +59,33 @@ class MemoryManager {
     }
   }
   
+  /**
+   * Whether storage use is above a share of the quota
+   * @param {number} threshold - Share of the quota, 0-1
+   */
+  isStorageNearlyFull(threshold = settings.get('memory.storageWarningRatio', 0.9)) {
+    const { used, quota } = this.storageStats;
+    return quota > 0 && used / quota >= threshold;
+  }
+  
+  /**
+   * Ask the browser not to evict offline reports under storage pressure
+   * @returns {Promise<boolean>} Whether storage is persistent
+   */
+  async requestPersistentStorage() {
+    try {
+      if (navigator.storage?.persisted && await navigator.storage.persisted()) {
+        return true;
+      }
+      if (navigator.storage?.persist) {
+        return await navigator.storage.persist();
+      }
+    } catch (error) {
+      console.warn('Failed to request persistent storage:', error);
+    }
+    return false;
+  }
+  
   /**
    * Calculate localStorage size (fallback method)
    */
@@ -250,11 +279,47 @@ class MemoryManager {
   }
   
   /**
-   * Clean IndexedDB (future implementation)
+   * Clean IndexedDB: drop stored reports that are no longer in the workspace
+   * index and photo blobs that no saved report refers to any more. Records
+   * written in the last hour are left alone, as a report being created or
+   * saved right now may not be in the index yet. Nothing is cleaned while the
+   * store is locked, as the index and reports can't be read.
+   * @param {Object} store - Defaults to the app's (encrypted) report store
+   * @returns {Promise<number>} Number of records removed
    */
-  async cleanIndexedDB() {
-    // Placeholder for future IndexedDB cleanup
-    return 0;
+  async cleanIndexedDB(store = reportStore) {
+    if (!store.isAvailable()) return 0;
+
+    // Nothing has been saved to IndexedDB yet; don't guess what belongs there
+    const workspace = await store.getMeta('workspace');
+    if (!workspace) return 0;
+
+    const cutoff = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+    const known = new Set((workspace.reports || []).map((entry) => entry.id));
+    let cleaned = 0;
+
+    for (const report of await store.listReports()) {
+      if (!known.has(report.id) && report.updatedAt < cutoff) {
+        await store.deleteReport(report.id);
+        cleaned++;
+      }
+    }
+
+    const referenced = new Map();
+    const orphanedPhotos = [];
+    for (const photo of await store.listPhotos()) {
+      if (photo.storedAt >= cutoff) continue;
+      if (!referenced.has(photo.reportId)) {
+        const data = known.has(photo.reportId) ? await store.getReport(photo.reportId) : null;
+        referenced.set(photo.reportId, collectPhotoIds(data));
+      }
+      if (!referenced.get(photo.reportId).has(photo.photoId)) {
+        orphanedPhotos.push(photo.key);
+      }
+    }
+
+    await store.deletePhotos(orphanedPhotos);
+    return cleaned + orphanedPhotos.length;
   }
   
   /**
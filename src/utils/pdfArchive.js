@@ -0,0 +1,221 @@
+/**
+ * RSS Visit Report - PDF/A Archive Parts
+ * Pieces pdfReportService writes into archival (PDF/A-3b) report PDFs: the
+ * XMP metadata packet, the sRGB output intent profile and PDF date strings.
+ */
+
+export const PDFA_PART = 3;
+export const PDFA_CONFORMANCE = 'B';
+
+// Namespace of the report fields in the XMP metadata
+export const REPORT_XMP_NAMESPACE = 'https://rss-visit-report/ns/report/1.0/';
+
+const REPORT_XMP_PROPERTIES = [
+  { name: 'office', description: 'Office visited' },
+  { name: 'technician', description: 'Technician who made the visit' },
+  { name: 'visitDate', description: 'Date of the visit' },
+  { name: 'reportNumber', description: 'Saved report ID' }
+];
+
+const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+/**
+ * PDF date string in UTC, e.g. D:20250801093000+00'00'
+ * @param {Date} date - Date to format
+ */
+export function toPdfDate(date) {
+  return `D:${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}`
+    + `${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}+00'00'`;
+}
+
+/**
+ * XMP date string in UTC matching toPdfDate, e.g. 2025-08-01T09:30:00Z
+ * @param {Date} date - Date to format
+ */
+export function toXmpDate(date) {
+  return `${date.toISOString().slice(0, 19)}Z`;
+}
+
+/**
+ * Text for the document information dictionary, which jsPDF writes as
+ * Latin-1; other characters are dropped so the XMP copy stays identical
+ * @param {*} value - Text to clean
+ */
+export function toDocumentInfoText(value) {
+  return String(value ?? '').replace(/[^\u0020-\u007E\u00A0-\u00FF]/g, '').trim();
+}
+
+const escapeXml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const languageAlternative = (value) => (
+  `<rdf:Alt><rdf:li xml:lang="x-default">${escapeXml(value)}</rdf:li></rdf:Alt>`
+);
+
+/**
+ * XMP packet of an archival report. Every value that is also in the PDF
+ * document information dictionary must be passed here unchanged, since
+ * PDF/A requires the two to agree.
+ * @param {Object} metadata - { title, author, subject, keywords, creator,
+ *   producer, createdAt, office, technician, visitDate, reportNumber }
+ * @returns {string} The XMP packet
+ */
+export function buildArchiveXmp(metadata) {
+  const { title, author, subject, keywords, creator, producer, createdAt } = metadata;
+
+  // PDF/A only accepts custom properties whose schema is described inline
+  const extensionSchema = `
+      <pdfaExtension:schemas>
+        <rdf:Bag>
+          <rdf:li rdf:parseType="Resource">
+            <pdfaSchema:schema>RSS Visit Report</pdfaSchema:schema>
+            <pdfaSchema:namespaceURI>${REPORT_XMP_NAMESPACE}</pdfaSchema:namespaceURI>
+            <pdfaSchema:prefix>rss</pdfaSchema:prefix>
+            <pdfaSchema:property>
+              <rdf:Seq>${REPORT_XMP_PROPERTIES.map(({ name, description }) => `
+                <rdf:li rdf:parseType="Resource">
+                  <pdfaProperty:name>${name}</pdfaProperty:name>
+                  <pdfaProperty:valueType>Text</pdfaProperty:valueType>
+                  <pdfaProperty:category>external</pdfaProperty:category>
+                  <pdfaProperty:description>${description}</pdfaProperty:description>
+                </rdf:li>`).join('')}
+              </rdf:Seq>
+            </pdfaSchema:property>
+          </rdf:li>
+        </rdf:Bag>
+      </pdfaExtension:schemas>`;
+
+  const reportFields = REPORT_XMP_PROPERTIES
+    .filter(({ name }) => metadata[name])
+    .map(({ name }) => `
+      <rss:${name}>${escapeXml(metadata[name])}</rss:${name}>`)
+    .join('');
+
+  return `<?xpacket begin="\uFEFF" id="W5M0MpCehiHzreSzNTczkc9d"?>
+<x:xmpmeta xmlns:x="adobe:ns:meta/">
+  <rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">
+    <rdf:Description rdf:about=""
+        xmlns:pdfaid="http://www.aiim.org/pdfa/ns/id/"
+        xmlns:dc="http://purl.org/dc/elements/1.1/"
+        xmlns:xmp="http://ns.adobe.com/xap/1.0/"
+        xmlns:pdf="http://ns.adobe.com/pdf/1.3/"
+        xmlns:pdfaExtension="http://www.aiim.org/pdfa/ns/extension/"
+        xmlns:pdfaSchema="http://www.aiim.org/pdfa/ns/schema#"
+        xmlns:pdfaProperty="http://www.aiim.org/pdfa/ns/property#"
+        xmlns:rss="${REPORT_XMP_NAMESPACE}">
+      <pdfaid:part>${PDFA_PART}</pdfaid:part>
+      <pdfaid:conformance>${PDFA_CONFORMANCE}</pdfaid:conformance>
+      <dc:format>application/pdf</dc:format>
+      <dc:title>${languageAlternative(title)}</dc:title>${author ? `
+      <dc:creator><rdf:Seq><rdf:li>${escapeXml(author)}</rdf:li></rdf:Seq></dc:creator>` : ''}${subject ? `
+      <dc:description>${languageAlternative(subject)}</dc:description>` : ''}${keywords ? `
+      <pdf:Keywords>${escapeXml(keywords)}</pdf:Keywords>` : ''}
+      <pdf:Producer>${escapeXml(producer)}</pdf:Producer>${creator ? `
+      <xmp:CreatorTool>${escapeXml(creator)}</xmp:CreatorTool>` : ''}
+      <xmp:CreateDate>${toXmpDate(createdAt)}</xmp:CreateDate>${reportFields}${extensionSchema}
+    </rdf:Description>
+  </rdf:RDF>
+</x:xmpmeta>
+<?xpacket end="w"?>`;
+}
+
+// sRGB primaries and white point adapted to D50, as in the IEC 61966-2-1 profile
+const SRGB_WHITE_POINT = [0.9642, 1.0, 0.8249];
+const SRGB_COLORANTS = {
+  rXYZ: [0.4361, 0.2225, 0.0139],
+  gXYZ: [0.3851, 0.7169, 0.0971],
+  bXYZ: [0.1431, 0.0606, 0.7141]
+};
+const SRGB_CURVE_POINTS = 1024;
+
+const ascii = (text) => Array.from(text, (char) => char.charCodeAt(0));
+const uint32 = (value) => [(value >>> 24) & 0xff, (value >>> 16) & 0xff, (value >>> 8) & 0xff, value & 0xff];
+const uint16 = (value) => [(value >>> 8) & 0xff, value & 0xff];
+const s15Fixed16 = (value) => uint32(Math.round(value * 65536));
+const padTo4 = (bytes) => [...bytes, ...new Array((4 - (bytes.length % 4)) % 4).fill(0)];
+
+const xyzTag = ([x, y, z]) => [...ascii('XYZ '), 0, 0, 0, 0, ...s15Fixed16(x), ...s15Fixed16(y), ...s15Fixed16(z)];
+
+const textTag = (text) => [...ascii('text'), 0, 0, 0, 0, ...ascii(text), 0];
+
+const descriptionTag = (text) => [
+  ...ascii('desc'), 0, 0, 0, 0,
+  ...uint32(text.length + 1), ...ascii(text), 0,
+  ...uint32(0), ...uint32(0),
+  ...uint16(0), 0, ...new Array(67).fill(0)
+];
+
+// sRGB transfer function sampled for a 'curv' tag
+const srgbCurveTag = () => {
+  const points = [];
+  for (let i = 0; i < SRGB_CURVE_POINTS; i++) {
+    const value = i / (SRGB_CURVE_POINTS - 1);
+    const linear = value <= 0.04045 ? value / 12.92 : ((value + 0.055) / 1.055) ** 2.4;
+    points.push(...uint16(Math.round(linear * 65535)));
+  }
+  return [...ascii('curv'), 0, 0, 0, 0, ...uint32(SRGB_CURVE_POINTS), ...points];
+};
+
+/**
+ * ICC v2 display profile for sRGB, used as the PDF/A output intent for the
+ * RGB colors the report is drawn in
+ * @returns {Uint8Array} The profile
+ */
+export function createSrgbIccProfile() {
+  const curve = srgbCurveTag();
+  const tags = [
+    ['desc', descriptionTag('sRGB IEC61966-2.1')],
+    ['cprt', textTag('No copyright, use freely')],
+    ['wtpt', xyzTag(SRGB_WHITE_POINT)],
+    ...Object.entries(SRGB_COLORANTS).map(([signature, xyz]) => [signature, xyzTag(xyz)]),
+    ['rTRC', curve],
+    ['gTRC', curve],
+    ['bTRC', curve]
+  ];
+
+  // The three curves share one copy of the data
+  const tableSize = 4 + tags.length * 12;
+  const data = [];
+  const offsets = new Map();
+  const table = [...uint32(tags.length)];
+  tags.forEach(([signature, bytes]) => {
+    if (!offsets.has(bytes)) {
+      offsets.set(bytes, 128 + tableSize + data.length);
+      data.push(...padTo4(bytes));
+    }
+    table.push(...ascii(signature), ...uint32(offsets.get(bytes)), ...uint32(bytes.length));
+  });
+
+  const size = 128 + tableSize + data.length;
+  const header = [
+    ...uint32(size),
+    0, 0, 0, 0,
+    0x02, 0x10, 0, 0,
+    ...ascii('mntr'),
+    ...ascii('RGB '),
+    ...ascii('XYZ '),
+    ...uint16(2000), ...uint16(1), ...uint16(1), ...uint16(0), ...uint16(0), ...uint16(0),
+    ...ascii('acsp'),
+    ...new Array(24).fill(0),
+    ...uint32(0),
+    ...s15Fixed16(SRGB_WHITE_POINT[0]), ...s15Fixed16(SRGB_WHITE_POINT[1]), ...s15Fixed16(SRGB_WHITE_POINT[2]),
+    ...new Array(48).fill(0)
+  ];
+
+  return Uint8Array.from([...header, ...table, ...data]);
+}
+
+/**
+ * Bytes as a binary string, the form jsPDF writes streams in
+ * @param {Uint8Array} bytes - Data to convert
+ */
+export function toBinaryString(bytes) {
+  let result = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    result += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return result;
+}
@@ -0,0 +1,71 @@
+import { describe, test, expect } from 'vitest';
+import {
+  buildArchiveXmp,
+  createSrgbIccProfile,
+  toDocumentInfoText,
+  toPdfDate,
+  toXmpDate,
+  REPORT_XMP_NAMESPACE
+} from './pdfArchive';
+
+const readUint32 = (bytes, offset) => new DataView(bytes.buffer, bytes.byteOffset).getUint32(offset);
+const readAscii = (bytes, offset, length) => String.fromCharCode(...bytes.subarray(offset, offset + length));
+
+describe('PDF/A archive parts', () => {
+  test('writes XMP with the PDF/A id, document info and described report fields', () => {
+    const createdAt = new Date(Date.UTC(2025, 7, 1, 9, 30, 5));
+    const xmp = buildArchiveXmp({
+      title: 'RSS Visit Report',
+      author: 'Sam Lee',
+      subject: 'Visit report for Denver, 2025-08-01',
+      producer: 'jsPDF 3.0.1',
+      createdAt,
+      office: 'Denver <Tech> & Co',
+      technician: 'Sam Lee',
+      visitDate: '2025-08-01',
+      reportNumber: ''
+    });
+
+    expect(xmp).toContain('<pdfaid:part>3</pdfaid:part>');
+    expect(xmp).toContain('<pdfaid:conformance>B</pdfaid:conformance>');
+    expect(xmp).toContain('<dc:title><rdf:Alt><rdf:li xml:lang="x-default">RSS Visit Report</rdf:li></rdf:Alt></dc:title>');
+    expect(xmp).toContain('<dc:creator><rdf:Seq><rdf:li>Sam Lee</rdf:li></rdf:Seq></dc:creator>');
+    expect(xmp).toContain('<xmp:CreateDate>2025-08-01T09:30:05Z</xmp:CreateDate>');
+    expect(xmp).toContain('<rss:office>Denver &lt;Tech&gt; &amp; Co</rss:office>');
+    expect(xmp).not.toContain('<rss:reportNumber>');
+    expect(xmp).not.toContain('<pdf:Keywords>');
+    expect(xmp).toContain(`<pdfaSchema:namespaceURI>${REPORT_XMP_NAMESPACE}</pdfaSchema:namespaceURI>`);
+    expect(xmp.match(/<pdfaProperty:name>/g)).toHaveLength(4);
+
+    expect(toPdfDate(createdAt)).toBe("D:20250801093005+00'00'");
+    expect(toXmpDate(createdAt)).toBe('2025-08-01T09:30:05Z');
+    expect(toDocumentInfoText(' Zürich ✓ ')).toBe('Zürich');
+  });
+
+  test('builds an ICC v2 sRGB display profile with a consistent tag table', () => {
+    const profile = createSrgbIccProfile();
+
+    expect(readUint32(profile, 0)).toBe(profile.length);
+    expect(readAscii(profile, 12, 12)).toBe('mntrRGB XYZ ');
+    expect(readAscii(profile, 36, 4)).toBe('acsp');
+
+    const tagCount = readUint32(profile, 128);
+    const tags = Array.from({ length: tagCount }, (_, index) => {
+      const entry = 132 + index * 12;
+      return {
+        signature: readAscii(profile, entry, 4),
+        offset: readUint32(profile, entry + 4),
+        size: readUint32(profile, entry + 8)
+      };
+    });
+
+    expect(tags.map((tag) => tag.signature)).toEqual(['desc', 'cprt', 'wtpt', 'rXYZ', 'gXYZ', 'bXYZ', 'rTRC', 'gTRC', 'bTRC']);
+    tags.forEach(({ offset, size }) => {
+      expect(offset % 4).toBe(0);
+      expect(offset + size).toBeLessThanOrEqual(profile.length);
+    });
+    expect(readAscii(profile, tags[0].offset, 4)).toBe('desc');
+    expect(readAscii(profile, tags[6].offset, 4)).toBe('curv');
+    expect(tags[7].offset).toBe(tags[6].offset);
+  });
+});
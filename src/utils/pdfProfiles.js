@@ -0,0 +1,164 @@
+/**
+ * RSS Visit Report - PDF Profiles
+ * A profile lists the PDF sections to include, in order, with a page-break
+ * rule and options per section. Admins save profiles on the Admin page and
+ * pick one when submitting a report. Profiles are stored on the server for
+ * the organization (organizationSettingsService); the functions here read and
+ * write the copy cached in localStorage.
+ */
+
+import {
+  PDF_SECTIONS,
+  PDF_PAGE_BREAKS,
+  DEFAULT_PDF_PROFILES,
+  PDF_PROFILES_STORAGE_KEY
+} from '../constants/pdfProfiles.js';
+
+const SECTIONS_BY_ID = new Map(PDF_SECTIONS.map((section) => [section.id, section]));
+const PAGE_BREAK_VALUES = new Set(PDF_PAGE_BREAKS.map(({ value }) => value));
+
+export const createPdfProfileConfig = () => ({
+  defaultId: DEFAULT_PDF_PROFILES[0].id,
+  profiles: DEFAULT_PDF_PROFILES.map((profile) => normalizePdfProfile(profile))
+});
+
+const slugify = (name) => String(name).trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+const normalizeSection = (entry) => {
+  const id = typeof entry === 'string' ? entry : entry?.id;
+  const definition = SECTIONS_BY_ID.get(id);
+  if (!definition) return null;
+
+  // Only options the section knows about, and only as booleans
+  const options = {};
+  Object.entries(definition.defaultOptions || {}).forEach(([key, fallback]) => {
+    const value = entry?.options?.[key];
+    options[key] = typeof value === 'boolean' ? value : fallback;
+  });
+
+  return {
+    id,
+    pageBreak: PAGE_BREAK_VALUES.has(entry?.pageBreak) ? entry.pageBreak : 'auto',
+    options
+  };
+};
+
+/**
+ * Bring a profile into the { id, name, tableOfContents, sections } shape.
+ * Unknown and repeated sections are dropped and missing options take the
+ * section defaults.
+ * @param {Object} profile - Stored or hand-written profile
+ * @returns {Object|null} The profile, or null if it has no usable name
+ */
+export function normalizePdfProfile(profile) {
+  const name = typeof profile?.name === 'string' ? profile.name.trim() : '';
+  if (!name) return null;
+
+  const seen = new Set();
+  const sections = (Array.isArray(profile.sections) ? profile.sections : [])
+    .map(normalizeSection)
+    .filter((section) => {
+      if (!section || seen.has(section.id)) return false;
+      seen.add(section.id);
+      return true;
+    });
+
+  return {
+    id: typeof profile.id === 'string' && profile.id.trim() ? profile.id.trim() : slugify(name) || 'profile',
+    name,
+    tableOfContents: profile.tableOfContents !== false,
+    sections
+  };
+}
+
+/**
+ * Bring stored profiles into the { defaultId, profiles } shape. Falls back to
+ * the built-in profiles when none are usable.
+ * @param {Object} config - Stored configuration
+ */
+export function normalizePdfProfileConfig(config) {
+  const ids = new Set();
+  const profiles = (Array.isArray(config?.profiles) ? config.profiles : [])
+    .map(normalizePdfProfile)
+    .filter((profile) => {
+      if (!profile || ids.has(profile.id)) return false;
+      ids.add(profile.id);
+      return true;
+    });
+
+  if (profiles.length === 0) return createPdfProfileConfig();
+
+  return {
+    defaultId: ids.has(config.defaultId) ? config.defaultId : profiles[0].id,
+    profiles
+  };
+}
+
+/**
+ * Load the cached PDF profiles
+ * @param {Storage} storage - Defaults to localStorage
+ */
+export function loadPdfProfiles(storage = globalThis.localStorage) {
+  try {
+    const saved = storage?.getItem(PDF_PROFILES_STORAGE_KEY);
+    return saved ? normalizePdfProfileConfig(JSON.parse(saved)) : createPdfProfileConfig();
+  } catch (error) {
+    console.error('Error loading PDF profiles:', error);
+    return createPdfProfileConfig();
+  }
+}
+
+/**
+ * Cache the PDF profiles
+ * @param {Object} config - { defaultId, profiles }
+ * @param {Storage} storage - Defaults to localStorage
+ * @returns {Object} The normalized configuration that was stored
+ */
+export function savePdfProfiles(config, storage = globalThis.localStorage) {
+  const normalized = normalizePdfProfileConfig(config);
+  storage?.setItem(PDF_PROFILES_STORAGE_KEY, JSON.stringify(normalized));
+  return normalized;
+}
+
+/**
+ * A profile by id, or the default profile
+ * @param {Object} config - { defaultId, profiles }
+ * @param {string} id - Profile id
+ */
+export function getPdfProfile(config, id) {
+  const { defaultId, profiles } = normalizePdfProfileConfig(config);
+  return profiles.find((profile) => profile.id === id)
+    || profiles.find((profile) => profile.id === defaultId);
+}
+
+/**
+ * A profile id that is not used yet, based on the profile name
+ * @param {string} name - Profile name
+ * @param {Object[]} profiles - Existing profiles
+ */
+export function createPdfProfileId(name, profiles = []) {
+  const base = slugify(name) || 'profile';
+  const taken = new Set(profiles.map((profile) => profile.id));
+  let id = base;
+  for (let suffix = 2; taken.has(id); suffix += 1) id = `${base}-${suffix}`;
+  return id;
+}
+
+/**
+ * Sections of a profile with the export-time switches applied: unticking
+ * photos or rack diagrams in the submit dialog overrides the profile
+ * @param {Object} profile - PDF profile
+ * @param {Object} overrides - { includePhotos, includeRackDiagrams }
+ * @returns {Object[]} [{ id, pageBreak, options }]
+ */
+export function resolvePdfSections(profile, { includePhotos = true, includeRackDiagrams = true } = {}) {
+  const { sections } = normalizePdfProfile({ ...profile, name: profile?.name || 'Export' });
+
+  return sections
+    .filter((section) => includePhotos || section.id !== 'trainingRoomPhotos')
+    .map((section) => (
+      section.id === 'infrastructure' && !includeRackDiagrams
+        ? { ...section, options: { ...section.options, rackDiagrams: false } }
+        : section
+    ));
+}
@@ -0,0 +1,73 @@
+import { describe, test, expect } from 'vitest';
+import {
+  normalizePdfProfile,
+  loadPdfProfiles,
+  savePdfProfiles,
+  getPdfProfile,
+  createPdfProfileId,
+  resolvePdfSections
+} from './pdfProfiles';
+import { DEFAULT_PDF_PROFILE_ID } from '../constants/pdfProfiles';
+
+const briefing = {
+  id: 'briefing',
+  name: 'Briefing',
+  sections: [
+    { id: 'summary', pageBreak: 'after' },
+    { id: 'infrastructure', pageBreak: 'before', options: { rackPhotos: false } },
+    { id: 'trainingRoomPhotos' }
+  ]
+};
+
+describe('PDF profiles', () => {
+  test('drops unknown and repeated sections and fills in defaults', () => {
+    expect(normalizePdfProfile({
+      name: ' Short ',
+      sections: ['summary', { id: 'summary' }, { id: 'coverLetter' }, { id: 'infrastructure', pageBreak: 'sideways', options: { rackDiagrams: 'no', extra: true } }]
+    })).toEqual({
+      id: 'short',
+      name: 'Short',
+      tableOfContents: true,
+      sections: [
+        { id: 'summary', pageBreak: 'auto', options: {} },
+        {
+          id: 'infrastructure',
+          pageBreak: 'auto',
+          options: { rackDiagrams: true, powerMapping: true, deviceTables: true, environment: true, rackPhotos: true }
+        }
+      ]
+    });
+    expect(normalizePdfProfile({ name: '  ', sections: ['summary'] })).toBeNull();
+  });
+
+  test('round-trips through storage and falls back to the built-in profiles', () => {
+    const values = new Map();
+    const storage = { getItem: (key) => values.get(key) ?? null, setItem: (key, value) => values.set(key, value) };
+
+    const builtIn = loadPdfProfiles(storage);
+    expect(builtIn.defaultId).toBe(DEFAULT_PDF_PROFILE_ID);
+    expect(builtIn.profiles.map((profile) => profile.name)).toEqual(['Full technical', 'Executive 2-pager']);
+
+    savePdfProfiles({ defaultId: 'briefing', profiles: [...builtIn.profiles, briefing] }, storage);
+    const saved = loadPdfProfiles(storage);
+    expect(saved.defaultId).toBe('briefing');
+    expect(getPdfProfile(saved, 'missing').name).toBe('Briefing');
+    expect(getPdfProfile(saved, DEFAULT_PDF_PROFILE_ID).name).toBe('Full technical');
+
+    savePdfProfiles({ profiles: [{ name: '' }] }, storage);
+    expect(loadPdfProfiles(storage)).toEqual(builtIn);
+  });
+
+  test('applies the submit-time photo and rack diagram switches', () => {
+    expect(resolvePdfSections(briefing).map((section) => section.id)).toEqual(['summary', 'infrastructure', 'trainingRoomPhotos']);
+
+    const sections = resolvePdfSections(briefing, { includePhotos: false, includeRackDiagrams: false });
+    expect(sections.map((section) => section.id)).toEqual(['summary', 'infrastructure']);
+    expect(sections[1]).toMatchObject({ pageBreak: 'before', options: { rackDiagrams: false, rackPhotos: false, powerMapping: true } });
+  });
+
+  test('creates unused ids from profile names', () => {
+    expect(createPdfProfileId('Executive 2-pager', [{ id: 'executive-2-pager' }])).toBe('executive-2-pager-2');
+    expect(createPdfProfileId('!!!', [])).toBe('profile');
+  });
+});
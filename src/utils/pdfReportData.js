@@ -0,0 +1,215 @@
+/**
+ * RSS Visit Report - PDF Report Data
+ * Maps a report as edited in the app to the shape pdfReportService renders
+ */
+
+// Helper function to consolidate photos from different sources
+const consolidatePhotos = (reportData) => {
+  const allPhotos = [];
+  
+  // Add photos from main photos field
+  if (reportData.photos && Array.isArray(reportData.photos)) {
+    allPhotos.push(...reportData.photos);
+  }
+  
+  // Add photos from pictures.dataCloset
+  if (reportData.pictures?.dataCloset && Array.isArray(reportData.pictures.dataCloset)) {
+    allPhotos.push(...reportData.pictures.dataCloset.map(photo => {
+      const title = photo.title || photo.name || '';
+      const lower = title.toLowerCase();
+      const isLayout = lower.includes('layout') || lower.includes('diagram') || lower.includes('schematic');
+      return {
+        ...photo,
+        title,
+        // Prefer rack_layout for diagram-like names so the PDF picks them up
+        category: isLayout ? 'rack_layout' : 'rack',
+        location: photo.location || 'data closet'
+      };
+    }));
+  }
+  
+  // Add photos from pictures.trainingRoom
+  if (reportData.pictures?.trainingRoom && Array.isArray(reportData.pictures.trainingRoom)) {
+    allPhotos.push(...reportData.pictures.trainingRoom.map(photo => ({
+      ...photo,
+      title: photo.title || photo.name,
+      // Normalize to categories the PDF service recognizes for training images
+      category: 'training',
+      location: photo.location || 'training room'
+    })));
+  }
+  
+  // Add photos from dataCloset.photos
+  if (reportData.dataCloset?.photos && Array.isArray(reportData.dataCloset.photos)) {
+    allPhotos.push(...reportData.dataCloset.photos.map(photo => {
+      const title = photo.title || photo.name || '';
+      const lower = title.toLowerCase();
+      const isLayout = lower.includes('layout') || lower.includes('diagram') || lower.includes('schematic');
+      return {
+        ...photo,
+        title,
+        category: isLayout ? 'rack_layout' : 'rack',
+        location: photo.location || 'data closet'
+      };
+    }));
+  }
+  
+  return allPhotos;
+};
+
+// Helper function to extract racks from data closet locations
+const extractRacksFromDataCloset = (dataCloset) => {
+  if (!dataCloset || !dataCloset.locations) return [];
+  
+  const racks = [];
+  
+  // If locations is an array
+  if (Array.isArray(dataCloset.locations)) {
+    dataCloset.locations.forEach((location, index) => {
+      if (location.racks && Array.isArray(location.racks)) {
+        location.racks.forEach(rack => {
+          racks.push({
+            ...rack,
+            // Normalize property name to what the PDF expects
+            locationName: location.name || `Location ${index + 1}`,
+            id: rack.id || `${location.name || 'location'}-rack-${rack.name || index}`
+          });
+        });
+      }
+    });
+  }
+  // If locations is an object
+  else if (typeof dataCloset.locations === 'object') {
+    Object.entries(dataCloset.locations).forEach(([locationName, locationData]) => {
+      if (locationData.racks && Array.isArray(locationData.racks)) {
+        locationData.racks.forEach(rack => {
+          racks.push({
+            ...rack,
+            locationName,
+            id: rack.id || `${locationName}-rack-${rack.name || 'unnamed'}`
+          });
+        });
+      }
+    });
+  }
+  
+  return racks;
+};
+
+/**
+ * Report data in the shape pdfReportService.generatePDF expects
+ * @param {Object} reportData - Report as edited in the app
+ * @returns {Object} Mapped report data
+ */
+export function toPdfReportData(reportData) {
+  // Map our actual report data structure to what the PDF service expects
+  const mappedReportData = {
+    // Basic information
+    organization: { 
+      name: reportData.office || reportData.organization?.name || 'Unknown Organization' 
+    },
+    location: { 
+      name: reportData.office || reportData.location?.name || 'Unknown Location' 
+    },
+    visitDate: reportData.date || new Date().toISOString(),
+    
+    // Handle summary data properly - summary is an object with multiple text fields
+    summary: reportData.summary?.summaryText || 
+             (typeof reportData.summary === 'string' ? reportData.summary : '') || 
+             'Visit completed successfully.',
+    
+    // Additional summary details
+    summaryDetails: {
+      pcRepairs: reportData.summary?.pcRepairsText || '',
+      trainingRoom: reportData.summary?.trainingRoomText || '',
+      issues: reportData.summary?.issuesText || '',
+      recommendations: reportData.summary?.recommendationsText || '',
+      followUp: reportData.summary?.followUpText || ''
+    },
+    
+    // Technician information
+    technician: {
+      name: reportData.technician?.name || reportData.technician || reportData.rss || 'Unknown Technician'
+    },
+    
+    // Visit details
+    visitPurpose: reportData.visitPurpose || 'Routine maintenance',
+    nextVisit: reportData.nextVisit || '',
+    
+    // Office grading
+    officeGrading: reportData.officeGrading || [],
+    officeGrade: reportData.officeGrade || 'N/A',
+    
+    // Infrastructure data - include SCCM PCs and hardware
+    infrastructure: {
+      sccmPCs: reportData.sccmPCs?.computers || [],
+      hardware: reportData.hardware || {},
+      ...reportData.infrastructure
+    },
+    // Flatten SCCM data to what PDF expects as a primary source
+    sccmData: (reportData.sccmPCs?.computers || reportData.sccmPCs || []),
+    
+    // Data closet information
+    dataCloset: reportData.dataCloset || {},
+    
+    // Inventory management
+    inventory: reportData.inventory || {},
+    // Special stations convenience (some sections read from here)
+    specialStations: reportData.inventory?.specialStations || reportData.specialStations || {},
+    
+    // Recycling information
+    recycling: reportData.recycling || {},
+    
+    // Environmental data from data closet
+    environmental: reportData.dataCloset?.environmental || reportData.environmental || {},
+    // Also provide alias used by PDF service
+    environmentData: reportData.dataCloset?.environmental || reportData.environmental || {},
+    
+    // Power systems and network infrastructure
+    powerSystems: reportData.powerSystems || {},
+    networkInfrastructure: reportData.networkInfrastructure || {},
+    
+    // Rack information from data closet locations
+    racks: extractRacksFromDataCloset(reportData.dataCloset) || reportData.racks || [],
+    
+    // Issues and recommendations
+    recommendations: reportData.recommendations || [],
+    issues: reportData.issues || [],
+    
+    // Photos - handle both pictures and photos fields
+    photos: consolidatePhotos(reportData),
+    
+    // Checklists
+    checklists: reportData.checklists || []
+  };
+  
+  // Convert checklists to recommendations if no recommendations exist
+  if (mappedReportData.recommendations.length === 0 && mappedReportData.checklists.length > 0) {
+    mappedReportData.recommendations = mappedReportData.checklists.flatMap(checklist => 
+      checklist.items
+        .filter(item => !item.checked && item.text)
+        .map(item => ({
+          title: item.text,
+          description: `Checklist item from: ${checklist.title}`,
+          priority: 'Medium'
+        }))
+    );
+  }
+
+  return mappedReportData;
+}
+
+// Path separators and other characters that are unsafe in file names
+const toFilenamePart = (value) => String(value).replace(/[^\p{L}\p{N} ._-]+/gu, '_').trim();
+
+/**
+ * File name of a report PDF, from the office and visit date. Both are
+ * reduced to characters that are safe in a file name, since the name is
+ * also used as a path (scripts/render-report-pdf.js).
+ * @param {Object} reportData - Report as edited in the app
+ */
+export function getReportPdfFilename(reportData) {
+  const office = toFilenamePart(reportData?.office || '') || 'Unknown';
+  const date = toFilenamePart(reportData?.date || '') || new Date().toISOString().split('T')[0];
+  return `RSS_Visit_Report_${office}_${date}.pdf`;
+}
@@ -0,0 +1,11 @@
+import { describe, test, expect } from 'vitest';
+import { getReportPdfFilename } from './pdfReportData';
+
+describe('report PDF file names', () => {
+  test('keep the office and date but no path separators', () => {
+    expect(getReportPdfFilename({ office: 'San José', date: '2025-08-01' })).toBe('RSS_Visit_Report_San José_2025-08-01.pdf');
+    expect(getReportPdfFilename({ office: 'Dallas/Fort Worth', date: '2025-08-01' })).toBe('RSS_Visit_Report_Dallas_Fort Worth_2025-08-01.pdf');
+    expect(getReportPdfFilename({ office: '../../etc', date: '..\\2025' })).toBe('RSS_Visit_Report_.._.._etc_.._2025.pdf');
+    expect(getReportPdfFilename({ office: '/', date: '2025-08-01' })).toBe('RSS_Visit_Report___2025-08-01.pdf');
+  });
+});
@@ -1,4 +1,4 @@
-import { RACK_CONFIG, DEVICE_TYPES } from '../constants/rackConfig.js';
+import { RACK_CONFIG, DEVICE_TYPES, DEVICE_TYPE_COLORS } from '../constants/rackConfig.js';
 
 /**
  * Creates a mapping of rack units to devices
@@ -206,3 +206,83 @@ export const formatDeviceTooltip = (device) => {
   
   return parts.join('\n');
 };
+
+const hslToHex = (hue, saturation, lightness) => {
+  const s = saturation / 100;
+  const l = lightness / 100;
+  const channel = (n) => {
+    const k = (n + hue / 30) % 12;
+    const value = l - s * Math.min(l, 1 - l) * Math.max(-1, Math.min(k - 3, 9 - k, 1));
+    return Math.round(value * 255).toString(16).padStart(2, '0');
+  };
+  return `#${channel(0)}${channel(8)}${channel(4)}`;
+};
+
+/**
+ * Generate consistent color for device based on its type
+ * Falls back to device-specific color if type is not recognized
+ * @param {Object} device - Device object
+ * @returns {Object} { bg, fg } as hex colors
+ */
+export const colorForDevice = (device) => {
+  const deviceType = device.type?.toLowerCase() || 'default';
+  
+  // Check if we have a predefined color for this device type
+  if (DEVICE_TYPE_COLORS[deviceType]) {
+    return DEVICE_TYPE_COLORS[deviceType];
+  }
+  
+  // Fallback to device-specific color generation for unknown types
+  const deviceKey = device.id || device.name || 'unknown';
+  let h = 0;
+  for (let i = 0; i < deviceKey.length; i++) {
+    h = (h * 31 + deviceKey.charCodeAt(i)) >>> 0;
+  }
+  
+  // Darker for better contrast; always white text
+  return { bg: hslToHex(h % 360, 55, 45), fg: '#ffffff' };
+};
+
+/**
+ * Place a rack's devices the way the rack diagram on the Storage page does:
+ * a device spans down from its start unit and later devices win overlaps
+ * @param {Object} rack - Rack with height and devices
+ * @returns {Object} { height, devices: [{ device, startUnit, span }], utilization }
+ */
+export const layoutRackDevices = (rack) => {
+  const height = parseInt(rack?.height, 10) || RACK_CONFIG.DEFAULT_HEIGHT;
+  const occupied = {};
+
+  (rack?.devices || []).forEach((device, index) => {
+    const startUnit = parseInt(device.startUnit, 10) || 1;
+    const span = Math.max(1, parseInt(device.unitSpan || device.rack_units, 10) || 1);
+    for (let i = 0; i < span; i++) {
+      const unit = startUnit - i;
+      if (unit >= RACK_CONFIG.MIN_UNIT && unit <= height) occupied[unit] = index;
+    }
+  });
+
+  // A device is drawn from its start unit over the units it still holds
+  const devices = [];
+  (rack?.devices || []).forEach((device, index) => {
+    const startUnit = parseInt(device.startUnit, 10) || 1;
+    if (occupied[startUnit] !== index) return;
+    let span = 1;
+    while (occupied[startUnit - span] === index) span++;
+    devices.push({ device, startUnit, span });
+  });
+
+  const occupiedUnits = Object.keys(occupied).length;
+  const percentage = Math.round((occupiedUnits / height) * 100);
+
+  return {
+    height,
+    devices,
+    utilization: {
+      occupied: occupiedUnits,
+      total: height,
+      percentage,
+      status: getUtilizationStatus(percentage)
+    }
+  };
+};
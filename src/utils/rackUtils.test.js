@@ -0,0 +1,31 @@
+import { describe, test, expect } from 'vitest';
+import { layoutRackDevices, colorForDevice } from './rackUtils';
+import { DEVICE_TYPE_COLORS } from '../constants/rackConfig';
+
+describe('rack layout', () => {
+  test('places devices down from their start unit and lets later devices win overlaps', () => {
+    const layout = layoutRackDevices({
+      height: '12',
+      devices: [
+        { name: 'Core', type: 'switch', startUnit: '10', unitSpan: 2 },
+        { name: 'UPS', type: 'ups', startUnit: 3, rack_units: 4 },
+        { name: 'Shelf', startUnit: 11, unitSpan: 2 },
+        { name: 'Ghost', startUnit: 20 }
+      ]
+    });
+
+    expect(layout.height).toBe(12);
+    expect(layout.devices.map(({ device, startUnit, span }) => [device.name, startUnit, span])).toEqual([
+      ['UPS', 3, 3],
+      ['Shelf', 11, 2]
+    ]);
+    expect(layout.utilization).toMatchObject({ occupied: 6, total: 12, percentage: 50 });
+  });
+
+  test('uses the type colors and a stable hex color for unknown types', () => {
+    expect(colorForDevice({ type: 'UPS' })).toBe(DEVICE_TYPE_COLORS.ups);
+    const color = colorForDevice({ id: 'dev-1', type: 'kvm' });
+    expect(color.bg).toMatch(/^#[0-9a-f]{6}$/);
+    expect(colorForDevice({ id: 'dev-1', type: 'kvm' })).toEqual(color);
+  });
+});
@@ -0,0 +1,183 @@
+/**
+ * RSS Visit Report - Report Version Diff
+ * Structured comparison of two versions of a report's data: devices added or
+ * removed per rack, inventory count deltas, grading changes and issue status
+ * changes. Used by the version history panel and the visit comparison
+ * (utils/visitComparison).
+ */
+
+const toNumber = (value) => {
+  const number = Number(value);
+  return Number.isFinite(number) ? number : 0;
+};
+
+const sumValues = (object) => Object.values(object || {}).reduce((total, value) => total + toNumber(value), 0);
+
+/**
+ * Racks of a report keyed by location and rack name. Racks live under
+ * dataCloset.locations (an array, or an object keyed by location name);
+ * older reports keep them in a top-level `racks` array.
+ * @param {Object} reportData - Report data
+ * @returns {Map<string, Object>} key -> { location, rack, devices }
+ */
+export function collectRacks(reportData = {}) {
+  const racks = new Map();
+  const addRack = (location, rack, index) => {
+    const name = rack?.name || rack?.id || `Rack ${index + 1}`;
+    racks.set(`${location}/${name}`, { location, rack: name, devices: Array.isArray(rack?.devices) ? rack.devices : [] });
+  };
+
+  const locations = reportData.dataCloset?.locations;
+  if (Array.isArray(locations)) {
+    locations.forEach((location, index) => {
+      (location?.racks || []).forEach((rack, rackIndex) => addRack(location.name || `Location ${index + 1}`, rack, rackIndex));
+    });
+  } else if (locations && typeof locations === 'object') {
+    Object.entries(locations).forEach(([name, location]) => {
+      (location?.racks || []).forEach((rack, rackIndex) => addRack(name, rack, rackIndex));
+    });
+  }
+
+  (Array.isArray(reportData.racks) ? reportData.racks : []).forEach((rack, index) => {
+    addRack(rack?.locationName || rack?.location || 'Data closet', rack, index);
+  });
+
+  return racks;
+}
+
+const deviceKey = (device) => String(device?.id ?? `${device?.name || device?.type || ''}@${device?.startUnit ?? ''}`);
+
+// 'Core switch (U40)'
+export const deviceLabel = (device) => {
+  const name = device?.name || device?.model || device?.type || 'Unnamed device';
+  return device?.startUnit ? `${name} (U${device.startUnit})` : name;
+};
+
+function diffRacks(older, newer) {
+  const before = collectRacks(older);
+  const after = collectRacks(newer);
+  const keys = new Set([...before.keys(), ...after.keys()]);
+  const changes = [];
+
+  keys.forEach((key) => {
+    const oldDevices = new Map((before.get(key)?.devices || []).map((device) => [deviceKey(device), device]));
+    const newDevices = new Map((after.get(key)?.devices || []).map((device) => [deviceKey(device), device]));
+    const added = [...newDevices.keys()].filter((id) => !oldDevices.has(id)).map((id) => deviceLabel(newDevices.get(id)));
+    const removed = [...oldDevices.keys()].filter((id) => !newDevices.has(id)).map((id) => deviceLabel(oldDevices.get(id)));
+
+    if (added.length || removed.length || before.has(key) !== after.has(key)) {
+      const { location, rack } = after.get(key) || before.get(key);
+      changes.push({
+        location,
+        rack,
+        status: !before.has(key) ? 'added' : !after.has(key) ? 'removed' : 'changed',
+        added,
+        removed
+      });
+    }
+  });
+
+  return changes;
+}
+
+const INVENTORY_COUNTS = [
+  { field: 'inUse', label: 'In use', count: (item) => toNumber(item.inUse) },
+  { field: 'otherUse', label: 'Other use', count: (item) => sumValues(item.otherUse) },
+  { field: 'spares', label: 'Spares', count: (item) => sumValues(item.spares) },
+  { field: 'broken', label: 'Broken', count: (item) => toNumber(item.broken) }
+];
+
+const formatKey = (key) => key.replace(/([a-z])([A-Z])/g, '$1 $2').replace(/^./, (char) => char.toUpperCase());
+
+function diffInventory(older, newer) {
+  const changes = [];
+  const push = (item, label, from, to) => {
+    if (from !== to) {
+      changes.push({ item, field: label, from, to, delta: to - from });
+    }
+  };
+
+  const before = new Map((older.inventory?.items || []).map((item) => [item.description, item]));
+  const after = new Map((newer.inventory?.items || []).map((item) => [item.description, item]));
+  new Set([...before.keys(), ...after.keys()]).forEach((description) => {
+    INVENTORY_COUNTS.forEach(({ label, count }) => {
+      push(description, label, count(before.get(description) || {}), count(after.get(description) || {}));
+    });
+  });
+
+  const oldStations = older.inventory?.specialStations || {};
+  const newStations = newer.inventory?.specialStations || {};
+  new Set([...Object.keys(oldStations), ...Object.keys(newStations)]).forEach((key) => {
+    push('Special stations', formatKey(key), toNumber(oldStations[key]), toNumber(newStations[key]));
+  });
+
+  return changes;
+}
+
+function diffGrading(older, newer) {
+  const changes = [];
+  const compare = (section, category, from, to) => {
+    const before = from ?? '';
+    const after = to ?? '';
+    if (String(before) !== String(after)) {
+      changes.push({ section, category, from: before, to: after });
+    }
+  };
+  const compareList = (section, oldList = [], newList = []) => {
+    const before = new Map(oldList.map((entry) => [entry.category, entry.score]));
+    const after = new Map(newList.map((entry) => [entry.category, entry.score]));
+    new Set([...before.keys(), ...after.keys()]).forEach((category) => {
+      compare(section, category, before.get(category), after.get(category));
+    });
+  };
+
+  compare('Office', 'Overall grade', older.officeGrade, newer.officeGrade);
+  compareList('Office', older.officeGrading, newer.officeGrading);
+  compare('Data Closet', 'Overall score', older.dataCloset?.score, newer.dataCloset?.score);
+  compareList('Data Closet', older.dataCloset?.grading, newer.dataCloset?.grading);
+
+  return changes;
+}
+
+function diffIssues(older, newer) {
+  const key = (issue) => String(issue.id ?? issue.title);
+  const before = new Map((older.issues || []).map((issue) => [key(issue), issue]));
+  const after = new Map((newer.issues || []).map((issue) => [key(issue), issue]));
+  const changes = [];
+
+  after.forEach((issue, id) => {
+    const previous = before.get(id);
+    if (!previous) {
+      changes.push({ id, title: issue.title || 'Untitled issue', change: 'added', from: null, to: issue.status || 'open' });
+    } else if ((previous.status || 'open') !== (issue.status || 'open')) {
+      changes.push({ id, title: issue.title || 'Untitled issue', change: 'status', from: previous.status || 'open', to: issue.status || 'open' });
+    }
+  });
+  before.forEach((issue, id) => {
+    if (!after.has(id)) {
+      changes.push({ id, title: issue.title || 'Untitled issue', change: 'removed', from: issue.status || 'open', to: null });
+    }
+  });
+
+  return changes;
+}
+
+/**
+ * Compare two versions of a report
+ * @param {Object} older - Earlier report data
+ * @param {Object} newer - Later report data
+ * @returns {Object} { racks, inventory, grading, issues, hasChanges }
+ */
+export function diffReportVersions(older = {}, newer = {}) {
+  const diff = {
+    racks: diffRacks(older || {}, newer || {}),
+    inventory: diffInventory(older || {}, newer || {}),
+    grading: diffGrading(older || {}, newer || {}),
+    issues: diffIssues(older || {}, newer || {})
+  };
+
+  return {
+    ...diff,
+    hasChanges: Object.values(diff).some((changes) => changes.length > 0)
+  };
+}
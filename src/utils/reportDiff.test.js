@@ -0,0 +1,79 @@
+import { describe, test, expect } from 'vitest';
+import { collectRacks, diffReportVersions } from './reportDiff';
+
+const inventoryItem = (description, inUse, broken = 0) => ({
+  description,
+  inUse,
+  otherUse: { training: 1, conf: 0 },
+  spares: { onFloor: 0, inStorage: 2 },
+  broken
+});
+
+const older = {
+  officeGrade: 'B',
+  officeGrading: [{ category: 'Inventory', score: '3' }],
+  dataCloset: {
+    score: 'N/A',
+    grading: [{ category: 'Labeling', score: '2' }],
+    locations: [{
+      name: 'Main closet',
+      racks: [{ name: 'Rack A', devices: [{ id: 'sw1', name: 'Core switch', startUnit: 40 }, { id: 'ups', name: 'UPS', startUnit: 1 }] }]
+    }]
+  },
+  inventory: { items: [inventoryItem('PCs', 20), inventoryItem('Monitors', 30)], specialStations: { visitorStations: 1 } },
+  issues: [{ id: 1, title: 'Printer jam', status: 'open' }, { id: 2, title: 'Slow Wi-Fi', status: 'open' }]
+};
+
+const newer = {
+  ...older,
+  officeGrade: 'A',
+  dataCloset: {
+    ...older.dataCloset,
+    grading: [{ category: 'Labeling', score: '4' }],
+    locations: [{
+      name: 'Main closet',
+      racks: [{ name: 'Rack A', devices: [{ id: 'sw1', name: 'Core switch', startUnit: 40 }, { id: 'fw', name: 'Firewall', startUnit: 38 }] }]
+    }]
+  },
+  inventory: { items: [inventoryItem('PCs', 18, 2), inventoryItem('Monitors', 30)], specialStations: { visitorStations: 1 } },
+  issues: [{ id: 1, title: 'Printer jam', status: 'resolved' }, { id: 3, title: 'Badge reader', status: 'open' }]
+};
+
+describe('diffReportVersions', () => {
+  test('summarises rack, inventory, grading and issue changes', () => {
+    const diff = diffReportVersions(older, newer);
+
+    expect(diff.hasChanges).toBe(true);
+    expect(diff.racks).toEqual([
+      { location: 'Main closet', rack: 'Rack A', status: 'changed', added: ['Firewall (U38)'], removed: ['UPS (U1)'] }
+    ]);
+    expect(diff.inventory).toEqual([
+      { item: 'PCs', field: 'In use', from: 20, to: 18, delta: -2 },
+      { item: 'PCs', field: 'Broken', from: 0, to: 2, delta: 2 }
+    ]);
+    expect(diff.grading).toEqual([
+      { section: 'Office', category: 'Overall grade', from: 'B', to: 'A' },
+      { section: 'Data Closet', category: 'Labeling', from: '2', to: '4' }
+    ]);
+    expect(diff.issues).toEqual([
+      { id: '1', title: 'Printer jam', change: 'status', from: 'open', to: 'resolved' },
+      { id: '3', title: 'Badge reader', change: 'added', from: null, to: 'open' },
+      { id: '2', title: 'Slow Wi-Fi', change: 'removed', from: 'open', to: null }
+    ]);
+  });
+
+  test('finds nothing to report between identical versions', () => {
+    expect(diffReportVersions(older, older)).toEqual({ racks: [], inventory: [], grading: [], issues: [], hasChanges: false });
+    expect(diffReportVersions({}, {}).hasChanges).toBe(false);
+  });
+
+  test('reads racks from location objects and the legacy racks list', () => {
+    const racks = collectRacks({
+      dataCloset: { locations: { IDF: { racks: [{ name: 'R1', devices: [{ name: 'Patch panel' }] }] } } },
+      racks: [{ name: 'R2', locationName: 'MDF' }]
+    });
+
+    expect([...racks.keys()]).toEqual(['IDF/R1', 'MDF/R2']);
+    expect(racks.get('IDF/R1').devices).toHaveLength(1);
+  });
+});
@@ -0,0 +1,379 @@
+/**
+ * RSS Visit Report - Report Encryption
+ * Encrypts what the app keeps on the device under a passphrase. Report data,
+ * the workspace index and photos are encrypted with AES-GCM using a random
+ * data key. The data key is stored wrapped with a key derived from the
+ * passphrase (PBKDF2), and is only held in memory while the store is unlocked.
+ */
+
+// Meta key of the wrapped data keys; the only value stored in the clear
+export const KEY_RECORD = 'encryption';
+
+export const PBKDF2_ITERATIONS = 600000;
+
+// Meta values re-encrypted when the key changes and removed on erase: the
+// workspace index, and the upload queue and sync conflicts of
+// reportDatabaseService, which hold full report data
+const ENCRYPTED_META = ['workspace', 'pending_sync', 'sync_conflicts'];
+
+const ALGORITHM = 'AES-GCM';
+const IV_BYTES = 12;
+const KEY_ID_BYTES = 8;
+
+// Encrypted photo blobs start with this, then the key ID and IV
+const PHOTO_MAGIC = 'RSSE';
+const PHOTO_HEADER_BYTES = PHOTO_MAGIC.length + KEY_ID_BYTES * 2 + IV_BYTES;
+
+export class PassphraseError extends Error {
+  constructor(message = 'Wrong passphrase') {
+    super(message);
+    this.name = 'PassphraseError';
+  }
+}
+
+export class StoreLockedError extends Error {
+  constructor(message = 'Saved reports are locked') {
+    super(message);
+    this.name = 'StoreLockedError';
+  }
+}
+
+const subtle = () => globalThis.crypto.subtle;
+const randomBytes = (length) => globalThis.crypto.getRandomValues(new Uint8Array(length));
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+const toBase64 = (bytes) => {
+  let binary = '';
+  new Uint8Array(bytes).forEach((byte) => { binary += String.fromCharCode(byte); });
+  return btoa(binary);
+};
+
+const fromBase64 = (text) => Uint8Array.from(atob(text), (char) => char.charCodeAt(0));
+
+const toHex = (bytes) => Array.from(bytes, (byte) => byte.toString(16).padStart(2, '0')).join('');
+
+/**
+ * Whether a stored value is an encrypted envelope rather than plain data
+ * @param {*} value - Stored report data or meta value
+ */
+export const isEncrypted = (value) => (
+  Boolean(value) && typeof value === 'object' && value.encrypted === ALGORITHM
+);
+
+const deriveKey = async (passphrase, salt, iterations) => {
+  const material = await subtle().importKey('raw', encoder.encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+  return subtle().deriveKey(
+    { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+    material,
+    { name: ALGORITHM, length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+};
+
+const encryptBytes = async (key, bytes) => {
+  const iv = randomBytes(IV_BYTES);
+  const data = new Uint8Array(await subtle().encrypt({ name: ALGORITHM, iv }, key, bytes));
+  return { iv, data };
+};
+
+const decryptBytes = (key, iv, data) => subtle().decrypt({ name: ALGORITHM, iv }, key, data);
+
+const createDataKey = () => ({ id: toHex(randomBytes(KEY_ID_BYTES)), raw: randomBytes(32) });
+
+/**
+ * Wrap data keys with a key derived from the passphrase
+ * @param {string} passphrase - User's passphrase
+ * @param {Object[]} dataKeys - [{ id, raw }]
+ * @param {string} activeKeyId - Key new data is encrypted with
+ * @param {number} iterations - PBKDF2 iterations
+ * @returns {Promise<Object>} Key record to store under KEY_RECORD
+ */
+async function sealKeyRecord(passphrase, dataKeys, activeKeyId, iterations) {
+  const salt = randomBytes(16);
+  const wrappingKey = await deriveKey(passphrase, salt, iterations);
+  const keys = await Promise.all(dataKeys.map(async ({ id, raw }) => {
+    const { iv, data } = await encryptBytes(wrappingKey, raw);
+    return { id, iv: toBase64(iv), key: toBase64(data) };
+  }));
+
+  return {
+    version: 1,
+    kdf: { name: 'PBKDF2', hash: 'SHA-256', salt: toBase64(salt), iterations },
+    activeKeyId,
+    keys
+  };
+}
+
+/**
+ * Unwrap the data keys of a key record
+ * @param {Object} record - Stored key record
+ * @param {string} passphrase - User's passphrase
+ * @returns {Promise<Object[]>} [{ id, raw }]
+ * @throws {PassphraseError} When the passphrase is wrong
+ */
+async function openKeyRecord(record, passphrase) {
+  const wrappingKey = await deriveKey(passphrase, fromBase64(record.kdf.salt), record.kdf.iterations);
+  try {
+    return await Promise.all(record.keys.map(async ({ id, iv, key }) => ({
+      id,
+      raw: new Uint8Array(await decryptBytes(wrappingKey, fromBase64(iv), fromBase64(key)))
+    })));
+  } catch {
+    throw new PassphraseError();
+  }
+}
+
+/**
+ * Keys for encrypting and decrypting; they can't be exported again
+ * @param {Object[]} dataKeys - [{ id, raw }]
+ * @param {string} activeKeyId - Key new data is encrypted with
+ */
+async function createKeyring(dataKeys, activeKeyId) {
+  const keys = new Map();
+  for (const { id, raw } of dataKeys) {
+    keys.set(id, await subtle().importKey('raw', raw, ALGORITHM, false, ['encrypt', 'decrypt']));
+  }
+  return { activeKeyId, keys };
+}
+
+const keyFor = (keyring, keyId) => {
+  const key = keyring.keys.get(keyId);
+  if (!key) throw new Error(`Data was encrypted with an unknown key (${keyId})`);
+  return key;
+};
+
+async function encryptJSON(keyring, value) {
+  const { iv, data } = await encryptBytes(keyFor(keyring, keyring.activeKeyId), encoder.encode(JSON.stringify(value)));
+  return { encrypted: ALGORITHM, version: 1, keyId: keyring.activeKeyId, iv: toBase64(iv), data: toBase64(data) };
+}
+
+async function decryptJSON(keyring, envelope) {
+  const plain = await decryptBytes(keyFor(keyring, envelope.keyId), fromBase64(envelope.iv), fromBase64(envelope.data));
+  return JSON.parse(decoder.decode(plain));
+}
+
+const readBytes = async (blob) => new Uint8Array(await blob.arrayBuffer());
+
+// Key ID of an encrypted photo blob, or null for one stored in the clear
+async function photoKeyId(blob) {
+  const header = await readBytes(blob.slice(0, PHOTO_HEADER_BYTES));
+  if (header.length < PHOTO_HEADER_BYTES || decoder.decode(header.slice(0, PHOTO_MAGIC.length)) !== PHOTO_MAGIC) {
+    return null;
+  }
+  return decoder.decode(header.slice(PHOTO_MAGIC.length, PHOTO_MAGIC.length + KEY_ID_BYTES * 2));
+}
+
+async function encryptBlob(keyring, blob) {
+  const { iv, data } = await encryptBytes(keyFor(keyring, keyring.activeKeyId), await readBytes(blob));
+  return new Blob([encoder.encode(PHOTO_MAGIC + keyring.activeKeyId), iv, data], { type: 'application/octet-stream' });
+}
+
+async function decryptBlob(keyring, blob, type) {
+  const keyId = await photoKeyId(blob);
+  if (!keyId) return blob;
+
+  const bytes = await readBytes(blob);
+  const ivStart = PHOTO_HEADER_BYTES - IV_BYTES;
+  const plain = await decryptBytes(keyFor(keyring, keyId), bytes.slice(ivStart, PHOTO_HEADER_BYTES), bytes.slice(PHOTO_HEADER_BYTES));
+  return new Blob([plain], { type });
+}
+
+/**
+ * Wrap a report store so everything it saves is encrypted. The wrapper has
+ * the same interface as the store, plus the lock controls below; reads and
+ * writes of report data, meta values and photos fail with StoreLockedError
+ * until it is unlocked. Data saved before a passphrase was set is read as is
+ * and encrypted when the passphrase is set.
+ * @param {Object} store - offlineStorageService or createLocalStorageStore()
+ * @param {Object} options - { iterations } for PBKDF2
+ * @returns {Object} Encrypted report store
+ */
+export function createEncryptedStore(store, { iterations = PBKDF2_ITERATIONS } = {}) {
+  let keyring = null;
+  const lockListeners = new Set();
+
+  const notifyLockChange = (state) => lockListeners.forEach((listener) => listener(state));
+
+  const requireKeyring = () => {
+    if (!keyring) throw new StoreLockedError();
+    return keyring;
+  };
+
+  const decryptValue = async (value) => (isEncrypted(value) ? decryptJSON(requireKeyring(), value) : value);
+
+  const encryptPhotos = (photos) => Promise.all(photos.map(async (photo) => ({
+    ...photo,
+    type: photo.type || photo.blob.type,
+    blob: await encryptBlob(requireKeyring(), photo.blob)
+  })));
+
+  // Encrypt everything not yet under the active key: data saved before the
+  // passphrase was set, or data under a key being rotated out
+  const reencryptAll = async () => {
+    const { activeKeyId } = requireKeyring();
+    const isStale = (value) => Boolean(value) && (!isEncrypted(value) || value.keyId !== activeKeyId);
+
+    for (const id of await store.listReportIds()) {
+      const data = await store.getReport(id);
+      const stalePhotos = [];
+      for (const photo of await store.getPhotos(id)) {
+        if ((await photoKeyId(photo.blob)) !== activeKeyId) stalePhotos.push(photo);
+      }
+      if (!isStale(data) && stalePhotos.length === 0) continue;
+
+      const photos = await Promise.all(stalePhotos.map(async (photo) => ({
+        id: photo.photoId,
+        name: photo.name,
+        type: photo.type,
+        blob: await encryptBlob(keyring, await decryptBlob(keyring, photo.blob, photo.type))
+      })));
+      await store.putReport(id, isStale(data) ? await encryptJSON(keyring, await decryptValue(data)) : data, photos);
+    }
+
+    for (const key of ENCRYPTED_META) {
+      const value = await store.getMeta(key);
+      if (isStale(value)) {
+        await store.putMeta(key, await encryptJSON(keyring, await decryptValue(value)));
+      }
+    }
+  };
+
+  // Re-encrypt with the active key, then drop the others from the key record
+  const retireOldKeys = async (passphrase, dataKeys) => {
+    await reencryptAll();
+    const active = dataKeys.filter((dataKey) => dataKey.id === keyring.activeKeyId);
+    await store.putMeta(KEY_RECORD, await sealKeyRecord(passphrase, active, keyring.activeKeyId, iterations));
+    keyring = await createKeyring(active, keyring.activeKeyId);
+  };
+
+  return {
+    getReport: async (id) => {
+      requireKeyring();
+      return decryptValue(await store.getReport(id));
+    },
+
+    putReport: async (id, data, photos = []) => (
+      store.putReport(id, await encryptJSON(requireKeyring(), data), await encryptPhotos(photos))
+    ),
+
+    deleteReport: (id) => store.deleteReport(id),
+    listReportIds: () => store.listReportIds(),
+    listReports: () => store.listReports(),
+
+    getMeta: async (key) => {
+      requireKeyring();
+      return decryptValue(await store.getMeta(key));
+    },
+
+    putMeta: async (key, value) => store.putMeta(key, await encryptJSON(requireKeyring(), value)),
+
+    getPhotos: async (reportId) => {
+      const ring = requireKeyring();
+      return Promise.all((await store.getPhotos(reportId)).map(async (photo) => ({
+        ...photo,
+        blob: await decryptBlob(ring, photo.blob, photo.type)
+      })));
+    },
+
+    copyPhotos: (fromReportId, toReportId) => store.copyPhotos(fromReportId, toReportId),
+    listPhotos: () => store.listPhotos(),
+    deletePhotos: (keys) => store.deletePhotos(keys),
+
+    // IndexedDB cleanup reads the reports, so it needs the key too
+    isAvailable: () => Boolean(keyring) && Boolean(store.isAvailable?.()),
+
+    isUnlocked: () => Boolean(keyring),
+
+    /**
+     * 'setup' until a passphrase is set, then 'locked' or 'unlocked'
+     * @returns {Promise<string>}
+     */
+    getLockState: async () => {
+      if (keyring) return 'unlocked';
+      return (await store.getMeta(KEY_RECORD)) ? 'locked' : 'setup';
+    },
+
+    /**
+     * Set the first passphrase, encrypting what is already saved, and unlock
+     * @param {string} passphrase - New passphrase
+     */
+    setPassphrase: async (passphrase) => {
+      if (await store.getMeta(KEY_RECORD)) {
+        throw new Error('A passphrase is already set');
+      }
+      const dataKey = createDataKey();
+      await store.putMeta(KEY_RECORD, await sealKeyRecord(passphrase, [dataKey], dataKey.id, iterations));
+      keyring = await createKeyring([dataKey], dataKey.id);
+      await reencryptAll();
+      notifyLockChange('unlocked');
+    },
+
+    /**
+     * Unlock with the passphrase, finishing a key rotation that was cut short
+     * @param {string} passphrase - User's passphrase
+     * @throws {PassphraseError} When the passphrase is wrong
+     */
+    unlock: async (passphrase) => {
+      const record = await store.getMeta(KEY_RECORD);
+      if (!record) throw new Error('No passphrase has been set');
+
+      const dataKeys = await openKeyRecord(record, passphrase);
+      keyring = await createKeyring(dataKeys, record.activeKeyId);
+      if (dataKeys.length > 1) {
+        await retireOldKeys(passphrase, dataKeys);
+      }
+      notifyLockChange('unlocked');
+    },
+
+    // Forget the key; saved data stays encrypted
+    lock: () => {
+      keyring = null;
+      notifyLockChange('locked');
+    },
+
+    /**
+     * Listen for the store being unlocked, locked or erased, e.g. to load or
+     * drop decrypted data kept in memory
+     * @param {Function} listener - Receives 'unlocked', 'locked' or 'setup'
+     * @returns {Function} Unsubscribe
+     */
+    onLockChange: (listener) => {
+      lockListeners.add(listener);
+      return () => lockListeners.delete(listener);
+    },
+
+    /**
+     * Rotate the data key: everything saved is re-encrypted with a new key,
+     * which is wrapped with the new passphrase (which may be the same one).
+     * Both keys are kept in the record until re-encryption finishes, so an
+     * interrupted rotation is finished on the next unlock.
+     * @param {string} currentPassphrase - Passphrase set now
+     * @param {string} nextPassphrase - Passphrase to use from now on
+     * @throws {PassphraseError} When the current passphrase is wrong
+     */
+    changePassphrase: async (currentPassphrase, nextPassphrase) => {
+      const record = await store.getMeta(KEY_RECORD);
+      const dataKeys = [...await openKeyRecord(record, currentPassphrase), createDataKey()];
+      const activeKeyId = dataKeys[dataKeys.length - 1].id;
+
+      await store.putMeta(KEY_RECORD, await sealKeyRecord(nextPassphrase, dataKeys, activeKeyId, iterations));
+      keyring = await createKeyring(dataKeys, activeKeyId);
+      await retireOldKeys(nextPassphrase, dataKeys);
+    },
+
+    // Delete every saved report and the key, e.g. after a forgotten passphrase
+    erase: async () => {
+      for (const id of await store.listReportIds()) {
+        await store.deleteReport(id);
+      }
+      for (const key of ENCRYPTED_META) {
+        await store.putMeta(key, null);
+      }
+      await store.putMeta(KEY_RECORD, null);
+      keyring = null;
+      notifyLockChange('setup');
+    }
+  };
+}
@@ -0,0 +1,78 @@
+import { describe, test, expect } from 'vitest';
+import { IDBFactory } from 'fake-indexeddb';
+import { OfflineStorageService } from '../services/offlineStorageService';
+import { KEY_RECORD, PassphraseError, StoreLockedError, createEncryptedStore, isEncrypted } from './reportEncryption';
+
+const createStores = () => {
+  const inner = new OfflineStorageService({ indexedDB: new IDBFactory(), dbName: 'encryption-test' });
+  return { inner, store: createEncryptedStore(inner, { iterations: 1000 }) };
+};
+
+const photo = () => ({ id: 1, blob: new Blob(['jpeg bytes'], { type: 'image/jpeg' }), name: 'rack.jpg' });
+
+describe('encrypted report store', () => {
+  test('encrypts data saved before the passphrase was set and reads it back once unlocked', async () => {
+    const { inner, store } = createStores();
+    await inner.putReport('a', { office: 'Denver', lastLoginUsername: 'jdoe' }, [photo()]);
+    await inner.putMeta('workspace', { activeId: 'a', reports: [{ id: 'a' }] });
+
+    expect(await store.getLockState()).toBe('setup');
+    await store.setPassphrase('correct horse');
+
+    expect(isEncrypted(await inner.getReport('a'))).toBe(true);
+    expect(isEncrypted(await inner.getMeta('workspace'))).toBe(true);
+    expect(await (await inner.getPhotos('a'))[0].blob.text()).not.toContain('jpeg bytes');
+
+    store.lock();
+    expect(await store.getLockState()).toBe('locked');
+    await expect(store.getReport('a')).rejects.toBeInstanceOf(StoreLockedError);
+    await expect(store.unlock('wrong')).rejects.toBeInstanceOf(PassphraseError);
+
+    await store.unlock('correct horse');
+    expect(await store.getReport('a')).toEqual({ office: 'Denver', lastLoginUsername: 'jdoe' });
+    expect(await store.getMeta('workspace')).toEqual({ activeId: 'a', reports: [{ id: 'a' }] });
+    const [stored] = await store.getPhotos('a');
+    expect(stored).toMatchObject({ name: 'rack.jpg', type: 'image/jpeg' });
+    expect(await stored.blob.text()).toBe('jpeg bytes');
+  });
+
+  test('rotates the key when the passphrase changes', async () => {
+    const { inner, store } = createStores();
+    await store.setPassphrase('first passphrase');
+    await store.putReport('a', { office: 'Austin' }, [photo()]);
+    const before = await inner.getReport('a');
+
+    await expect(store.changePassphrase('wrong', 'second passphrase')).rejects.toBeInstanceOf(PassphraseError);
+    await store.changePassphrase('first passphrase', 'second passphrase');
+
+    const record = await inner.getMeta(KEY_RECORD);
+    expect(record.keys).toHaveLength(1);
+    expect(record.activeKeyId).not.toBe(before.keyId);
+    expect((await inner.getReport('a')).keyId).toBe(record.activeKeyId);
+
+    store.lock();
+    await expect(store.unlock('first passphrase')).rejects.toBeInstanceOf(PassphraseError);
+    await store.unlock('second passphrase');
+    expect(await store.getReport('a')).toEqual({ office: 'Austin' });
+    expect(await (await store.getPhotos('a'))[0].blob.text()).toBe('jpeg bytes');
+  });
+
+  test('erases saved reports, queued changes and the key', async () => {
+    const { inner, store } = createStores();
+    const lockStates = [];
+    store.onLockChange((state) => lockStates.push(state));
+
+    await store.setPassphrase('correct horse');
+    await store.putReport('a', { office: 'Austin' });
+    await store.putMeta('pending_sync', [{ action: 'update', reportId: 'a', data: { office: 'Austin' } }]);
+    expect(isEncrypted(await inner.getMeta('pending_sync'))).toBe(true);
+    store.lock();
+    await store.unlock('correct horse');
+
+    await store.erase();
+    expect(await inner.listReportIds()).toEqual([]);
+    expect(await inner.getMeta('pending_sync')).toBeNull();
+    expect(await store.getLockState()).toBe('setup');
+    expect(lockStates).toEqual(['unlocked', 'locked', 'unlocked', 'setup']);
+  });
+});
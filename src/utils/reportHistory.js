@@ -0,0 +1,101 @@
+/**
+ * RSS Visit Report - Edit History
+ * Undo and redo steps for the open report. A step keeps the report data from
+ * before an edit and a label saying what the edit was. Edits to the same field
+ * in quick succession, such as typing, are grouped into one step.
+ */
+
+// Oldest steps are dropped beyond this, so photos in old snapshots can be freed
+export const HISTORY_LIMIT = 100;
+
+// Edits in the same group closer together than this share a step
+export const GROUP_WINDOW_MS = 1000;
+
+const FIELD_LABELS = {
+  office: 'office',
+  date: 'visit date',
+  nextVisit: 'next visit',
+  technician: 'technician',
+  summary: 'summary',
+  pictures: 'photos',
+  officeGrading: 'office grading',
+  hardware: 'hardware',
+  sccmPCs: 'SCCM PCs',
+  dataCloset: 'data closet',
+  inventory: 'inventory',
+  recycling: 'recycling',
+  issues: 'issues',
+  recommendations: 'recommendations',
+  followUpItems: 'follow-up items',
+  checklists: 'checklists'
+};
+
+export const createHistory = () => ({ past: [], future: [] });
+
+/**
+ * Label of an edit that did not name itself
+ * @param {string} field - Top-level report field that changed
+ * @returns {string} e.g. "Edited data closet"
+ */
+export const describeEdit = (field) => `Edited ${FIELD_LABELS[field] || field}`;
+
+/**
+ * Add the step for an edit
+ * @param {Object} history - { past, future }
+ * @param {Object} reportData - Report data from before the edit
+ * @param {Object} edit - { label, group, at }; edits with the same group
+ *   within GROUP_WINDOW_MS of the last one extend its step
+ * @returns {Object} New history; redo steps are dropped
+ */
+export function recordEdit(history, reportData, { label, group = null, at = Date.now() }) {
+  const last = history.past[history.past.length - 1];
+
+  if (group && last?.group === group && at - last.at < GROUP_WINDOW_MS) {
+    return { past: [...history.past.slice(0, -1), { ...last, at }], future: [] };
+  }
+
+  return {
+    past: [...history.past, { label, group, at, reportData }].slice(-HISTORY_LIMIT),
+    future: []
+  };
+}
+
+/**
+ * Step back to the report data from before the last edit
+ * @param {Object} history - { past, future }
+ * @param {Object} reportData - Current report data
+ * @returns {Object|null} { history, reportData, label }, or null with nothing to undo
+ */
+export function undoEdit(history, reportData) {
+  const step = history.past[history.past.length - 1];
+  if (!step) return null;
+
+  return {
+    history: {
+      past: history.past.slice(0, -1),
+      future: [{ ...step, reportData }, ...history.future]
+    },
+    reportData: step.reportData,
+    label: step.label
+  };
+}
+
+/**
+ * Reapply the last undone edit
+ * @param {Object} history - { past, future }
+ * @param {Object} reportData - Current report data
+ * @returns {Object|null} { history, reportData, label }, or null with nothing to redo
+ */
+export function redoEdit(history, reportData) {
+  const [step, ...future] = history.future;
+  if (!step) return null;
+
+  return {
+    history: {
+      past: [...history.past, { ...step, group: null, reportData }],
+      future
+    },
+    reportData: step.reportData,
+    label: step.label
+  };
+}
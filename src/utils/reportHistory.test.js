@@ -0,0 +1,46 @@
+import { describe, test, expect } from 'vitest';
+import { HISTORY_LIMIT, createHistory, describeEdit, recordEdit, redoEdit, undoEdit } from './reportHistory';
+
+const v1 = { office: '' };
+const v2 = { office: 'D' };
+const v3 = { office: 'Denver' };
+
+describe('report edit history', () => {
+  test('undoes and redoes labelled steps', () => {
+    let history = recordEdit(createHistory(), v1, { label: 'Edited office', at: 0 });
+    history = recordEdit(history, v2, { label: 'Deleted device Switch-Core', at: 5000 });
+
+    const undone = undoEdit(history, v3);
+    expect(undone).toMatchObject({ reportData: v2, label: 'Deleted device Switch-Core' });
+
+    const redone = redoEdit(undone.history, undone.reportData);
+    expect(redone).toMatchObject({ reportData: v3, label: 'Deleted device Switch-Core' });
+    expect(undoEdit(redone.history, redone.reportData).reportData).toBe(v2);
+  });
+
+  test('groups quick edits to the same field into one step', () => {
+    let history = recordEdit(createHistory(), v1, { label: describeEdit('office'), group: 'office', at: 0 });
+    history = recordEdit(history, v2, { label: describeEdit('office'), group: 'office', at: 400 });
+    history = recordEdit(history, v2, { label: describeEdit('office'), group: 'office', at: 800 });
+
+    expect(history.past).toHaveLength(1);
+    expect(undoEdit(history, v3)).toMatchObject({ reportData: v1, label: 'Edited office' });
+
+    // A pause or another field starts a new step
+    expect(recordEdit(history, v3, { label: 'Edited office', group: 'office', at: 5000 }).past).toHaveLength(2);
+    expect(recordEdit(history, v3, { label: 'Edited summary', group: 'summary', at: 900 }).past).toHaveLength(2);
+  });
+
+  test('drops redo steps on a new edit and caps the history', () => {
+    let history = recordEdit(createHistory(), v1, { label: 'Edited office', at: 0 });
+    const { history: undone } = undoEdit(history, v2);
+    expect(recordEdit(undone, v1, { label: 'Edited summary', at: 10 }).future).toEqual([]);
+
+    for (let i = 0; i < HISTORY_LIMIT + 5; i += 1) {
+      history = recordEdit(history, { step: i }, { label: `Step ${i}`, at: i * 5000 });
+    }
+    expect(history.past).toHaveLength(HISTORY_LIMIT);
+    expect(undoEdit(createHistory(), v1)).toBeNull();
+    expect(redoEdit(history, v1)).toBeNull();
+  });
+});
@@ -0,0 +1,154 @@
+/**
+ * RSS Visit Report - Report Merge
+ * Field-level three-way merge of report data, used when an offline edit is
+ * synced against a report that changed on the server in the meantime. Plain
+ * objects (report sections) are merged key by key and lists of records
+ * (issues, inventory items, closet locations, ...) record by record, matched
+ * on their `id`. Lists without ids and other values are compared as a whole.
+ *
+ * Paths to merged values are arrays: object keys are strings and records in
+ * a list are `{ id }`, e.g. ['issues', { id: 17 }, 'title'].
+ */
+
+const isPlainObject = (value) => (
+  value !== null && typeof value === 'object' && !Array.isArray(value)
+);
+
+/**
+ * Structural equality for JSON-like values
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ */
+export function isEqualValue(a, b) {
+  if (a === b) return true;
+  if (Array.isArray(a) || Array.isArray(b)) {
+    return Array.isArray(a) && Array.isArray(b)
+      && a.length === b.length
+      && a.every((item, index) => isEqualValue(item, b[index]));
+  }
+  if (isPlainObject(a) && isPlainObject(b)) {
+    const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+    return [...keys].every((key) => isEqualValue(a[key], b[key]));
+  }
+  return false;
+}
+
+const hasId = (item) => isPlainObject(item) && item.id !== undefined && item.id !== null;
+
+// Records keyed by id, or null when the list cannot be merged record by record
+const indexById = (list) => {
+  if (!Array.isArray(list) || !list.every(hasId)) return null;
+  const byId = new Map(list.map((item) => [item.id, item]));
+  return byId.size === list.length ? byId : null;
+};
+
+/**
+ * Merge one value; pushes unresolved fields onto `conflicts`
+ * @returns {*} Merged value, with the server's value where fields conflict
+ */
+function mergeValue(base, local, remote, path, conflicts) {
+  if (isEqualValue(local, remote)) return remote;
+  if (isEqualValue(base, local)) return remote;
+  if (isEqualValue(base, remote)) return local;
+
+  if (isPlainObject(local) && isPlainObject(remote)) {
+    const baseObject = isPlainObject(base) ? base : {};
+    const merged = {};
+    const keys = new Set([...Object.keys(remote), ...Object.keys(local)]);
+    keys.forEach((key) => {
+      const value = mergeValue(baseObject[key], local[key], remote[key], [...path, key], conflicts);
+      if (value !== undefined) {
+        merged[key] = value;
+      }
+    });
+    return merged;
+  }
+
+  const localById = indexById(local);
+  const remoteById = indexById(remote);
+  const baseById = Array.isArray(base) ? indexById(base) : new Map();
+  if (localById && remoteById && baseById) {
+    // Server order first, then records only added on this device
+    const ids = new Set([...remoteById.keys(), ...localById.keys()]);
+    return [...ids]
+      .map((id) => mergeValue(baseById.get(id), localById.get(id), remoteById.get(id), [...path, { id }], conflicts))
+      .filter((item) => item !== undefined);
+  }
+
+  conflicts.push({ path, base, local, remote });
+  return remote;
+}
+
+/**
+ * Three-way merge of report data
+ * @param {Object} base - Data both sides started from
+ * @param {Object} local - Data edited on this device
+ * @param {Object} remote - Data currently on the server
+ * @returns {Object} { merged, conflicts: [{ path, base, local, remote }] }
+ */
+export function mergeReportData(base, local, remote) {
+  const conflicts = [];
+  const merged = mergeValue(base || {}, local || {}, remote || {}, [], conflicts);
+  return { merged, conflicts };
+}
+
+/**
+ * Key for a path, for looking up the user's choice for a conflict
+ * @param {Array<string|Object>} path - Path from mergeReportData
+ */
+export const pathKey = (path) => JSON.stringify(path);
+
+const isRecordSegment = (segment) => isPlainObject(segment);
+
+/**
+ * Read a value from report data
+ * @param {Object} data - Report data
+ * @param {Array<string|Object>} path - e.g. ['summary', 'summaryText'] or ['issues', { id: 17 }]
+ */
+export const getValueAtPath = (data, path) => path.reduce((value, segment) => {
+  if (isRecordSegment(segment)) {
+    return Array.isArray(value) ? value.find((item) => hasId(item) && item.id === segment.id) : undefined;
+  }
+  return isPlainObject(value) ? value[segment] : undefined;
+}, data);
+
+/**
+ * Copy of report data with the value at one path replaced (or removed for
+ * undefined). A record missing from its list is added at the end.
+ * @param {Object} data - Report data
+ * @param {Array<string|Object>} path - e.g. ['summary', 'summaryText'] or ['issues', { id: 17 }]
+ * @param {*} value - New value
+ */
+export function setValueAtPath(data, path, value) {
+  const [segment, ...rest] = path;
+
+  if (isRecordSegment(segment)) {
+    const list = Array.isArray(data) ? data : [];
+    const index = list.findIndex((item) => hasId(item) && item.id === segment.id);
+    const next = rest.length ? setValueAtPath(list[index], rest, value) : value;
+    if (index === -1) {
+      return next === undefined ? list : [...list, next];
+    }
+    return next === undefined
+      ? list.filter((_item, position) => position !== index)
+      : list.map((item, position) => (position === index ? next : item));
+  }
+
+  const current = isPlainObject(data) ? data : {};
+  const next = rest.length ? setValueAtPath(current[segment], rest, value) : value;
+  const { [segment]: _previous, ...others } = current;
+  return next === undefined ? others : { ...others, [segment]: next };
+}
+
+/**
+ * Apply the user's choice for each conflicting field
+ * @param {Object} merged - Merged data from mergeReportData
+ * @param {Object[]} conflicts - Conflicts from mergeReportData
+ * @param {Object} choices - pathKey(path) -> 'local' | 'remote'; unchosen fields keep the server value
+ */
+export const resolveConflicts = (merged, conflicts, choices = {}) => conflicts.reduce(
+  (data, conflict) => (
+    choices[pathKey(conflict.path)] === 'local' ? setValueAtPath(data, conflict.path, conflict.local) : data
+  ),
+  merged
+);
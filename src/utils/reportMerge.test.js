@@ -0,0 +1,104 @@
+import { describe, test, expect } from 'vitest';
+import { getValueAtPath, mergeReportData, pathKey, resolveConflicts, setValueAtPath } from './reportMerge';
+
+const base = {
+  office: 'Denver',
+  summary: { summaryText: 'Quarterly visit', technician: 'Ana' },
+  issues: [{ id: 1, title: 'Printer', status: 'open' }],
+  officeGrading: [{ category: 'Cleanliness', score: 3 }],
+  storage: { capacity: '10TB' }
+};
+
+describe('mergeReportData', () => {
+  test('takes each side\'s changes to different fields', () => {
+    const local = { ...base, summary: { ...base.summary, summaryText: 'Printer replaced' } };
+    const remote = { ...base, summary: { ...base.summary, technician: 'Sam' }, office: 'Boulder' };
+
+    const { merged, conflicts } = mergeReportData(base, local, remote);
+
+    expect(conflicts).toEqual([]);
+    expect(merged).toEqual({
+      ...base,
+      office: 'Boulder',
+      summary: { summaryText: 'Printer replaced', technician: 'Sam' }
+    });
+  });
+
+  test('reports fields both sides changed differently and keeps the server value', () => {
+    const local = { ...base, summary: { ...base.summary, summaryText: 'Mine' }, officeGrading: [] };
+    const remote = {
+      ...base,
+      summary: { ...base.summary, summaryText: 'Theirs' },
+      officeGrading: [{ category: 'Cleanliness', score: 4 }]
+    };
+
+    const { merged, conflicts } = mergeReportData(base, local, remote);
+
+    expect(conflicts.map((conflict) => conflict.path)).toEqual([['summary', 'summaryText'], ['officeGrading']]);
+    expect(conflicts[0]).toEqual({ path: ['summary', 'summaryText'], base: 'Quarterly visit', local: 'Mine', remote: 'Theirs' });
+    expect(merged.summary.summaryText).toBe('Theirs');
+
+    const resolved = resolveConflicts(merged, conflicts, { [pathKey(['summary', 'summaryText'])]: 'local' });
+    expect(resolved.summary).toEqual({ summaryText: 'Mine', technician: 'Ana' });
+    expect(resolved.officeGrading).toEqual([{ category: 'Cleanliness', score: 4 }]);
+  });
+
+  test('honours deletions on one side and identical edits on both', () => {
+    const { storage: _storage, ...withoutStorage } = base;
+    const local = { ...withoutStorage, office: 'Aurora' };
+    const remote = { ...base, office: 'Aurora' };
+
+    const { merged, conflicts } = mergeReportData(base, local, remote);
+
+    expect(conflicts).toEqual([]);
+    expect(merged).toEqual({ ...withoutStorage, office: 'Aurora' });
+  });
+
+  test('merges lists of records by id', () => {
+    const local = {
+      ...base,
+      issues: [{ id: 1, title: 'Printer', status: 'closed' }, { id: 2, title: 'Badge reader', status: 'open' }]
+    };
+    const remote = {
+      ...base,
+      issues: [{ id: 3, title: 'Switch', status: 'open' }, { id: 1, title: 'Printer jam', status: 'open' }]
+    };
+
+    const { merged, conflicts } = mergeReportData(base, local, remote);
+
+    expect(conflicts).toEqual([]);
+    expect(merged.issues).toEqual([
+      { id: 3, title: 'Switch', status: 'open' },
+      { id: 1, title: 'Printer jam', status: 'closed' },
+      { id: 2, title: 'Badge reader', status: 'open' }
+    ]);
+  });
+
+  test('reports a record edited on one side and deleted on the other', () => {
+    const local = { ...base, issues: [{ id: 1, title: 'Printer', status: 'closed' }] };
+    const remote = { ...base, issues: [] };
+
+    const { merged, conflicts } = mergeReportData(base, local, remote);
+
+    expect(conflicts).toEqual([{
+      path: ['issues', { id: 1 }],
+      base: base.issues[0],
+      local: local.issues[0],
+      remote: undefined
+    }]);
+    expect(merged.issues).toEqual([]);
+    expect(resolveConflicts(merged, conflicts, { [pathKey(conflicts[0].path)]: 'local' }).issues).toEqual(local.issues);
+  });
+});
+
+describe('report paths', () => {
+  test('read and replace nested values', () => {
+    expect(getValueAtPath(base, ['summary', 'technician'])).toBe('Ana');
+    expect(getValueAtPath(base, ['summary', 'missing', 'value'])).toBeUndefined();
+    expect(getValueAtPath(base, ['issues', { id: 1 }, 'title'])).toBe('Printer');
+    expect(setValueAtPath(base, ['summary', 'technician'], 'Sam').summary).toEqual({ summaryText: 'Quarterly visit', technician: 'Sam' });
+    expect(setValueAtPath(base, ['storage'], undefined)).not.toHaveProperty('storage');
+    expect(setValueAtPath(base, ['issues', { id: 1 }, 'status'], 'closed').issues).toEqual([{ id: 1, title: 'Printer', status: 'closed' }]);
+    expect(base.summary.technician).toBe('Ana');
+  });
+});
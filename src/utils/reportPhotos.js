@@ -0,0 +1,95 @@
+/**
+ * RSS Visit Report - Report Photo Storage Helpers
+ * Photos added through PhotoUpload carry a `file` Blob and a blob: URL that
+ * only lives as long as the page. Before a report is saved the blobs are split
+ * out (and stored next to the report), leaving `storedPhoto` markers that are
+ * turned back into blobs and URLs when the report is loaded.
+ */
+
+const isBlob = (value) => typeof Blob !== 'undefined' && value instanceof Blob;
+
+const isPlainObject = (value) => (
+  value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype
+);
+
+const isPhotoWithBlob = (value) => isPlainObject(value) && value.id !== undefined && isBlob(value.file);
+
+/**
+ * Copy report data, applying `visit` to every photo-like object
+ * @param {*} value - Report data or a part of it
+ * @param {Function} visit - (photo) => replacement
+ * @param {Function} isPhoto - Photo test
+ */
+function mapPhotos(value, visit, isPhoto) {
+  if (Array.isArray(value)) {
+    return value.map((item) => mapPhotos(item, visit, isPhoto));
+  }
+  if (!isPlainObject(value)) {
+    return value;
+  }
+  if (isPhoto(value)) {
+    return visit(value);
+  }
+
+  const copy = {};
+  Object.keys(value).forEach((key) => {
+    copy[key] = mapPhotos(value[key], visit, isPhoto);
+  });
+  return copy;
+}
+
+/**
+ * Split photo blobs out of report data
+ * @param {Object} reportData - Report data as held in state
+ * @param {Object} options - { isStored(blob) } to skip blobs saved earlier
+ * @returns {Object} { data: JSON-safe copy, photos: [{ id, blob, name, type }] to store }
+ */
+export function extractPhotos(reportData, { isStored = () => false } = {}) {
+  const photos = [];
+
+  const data = mapPhotos(reportData, (photo) => {
+    const { file, url, ...rest } = photo;
+    if (!isStored(file)) {
+      photos.push({ id: photo.id, blob: file, name: photo.name, type: file.type });
+    }
+    return { ...rest, type: rest.type || file.type, storedPhoto: true };
+  }, isPhotoWithBlob);
+
+  return { data, photos };
+}
+
+/**
+ * Attach stored blobs to the photo markers of loaded report data
+ * @param {Object} reportData - Report data as saved
+ * @param {Object[]} storedPhotos - [{ photoId, blob }] of the report
+ * @param {Function} createUrl - Defaults to URL.createObjectURL
+ * @returns {Object} { data, urls } where urls are the object URLs created
+ */
+export function hydratePhotos(reportData, storedPhotos, createUrl = (blob) => URL.createObjectURL(blob)) {
+  const blobs = new Map(storedPhotos.map((photo) => [String(photo.photoId), photo.blob]));
+  const urls = [];
+
+  const data = mapPhotos(reportData, (photo) => {
+    const blob = blobs.get(String(photo.id));
+    if (!blob) return photo;
+    const url = createUrl(blob);
+    urls.push(url);
+    return { ...photo, file: blob, url };
+  }, (value) => value.storedPhoto === true && value.id !== undefined);
+
+  return { data, urls };
+}
+
+/**
+ * IDs of the stored photos a saved report still refers to
+ * @param {Object} reportData - Report data as saved
+ * @returns {Set<string>}
+ */
+export function collectPhotoIds(reportData) {
+  const ids = new Set();
+  mapPhotos(reportData, (photo) => {
+    ids.add(String(photo.id));
+    return photo;
+  }, (value) => value.storedPhoto === true && value.id !== undefined);
+  return ids;
+}
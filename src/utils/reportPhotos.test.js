@@ -0,0 +1,33 @@
+import { describe, test, expect } from 'vitest';
+import { collectPhotoIds, extractPhotos, hydratePhotos } from './reportPhotos';
+
+describe('report photos', () => {
+  test('splits blobs out of report data and restores them on load', () => {
+    const file = new Blob(['png'], { type: 'image/png' });
+    const report = {
+      office: 'Austin',
+      rackPhotos: [{ id: 7, name: 'rack.png', file, url: 'blob:old' }],
+      closets: [{ name: 'IDF', photos: [{ id: 'a', file, url: 'blob:old' }] }]
+    };
+
+    const { data, photos } = extractPhotos(report);
+    expect(JSON.parse(JSON.stringify(data))).toEqual(data);
+    expect(data.rackPhotos[0]).toEqual({ id: 7, name: 'rack.png', type: 'image/png', storedPhoto: true });
+    expect(photos.map((photo) => photo.id)).toEqual([7, 'a']);
+    expect(collectPhotoIds(data)).toEqual(new Set(['7', 'a']));
+
+    const { data: loaded, urls } = hydratePhotos(data, [{ photoId: '7', blob: file }], () => 'blob:new');
+    expect(loaded.rackPhotos[0]).toMatchObject({ id: 7, file, url: 'blob:new' });
+    expect(loaded.closets[0].photos[0]).toEqual(data.closets[0].photos[0]);
+    expect(urls).toEqual(['blob:new']);
+  });
+
+  test('skips blobs that are already stored', () => {
+    const stored = new Blob(['old']);
+    const fresh = new Blob(['new']);
+    const report = { photos: [{ id: 1, file: stored }, { id: 2, file: fresh }] };
+
+    const { photos } = extractPhotos(report, { isStored: (blob) => blob === stored });
+    expect(photos.map((photo) => photo.id)).toEqual([2]);
+  });
+});
@@ -0,0 +1,349 @@
+/**
+ * RSS Visit Report - Report Validation
+ * Rules for what a finished report needs, grouped by report section. Errors
+ * block submitting, warnings only point out gaps. Every rule names the field
+ * it is about, so problems can link straight to it, and the share of rules a
+ * section passes is its progress on the dashboard and its page.
+ */
+
+import { localToday } from '../constants/initialData.js';
+
+const CLOSED_ISSUE_STATUSES = ['resolved', 'closed'];
+const OPEN_FOLLOW_UP_STATUSES = ['pending', 'in-progress', 'on-hold'];
+
+const hasText = (value) => typeof value === 'string' && value.trim().length > 0;
+
+const slug = (value) => String(value ?? '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+/**
+ * DOM id of a report field; pages put it on the input or card a rule is about
+ * @param {...string|number} parts - Section and field, e.g. ('summary', 'office')
+ * @returns {string} Element id
+ */
+export const fieldId = (...parts) => ['report-field', ...parts.map(slug)].join('-');
+
+const isGraded = (grade) => String(grade?.score ?? '').trim() !== '';
+
+const sumCounts = (counts) => Object.values(counts || {}).reduce((sum, value) => sum + (Number(value) || 0), 0);
+
+const inventoryTotal = (item) => (
+  (Number(item?.inUse) || 0) + sumCounts(item?.otherUse) + sumCounts(item?.spares) + (Number(item?.broken) || 0)
+);
+
+const list = (value) => (Array.isArray(value) ? value : []);
+
+const yearBefore = (isoDate) => `${Number(isoDate.slice(0, 4)) - 1}${isoDate.slice(4)}`;
+
+/**
+ * Sections and their rules. A rule is either about the report as a whole:
+ *   { id, severity, message, field, when?, check(data, context) }
+ * or about each entry of a list, with message and field built per entry:
+ *   { id, severity, items(data), message(item), field(item), when?, check(item, data, context) }
+ * Rules whose `when` is false do not apply and do not count towards progress.
+ */
+export const VALIDATION_SECTIONS = [
+  {
+    id: 'summary',
+    name: 'Summary',
+    page: 'Summary',
+    rules: [
+      {
+        id: 'office',
+        severity: 'error',
+        message: 'Office location is required',
+        field: { tab: 'basic', id: fieldId('summary', 'office') },
+        check: (data) => hasText(data.office)
+      },
+      {
+        id: 'date',
+        severity: 'error',
+        message: 'Visit date is required',
+        field: { tab: 'basic', id: fieldId('summary', 'date') },
+        check: (data) => hasText(data.date)
+      },
+      {
+        id: 'dateNotFuture',
+        severity: 'error',
+        message: 'Visit date cannot be in the future',
+        field: { tab: 'basic', id: fieldId('summary', 'date') },
+        when: (data) => hasText(data.date),
+        check: (data, { today }) => data.date <= today
+      },
+      {
+        id: 'dateRecent',
+        severity: 'warning',
+        message: 'Visit date is more than a year ago',
+        field: { tab: 'basic', id: fieldId('summary', 'date') },
+        when: (data) => hasText(data.date),
+        check: (data, { today }) => data.date >= yearBefore(today)
+      },
+      {
+        id: 'technician',
+        severity: 'error',
+        message: 'Technician is required',
+        field: { tab: 'basic', id: fieldId('summary', 'technician') },
+        check: (data) => hasText(data.technician) || hasText(data.rss)
+      },
+      {
+        id: 'summaryText',
+        severity: 'error',
+        message: 'Visit summary is required',
+        field: { tab: 'basic', id: fieldId('summary', 'summaryText') },
+        check: (data) => hasText(data.summary?.summaryText)
+      },
+      {
+        id: 'officeGrading',
+        severity: 'warning',
+        items: (data) => list(data.officeGrading),
+        message: (grade) => `${grade.category} is not graded`,
+        field: (grade) => ({ tab: 'grading', id: fieldId('officeGrading', grade.category) }),
+        check: isGraded
+      },
+      {
+        id: 'photos',
+        severity: 'warning',
+        message: 'No data closet or training room photos',
+        field: { tab: 'photos', id: fieldId('summary', 'photos') },
+        check: (data) => list(data.pictures?.dataCloset).length + list(data.pictures?.trainingRoom).length > 0
+      }
+    ]
+  },
+  {
+    id: 'infrastructure',
+    name: 'Infrastructure',
+    page: 'Infrastructure',
+    rules: [
+      {
+        id: 'computers',
+        severity: 'warning',
+        message: 'No SCCM computers recorded',
+        field: { id: fieldId('sccm', 'computers') },
+        check: (data) => list(data.sccmPCs?.computers).length > 0
+      },
+      {
+        id: 'computerDetails',
+        severity: 'warning',
+        items: (data) => list(data.sccmPCs?.computers),
+        message: (pc) => `${pc.name || 'A computer'} is missing its model, OS or SCCM status`,
+        field: (pc) => ({ id: fieldId('sccm', pc.id) }),
+        check: (pc) => [pc.name, pc.model, pc.os, pc.sccmStatus].every(hasText)
+      }
+    ]
+  },
+  {
+    id: 'inventory',
+    name: 'Inventory',
+    page: 'Inventory',
+    rules: [
+      {
+        id: 'counted',
+        severity: 'error',
+        message: 'Inventory has no counts',
+        field: { tab: 'general', id: fieldId('inventory', 'items') },
+        check: (data) => list(data.inventory?.items).some((item) => inventoryTotal(item) > 0)
+      },
+      {
+        id: 'itemCounted',
+        severity: 'warning',
+        items: (data) => list(data.inventory?.items),
+        message: (item) => `${item.description} has no counts`,
+        field: () => ({ tab: 'general', id: fieldId('inventory', 'items') }),
+        // Until anything is counted the rule above says it all
+        when: (data) => list(data.inventory?.items).some((item) => inventoryTotal(item) > 0),
+        check: (item) => inventoryTotal(item) > 0
+      }
+    ]
+  },
+  {
+    id: 'dataCloset',
+    name: 'Data Closet',
+    page: 'Storage',
+    rules: [
+      {
+        id: 'locations',
+        severity: 'warning',
+        message: 'No data closet locations recorded',
+        field: { tab: 'locations', id: fieldId('dataCloset', 'locations') },
+        check: (data) => list(data.dataCloset?.locations).length > 0
+      },
+      {
+        id: 'environmental',
+        severity: 'warning',
+        message: 'Data closet temperature and humidity are not recorded',
+        field: { tab: 'environmental', id: fieldId('dataCloset', 'environmental') },
+        check: (data) => hasText(String(data.dataCloset?.environmental?.temperature ?? ''))
+          && hasText(String(data.dataCloset?.environmental?.humidity ?? ''))
+      },
+      {
+        id: 'photos',
+        severity: 'warning',
+        message: 'No data closet photos',
+        field: { tab: 'photos', id: fieldId('dataCloset', 'photos') },
+        check: (data) => list(data.dataCloset?.photos).length > 0
+      },
+      {
+        id: 'grading',
+        severity: 'warning',
+        items: (data) => list(data.dataCloset?.grading),
+        message: (grade) => `${grade.category} is not graded`,
+        field: (grade) => ({ tab: 'grading', id: fieldId('dataClosetGrading', grade.category) }),
+        check: isGraded
+      }
+    ]
+  },
+  {
+    id: 'recycling',
+    name: 'Recycling',
+    page: 'Inventory',
+    rules: [
+      {
+        id: 'pickupScheduled',
+        severity: 'warning',
+        message: 'Items need pickup but no pickup is scheduled',
+        field: { tab: 'recycling', id: fieldId('recycling', 'schedule') },
+        when: (data) => list(data.recycling?.pickupRequired).some((item) => Number(item.quantity) > 0),
+        check: (data) => data.recycling?.scheduled === 'Yes' && hasText(data.recycling?.scheduleDate)
+      }
+    ]
+  },
+  {
+    id: 'issues',
+    name: 'Issues',
+    page: 'IssuesActions',
+    rules: [
+      {
+        id: 'title',
+        severity: 'error',
+        items: (data) => list(data.issues),
+        message: () => 'An issue has no title',
+        field: (issue) => ({ tab: 'issues', id: fieldId('issue', issue.id) }),
+        check: (issue) => hasText(issue.title)
+      },
+      {
+        id: 'resolution',
+        severity: 'warning',
+        items: (data) => list(data.issues).filter((issue) => CLOSED_ISSUE_STATUSES.includes(issue.status)),
+        message: (issue) => `${issue.title || 'An issue'} is ${issue.status} without a resolution`,
+        field: (issue) => ({ tab: 'issues', id: fieldId('issue', issue.id) }),
+        check: (issue) => hasText(issue.resolution)
+      }
+    ]
+  },
+  {
+    id: 'recommendations',
+    name: 'Recommendations',
+    page: 'IssuesActions',
+    rules: [
+      {
+        id: 'title',
+        severity: 'error',
+        items: (data) => list(data.recommendations),
+        message: () => 'A recommendation has no title',
+        field: (recommendation) => ({ tab: 'recommendations', id: fieldId('recommendation', recommendation.id) }),
+        check: (recommendation) => hasText(recommendation.title)
+      }
+    ]
+  },
+  {
+    id: 'followUp',
+    name: 'Follow-up Items',
+    page: 'IssuesActions',
+    rules: [
+      {
+        id: 'title',
+        severity: 'error',
+        items: (data) => list(data.followUpItems),
+        message: () => 'A follow-up item has no title',
+        field: (item) => ({ tab: 'followup', id: fieldId('followUp', item.id) }),
+        check: (item) => hasText(item.title)
+      },
+      {
+        id: 'dueDate',
+        severity: 'warning',
+        items: (data) => list(data.followUpItems).filter((item) => OPEN_FOLLOW_UP_STATUSES.includes(item.status)),
+        message: (item) => `${item.title || 'A follow-up item'} has no due date`,
+        field: (item) => ({ tab: 'followup', id: fieldId('followUp', item.id) }),
+        check: (item) => hasText(item.dueDate)
+      }
+    ]
+  }
+];
+
+// Every check a rule makes on the report, with the problem it reports if it fails
+function runRule(rule, section, data, context) {
+  if (rule.when && !rule.when(data, context)) return [];
+
+  const problem = (message, field) => ({
+    id: `${section.id}.${rule.id}`,
+    section: section.id,
+    severity: rule.severity,
+    message,
+    field: { page: section.page, ...field }
+  });
+
+  if (!rule.items) {
+    return [{ passed: Boolean(rule.check(data, context)), problem: () => problem(rule.message, rule.field) }];
+  }
+
+  return rule.items(data).map((item, index) => ({
+    passed: Boolean(rule.check(item, data, context)),
+    problem: () => ({ ...problem(rule.message(item), rule.field(item)), id: `${section.id}.${rule.id}.${index}` })
+  }));
+}
+
+/**
+ * Check a report against every section's rules
+ * @param {Object} reportData - Report data in the current schema
+ * @param {Object} options - { today } as YYYY-MM-DD, defaults to the current local date
+ * @returns {Object} {
+ *   sections: [{ id, name, page, progress, errors, warnings }],
+ *   problems, errors, warnings: [{ id, section, severity, message, field: { page, tab, id } }],
+ *   progress, canSubmit
+ * }
+ */
+export function validateReport(reportData, { today = localToday() } = {}) {
+  const data = reportData || {};
+  const context = { today };
+
+  const sections = VALIDATION_SECTIONS.map((section) => {
+    const checks = section.rules.flatMap((rule) => runRule(rule, section, data, context));
+    const problems = checks.filter((check) => !check.passed).map((check) => check.problem());
+    const passed = checks.length - problems.length;
+
+    return {
+      id: section.id,
+      name: section.name,
+      page: section.page,
+      // A section with nothing to check is complete
+      progress: checks.length === 0 ? 100 : Math.round((passed / checks.length) * 100),
+      errors: problems.filter((problem) => problem.severity === 'error'),
+      warnings: problems.filter((problem) => problem.severity === 'warning')
+    };
+  });
+
+  const errors = sections.flatMap((section) => section.errors);
+  const warnings = sections.flatMap((section) => section.warnings);
+
+  return {
+    sections,
+    problems: [...errors, ...warnings],
+    errors,
+    warnings,
+    progress: Math.round(sections.reduce((sum, section) => sum + section.progress, 0) / sections.length),
+    canSubmit: errors.length === 0
+  };
+}
+
+/**
+ * Problems of one app page, e.g. for its navigation badge
+ * @param {Object} validation - Result of validateReport
+ * @param {string} page - Page ID
+ * @returns {Object} { errors, warnings }
+ */
+export function getPageProblems(validation, page) {
+  const sections = validation.sections.filter((section) => section.page === page);
+  return {
+    errors: sections.flatMap((section) => section.errors),
+    warnings: sections.flatMap((section) => section.warnings)
+  };
+}
@@ -0,0 +1,96 @@
+import { describe, test, expect } from 'vitest';
+import { fieldId, getPageProblems, validateReport } from './reportValidation';
+import { createInitialReportData, localToday } from '../constants/initialData';
+
+const today = '2025-09-15';
+
+const completeReport = () => {
+  const data = createInitialReportData();
+  return {
+    ...data,
+    office: 'Denver',
+    date: '2025-09-10',
+    technician: 'Sam Lee',
+    summary: { ...data.summary, summaryText: 'Routine visit' },
+    pictures: { dataCloset: [{ id: 1 }], trainingRoom: [] },
+    officeGrading: data.officeGrading.map((grade) => ({ ...grade, score: '4' })),
+    sccmPCs: { computers: [{ id: 7, name: 'DEN-PC-01', model: 'OptiPlex', os: 'Windows 11', sccmStatus: 'Active' }] },
+    inventory: { ...data.inventory, items: [{ description: 'PCs', inUse: 12, otherUse: {}, spares: { onFloor: 1 }, broken: 0 }] },
+    dataCloset: {
+      ...data.dataCloset,
+      grading: data.dataCloset.grading.map((grade) => ({ ...grade, score: '3' })),
+      locations: [{ name: 'MDF', racks: [] }],
+      environmental: { temperature: '68', humidity: '40' },
+      photos: [{ id: 2 }]
+    }
+  };
+};
+
+describe('validateReport', () => {
+  test('passes a complete report', () => {
+    const validation = validateReport(completeReport(), { today });
+
+    expect(validation.problems).toEqual([]);
+    expect(validation.canSubmit).toBe(true);
+    expect(validation.progress).toBe(100);
+    expect(validation.sections.every((section) => section.progress === 100)).toBe(true);
+  });
+
+  test('blocks a blank report and links each problem to its field', () => {
+    const validation = validateReport({ ...createInitialReportData(), date: today }, { today });
+    const summary = validation.sections.find((section) => section.id === 'summary');
+
+    expect(validation.canSubmit).toBe(false);
+    expect(summary.errors.map((problem) => problem.message)).toEqual([
+      'Office location is required',
+      'Technician is required',
+      'Visit summary is required'
+    ]);
+    expect(summary.errors[0].field).toEqual({ page: 'Summary', tab: 'basic', id: fieldId('summary', 'office') });
+    expect(validation.errors.map((problem) => problem.id)).toContain('inventory.counted');
+    // Only the one inventory error until something is counted
+    expect(validation.warnings.some((problem) => problem.id.startsWith('inventory.'))).toBe(false);
+    expect(summary.progress).toBeLessThan(50);
+  });
+
+  test('checks visit dates against today', () => {
+    const future = validateReport({ ...completeReport(), date: '2025-10-01' }, { today });
+    const old = validateReport({ ...completeReport(), date: '2024-01-01' }, { today });
+
+    expect(future.errors.map((problem) => problem.id)).toEqual(['summary.dateNotFuture']);
+    expect(old.canSubmit).toBe(true);
+    expect(old.warnings.map((problem) => problem.id)).toEqual(['summary.dateRecent']);
+  });
+
+  test('takes today from the date on this device, not the UTC date', () => {
+    const lateEvening = new Date(2025, 8, 15, 23, 30);
+    expect(localToday(lateEvening)).toBe('2025-09-15');
+    expect(localToday(new Date(2025, 0, 5, 0, 15))).toBe('2025-01-05');
+  });
+
+  test('checks issues, recommendations and follow-up items one by one', () => {
+    const validation = validateReport({
+      ...completeReport(),
+      issues: [
+        { id: 1, title: 'Slow Wi-Fi', status: 'resolved', resolution: '' },
+        { id: 2, title: '', status: 'open' }
+      ],
+      recommendations: [{ id: 3, title: 'Replace UPS' }],
+      followUpItems: [{ id: 4, title: 'Order cables', status: 'pending', dueDate: '' }]
+    }, { today });
+
+    expect(validation.errors).toEqual([expect.objectContaining({
+      id: 'issues.title.1',
+      message: 'An issue has no title',
+      field: { page: 'IssuesActions', tab: 'issues', id: fieldId('issue', 2) }
+    })]);
+    expect(validation.warnings.map((problem) => problem.message)).toEqual([
+      'Slow Wi-Fi is resolved without a resolution',
+      'Order cables has no due date'
+    ]);
+
+    const issuesActions = getPageProblems(validation, 'IssuesActions');
+    expect(issuesActions.errors).toHaveLength(1);
+    expect(issuesActions.warnings).toHaveLength(2);
+  });
+});
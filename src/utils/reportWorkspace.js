@@ -0,0 +1,187 @@
+/**
+ * RSS Visit Report - Report Workspace Storage
+ * Keeps several visit reports side by side: an index of report metadata plus
+ * one stored record per report's data, in IndexedDB (services/offlineStorageService)
+ * or localStorage where IndexedDB is missing. Reports that earlier versions
+ * kept in localStorage are moved into the store on first load.
+ */
+
+import { REPORT_LIFECYCLE } from '../constants/reportLifecycle';
+
+export const WORKSPACE_INDEX_KEY = 'rss_report_workspace';
+export const LEGACY_REPORT_KEY = 'officeVisitReport';
+const REPORT_KEY_PREFIX = 'rss_report_';
+
+// Mirrors the server status so submitted reports stay read-only offline
+export const REPORT_STATUS = REPORT_LIFECYCLE;
+
+/**
+ * Storage key holding one report's data
+ * @param {string} id - Workspace report ID
+ */
+export const reportStorageKey = (id) => `${REPORT_KEY_PREFIX}${id}`;
+
+export const createReportId = () => (
+  `report-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`
+);
+
+export const createWorkspace = () => ({ activeId: null, reports: [] });
+
+/**
+ * Title shown for a report; falls back to office and visit date until renamed
+ * @param {Object} entry - Workspace entry
+ */
+export function getReportTitle(entry) {
+  if (entry?.title?.trim()) return entry.title.trim();
+  const office = entry?.office?.trim() || 'Untitled visit';
+  return entry?.date ? `${office} - ${entry.date}` : office;
+}
+
+/**
+ * Metadata kept in the index for a report's data
+ * @param {Object} reportData - Report data
+ */
+export const describeReport = (reportData = {}) => ({
+  office: typeof reportData.office === 'string' ? reportData.office : '',
+  date: typeof reportData.date === 'string' ? reportData.date : '',
+  // ID of the server copy once the report has been saved to the server
+  serverId: typeof reportData.id === 'string' ? reportData.id : ''
+});
+
+/**
+ * New index entry for a report
+ * @param {Object} reportData - Report data
+ * @param {Object} fields - Entry fields to set, e.g. { title }
+ */
+export function createReportEntry(reportData, fields = {}) {
+  const now = new Date().toISOString();
+  return {
+    id: createReportId(),
+    title: '',
+    status: REPORT_STATUS.DRAFT,
+    createdAt: now,
+    updatedAt: now,
+    ...describeReport(reportData),
+    ...fields
+  };
+}
+
+/**
+ * Replace one entry in the index
+ * @param {Object} workspace - { activeId, reports }
+ * @param {string} id - Report ID
+ * @param {Object} changes - Fields to change
+ */
+export const updateReportEntry = (workspace, id, changes) => ({
+  ...workspace,
+  reports: workspace.reports.map((entry) => (entry.id === id ? { ...entry, ...changes } : entry))
+});
+
+/**
+ * Most recently updated draft other than the given report
+ * @param {Object} workspace - { activeId, reports }
+ * @param {string} excludeId - Report to skip
+ */
+export function findNextDraft(workspace, excludeId) {
+  return workspace.reports
+    .filter((entry) => entry.id !== excludeId && entry.status === REPORT_STATUS.DRAFT)
+    .sort((a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt)))[0] || null;
+}
+
+const readJSON = (storage, key) => {
+  const saved = storage.getItem(key);
+  if (!saved) return null;
+  try {
+    return JSON.parse(saved);
+  } catch (error) {
+    console.error(`Error loading ${key}:`, error);
+    return null;
+  }
+};
+
+/**
+ * localStorage-backed store with the same interface as offlineStorageService,
+ * for browsers without IndexedDB. Photos are not kept across reloads there.
+ * @param {Storage} storage - Defaults to localStorage
+ */
+export function createLocalStorageStore(storage = globalThis.localStorage) {
+  const metaKey = (key) => (key === 'workspace' ? WORKSPACE_INDEX_KEY : `rss_meta_${key}`);
+
+  return {
+    getReport: async (id) => readJSON(storage, reportStorageKey(id)),
+    putReport: async (id, data) => storage.setItem(reportStorageKey(id), JSON.stringify(data)),
+    deleteReport: async (id) => storage.removeItem(reportStorageKey(id)),
+    listReportIds: async () => Array.from({ length: storage.length }, (_, index) => storage.key(index))
+      .filter((key) => key?.startsWith(REPORT_KEY_PREFIX) && key !== WORKSPACE_INDEX_KEY)
+      .map((key) => key.slice(REPORT_KEY_PREFIX.length)),
+    getMeta: async (key) => readJSON(storage, metaKey(key)),
+    putMeta: async (key, value) => storage.setItem(metaKey(key), JSON.stringify(value)),
+    getPhotos: async () => [],
+    copyPhotos: async () => {}
+  };
+}
+
+/**
+ * Save the workspace index
+ * @param {Object} store - Report store (offlineStorageService or createLocalStorageStore())
+ * @param {Object} workspace - { activeId, reports }
+ */
+export const saveWorkspace = (store, workspace) => store.putMeta('workspace', workspace);
+
+/**
+ * Move reports kept in localStorage by earlier versions into the store: the
+ * workspace index with one key per report, or the single `officeVisitReport`
+ * @param {Object} store - Target store
+ * @param {Storage} storage - localStorage
+ * @returns {Promise<Object|null>} Migrated workspace, or null if there was nothing to move
+ */
+async function migrateLocalStorage(store, storage) {
+  const saved = readJSON(storage, WORKSPACE_INDEX_KEY);
+  if (saved) {
+    const reports = [];
+    for (const entry of Array.isArray(saved.reports) ? saved.reports : []) {
+      const data = entry?.id ? readJSON(storage, reportStorageKey(entry.id)) : null;
+      if (data) {
+        await store.putReport(entry.id, data);
+        reports.push(entry);
+      }
+    }
+    const workspace = { activeId: reports.some((entry) => entry.id === saved.activeId) ? saved.activeId : null, reports };
+    await saveWorkspace(store, workspace);
+    (Array.isArray(saved.reports) ? saved.reports : []).forEach((entry) => entry?.id && storage.removeItem(reportStorageKey(entry.id)));
+    storage.removeItem(WORKSPACE_INDEX_KEY);
+    return workspace;
+  }
+
+  const legacy = readJSON(storage, LEGACY_REPORT_KEY);
+  if (!legacy) return null;
+
+  const entry = createReportEntry(legacy);
+  const workspace = { activeId: entry.id, reports: [entry] };
+  await store.putReport(entry.id, legacy);
+  await saveWorkspace(store, workspace);
+  storage.removeItem(LEGACY_REPORT_KEY);
+  return workspace;
+}
+
+/**
+ * Load the workspace index, first moving reports saved in localStorage by
+ * earlier versions into the store. Entries whose data is missing are dropped.
+ * @param {Object} store - Report store
+ * @param {Storage} storage - localStorage, for the migration
+ * @returns {Promise<Object>} { activeId, reports }
+ */
+export async function loadWorkspace(store, storage = globalThis.localStorage) {
+  const saved = await store.getMeta('workspace');
+
+  if (!saved) {
+    return (await migrateLocalStorage(store, storage)) || createWorkspace();
+  }
+
+  const stored = new Set(await store.listReportIds());
+  const reports = (Array.isArray(saved.reports) ? saved.reports : [])
+    .filter((entry) => entry?.id && stored.has(entry.id));
+  const activeId = reports.some((entry) => entry.id === saved.activeId) ? saved.activeId : null;
+
+  return { activeId, reports };
+}
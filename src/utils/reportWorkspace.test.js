@@ -0,0 +1,130 @@
+import { describe, test, expect } from 'vitest';
+import { IDBFactory } from 'fake-indexeddb';
+import { OfflineStorageService } from '../services/offlineStorageService';
+import {
+  WORKSPACE_INDEX_KEY,
+  LEGACY_REPORT_KEY,
+  REPORT_STATUS,
+  createLocalStorageStore,
+  createReportEntry,
+  findNextDraft,
+  getReportTitle,
+  loadWorkspace,
+  reportStorageKey,
+  saveWorkspace,
+  updateReportEntry
+} from './reportWorkspace';
+
+const createStorage = (initial = {}) => {
+  const values = new Map(Object.entries(initial));
+  return {
+    values,
+    get length() {
+      return values.size;
+    },
+    key: (index) => Array.from(values.keys())[index] ?? null,
+    getItem: (key) => (values.has(key) ? values.get(key) : null),
+    setItem: (key, value) => values.set(key, String(value)),
+    removeItem: (key) => values.delete(key)
+  };
+};
+
+const createStore = () => new OfflineStorageService({ indexedDB: new IDBFactory() });
+
+describe('loadWorkspace', () => {
+  test('moves a legacy single report into the store', async () => {
+    const legacy = { office: 'Austin', date: '2024-05-01', issues: [{ title: 'Printer' }] };
+    const storage = createStorage({ [LEGACY_REPORT_KEY]: JSON.stringify(legacy) });
+    const store = createStore();
+
+    const workspace = await loadWorkspace(store, storage);
+
+    expect(workspace.reports).toHaveLength(1);
+    expect(workspace.reports[0]).toMatchObject({ office: 'Austin', date: '2024-05-01', status: REPORT_STATUS.DRAFT });
+    expect(workspace.activeId).toBe(workspace.reports[0].id);
+    expect(await store.getReport(workspace.activeId)).toEqual(legacy);
+    expect(storage.getItem(LEGACY_REPORT_KEY)).toBeNull();
+    expect(await loadWorkspace(store, storage)).toEqual(workspace);
+  });
+
+  test('moves a localStorage workspace into the store', async () => {
+    const entry = createReportEntry({ office: 'Denver' });
+    const storage = createStorage({
+      [WORKSPACE_INDEX_KEY]: JSON.stringify({ activeId: entry.id, reports: [entry] }),
+      [reportStorageKey(entry.id)]: JSON.stringify({ office: 'Denver' })
+    });
+    const store = createStore();
+
+    expect(await loadWorkspace(store, storage)).toEqual({ activeId: entry.id, reports: [entry] });
+    expect(await store.getReport(entry.id)).toEqual({ office: 'Denver' });
+    expect(storage.values.size).toBe(0);
+  });
+
+  test('drops entries whose data is gone and an unknown active report', async () => {
+    const store = createLocalStorageStore(createStorage());
+    const kept = createReportEntry({ office: 'Austin' });
+    const lost = createReportEntry({ office: 'Denver' });
+    await store.putReport(kept.id, { office: 'Austin' });
+    await saveWorkspace(store, { activeId: lost.id, reports: [kept, lost] });
+
+    expect(await loadWorkspace(store)).toEqual({ activeId: null, reports: [kept] });
+  });
+
+  test('starts empty without saved data and survives a corrupt index', async () => {
+    expect(await loadWorkspace(createStore(), createStorage())).toEqual({ activeId: null, reports: [] });
+    const storage = createStorage({ [WORKSPACE_INDEX_KEY]: '{not json' });
+    expect(await loadWorkspace(createLocalStorageStore(storage), storage)).toEqual({ activeId: null, reports: [] });
+  });
+});
+
+describe('report stores', () => {
+  test('keep each report in its own localStorage entry', async () => {
+    const storage = createStorage();
+    const store = createLocalStorageStore(storage);
+    await store.putReport('a', { office: 'Austin' });
+    await store.putReport('b', { office: 'Denver' });
+
+    expect(storage.values.has(reportStorageKey('a'))).toBe(true);
+    expect((await store.getReport('a')).office).toBe('Austin');
+    expect(await store.listReportIds()).toEqual(['a', 'b']);
+  });
+
+  test('keep photos with their report in IndexedDB', async () => {
+    const store = createStore();
+    const blob = new Blob(['jpeg'], { type: 'image/jpeg' });
+    await store.putReport('a', { photos: [{ id: 1, storedPhoto: true }] }, [{ id: 1, blob, name: 'rack.jpg' }]);
+    await store.putReport('b', { office: 'Denver' });
+    await store.copyPhotos('a', 'b');
+
+    const photos = await store.getPhotos('b');
+    expect(photos).toHaveLength(1);
+    expect(photos[0]).toMatchObject({ key: 'b/1', photoId: '1', name: 'rack.jpg', type: 'image/jpeg', size: 4 });
+
+    await store.deleteReport('a');
+    expect(await store.getReport('a')).toBeNull();
+    expect((await store.listPhotos()).map((photo) => photo.key)).toEqual(['b/1']);
+  });
+});
+
+describe('workspace entries', () => {
+  test('titles fall back to office and date until renamed', () => {
+    expect(getReportTitle({ office: 'Austin', date: '2024-05-01' })).toBe('Austin - 2024-05-01');
+    expect(getReportTitle({ title: ' Q2 audit ', office: 'Austin' })).toBe('Q2 audit');
+    expect(getReportTitle({})).toBe('Untitled visit');
+  });
+
+  test('finds the most recently updated other draft', () => {
+    const workspace = {
+      activeId: 'a',
+      reports: [
+        { id: 'a', status: REPORT_STATUS.DRAFT, updatedAt: '2024-05-03T00:00:00Z' },
+        { id: 'b', status: REPORT_STATUS.DRAFT, updatedAt: '2024-05-01T00:00:00Z' },
+        { id: 'c', status: REPORT_STATUS.ARCHIVED, updatedAt: '2024-05-04T00:00:00Z' },
+        { id: 'd', status: REPORT_STATUS.DRAFT, updatedAt: '2024-05-02T00:00:00Z' }
+      ]
+    };
+
+    expect(findNextDraft(workspace, 'a').id).toBe('d');
+    expect(findNextDraft(updateReportEntry(workspace, 'd', { status: REPORT_STATUS.ARCHIVED }), 'a').id).toBe('b');
+  });
+});
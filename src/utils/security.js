@@ -3,6 +3,8 @@
  * Provides input sanitization, CSRF protection, and other security features
  */
 
+import { loadRecipientConfig, resolveRecipients, findOfficeRegion } from './emailRecipients';
+
 // XSS Prevention
 export class InputSanitizer {
   /**
@@ -410,13 +412,27 @@ export const securityUtils = {
 };
 
 /**
- * Get email recipients for report submission
- * This function would typically fetch from a secure configuration
+ * Get email recipients for a report section (fullReport, issues, ...) from
+ * the recipient lists managed on the Admin page, resolved for the report's
+ * office and its region. Reads the copy last loaded from the server
+ * (organizationSettingsService), so it also works offline.
+ * @param {string} section - Section key from constants/emailConfig
+ * @param {Object} reportData - Report whose office selects the lists
+ * @returns {string[]} Recipient addresses, empty if none are configured
  */
-export const getEmailRecipients = () => {
-  // In a real application, this would be fetched from a secure backend
-  // For now, return empty array as placeholder
-  return [];
+export const getEmailRecipients = (section = 'default', reportData = {}) => {
+  let offices = [];
+  try {
+    offices = JSON.parse(localStorage.getItem('rss_offices') || '[]');
+  } catch (error) {
+    console.error('Error loading offices:', error);
+  }
+
+  const office = reportData?.office || '';
+  return resolveRecipients(loadRecipientConfig(), {
+    office,
+    region: findOfficeRegion(office, offices)
+  }, section);
 };
 
 export default {
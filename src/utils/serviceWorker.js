@@ -0,0 +1,16 @@
+/**
+ * RSS Visit Report - Service Worker Registration
+ * Registers the precaching service worker (src/sw.js, emitted as sw.js by the
+ * build) so the installed app starts without a connection. Development
+ * builds don't have one, as it would serve stale modules.
+ */
+
+export function registerServiceWorker() {
+  if (!import.meta.env.PROD || !('serviceWorker' in navigator)) return;
+
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register(`${import.meta.env.BASE_URL}sw.js`).catch((error) => {
+      console.warn('Service worker registration failed:', error);
+    });
+  });
+}
@@ -59,7 +59,8 @@ class SettingsManager {
         auditLogging: env.VITE_AUDIT_LOGGING === 'true',
         performanceMonitoring: env.VITE_PERFORMANCE_MONITORING === 'true',
         httpsEnabled: env.VITE_ENABLE_HTTPS === 'true',
-        hstsMaxAge: parseInt(env.VITE_HSTS_MAX_AGE) || 31536000
+        hstsMaxAge: parseInt(env.VITE_HSTS_MAX_AGE) || 31536000,
+        autoLockMinutes: parseInt(env.VITE_AUTO_LOCK_MINUTES) || 15
       },
       
       // Network Configuration
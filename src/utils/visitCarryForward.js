@@ -0,0 +1,172 @@
+/**
+ * RSS Visit Report - Visit Carry-Forward
+ * Starts a new visit for an office from its previous visit: the data closet
+ * layout (locations, racks, devices and PDU mappings), inventory items, SCCM
+ * PCs and the issues and follow-up items still open are copied over, while
+ * scores, photos and dates start fresh. Every copied record carries a
+ * `carriedForward` flag until the technician confirms or edits it.
+ */
+
+export const CARRIED_FORWARD_KEY = 'carriedForward';
+
+const CLOSED_ISSUE_STATUSES = ['resolved', 'closed'];
+const CLOSED_FOLLOW_UP_STATUSES = ['completed', 'cancelled'];
+
+// Photo lists anywhere in the copied records
+const PHOTO_KEYS = ['photos', 'pictures', 'images'];
+
+const isPlainObject = (value) => (
+  value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype
+);
+
+const normalizeOffice = (office) => String(office || '').trim().toLowerCase();
+
+const clone = (value) => JSON.parse(JSON.stringify(value ?? null));
+
+/**
+ * Copy of a record with its photos removed and the carry-forward flag set
+ * on it and on every nested record
+ * @param {*} value - Record or list of records
+ * @param {Object} flag - Value of the flag, e.g. { date }
+ */
+function markCarried(value, flag) {
+  if (Array.isArray(value)) {
+    return value.map((item) => markCarried(item, flag));
+  }
+  if (!isPlainObject(value)) {
+    return value;
+  }
+
+  const copy = {};
+  Object.entries(value).forEach(([key, child]) => {
+    if (PHOTO_KEYS.includes(key) && Array.isArray(child)) {
+      copy[key] = [];
+    } else if (Array.isArray(child) && child.some(isPlainObject)) {
+      copy[key] = markCarried(child, flag);
+    } else {
+      copy[key] = clone(child);
+    }
+  });
+  copy[CARRIED_FORWARD_KEY] = flag;
+  return copy;
+}
+
+/**
+ * Most recent earlier visit to an office in the workspace
+ * @param {Object[]} entries - Workspace index entries
+ * @param {string} office - Office name
+ * @param {string} excludeId - Report to skip, e.g. the open one
+ * @returns {Object|null} Workspace entry
+ */
+export function findLastVisit(entries, office, excludeId = null) {
+  const key = normalizeOffice(office);
+  if (!key) return null;
+
+  return entries
+    .filter((entry) => entry.id !== excludeId && normalizeOffice(entry.office) === key)
+    .sort((a, b) => (
+      String(b.date).localeCompare(String(a.date)) || String(b.updatedAt).localeCompare(String(a.updatedAt))
+    ))[0] || null;
+}
+
+/**
+ * Offices that have at least one visit in the workspace, sorted by name
+ * @param {Object[]} entries - Workspace index entries
+ */
+export function listVisitedOffices(entries) {
+  const offices = new Map();
+  entries.forEach((entry) => {
+    const office = entry.office?.trim();
+    if (office && !offices.has(normalizeOffice(office))) {
+      offices.set(normalizeOffice(office), office);
+    }
+  });
+  return [...offices.values()].sort((a, b) => a.localeCompare(b));
+}
+
+/**
+ * Report data for a new visit based on the previous one
+ * @param {Object} previous - Report data of the last visit
+ * @param {Object} blank - Data of a new, empty report
+ * @param {Object} source - { reportId } of the last visit, kept for reference
+ * @returns {Object} Report data for the new visit
+ */
+export function carryForwardVisit(previous = {}, blank = {}, { reportId = null } = {}) {
+  const flag = { date: previous.date || null };
+  const previousCloset = previous.dataCloset || {};
+
+  const openIssues = (previous.issues || [])
+    .filter((issue) => !CLOSED_ISSUE_STATUSES.includes(issue.status));
+  const openFollowUps = (previous.followUpItems || [])
+    .filter((item) => !CLOSED_FOLLOW_UP_STATUSES.includes(item.status));
+
+  return {
+    ...blank,
+    rss: previous.rss || blank.rss || '',
+    office: previous.office || '',
+    dataCloset: {
+      ...blank.dataCloset,
+      locations: markCarried(previousCloset.locations || [], flag)
+    },
+    inventory: {
+      ...blank.inventory,
+      items: previous.inventory?.items?.length
+        ? markCarried(previous.inventory.items, flag)
+        : blank.inventory?.items || []
+    },
+    sccmPCs: {
+      computers: markCarried(previous.sccmPCs?.computers || [], flag),
+      lastUpdated: blank.date
+    },
+    issues: markCarried(openIssues, flag),
+    followUpItems: markCarried(openFollowUps, flag),
+    carriedForwardFrom: { reportId, office: previous.office || '', date: previous.date || null }
+  };
+}
+
+/**
+ * Copy of a record with the carry-forward flag cleared on it and every
+ * nested record
+ * @param {*} value - Record, list of records or whole report data
+ */
+export function confirmCarriedForward(value) {
+  if (Array.isArray(value)) {
+    return value.map(confirmCarriedForward);
+  }
+  if (!isPlainObject(value)) {
+    return value;
+  }
+
+  const copy = {};
+  Object.entries(value).forEach(([key, child]) => {
+    if (key !== CARRIED_FORWARD_KEY) {
+      copy[key] = confirmCarriedForward(child);
+    }
+  });
+  return copy;
+}
+
+export const isCarriedForward = (record) => Boolean(record?.[CARRIED_FORWARD_KEY]);
+
+/**
+ * Number of carried-forward records not confirmed yet, per section
+ * @param {Object} reportData - Report data
+ * @returns {Object} { locations, racks, devices, inventory, sccmPCs, issues, followUpItems, total }
+ */
+export function countCarriedForward(reportData = {}) {
+  const count = (records) => (records || []).filter(isCarriedForward).length;
+  const locations = Array.isArray(reportData.dataCloset?.locations) ? reportData.dataCloset.locations : [];
+  const racks = locations.flatMap((location) => location.racks || []);
+
+  const counts = {
+    locations: count(locations),
+    racks: count(racks),
+    devices: count(racks.flatMap((rack) => rack.devices || [])),
+    inventory: count(reportData.inventory?.items),
+    sccmPCs: count(reportData.sccmPCs?.computers),
+    issues: count(reportData.issues),
+    followUpItems: count(reportData.followUpItems)
+  };
+
+  return { ...counts, total: Object.values(counts).reduce((sum, value) => sum + value, 0) };
+}
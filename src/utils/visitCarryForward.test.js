@@ -0,0 +1,127 @@
+import { describe, test, expect } from 'vitest';
+import {
+  carryForwardVisit,
+  confirmCarriedForward,
+  countCarriedForward,
+  findLastVisit,
+  listVisitedOffices
+} from './visitCarryForward';
+
+const blank = {
+  office: '',
+  date: '2025-11-03',
+  nextVisit: '',
+  summary: { summaryText: '' },
+  pictures: { dataCloset: [], trainingRoom: [] },
+  officeGrading: [{ category: 'Inventory', score: '', comments: '' }],
+  officeGrade: 'N/A',
+  dataCloset: { grading: [{ category: 'Labeling', score: '', comments: '' }], score: 'N/A', locations: [] },
+  inventory: { items: [{ description: 'PCs', inUse: 0, broken: 0 }] },
+  issues: []
+};
+
+const lastVisit = {
+  id: 'server-report-1',
+  rss: 'J. Rivera',
+  office: 'Denver',
+  date: '2025-08-01',
+  nextVisit: '2025-11-01',
+  summary: { summaryText: 'Quarterly visit' },
+  pictures: { dataCloset: [{ id: 'p1', storedPhoto: true }], trainingRoom: [] },
+  officeGrading: [{ category: 'Inventory', score: '3', comments: 'Good' }],
+  officeGrade: 'B',
+  dataCloset: {
+    score: '80%',
+    grading: [{ category: 'Labeling', score: '2', comments: '' }],
+    photos: [{ id: 'p2', storedPhoto: true }],
+    locations: [{
+      id: 1,
+      name: 'Main closet',
+      racks: [{
+        id: 2,
+        name: 'Rack A',
+        photos: [{ id: 'p3', storedPhoto: true }],
+        devices: [{ id: 3, name: 'PDU 1', type: 'pdu', ports: [{ port: 1, device: 'Core switch' }] }]
+      }]
+    }]
+  },
+  inventory: { items: [{ description: 'PCs', inUse: 24, otherUse: { training: 2 }, broken: 1 }] },
+  sccmPCs: { computers: [{ id: 10, name: 'DEN-PC-01' }], lastUpdated: '2025-08-01' },
+  issues: [
+    { id: 20, title: 'Slow Wi-Fi', status: 'open' },
+    { id: 21, title: 'Printer jam', status: 'resolved' }
+  ],
+  followUpItems: [
+    { id: 30, title: 'Order UPS battery', status: 'pending' },
+    { id: 31, title: 'Label cables', status: 'completed' }
+  ]
+};
+
+describe('findLastVisit', () => {
+  const entries = [
+    { id: 'a', office: 'Denver', date: '2025-05-01', updatedAt: '2025-05-02T00:00:00Z' },
+    { id: 'b', office: ' denver ', date: '2025-08-01', updatedAt: '2025-08-02T00:00:00Z' },
+    { id: 'c', office: 'Boulder', date: '2025-09-01', updatedAt: '2025-09-02T00:00:00Z' },
+    { id: 'd', office: 'Denver', date: '2025-11-03', updatedAt: '2025-11-03T00:00:00Z' }
+  ];
+
+  test('picks the latest visit to the same office, ignoring case and the open report', () => {
+    expect(findLastVisit(entries, 'DENVER', 'd').id).toBe('b');
+    expect(findLastVisit(entries, 'Aurora')).toBeNull();
+    expect(findLastVisit(entries, '')).toBeNull();
+  });
+
+  test('lists each visited office once', () => {
+    expect(listVisitedOffices(entries)).toEqual(['Boulder', 'Denver']);
+  });
+});
+
+describe('carryForwardVisit', () => {
+  const next = carryForwardVisit(lastVisit, blank, { reportId: 'local-1' });
+
+  test('copies the closet layout, inventory, SCCM PCs and open items, marking each record', () => {
+    const rack = next.dataCloset.locations[0].racks[0];
+    expect(rack.devices[0]).toMatchObject({ name: 'PDU 1', carriedForward: { date: '2025-08-01' } });
+    expect(rack.devices[0].ports).toEqual([expect.objectContaining({ port: 1, device: 'Core switch' })]);
+    expect(next.inventory.items[0]).toMatchObject({ inUse: 24, otherUse: { training: 2 }, carriedForward: { date: '2025-08-01' } });
+    expect(next.sccmPCs.computers.map((pc) => pc.name)).toEqual(['DEN-PC-01']);
+    expect(next.issues.map((issue) => issue.title)).toEqual(['Slow Wi-Fi']);
+    expect(next.followUpItems.map((item) => item.title)).toEqual(['Order UPS battery']);
+    expect(next.carriedForwardFrom).toEqual({ reportId: 'local-1', office: 'Denver', date: '2025-08-01' });
+  });
+
+  test('starts scores, photos, dates and the summary fresh', () => {
+    expect(next).toMatchObject({
+      office: 'Denver',
+      rss: 'J. Rivera',
+      date: '2025-11-03',
+      nextVisit: '',
+      officeGrade: 'N/A',
+      officeGrading: blank.officeGrading,
+      summary: { summaryText: '' },
+      pictures: { dataCloset: [], trainingRoom: [] }
+    });
+    expect(next.dataCloset).toMatchObject({ score: 'N/A', grading: blank.dataCloset.grading });
+    expect(next.dataCloset.photos).toBeUndefined();
+    expect(next.dataCloset.locations[0].racks[0].photos).toEqual([]);
+    expect(next.id).toBeUndefined();
+  });
+
+  test('does not share objects with the previous visit', () => {
+    next.inventory.items[0].otherUse.training = 9;
+    expect(lastVisit.inventory.items[0].otherUse.training).toBe(2);
+  });
+});
+
+describe('confirming carried-forward records', () => {
+  test('counts unconfirmed records per section and clears the flags', () => {
+    const next = carryForwardVisit(lastVisit, blank);
+    expect(countCarriedForward(next)).toEqual({
+      locations: 1, racks: 1, devices: 1, inventory: 1, sccmPCs: 1, issues: 1, followUpItems: 1, total: 7
+    });
+
+    const issues = next.issues.map(confirmCarriedForward);
+    expect(countCarriedForward({ ...next, issues }).issues).toBe(0);
+    expect(countCarriedForward(confirmCarriedForward(next)).total).toBe(0);
+  });
+});
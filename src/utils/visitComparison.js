@@ -0,0 +1,126 @@
+/**
+ * RSS Visit Report - Visit Comparison
+ * What changed at an office between two visits: inventory deltas per item,
+ * office and data closet grade changes, devices added, removed or moved
+ * between racks, and issues opened versus closed. Shown by the comparison
+ * view and rendered as a PDF section by pdfReportService.
+ */
+
+import { collectRacks, deviceLabel, diffReportVersions } from './reportDiff';
+
+const CLOSED_ISSUE_STATUSES = ['resolved', 'closed'];
+
+const isClosed = (issue) => CLOSED_ISSUE_STATUSES.includes(issue?.status);
+
+// Devices keep their ID when a visit is carried forward; older data may only have a serial or name
+const deviceIdentity = (device) => String(
+  device?.id ?? device?.serialNumber ?? `${device?.name || device?.type || ''}@${device?.startUnit ?? ''}`
+);
+
+/**
+ * Every device of a report with where it is mounted
+ * @param {Object} reportData - Report data
+ * @returns {Map<string, Object>} identity -> { device, location, rack, position }
+ */
+function collectDevices(reportData) {
+  const devices = new Map();
+  collectRacks(reportData).forEach(({ location, rack, devices: rackDevices }) => {
+    rackDevices.forEach((device) => {
+      const unit = device?.startUnit ? ` U${device.startUnit}` : '';
+      devices.set(deviceIdentity(device), { device, location, rack, position: `${location} › ${rack}${unit}` });
+    });
+  });
+  return devices;
+}
+
+function compareDevices(older, newer) {
+  const before = collectDevices(older);
+  const after = collectDevices(newer);
+  const entry = ({ device, location, rack }) => ({ device: deviceLabel(device), location, rack });
+
+  return {
+    added: [...after.keys()].filter((key) => !before.has(key)).map((key) => entry(after.get(key))),
+    removed: [...before.keys()].filter((key) => !after.has(key)).map((key) => entry(before.get(key))),
+    moved: [...after.keys()]
+      .filter((key) => before.has(key) && before.get(key).position !== after.get(key).position)
+      .map((key) => ({
+        device: after.get(key).device?.name || deviceLabel(after.get(key).device),
+        from: before.get(key).position,
+        to: after.get(key).position
+      }))
+  };
+}
+
+function compareIssues(older, newer) {
+  const key = (issue) => String(issue.id ?? issue.title);
+  const before = new Map((older.issues || []).map((issue) => [key(issue), issue]));
+  const summary = (issue) => ({
+    id: key(issue),
+    title: issue.title || 'Untitled issue',
+    severity: issue.severity || null,
+    status: issue.status || 'open'
+  });
+
+  const issues = newer.issues || [];
+  return {
+    opened: issues.filter((issue) => !before.has(key(issue))).map(summary),
+    closed: issues.filter((issue) => isClosed(issue) && !isClosed(before.get(key(issue)))).map(summary),
+    stillOpen: issues.filter((issue) => !isClosed(issue)).length
+  };
+}
+
+function groupInventory(changes) {
+  const items = new Map();
+  changes.forEach(({ item, field, from, to, delta }) => {
+    if (!items.has(item)) {
+      items.set(item, { item, changes: [], delta: 0 });
+    }
+    const entry = items.get(item);
+    entry.changes.push({ field, from, to, delta });
+    entry.delta += delta;
+  });
+  return [...items.values()];
+}
+
+/**
+ * Compare two visits to the same office; the earlier visit (by date) is the
+ * baseline whichever order they are passed in
+ * @param {Object} first - Report data of one visit
+ * @param {Object} second - Report data of the other visit
+ * @returns {Object} { office, from, to, inventory, grading, devices, issues, hasChanges }
+ */
+export function compareVisits(first = {}, second = {}) {
+  const [older, newer] = String(first?.date || '') <= String(second?.date || '')
+    ? [first || {}, second || {}]
+    : [second || {}, first || {}];
+  const diff = diffReportVersions(older, newer);
+
+  const comparison = {
+    office: newer.office || older.office || '',
+    from: older.date || null,
+    to: newer.date || null,
+    inventory: groupInventory(diff.inventory),
+    grading: diff.grading,
+    devices: compareDevices(older, newer),
+    issues: compareIssues(older, newer)
+  };
+
+  return {
+    ...comparison,
+    hasChanges: comparison.inventory.length > 0
+      || comparison.grading.length > 0
+      || Object.values(comparison.devices).some((list) => list.length > 0)
+      || comparison.issues.opened.length > 0
+      || comparison.issues.closed.length > 0
+  };
+}
+
+/**
+ * Whether two reports are visits to the same office
+ * @param {Object} a - Report data or workspace entry
+ * @param {Object} b - Report data or workspace entry
+ */
+export const isSameOffice = (a, b) => {
+  const office = (value) => String(value?.office || '').trim().toLowerCase();
+  return office(a) !== '' && office(a) === office(b);
+};
@@ -0,0 +1,79 @@
+import { describe, test, expect } from 'vitest';
+import { compareVisits, isSameOffice } from './visitComparison';
+
+const item = (description, inUse, broken = 0) => ({ description, inUse, otherUse: {}, spares: { onFloor: 1 }, broken });
+
+const august = {
+  office: 'Denver',
+  date: '2025-08-01',
+  officeGrading: [{ category: 'Inventory', score: '3' }],
+  dataCloset: {
+    grading: [{ category: 'Labeling', score: '2' }],
+    locations: [
+      { name: 'MDF', racks: [{ name: 'Rack A', devices: [{ id: 1, name: 'Core switch', startUnit: 40 }, { id: 2, name: 'UPS', startUnit: 1 }] }] },
+      { name: 'IDF', racks: [{ name: 'Rack B', devices: [{ id: 3, name: 'Access switch', startUnit: 10 }] }] }
+    ]
+  },
+  inventory: { items: [item('PCs', 20), item('Monitors', 30)] },
+  issues: [
+    { id: 10, title: 'Slow Wi-Fi', status: 'open' },
+    { id: 11, title: 'Printer jam', status: 'in-progress' }
+  ]
+};
+
+const november = {
+  office: 'Denver',
+  date: '2025-11-03',
+  officeGrading: [{ category: 'Inventory', score: '4' }],
+  dataCloset: {
+    grading: [{ category: 'Labeling', score: '2' }],
+    locations: [
+      { name: 'MDF', racks: [{ name: 'Rack A', devices: [{ id: 1, name: 'Core switch', startUnit: 40 }, { id: 4, name: 'Firewall', startUnit: 38 }] }] },
+      { name: 'IDF', racks: [{ name: 'Rack B', devices: [{ id: 3, name: 'Access switch', startUnit: 12 }] }] }
+    ]
+  },
+  inventory: { items: [item('PCs', 18, 2), item('Monitors', 30)] },
+  issues: [
+    { id: 10, title: 'Slow Wi-Fi', status: 'resolved' },
+    { id: 11, title: 'Printer jam', status: 'in-progress' },
+    { id: 12, title: 'Badge reader offline', status: 'open', severity: 'high' }
+  ]
+};
+
+describe('compareVisits', () => {
+  test('reports inventory, grading, device and issue changes since the earlier visit', () => {
+    const comparison = compareVisits(november, august);
+
+    expect(comparison).toMatchObject({ office: 'Denver', from: '2025-08-01', to: '2025-11-03', hasChanges: true });
+    expect(comparison.inventory).toEqual([{
+      item: 'PCs',
+      delta: 0,
+      changes: [
+        { field: 'In use', from: 20, to: 18, delta: -2 },
+        { field: 'Broken', from: 0, to: 2, delta: 2 }
+      ]
+    }]);
+    expect(comparison.grading).toEqual([{ section: 'Office', category: 'Inventory', from: '3', to: '4' }]);
+    expect(comparison.devices).toEqual({
+      added: [{ device: 'Firewall (U38)', location: 'MDF', rack: 'Rack A' }],
+      removed: [{ device: 'UPS (U1)', location: 'MDF', rack: 'Rack A' }],
+      moved: [{ device: 'Access switch', from: 'IDF › Rack B U10', to: 'IDF › Rack B U12' }]
+    });
+    expect(comparison.issues).toEqual({
+      opened: [{ id: '12', title: 'Badge reader offline', severity: 'high', status: 'open' }],
+      closed: [{ id: '10', title: 'Slow Wi-Fi', severity: null, status: 'resolved' }],
+      stillOpen: 2
+    });
+  });
+
+  test('finds no changes between a visit and itself', () => {
+    const comparison = compareVisits(august, august);
+    expect(comparison.hasChanges).toBe(false);
+    expect(comparison.issues.stillOpen).toBe(2);
+  });
+
+  test('matches offices regardless of case and spacing', () => {
+    expect(isSameOffice({ office: 'Denver ' }, { office: 'denver' })).toBe(true);
+    expect(isSameOffice({ office: '' }, { office: '' })).toBe(false);
+  });
+});
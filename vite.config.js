@@ -2,6 +2,52 @@ import { defineConfig, loadEnv } from 'vite';
 import react from '@vitejs/plugin-react';
 import { resolve } from 'path';
 import { fileURLToPath, URL } from 'node:url';
+import { createHash } from 'node:crypto';
+import { existsSync, readFileSync, readdirSync } from 'node:fs';
+
+// Files under a directory, as paths relative to it; dotfiles are left out
+const listFiles = (dir, prefix = '') => (existsSync(dir) ? readdirSync(dir, { withFileTypes: true }) : [])
+  .filter((entry) => !entry.name.startsWith('.'))
+  .flatMap((entry) => (entry.isDirectory()
+    ? listFiles(resolve(dir, entry.name), `${prefix}${entry.name}/`)
+    : [`${prefix}${entry.name}`]));
+
+// Emit src/sw.js as sw.js, preceded by the list of built and public files to
+// precache and a version that changes whenever one of them does
+const precacheServiceWorker = () => {
+  let config;
+  return {
+    name: 'precache-service-worker',
+    apply: 'build',
+    configResolved(resolvedConfig) {
+      config = resolvedConfig;
+    },
+    generateBundle(_options, bundle) {
+      const version = createHash('sha256');
+      const urls = new Set(['index.html']);
+
+      Object.values(bundle).forEach((file) => {
+        if (file.fileName.endsWith('.map')) return;
+        urls.add(file.fileName);
+        version.update(file.fileName);
+      });
+      listFiles(config.publicDir).forEach((file) => {
+        urls.add(file);
+        version.update(file).update(readFileSync(resolve(config.publicDir, file)));
+      });
+
+      this.emitFile({
+        type: 'asset',
+        fileName: 'sw.js',
+        source: [
+          `const PRECACHE_URLS = ${JSON.stringify([...urls].sort())};`,
+          `const CACHE_VERSION = '${version.digest('hex').slice(0, 12)}';`,
+          readFileSync(resolve(config.root, 'src/sw.js'), 'utf8')
+        ].join('\n')
+      });
+    }
+  };
+};
 
 // https://vitejs.dev/config/
 export default defineConfig(({ command, mode }) => {
@@ -17,7 +63,7 @@ export default defineConfig(({ command, mode }) => {
 
   return {
     base: basePath,
-    plugins: [react()],
+    plugins: [react(), precacheServiceWorker()],
     root: '.',
     publicDir: 'public',
 